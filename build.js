@@ -11,10 +11,22 @@ const path = require('path');
 // Configuration
 const BUILD_DIR = 'dist';
 const JS_DIR = 'js';
+const AUDIO_DIR = 'audio';
 const MODULES = [
   'config.js',
+  'storage.js',
+  'query.js',
+  'search-index.js',
+  'phone.js',
   'state.js', 
+  'auth.js',
   'api.js',
+  'database.js',
+  'outbox.js',
+  'voice-library.js',
+  'voice-encoder.js',
+  'campaign.js',
+  'scheduler.js',
   'socket.js',
   'ui.js',
   'app.js'
@@ -112,7 +124,7 @@ function createProductionHTML(bundledJS) {
     .msg[data-type="4"] { border-left: 3px solid #ff6b6b; } /* Admin */
 
     /* composer */
-    .composer{display:grid;grid-template-columns: 1fr auto auto;gap:8px;padding:10px;border-top:1px solid var(--line);background:var(--panel)}
+    .composer{display:grid;grid-template-columns: 1fr auto auto auto;gap:8px;padding:10px;border-top:1px solid var(--line);background:var(--panel)}
     .composer textarea{width:100%;min-height:40px;resize:vertical;background:#0f191f;color:var(--ink);border:1px solid var(--line);border-radius:8px;padding:8px}
     button{border:none;border-radius:8px;padding:8px 12px;cursor:pointer;font-weight:600}
     .takeover{background:var(--yellow);color:#1b1b1b}
@@ -130,6 +142,151 @@ function createProductionHTML(bundledJS) {
 
     /* toast */
     .toast{position:fixed;right:16px;bottom:16px;background:#0f191f;border:1px solid var(--line);padding:10px 12px;border-radius:8px;display:none}
+
+    /* Quick replies */
+    .quick-menu-container{position:relative;display:inline-block}
+    .quick-picker{position:absolute;bottom:100%;right:0;margin-bottom:8px;width:380px;max-width:90vw;background:var(--panel);border:1px solid var(--line);border-radius:8px;box-shadow:0 4px 12px rgba(0,0,0,0.3);z-index:1500;padding:8px}
+    .quick-picker[hidden],.quick-picker [hidden]{display:none}
+    .quick-picker input,.quick-picker textarea{width:100%;background:var(--chip);border:1px solid var(--line);color:var(--ink);padding:8px;border-radius:6px;box-sizing:border-box}
+    .quick-categories{display:flex;flex-wrap:wrap;gap:4px;margin:6px 0}
+    .quick-categories .chip{cursor:pointer}
+    .quick-categories .chip.active{color:var(--accent);border-color:var(--accent)}
+    .quick-list{max-height:260px;overflow-y:auto}
+    .quick-item{padding:8px;border-radius:6px;cursor:pointer}
+    .quick-item.active,.quick-item:hover{background:#0f1f26}
+    .quick-item-head{display:flex;align-items:center;gap:6px}
+    .quick-title{font-weight:600;color:var(--ink)}
+    .quick-shortcut{color:var(--accent);font-size:12px}
+    .quick-edit{margin-left:auto;background:none;color:var(--muted);padding:0 4px}
+    .quick-preview{color:var(--muted);font-size:12px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+    .quick-empty{padding:12px;text-align:center;color:var(--muted)}
+    .quick-footer{display:flex;justify-content:space-between;align-items:center;gap:6px;margin-top:6px;color:var(--muted);font-size:12px}
+    .quick-editor{display:flex;flex-direction:column;gap:6px}
+    .quick-editor-row{display:flex;gap:6px}
+
+    /* Internal notes */
+    .note-history{display:flex;flex-direction:column;gap:6px;margin-top:10px;max-height:220px;overflow-y:auto}
+    .note-item{background:#0f191f;border:1px solid var(--line);border-radius:8px;padding:6px 8px}
+    .note-text{white-space:pre-wrap;word-wrap:break-word}
+    .note-meta{font-size:11px;color:var(--muted);margin-top:2px}
+    .note-empty{font-size:12px;color:var(--muted)}
+
+    /* Reconnection banner */
+    .connection-banner{display:flex;align-items:center;justify-content:space-between;gap:8px;padding:6px 12px;background:rgba(255,107,107,.12);color:var(--ink);font-size:12px;border-bottom:1px solid var(--line)}
+    .connection-banner[hidden]{display:none}
+    .connection-banner button{padding:4px 8px;font-size:12px}
+
+    /* Operator presence and assignment */
+    .chip.assignment{color:var(--accent);border-color:var(--accent)}
+    .chip.assignment.other{color:var(--yellow);border-color:var(--yellow)}
+    .chip.presence{color:var(--ink)}
+    .chip.presence.typing{color:var(--green);border-color:var(--green)}
+    .badge.presence{margin-right:4px}
+
+    /* Search autocomplete */
+    .left-head{position:relative}
+    .left-head input.invalid{border-color:var(--yellow)}
+    .search-suggestions{position:absolute;top:calc(100% - 6px);left:12px;right:12px;background:var(--panel);border:1px solid var(--line);border-radius:8px;z-index:50;overflow:hidden;box-shadow:0 6px 18px rgba(0,0,0,.35)}
+    .search-suggestions[hidden]{display:none}
+    .search-suggestion{display:flex;justify-content:space-between;gap:8px;padding:8px 10px;cursor:pointer}
+    .search-suggestion.active,.search-suggestion:hover{background:#0f1f26}
+
+    /* Campaigns */
+    .campaign-modal{position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.7);display:none;z-index:2000;align-items:center;justify-content:center}
+    .campaign-content{background:var(--panel);border:1px solid var(--line);border-radius:12px;padding:20px;max-width:560px;width:92%;max-height:88vh;overflow-y:auto;display:flex;flex-direction:column;gap:10px}
+    .campaign-head{display:flex;justify-content:space-between;align-items:center}
+    .campaign-title{font-size:18px;font-weight:600;color:var(--ink)}
+    .campaign-head .ghost{padding:4px 8px}
+    .campaign-composer{display:flex;flex-direction:column;gap:10px}
+    .campaign-composer[hidden],.campaign-progress[hidden],#campaign-text-template[hidden],#campaign-voice[hidden]{display:none}
+    #campaign-text-template{display:flex;flex-direction:column;gap:6px}
+    .campaign-content input[type="text"],.campaign-content select,.campaign-content textarea{background:var(--chip);border:1px solid var(--line);color:var(--ink);padding:8px;border-radius:6px;font:inherit}
+    .campaign-content textarea{min-height:80px;resize:vertical}
+    .campaign-field{display:flex;flex-direction:column;gap:4px;font-size:12px;color:var(--muted)}
+    .campaign-kind{display:flex;gap:16px;font-size:13px;color:var(--ink)}
+    .campaign-hint{font-size:12px;color:var(--muted)}
+    .campaign-preview-head{display:flex;justify-content:space-between;align-items:center;font-size:12px;color:var(--muted)}
+    .campaign-preview-head .ghost{padding:4px 8px;font-size:12px}
+    .campaign-preview{max-height:240px;overflow-y:auto;border:1px solid var(--line);border-radius:8px}
+    .campaign-recipient{display:flex;gap:8px;align-items:flex-start;padding:8px;border-bottom:1px solid var(--line);font-size:13px}
+    .campaign-recipient:last-child{border-bottom:none}
+    .campaign-recipient-details{min-width:0;flex:1}
+    .campaign-recipient-name{color:var(--ink)}
+    .campaign-recipient-message{color:var(--muted);font-size:12px;white-space:pre-wrap;word-break:break-word}
+    .campaign-recipient-message.warning{color:var(--yellow)}
+    .campaign-recipient-status{flex-shrink:0;width:92px;font-size:12px;color:var(--muted)}
+    .campaign-recipient.sent .campaign-recipient-status{color:var(--green)}
+    .campaign-recipient.failed .campaign-recipient-status{color:var(--red)}
+    .campaign-recipient.sending .campaign-recipient-status{color:var(--accent)}
+    .campaign-empty{padding:12px;text-align:center;color:var(--muted);font-size:13px}
+    .campaign-progress{display:flex;flex-direction:column;gap:8px}
+    .campaign-progress-title{font-size:15px;font-weight:600;color:var(--ink)}
+    .campaign-progress-status{font-size:12px;color:var(--muted)}
+    .campaign-progress-status.paused{color:var(--yellow)}
+    .campaign-bar{height:6px;background:var(--chip);border-radius:3px;overflow:hidden}
+    .campaign-bar-fill{height:100%;background:var(--green);transition:width 0.3s ease}
+    .campaign-counts{font-size:12px;color:var(--ink)}
+    .campaign-actions{display:flex;flex-wrap:wrap;gap:6px;justify-content:flex-end}
+    .campaign-actions button{background:var(--accent);color:white}
+    .campaign-actions button.ghost{background:#0f191f;color:var(--ink)}
+    .campaign-actions button.danger{color:var(--red)}
+    .campaign-history{display:flex;flex-direction:column;gap:4px;border-top:1px solid var(--line);padding-top:8px}
+    .campaign-history:empty{display:none}
+    .campaign-history-item{background:none;color:var(--muted);text-align:left;font-weight:400;font-size:12px;padding:4px 6px}
+    .campaign-history-item:hover,.campaign-history-item.active{background:var(--chip);color:var(--ink)}
+
+    /* New conversation */
+    .new-conversation-modal{position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.7);display:none;z-index:2000;align-items:center;justify-content:center}
+    .new-conversation-content{background:var(--panel);border:1px solid var(--line);border-radius:12px;padding:20px;max-width:420px;width:92%;max-height:88vh;overflow-y:auto;display:flex;flex-direction:column;gap:10px}
+    .new-conversation-title{font-size:18px;font-weight:600;color:var(--ink)}
+    .new-conversation-content input,.new-conversation-content select,.new-conversation-content textarea{background:var(--chip);border:1px solid var(--line);color:var(--ink);padding:8px;border-radius:6px;font:inherit}
+    .new-conversation-content textarea{min-height:80px;resize:vertical}
+    .new-conversation-hint{font-size:12px;color:var(--muted)}
+    .new-conversation-error{font-size:13px;color:var(--red);min-height:16px}
+    .new-conversation-actions{display:flex;gap:6px;justify-content:flex-end}
+    .new-conversation-actions button{background:var(--accent);color:white}
+    .new-conversation-actions button.ghost{background:#0f191f;color:var(--ink)}
+
+    /* Contact time zone and quiet hours */
+    .thread-head .local-time{margin-left:auto;font-size:12px;color:var(--muted);white-space:nowrap}
+    .thread-head .local-time[hidden]{display:none}
+    .thread-head .local-time.quiet{color:var(--yellow)}
+    .tz-edit{padding:0 4px;font-size:11px;margin-left:4px}
+    .tz-edit.guessed{color:var(--yellow)}
+    #tz-select{width:100%;margin-top:6px;background:var(--chip);border:1px solid var(--line);color:var(--ink);padding:6px;border-radius:6px}
+    #tz-select[hidden]{display:none}
+    .quiet-hours-modal{position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.7);display:none;z-index:2400;align-items:center;justify-content:center}
+    .quiet-hours-content{background:var(--panel);border:1px solid var(--line);border-radius:12px;padding:20px;max-width:400px;width:92%;display:flex;flex-direction:column;gap:10px}
+    .quiet-hours-title{font-size:18px;font-weight:600;color:var(--ink)}
+    .quiet-hours-text{font-size:13px;color:var(--muted)}
+    .quiet-hours-actions{display:flex;flex-direction:column;gap:6px}
+    .quiet-hours-actions button{background:#0f191f;color:var(--ink)}
+    .quiet-hours-actions #quiet-hours-schedule{background:var(--accent);color:white}
+
+    /* Scheduled messages */
+    .send-later-container{position:relative;display:inline-block}
+    .send-later{background:#0f191f;color:var(--muted)}
+    .send-later.active{color:var(--accent);box-shadow:inset 0 0 0 1px var(--accent)}
+    .send-later-picker{position:absolute;bottom:100%;right:0;margin-bottom:8px;width:260px;max-width:90vw;background:var(--panel);border:1px solid var(--line);border-radius:8px;box-shadow:0 4px 12px rgba(0,0,0,0.3);z-index:1500;padding:8px;display:flex;flex-direction:column;gap:6px;font-size:12px;color:var(--muted)}
+    .send-later-picker[hidden]{display:none}
+    .send-later-picker input,.scheduled-edit input,.scheduled-edit textarea{width:100%;background:var(--chip);border:1px solid var(--line);color:var(--ink);padding:6px;border-radius:6px;box-sizing:border-box}
+    .send-later-error{color:var(--red)}
+    .scheduled-list{display:flex;flex-direction:column;gap:6px}
+    .scheduled-item{background:#0f191f;border:1px solid var(--line);border-radius:8px;padding:6px 8px}
+    .scheduled-time{font-size:12px;color:var(--accent)}
+    .scheduled-text{font-size:13px;white-space:pre-wrap;word-wrap:break-word;margin-top:2px}
+    .scheduled-actions{display:flex;gap:6px;margin-top:6px}
+    .scheduled-actions button{padding:4px 8px;font-size:12px}
+    .scheduled-edit{display:flex;flex-direction:column;gap:6px;margin-top:6px}
+
+    /* Login */
+    .login-modal{position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.85);display:none;z-index:2500;align-items:center;justify-content:center}
+    .login-content{background:var(--panel);border:1px solid var(--line);border-radius:12px;padding:24px;max-width:340px;width:90%;display:flex;flex-direction:column;gap:10px}
+    .login-title{font-size:18px;font-weight:600;color:var(--ink)}
+    .login-content input{background:var(--chip);border:1px solid var(--line);color:var(--ink);padding:10px;border-radius:6px}
+    .login-submit{background:var(--accent);color:white;margin-top:6px}
+    .login-message{color:var(--muted);font-size:13px;min-height:16px}
+    .login-message.error{color:var(--red)}
   </style>
 </head>
 <body>
@@ -138,15 +295,19 @@ function createProductionHTML(bundledJS) {
   <!-- LEFT -->
   <aside class="sidebar">
     <div class="left-head">
-      <input id="search" placeholder="Search or filter (name, tag)..." />
+      <input id="search" placeholder="Search or filter (name, tag:vip)..." />
       <button class="ghost" id="refresh" style="padding: 8px; font-size: 12px;">🔄</button>
+      <button class="ghost" id="new-conversation" style="padding: 8px; font-size: 12px;" title="New conversation">✚</button>
+      <button class="ghost" id="campaigns" style="padding: 8px; font-size: 12px;" title="Broadcast campaign">📣</button>
+      <button class="ghost" id="logout" style="padding: 8px; font-size: 12px;" title="Sign out">⎋</button>
       <div id="connection-status" style="width: 8px; height: 8px; border-radius: 50%; background: #666; margin-left: 4px;" title="Connection status"></div>
+      <div class="search-suggestions" id="search-suggestions" hidden></div>
     </div>
-    <div class="tabs">
-      <div class="tab active" data-filter="all">All</div>
-      <div class="tab" data-filter="unread">Unread</div>
-      <div class="tab" data-filter="attention">Attention</div>
+    <div class="connection-banner" id="connection-banner" hidden>
+      <span id="connection-countdown">Reconnecting...</span>
+      <button class="ghost" id="connection-retry">Retry now</button>
     </div>
+    <div class="tabs" id="view-tabs"></div>
     <div class="chatlist" id="chatlist"></div>
   </aside>
 
@@ -158,11 +319,51 @@ function createProductionHTML(bundledJS) {
         <div class="name" id="who">—</div>
         <div class="chips" id="chips"></div>
       </div>
+      <div class="local-time" id="local-time" hidden></div>
     </div>
     <div class="area" id="area"></div>
     <div class="composer">
       <textarea id="text" placeholder="Write to intervene manually..."></textarea>
-      <button class="quick" id="quick">Quick Replies</button>
+      <div class="quick-menu-container">
+        <button class="quick" id="quick">Quick Replies</button>
+        <div class="quick-picker" id="quick-picker" hidden>
+          <div id="quick-browse">
+            <input type="text" id="quick-search" placeholder="Search quick replies..." autocomplete="off">
+            <div class="quick-categories" id="quick-categories"></div>
+            <div class="quick-list" id="quick-list"></div>
+            <div class="quick-footer">
+              <span>↑↓ move • Enter insert • /shortcut in the message box</span>
+              <button class="ghost" id="quick-new">+ New</button>
+            </div>
+          </div>
+          <form class="quick-editor" id="quick-editor" hidden>
+            <input type="text" id="quick-title" placeholder="Title">
+            <div class="quick-editor-row">
+              <input type="text" id="quick-category" placeholder="Category" list="quick-category-options">
+              <input type="text" id="quick-shortcut" placeholder="Shortcut, e.g. intro">
+            </div>
+            <datalist id="quick-category-options"></datalist>
+            <textarea id="quick-body" rows="4" placeholder="Text. {{name}}, {{first_name}}, {{number}} and {{operator}} are filled in when inserted"></textarea>
+            <div class="quick-footer">
+              <button type="button" class="ghost" id="quick-delete">Delete</button>
+              <button type="button" class="ghost" id="quick-cancel">Cancel</button>
+              <button type="submit" class="send">Save</button>
+            </div>
+          </form>
+        </div>
+      </div>
+      <div class="send-later-container">
+        <button class="send-later" id="send-later" title="Send later">🕓</button>
+        <form class="send-later-picker" id="send-later-picker" hidden>
+          <label for="send-later-time">Send at</label>
+          <input type="datetime-local" id="send-later-time">
+          <div id="send-later-hint"></div>
+          <div class="quick-footer">
+            <button type="button" class="ghost" id="send-later-clear">Send now</button>
+            <button type="submit" class="send">Set time</button>
+          </div>
+        </form>
+      </div>
       <button class="send" id="send">Send</button>
     </div>
   </main>
@@ -174,23 +375,30 @@ function createProductionHTML(bundledJS) {
       <div class="row"><span>Source</span><span id="src">Whats</span></div>
       <div class="row"><span>Phone</span><span id="phone">—</span></div>
       <div class="row"><span>Status</span><span id="status">Bot active</span></div>
+      <div class="row"><span>Assigned</span><span id="assignee">Unassigned</span></div>
       <div class="row"><span>Interview</span><span id="interview">—</span></div>
       <div class="row"><span>Last message</span><span id="last">—</span></div>
-      <div class="row"><span>Time zone</span><span id="tz">UTC−6</span></div>
-      <div style="margin-top:8px">
-        <span class="tag">lead</span><span class="tag">fx</span><span class="tag">broadcast</span>
-      </div>
+      <div class="row"><span>Time zone</span><span><span id="tz">—</span><button class="ghost tz-edit" id="tz-edit" title="Change time zone">✎</button></span></div>
+      <select id="tz-select" hidden></select>
+      <div style="margin-top:8px" id="contact-tags"></div>
       <div class="buttons">
         <button class="ghost" id="toggle">Take control</button>
+        <button class="ghost" id="assign">Claim</button>
         <button class="ghost" id="open8n8">Open in 8n8</button>
         <button class="ghost" id="viewThread">View in source</button>
       </div>
     </div>
 
+    <div class="section">
+      <div style="font-weight:600;margin-bottom:6px">Scheduled</div>
+      <div class="scheduled-list" id="scheduled-list"></div>
+    </div>
+
     <div class="section">
       <div style="font-weight:600;margin-bottom:6px">Notes</div>
       <textarea id="note" style="width:100%;min-height:80px;background:#0f191f;color:var(--ink);border:1px solid var(--line);border-radius:8px;padding:8px" placeholder="Internal notes (not sent to the client)"></textarea>
       <div class="buttons"><button class="ghost" id="saveNote">Save note</button></div>
+      <div class="note-history" id="note-history"></div>
     </div>
 
     <div class="section">
@@ -216,6 +424,84 @@ function createProductionHTML(bundledJS) {
 
 <div class="toast" id="toast"></div>
 
+<!-- Quiet Hours Modal -->
+<div class="quiet-hours-modal" id="quiet-hours-modal">
+  <div class="quiet-hours-content">
+    <div class="quiet-hours-title">Quiet hours</div>
+    <div class="quiet-hours-text" id="quiet-hours-text"></div>
+    <div class="quiet-hours-actions">
+      <button id="quiet-hours-schedule">Schedule</button>
+      <button id="quiet-hours-send">Send now anyway</button>
+      <button id="quiet-hours-cancel">Cancel</button>
+    </div>
+  </div>
+</div>
+
+<!-- New Conversation Modal -->
+<div class="new-conversation-modal" id="new-conversation-modal">
+  <form class="new-conversation-content" id="new-conversation-form">
+    <div class="new-conversation-title">New conversation</div>
+    <input type="tel" id="new-conversation-number" placeholder="+54 9 11 1234 5678" autocomplete="off">
+    <div class="new-conversation-hint">International format with the country code; spaces and dashes are fine</div>
+    <input type="text" id="new-conversation-name" placeholder="Name (optional)" autocomplete="off">
+    <input type="text" id="new-conversation-tags" placeholder="Tags, separated by commas (optional)" autocomplete="off">
+    <select id="new-conversation-quick-reply"></select>
+    <textarea id="new-conversation-message" placeholder="First message, e.g. Hi {{first_name}}, ..."></textarea>
+    <div class="new-conversation-error" id="new-conversation-error"></div>
+    <div class="new-conversation-actions">
+      <button type="button" class="ghost" id="new-conversation-cancel">Cancel</button>
+      <button type="submit" id="new-conversation-submit">Start conversation</button>
+    </div>
+  </form>
+</div>
+
+<!-- Campaign Modal -->
+<div class="campaign-modal" id="campaign-modal">
+  <div class="campaign-content">
+    <div class="campaign-head">
+      <div class="campaign-title">Broadcast campaign</div>
+      <button class="ghost" id="campaign-close" title="Close">✕</button>
+    </div>
+    <form class="campaign-composer" id="campaign-composer">
+      <input type="text" id="campaign-name" placeholder="Campaign name" autocomplete="off">
+      <label class="campaign-field">Recipients
+        <select id="campaign-source"></select>
+      </label>
+      <div class="campaign-kind">
+        <label><input type="radio" name="campaign-kind" value="text" checked> Text</label>
+        <label><input type="radio" name="campaign-kind" value="voice"> Voice note</label>
+      </div>
+      <div id="campaign-text-template">
+        <select id="campaign-quick-reply"></select>
+        <textarea id="campaign-text" placeholder="Message, e.g. Hi {{first_name}}, ..."></textarea>
+        <div class="campaign-hint">{{name}}, {{first_name}}, {{number}} and {{operator}} are filled in per recipient</div>
+      </div>
+      <select id="campaign-voice" hidden></select>
+      <div class="campaign-preview-head">
+        <span id="campaign-recipient-count"></span>
+        <button type="button" class="ghost" id="campaign-toggle-all">Select none</button>
+      </div>
+      <div class="campaign-preview" id="campaign-preview"></div>
+      <div class="campaign-actions">
+        <button type="submit" id="campaign-start">Start campaign</button>
+      </div>
+    </form>
+    <div class="campaign-progress" id="campaign-progress" hidden></div>
+    <div class="campaign-history" id="campaign-history"></div>
+  </div>
+</div>
+
+<!-- Login Modal -->
+<div class="login-modal" id="login-modal">
+  <form class="login-content" id="login-form">
+    <div class="login-title">Sign in</div>
+    <div class="login-message" id="login-message"></div>
+    <input id="login-username" name="username" placeholder="Username" autocomplete="username" required />
+    <input id="login-password" name="password" type="password" placeholder="Password" autocomplete="current-password" required />
+    <button class="login-submit" id="login-submit" type="submit">Sign in</button>
+  </form>
+</div>
+
 <script>
 ${bundledJS}
 </script>
@@ -249,9 +535,15 @@ function build() {
   fs.writeFileSync(path.join(BUILD_DIR, 'index.html'), productionHTML);
   fs.writeFileSync(path.join(BUILD_DIR, 'app.js'), bundledJS);
   
+  // Bundled voice notes are fetched at runtime to seed the voice library
+  if (fs.existsSync(AUDIO_DIR)) {
+    fs.cpSync(AUDIO_DIR, path.join(BUILD_DIR, AUDIO_DIR), { recursive: true });
+  }
+  
   console.log('✅ Build completed successfully!');
   console.log(`📁 Output: ${BUILD_DIR}/index.html`);
   console.log(`📁 Output: ${BUILD_DIR}/app.js`);
+  console.log(`📁 Output: ${BUILD_DIR}/${AUDIO_DIR}/`);
 }
 
 // Run build
@@ -4,8 +4,41 @@
  */
 
 class ApiService {
-  constructor(config) {
+  constructor(config, authService = null) {
     this.config = config;
+    this.authService = authService;
+    this.phone = new PhoneService();
+  }
+
+  /**
+   * Call a backend endpoint with the operator's credentials
+   * Retries once after refreshing the token, and ends the session if the backend still refuses it
+   * @param {string} path - Endpoint path relative to API_BASE
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Response>} Fetch response
+   */
+  async request(path, options = {}) {
+    const send = async () => {
+      const headers = { ...(options.headers || {}) };
+      const token = this.authService ? await this.authService.getAccessToken() : null;
+      if (token) {
+        headers.Authorization = `Bearer ${token}`;
+      }
+      return fetch(`${this.config.API_BASE}${path}`, { ...options, headers });
+    };
+
+    let response = await send();
+
+    if (response.status === 401 && this.authService) {
+      if (await this.authService.refresh()) {
+        response = await send();
+      }
+      if (response.status === 401) {
+        this.authService.expireSession();
+      }
+    }
+
+    return response;
   }
 
   /**
@@ -14,13 +47,13 @@ class ApiService {
    */
   async fetchConversations() {
     try {
-      const response = await fetch(`${this.config.API_BASE}${this.config.ENDPOINTS.GET_ALL_CONVERSATIONS}`);
+      const response = await this.request(this.config.ENDPOINTS.GET_ALL_CONVERSATIONS);
       const data = await response.json();
       
       if (data.status === 200) {
         return {
           success: true,
-          data: data.numbers.map((number, index) => this.mapConversationData(number, index))
+          data: data.numbers.map(number => this.mapConversationData(number))
         };
       } else {
         return {
@@ -46,7 +79,7 @@ class ApiService {
     try {
       console.log('fetching conversation info for', phoneNumber);
       console.log('To the URL:', `${this.config.API_BASE}${this.config.ENDPOINTS.GET_CONVERSATION_INFO}/${phoneNumber}`);
-      const response = await fetch(`${this.config.API_BASE}${this.config.ENDPOINTS.GET_CONVERSATION_INFO}/${phoneNumber}`);
+      const response = await this.request(`${this.config.ENDPOINTS.GET_CONVERSATION_INFO}/${phoneNumber}`);
       const data = await response.json();
       
       console.log('data::::::::::::::::', data);
@@ -78,7 +111,7 @@ class ApiService {
    */
   async sendIntervention(phoneNumber, message) {
     try {
-      const response = await fetch(`${this.config.API_BASE}${this.config.ENDPOINTS.SEND_INTERVENTION}`, {
+      const response = await this.request(this.config.ENDPOINTS.SEND_INTERVENTION, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -102,6 +135,7 @@ class ApiService {
       console.error('Error sending intervention:', error);
       return {
         success: false,
+        networkError: true,
         error: error.message
       };
     }
@@ -111,18 +145,20 @@ class ApiService {
    * Send a voice message to a contact
    * @param {string} phoneNumber - The phone number to send to
    * @param {string} base64Audio - Base64 encoded audio data
+   * @param {string} mimeType - Format of the audio, e.g. "audio/ogg; codecs=opus"
    * @returns {Promise<Object>} Send result
    */
-  async sendVoiceMessage(phoneNumber, base64Audio) {
+  async sendVoiceMessage(phoneNumber, base64Audio, mimeType) {
     try {
-      console.log('Sending voice message to:', phoneNumber, 'Audio length:', base64Audio.length);
+      console.log('Sending voice message to:', phoneNumber, 'Audio length:', base64Audio.length, 'Format:', mimeType);
       
-      const response = await fetch(`${this.config.API_BASE}${this.config.ENDPOINTS.SEND_INTERVENTION}`, {
+      const response = await this.request(this.config.ENDPOINTS.SEND_INTERVENTION, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           number: phoneNumber,
-          audio: base64Audio
+          audio: base64Audio,
+          mimeType
         })
       });
       
@@ -142,6 +178,549 @@ class ApiService {
       }
     } catch (error) {
       console.error('Error sending voice message:', error);
+      return {
+        success: false,
+        networkError: true,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Fetch internal notes for a conversation
+   * @param {string} phoneNumber - The phone number the notes belong to
+   * @returns {Promise<Object>} Notes result
+   */
+  async fetchNotes(phoneNumber) {
+    try {
+      const response = await this.request(`${this.config.ENDPOINTS.NOTES}/${phoneNumber}`);
+
+      if (this.isUnsupportedResponse(response)) {
+        return {
+          success: false,
+          unsupported: true,
+          error: 'Notes are not supported by the backend'
+        };
+      }
+
+      const data = await response.json();
+
+      if (response.ok) {
+        return {
+          success: true,
+          data: (data.notes || []).map(note => this.mapNoteData(note))
+        };
+      } else {
+        return {
+          success: false,
+          error: data.message || 'Error loading notes'
+        };
+      }
+    } catch (error) {
+      console.error('Error fetching notes:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Save an internal note for a conversation
+   * @param {string} phoneNumber - The phone number the note belongs to
+   * @param {Object} note - Note with text, author and createdAt
+   * @returns {Promise<Object>} Save result
+   */
+  async saveNote(phoneNumber, note) {
+    try {
+      const response = await this.request(this.config.ENDPOINTS.NOTES, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          number: phoneNumber,
+          text: note.text,
+          author: note.author,
+          createdAt: note.createdAt
+        })
+      });
+
+      if (this.isUnsupportedResponse(response)) {
+        return {
+          success: false,
+          unsupported: true,
+          error: 'Notes are not supported by the backend'
+        };
+      }
+
+      const data = await response.json();
+
+      if (response.ok) {
+        return {
+          success: true,
+          data: this.mapNoteData(data.note || { ...note, ...data })
+        };
+      } else {
+        return {
+          success: false,
+          error: data.message || 'Failed to save note'
+        };
+      }
+    } catch (error) {
+      console.error('Error saving note:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Fetch the tag palette (tag names and their colors)
+   * @returns {Promise<Object>} Palette result mapping tag name to color
+   */
+  async fetchTagPalette() {
+    try {
+      const response = await this.request(this.config.ENDPOINTS.TAGS);
+
+      if (this.isUnsupportedResponse(response)) {
+        return {
+          success: false,
+          unsupported: true,
+          error: 'Tags are not supported by the backend'
+        };
+      }
+
+      const data = await response.json();
+
+      if (response.ok) {
+        const palette = {};
+        (data.tags || []).forEach(tag => {
+          if (tag && tag.name) {
+            palette[tag.name] = tag.color || null;
+          }
+        });
+        return {
+          success: true,
+          data: palette
+        };
+      } else {
+        return {
+          success: false,
+          error: data.message || 'Error loading tags'
+        };
+      }
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Save the tag palette
+   * @param {Object} palette - Map of tag name to color
+   * @returns {Promise<Object>} Save result
+   */
+  async saveTagPalette(palette) {
+    try {
+      const response = await this.request(this.config.ENDPOINTS.TAGS, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          tags: Object.entries(palette).map(([name, color]) => ({ name, color }))
+        })
+      });
+
+      if (this.isUnsupportedResponse(response)) {
+        return {
+          success: false,
+          unsupported: true,
+          error: 'Tags are not supported by the backend'
+        };
+      }
+
+      if (response.ok) {
+        return {
+          success: true,
+          data: palette
+        };
+      } else {
+        return {
+          success: false,
+          error: 'Failed to save tag colors'
+        };
+      }
+    } catch (error) {
+      console.error('Error saving tag palette:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Replace the tags of a contact
+   * @param {string} phoneNumber - The phone number of the contact
+   * @param {Array} tags - Tag names
+   * @returns {Promise<Object>} Save result
+   */
+  async saveConversationTags(phoneNumber, tags) {
+    try {
+      const response = await this.request(this.config.ENDPOINTS.CONVERSATION_TAGS, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ number: phoneNumber, tags })
+      });
+
+      if (this.isUnsupportedResponse(response)) {
+        return {
+          success: false,
+          unsupported: true,
+          error: 'Tags are not supported by the backend'
+        };
+      }
+
+      if (response.ok) {
+        return {
+          success: true,
+          data: tags
+        };
+      } else {
+        return {
+          success: false,
+          error: 'Failed to save tags'
+        };
+      }
+    } catch (error) {
+      console.error('Error saving tags:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Register a contact the operator is starting a conversation with
+   * @param {string} phoneNumber - The phone number in E.164 format
+   * @param {string} name - Contact name, empty when not given
+   * @returns {Promise<Object>} Save result
+   */
+  async saveContact(phoneNumber, name) {
+    try {
+      const response = await this.request(this.config.ENDPOINTS.CONTACTS, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ number: phoneNumber, name })
+      });
+
+      if (this.isUnsupportedResponse(response)) {
+        return {
+          success: false,
+          unsupported: true,
+          error: 'Contacts are not supported by the backend'
+        };
+      }
+
+      if (response.ok) {
+        return {
+          success: true,
+          data: { number: phoneNumber, name }
+        };
+      } else {
+        return {
+          success: false,
+          error: 'Failed to save contact'
+        };
+      }
+    } catch (error) {
+      console.error('Error saving contact:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Ask the backend to send a message at a later time
+   * @param {string} phoneNumber - The phone number to send to
+   * @param {Object} message - text, or audio and mimeType for a voice note, and sendAt as an ISO date
+   * @returns {Promise<Object>} Schedule result with the backend ID of the scheduled message
+   */
+  async scheduleMessage(phoneNumber, message) {
+    try {
+      const response = await this.request(this.config.ENDPOINTS.SCHEDULED, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          number: phoneNumber,
+          message: message.text,
+          audio: message.audio,
+          mimeType: message.mimeType,
+          sendAt: message.sendAt
+        })
+      });
+
+      if (this.isUnsupportedResponse(response)) {
+        return {
+          success: false,
+          unsupported: true,
+          error: 'Scheduled messages are not supported by the backend'
+        };
+      }
+
+      if (response.ok) {
+        const data = await response.json();
+        return {
+          success: true,
+          data: { id: String(data.id ?? data.data?.id) }
+        };
+      } else {
+        return {
+          success: false,
+          error: 'Failed to schedule message'
+        };
+      }
+    } catch (error) {
+      console.error('Error scheduling message:', error);
+      return {
+        success: false,
+        networkError: true,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Change the time or text of a message scheduled on the backend
+   * @param {string} id - Backend ID of the scheduled message
+   * @param {Object} changes - sendAt as an ISO date, and text for text messages
+   * @returns {Promise<Object>} Update result
+   */
+  async updateScheduledMessage(id, changes) {
+    try {
+      const response = await this.request(`${this.config.ENDPOINTS.SCHEDULED}/${encodeURIComponent(id)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          message: changes.text,
+          sendAt: changes.sendAt
+        })
+      });
+
+      if (response.ok) {
+        return {
+          success: true,
+          data: { id, ...changes }
+        };
+      } else {
+        return {
+          success: false,
+          error: response.status === 404 ? 'The message was already sent' : 'Failed to update scheduled message'
+        };
+      }
+    } catch (error) {
+      console.error('Error updating scheduled message:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Cancel a message scheduled on the backend
+   * @param {string} id - Backend ID of the scheduled message
+   * @returns {Promise<Object>} Cancel result, notFound when the backend no longer has it
+   */
+  async cancelScheduledMessage(id) {
+    try {
+      const response = await this.request(`${this.config.ENDPOINTS.SCHEDULED}/${encodeURIComponent(id)}`, {
+        method: 'DELETE'
+      });
+
+      if (response.ok) {
+        return {
+          success: true,
+          data: id
+        };
+      } else {
+        return {
+          success: false,
+          notFound: response.status === 404,
+          error: 'Failed to cancel scheduled message'
+        };
+      }
+    } catch (error) {
+      console.error('Error cancelling scheduled message:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Fetch the saved views of the signed-in operator
+   * @returns {Promise<Object>} Views in tab order
+   */
+  async fetchViews() {
+    try {
+      const response = await this.request(this.config.ENDPOINTS.VIEWS);
+
+      if (this.isUnsupportedResponse(response)) {
+        return {
+          success: false,
+          unsupported: true,
+          error: 'Saved views are not supported by the backend'
+        };
+      }
+
+      const data = await response.json();
+
+      if (response.ok) {
+        return {
+          success: true,
+          data: (data.views || [])
+            .filter(view => view && view.id !== undefined && view.id !== null)
+            .map(view => ({ id: String(view.id), name: view.name || '', query: view.query || '' }))
+        };
+      } else {
+        return {
+          success: false,
+          error: data.message || 'Error loading views'
+        };
+      }
+    } catch (error) {
+      console.error('Error fetching views:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Save the views of the signed-in operator
+   * @param {Array} views - Views with id, name and query, in tab order
+   * @returns {Promise<Object>} Save result
+   */
+  async saveViews(views) {
+    try {
+      const response = await this.request(this.config.ENDPOINTS.VIEWS, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          views: views.map(({ id, name, query }) => ({ id, name, query }))
+        })
+      });
+
+      if (this.isUnsupportedResponse(response)) {
+        return {
+          success: false,
+          unsupported: true,
+          error: 'Saved views are not supported by the backend'
+        };
+      }
+
+      if (response.ok) {
+        return {
+          success: true,
+          data: views
+        };
+      } else {
+        return {
+          success: false,
+          error: 'Failed to save views'
+        };
+      }
+    } catch (error) {
+      console.error('Error saving views:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Fetch the shared quick reply library
+   * @returns {Promise<Object>} Quick replies
+   */
+  async fetchQuickReplies() {
+    try {
+      const response = await this.request(this.config.ENDPOINTS.QUICK_REPLIES);
+
+      if (this.isUnsupportedResponse(response)) {
+        return {
+          success: false,
+          unsupported: true,
+          error: 'Quick replies are not supported by the backend'
+        };
+      }
+
+      const data = await response.json();
+
+      if (response.ok) {
+        return {
+          success: true,
+          data: (data.replies || [])
+            .filter(reply => reply && reply.id !== undefined && reply.id !== null && reply.text)
+            .map(reply => this.mapQuickReplyData(reply))
+        };
+      } else {
+        return {
+          success: false,
+          error: data.message || 'Error loading quick replies'
+        };
+      }
+    } catch (error) {
+      console.error('Error fetching quick replies:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Create or update a quick reply
+   * @param {Object} reply - Quick reply with id, title, category, shortcut and text
+   * @returns {Promise<Object>} Save result
+   */
+  async saveQuickReply(reply) {
+    try {
+      const response = await this.request(`${this.config.ENDPOINTS.QUICK_REPLIES}/${encodeURIComponent(reply.id)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(reply)
+      });
+
+      if (this.isUnsupportedResponse(response)) {
+        return {
+          success: false,
+          unsupported: true,
+          error: 'Quick replies are not supported by the backend'
+        };
+      }
+
+      if (response.ok) {
+        return {
+          success: true,
+          data: reply
+        };
+      } else {
+        return {
+          success: false,
+          error: 'Failed to save quick reply'
+        };
+      }
+    } catch (error) {
+      console.error('Error saving quick reply:', error);
       return {
         success: false,
         error: error.message
@@ -149,47 +728,190 @@ class ApiService {
     }
   }
 
+  /**
+   * Delete a quick reply
+   * @param {string} id - Quick reply ID
+   * @returns {Promise<Object>} Delete result
+   */
+  async deleteQuickReply(id) {
+    try {
+      const response = await this.request(`${this.config.ENDPOINTS.QUICK_REPLIES}/${encodeURIComponent(id)}`, {
+        method: 'DELETE'
+      });
+
+      if (this.isUnsupportedResponse(response)) {
+        return {
+          success: false,
+          unsupported: true,
+          error: 'Quick replies are not supported by the backend'
+        };
+      }
+
+      if (response.ok) {
+        return {
+          success: true,
+          data: id
+        };
+      } else {
+        return {
+          success: false,
+          error: 'Failed to delete quick reply'
+        };
+      }
+    } catch (error) {
+      console.error('Error deleting quick reply:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Pause or resume the bot for a conversation (operator handoff)
+   * @param {string} phoneNumber - The phone number of the conversation
+   * @param {boolean} paused - True when an operator takes over, false to hand back to the bot
+   * @returns {Promise<Object>} Handoff result
+   */
+  async setBotPaused(phoneNumber, paused) {
+    const endpoint = paused ? this.config.ENDPOINTS.BOT_PAUSE : this.config.ENDPOINTS.BOT_RESUME;
+
+    try {
+      const response = await this.request(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ number: phoneNumber })
+      });
+
+      if (this.isUnsupportedResponse(response)) {
+        return {
+          success: false,
+          unsupported: true,
+          error: 'Bot handoff is not supported by the backend'
+        };
+      }
+
+      if (response.ok) {
+        return {
+          success: true,
+          data: await response.json()
+        };
+      } else {
+        return {
+          success: false,
+          error: paused ? 'Failed to pause the bot' : 'Failed to resume the bot'
+        };
+      }
+    } catch (error) {
+      console.error('Error updating bot handoff:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Check whether a response means the endpoint does not exist on the backend
+   * @param {Response} response - Fetch response
+   * @returns {boolean} Whether the endpoint is unsupported
+   */
+  isUnsupportedResponse(response) {
+    return [404, 405, 501].includes(response.status);
+  }
+
+  /**
+   * Map a backend quick reply to the format used by the UI
+   * @param {Object} reply - Raw quick reply
+   * @returns {Object} Quick reply with id, title, category, shortcut and text
+   */
+  mapQuickReplyData(reply) {
+    return {
+      id: String(reply.id),
+      title: reply.title || reply.text.slice(0, 40),
+      category: reply.category || '',
+      shortcut: reply.shortcut || '',
+      text: reply.text
+    };
+  }
+
+  /**
+   * Map note data from API response to internal format
+   * @param {Object} note - Raw note data from API
+   * @returns {Object} Mapped note data
+   */
+  mapNoteData(note) {
+    return {
+      id: note.id || note._id || `note-${Date.now()}`,
+      text: note.text || note.note || '',
+      author: note.author || this.config.DEFAULT_OPERATOR_NAME,
+      createdAt: note.createdAt || note.created_at || new Date().toISOString(),
+      isLocal: false
+    };
+  }
+
   /**
    * Map conversation data from API response to internal format
    * @param {Object} number - Raw conversation data from API
-   * @param {number} index - Index for generating ID
    * @returns {Object} Mapped conversation data
    */
-  mapConversationData(number, index) {
-    console.log('number::::::::::::::::', number);
+  mapConversationData(number) {
     return {
-      id: `c${index + 1}`,
+      id: this.getConversationId(number.number),
       name: number.name,
       initials: this.getInitials(number.name),
       number: number.number,
       src: 'Whats',
-      tags: [...this.config.DEFAULT_TAGS],
+      tags: Array.isArray(number.tags) ? number.tags.map(tag => String(tag)) : null, // null when the backend does not track tags
       unread: 0,
       needsAttention: !number.interview,
       interview: number.interview,
+      botPaused: this.mapBotPaused(number),
+      assignedTo: this.mapOperatorData(number.assignedTo ?? number.assigned_to),
       messages: (number.history || []).map(msg => this.mapMessageData(msg))
     };
   }
 
-  mapConversationData2(number, index) {
-    console.log('number::::::::::::::::', number);
-    console.log('index::::::::::::::::', index);
+  /**
+   * Build the stable conversation ID for a phone number
+   * The ID keeps every digit so stored data stays attached to it; use PhoneService.isSameNumber to match numbers
+   * @param {string} phoneNumber - Phone number in any format
+   * @returns {string} Conversation ID
+   */
+  getConversationId(phoneNumber) {
+    return `c${this.phone.normalize(phoneNumber)}`;
+  }
+
+  /**
+   * Read the bot handoff flag from a raw conversation, if the backend reports one
+   * @param {Object} number - Raw conversation data from API
+   * @returns {boolean|null} Whether the bot is paused, or null when unknown
+   */
+  mapBotPaused(number) {
+    const flag = number.botPaused ?? number.bot_paused ?? number.manual;
+    return typeof flag === 'boolean' ? flag : null;
+  }
+
+  /**
+   * Map an operator reference from the backend
+   * @param {Object|string|null|undefined} operator - Operator object or ID
+   * @returns {Object|null|undefined} Operator with id and name, null when explicitly unassigned, undefined when unknown
+   */
+  mapOperatorData(operator) {
+    if (operator === undefined) return undefined;
+    if (!operator) return null;
+
+    if (typeof operator !== 'object') {
+      return { id: String(operator), name: String(operator) };
+    }
+
+    const id = operator.id ?? operator._id ?? operator.username;
     return {
-      // id: `c${index + 1}`,
-      id: `c${index}`,
-      name: number.number.name,
-      initials: this.getInitials(number.number.name),
-      number: number.number.number,
-      src: 'Whats',
-      tags: [...this.config.DEFAULT_TAGS],
-      unread: 0,
-      needsAttention: !number.number.interview,
-      interview: number.number.interview,
-      messages: (number.number.history || []).map(msg => this.mapMessageData(msg))
+      id: String(id),
+      name: operator.name || operator.username || String(id)
     };
   }
 
-
   /**
    * Map message data from API response to internal format
    * @param {Object} msg - Raw message data from API
@@ -205,7 +927,7 @@ class ApiService {
       label: messageType.label,
       color: messageType.color,
       text: msg.message,
-      timestamp: new Date(), // You might want to add timestamp to your API
+      timestamp: this.parseTimestamp(msg.timestamp ?? msg.createdAt ?? msg.created_at ?? msg.date ?? msg.time),
       isAudio: msg.isaudio || false
     };
 
@@ -221,6 +943,30 @@ class ApiService {
     return mappedMessage;
   }
 
+  /**
+   * Parse a timestamp from the API
+   * Accepts Date objects, ISO strings and epoch values in seconds or milliseconds
+   * @param {*} value - Raw timestamp value
+   * @returns {Date|null} Parsed date, or null when missing or invalid
+   */
+  parseTimestamp(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? null : value;
+    }
+
+    if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+      const epoch = Number(value);
+      // Epoch seconds stay below 1e12 until the year 33658, anything larger is milliseconds
+      const date = new Date(epoch < 1e12 ? epoch * 1000 : epoch);
+      return isNaN(date.getTime()) ? null : date;
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
   /**
    * Convert base64 audio data to blob URL
    * @param {string} base64Data - Base64 encoded audio data
@@ -240,7 +986,7 @@ class ApiService {
       
       // Check if data URL format with MIME type
       if (base64Data.startsWith('data:')) {
-        const mimeMatch = base64Data.match(/^data:([^;]+);base64,/);
+        const mimeMatch = base64Data.match(/^data:([^;,]+)[^,]*;base64,/);
         if (mimeMatch) {
           mimeType = mimeMatch[1];
           console.log('Detected MIME type from data URL:', mimeType);
@@ -248,7 +994,7 @@ class ApiService {
       }
       
       // Auto-detect common audio formats from base64 header
-      const base64Audio = base64Data.replace(/^data:[^;]+;base64,/, '');
+      const base64Audio = base64Data.replace(/^data:[^,]*;base64,/, '');
       
       // Validate base64 format
       if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64Audio)) {
@@ -7,8 +7,41 @@ class WhatsAppAdminApp {
   constructor() {
     this.config = window.CONFIG;
     this.stateManager = new StateManager();
-    this.apiService = new ApiService(this.config);
+    this.storage = new StorageService(this.config.STORAGE_PREFIX);
+    this.authService = new AuthService(this.config, this.storage, {
+      onSessionExpired: () => this.endSession('Your session expired, please sign in again')
+    });
+    this.apiService = new ApiService(this.config, this.authService);
+    this.phone = new PhoneService();
+    this.database = new DatabaseService(this.config);
+    this.outbox = new OutboxService(this.database);
+    this.voiceLibrary = new VoiceLibraryService(this.database, this.storage);
+    this.campaigns = new CampaignService(this.config, this.storage, {
+      send: (campaign, recipient) => this.sendCampaignMessage(campaign, recipient),
+      onChange: (campaigns) => this.stateManager.setCampaigns(campaigns)
+    });
+    this.scheduler = new SchedulerService(this.config, {
+      onTick: () => this.releaseDueMessages()
+    });
     this.socketService = null;
+    this.lastActiveConversationId = null;
+    this.pendingMessageEvents = new Map();
+    this.conversationFetches = new Map();
+    this.temporaryMessageCounter = 0;
+    this.outboxRestored = false;
+    this.isFlushingOutbox = false;
+    this.isReleasingDue = false;
+    this.schedulingInFlight = new Set(); // Outbox IDs being handed to the backend right now
+    this.schedulingRetryAt = 0;
+    this.disconnectedAt = null;
+    this.handshakeRefreshed = false; // A rejected handshake already got a fresh token
+    this.operatorTypingTimer = null;
+    this.notesBackendAvailable = true;
+    this.tagsBackendAvailable = true;
+    this.viewsBackendAvailable = true;
+    this.quickRepliesBackendAvailable = true;
+    this.contactsBackendAvailable = true;
+    this.schedulingBackendAvailable = true;
     this.uiManager = null;
     
     this.init();
@@ -27,12 +60,13 @@ class WhatsAppAdminApp {
       
       // Setup event listeners
       this.setupEventListeners();
-      
-      // Initialize Socket.IO
-      this.initializeSocket();
-      
-      // Load initial data
-      await this.loadConversations();
+
+      // Nothing is loaded until an operator is signed in
+      if (this.authService.isAuthenticated()) {
+        await this.startSession();
+      } else {
+        this.uiManager.showLoginModal();
+      }
       
       console.log('WhatsApp Admin Panel initialized successfully');
     } catch (error) {
@@ -41,15 +75,164 @@ class WhatsAppAdminApp {
     }
   }
 
+  /**
+   * Connect and load data for the signed-in operator
+   */
+  async startSession() {
+    // Restore operator handoffs from the last session
+    this.stateManager.setManualModes(this.storage.get('manualModes', {}));
+    this.stateManager.setTimeZones(this.storage.get('timeZones', {}));
+    this.stateManager.setCurrentOperator(this.getOperator());
+    this.loadTagPalette();
+    this.loadViews();
+    this.loadQuickReplies();
+    this.loadVoiceNotes();
+    this.stateManager.setCampaigns(this.campaigns.getAll());
+
+    // Initialize Socket.IO
+    this.initializeSocket();
+
+    // Load initial data
+    await this.loadConversations();
+  }
+
+  /**
+   * Sign in with the credentials from the login form
+   * @param {Object} credentials - Username and password
+   */
+  async login(credentials) {
+    const result = await this.authService.login(credentials.username, credentials.password);
+
+    if (!result.success) {
+      this.uiManager.showLoginError(result.error);
+      return;
+    }
+
+    this.uiManager.hideLoginModal();
+    this.uiManager.showToast(`Signed in as ${this.getOperatorName()}`);
+    await this.startSession();
+  }
+
+  /**
+   * Sign out on request of the operator
+   */
+  async logout() {
+    await this.authService.logout();
+    this.endSession();
+  }
+
+  /**
+   * Drop the connection and all loaded data, then ask for credentials again
+   * @param {string} message - Optional reason shown on the login form
+   */
+  endSession(message = '') {
+    // A running campaign cannot send without a session, the operator resumes it after signing in
+    this.campaigns.getAll()
+      .filter(campaign => campaign.status === 'running')
+      .forEach(campaign => this.campaigns.pause(campaign.id, 'Signed out'));
+
+    if (this.socketService) {
+      this.socketService.disconnect();
+      this.socketService = null;
+    }
+
+    this.scheduler.stop();
+    this.disconnectedAt = null;
+    this.handshakeRefreshed = false;
+    this.outboxRestored = false;
+    this.lastActiveConversationId = null;
+    this.stateManager.reset();
+    this.uiManager.updateConnectionStatus(false);
+    this.uiManager.showLoginModal(message);
+  }
+
   /**
    * Setup state change subscriptions
    */
   setupStateSubscriptions() {
     this.stateManager.subscribe((state) => {
+      this.uiManager.renderViewTabs();
       this.uiManager.renderConversationList();
       this.uiManager.renderConversationHeader();
       this.uiManager.renderConversationThread();
+      this.uiManager.renderNotes();
+      this.uiManager.renderScheduledMessages();
+      this.uiManager.renderQuickReplyPicker();
+      this.uiManager.renderCampaigns();
+      this.uiManager.updateUnreadIndicators(this.stateManager.getTotalUnread());
+
+      if (state.activeConversationId !== this.lastActiveConversationId) {
+        this.lastActiveConversationId = state.activeConversationId;
+        this.handleActiveConversationChange();
+      }
+    });
+  }
+
+  /**
+   * Load per-conversation data when a different conversation becomes active
+   */
+  handleActiveConversationChange() {
+    const conversation = this.stateManager.getActiveConversation();
+    if (!conversation) return;
+
+    this.uiManager.restoreDraft(conversation);
+    this.uiManager.clearSendLater();
+    this.markConversationRead(conversation);
+    this.loadNotes(conversation);
+    this.announceViewing();
+  }
+
+  /**
+   * Mark every message of a conversation as read and remember it across reloads
+   * @param {Object} conversation - Conversation data
+   */
+  markConversationRead(conversation) {
+    const messages = this.stateManager.sortMessages(conversation.messages);
+    const lastMessage = messages[messages.length - 1];
+
+    if (lastMessage) {
+      const lastRead = this.storage.get('lastRead', {});
+      lastRead[conversation.id] = {
+        id: lastMessage.id,
+        timestamp: lastMessage.timestamp || new Date()
+      };
+      this.storage.set('lastRead', lastRead);
+    }
+
+    this.stateManager.setUnread(conversation.id, 0);
+  }
+
+  /**
+   * Recompute unread counters from the persisted last-read markers
+   */
+  syncUnreadCounts() {
+    const lastRead = this.storage.get('lastRead', {});
+    const activeId = this.stateManager.getState().activeConversationId;
+    let markersChanged = false;
+
+    this.stateManager.getState().conversations.forEach(conversation => {
+      if (conversation.id === activeId) {
+        this.markConversationRead(conversation);
+        return;
+      }
+
+      if (!lastRead[conversation.id]) {
+        // First time this contact is seen: start from its current history instead of flagging it all as unread
+        const messages = this.stateManager.sortMessages(conversation.messages);
+        const lastMessage = messages[messages.length - 1];
+        if (lastMessage) {
+          lastRead[conversation.id] = { id: lastMessage.id, timestamp: lastMessage.timestamp };
+          markersChanged = true;
+        }
+        return;
+      }
+
+      this.stateManager.setUnread(conversation.id, this.stateManager.countUnreadSince(conversation, lastRead[conversation.id]));
     });
+
+    if (markersChanged) {
+      this.storage.set('lastRead', { ...this.storage.get('lastRead', {}), ...lastRead });
+    }
   }
 
   /**
@@ -64,14 +247,32 @@ class WhatsAppAdminApp {
 
     // Select conversation
     document.addEventListener('selectConversation', (e) => {
+      const activeId = this.stateManager.getState().activeConversationId;
+      if (activeId && activeId !== e.detail) {
+        this.stateManager.setDraft(activeId, this.uiManager.getComposerText());
+      }
       this.stateManager.setActiveConversation(e.detail);
     });
 
+    // Open a conversation at a message found by search
+    document.addEventListener('openMessage', (e) => {
+      const { conversationId, messageId } = e.detail;
+      const activeId = this.stateManager.getState().activeConversationId;
+      if (activeId && activeId !== conversationId) {
+        this.stateManager.setDraft(activeId, this.uiManager.getComposerText());
+      }
+      this.stateManager.setActiveConversation(conversationId);
+      this.uiManager.scrollToMessage(messageId);
+    });
+
+    // Start a conversation with a number that is not in the list yet
+    document.addEventListener('startConversation', async (e) => {
+      await this.startConversation(e.detail);
+    });
+
     // Toggle manual mode
-    document.addEventListener('toggleManualMode', () => {
-      const currentMode = this.stateManager.getState().isManualMode;
-      this.stateManager.setManualMode(!currentMode);
-      this.uiManager.showToast(currentMode ? 'Bot reactivated' : 'You have control');
+    document.addEventListener('toggleManualMode', async () => {
+      await this.toggleManualMode();
     });
 
     // Send message
@@ -79,9 +280,148 @@ class WhatsAppAdminApp {
       await this.sendMessage(e.detail);
     });
 
+    // Send voice note
+    document.addEventListener('sendVoiceMessage', async (e) => {
+      await this.sendVoiceMessage(e.detail);
+    });
+
+    // Time zone of the active contact
+    document.addEventListener('setTimeZone', (e) => {
+      this.setContactTimeZone(e.detail);
+    });
+
+    // Edit tags of the active conversation
+    document.addEventListener('addTag', (e) => {
+      this.addTag(e.detail);
+    });
+
+    document.addEventListener('removeTag', (e) => {
+      this.removeTag(e.detail);
+    });
+
+    document.addEventListener('renameTag', (e) => {
+      this.renameTag(e.detail.from, e.detail.to);
+    });
+
+    document.addEventListener('cycleTagColor', (e) => {
+      this.cycleTagColor(e.detail);
+    });
+
+    // Saved views
+    document.addEventListener('saveView', (e) => {
+      this.saveView(e.detail);
+    });
+
+    document.addEventListener('renameView', (e) => {
+      this.renameView(e.detail.id, e.detail.name);
+    });
+
+    document.addEventListener('deleteView', (e) => {
+      this.deleteView(e.detail);
+    });
+
+    document.addEventListener('moveView', (e) => {
+      this.moveView(e.detail.id, e.detail.beforeId);
+    });
+
+    // Quick reply library
+    document.addEventListener('saveQuickReply', (e) => {
+      this.saveQuickReply(e.detail);
+    });
+
+    document.addEventListener('deleteQuickReply', (e) => {
+      this.deleteQuickReply(e.detail);
+    });
+
+    // Voice note library
+    document.addEventListener('saveVoiceNote', (e) => {
+      this.saveVoiceNote(e.detail);
+    });
+
+    document.addEventListener('renameVoiceNote', (e) => {
+      this.renameVoiceNote(e.detail.id, e.detail.name);
+    });
+
+    document.addEventListener('deleteVoiceNote', (e) => {
+      this.deleteVoiceNote(e.detail);
+    });
+
+    document.addEventListener('moveVoiceNote', (e) => {
+      this.moveVoiceNote(e.detail.id, e.detail.beforeId);
+    });
+
+    // Claim or release the active conversation
+    document.addEventListener('toggleAssignment', () => {
+      this.toggleAssignment();
+    });
+
+    // Let other operators see that we are typing
+    document.addEventListener('composerTyping', () => {
+      this.announceTyping();
+    });
+
+    // Sign in and out
+    document.addEventListener('login', async (e) => {
+      await this.login(e.detail);
+    });
+
+    document.addEventListener('logout', async () => {
+      await this.logout();
+    });
+
+    // Skip the reconnection backoff
+    document.addEventListener('retryConnection', () => {
+      if (this.socketService) {
+        this.socketService.retryNow();
+      }
+    });
+
+    // Drain queued messages when the browser comes back online
+    window.addEventListener('online', () => {
+      this.flushOutbox();
+    });
+
+    // Retry or discard a message that failed to send
+    document.addEventListener('retryMessage', async (e) => {
+      await this.retryMessage(e.detail);
+    });
+
+    document.addEventListener('deleteMessage', async (e) => {
+      await this.deleteMessage(e.detail);
+    });
+
+    document.addEventListener('updateScheduledMessage', async (e) => {
+      await this.updateScheduledMessage(e.detail);
+    });
+
     // Save note
-    document.addEventListener('saveNote', () => {
-      this.uiManager.showToast('Note saved');
+    document.addEventListener('saveNote', async (e) => {
+      await this.saveNote(e.detail);
+    });
+
+    // Broadcast campaigns
+    document.addEventListener('startCampaign', (e) => {
+      this.startCampaign(e.detail);
+    });
+
+    document.addEventListener('pauseCampaign', (e) => {
+      this.campaigns.pause(e.detail, 'Paused by operator');
+    });
+
+    document.addEventListener('resumeCampaign', (e) => {
+      this.resumeCampaign(e.detail);
+    });
+
+    document.addEventListener('cancelCampaign', (e) => {
+      this.campaigns.cancel(e.detail);
+    });
+
+    document.addEventListener('deleteCampaign', (e) => {
+      this.campaigns.remove(e.detail);
+    });
+
+    document.addEventListener('downloadCampaignReport', (e) => {
+      this.downloadCampaignReport(e.detail);
     });
   }
 
@@ -91,13 +431,43 @@ class WhatsAppAdminApp {
   initializeSocket() {
     this.socketService = new SocketService(this.config, {
       onConnect: () => {
+        this.handshakeRefreshed = false;
         this.uiManager.updateConnectionStatus(true);
         this.uiManager.showToast('Connected to real-time updates');
+        this.flushOutbox();
+        this.announcePresence();
+
+        if (this.disconnectedAt) {
+          const since = this.disconnectedAt;
+          this.disconnectedAt = null;
+          this.syncChangedConversations(since);
+        }
       },
       
-      onDisconnect: () => {
+      onDisconnect: (reason) => {
+        // Keep the time of the first drop so repeated failures do not shrink the catch-up window
+        if (!this.disconnectedAt) {
+          this.disconnectedAt = Date.now();
+        }
         this.uiManager.updateConnectionStatus(false);
-        this.uiManager.showToast('Disconnected from real-time updates');
+        if (reason !== 'io client disconnect') {
+          this.uiManager.showToast('Disconnected from real-time updates');
+        }
+      },
+
+      onReconnecting: (reconnect) => {
+        this.uiManager.updateConnectionStatus(false, reconnect);
+      },
+
+      // Refresh the token once per streak of rejections, a rejection with a fresh token is not about the token
+      onAuthError: async (error) => {
+        console.warn('Socket handshake rejected:', error.message);
+        if (!this.handshakeRefreshed && await this.authService.refresh()) {
+          this.handshakeRefreshed = true;
+          this.socketService.reconnect();
+        } else {
+          this.authService.expireSession();
+        }
       },
       
       onNewMessage: (data) => {
@@ -109,7 +479,7 @@ class WhatsAppAdminApp {
       },
       
       onMessageSent: (data) => {
-        this.uiManager.showToast('Message sent successfully');
+        this.handleMessageSentAck(data);
       },
       
       onConversationUpdated: (data) => {
@@ -129,11 +499,19 @@ class WhatsAppAdminApp {
         }
       },
       
+      onOperatorPresence: (data) => {
+        this.handleOperatorPresence(data);
+      },
+
+      onConversationAssigned: (data) => {
+        this.handleConversationAssigned(data);
+      },
+      
       onError: (error) => {
         console.error('Socket error:', error);
         this.uiManager.showToast('Connection error occurred');
       }
-    });
+    }, this.authService);
 
     this.socketService.init();
   }
@@ -151,7 +529,15 @@ class WhatsAppAdminApp {
       
       if (result.success) {
         console.log('Setting conversations:', result.data);
-        this.stateManager.setConversations(result.data);
+        this.stateManager.setConversations(this.applyLocalTags(this.addLocalContacts(result.data)));
+        this.syncManualModes(result.data);
+        this.syncAssignments(result.data);
+        this.syncUnreadCounts();
+
+        if (!this.outboxRestored) {
+          this.outboxRestored = true;
+          await this.restoreOutbox();
+        }
         
         // Set first conversation as active if none selected
         if (result.data.length > 0 && !this.stateManager.getState().activeConversationId) {
@@ -170,87 +556,1507 @@ class WhatsAppAdminApp {
   }
 
   /**
-   * Handle new message from Socket.IO
-   * @param {Object} data - Message data
+   * Reload conversations that changed while the socket was disconnected
+   * Untouched conversations keep their current state so the open thread is not disturbed
+   * @param {number} since - Epoch milliseconds of the disconnect
    */
-  async handleNewMessage(data) {
-    const { number, message, typo } = data;
-    
-    // Find conversation by phone number
-    // let conversation = this.stateManager.findConversationByNumber(number);
-    
-    let conversation = null;
-    // console.log('conversation', conversation);
-    if (!conversation) {
-      // If conversation doesn't exist, fetch it from API
-      // console.log(`Conversation not found for number ${number}, fetching from API...`);
-      const result = await this.apiService.fetchConversationInfo(number);
-      
-      if (result.success) {
-        // Map the conversation data and add it to state
-        const conversationData = this.apiService.mapConversationData2(result.data, this.stateManager.getState().conversations.length);
-        console.log('conversationData::::::::::::::::', conversationData);
-        this.stateManager.updateConversation(conversationData);
-        conversation = conversationData;
-        console.log(`New conversation added: ${conversation.name}`);
-      } else {
-        console.error('Failed to fetch conversation info:', result.error);
-        this.uiManager.showToast('Failed to load conversation info');
+  async syncChangedConversations(since) {
+    try {
+      const result = await this.apiService.fetchConversations();
+      if (!result.success) {
+        console.error('Catch-up sync failed:', result.error);
         return;
       }
+
+      // Compare against what we already have rather than the local clock, which may drift from the server's
+      const changed = result.data.filter(conversation => {
+        const existing = this.stateManager.getState().conversations.find(c => c.id === conversation.id);
+        return !existing || this.stateManager.getLastActivity(conversation) > this.stateManager.getLastActivity(existing);
+      });
+
+      console.log(`Catch-up after ${Math.round((Date.now() - since) / 1000)}s offline: ${changed.length} conversation(s) changed`);
+
+      if (changed.length === 0) return;
+
+      this.stateManager.mergeConversations(this.applyLocalTags(changed));
+      this.syncManualModes(changed);
+      this.syncAssignments(changed);
+      this.syncUnreadCounts();
+
+      this.uiManager.showToast(`${changed.length} conversation${changed.length === 1 ? '' : 's'} updated while offline`);
+    } catch (error) {
+      console.error('Error syncing conversations after reconnect:', error);
     }
-    
+  }
+
+  /**
+   * Handle new message from Socket.IO
+   * Events are buffered per number for a short window so bursts are applied in one update
+   * @param {Object} data - Message data
+   */
+  handleNewMessage(data) {
+    const conversationId = this.apiService.getConversationId(data.number);
+    let batch = this.pendingMessageEvents.get(conversationId);
+
+    if (!batch) {
+      batch = { number: data.number, events: [] };
+      this.pendingMessageEvents.set(conversationId, batch);
+      setTimeout(() => this.flushMessageEvents(conversationId), this.config.UI.MESSAGE_BATCH_DELAY);
+    }
+
+    batch.events.push({ ...data, receivedAt: Date.now() });
+  }
+
+  /**
+   * Apply buffered socket messages for one conversation
+   * @param {string} conversationId - ID of the conversation
+   */
+  async flushMessageEvents(conversationId) {
+    const batch = this.pendingMessageEvents.get(conversationId);
+    this.pendingMessageEvents.delete(conversationId);
+    if (!batch) return;
+
+    const incoming = batch.events.map(data => this.apiService.mapMessageData({
+      id: data.id ?? this.createTemporaryMessageId(),
+      typo: data.typo,
+      message: data.message,
+      isaudio: data.isaudio,
+      timestamp: data.timestamp || data.receivedAt
+    }));
+
+    let conversation = this.stateManager.findConversationByNumber(batch.number);
+    const isNewConversation = !conversation;
+    let messages;
+
     if (conversation) {
-      // Map the message data properly
-      const messageData = this.apiService.mapMessageData({
-        id: Date.now(), // Temporary ID
-        typo: typo,
-        message: message
+      messages = incoming.filter(message => !this.stateManager.hasMessage(conversation.id, message.id));
+      if (messages.length === 0) return;
+    } else {
+      // Unknown number: its fetched history normally already contains these messages
+      conversation = await this.fetchUnknownConversation(batch.number);
+      if (!conversation) return;
+
+      messages = incoming.filter(message => !this.stateManager.isInHistory(conversation.id, message));
+    }
+
+    if (messages.length > 0) {
+      this.stateManager.addMessages(conversation.id, messages);
+    }
+
+    this.uiManager.showToast(`New message from ${conversation.name}`);
+
+    // If this is the active conversation, add messages with animation
+    if (conversation.id === this.stateManager.getState().activeConversationId) {
+      messages.forEach(message => this.uiManager.addMessageWithAnimation(message));
+      this.markConversationRead(this.stateManager.getActiveConversation());
+    } else if (isNewConversation) {
+      this.startUnreadTracking(conversation.id, incoming);
+    } else {
+      const clientMessages = messages.filter(message => message.type === 2).length;
+      if (clientMessages > 0) {
+        this.stateManager.incrementUnread(conversation.id, clientMessages);
+      }
+    }
+  }
+
+  /**
+   * Start read tracking for a conversation that first appeared through a socket event
+   * Everything from the first buffered event onwards counts as unread
+   * @param {string} conversationId - ID of the conversation
+   * @param {Array} incoming - Messages from the socket batch
+   */
+  startUnreadTracking(conversationId, incoming) {
+    const lastRead = this.storage.get('lastRead', {});
+
+    if (!lastRead[conversationId]) {
+      lastRead[conversationId] = {
+        id: null,
+        timestamp: new Date(new Date(incoming[0].timestamp).getTime() - 1)
+      };
+      this.storage.set('lastRead', lastRead);
+    }
+
+    const conversation = this.stateManager.getState().conversations.find(c => c.id === conversationId);
+    const clientEvents = incoming.filter(message => message.type === 2).length;
+    const unread = Math.max(this.stateManager.countUnreadSince(conversation, lastRead[conversationId]), clientEvents);
+    this.stateManager.setUnread(conversationId, unread);
+  }
+
+  /**
+   * Fetch and add a conversation the panel has not loaded yet
+   * Concurrent calls for the same number share a single request
+   * @param {string} phoneNumber - Phone number of the contact
+   * @returns {Promise<Object|null>} Conversation now in state, or null on failure
+   */
+  async fetchUnknownConversation(phoneNumber) {
+    const conversationId = this.apiService.getConversationId(phoneNumber);
+
+    if (!this.conversationFetches.has(conversationId)) {
+      const request = this.apiService.fetchConversationInfo(phoneNumber).then(result => {
+        if (!result.success) {
+          console.error('Failed to fetch conversation info:', result.error);
+          this.uiManager.showToast('Failed to load conversation info');
+          return null;
+        }
+
+        const [conversationData] = this.applyLocalTags([this.apiService.mapConversationData(result.data.number)]);
+        const existing = this.stateManager.findConversationByNumber(phoneNumber);
+        this.stateManager.updateConversation(existing ? this.stateManager.mergeConversation(existing, conversationData) : conversationData);
+        console.log(`New conversation added: ${conversationData.name}`);
+        return this.stateManager.findConversationByNumber(phoneNumber);
+      }).finally(() => {
+        this.conversationFetches.delete(conversationId);
       });
-      
-      // Add message to conversation
-      this.stateManager.addMessage(conversation.id, messageData);
-      this.uiManager.showToast(`New message from ${conversation.name}`);
-      
-      // If this is the active conversation, add message with animation
-      if (conversation.id === this.stateManager.getState().activeConversationId) {
-        this.uiManager.addMessageWithAnimation(messageData);
+
+      this.conversationFetches.set(conversationId, request);
+    }
+
+    return this.conversationFetches.get(conversationId);
+  }
+
+  /**
+   * Add a contact the operator entered by hand, open its conversation and send the first message
+   * @param {Object} contact - Number as typed, optional name and tags, and the first message
+   */
+  async startConversation({ number, name = '', tags = [], message }) {
+    const phoneNumber = this.phone.toE164(number);
+    if (!phoneNumber) {
+      this.uiManager.showNewConversationError('Enter a valid number including the country code, e.g. +54 9 11 1234 5678');
+      return;
+    }
+
+    let conversation = this.stateManager.findConversationByNumber(phoneNumber);
+
+    if (conversation) {
+      this.uiManager.showToast(`${conversation.name} is already in your conversations`);
+    } else {
+      const contact = { number: phoneNumber, name: name.trim() };
+      [conversation] = this.applyLocalTags([this.createContactConversation(contact)]);
+      this.stateManager.updateConversation(conversation);
+
+      // Kept on this device until the backend lists the number itself
+      const contacts = this.storage.get('contacts', {});
+      contacts[conversation.id] = contact;
+      this.storage.set('contacts', contacts);
+
+      if (tags.length > 0) {
+        await this.saveTags(conversation, tags);
+      }
+
+      if (this.contactsBackendAvailable) {
+        const result = await this.apiService.saveContact(phoneNumber, contact.name);
+        if (result.unsupported) {
+          this.contactsBackendAvailable = false;
+        } else if (!result.success) {
+          console.error('Error saving contact:', result.error);
+        }
       }
     }
+
+    this.uiManager.hideNewConversationModal();
+
+    const activeId = this.stateManager.getState().activeConversationId;
+    if (activeId && activeId !== conversation.id) {
+      this.stateManager.setDraft(activeId, this.uiManager.getComposerText());
+    }
+    this.stateManager.setActiveConversation(conversation.id);
+
+    await this.queueOutgoing(this.stateManager.findConversationByNumber(phoneNumber), { kind: 'text', text: message });
+  }
+
+  /**
+   * Build the conversation for a contact that has no history yet
+   * @param {Object} contact - Number in E.164 format and optional name
+   * @returns {Object} Conversation data
+   */
+  createContactConversation(contact) {
+    return {
+      ...this.apiService.mapConversationData({ number: contact.number, name: contact.name || contact.number, history: [] }),
+      needsAttention: false
+    };
+  }
+
+  /**
+   * Add contacts started from this device that the backend does not list yet
+   * Contacts the backend now knows about are dropped from the local copy
+   * @param {Array} conversations - Mapped conversations from the backend
+   * @returns {Array} Conversations including the local contacts
+   */
+  addLocalContacts(conversations) {
+    const contacts = this.storage.get('contacts', {});
+    const pending = Object.entries(contacts).filter(([, contact]) => (
+      !conversations.some(conversation => this.phone.isSameNumber(conversation.number, contact.number))
+    ));
+
+    if (pending.length !== Object.keys(contacts).length) {
+      this.storage.set('contacts', Object.fromEntries(pending));
+    }
+
+    return [...conversations, ...pending.map(([, contact]) => this.createContactConversation(contact))];
+  }
+
+  /**
+   * Create a unique ID for a message that has no backend ID yet
+   * @returns {string} Temporary message ID
+   */
+  createTemporaryMessageId() {
+    this.temporaryMessageCounter += 1;
+    return `tmp-${Date.now()}-${this.temporaryMessageCounter}`;
   }
 
   /**
    * Send message to a conversation
-   * @param {string} message - Message text
+   * The message is shown immediately and kept in the outbox until the backend confirms it
+   * @param {Object} message - Message text, and dueAt to send it later instead of now
    */
-  async sendMessage(message) {
+  async sendMessage({ text, dueAt = null }) {
     const conversation = this.stateManager.getActiveConversation();
     if (!conversation) return;
 
-    try {
-      const result = await this.apiService.sendIntervention(conversation.number, message);
-      
-      if (result.success) {
-        // Add message to local state
-        const messageData = this.apiService.mapMessageData({
-          id: Date.now(),
-          typo: 4, // Admin intervention
-          message: message
-        });
-        
-        this.stateManager.addMessage(conversation.id, messageData);
-        
-        // Add message with animation if it's the active conversation
-        if (conversation.id === this.stateManager.getState().activeConversationId) {
-          this.uiManager.addMessageWithAnimation(messageData);
-        }
-      } else {
-        this.uiManager.showToast(result.error);
-      }
-    } catch (error) {
+    await this.queueOutgoing(conversation, { kind: 'text', text, dueAt });
+  }
+
+  /**
+   * Send a voice note to the active conversation
+   * @param {Object} voice - Voice note with base64Audio, mimeType, and optional label, text and dueAt
+   */
+  async sendVoiceMessage(voice) {
+    const conversation = this.stateManager.getActiveConversation();
+    if (!conversation) {
+      this.uiManager.showToast('No conversation selected');
+      return;
+    }
+
+    await this.queueOutgoing(conversation, {
+      kind: 'voice',
+      audio: voice.base64Audio,
+      mimeType: voice.mimeType,
+      label: voice.label,
+      text: voice.text,
+      dueAt: voice.dueAt || null
+    });
+  }
+
+  /**
+   * Add an outgoing item to the outbox and the thread, then send it if the connection is up
+   * Items with a dueAt are handed to the backend when it supports scheduling, and otherwise wait in the outbox until that time
+   * @param {Object} conversation - Target conversation
+   * @param {Object} payload - Item kind and content, and optionally dueAt
+   * @param {Object} options - notify: false to skip the per-message toasts
+   * @returns {Promise<Object>} status ('sent', 'queued', 'scheduled' or 'failed') and error
+   */
+  async queueOutgoing(conversation, payload, options = {}) {
+    const { notify = true } = options;
+    const online = this.isOnline();
+    const scheduled = Boolean(payload.dueAt);
+
+    const item = await this.outbox.add({
+      ...payload,
+      id: this.createTemporaryMessageId(),
+      conversationId: conversation.id,
+      number: conversation.number,
+      status: scheduled ? 'scheduled' : (online ? 'pending' : 'queued'),
+      createdAt: new Date().toISOString()
+    });
+
+    const messageData = this.createOutgoingMessage(item);
+    this.stateManager.addMessage(conversation.id, messageData);
+
+    // Add message with animation if it's the active conversation
+    if (conversation.id === this.stateManager.getState().activeConversationId) {
+      this.uiManager.addMessageWithAnimation(messageData);
+    }
+
+    if (scheduled) {
+      await this.scheduleOnServer(item);
+      if (notify) {
+        this.uiManager.showToast(`Message scheduled for ${new Date(item.dueAt).toLocaleString()}`);
+      }
+      return { status: 'scheduled', error: null };
+    }
+
+    if (!online) {
+      if (notify) {
+        this.uiManager.showToast('Offline: message queued and will be sent on reconnect');
+      }
+      return { status: 'queued', error: null };
+    }
+
+    const status = await this.deliverOutboxItem(item, { notify });
+    const stored = status === 'failed' ? await this.outbox.get(item.id) : null;
+    return { status, error: stored?.error || null };
+  }
+
+  /**
+   * Whether outgoing messages can be sent right now
+   * @returns {boolean} Online status
+   */
+  isOnline() {
+    return navigator.onLine !== false && Boolean(this.socketService && this.socketService.isConnected());
+  }
+
+  /**
+   * Send one outbox item and update its message status
+   * @param {Object} item - Outbox item
+   * @param {Object} options - notify: false to skip the success and failure toasts
+   * @returns {Promise<string>} Outcome: 'sent', 'queued' or 'failed'
+   */
+  async deliverOutboxItem(item, options = {}) {
+    const { notify = true } = options;
+
+    try {
+      const result = item.kind === 'voice'
+        ? await this.apiService.sendVoiceMessage(item.number, item.audio, item.mimeType)
+        : await this.apiService.sendIntervention(item.number, item.text);
+
+      if (result.success) {
+        await this.markMessageSent(item.conversationId, item.id);
+        if (item.kind === 'voice' && notify) {
+          this.uiManager.showToast('Voice message sent successfully');
+        }
+        return 'sent';
+      }
+
+      // Connection problems keep the item queued instead of failing it
+      if (result.networkError) {
+        await this.markMessageQueued(item);
+        return 'queued';
+      }
+
+      await this.markMessageFailed(item, result.error, { notify });
+      return 'failed';
+    } catch (error) {
       console.error('Error sending message:', error);
-      this.uiManager.showToast('Failed to send message');
+      await this.markMessageFailed(item, 'Failed to send message', { notify });
+      return 'failed';
+    }
+  }
+
+  /**
+   * Send queued items in the order they were created
+   * Stops at the first connection failure so later items never overtake earlier ones
+   */
+  async flushOutbox() {
+    if (this.isFlushingOutbox || !this.isOnline()) return;
+    this.isFlushingOutbox = true;
+
+    try {
+      const queued = (await this.outbox.getAll()).filter(item => item.status === 'queued');
+      let sent = 0;
+
+      for (const item of queued) {
+        const pending = await this.outbox.update(item.id, { status: 'pending', error: null });
+        this.stateManager.updateMessage(item.conversationId, item.id, { status: 'pending', error: null });
+
+        const outcome = await this.deliverOutboxItem(pending);
+        if (outcome === 'queued') break;
+        if (outcome === 'sent') sent += 1;
+      }
+
+      if (sent > 0) {
+        this.uiManager.showToast(`Sent ${sent} queued message${sent === 1 ? '' : 's'}`);
+      }
+    } catch (error) {
+      console.error('Error flushing outbox:', error);
+    } finally {
+      this.isFlushingOutbox = false;
+    }
+  }
+
+  /**
+   * Hand a scheduled message to the backend so it goes out even when the panel is closed
+   * It stays with the client scheduler when the backend cannot schedule or the connection is down
+   * @param {Object} item - Outbox item with status 'scheduled'
+   * @returns {Promise<boolean>} Whether the backend holds the message
+   */
+  async scheduleOnServer(item) {
+    if (item.serverId) return true;
+    if (!this.schedulingBackendAvailable || !this.isOnline()) return false;
+
+    // A second request for the same item would make the backend send it twice
+    if (this.schedulingInFlight.has(item.id) || Date.now() < this.schedulingRetryAt) return false;
+
+    const message = item.kind === 'voice'
+      ? { audio: item.audio, mimeType: item.mimeType, sendAt: item.dueAt }
+      : { text: item.text, sendAt: item.dueAt };
+
+    this.schedulingInFlight.add(item.id);
+    try {
+      return await this.storeServerSchedule(item, message);
+    } finally {
+      this.schedulingInFlight.delete(item.id);
+    }
+  }
+
+  /**
+   * Send a scheduled message to the backend and remember the ID it got there
+   * @param {Object} item - Outbox item with status 'scheduled'
+   * @param {Object} message - Content and send time for the backend
+   * @returns {Promise<boolean>} Whether the backend holds the message
+   */
+  async storeServerSchedule(item, message) {
+    const result = await this.apiService.scheduleMessage(item.number, message);
+
+    if (result.unsupported) {
+      this.schedulingBackendAvailable = false;
+      console.warn('Scheduled messages endpoint not available, sending them from this browser');
+      return false;
+    }
+    if (!result.success) {
+      // The client scheduler keeps the message meanwhile
+      this.schedulingRetryAt = Date.now() + this.config.SCHEDULER.RETRY_DELAY;
+      console.warn('Could not schedule the message on the backend:', result.error);
+      return false;
+    }
+    this.schedulingRetryAt = 0;
+
+    // Cancelled or edited while the request was in flight
+    const current = await this.outbox.get(item.id);
+    if (!current || current.status !== 'scheduled') {
+      await this.apiService.cancelScheduledMessage(result.data.id);
+      return false;
+    }
+    if (current.dueAt !== item.dueAt || current.text !== item.text) {
+      await this.apiService.updateScheduledMessage(result.data.id, { sendAt: current.dueAt, text: message.text === undefined ? undefined : current.text });
+    }
+
+    await this.outbox.update(item.id, { serverId: result.data.id });
+    return true;
+  }
+
+  /**
+   * Take a scheduled message back from the backend before it is sent now or discarded
+   * @param {Object} item - Outbox item with a serverId
+   * @returns {Promise<boolean>} Whether the backend no longer holds it
+   */
+  async cancelOnServer(item) {
+    const result = await this.apiService.cancelScheduledMessage(item.serverId);
+    if (result.success) return true;
+
+    // The backend no longer has it because its time came
+    if (result.notFound) {
+      await this.markMessageSent(item.conversationId, item.id);
+      this.uiManager.showToast('The message was already sent');
+    } else {
+      this.uiManager.showToast(`Could not change the scheduled message: ${result.error}`);
+    }
+    return false;
+  }
+
+  /**
+   * Deliver scheduled messages whose time has come, on every scheduler tick
+   * The backend sends the ones it holds, the rest move into the send queue
+   */
+  async releaseDueMessages() {
+    // Ticks keep coming while a slow request is open, the next one picks up where this one ends
+    if (this.isReleasingDue) return;
+    this.isReleasingDue = true;
+
+    try {
+      const scheduled = (await this.outbox.getAll()).filter(item => item.status === 'scheduled');
+      const now = Date.now();
+
+      for (const snapshot of scheduled) {
+        // Sent now or deleted by the operator while an earlier item was waiting on the backend
+        const item = await this.outbox.get(snapshot.id);
+        if (!item || item.status !== 'scheduled' || item.serverId !== snapshot.serverId) continue;
+
+        if (new Date(item.dueAt).getTime() > now) {
+          // Scheduled while offline, the backend takes over once the connection is back
+          await this.scheduleOnServer(item);
+        } else if (item.serverId) {
+          await this.markMessageSent(item.conversationId, item.id);
+        } else {
+          await this.markMessageQueued(item);
+        }
+      }
+    } finally {
+      this.isReleasingDue = false;
+    }
+
+    await this.flushOutbox();
+  }
+
+  /**
+   * Change when a scheduled message goes out, and the text of a text message
+   * @param {Object} changes - id of the message, dueAt as an ISO date and optionally text
+   */
+  async updateScheduledMessage({ id, dueAt, text }) {
+    const item = await this.outbox.get(id);
+    if (!item || item.status !== 'scheduled') return;
+
+    const updates = { dueAt };
+    if (item.kind === 'text' && text !== undefined) {
+      updates.text = text;
+    }
+
+    if (item.serverId) {
+      const result = await this.apiService.updateScheduledMessage(item.serverId, { sendAt: dueAt, text: updates.text });
+      if (!result.success) {
+        this.uiManager.showToast(`Could not update the scheduled message: ${result.error}`);
+        return;
+      }
+    }
+
+    await this.outbox.update(id, updates);
+    this.stateManager.updateMessage(item.conversationId, id, updates);
+    this.uiManager.showToast(`Message rescheduled for ${new Date(dueAt).toLocaleString()}`);
+  }
+
+  /**
+   * Mark an outgoing message as delivered and drop it from the outbox
+   * @param {string} conversationId - ID of the conversation
+   * @param {string} messageId - ID of the message
+   */
+  async markMessageSent(conversationId, messageId) {
+    await this.outbox.remove(messageId);
+    this.stateManager.updateMessage(conversationId, messageId, { status: 'sent', error: null });
+  }
+
+  /**
+   * Keep an outgoing message queued until the connection is back
+   * @param {Object} item - Outbox item
+   */
+  async markMessageQueued(item) {
+    await this.outbox.update(item.id, { status: 'queued', error: null });
+    this.stateManager.updateMessage(item.conversationId, item.id, { status: 'queued', error: null });
+  }
+
+  /**
+   * Mark an outgoing message as failed so it can be retried or deleted
+   * @param {Object} item - Outbox item
+   * @param {string} error - Error description
+   * @param {Object} options - notify: false to skip the toast
+   */
+  async markMessageFailed(item, error, options = {}) {
+    const { notify = true } = options;
+
+    await this.outbox.update(item.id, { status: 'failed', error });
+    this.stateManager.updateMessage(item.conversationId, item.id, { status: 'failed', error });
+    if (!notify) return;
+
+    const conversation = this.stateManager.findConversationByNumber(item.number);
+    const recipient = conversation ? conversation.name : item.number;
+    this.uiManager.showToast(`Message to ${recipient} failed: ${error || 'unknown error'}`);
+  }
+
+  /**
+   * Retry a failed message, or send a scheduled one right away
+   * @param {string} messageId - ID of the message
+   */
+  async retryMessage(messageId) {
+    const current = await this.outbox.get(messageId);
+    if (!current) return;
+    if (current.serverId && !(await this.cancelOnServer(current))) return;
+
+    const online = this.isOnline();
+    const item = await this.outbox.update(messageId, { status: online ? 'pending' : 'queued', error: null, serverId: null });
+
+    this.stateManager.updateMessage(item.conversationId, item.id, { status: item.status, error: null });
+
+    if (online) {
+      await this.deliverOutboxItem(item);
+    }
+  }
+
+  /**
+   * Discard a failed or scheduled message
+   * @param {string} messageId - ID of the message
+   */
+  async deleteMessage(messageId) {
+    const item = await this.outbox.get(messageId);
+    if (!item) return;
+    if (item.serverId && !(await this.cancelOnServer(item))) return;
+
+    await this.outbox.remove(messageId);
+    this.stateManager.removeMessage(item.conversationId, messageId);
+  }
+
+  /**
+   * Confirm a pending message from the socket acknowledgement
+   * @param {Object} data - Acknowledgement payload with number and message
+   */
+  async handleMessageSentAck(data) {
+    const conversation = this.stateManager.findConversationByNumber(data?.number);
+    if (!conversation) return;
+
+    const pending = this.stateManager.sortMessages(conversation.messages)
+      .find(message => message.status === 'pending' && message.text === data.message);
+
+    if (pending) {
+      await this.markMessageSent(conversation.id, pending.id);
+    }
+  }
+
+  /**
+   * Put unsent messages from a previous session back into their conversations
+   * Anything still pending when the page closed is shown as failed, since delivery is unknown
+   * Scheduled messages this browser should have sent long ago are failed too, sending hours late may do more harm than good
+   */
+  async restoreOutbox() {
+    const items = await this.outbox.getAll();
+    const now = Date.now();
+    let missed = 0;
+
+    for (const item of items) {
+      const conversation = this.stateManager.findConversationByNumber(item.number);
+      if (!conversation || this.stateManager.hasMessage(conversation.id, item.id)) continue;
+
+      const overdue = item.status === 'scheduled' ? now - new Date(item.dueAt).getTime() : 0;
+
+      // The backend sent its scheduled messages while the panel was closed, they come back with the history
+      if (item.serverId && overdue > 0) {
+        await this.outbox.remove(item.id);
+        continue;
+      }
+
+      let restored = item;
+      if (item.status === 'pending') {
+        restored = await this.outbox.update(item.id, { status: 'failed', error: 'Not sent before the page was closed' });
+      } else if (overdue > this.config.SCHEDULER.MISSED_GRACE) {
+        restored = await this.outbox.update(item.id, {
+          status: 'failed',
+          error: `Missed while the panel was closed, it was due ${new Date(item.dueAt).toLocaleString()}`
+        });
+        missed += 1;
+      }
+
+      this.stateManager.addMessage(conversation.id, this.createOutgoingMessage({ ...restored, conversationId: conversation.id }));
+    }
+
+    if (missed > 0) {
+      this.uiManager.showToast(`${missed} scheduled message${missed === 1 ? ' was' : 's were'} missed while the panel was closed`);
+    }
+
+    // The first tick releases what fell due recently and flushes the queue
+    this.scheduler.start();
+  }
+
+  /**
+   * Build the thread message for an outbox item
+   * @param {Object} item - Outbox item
+   * @returns {Object} Message data
+   */
+  createOutgoingMessage(item) {
+    const message = this.apiService.mapMessageData({
+      id: item.id,
+      typo: 4, // Admin intervention
+      message: item.text,
+      timestamp: item.createdAt
+    });
+
+    if (item.kind === 'voice') {
+      Object.assign(message, {
+        label: item.label || '👨‍💼 Admin Voice',
+        text: item.text || '🎵 Voice Message',
+        isAudio: true,
+        audioData: item.audio,
+        audioUrl: this.apiService.convertBase64ToAudioUrl(`data:${item.mimeType || 'audio/webm'};base64,${item.audio}`)
+      });
+    }
+
+    return { ...message, status: item.status, error: item.error || null, dueAt: item.dueAt || null };
+  }
+
+  /**
+   * Hand the active conversation over to the operator, or back to the bot
+   */
+  async toggleManualMode() {
+    const conversation = this.stateManager.getActiveConversation();
+    if (!conversation) return;
+
+    const isManual = !this.stateManager.isManualMode(conversation.id);
+
+    // Update immediately so the composer unlocks without waiting for the backend
+    this.stateManager.setManualMode(conversation.id, isManual);
+
+    const result = await this.apiService.setBotPaused(conversation.number, isManual);
+
+    if (result.success || result.unsupported) {
+      this.persistManualModes();
+
+      if (result.unsupported) {
+        console.warn('Bot handoff endpoint not available, mode kept locally only');
+      }
+
+      this.uiManager.showToast(isManual ? 'You have control' : 'Bot reactivated');
+    } else {
+      this.stateManager.setManualMode(conversation.id, !isManual);
+      this.uiManager.showToast(result.error);
+    }
+  }
+
+  /**
+   * Apply bot handoff flags reported by the backend after a refresh
+   * @param {Array} conversations - Freshly loaded conversations
+   */
+  syncManualModes(conversations) {
+    const manualModes = { ...this.stateManager.getState().manualModes };
+
+    conversations.forEach(conversation => {
+      if (conversation.botPaused === true) {
+        manualModes[conversation.id] = true;
+      } else if (conversation.botPaused === false) {
+        delete manualModes[conversation.id];
+      }
+    });
+
+    this.stateManager.setManualModes(manualModes);
+    this.persistManualModes();
+  }
+
+  /**
+   * Save operator handoffs so they survive a page reload
+   */
+  persistManualModes() {
+    this.storage.set('manualModes', this.stateManager.getState().manualModes);
+  }
+
+  /**
+   * Choose the time zone of the active contact, or go back to the one of the number's country
+   * @param {string} timeZone - IANA time zone, empty for automatic
+   */
+  setContactTimeZone(timeZone) {
+    const conversation = this.stateManager.getActiveConversation();
+    if (!conversation) return;
+
+    this.stateManager.setTimeZone(conversation.id, timeZone || null);
+    this.storage.set('timeZones', this.stateManager.getState().timeZones);
+  }
+
+  /**
+   * Load internal notes for a conversation, merging backend and local copies
+   * @param {Object} conversation - Conversation to load notes for
+   */
+  async loadNotes(conversation) {
+    const localNotes = this.storage.get(`notes:${conversation.id}`, []);
+    this.stateManager.setNotes(conversation.id, localNotes);
+
+    if (!this.notesBackendAvailable) return;
+
+    const result = await this.apiService.fetchNotes(conversation.number);
+
+    if (result.success) {
+      const notes = [...result.data, ...localNotes]
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+      this.stateManager.setNotes(conversation.id, notes);
+    } else if (result.unsupported) {
+      this.notesBackendAvailable = false;
+    } else {
+      console.error('Error loading notes:', result.error);
+    }
+  }
+
+  /**
+   * Save an internal note for the active conversation
+   * @param {string} text - Note text
+   */
+  async saveNote(text) {
+    const conversation = this.stateManager.getActiveConversation();
+    if (!conversation) return;
+
+    const note = {
+      text: (text || '').trim(),
+      author: this.getOperatorName(),
+      createdAt: new Date().toISOString()
+    };
+
+    if (!note.text) {
+      this.uiManager.showToast('Write a note first');
+      return;
+    }
+
+    const result = this.notesBackendAvailable
+      ? await this.apiService.saveNote(conversation.number, note)
+      : { success: false, unsupported: true };
+
+    if (result.success) {
+      this.stateManager.setNotes(conversation.id, [...this.stateManager.getNotes(conversation.id), result.data]);
+      this.uiManager.showToast('Note saved');
+    } else {
+      // Backend has no notes endpoint (or is unreachable): keep the note in this browser
+      if (result.unsupported) {
+        this.notesBackendAvailable = false;
+      } else {
+        console.error('Error saving note:', result.error);
+      }
+
+      const localNote = { ...note, id: `local-${Date.now()}`, isLocal: true };
+      const localNotes = [...this.storage.get(`notes:${conversation.id}`, []), localNote];
+      this.storage.set(`notes:${conversation.id}`, localNotes);
+      this.stateManager.setNotes(conversation.id, [...this.stateManager.getNotes(conversation.id), localNote]);
+      this.uiManager.showToast(result.unsupported ? 'Note saved' : 'Note saved locally');
     }
+
+    this.uiManager.clearNoteInput();
+  }
+
+  /**
+   * Fill in tags for conversations the backend reports without tags, from this device's copy
+   * @param {Array} conversations - Mapped conversations
+   * @returns {Array} Conversations with a tags array
+   */
+  applyLocalTags(conversations) {
+    const localTags = this.storage.get('tags', {});
+
+    return conversations.map(conversation => (
+      Array.isArray(conversation.tags)
+        ? conversation
+        : { ...conversation, tags: localTags[conversation.id] || [] }
+    ));
+  }
+
+  /**
+   * Load tag colors, preferring the backend palette over this device's copy
+   */
+  async loadTagPalette() {
+    const localPalette = this.storage.get('tagPalette', {});
+    this.stateManager.setTagPalette(localPalette);
+
+    if (!this.tagsBackendAvailable) return;
+
+    const result = await this.apiService.fetchTagPalette();
+
+    if (result.success) {
+      this.stateManager.setTagPalette({ ...localPalette, ...result.data });
+    } else if (result.unsupported) {
+      this.tagsBackendAvailable = false;
+    } else {
+      console.error('Error loading tags:', result.error);
+    }
+  }
+
+  /**
+   * Add a tag to the active conversation
+   * @param {string} tag - Tag as typed
+   */
+  addTag(tag) {
+    const conversation = this.stateManager.getActiveConversation();
+    const name = this.stateManager.normalizeTag(tag);
+    if (!conversation || !name) return;
+
+    if (conversation.tags.includes(name)) {
+      this.uiManager.showToast(`Already tagged ${name}`);
+      return;
+    }
+
+    this.saveTags(conversation, [...conversation.tags, name]);
+  }
+
+  /**
+   * Remove a tag from the active conversation
+   * @param {string} tag - Tag name
+   */
+  removeTag(tag) {
+    const conversation = this.stateManager.getActiveConversation();
+    if (!conversation) return;
+
+    this.saveTags(conversation, conversation.tags.filter(existing => existing !== tag));
+  }
+
+  /**
+   * Rename a tag on the active conversation
+   * @param {string} from - Current tag name
+   * @param {string} to - New tag as typed
+   */
+  renameTag(from, to) {
+    const conversation = this.stateManager.getActiveConversation();
+    const name = this.stateManager.normalizeTag(to);
+    if (!conversation || !name || name === from) return;
+
+    // Renaming onto a tag the contact already has merges the two
+    const tags = conversation.tags.map(existing => (existing === from ? name : existing));
+    this.saveTags(conversation, [...new Set(tags)]);
+
+    // Keep the color the tag had unless the new name already has one
+    const palette = this.stateManager.getState().tagPalette;
+    if (palette[from] && !palette[name]) {
+      this.saveTagPalette({ ...palette, [name]: palette[from] });
+    }
+  }
+
+  /**
+   * Give a tag the next color of the palette, for every conversation using it
+   * @param {string} tag - Tag name
+   */
+  cycleTagColor(tag) {
+    const colors = this.config.TAG_COLORS;
+    const palette = this.stateManager.getState().tagPalette;
+    const current = colors.indexOf(this.uiManager.getTagColor(tag));
+
+    this.saveTagPalette({ ...palette, [tag]: colors[(current + 1) % colors.length] });
+  }
+
+  /**
+   * Store the tags of a conversation on the backend, or on this device when it does not support tags
+   * @param {Object} conversation - Conversation to update
+   * @param {Array} tags - New tag names
+   */
+  async saveTags(conversation, tags) {
+    this.stateManager.setTags(conversation.id, tags);
+
+    // The local copy is also what we show when the backend reports no tags
+    const localTags = this.storage.get('tags', {});
+    localTags[conversation.id] = tags;
+    this.storage.set('tags', localTags);
+
+    if (!this.tagsBackendAvailable) return;
+
+    const result = await this.apiService.saveConversationTags(conversation.number, tags);
+
+    if (result.unsupported) {
+      this.tagsBackendAvailable = false;
+    } else if (!result.success) {
+      console.error('Error saving tags:', result.error);
+      this.uiManager.showToast('Tags saved on this device only');
+    }
+  }
+
+  /**
+   * Store the tag palette on the backend and on this device
+   * @param {Object} palette - Map of tag name to color
+   */
+  async saveTagPalette(palette) {
+    this.stateManager.setTagPalette(palette);
+    this.storage.set('tagPalette', palette);
+
+    if (!this.tagsBackendAvailable) return;
+
+    const result = await this.apiService.saveTagPalette(palette);
+
+    if (result.unsupported) {
+      this.tagsBackendAvailable = false;
+    } else if (!result.success) {
+      console.error('Error saving tag colors:', result.error);
+    }
+  }
+
+  /**
+   * Combine stored views with the default tabs
+   * Default tabs keep their stored position; ones missing from the stored list are appended
+   * @param {Array|null} stored - Views in tab order, as saved
+   * @returns {Array} Views to show
+   */
+  mergeViews(stored) {
+    const defaults = this.config.DEFAULT_VIEWS.map(view => ({ ...view, builtIn: true }));
+    if (!Array.isArray(stored) || stored.length === 0) return defaults;
+
+    const views = [];
+    stored.forEach(view => {
+      if (!view || views.some(existing => existing.id === view.id)) return;
+
+      const builtIn = defaults.find(defaultView => defaultView.id === view.id);
+      if (builtIn) {
+        views.push(builtIn);
+      } else if (view.name && typeof view.query === 'string') {
+        views.push({ id: String(view.id), name: view.name, query: view.query });
+      }
+    });
+
+    defaults.forEach(defaultView => {
+      if (!views.some(view => view.id === defaultView.id)) views.push(defaultView);
+    });
+
+    return views;
+  }
+
+  /**
+   * Load the operator's views, preferring the backend over this device's copy
+   */
+  async loadViews() {
+    const storageKey = `views:${this.getOperator().id}`;
+    this.stateManager.setViews(this.mergeViews(this.storage.get(storageKey, null)));
+
+    if (!this.viewsBackendAvailable) return;
+
+    const result = await this.apiService.fetchViews();
+
+    if (result.success) {
+      if (result.data.length > 0) {
+        this.stateManager.setViews(this.mergeViews(result.data));
+        this.storage.set(storageKey, result.data);
+      }
+    } else if (result.unsupported) {
+      this.viewsBackendAvailable = false;
+    } else {
+      console.error('Error loading views:', result.error);
+    }
+  }
+
+  /**
+   * Save a query as a new view and switch to it
+   * @param {Object} view - Name and query of the view
+   */
+  saveView({ name, query }) {
+    const view = {
+      id: `view-${Date.now().toString(36)}`,
+      name: name.trim(),
+      query: query.trim()
+    };
+    if (!view.name || !view.query) return;
+
+    this.saveViews([...this.stateManager.getState().views, view]);
+    this.stateManager.setFilter(view.id);
+    this.uiManager.showToast(`Saved view ${view.name}`);
+  }
+
+  /**
+   * Rename a saved view
+   * @param {string} id - View ID
+   * @param {string} name - New name
+   */
+  renameView(id, name) {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+
+    this.saveViews(this.stateManager.getState().views.map(view => (
+      view.id === id && !view.builtIn ? { ...view, name: trimmed } : view
+    )));
+  }
+
+  /**
+   * Delete a saved view; the default tabs cannot be deleted
+   * @param {string} id - View ID
+   */
+  deleteView(id) {
+    const views = this.stateManager.getState().views;
+    if (!views.some(view => view.id === id && !view.builtIn)) return;
+
+    this.saveViews(views.filter(view => view.id !== id));
+  }
+
+  /**
+   * Move a view to another tab position
+   * @param {string} id - ID of the view being moved
+   * @param {string|null} beforeId - ID of the view it goes in front of, or null for the end
+   */
+  moveView(id, beforeId) {
+    if (id === beforeId) return;
+
+    const views = [...this.stateManager.getState().views];
+    const index = views.findIndex(view => view.id === id);
+    if (index === -1) return;
+
+    const [moved] = views.splice(index, 1);
+    const target = beforeId ? views.findIndex(view => view.id === beforeId) : -1;
+    views.splice(target === -1 ? views.length : target, 0, moved);
+
+    this.saveViews(views);
+  }
+
+  /**
+   * Store the operator's views on the backend and on this device
+   * @param {Array} views - Views in tab order
+   */
+  async saveViews(views) {
+    this.stateManager.setViews(views);
+    this.storage.set(`views:${this.getOperator().id}`, views.map(({ id, name, query }) => ({ id, name, query })));
+
+    if (!this.viewsBackendAvailable) return;
+
+    const result = await this.apiService.saveViews(views);
+
+    if (result.unsupported) {
+      this.viewsBackendAvailable = false;
+    } else if (!result.success) {
+      console.error('Error saving views:', result.error);
+      this.uiManager.showToast('Views saved on this device only');
+    }
+  }
+
+  /**
+   * Load the quick reply library, preferring the backend over this device's copy
+   * The defaults from the config are used until either has replies
+   */
+  async loadQuickReplies() {
+    const localReplies = this.storage.get('quickReplies', null);
+    this.stateManager.setQuickReplies(localReplies || this.config.QUICK_REPLIES);
+
+    if (!this.quickRepliesBackendAvailable) return;
+
+    const result = await this.apiService.fetchQuickReplies();
+
+    if (result.success) {
+      if (result.data.length > 0) {
+        this.stateManager.setQuickReplies(result.data);
+        this.storage.set('quickReplies', result.data);
+      }
+    } else if (result.unsupported) {
+      this.quickRepliesBackendAvailable = false;
+    } else {
+      console.error('Error loading quick replies:', result.error);
+    }
+  }
+
+  /**
+   * Create or update a quick reply
+   * @param {Object} reply - Quick reply from the editor; replies without an ID are new
+   */
+  async saveQuickReply(reply) {
+    const saved = {
+      id: reply.id || `qr-${Date.now().toString(36)}`,
+      title: (reply.title || '').trim(),
+      category: (reply.category || '').trim(),
+      shortcut: (reply.shortcut || '').trim().replace(/^\//, '').replace(/\s+/g, '-').toLowerCase(),
+      text: (reply.text || '').trim()
+    };
+
+    if (!saved.title || !saved.text) {
+      this.uiManager.showToast('A quick reply needs a title and text');
+      return;
+    }
+
+    const replies = this.stateManager.getState().quickReplies;
+    if (saved.shortcut && replies.some(existing => existing.id !== saved.id && existing.shortcut === saved.shortcut)) {
+      this.uiManager.showToast(`The shortcut /${saved.shortcut} is already used`);
+      return;
+    }
+
+    const updated = replies.some(existing => existing.id === saved.id)
+      ? replies.map(existing => (existing.id === saved.id ? saved : existing))
+      : [...replies, saved];
+
+    this.stateManager.setQuickReplies(updated);
+    this.storage.set('quickReplies', updated);
+    this.uiManager.closeQuickReplyEditor();
+    this.uiManager.showToast(`Saved ${saved.title}`);
+
+    if (!this.quickRepliesBackendAvailable) return;
+
+    const result = await this.apiService.saveQuickReply(saved);
+
+    if (result.unsupported) {
+      this.quickRepliesBackendAvailable = false;
+    } else if (!result.success) {
+      console.error('Error saving quick reply:', result.error);
+      this.uiManager.showToast('Quick reply saved on this device only');
+    }
+  }
+
+  /**
+   * Delete a quick reply
+   * @param {string} id - Quick reply ID
+   */
+  async deleteQuickReply(id) {
+    const replies = this.stateManager.getState().quickReplies.filter(reply => reply.id !== id);
+    this.stateManager.setQuickReplies(replies);
+    this.storage.set('quickReplies', replies);
+
+    if (!this.quickRepliesBackendAvailable) return;
+
+    const result = await this.apiService.deleteQuickReply(id);
+
+    // A 404 can also mean the reply only ever existed on this device
+    if (!result.success && !result.unsupported) {
+      console.error('Error deleting quick reply:', result.error);
+      this.uiManager.showToast('Quick reply deleted on this device only');
+    }
+  }
+
+  /**
+   * Load the voice note library, adding the bundled notes on first use
+   */
+  async loadVoiceNotes() {
+    await this.voiceLibrary.importDefaults(this.config.DEFAULT_VOICE_NOTES);
+    await this.refreshVoiceNotes();
+  }
+
+  /**
+   * Show the current contents of the voice library
+   */
+  async refreshVoiceNotes() {
+    this.stateManager.setVoiceNotes(await this.voiceLibrary.getAll());
+    this.uiManager.populateVoiceDropdown();
+  }
+
+  /**
+   * Add a recording to the voice library
+   * @param {Object} voiceNote - Name, base64Audio and mimeType of the recording
+   */
+  async saveVoiceNote({ name, base64Audio, mimeType }) {
+    const trimmed = name.trim();
+    if (!trimmed || !base64Audio) return;
+
+    await this.voiceLibrary.add({ name: trimmed, base64: base64Audio, mimeType });
+    await this.refreshVoiceNotes();
+    this.uiManager.showToast(`Saved ${trimmed} to the voice library`);
+  }
+
+  /**
+   * Rename a voice note
+   * @param {string} id - Voice note ID
+   * @param {string} name - New name
+   */
+  async renameVoiceNote(id, name) {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+
+    await this.voiceLibrary.update(id, { name: trimmed });
+    await this.refreshVoiceNotes();
+  }
+
+  /**
+   * Delete a voice note
+   * @param {string} id - Voice note ID
+   */
+  async deleteVoiceNote(id) {
+    await this.voiceLibrary.remove(id);
+    await this.refreshVoiceNotes();
+  }
+
+  /**
+   * Move a voice note to another menu position
+   * @param {string} id - ID of the note being moved
+   * @param {string|null} beforeId - ID of the note it goes in front of, or null for the end
+   */
+  async moveVoiceNote(id, beforeId) {
+    if (id === beforeId) return;
+
+    const ids = this.stateManager.getState().voiceNotes.map(note => note.id);
+    const index = ids.indexOf(id);
+    if (index === -1) return;
+
+    ids.splice(index, 1);
+    const target = beforeId ? ids.indexOf(beforeId) : -1;
+    ids.splice(target === -1 ? ids.length : target, 0, id);
+
+    await this.voiceLibrary.reorder(ids);
+    await this.refreshVoiceNotes();
+  }
+
+  /**
+   * Start a broadcast campaign from the composer
+   * @param {Object} draft - Name, source, template and recipients
+   */
+  startCampaign(draft) {
+    if (this.campaigns.isRunning()) {
+      this.uiManager.showToast('Another campaign is still sending');
+      return;
+    }
+
+    if (!draft.recipients?.length) {
+      this.uiManager.showToast('Select at least one recipient');
+      return;
+    }
+
+    const campaign = this.campaigns.start(draft);
+    this.uiManager.showCampaign(campaign.id);
+    this.uiManager.showToast(`Campaign started: ${campaign.recipients.length} recipient${campaign.recipients.length === 1 ? '' : 's'}`);
+  }
+
+  /**
+   * Continue a paused campaign
+   * @param {string} id - Campaign ID
+   */
+  resumeCampaign(id) {
+    if (!this.isOnline()) {
+      this.uiManager.showToast('Offline: the campaign can be resumed once the connection is back');
+      return;
+    }
+
+    if (!this.campaigns.resume(id)) {
+      this.uiManager.showToast('Another campaign is still sending');
+    }
+  }
+
+  /**
+   * Send the campaign message to one recipient through the outbox
+   * @param {Object} campaign - Campaign being sent
+   * @param {Object} recipient - Recipient with conversationId, number and rendered text
+   * @returns {Promise<Object>} status and error for the recipient
+   */
+  async sendCampaignMessage(campaign, recipient) {
+    // Nothing is added to the outbox while offline; the campaign pauses and tries this recipient again on resume
+    if (!this.isOnline()) {
+      return { status: 'pending', error: 'Connection lost' };
+    }
+
+    const conversation = this.stateManager.getState().conversations.find(c => c.id === recipient.conversationId) ||
+      this.stateManager.findConversationByNumber(recipient.number);
+    if (!conversation) {
+      return { status: 'failed', error: 'Conversation is no longer loaded' };
+    }
+
+    if (campaign.template.kind === 'voice') {
+      const voiceNote = await this.voiceLibrary.get(campaign.template.voiceNoteId);
+      if (!voiceNote) {
+        return { status: 'failed', error: 'Voice note is no longer in the library' };
+      }
+
+      return this.queueOutgoing(conversation, {
+        kind: 'voice',
+        audio: voiceNote.base64,
+        mimeType: voiceNote.mimeType,
+        label: `👨‍💼 Admin - ${voiceNote.name}`,
+        text: `🎵 ${voiceNote.name}`
+      }, { notify: false });
+    }
+
+    return this.queueOutgoing(conversation, { kind: 'text', text: recipient.text }, { notify: false });
+  }
+
+  /**
+   * Download the per-recipient results of a campaign as CSV
+   * @param {string} id - Campaign ID
+   */
+  downloadCampaignReport(id) {
+    const campaign = this.campaigns.get(id);
+    if (!campaign) return;
+
+    const slug = campaign.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'campaign';
+    this.uiManager.downloadFile(`${slug}-report.csv`, this.campaigns.createReport(campaign), 'text/csv');
+  }
+
+  /**
+   * Get the operator using the panel
+   * Falls back to a per-browser ID when the backend does not return a user ID
+   * @returns {Object} Operator with id and name
+   */
+  getOperator() {
+    const user = this.authService.getUser();
+    let id = user?.id ?? user?._id ?? user?.username;
+
+    if (id === undefined || id === null) {
+      id = this.storage.get('operatorId');
+      if (!id) {
+        id = `op-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.storage.set('operatorId', id);
+      }
+    }
+
+    return { id: String(id), name: this.getOperatorName() };
+  }
+
+  /**
+   * Announce this operator to the others, including the conversation currently open
+   */
+  announcePresence() {
+    if (!this.socketService) return;
+
+    this.socketService.emit(this.config.SOCKET_EVENTS.OPERATOR_JOIN, this.getOperator());
+    this.announceViewing();
+  }
+
+  /**
+   * Tell the other operators which conversation is open
+   */
+  announceViewing() {
+    if (!this.socketService) return;
+
+    const conversation = this.stateManager.getActiveConversation();
+    this.socketService.emit(this.config.SOCKET_EVENTS.OPERATOR_VIEWING, {
+      operator: this.getOperator(),
+      number: conversation ? conversation.number : null
+    });
+  }
+
+  /**
+   * Tell the other operators we are typing, throttled to one event per timeout window
+   */
+  announceTyping() {
+    const conversation = this.stateManager.getActiveConversation();
+    if (!this.socketService || !conversation) return;
+
+    const { OPERATOR_TYPING } = this.config.SOCKET_EVENTS;
+
+    if (!this.operatorTypingTimer) {
+      this.socketService.emit(OPERATOR_TYPING, { operator: this.getOperator(), number: conversation.number, typing: true });
+    }
+
+    clearTimeout(this.operatorTypingTimer);
+    this.operatorTypingTimer = setTimeout(() => {
+      this.operatorTypingTimer = null;
+      if (this.socketService) {
+        this.socketService.emit(OPERATOR_TYPING, { operator: this.getOperator(), number: conversation.number, typing: false });
+      }
+    }, this.config.UI.OPERATOR_TYPING_TIMEOUT);
+  }
+
+  /**
+   * Apply the list of online operators broadcast by the server
+   * @param {Object} data - Presence data with an operators array
+   */
+  handleOperatorPresence(data) {
+    const operators = (data?.operators || []).map(operator => ({
+      ...this.apiService.mapOperatorData(operator),
+      viewingId: operator.number
+        ? (this.stateManager.findConversationByNumber(operator.number)?.id ?? this.apiService.getConversationId(operator.number))
+        : null,
+      typing: Boolean(operator.typing)
+    }));
+
+    this.stateManager.setOperators(operators);
+  }
+
+  /**
+   * Apply an assignment change broadcast by the server
+   * @param {Object} data - Assignment with number and operator
+   */
+  handleConversationAssigned(data) {
+    const conversation = this.stateManager.findConversationByNumber(data?.number);
+    if (!conversation) return;
+
+    const operator = this.apiService.mapOperatorData(data.operator) || null;
+    const previous = this.stateManager.getAssignment(conversation.id);
+    if (previous?.id === operator?.id) return;
+
+    this.stateManager.setAssignment(conversation.id, operator);
+
+    if (operator && operator.id !== this.getOperator().id) {
+      this.uiManager.showToast(`${operator.name} took ${conversation.name}`);
+    }
+  }
+
+  /**
+   * Claim the active conversation, or release it when it is already ours
+   */
+  toggleAssignment() {
+    const conversation = this.stateManager.getActiveConversation();
+    if (!conversation) return;
+
+    if (!this.socketService || !this.socketService.isConnected()) {
+      this.uiManager.showToast('Assigning conversations needs a live connection');
+      return;
+    }
+
+    const me = this.getOperator();
+    const assignee = this.stateManager.getAssignment(conversation.id);
+    const operator = assignee?.id === me.id ? null : me;
+
+    this.stateManager.setAssignment(conversation.id, operator);
+    this.socketService.emit(this.config.SOCKET_EVENTS.CONVERSATION_ASSIGN, {
+      number: conversation.number,
+      operator
+    });
+
+    this.uiManager.showToast(operator ? `Assigned ${conversation.name} to you` : `Released ${conversation.name}`);
+  }
+
+  /**
+   * Take assignments reported by the backend
+   * @param {Array} conversations - Conversations from the backend
+   */
+  syncAssignments(conversations) {
+    const assignments = { ...this.stateManager.getState().assignments };
+
+    conversations.forEach(conversation => {
+      if (conversation.assignedTo) {
+        assignments[conversation.id] = conversation.assignedTo;
+      } else if (conversation.assignedTo === null) {
+        delete assignments[conversation.id];
+      }
+    });
+
+    this.stateManager.setAssignments(assignments);
+  }
+
+  /**
+   * Get the name of the operator using the panel
+   * @returns {string} Operator name
+   */
+  getOperatorName() {
+    const user = this.authService.getUser();
+    return user?.name || user?.username || this.storage.get('operatorName') || this.config.DEFAULT_OPERATOR_NAME;
   }
 
   /**
@@ -0,0 +1,187 @@
+/**
+ * Auth module for WhatsApp Admin Panel
+ * Handles operator login, token storage and refresh
+ */
+
+class AuthService {
+  constructor(config, storage, callbacks = {}) {
+    this.config = config;
+    this.storage = storage;
+    this.callbacks = {
+      onSessionExpired: callbacks.onSessionExpired || (() => {})
+    };
+    this.session = this.storage.get('session', null);
+    this.refreshPromise = null;
+  }
+
+  /**
+   * Sign in with operator credentials
+   * @param {string} username - Operator username or email
+   * @param {string} password - Operator password
+   * @returns {Promise<Object>} Login result
+   */
+  async login(username, password) {
+    try {
+      const response = await fetch(`${this.config.API_BASE}${this.config.ENDPOINTS.LOGIN}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (response.ok) {
+        this.setSession(data);
+        return {
+          success: true,
+          data: this.session.user
+        };
+      } else {
+        return {
+          success: false,
+          error: data.message || (response.status === 401 ? 'Invalid username or password' : 'Failed to sign in')
+        };
+      }
+    } catch (error) {
+      console.error('Error signing in:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Store the tokens returned by the login or refresh endpoints
+   * @param {Object} data - Raw token response
+   */
+  setSession(data) {
+    const expiresIn = Number(data.expiresIn ?? data.expires_in);
+
+    this.session = {
+      accessToken: data.accessToken || data.access_token || data.token,
+      refreshToken: data.refreshToken || data.refresh_token || this.session?.refreshToken || null,
+      expiresAt: Number.isFinite(expiresIn) ? Date.now() + expiresIn * 1000 : null,
+      user: data.user || this.session?.user || null
+    };
+
+    this.storage.set('session', this.session);
+  }
+
+  /**
+   * Exchange the refresh token for a new access token
+   * Concurrent callers share one request
+   * @returns {Promise<boolean>} Whether a valid access token is available afterwards
+   */
+  refresh() {
+    if (this.refreshPromise) return this.refreshPromise;
+
+    if (!this.session?.refreshToken) {
+      return Promise.resolve(false);
+    }
+
+    this.refreshPromise = (async () => {
+      try {
+        const response = await fetch(`${this.config.API_BASE}${this.config.ENDPOINTS.REFRESH}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken: this.session.refreshToken })
+        });
+
+        if (!response.ok) {
+          console.warn('Token refresh rejected:', response.status);
+          return false;
+        }
+
+        this.setSession(await response.json());
+        return true;
+      } catch (error) {
+        // Keep the session on network errors; the next request will try again
+        console.error('Error refreshing token:', error);
+        return false;
+      } finally {
+        this.refreshPromise = null;
+      }
+    })();
+
+    return this.refreshPromise;
+  }
+
+  /**
+   * Get a usable access token, refreshing it shortly before it expires
+   * @returns {Promise<string|null>} Access token or null when signed out
+   */
+  async getAccessToken() {
+    if (!this.session?.accessToken) return null;
+
+    const expiresSoon = this.session.expiresAt &&
+      this.session.expiresAt - Date.now() < this.config.AUTH.REFRESH_MARGIN;
+
+    if (expiresSoon) {
+      await this.refresh();
+    }
+
+    return this.session?.accessToken || null;
+  }
+
+  /**
+   * Check whether an operator is signed in
+   * @returns {boolean} Authentication status
+   */
+  isAuthenticated() {
+    return Boolean(this.session?.accessToken);
+  }
+
+  /**
+   * Get the signed-in operator
+   * @returns {Object|null} Operator data
+   */
+  getUser() {
+    return this.session?.user || null;
+  }
+
+  /**
+   * Sign out and forget the stored tokens
+   */
+  async logout() {
+    const refreshToken = this.session?.refreshToken;
+    this.clearSession();
+
+    if (!refreshToken) return;
+
+    try {
+      await fetch(`${this.config.API_BASE}${this.config.ENDPOINTS.LOGOUT}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+  }
+
+  /**
+   * End a session the backend no longer accepts
+   */
+  expireSession() {
+    if (!this.session) return;
+
+    this.clearSession();
+    this.callbacks.onSessionExpired();
+  }
+
+  /**
+   * Remove the stored tokens
+   */
+  clearSession() {
+    this.session = null;
+    this.storage.remove('session');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AuthService;
+} else {
+  window.AuthService = AuthService;
+}
@@ -0,0 +1,291 @@
+/**
+ * Campaign module for WhatsApp Admin Panel
+ * Sends one message to many conversations, throttled, with pause/resume and per-recipient status
+ */
+
+class CampaignService {
+  constructor(config, storage, callbacks = {}) {
+    this.config = config;
+    this.storage = storage;
+    this.callbacks = {
+      send: callbacks.send || (async () => ({ status: 'failed', error: 'No sender configured' })),
+      onChange: callbacks.onChange || (() => {})
+    };
+    this.activeId = null;
+    this.wakeUp = null;
+
+    // A campaign that was running when the page closed waits for the operator to resume it
+    this.campaigns = this.storage.get('campaigns', []).map(campaign => {
+      if (campaign.status !== 'running') return campaign;
+      return {
+        ...campaign,
+        status: 'paused',
+        pauseReason: 'Interrupted when the page was closed',
+        recipients: campaign.recipients.map(recipient => (
+          recipient.status === 'sending'
+            ? { ...recipient, status: 'failed', error: 'Not confirmed before the page was closed' }
+            : recipient
+        ))
+      };
+    });
+  }
+
+  /**
+   * Get all campaigns, newest first
+   * @returns {Array} Campaigns
+   */
+  getAll() {
+    return this.campaigns;
+  }
+
+  /**
+   * Get one campaign
+   * @param {string} id - Campaign ID
+   * @returns {Object|null} Campaign or null
+   */
+  get(id) {
+    return this.campaigns.find(campaign => campaign.id === id) || null;
+  }
+
+  /**
+   * Check whether a campaign is sending right now
+   * @returns {boolean} Whether a campaign is running
+   */
+  isRunning() {
+    return this.activeId !== null;
+  }
+
+  /**
+   * Create a campaign and start sending it
+   * @param {Object} draft - Name, source, template and recipients (conversationId, number, name, text)
+   * @returns {Object|null} Campaign, or null when another campaign is still running
+   */
+  start(draft) {
+    if (this.isRunning()) return null;
+
+    const campaign = {
+      id: `campaign-${Date.now().toString(36)}`,
+      name: draft.name,
+      source: draft.source,
+      template: draft.template,
+      status: 'running',
+      pauseReason: null,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      recipients: draft.recipients.map(recipient => ({
+        conversationId: recipient.conversationId,
+        number: recipient.number,
+        name: recipient.name,
+        text: recipient.text ?? null,
+        status: 'pending',
+        error: null,
+        sentAt: null
+      }))
+    };
+
+    this.campaigns = [campaign, ...this.campaigns].slice(0, this.config.CAMPAIGNS.HISTORY_LIMIT);
+    this.run(campaign);
+    return campaign;
+  }
+
+  /**
+   * Stop sending after the current message
+   * @param {string} id - Campaign ID
+   * @param {string} reason - Optional reason shown with the campaign
+   */
+  pause(id, reason = null) {
+    const campaign = this.get(id);
+    if (!campaign || campaign.status !== 'running') return;
+
+    campaign.status = 'paused';
+    campaign.pauseReason = reason;
+    this.interruptWait();
+    this.changed();
+  }
+
+  /**
+   * Continue a paused campaign with its remaining recipients
+   * @param {string} id - Campaign ID
+   * @returns {boolean} Whether the campaign was resumed
+   */
+  resume(id) {
+    const campaign = this.get(id);
+    if (!campaign || campaign.status !== 'paused') return false;
+    if (this.isRunning() && this.activeId !== id) return false;
+
+    campaign.status = 'running';
+    campaign.pauseReason = null;
+
+    // Paused and resumed while a message was still going out, the loop simply carries on
+    if (this.activeId === id) {
+      this.changed();
+      return true;
+    }
+
+    this.run(campaign);
+    return true;
+  }
+
+  /**
+   * Stop a campaign for good, skipping recipients that were not sent yet
+   * @param {string} id - Campaign ID
+   */
+  cancel(id) {
+    const campaign = this.get(id);
+    if (!campaign || !['running', 'paused'].includes(campaign.status)) return;
+
+    campaign.status = 'cancelled';
+    campaign.finishedAt = new Date().toISOString();
+    campaign.recipients.forEach(recipient => {
+      if (recipient.status === 'pending') recipient.status = 'skipped';
+    });
+    this.interruptWait();
+    this.changed();
+  }
+
+  /**
+   * Remove a finished campaign from the history
+   * @param {string} id - Campaign ID
+   */
+  remove(id) {
+    const campaign = this.get(id);
+    if (!campaign || ['running', 'paused'].includes(campaign.status)) return;
+
+    this.campaigns = this.campaigns.filter(existing => existing.id !== id);
+    this.changed();
+  }
+
+  /**
+   * Send to each pending recipient in turn, waiting between messages
+   * @param {Object} campaign - Campaign to send
+   */
+  async run(campaign) {
+    this.activeId = campaign.id;
+    this.changed();
+
+    try {
+      for (const recipient of campaign.recipients) {
+        if (campaign.status !== 'running') break;
+        if (recipient.status !== 'pending') continue;
+
+        recipient.status = 'sending';
+        this.changed();
+
+        let outcome;
+        try {
+          outcome = await this.callbacks.send(campaign, recipient);
+        } catch (error) {
+          console.error('Error sending campaign message:', error);
+          outcome = { status: 'failed', error: error.message };
+        }
+
+        // The sender asks to stop when the connection is gone; the recipient is tried again on resume
+        if (outcome.status === 'pending') {
+          recipient.status = 'pending';
+          this.pause(campaign.id, outcome.error || 'Connection lost');
+          break;
+        }
+
+        Object.assign(recipient, {
+          status: outcome.status,
+          error: outcome.error || null,
+          sentAt: outcome.status === 'sent' ? new Date().toISOString() : null
+        });
+
+        // Messages left in the outbox go out on reconnect, the rest of the campaign waits for the operator
+        if (outcome.status === 'queued') {
+          this.pause(campaign.id, 'Connection lost, the last message is queued in the outbox');
+          break;
+        }
+
+        this.changed();
+
+        if (campaign.status === 'running' && campaign.recipients.some(next => next.status === 'pending')) {
+          await this.wait(this.getSendDelay());
+        }
+      }
+
+      if (campaign.status === 'running') {
+        campaign.status = 'completed';
+        campaign.finishedAt = new Date().toISOString();
+      }
+    } finally {
+      this.activeId = null;
+      this.changed();
+    }
+  }
+
+  /**
+   * Time to wait before the next message, with jitter so sends do not arrive in a fixed rhythm
+   * @returns {number} Delay in milliseconds
+   */
+  getSendDelay() {
+    const { SEND_INTERVAL, SEND_JITTER } = this.config.CAMPAIGNS;
+    return SEND_INTERVAL + Math.round(Math.random() * SEND_JITTER);
+  }
+
+  /**
+   * Wait between messages; pausing or cancelling ends the wait early
+   * @param {number} ms - Delay in milliseconds
+   * @returns {Promise} Resolves after the delay or when interrupted
+   */
+  wait(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.wakeUp = null;
+        resolve();
+      }, ms);
+
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        this.wakeUp = null;
+        resolve();
+      };
+    });
+  }
+
+  /**
+   * End the current wait, if any
+   */
+  interruptWait() {
+    if (this.wakeUp) this.wakeUp();
+  }
+
+  /**
+   * Build a CSV report with one row per recipient
+   * @param {Object} campaign - Campaign
+   * @returns {string} CSV text
+   */
+  createReport(campaign) {
+    const quote = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    const rows = [['name', 'number', 'status', 'error', 'sent_at', 'message']];
+
+    campaign.recipients.forEach(recipient => {
+      rows.push([
+        recipient.name,
+        recipient.number,
+        recipient.status,
+        recipient.error,
+        recipient.sentAt,
+        recipient.text ?? campaign.template.name
+      ]);
+    });
+
+    return rows.map(row => row.map(quote).join(',')).join('\r\n');
+  }
+
+  /**
+   * Store the campaigns and tell the app about the change
+   */
+  changed() {
+    this.storage.set('campaigns', this.campaigns);
+    this.callbacks.onChange(this.campaigns);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CampaignService;
+} else {
+  window.CampaignService = CampaignService;
+}
@@ -11,7 +11,19 @@ const CONFIG = {
   ENDPOINTS: {
     GET_ALL_CONVERSATIONS: '/m/get/all',
     GET_CONVERSATION_INFO: '/m/get/info',
-    SEND_INTERVENTION: '/m/send/to/single/number'
+    SEND_INTERVENTION: '/m/send/to/single/number',
+    NOTES: '/m/notes',
+    BOT_PAUSE: '/m/bot/pause',
+    BOT_RESUME: '/m/bot/resume',
+    TAGS: '/m/tags',
+    CONVERSATION_TAGS: '/m/tags/conversation',
+    VIEWS: '/m/views',
+    QUICK_REPLIES: '/m/quick-replies',
+    CONTACTS: '/m/contacts',
+    SCHEDULED: '/m/scheduled',
+    LOGIN: '/auth/login',
+    REFRESH: '/auth/refresh',
+    LOGOUT: '/auth/logout'
   },
   
   // Message Types Mapping
@@ -30,7 +42,13 @@ const CONFIG = {
     AI_MESSAGE: 'IAsendMessage',
     MESSAGE_SENT: 'sendMessage',
     CONVERSATION_UPDATED: 'conversation_updated',
-    USER_TYPING: 'user_typing'
+    USER_TYPING: 'user_typing',
+    OPERATOR_JOIN: 'operator_join',
+    OPERATOR_VIEWING: 'operator_viewing',
+    OPERATOR_TYPING: 'operator_typing',
+    OPERATOR_PRESENCE: 'operator_presence',
+    CONVERSATION_ASSIGN: 'conversation_assign',
+    CONVERSATION_ASSIGNED: 'conversation_assigned'
   },
   
   // UI Configuration
@@ -38,40 +56,95 @@ const CONFIG = {
     MESSAGE_MAX_WIDTH: '70%',
     TOAST_DURATION: 1600,
     REFRESH_INTERVAL: 30000, // 30 seconds
-    CONNECTION_RETRY_DELAY: 5000 // 5 seconds
+    MESSAGE_BATCH_DELAY: 150, // Window for coalescing socket bursts per number
+    OPERATOR_TYPING_TIMEOUT: 3000, // Typing stops being announced after 3 seconds without keystrokes
+    WAVEFORM_BARS: 40, // Bars in the waveform of an audio message
+    PLAYBACK_RATES: [1, 1.5, 2] // Speeds the audio speed button cycles through
   },
   
-  // Default Tags
-  DEFAULT_TAGS: ['lead', 'fx'],
+  // Operator sessions
+  AUTH: {
+    REFRESH_MARGIN: 60000 // Refresh the access token one minute before it expires
+  },
+
+  // Socket.IO reconnection backoff
+  RECONNECTION: {
+    DELAY: 1000, // First retry after 1 second, doubling each attempt
+    DELAY_MAX: 30000, // Never wait longer than 30 seconds
+    RANDOMIZATION_FACTOR: 0.5 // Jitter so clients do not reconnect in lockstep
+  },
+
+  // Broadcast campaigns
+  CAMPAIGNS: {
+    SEND_INTERVAL: 4000, // Wait at least 4 seconds between two campaign messages
+    SEND_JITTER: 2000, // Plus up to 2 seconds so sends do not arrive in a fixed rhythm
+    HISTORY_LIMIT: 20 // Campaign reports kept in this browser
+  },
+
+  // Contact's local hours when sending asks for confirmation first, with the option to schedule instead
+  QUIET_HOURS: {
+    START: 21, // From 21:00...
+    END: 8 // ...until 08:00 in the contact's time zone
+  },
+
+  // Messages sent later, by the backend when it supports scheduling or else by this browser
+  SCHEDULER: {
+    TICK_INTERVAL: 15000, // Check for due messages every 15 seconds
+    RETRY_DELAY: 5 * 60 * 1000, // Wait 5 minutes before handing messages to the backend again after it failed
+    MISSED_GRACE: 15 * 60 * 1000 // Messages overdue by more than 15 minutes when the panel opens are not sent late
+  },
+
+  // Local persistence
+  STORAGE_PREFIX: 'whatsapp-admin',
+  DATABASE: {
+    NAME: 'whatsapp-admin',
+    VERSION: 2,
+    STORES: {
+      OUTBOX: 'outbox',
+      VOICE_NOTES: 'voiceNotes'
+    }
+  },
+
+  // Name used as note author until operators sign in
+  DEFAULT_OPERATOR_NAME: 'Admin',
+
+  // Inbox tabs every operator starts with; saved views are queries in the search syntax
+  DEFAULT_VIEWS: [
+    { id: 'all', name: 'All', query: '' },
+    { id: 'unread', name: 'Unread', query: 'is:unread' },
+    { id: 'attention', name: 'Attention', query: 'is:attention' },
+    { id: 'mine', name: 'Mine', query: 'is:mine' }
+  ],
+
+  // Tag palette; tags without a chosen color get one of these based on their name
+  TAG_COLORS: ['#53bdeb', '#00a884', '#ffd166', '#ff6b6b', '#c792ea', '#f78c6c', '#9cc4ff'],
   
   // Quick Reply Templates
+  // Used until the backend or this browser has a library of its own. Text may contain
+  // {{name}}, {{first_name}}, {{number}} and {{operator}}, filled in from the active conversation.
   QUICK_REPLIES: [
-    "Hey, it's Hans from TradeTab. Please keep this number private. All good with your trading?",
-    "Glad you replied — join the Telegram for neutral market commentary: https://t.me/tradetabofficial",
-    "Got it. If you prefer no more messages, reply STOP and we'll unsubscribe you."
+    { id: 'intro', title: 'Introduction', category: 'Greeting', shortcut: 'intro', text: "Hey, it's Hans from TradeTab. Please keep this number private. All good with your trading?" },
+    { id: 'telegram', title: 'Telegram invite', category: 'Follow-up', shortcut: 'telegram', text: 'Glad you replied — join the Telegram for neutral market commentary: https://t.me/tradetabofficial' },
+    { id: 'stop', title: 'Opt-out notice', category: 'Opt-out', shortcut: 'stop', text: "Got it. If you prefer no more messages, reply STOP and we'll unsubscribe you." }
   ],
 
-  // Predefined Voice Notes (base64 audio data)
-  // To replace with real recordings:
-  // 1. Record audio using the voice recorder feature
-  // 2. Copy the base64 data from browser console logs
-  // 3. Replace the sample base64 strings below with your actual recordings
-  PREDEFINED_VOICE_NOTES: [
+  // Voice notes added to an empty library on first use. The library itself lives in
+  // IndexedDB and is managed from the voice menu (save a recording, rename, reorder, delete).
+  DEFAULT_VOICE_NOTES: [
     {
       id: 'greeting',
       name: '👋 Thats right, how are you?',
       description: 'Hello, this is a greeting message',
-      // Replace this sample base64 with actual greeting recording
-      base64:`AAAAGGZ0eXBtcDQyAAAAAG1wNDJpc29tAAAAGGJlYW0BAAAAAQAAAAAAAAAGAAAAAAAK4m1vb3YAAABsbXZoZAAAAAAAAAAAAAAAAAAAXcAAB2wAAAEAAAEAAAAAAAAAAAAAAAABAAAAAAAAAAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAIAAApudHJhawAAAFx0a2hkAAAABwAAAAAAAAAAAAAAAQAAAAAAB2wAAAAAAAAAAAAAAAAAAQAAAAABAAAAAAAAAAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAKCm1kaWEAAAAgbWRoZAAAAAAAAAAAAAAAAAAAXcAAB2wAVcQAAAAAACJoZGxyAAAAAAAAAABzb3VuAAAAAAAAAAAAAAAAAAAAAAnAbWluZgAAABBzbWhkAAAAAAAAAAAAAAAkZGluZgAAABxkcmVmAAAAAAAAAAEAAAAMdXJsIAAAAAEAAAmEc3RibAAAAGhzdHNkAAAAAAAAAAEAAABYbXA0YQAAAAAAAAABAAAAAAAAAAAAAQAQAAAAAF3AAAAAAAA0ZXNkcwAAAAADgICAIwAAAASAgIAUQBYAAAAAAH01AAAAAAWAgIACEwgGgICAAgAAAAAAGHN0dHMAAAAAAAAAAQAAAdsAAAQAAAAA9HN0c2MAAAAAAAAAEwAAAAEAAAAXAAAAAQAAAAMAAAADAAAAAQAAAAQAAAAXAAAAAQAAAAYAAAABAAAAAQAAAAcAAAAXAAAAAQAAAAsAAAABAAAAAQAAAAwAAAAXAAAAAQAAAA4AAAABAAAAAQAAAA8AAAAXAAAAAQAAABEAAAABAAAAAQAAABIAAAAXAAAAAQAAABQAAAABAAAAAQAAABUAAAAXAAAAAQAAABcAAAABAAAAAQAAABgAAAAXAAAAAQAAABoAAAABAAAAAQAAABsAAAAXAAAAAQAAAB0AAAABAAAAAQAAAB4AAAAEAAAAAQAAB4BzdHN6AAAAAAAAAAAAAAHbAAAABAAAAAQAAAAEAAAABAAAAA0AAAANAAAADgAAAAYAAAAGAAAABgAAAAYAAAAGAAAACgAAAA0AAAAMAAAADQAAAA0AAAANAAAACwAAAAYAAAFoAAABBAAAAQAAAADwAAABDwAAAP4AAAEwAAABGQAAAQYAAAFIAAABCAAAAPwAAAD/AAAA+gAAATYAAAExAAABGAAAAQ0AAAD7AAABCAAAAP4AAAEiAAABAAAAAR0AAAEXAAAA/gAAAQcAAAEcAAABHwAAAPwAAAD4AAAA9QAAATYAAAFDAAABBQAAAP4AAAD5AAAAzgAAABkAAAAKAAABMwAAASsAAAD3AAABMwAAAQMAAAEAAAAA9AAAANwAAADXAAAA3gAAATsAAADFAAAAyAAAALkAAAC4AAAAvgAAALwAAACGAAAAGgAAAOAAAAD9AAAA8gAAAWcAAADOAAAArgAAALYAAACuAAAAtAAAAKwAAADBAAAA9gAAAR4AAADxAAAAwgAAAOkAAADTAAABIgAAASQAAACjAAAAmQAAALEAAAC/AAAApQAAAKIAAACdAAAAugAAAMMAAACeAAAAyQAAAMMAAACdAAAAmAAAAKMAAAEfAAAAugAAAPgAAADHAAAAmwAAAJ4AAACpAAAAxQAAALQAAACsAAAAyAAAALcAAACOAAAAhwAAAIoAAAChAAAA6wAAAJkAAACMAAAAggAAAIcAAACLAAAAkAAAAIYAAACSAAAAnwAAAGwAAACAAAAAqgAAAOAAAACIAAAAkwAAAJQAAACJAAAAgwAAAPgAAACRAAAAkQAAAIkAAAB4AAAAkQAAANQAAACHAAAAhwAAAI0AAACNAAAAjwAAAJAAAACLAAAA1wAAANMAAADNAAAApQAAAKAAAACPAAAAjQAAAH8AAADxAAAA0wAAAJ8AAACZAAAAjAAAAIkAAACHAAAAhAAAAOIAAAB+AAAAggAAAIsAAACHAAAA1QAAAIEAAACpAAAAowAAAKAAAACFAAAAkwAAAIwAAACTAAAAfQAAAHkAAACEAAAAwQAAAIIAAACOAAAAmQAAAIcAAACcAAAApgAAAJcAAADSAAAArQAAAKEAAACoAAAAwgAAAQ8AAACaAAAAkwAAAN8AAADMAAAAlgAAAI4AAACUAAAAjwAAAJQAAADaAAAAuQAAAIwAAACjAAAArwAAAJYAAACaAAAAnAAAAHkAAACOAAAAZwAAAL0AAACkAAAA4QAAAJMAAACPAAAAmAAAAKwAAACtAAAAlwAAAKMAAAC6AAAApAAAALMAAACnAAAAqQAAAKcAAACZAAAA1wAAASIAAADXAAAAoQAAAJQAAAChAAABBwAAAMMAAADpAAAA7AAAAK4AAADWAAAAmgAAAKgAAACtAAAAqQAAAM8AAACcAAAAdgAAAT4AAADZAAAAwQAAAJ8AAACUAAAA3AAAAK8AAACjAAAApgAAALUAAACZAAAA5AAAARUAAACsAAAAmAAAAJoAAACbAAAAmgAAAMcAAACdAAAAoQAAAIkAAACWAAAAvwAAAQAAAACZAAAAjwAAAKIAAACUAAAAlwAAAKAAAAEVAAAAsQAAAKwAAACjAAABIwAAAKUAAACLAAAA2wAAALQAAACoAAAA1QAAAM0AAAC3AAAAnQAAAJcAAACmAAAAuwAAAJQAAAC6AAAA3QAAAKkAAACsAAAAqgAAAHgAAACbAAAA9QAAALkAAACvAAAAjgAAAHoAAACWAAAAqwAAAJoAAACqAAAAuQAAAKoAAACiAAAAvAAAAKEAAADGAAAAlAAAAI4AAADBAAAApAAAAJcAAACMAAAA9AAAAJgAAADGAAAArAAAAK4AAACzAAAAtgAAAJoAAACMAAAAtAAAAKAAAACKAAAAmgAAAJwAAACKAAAAkgAAAJoAAACUAAAAjAAAAIgAAACCAAAAiwAAAJcAAABwAAAApQAAAKYAAACaAAAAjgAAAJ8AAACkAAAAzAAAAJwAAACgAAAAkwAAAKwAAACcAAAAjAAAAJwAAACaAAAAjwAAALEAAACiAAAAkwAAANUAAACtAAAApgAAAKQAAAEyAAAApQAAAJ4AAACgAAAAyAAAAKYAAACeAAAAmQAAAKoAAAEtAAAAogAAAKwAAACmAAAAsgAAALEAAACvAAAAuQAAALcAAAC5AAAApgAAAKYAAACkAAAAtwAAAK0AAAC2AAAAqAAAAJIAAACaAAAAnwAAAKkAAADEAAAAqgAAALUAAACcAAAAmQAAAJ8AAAD9AAAAxQAAARsAAADEAAAAngAAAJIAAACdAAAAzAAAAJoAAACdAAAA0gAAAMoAAACZAAAA4gAAAKIAAADFAAAAwgAAAKIAAACiAAAApQAAALIAAACkAAAAqwAAAKAAAACnAAAAuAAAAKIAAAC5AAAArgAAAKQAAADDAAAAqQAAAJ4AAAEOAAAAoQAAAJsAAACUAAAASAAAAAoAAAAJAAAABgAAAAYAAAAGAAAABgAAAAYAAAAGAAAABgAAAAkAAAAMAAAADAAAAIhzdGNvAAAAAAAAAB4AAAsiAAAPPwAAJ7EAAC9bAABEugAAVvQAAFkLAABqMQAAeWsAAIfPAACWAQAAl8oAAKZlAAC0swAAtqMAAMeOAADYDAAA2eoAAOoBAAD5bAAA+1oAAQq7AAEYPgABGi4AASoAAAE5cgABO08AAUveAAFWlgABV+AAAU2FbWRhdAAAAAAAAU2FANAABwDQAAcA0AAHANAABwFMFwPvW4m9uQAEPcABTBcD71uKrTCEAEPcAUwXA+9bi5P8R/xD/cABTBcD7xwBTBcD7xwBTBcD7xwBTBcD7xwBTBcD7xwBTBcD71uG0kQ3AUwXA+9bjPsAEgoFwAFMFwPvW4v1pApK7gFMFwPvW4zWDeCPKcABTBcD71uM+OegMeXAAUwXA+9bjOrojjgdwAFKFwPvW4fxBx7gAUpXA+8cAPCfHfgWFv8Ab/AG1BQwmUFWhMgV4mQa78enzn8+3r9Xfefo/N+8/zxvyzvj+vhTNcZacriVnw8Wo+AQDW/yHsf/c4eZr+GcPA19p4Gqf4GnOa42jAJLypDJX875YnRkE1jjqTQE4EOVz7nJjPd4cvx/beL0/1F9ohcoE/G+p3mp+Xpac2Q+NK+7EAD7J+1/wu3Ip+IgNhf5NGfKbgcFt6dHiccsNSZCJri7WZKdhr3qHstZWWovZ32L8F3V/GulnYsmullTieRJKnuDR0/G/T31XP/3K51KHR7njb/zNXc48+8ovrE5ASlgEC5/cV65l4+acrjr7WLHZ59z4o6MBXbB/GYVaTYozi3MIsvwOBFnbad0m3quAVBKhcgx2ZruM4ExhOll42gZvsgvkl7DkqNQ+oywF3MP6bP6dB3dgVCyAN7CiMIlPVn1QjlmIiouEmu/CXX0Yhdk4uCUXcZZ9J5hn2Df1LDgARrXLcQYegmEIkOIQEc3uno+b7jUUV2Cy5la80pIEXj7kD2W/9ydEeObX9Qyoy39oT1daix9L8O91J0sOSllz4JhTFuYkNTjiLhFYRGE6WNTsc1FkIamiZy3HmoiE5SMUlTgtZP+NqtkNGpvQCFT2nta7LNH2GXfUBOCOczymWjBRDJQTZJJJid/WoT27/b2ic8qhHiDjgA0T2hnXOWJXYW4TapqzBBMhYyOnyN2Vpp6I2VaXeAafDEAKBcFYORkWEy0U46KGTO0FdcrxYP/h2p6u1i1RHaDnbGsq1Z3ehbdn5+m2GS7ehx2KXFVKysJcuFxTHauqgrXS8srcyYLRefMAA4BJFctcNoTCoSjgKiQYhYJjARXfrwoH0sDnbFCarOkte7gjjJNORTNDvIKm9YOxYXIJElVD6NHeYvbeoUhjDFcRnORk8hsAFUJnaGSUohK3AtanYxT4wiTrDwqUQlTzQAYJk2QwKRl1UCQWZXa8pqPQSWeVr4T/ATex5YRdQtbcZzyDbbZUpugkE41TeQjAobiOK3uM6nc6S2ABIRGp1rf3kcJKxhIrw1T8deGDXtmFoLrdYgiNZrfcYk0tjBJfvt1p6yknYbAiIEbGalR48iudQbiXs0ZugC3MJKkoVTaeXA4wKbZr1V3QOnjPru2/B9N2BQaQEtDmbMsmO0KgmAOATqf/s0YKGCycqkIlSZAu/a98yaS96CfjPkPJCz3PXnAZr8NkVosBlYU3aQ4x52GB84WR4NOYdyZSYQJIZBy3W7kDtRNnFqMsnKzX/2ouGiiIldWOYvSaf02qqb4dnq9bbp1RAoMBswQ0WxbEODQE+TvR6HWl7/JlyMZnlcac+TNxlpyvYTM9FufTSP4FxZ1shr1rvv+NyE9uYxqKiNarkqK2fTugnir4UaTm5nPujqU0HNdDcs14O1se7PZsVtCpSqdWNf2tv/CnRGoMYTNSrq9XVMC9dG9qpffZJOJ7NMZlTcl03KQxAICAD7sHbjgATzXLHULGyCFAUGwUEIUGIQE7QgbLX1HL7XNCNX764ZIyQJEwGR13LrLFS1gDEaFBb1cKwxfnulfIUa3zkhriM7Zq5OLaz2rvnCWCuZvyK8KJCdKqOd8bNw9H539/kO/jzmO5DPx10L6nQZanNq6UaLiwBHJ3QFAp1plc+ePZUlL5555SOdl1la02+GrHGYmpBrnBRcci10AXfUysuKbaDt6ZDAjKkf+aHh/LwH3Kv4JTLTC3WqWps1KvjguuQpsB1gBkSsEYdr18v/KbksSEhcwIDyQtYQnoar7JhbiM346OnSJqUTuhVGoZXJiagHVQB1jXTHDboQkbH9V0LrXkgONkD5Hd88bHT8McNQA4AE0Vyx0mw0SDkFhoShCNBkMQgJ2X3QZsN9A3qHReJ1NpAQVCWjhVrjpV4+Z9wfYWI7M71OtGEh1hMZYW3E/RsPiiNnzarShHnPsk/EwR7psO5agWU+YTj3HO0HDfggUBuz1rU2UKTFSWNyM0RJhE0rkgCu/PyrzkXh/s423ICoM6b0AD8PXjEiBYbjUrHfXJAVtDYU7F/U2fl24to+tWYiMChGbdKe3cmAFrox6Pc1bYsUZwoCnhtDuxeGV/wv0OpQ/hbhPXX215qdBLimrCpy8Eih6cX1l3obbODrwDAoJQHXHMu5hqH+fmfFaUjJZm9ydCzPxcU3ZunwjtsAHATSftpRTMFYJA1GamC0MgbMZmjEgXvrTozPrftn2qOorjk6e9cY6UekIbusBcW9PHyc7jXu/9T75Y2yQenI2AlE1LrbOWpdBhc8LS2iRkngpVz00gXqD1KPcKRlNOT1oXQkFdKAAtyWhrr1dV8IiN9UfZC5xNRBZCNNbw69suvuzzwXAWERwHlHBdC7j8X4LStIvqV+0ShS6Uk3SWOEM3Xjnolzmf2Tc5HjhvChvEjCp4YZVqcnPTYjS2p0YVEOigK1i9ddJZwpKd6Ui/bIgIoGSQRsYFjeDQBGBoZJGRFEZV6hqtk7b/5z8KLnwPqvi4jg79xP8Q/mfyKm6pkdCfPyo5zHfOCC0HKbVyiVgasQgLnS5yxiwODNY+jP/pPs6Pm+8VVfZs6FwnkfuefSTHAEw1yxUyEsZBMdBsEhAJnqwQ4QRg0czm5XI3C6sFNLtrsihsys1LltHsnoz0pnZECpV5UZBFcFJYQklszsthmhPOLgKOtFqMUU+giEhSW2m+7/G1JvLHGVQtcLiFpjNiABqVUVgzlVxi9qfF/bWc084ADAR2V+TVGxZVQKbEepJ9p3Q8nvEqgAGrjn41Ik89cT2viLxMCqAX2IYsl9S5Qg5UG+WUKN3UiU7dvSyqMO/K3daknKQZMK6Ho10Ii+EUyziVgEVJRexzTU0yE3e0Lw5ENyBV0LrGiVz2h9fs5RsmWEdAJ0mD/e64VyvdEfNiW4cqspCGUOQKb1eAOE1xRH3b0v9l1PtTsiqeV1wp7OfTJrk9kEwtYHAATZXKSzLHBWQQkCQhEAnpYrL1bgATnW2ZLN1bjFVa00bRJAI2rH3NI7b17msdfdIregMntMbYv4zW7Hk3WSz93TwwYO1pnoprZUpTGiVLZeqvXKvOHbPEx8gz9uWMHVEUMgTbwP9p43jqYDYWnjncnOrVFPLAmlEq2NbXAqUClygxpo7BFyqLRwqCIMQSIIWbhS6wAIKUi5qBOxjWMtrowBGNNpYkr5NIFR7B8QSW+U7bM9eqk7Z8kGmvHGe0iFyoNAQ2urugncRBgUoJjz/CEOZIKjaPBUd0OYSIq0LDn3siWI67qcUl3uOzBPoNCEZKecHNzZvbOC8WGmXxH6XFmSvbCAAcAEwn7LTKCzREkIkDTY1UhkDerMgNcskgF5+PfrSq+Z+qf06/HqTqP219W/6fDo5uz8eJ/x56x6U+55IHG+8uSQd+23bFM7FbYbaPeQKXFVE5DoBd1Mmk79gE79i5vs0ALVR2zkl7Q1pXNGZoS+QrscdSZ73ZtR8liaE3Lf4jckxwkXgeJewrm56w/uHiEh5X1Daem+38VlxNNFyaxgucD7/PA8RgkE9gV6MwZpKWnV2yqFaQJ8b8uqGAJZhTBNkxvrecHgpUSnQYjguyNceN1u5ST/HqKgvF77vMcckMzd14jhe2O2bJYT64/r3XDBU/Q0ILit+KNGjtjmLoUmYnr/VvI0/WMR6RxvDQE/1pPyrDyD/NDZy8f2C2siIjdGRi7O3jIYkgYf9RaoRyceIy2YdqkZFvKieMgf7UmbROoKaci2M1iVR5PwBPNcuFFsaCgyCERHEICTvm7w3515dNx3DvwtGNHHmatgAQsOUZsTDDbnOHUencvTDGL9ugP5NQxx8nNduOeH+DfxEv0EsBcDdyxdjG1pvDMEBwF5aYOgDBDjp1/zvveCHk4+rqTZ+HkM+fSCAw6TN1fs/QlX5Z4N8s6WFsu2eodN/OmtbL1iaeYvlHTqQwv3UYYf+6zjnaa7ZhDWW2ArO8EglHupCpvJaGVSbWtxD4pxeTFMekszy375zPE1rkykp7t8ZirOAAKLCmgzw8Ocg8MO3jmSkhnICcCoG94XwBhauyAdG6TDcaH7sZubytOvw7mH515f7pT1FVSfeZsAYfb2utlcAA4ABMhctcEYlBgjEgaDESDITBIIhARm3YoWnWzELytE01rVaSu4BRCkHoJwpFdAlUoPAL3FDTt3aqbreIjFp3l+KOSK6qVCle+UIWjMAw2hD6SguxzB51VAVNS38rfIjo8HNSKOFEB0ozyjmEEMyG3Tsi5QopSSGxtwBk3YUZsVGiSigt0NDTNSaq4pPVzyiqJDTQ3hHOgpHScTX4XnXTO73XqjeCuHUvV/DMHUW7q0gIYWECv4Iq6zkMv8r4Ljm8dP5V7yWVYPQct2VD+GAZL7eik4PBFrPNcSIoDIwM1qVb8GJcGxJ6YKrwG5wtJmb297f9vjlaKn+f0m6ABwBNBcIVtUdEQbJAKDYKEAY3k5lbXaLzigsbvUp5NJvAdyVxnx3rp7eh9gvrlKKJYz/PCjub8t0c4APLSQFKDPIhsF0AsOfzhPf4mckJkkPFRca6FChFJsfnBSuvGS+xuMPANbzjZtPLj102gzeEgL19VJvs1ZaTQyFHB1mfulDukUEwIhgVczGODOdtm9QJtU7Z75hFDArkBQSKzq4lY6AtoRlG/LDYAAfZ/zZz+mDi+TWWNVQZza39qLMoiMlcBmdnZpJunr4EQzfI2N9++dOevaXM9y0dpInepwGr9B6z8rY+v8A1fJgiWGNRItWWJp943mLz0HNyR/Npjepkz4BKlctbOgaEYSHYKBAb3T0lonF40ndZrpK3nS2ataR4EEiiQ7yg43Xc7i3auNf/gz8bzd0i1PKjPLu1v5Nky7/JXd90ckwGLtc1uEna4TeZrn7nNpiwOBYiBwSFmI1rtc1MSRB4ZoExnlay2sZOu4FVBJt3mhz5ZPiFFeMf/JMdvQYtP+tGcxOWtoe/jXVE91If7WQ7M6XwzaRaEIefQ+9JR2Qw+DasIa3i971ORtFqar/ldiogksrwn1W4GYh4HllTjZwfl/txOyQwkuuysfBy2ORKSce6HVTV+0BqRTG66isupFby5By+flmHLR5EvTH0g6ysozla7r4ATKf1tRWMFCpRGQN2ojYmQNqNRVoTIFw17e+fjXMnev4r4XmeXN5b5q/PixuXcDj9lpzXk3c+zZil5A4EmcVz9WyTNtpCmLJZLQRwlcwLO0mppWOjCimmfCCXsCpw6gqNHnG6tCCAYQnfLsepzf8Sk26iQnC9aN8iUTJ+mAXQcqjbhbztcI7Nat8+icaxhUZWuqXvP+OCK72YHbB/AA72kjuS5q/GNsbQ/A4zDuyln6+8r7KbK8ZiShJSkxjGfQWScPMgVirBQhB5wUmoZ4hkajHXM8uzdGgI7Arya9w+pdDEx5+MmBVoLKAicqXDQ63baj3dEd2/9ZzsDlRu9guYoLZJdnm0INBo/MjhaFPkbnpXnyBsqPksjQsnbiDvmqk9o3a871NX1rSO0F69QR8UOqz5g8YcAE0n67TKizgqUZkDdaUWLliJA1WyISBNZEm+Jrc218es5Lzpt1ZtvO81lBs0tN+tZAjv/208CPqoucfZ554nBQQzrm7VmCZyj2uZ31S7J61MykAEQ81JHb1q7nUfiZag/qNe2YwvSurrkQkE5Yb5vcxGSUPYpQB8w0BkH/p95I6ktvI0nPHjDFE0195xzi2+mp/pWpMMuWx118IWCSk6jKy9dzoChC2qnfvQ//nQUREYN32g8jzckJMOUiPxxzld+1tzzvCCM3gIt/U54W5RoH2HN2u82y7fOmN6Y7PyX1YbWOESjohjgYS0tbRClSXvBlN8LtR+AnEXY6WKRXnyYN9dMtE8tT3XTPhfvCzQ7wqgEiUanaw0EwFzW8BPZu53+UgxfAqTTn6Ffi/vfMfCpccASzXLU00ExUCQ4CwhCAj3sI9fUmo7i+UQ53J2ckmtgOMNy+663jdWiynw+23OqtjKeFqDmwymFEuOLT5UDULtwkd/L8eq9enYqhagDKpIU809Pjv6rp2k7Bq30tEXLNzMaoeGATeDvtZ683anrturwb+9MbfTLJ1Rsa+ocglc+fEPzKS225Si2HfV2A9yTYIakjI4vIjHMSLB2uEGKzL33D1oc0r7lxbEWpNiGm1htXWehdqqtRPbuS3GTZ0W/QBrl7ZKTTzp0ZJ8+X4Dz0ObqSgCjGbVCVhJnTYG2aEeo13k3oLauI1xYLe/XPUxOpNJNVAVy4vNor67JNfIhjVVX9vWtEg15zujO5iAKCxGHfspitr11hJwAE4FwhWiFWJiwJhINgoMhIMQgJiURZqRoT0XJzyrFNyIVA3t9EvJz6L+r7QgWePBPwdSkm+PvqH2fRuzrnuoIojXSU8RH1L/+6hqLq3HkT9szKu8IdF4EfbftSwizNJfxIB972C+mbJxLPLN5ZpgOsajqmBl5YOYzTFVcIX2eG7AS4FTyNPiC0Vhr6FBJZ3RZbCpKS91kkHx02vXit3l1mTqj2tfyyXnemi0lKZagmnMBWDNj8DMFlfL3cwvqrd21/u48+b30xW3AZwAreMIrJ6Gn8vn+A85f9rpE7yMAI99RghcJ0OOW4qu4vGfF83JnsWrIBBisxlkTD6pN55qNmmko+pjMTwd3mAcQOAATYXKUyYIzUMYgEyMxB10ShjoK7xW2ZtqNoERot/7aHzP4yxVGChs6H2mw0pMxUwfDQJ26Wn9NHXT24HKU/c5VoGNSmtIghVRt8iKTH/VQRFOgA0ouKLqDidttbME9boIFOZFJWCOStWZ7Ursr7VKUyFRGlKEABOFVZpHO8mS2qeqCkaTTIKqRQ91JO5kSucxcpArIXRyrkKtwdQtszrB1W+7VYcklJzDe6nYWuW4ebgNSYc2S1atV9FWbror/qrlmkx2W7dt4GrHbUb1DPK3Y5PE05KsBSa63njqPmN1VOnbcRtY24iaftO3xZ5dH5kuHtqkq9fkWVoLgcBLhcqbGQjCQUCRAhATsvkkXpJbNnlZXKlHq1jItxEgAIf4gjorKJUm+JvDF0mr6RTDqH+o5pzHv9u0nK00bT3RYkmaJXLDZALh7MNXqq1uQ4uikbnyi201Ts9l1kp1QoGCLcpgbCAt5GLpoJkbAyYMI+BT56I/YBPf7a1WgopuSr0Y9+TW0qYIlZlB73jmeC1ovZRk4TfRufJAEJlrePEpRSnomMTdlscTW/2G4J8PO5/vgdhQRniAd1PwzQLWzW9XzTSPL/jcrmGUFGPahvK/gYfgEiByrycFXg4GLlmN1pIbXJXrrSZoqmatNOmpUpkP3oFtyI8qiGdNm1RYBYUSVWLrdwxgA4BGhcp9iZyCYMBYSDEgCd7V4b5X0Tgt06DN4u3PMxYsLkpQ+TjrZlNYkIGxt0QCAEDh1YWgcY2xUw7Aps7lI4aGA0a/9/23MBU8OwtToQVft7a8BV+6taYYq4WmTpl3qp2XhAc5Rvrh1lKiFO7v2NZLYAjOVXCSuJ0RKtsvTPhXGT81qOeMZksaCIn6Uxo0HzOmZmdRJAq6ROAoBEUk9XmLMkiSvF7klz5k4KXGdvk1GgW1rspYEsOuShbUS5dBz0vgt4Ly1p5k0TnXwaJUzszWeUThfs4wwH0pALgsHfO8fFYzevVk2fn1jg83xhhxI8xb62hq+NP3xxArEEgDgEcFy1UZlUdDiFBANPdTtyFRns6PNici+WUZagrUZsXO6JPVRTt2VCImVBOCSxF87/a+6/dPzaVg/7GKz1zYa7pT7sWOk2oUHR4A3Wq2t+ph8KMqCF3l4TRCwylO4FLVQVARXouosp7bNrkXf32U3ZEytdRIaJBAsBlCwgBDa4BTZ+r2tFWrAw5vlH8zde37hyj8hLBqzL2/kz9PLjV6tNWJ9yBlGHmX2Mg97cCE4tm9Mc7gg7RwdypUwZlA+KgAMD92ItsQgSTREgLqafC31AzrAtSNDafW1yiJnID21GYtXhE0eyH9DKV0f5q8x+2+ZaG6L+U42d4pu3bSO7pc9m+XNbetdJNCGTek+Hlev7duXYd92258zP/pkm9GnZd3d+AATwXLWyEKwqFYYEhWGgTGA03NypYuok0Xqdbbct6a1fpk1sFAbufrp5OV70xIR5gyANTWRMjw1+wJrXBtvdaJSfu/Jaj/Kto06ne3Z0FaaxsZrOgYremd9Duw894lnVv0VYwB0sbPjfQCewb5jb0+mynWPHsCfOFDLeh6V5r2VFLrA2by3PNzKKoNcnUQSECyoWUjODCIXUbFVL/EdCCMylrrucrzi8dYY1m0p1U4njAr1+qoaoAUA6nm2vDzRFWprV5MEI7peBABIBupAkEuauToe0Fq442s6S5XqzbEsg4Zm07OACBafbdD6n+9e3+4Yf77sdXdfbW2tXZlx2BwAE4Fyy0hiUKFMKgwFAiFAsFBEMxAI5ct9RLqol9LcQ57GsTieKaItxPiRwVxq9BXI30IcuPl0x225yVGD935RyUfkIRvP8r29NnEYcR9HyWVZYSgb/+Wx7qhn90646oOBmWZUwhPX3FaqYjAOAiIRMlwQvkETAtyKMsgBEmWV+e8CJHitM5s5EEkBkdMhKy9xSGjWyBPeaczEYU3M1RLosqy25+D6+kwvo9S9UnMh6p6J/cZ15XcMtnEZSlBM3oXXIFuugkXEzpSiGLE9yTHGTB64lkska2dApr4QSfnySFK6GlM56SQsnJUEFqLSUiH3HvPqDc/VxejJHlrP2GWlKSC/CXcd2YPmy2sQfyu567nR3M9O1ig7B2VEQA4AE0Fyy0qDWFjoKhIEhIFhIIgoEwgIw23tejGmTPpd52o1i9HMssFLhJ3NH4jITtm/l4z/yr7Hi9EtVaaGcsOJrzljH2GIGoSzjk6kIShOXL0KSiIwQHRJkRvatnx1NVALw5fjQ+2fA+/78BO6Vp9s5v5dbX32vbdzmgpDsKe4ii7quIm9Gd9G13AitndA5mtWogbPdMptBr0jlPYbzXsl2b9TZNC49U6qUQgAIgdFEt+/3z/BscwqlJDRXMvCHHfo5bMG8SxDbbJsnOeUnqxqpo5Lbp0T36ML9/Y6KxsRFAwxmAO9jWWpL+SmcasKnFO6hh5roV7TnTVdFjyGlwoUMRwLIWZJ5gX2BVM1EdeSOK37MesrBEDgE0Fy0QdjQFiQNBMMhsFBCJAiEBB25OI6FFF8DuRObat3wUBiFLXJ+T14lRo1AjhEnN/GKTV4iup9Uhl4qpgjbnhDNViM14qoR02mHbQV+KA9aCdGoYwPv1GPFmuGiV6iBpyAdQGk+AuLU40CVzOOLx8WistNJGHwLeaiTd2oDhKco7/2q2qq2rHCwXpbMaDQywcLsO2lDNFZoWDIXMGNnfCs5lKR5n1aScNGGGydL4f0scdQX00hoiLpfDtm9tdSYxfWd+gXFn0HC9Li0LRo9OfOWk9AYWxoVnN7H21665ZzeVH4yqd2N60NzJGHwbha3BlbmMap4P5xwrxQAcATpXLPR4Qg6GhGGQmCgiCghCAjcMTVeUhwPCat6dWKtuiVQNXj8i0mna5TJHMZ6/s8fAEDvbpAQjKAwMB0FebNqnAAOMlCTKtY05xTpVUgAMY444TJSmQNwutvapTgscUZ+ioztyLgWrzsIRoMeS3aBvcPquq9X+cYj2dgvMmzHVgFkdVJeYhLB++kiABh390L/8pePb/RfR1ZHMUOyGVTDiOG48fBq8KMbEQLTMjJxYtuo8xlLqZ7mxDjbPzHhQXP820HcIEAOpEwBpDuKHkaPvoCVtqxXKElOmLlsea6CqDRsLyVaF4wTedTfDmM+eeqcv6qS+tBOxC17mdwJC6Y5SBJQkAOABOJ/2y5iomKlCpEgbsSSiYqQKfzSeOo3Lfw+mo9TziWg4XmFnFY763SPxT5LkjLSg74ddHLjv2UsyhcCNkkV5FUlFbWwRvPQBMLUINQitwX1T1Vx+kcAy7ykkwqWnLo1tXfJiIVCWe+rqnF7Hod/2za8fUB0+eS+QN9gPxaH28904KAddAhnkY3ywuVzRslJhgG5CpD7eUQ3mAjhHi1FhNRYZi4MbxuVWiIaem8zAze267/uwpDEyoXNxVDFQhuNa4m6JqgfT4FIFcxtbxqRGFEZG7/YWOZwyQevh4zHjHRZ6n2Fe0qYn4eHuyAAciVkBTTUfjntI8PgH6PjpwneCtyn1GK8DPJLxZRAGUH48mU/HvTNSPq9v38NjgAE0n3qjcoVIGI0VETKESBqtUTEUS/t+rvTjjd/puTftiTprevk0dLa1sPFb9hOaY7ess99rZv9JCBX9HyuUOUHRsBo7+8RBiWWVpgPx6AndwUPKAAAmhsaCpXMZAgfEyIon6tzJicfUvOrsa+/5cenUNkK9/qf3NjQ5cw+O3js2gNhG0/Eqi94TXhsd1GHZmXS7JB+T9jWEq1Cw+siksGqR08nPBwpr+5S73qkcpZVz0KyMKJNbK2vpi+m0/2nMbk6J0mTo1b+1o32WXM1i1Hr/ncU4ddruJtI9Bzm9glyHSiqcwpE/ZsEpWz61XfFSNT2mpfQ0/rFguS2Eqn6ntb1uPrbh22YFOfXfiT8fJdzHe+YwV0Y/kCilNHc9NJgOAAAEWGhvb3YAAABsbXZoZAAAAADk70KE5O9CiAAAXcAAALvAAAEAAAEAAAAAAAAAAAAAAAABAAAAAAAAAAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAIAAAKcdHJhawAAAFx0a2hkAAAAAeTvQoTk70KIAAAAAQAAAAAAALvAAAAAAAAAAAAAAAAAAQAAAAABAAAAAAAAAAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAACOG1kaWEAAAAgbWRoZAAAAADk70KE5O9CiAAAXcAAAMQAVcQAAAAAADFoZGxyAAAAAAAAAABzb3VuAAAAAAAAAAAAAAAAQ29yZSBNZWRpYSBBdWRpbwAAAAHfbWluZgAAABBzbWhkAAAAAAAAAAAAAAAkZGluZgAAABxkcmVmAAAAAAAAAAEAAAAMdXJsIAAAAAEAAAGjc3RibAAAAGdzdHNkAAAAAAAAAAEAAABXbXA0YQAAAAAAAAABAAAAAAAAAAAAAgAQAAAAAF3AAAAAAAAzZXNkcwAAAAADgICAIgAAAASAgIAUQBQAGAAAAH0AAAB9AAWAgIACEwgGgICAAQIAAAAYc3R0cwAAAAAAAAABAAAAMQAABAAAAAAoc3RzYwAAAAAAAAACAAAAAQAAABcAAAABAAAAAwAAAAMAAAABAAAA2HN0c3oAAAAAAAAAAAAAADEAAAAEAAAABAAAAAQAAAAEAAAADQAAAA0AAAAOAAAABgAAAAYAAAAGAAAABgAAAAYAAAAKAAAADQAAAAwAAAANAAAADQAAAA0AAAALAAAABgAAAWgAAAEEAAABAAAAAPAAAAEPAAAA/gAAATAAAAEZAAABBgAAAUgAAAEIAAAA/AAAAP8AAAD6AAABNgAAATEAAAEYAAABDQAAAPsAAAEIAAAA/gAAASIAAAEAAAABHQAAARcAAAD+AAABBwAAARwAAAEfAAAAHHN0Y28AAAAAAAAAAwAAACwAAARJAAAcuwAAASB1ZHRhAAAAHGRhdGUyMDI1LTA5LTE2VDE2OjM2OjIwWgAAAPxtZXRhAAAAAAAAACJoZGxyAAAAAAAAAABtZGlyAAAAAAAAAAAAAAAAAAAAAADOaWxzdAAAAHMtLS0tAAAAHG1lYW4AAAAAY29tLmFwcGxlLmlUdW5lcwAAABtuYW1lAAAAAHZvaWNlLW1lbW8tdXVpZAAAADRkYXRhAAAAAQAAAABCNjkwMUM2My1FOTQyLTQ0Q0QtODdDNi00MTdBNUZGMDhEOTIAAABTqXRvbwAAAEtkYXRhAAAAAQAAAABjb20uYXBwbGUuVm9pY2VNZW1vcyAoaVBob25lIFZlcnNpb24gMTguNi4yIChCdWlsZCAyMkcxMDApKQAAAChtdmV4AAAAIHRyZXgAAAAAAAAAAQAAAAEAAAQAAAAABAAAAAAAAAABbWRhdAAAAAAAACh8ATLXKfB2Mg2EQ0CIUGIWCIQEqq2G0xjBF6yyol1xxNxcvwAihv49hnfjfbhHPoNDQRwZky10A85CGPG8FVEW3q83C/k9GOJ6QUUlPOduI8iyNaMBnK18ZpvWZOloMopR0utFO8oauWSsYdUCnFNB4G/avKjr78SrzqkAkWkKOry60Ft7QsFYzeb9q1LTFmuOc+V9zy2yBQ+PgM0jzBdvw4IGE/zYMfUIF/3sDAoqFVhlxBN9j/n8CnOseffresW8aqw8xZF3/9aNbIa3eTFIu8zUkSXq70q4dkxhnLRI51oIi4AZohmaIAvJhhhXc19NNLNO1har+KEIxIAOASoXLJTIMxUIwUQYiCIQEeIzZvTNrjIL6YasTpyWYtNmgSTyQOKFb/YJTk/n/atTGdSUtiipEXInqUTMyWtciu/dalKHwJAVebFi1k5FgwloFmUNQqqk81Vxex2VhznyBogGKITiFMxOFcszYuXKV8G4dehHq3LWJBVI6huPmG8S56C3p/R/unp5nw1zEutgm3DNwXzk1EdC//I6NyVTIBVk8k+FTID6LweWWDuCHXTW93zv2fYP3HppdFPdLo4UBI/bQC0GdmNYXQG2g00sWE5BeUuVh0O24KfBvNbERhuOr6wklnP3cpTJM6YzUHsGp7Ju0E9IiOABHlcqMFQrBQrBQhGASMwbrhz3KhMk1MrpwL2EkUtNeSVwQAQU2dFYVB7zi7BIgi5oJwzZcZkh5Fwfbo41I7rlMyOfmpmy3RQTYoZU2FNKKOIyjhTeL1Otu4uy5015QpacjdEGpBWyxDYmiaEmzZ5vU2vE26bYuK4meL+FqAmM+Q8GFCpz3SGgX/KFBc/2XGtjmM3MvgM1mBo2RbwndillIHI9c1wMwJeApXqQasDOVRGwPg9s5ok9LX0VXGSGfX6npJzTEGKoeM7BCrynZ98wMMOsrF4nXecWwWRP9phWE8Et2KMHVQnQ8R2xodI5n2n22gAAOAEKnrYjdCojZGJAxG5QiQNWOTIE7p8WqzCdjzovIuZy5+6hJmYjhSsy9oOF1hko2lwChxUAw0+G9kwNDfF6UkaQCr57O2/FDNAmkPGMwF1OStlLHZ0ZWKVM14d7zDoKw7ZJOpqMBpESI2UqzNBvecp3WURxv/KBpgH60YQ61DVDOxBkKXLBFpyERgVcP7LYbJqjIfYxpJimTaD9CbAff0HdDRqukpZtZOMdz2Ik7vRikRNabEZAb0tCPIJnBo2DzG0WorihuhyxcVpV4IVIOBJqifNSqgqEGzto//zrwDTEQGYbBccF5ZN5RZO/0829mDEYH36UNSuGr6DyOEkNKXNaPCzBOZVGOkNbMy2IWwiTJPXBm6SFElwX6TPFwpLIwuLJDstP3uczW2VWEygvNKD8HPBggcABCJ9yzEbGwLloOJCQN/gDbZ3yBeU40Ferf0/2sCsg7crFTU79b75PbrtCkDh1pwa+Mie0XdPF0k2USd/JdS4mSDM4tRgCA44AjIK9doBGH2YcTA4fRywisjLBz6D9y/FZaL0lLNwY6ZdbEB2focQX6aGWeuhsRHoz1dfoOE7R0CM4UgiXnFBIka1M9/MUf0+MgWzADR+c9jrFIR8lZNP9+rxaTvAB0ILf3dPZEBETie150JzL3sQIuXR6HwQpBkAhAXjxN65PNaxMpfETZ2o0Z0NgBopNnbn7S2fyf5/9Po78BmzKc2RTLf7dBGAV4056+mb/z8qzY2XGIWAIOfpPR0FEoprop2TxX/DPPcmKos9omgG5vuH9fYHlfiF0QCBlE0QOTv/H2T2SMKP1O0treGEWU5Zj+bR9od0znC2heUWWHAEWn+20FmqQmQNKK0RCQL5uMeO53qV/35pO3q6Uwefr28ssB+VlfmL/eHR61om/iVNVqRrplO/G0wrmrmjrnou3ssmpEi/XM4urLCDbr0vYb+32YtfXPIuVN7WTI3kigwvdC1jUU1QBDExgWFem8ZLcr20XCtc4E68Jyuvs4cNY184mMLqRrAT8FdmriFJqxc0XcCcvNPa5v5ANe20VXeedHkmEv4g4xraBYA62cJedJBTrmncS08p86RyFsDVUuokxkXPPjMWZtDB1pIPMtpY3IOuBSiLzGsDj32Cd3X2KcjIHXfzoiGTtRwiDExKRqkFTqomneCyPPGDvmrSQQFax5x6hwAEU1wA0qEMtBMVDCEBOlG3ZoGw25TFTKUS4qLcFsjRTZnXfz3dlIpzLDUVNjbMlWC2G1ahBnOEKGpZuttGBU4qKMWkJ9FKn3NqzNMkwm1+LVXEdoVnNo6ur7d+znfN06Y3pt8QIyGiLYBZ3ygFprvon5tgA7vJX21YS3ovT5TYbtXb8m8uIxa8mkaNLP8TFyrpur7cJDEIIQgjUxuQxOVRMVqr5MV9suMO1duZEtfbW23iR1CDWxjeh0naxwAATL0UL1LWlKbymT3deR0LHhvn8MWndbvWyQTvVBLArIB4rA9/uqg17JA/C5K18KXkEOnpk7SLtzMqxfL0oAAOAAQIXADSIczUGQxEAl2qqdiSIjM8MlDIBIq1uDkIQrV99BNzrhufhbNXVDKXhbItQ6JKLz6qVVVVUbDRCiEoKNSSHKqqqcmSlSaKaSHIYDQ07UwJIkWIqZWR8n66159MV8Mx8CvCW3VbTTcu+WqzC4qTOMwuzl4Th4PdhxG/qnFdk1+e8HreEWw01cARCFRJYJUd6hSdylxTWsKxoSzQzJTMx2jGAZzxUd9vBGh7e7AK3ccHJocUnHeFnJfbZcsSkICCgrNKyKzAlTrZlTILJLSNbZSMaAAkGGgPdxrV+ctz98/3yuRfnP2uV20c5YNjqUeut8AlW8gAcAQIXBFTGghSIJAGebkZREBdOSjat3YtkFuKkMAARABJEkrjNhJCv31UmypntM7Wa7x3bWEkWxIKTLsDCi9rnvlrHr8INmxBGZ66xWWyunLumPDFq+duNWK13gENbJlh3VyEcmgF0SktLe7QrBSasggcVYO5hXSEC0TuywI6467PDhFZi5yrMlRYBewokVVb4HaN3gr08x2MZ7HkMGRdqlOShDvmtbLbO5nbDcM0QaVcd5ZZtkG+/u03xHkgh5XWvgpiPUTrGtZscJPyRTHAA+BcJwfCNFoBbgpCAPusCcfxPm9zheaHgAUhXA+9bhtEgFwDsn8Hg5SKBX5SUgb6aCq5csxd8VGQpmQG7x0ldHLmlvdLuk39qdH+r/JbuhD+3196W5bXYnFtThHjcXIPEsQBAGf8//uB+fwwOo5AGhmP6iQ6Afh+YG3ygU9AAAHO993u7AB09WYACvzzZp9aSUvhE/LfaLDp+Ndh0netVfYO4b3haS5vqfWn3/rfeUd9AZj7j03hlIRPb3uGvMqB6hJg2YW+/fHTLq/r3ZoEKeXIZLMEMJP5MnMYXLnLHC2psXbnMHyk50f6ZgAtwXI38JY93lwcMawQnQizZVk8Iz1AYaGUg1NEvh6uEiW78G9rygPL3peRIuXVdRPOo2PHT4v8VAEh3/zznhEjx12ZzO+36k1n+vesRP+u/mcsjTxB1MyDpIoFg+6I25DYzduL8+3imA4ABNNctkIscDsVEYKKMICG+6pq12vpkOzpM2bXNTEkq1prySyhyOMUIR906vgkcfQVW3Vt4uZ7bWgfrs1Zr3J2EpoHTczbFUqlDq+a1GahZDva7gpcGVrnpMXXAL0tA/ZZ3sv5Y+xUeKhpTN8Eb+ilFKaqNoLmUij6WgcpF4JQFqXlUVlXpaO1lb0ZqamZD5p8a1z8XLJP7UHSwsySYKySoN7Zpk9E4BCANsQgyHJIZ6rn75u6Y5tbXip4qjYE79mP/LE1TMpkgIAagDDZMq4+hmffCu7Ah53GvJB7QVEH35jSiiEE56f/8k+8HYUQUKKSOFQSvFGcSJqK/VCwXabd6LvYTWiyIrgcgTcwoSGD6Pgbv+BP8f1mMjqBjfCHCtMrnjAlf66M9GyQA4AEyVylMeDINjIlgiIBJnYdJfVDANG0KmpEWwtxP9OSCQwW7f3te3PE2FQUMaZGkQJCeHsOl6jZLQiybySzE6RBEB3g6xpy26cumtY3xrPOPqGfxMZsl+FJ5AYy7c/XcAIhCWCuWm7+25TVeHzx8PLO9HIZqDb1/Pl1XRRBXmsooORhciUDKs9uiXzD89G8bII2nmDuCHMsp12g6ZIimypwUwDBiwAjjtyJp5OV6/mPPkGMAtyW4INyE0rnQqkBoqRnYONBRFCmlQ5Z3VOHCpbRSUkGxYpQM0iRFooQwYG8s2B4odIj1v7pa79PZh9dMd5ZMijCAAcABGp86uGcJiZA18pAxGiQiJAxmaQEHfZrpJNfOTM28zuuNX7ud1TOsW/3+az50jrYuFxgHuyPKSZHNV7aS3T4CGjeSSRGcRSHJgE7Y+xlO4ht9mcVuiVG8UhByZ9blJPrCvqFvycMDlAcp2yL7dgAgUSggKmvtmu2yEHyw+11J/hIVF3X6KQaV2obBrO50Cr839RsD5JWGn/n3b5bsZXw3s7THGFOXuxXExgoZ+GUwAcd3+iNk5KsKAoT2XIPRCsACUgGGMdufSCiNlx50ZTqtzXzrXcyi6Y1YBrpM6Cpw5zUr0D1gY+iuHIM0H2ar5M4/HNbVxXB8jahChqm6lEx0tFmZnNDeNtraYjB3BpBnc2R4RARAQ5XVlRFK3V0cxSPI+/t3WRFzvKe4m/L40QirDkvAARqf7tRWKUSBpRGSJSiMgW/XMC6kreHwiTHAN+Jt0VJCprB/jK3BGT6OOlhQFoeL4kWgAYnN02JoZwosqCtrkJ9EZBaBogUjlZIqkFWUJljQrLefRICWNY40jJypmERvrM0KwN9b5v8MK6p3UzWe75QaFODhppaU34fIwhAazFgtvqMvfz574VlH01+Vo7ElWwROehzn10BVYQqG7Rtjvut3d/wFIFJl4gP8jVUnSuxVp1Qv/uSDhzqhEBCyJZYhgzqFOttmGNMVObDtTEalsZWnBvN4BpXNS/F0PzutepM4GcYzh3vOWWsxc6it1XQJ7947FYyXytdAdvs29bzT6PQ1BwE4n/aTcIjLkSBqM1aFWBeuufM871Z1z+m9FfXrjrgB5/d0Vf9D6sAVq/xwrc8iso4gO7cUrnJRZdk9K+aKHpnAUoDSkBOpjnF8zzlJj+UtAEFSI5x2A6iktAklYiMMIVicnlYo0wHy5UxT6oAEZQMhFSYQR5KC8RAWltU/qmIyc2s66x7BtUSqblvxu8q/Fu1XGzL6Lzr9bjpDTYFi1jCcsZvb1iajBnhjlnCseQRecXtK19DW9L9oZYcvPV/CIGgTEUUBU9mRh7LLzIAUgtF+qpltjyKFftD3ega/ttHVsxSrN2psaZ0UCy0a7AUAV6/b/11NRERTjw+fwsaXoOABQNctrFg6BgjDEQBQRDMKBEICQ9abjvqNWGcqLs0ZfwVxvnABiJx5xaWnoAYYzXjUmT1e5a9vfs0UtlFjQhDjOiqwESse69EkNqDx0A1SpSmr7IFzeDRJVAUoVLfYjUaEsgkskzxjFRhL6WmVAIYCyor5FmgqJWHw6eVP4HA3TNXfxWodORKxIr9Oft4+MnWua5PlTyvA9N62nlM/m0jz3EF0s6S5ILMD0YgLj5YviSu5WwGGPh+mDMDx/0hIoy/qOrFG28LBz8kMZuphMLLCU+2wwMnYWdPr8x64ZCL1JyH0dOapBglE2drlFfrnwcoeEAOAAT4XLRDCEyxCAkEI0EIQEvG73ip7Totjxk3WG5LPwSTsALQ+fuEac/vhA3JrV4YvRKuFL+VBoOU28C/fWuKIVQ+aGcIaTKIcJJK4jQ6KsE4VzWxOZ2ZCOvuUpDtlBrhI/CaJDSVDlBBtGuLOvHxfyafnfRkzHnXg9x4z9idv998bPLSwZg8sPE40nKhPAmytSKV2oNLAlemlgPblmGGHs+z2cw1IFfhiHQ6bzs/3nDm4W0yf56Sj2g8f7chQAGauedxwfWvStUyVNDQO2ywwxetTA2IKQVF8NKAA4AE2Fy2M2CsMQgJAiVAiEBOzEb0+loLY3ne6wjrrcvpugOcCQVcZ2UCMVg48h6eJkgopAUqkEYouSEZ2+PprauRdvqUdypGIxdLDUiwSwNNpsMStcttd6dfXNFbdwNJ4NZQfkkXBBvvtYNKFSFVGEi+ZAuKRRlJMYWCHozCEvKQel6EhemlCbyKHTtGNs8H2pF9xNJQlm5wGZDrZFJwBi1+GwWqyCObKEmK2Lw6zJbPNqjH/9swNgAAXsZ/rkYnq0sdi/q1fkmZrZ8LD3ONElA01DK8VwAHAATwXKSykJA2FAWGRUEISGA2ZblJOpPZWuaid6zeHLqp1ZJoW4j+JPJIBH5UE46FaJK9JBk+c4mFdtamJ2KRZgUJz7I2cxhgBYyz03RZVc0pN3XpPe/ocEagJiJVJSAFYLkiHZb8RFJGQ2cQokBrbN5hjDReRDRspfyzVq4mNbUuLM4TCc0CbV4nMuJvT5qVN8sxN5SmMsUAAJWdp8A42gwkrXiga3jz/pehxT1BzzGhtzM0iNRVwN8TlpbqN5QL6tSlAQdTD9PhinZAdlSz71Y8qDO2zY8KC7IblMwr4AT4XLtQ2QIkERGDAVCAhNhpx0dVuntf2b3WcyaS+mTU0ADS1KeH8mp+HqAtMKbK4avti481YT+TbWr73nOvyZD4GbF8ThDW2o84wKhM3977cuftfX9HR1lykYNyDUl+ppuqOGV/xvi/pdz+jkzmqCaQwlwhPpkKlgi6RM0CQ7XfbQYHScI2kMbTuRyV46tc8xuWby7+rZn/fjn6PLPsqHRyvWUcrb6JKuvf6fdRgMyOLG8uJOBw85Y1EqWSWXJupSRIPOUC70heHuIk3l9YYWqFmYRV7orwTd0Fda1QbIDmoyQzALNR3cXuXrzzLuQ1mS8qBPyhPuco8r5MizFPnctY7TgFEmRRAFSIzWvy/+m0ngWtvPFETlzvI3EyzKoAy57YWHDfoBYGJAH6/RDrv1xudauUoreNJLURwAToXKY4mQg2KK0EIQEPC1eLSZ0VWTnSWo0OuIkjvYRQB+7fQot+ARZdHKGwNKcH8ZjjQXMRThfgaDDTLkCvuyIdoA2SHz0qW+B5a5SONePc4lYHRCkq70HWXeq9bnuwWZm3SV1MRAxmxCDk+FKzY1lXIxgANhZP7rP42lD+H2/i8z9FgPneSbe32b4caxfkp+vy40j+GpIlW1CVtplCInUExsYUFjxtuXQRO7oy4R8K5azUJxLsWCyFfYUpo+FOU0syNABwBPBcpiGgTDgSFISBIokQIhARgrsQLDUDommC0hsRIo9JlouvdXCE2vDh0a2JP+UrQZ4otEL4KWy7UABmktFEv+bSsZQxZO5ikoCz9tULihbjIRRRXVUG2fOEaWq94KKvjwVoLE/zX7UKKf8oJ+5AhRomGTNaAqnJnZUh2JhM4wx+tT/Ax/UolusoHmNZ60g4RrvUdfuJSp2Kq/eXNV5lp9ZwJxzcORokEBWkVifX3wPCx5bccbkhRWS4SK+EbKH0MiIsXrLIAHAE4FySNBDiVBkMREMQgJ2sU8XLyXECOjWrtmLF4paY9omD0TbhyP79Fv3nqHRa8mMifffIQhX2qTuaA+KAuJAKHAYpVG7PdhJpybijXgw3An4F89u/qtZ6pqIa+DgoBfvg4ehjwooqJ4IwPng1e1yDLaYCMr6+tSuxAuZxTbuQzx+TeN2aiFlnbfOikNsMGg60lphSS8SlSoA27SmiG9rxZKQTegylGSST6TspKlJ/KTtuJcRdOBMAHATYXETBhDRGIJECRhMQhCAgcN4e0HDYF9SIVhagEQ31WS7F/NFQWiQd3CKOoTR6UdEkwgLDgIgDNjRWF9FgMUuFEs0MU98z4SG1NFbuhnT4MmEniLkdW22yEFQc5mJ0xt8C11EVVwIXqtmePBzKmdOy6IhXmF+g5Rtpp10heUQhpMf5/GcvnV4PdCKUbbI25EStfQmpvxe2Ay/DxrLwP+UyBzz2EDGk/oQRZPmajoYcRsw7ZX3qADgEWFyFslEkkREMQgJO4TrYsu3MwaIqwRVsqLTNvgjnOh7maYMkA2TBChjCsfs826zvIINNMPXN3VRg8BW4nAuLI1uAszU6Cq2BeO/aQ1mfasaBJCaG8KeW2u5TEpy47RT10IwFgsY9p09PTg5IIsHt9/7qZJAYKSc/Ez2RsYe+VncZggUoynGw3Y1i/fEGmcAkUQETYrORWX7bbkyWuyVVxXqGkIMkIJc8Xs/+wvHxKyk0Jd3Y04Ym6m3NQAOAA/hcAMPZCMFACCGUkQZyG+AEKkumQJVWupa6qtpT5guRi3Ohk2r9FKdOKsZtKqnCEKUU3FKOkJABHd3au9DIzRMWhSt8lLV/n//PGbd2uOJ2F1VQVWIo1uuF49EFO7mkt5RdnAbEGIvlpIKqy1ZepFy03WUvTONGxLH1YHQXeRc1VauwKSyyuy0wkj+EMcp4QWoLdolbtfF0U66sM8svRNvjhhay8WPL1wb9kWHyP4a+uNTzXhAEsEcoAHAD2FwBQdHiRBEYSgVwGYvOgKYEZQRi6W4PaKcAe5CyBdSAqKeCkl+a/apof63uXwqYbtRSHTQ2gFC8dsZ2QD3klusWexWwgoEMWLR2z0vUK/AgYVBj3sTFhpv76oZDnzwscE8ymZXagH5f2d+9Mb9eZLD/Ag9TchpsAIgAVl3JbfUkFgTEHAPhXBYCBCCREDg6xY2AY3+qapf5ZaLAZkA4A+J/g65NSwIkFBTW6aEDDRVypAtQLRIBGlKcb35M9DinmcyT7NPXZxOPMeH29O3lpDiVn4gGQOQAPzAfzEA8PaHQQD73/mAAAdJnqUAAzPVev7n/0AAAAOly0MuP0YAAUF0x0wkKYBRr8cB5t3NFeSMJQT4SiBbh8XWqSwx9z8/ov+jeCcRBZRoC+oVzXIH+mEFPe2fSiGbTtEyFk5RZ5NXOCMBNjN2bzhP8Q7XLEDpNchSAJCZCsvTR0iL4d3b2SPh5/DSqJevIZ8kGCtfaPl6vf932TMhqDgLi3D553fgEAn244ZrALNGyRiUIkCySNCYkC0P0fl6cL/5dfnfb177Xl//pnecn7d8pmBnKPckCpPFqcBGadvAc/thdA8/vulqBkxogD4M3y6czGLq9+3+tdVWnUblYmdVKu/0a1q6HX2fHnz0m4ArplYtla2uvvsgL+W2Y2XTXg5aRGczmvrO067KSUq4cZBxuzqEo98g+x/v9d/gBUJTSWbH6+Wj1bbMbYttuGITMSbXCRtoy8LmEZnHOU5h2F2Yc5Fxi67+mHacTK03k1WjEeZzhbRzdcmui/iZHYzBYVHTC6o1pdQoYg4nRnbW4c69B7ILD1+rl1DRa6xf0R3e8WCJwBBNcANTYqDYSCYKCIiEEICCm6Ldws+Q7qu+d43iWZgCTK5cplLbOGQQPUCE7N/TyaNjZUk5iGFktKB0QwQQgxZQzR8DCMHOsAw2CNxfEcIkSzmfjymuRX75x2130JLz8vfi8LN2aX+OkTC3tCJR/6l56nUbyl3/Pz5zZlR0z1T22i88inoAxhqIjgy751dLoFbLTunTnfLRJvB+91+2EyULcqFUVBf7G8dw7lc0dhgDmX7EETb9udQAVYcd4W71TxZJfgmJqwrg8q8RfnhFPU2t0UMrUNK25en+H14HcQ3cIRlHVJA9Ot4xCe3hZOnNwKjgEYFy7sShMFBMITIIRAJ/lHM7xczZ4ngx2Mz1mMLsbFuE2R37fJZDDuJ8V7US1/hUh7p9+EPTfJifTfgUT+pX35J/YL4PEr+yIbDhBDouVJ+TPlkT91fBcn8DfcBPxj0nJnKyPFOUE/VnwzJ/Oj5Vk/iD51yp4yI971BPx/5JJ9z6QT4fUIcg70Q7b0IhznpxDgGMJuwlB1SEKGQSHJhsqxCeBw5O9UJ06kzxfvFHzZwexwEAHIFQQQsg40Bd6DF9O/uf6Scy+TuxJ8Lgoib1/h4dDEZueNaZQqyvNmJNuqMmCcbskuOWM5YBIAxUjzEUBgvdjcmwhcrXs57rk2Q9B/XQbGdegjW1BznbH7stkbYeC7as5vCGABEpsIoIEKYqi6PROOrxyr4+rzIQhV40cckDeyEJFhwsKhkkLI1xgbcleFgh3ctV/FbWcbAWWs41zWmkvxRkyf8X1zeSJ6PFhky+JlTRA4ATQXKnYkNAWGAVEKgE79Idy98JrTFZzqeUz1S8avg2kCQKKp2ZUEmvG9GhtNtMSI792GF00F516rx/zPMH/sFoT3irs1wBYutxjakfQ8LD1J9h9O3TIwQkPaOl7ymJZP8iepu2bx2YB/DmMIXwIUe3OHFd4CF9bJnjljVMfdMVz4EKTCa3aIiOjAEODCdSm6stwlJOtNVysts7af6QzKOCwKCOTHLLdC6GlE5xkppDJeuqjFv/OVkJr2zeYI3E+6u/EvbKp4VCRf+KAAA4ABPBck0HQzCErCQYBQYhAIiQIkATD7Vd7mBBg+NGbb+O1+dO4gqHp/lan9Q5sKmmDLvmFYOpF9nMGDqasIP6nCuWN0zV/foFmfaTyoGkHG7rKfHL8qAYib3gy8ZE5asWmola/3rJo1uSeggrO5vIxKCZ8FE1G3vQEVbefGkxOK8Q2LgmBcLnOS0ReHxmOixB3e63k4I5e9Jy4NvHFef5/WZTIvZaIJ0LyJ2XVmAHABQhcmEFUhEUjCEICQYjARuUTlm44kUHTMs26H1nKoGb4PmK+AymOj4B9sk9ayq/QXFd24y8DPjDSkslwYZwwiCFyrVhvxRzh9yVihkWV1kRr+3wR/heWD4D6YQaa3mOet15rr189z3SQAAwWRBGqJNUwZStStTGBsJKFlsuPFqbRKKsscg7n1WWJx2dM2kcPvYCueav+1MCuZXH3JT53IoKvoQiMDHbDS8YQrOYEE3R+8oi4ADgFKFyT0NbsIBoMRgIReTHOg69a5ro430Yzpn1nMAPZ4nhusxv7DmA7k+Il+Uxe/9OxH/mGJL5ChjU89jovFdK3sMaEAWA5l0mu+IrWcoYqAMwXNVmBioQfBmPp+XVPukwAAJTz3WGMbgSRuK0+/S1PXQzErEaPX2iQAD42Unsf57cRJ8F2RijgNKK2Q7eerZWq2THBYMcaNf4TlWwESjp5PJl70w9PpTwozgiFwOAFGFyamlgiJgoEBoMwoEQgIMtsxM4Eg4si5l0/HO6vYHyMm7wK/E+CrH1v6Zh/3tolXK2lihMGEtXnwroB0cOh81NarRGk3XD2b+xT84+/tusa4iATSd/gvsPzTeTw0XENMQK18XGMXV6o2V5VDNTtYWVCAat7uLu8onPEbhzLgv/VlFFr2ElS23PaqczxXzQUuw8Lp/VM/0//4bdK2wEbog1DVKkkQ3WqhWi/wfxTyCoEQBwE6Fxz2NSwM2MEAsIRAIhMERgJ6uZhyPLRQPoNM1zU++Zu8DJ3O2L/n4MV4G22XtopqdboG/uzehWEJskAQELsPJJcvnQ/muG4DMNHWjzPSuh9pvwL3swZ8mDj/pbZ0Oz9WizgImAoACrCmWRAxNeWeG7e6RXxffPy5EACuR5Yhvt+YWKt/krAjWJ8ekGVVlEEhHg1bW6FuvoDGjBuDSBvwl07+nnbxR94CoAcBPlchynAbCQQhQQBQMCIIBEKDEYCKbHq3RSunD8c4M6rc8zNrBy1kFIb8QcAlFM8r+RWHka7BYz6ZZQCpayUBuSuK+35zbv9UTkwusspCaODgRm1vP99lkK24xSbvR2Mr6EG7bjxbujTuyq16tXezIvLur71duaSJ6KSqSaBbwhsgCg+ERujc8GNoIFL3U61AQMV/044UyGtiwIbmey/nkuj1tOLix4Jugr6qKZjVAzWFAAGGUxWwg279kYe6MQA4ASqf1hHmKEUhEgaTtG7JGQNMmyhIXYFvH+jb47Xw+fmr/5bTNxP49R99ats1SDi1gA+AkLkICSOLRMGu5iIfOdDzGWACW/8DqpV5pSWJcRstz21zmwQrsXKmhW2pqg19FGCVVwMPk7M9pfNP3BXZsAhgSkkT0Ia9S6/s5HSZHYfGI4mK/jFh2qViMXWGMq+L30X6tJ9XTL43ry7NmPA9PN6sy6/TKgz18pZIApNPYz7izz8cZD+ijcdRJil39p24YqNjkSM2agX+dkVkFnF3E5dwo7nm7ne1YoSVzfYrAmtnCdHIuB6Gzquq5XpoDOq67aupMqsHARqfmhmkpMSBt1bLRSBhq2UFk7Awyq4C+Xw+5rnNY29P1Hn3D/p4X+8tlaxx/b1H+QNQji1l4CAhKM+QCDprouFQvoPiPt93GJVrlAKFsmLBQ1V/6qvDVaEI3o+g37xhWkf185TYWTTm7qxiQ/5mBkKmbboCA7Dc32T8JonsvVa89bPt1dBlDBkoMNvWH1TrzbY+fVcU1AtjNXS1BVXml/jn1dsACmkMimqi7/hWkp3z3sxGol6KQdtBepngvnxkAmMAWW6/Cwgsbxi6a/t6/Il6d1QnaRftjw/bFmNEnATANc6oSInQ08RW3MbtXLItXC61AqptSJafhdzwJCUSGhp0BIbm8yUa/w21XP4dPXitxvp1AOPwTcRldo0DgAE61yxuehsaEsgxoIRgIe+7MWemcJ5Xf0p2MyQ4QgABs48sOI7jZNdHNijwFOGSAD3r8bI6L/p8yFGBADiALQza9kjkSAuDw5Djp056yBncFx3KHHGUFdNNGesaL6Z0oSzlWp2z+prNXbP9ChC/PsHsd5ulqCCzCZ3WmNcNVLHluS7KJsYGPJIY7dGNPX5LneVrmvRKWAD34PdafHvo4vX1e/smujIIyYYKVGqnKuXL6zYmdDDAly/wezrKLm2jx6+vn57bACW5H5wst/RSy9tF89+4jaF6pNUsVcoOIcPzj1ZywhOgCtNV5fr5kFY1AHABPFcpqmYRkQwhQghIoiAR9vbuYAXY7eXWsyKRvp0VBbidkbg8jkAPdA0ZOvNZShyiASEi8rDSUzEjZZ2NJTZ1/lc5yGHdBXPtC7MN+p3vp8YYgoTobvkmX4KDhtBXQWZ7o2GtKesroL/yVVF8YnfydC2LQ1hTdMr8W23mHgtPZYVNM4tXwcauXAW86gHVvXuWDui/0JNeXYhHclcjLjqhWbXIv7K5udQK2pPoFsRE3ISACZ0FvVelvjnW4RATZgWsBwE4n7YKeiQLEkySMUJISBb0iJAvPXi+hJKn54+m72wVfr6syeG03aOFwgy57PHCeYp61UrPnY53aebFwzUlmFb0irqHiuVBMlUEreiS9f/mhGLqFc7LFUaWJMWOzd1roYJaCDZjql5tZO0Qa1rH3cIolTdRi/JUj5HGYGS4yTzqxPnhXBv2wyJHyAbUihAJnW7muk9A/m6tTfR8UOKvXxahQsBIo8a31nx8qgBUwk82DrRUJiBfq3yDb1dgjwFG8ewJTU8+kjRADd37CkCSzhPthQMxqYcmqJAaoJ38t+/qVrkv29zXYEBwATCerbE0gKi2VjAMJOhYFilYozgF8TKPARf4YfLQ19uvwMc6wv+/x/PTwL5TgeSzo7AFdbyA4S5nfgXzWr9l4syFOCCl18M+vkBgAogO1kq6VZBFBMe1UtdhV3TMO5PZEmf7V1xZ71rNi/j66KkwHC1tbvEmIMy/+mrKhaX+BgDjEhyqurh73Ea8Rx0q1M4pWWcsW/CGgB95Fmmq6Vboyq0Om89D7afSNS7qhZQC87UWVh2Rxy8/4PKjAT7t63Nv0/lLr9NpNGAhafLLFz4OIrUiOAAAATRtb29mAAAAEG1maGQAAAAAAAAAAQAAARx0cmFmAAAAHHRmaGQAAAARAAAAAQAAAAAAACRlAAAA/AAAAHB0cnVuAAACAQAAABcAAAAAAAAA/AAAAPgAAAD1AAABNgAAAUMAAAEFAAAA/gAAAPkAAADOAAAAGQAAAAoAAAEzAAABKwAAAPcAAAEzAAABAwAAAQAAAAD0AAAA3AAAANcAAADeAAABOwAAAMUAAABwdHJ1bgAAAgEAAAAXAAAVXwAAAMgAAAC5AAAAuAAAAL4AAAC8AAAAhgAAABoAAADgAAAA/QAAAPIAAAFnAAAAzgAAAK4AAAC2AAAArgAAALQAAACsAAAAwQAAAPYAAAEeAAAA8QAAAMIAAADpAAAAGHRydW4AAAIBAAAAAQAAJ5kAAADTAAAAAW1kYXQAAAAAAAAfRAE0n9FzMYZArGp0C2uVAMNJDaAX1/nvjGnvnlx/V+uad8Z3N9a/h/vyJzQv9n/P23vxm1paOLURf/Dk/+Fx8bh4BPp+nhExDLgy09PPg7Mf4/7Us2XGzq0shrVhGJj3/sqtBLPAHbFsTqd6uBpMl4pa/Oy//o0tKcL3nvyhAf2/eU68WThp/xhvTlBzyk6scJfhNk7UImEe76X34fQlMAzGaEKuIwDgjIPa/VDeT67Z0O7E6LhV1+1Oup1yTi1Kz0sx0nABJSL2sPO1aVDZnqVaG70lgN1Dsx2dT/cOsc+Jlzey6UZOfuu3mStfA2K9dhv0ZlFqE8+N6jDBuojnPkh8rQptQCKKmKDF3qUwrjqQbG8AA4ngG40Ke3bwKqvJAMA4ATrXLhRbLB1GQkEISCIgE2rCVa/Yw6kkJnOd7piCiAKMBrl4dtBAMW031vHQ7iYKN+sXSSxyaHfk56ErcdQKIYOyQouJig4JGtGGSMohPpEJBfG9IWOAgIknuJxSE20CRifGtxer9DMFiJZLKFNmtMeFXHuMk1pf7/7263E0lD+SdQRB7ZjvzP6upoFSA8Xu9M4FZy89f2McJdJv6ba10l/8+2iMCeIQ2m0qHqNN/YTe/rKcgtnV3DaARPgEITkiH5oWYKKZJU3F6u31MunGqaeJLXYXPT2mkIwXvo699eaJsDCoM5ErkADMGc5LTDn+X05m1BMwcE4sCoXck04L+CXYlNJoVLVCimdz/j/HwgAP8ZoA246WN7X5ydyYGXAxeECQDgE2FxluVDkiBGEBCIgmQBn2xnirHbTTpwlAi+XnpiuQLMxX9ekgA7/AUA25USqVq6kC8ZgcT1eTFBp33KZ9NDkYbdyL8yUjM+JUmTzTvs0opm9E6lv2wIEaWgQEDjrCEDQ9j2qDcA8nc3kYom5skgzP3T1sIWAJhHEK6+nu0g0RbKOqyOeyGYAzdK1uzT0dYur1TinsYfC6dwbWj2E8O9RgAcABOhcl8BWQmAKhEIDPWz1i00WaRx3o2avKami+xOcZMuo+cA0PhNpV46Mi9HORIQeV32WpCMmRWqC+4uNXuAmYgnHPpgs7TF1v+FVapwB3zG0zeZBVrG4FEFIcSE0vG6vs6MZ3ns4dXqyWWAFTvr0MVysAnj1WbBsRruhn8fi/Ljz+6V7JaEUC7hdXDey5319Me3hUO2BWYAcBOlcs6TYJFYQhQIlUQDH9NHc8k4sGkI8JwxV5pmr2DSkjQ7OW1o6Bo6JwYtLYWpO8KlNfGzWett9BIazI7hbNtiwBasqHAqCy0Fr+CudGsjlJrjr59DbgfNkGYZDBROklIb4VnUAK9LteMwI7A/gKVnM7CUHY21aatgMcRiYPl76qNpNRh78NKyVBVC8dssFn8sypYM0gBOaqWwtW93i6655fdGlQz3RiTNQQgCi9A4ABOJ9uC0TCwLFOhgFocRDAK/xJ6Y2Nns22ObzPwd4d2SrGoSfoqjhXhBROXZCfXNxW4187Y678hw+EQEhej43fsqlw/X/Hx7SjT9/nNhRGqLdLbQorW+OJksL/Jkh3dxUYc8TjanajTVzakCPfEwNiJZI0IvndYh75/L4bKZE3AYDMCJQe7rbtgXibFIZT33zHVN2i7ThofR81f6zwpICC2+RFOLfnAPokG90Nnriinv3QfhJOijbsx3LpXEwucAE61xkOJjIhgoQXAM+WZGnGmp6FGXfJoC1sQtNmugCAAOgBhemYwiu5sX8/54cdU8FXvymvYYR3nKIB8WoAPin/eHo9hSnR8Tp7uN/HJo8s5PybpxI2y6Y7dcmuKMP/X8dGl4EoP2UxXl5lzOICMfC9/vwXjo/P5fev1rQX98FSC3lMEkbm3fpndr/PnS6JIvvvAkVmPFECjz4lGiXHF+eoNhOGDgE2Fxz0JEwNSCNhC4BM+2ylOji2GA7nnrZ5DhiINbVjVv7OCMP0WKawajTK+f9y/tydC1j+F0zl9ibudWoeyCZKhrGANFsLq7xdpxyY1j5/dv6gIiK5EcFILo7zT2cqG23r7YT/IFF5e3furiy08jl/F4VzLOXPDTCCJInjh5mJ4QZMXw9ElP+eiJd+Fd9TWiASbCkcawtsxZTdJXghcEAABwFIFwyURGiRBAEgwEhoIUAM5a5Vl30NcoNZZw26Fy0YEv5sMcrkSVdHkqY+2CpRR03Wd38iFFWe9zEcKcNRFvNg/iDzVo/gtVMVNYP7i9ziOKFOmzsp9no7aaWKdHAwAGpiFydeBh8AAAMPQYD5gBQj+hn0Sfd8Xy0I2gmKATJv1pm5dt3dHledidF7AIRtCv2leFqVfSGVTw3iADgBUBclKOEzBMbBISCYKDEIDEUy1nQhoKbdd6Q4lo2A6Jdcj9+xjV/pOars90GUUmLhyu81OvZ+Y8+P8RNppr/vGpKUtltO8E3a3KRJ4NO/gAgkJxZv8n37L38aQbnXzV2QS1dcaeq9YpegwQi4ZnSb9CrAAdI4T9hHcyETWkVSF3u36pJ3szEDI0e8xO1UW/fahex2+LXu1nJZxqd8jVlytAWDWMaVYLFmkhU2Dce0T53+wE/HJXbQADgBRhcckTQrDQgBEIBUIlAQ9ATV27kvSIpvTLZeuCqsC/UwvOKEvr4ppVEh90wp5ewp6xPPeNdaBBGRi2ThXmoVpNkvueSJx5m31GL9vPuPYYhbdIiSy6sayxmG7hql+Yror+LHPVwZiFd50tLKdDtoU5YA9rxakgTejXClOq2GvI9QeZprtXmusCVuJUqhrHCvNG3bm6ycqpIhkFWuUZwfD9NXt59qbKRVjWLdGDHBmkL6Atq29cR/O8CvSayNL7agAHABQlchqKUrBIZjAInAbbwwWgcGMOujEDqauVtbidEkc/jjGLQAdLOtQUgppPqILmudJmhAlOXZtuZ13ekdwv702Foe0FRVkq3AUIgJY2a0b3Soi+uKzu04o8wMbyqL3xhOwfCR6tI2Qdbu+Tw/J/Bg9M+7OmRCwQr7adkwBtA1Z4atnOQ4iiziJJy/O19j9N1Y+SLjKFoUgstNtvoX4AFCn9WKpiKRGiIFSJAsiiUWBitTgFry38Q41ufp1126GldT9nUZamPjSA4lRh63LnNY2uToZYuXBFUU1Z6xhKGHA5gOUpPuCpreZ5A0a1bsi3qelycf3Gwll8pgRbOTEBCRsQSG9V7rAq0T9Jn8YlBXpioIkNytp3nCgli5EMwmTPjhxmLenzd1oFAc/nk515P3w1ABNuwvOvJud9v7Zkf/9eSehtACVSer5QDE1nZeAATxdIsEG3N7pHl7xA2KSanV9vj2BzOE4AE2nr2SWIpYoQNIYkGAWLoksOgUo1Ya85/S9Cdjpx/SuvbnbNTprEBwtpdo1DVV7SfFOdZRsqc3Vzfl/LpZjD46qQtDhDYsvZwps0eKmW51fGRjws/C3w3y7yPZ7Npurzhe/XBhi3wxmKjQSbHEXJRCxLK35P13dvIeZqvO9sSIDt8Ho04mGDHbCHYi0TrPlpj6uvU0L6YueVIWnviZjEvhY2VEvLPq7ItDpxeqYACoxQAVWNWKOEyxMd1RIZqmeJ1NDgFG1x0oUUsJBMIhCNAiEAmcBHfgUeb0PgO195gNI6NbBbHudLJXMb/RXHF1tJrVwU05JdVYwfRSMoU6VMLAYnevWzg8i5LrJtwfn1LOvtCKTLPDrSdncAb6tCclapMw0C53/D1biATy+Pvtgu3iYs43i7gDZ1/ujcdWVqCJXVmM9wAdfTS1N37b4pu9WrrkwcdxdO2s1UozSqkAA4ABShcdZMYxiIgBM4DO4GOn0uLszG++w4Sui9dwDu8GHieHL3feYzv70cqThFwzFGYgwdB8qWXUCapJUEInbWZCKAAAVQx7IBnU0Og1epEfG9ywIHpOvyrkx2lZ0Rllb81T87CAAiB82W2dOPodJABqZmy892d1x2qzECUwACetJKfK2dHmee+W6qsAAIy4Z6jT0bWrrU1dJwFOVxkEoSsYiIITkEBhmians060BuvkLli2rQtwkhiIALukNkZsa8Hrq4ZoTt5yze+Q2gZoXwAbvfOxA4lfpXf5ZqjBjFEPXnIlA0QckqMb8u+oUsMSuHxYDjPBB6YMMTwmQ9VqIKM4EuAWBCA9Mx14KrqM7fUCsbVjYRU5yroD02o2JdkDrtd0CXKpMUI4YPdbctYqyDycoaZm4wsbTlf+44ABMJ4pPBlWMyNNrlNSBUo1rEYBJtCRwE1TDD/3P768nTg/4n81r+935W4P74ddyLdSvkb7MYvrqusc97141p+DfO+Ba8Li2p4CAkWqDXGPlbTIjYDr1GlOLx6ZbgB4rkDB5XL4j5jHqC/QXTLYm8MqJYwWnl9L7F4spi3KAg87e9sxyTyHWQABey4mGbt8T3MUldUZwsJC0wSjpBuSlvN/EMFAoXDRqHlhnZSg1v+1wA1fbmafo9Xc6oHou9BShrnSDyc5E8EcovebpMzdSV66b3tZsnT4ezmskkr68PxcVsVzEE2eL1L0IFkXXdRBCrtvo/jK3NyooPefhcz/VyYiMco0dGJSCed60F5i5Pr4d11/qOW9KdMs4z9PJaswDgE+n3VpxCMApwKYoRYFOxgF+GO+vT2cZx/T8fWemsDjz/f9fp7h4X9dCXdc77UoVB2eWNRdn6VvrkAE+BQBvbgn4Z1szz0Wz55lz8oFQSOAmr2yi8npEaL22oufmse1kaXl5NHzW+WLwNVav5+1ucAadhGOKIrEMDVucV4zeiakS1sV2oSALxRhO1EFYRfbqeqpkoKnQsW1Mkn4397Oc49XlBckX5mJ9ye/xG97L9zGAfl/Ot2timJwOAEen1GKVkeArUjEYBRtEgsC0SsTt2MSFH+fXqzunWr9/8HpkY08/t/se5HdvLnjo95aGdP7/q+H9/aroCA4fn21KUW46lrqBU0t8tyU+TU6sYq1Gt/Z4auxso89xdLntTNGk473I05CMTrRPVH8sSO76k55aGDdSz7lInhKwPY3KQ3U0x6usGAwT34X8mJkSxCQlWvwkrhvIrZRpIGGys2oqnyCZQ4r3yHFjfhLeQtX55gj/nF/PBayIkOBGJQspAsj0YKSqfuwTz+213exjHFZzAA+PPcHTvWbPm+kLTKIM7tGygnM2Cm1QFQvPkQEQ96V26fqeIBwAR6e3r5CBWn0BZLRxkCmTEuKec/+M+t7HHFr1/TnzeMdJ7SPH+6QSARvDwdFI1Zj0jGRgA6jK3NX6o4Y03JPRuHGycYXNudJMWrwygUSl72anwjrJoBtt9Y7/qRl/WPCqjtzJ3Ra5dEgfVs5pfCVOkxsrC76fbqs0mWi+xiAJbc9LVq0kSNT9JMRC8DIdl79HQFqwDaEDFMxaea5rlnSxB6cW9M5jXrjCP4GuJ7YVbbyZ41iXBEFjRcmEExNTfMhqzKDrfGA4AFO1xysVYMMiCFAmkBCbGYjrXwDl2M3c0RLliAa+xl3Ej69RH5Ji1/SSxkZGjHSKGsN/OTaLpxq8Mbu+3lr0jlHdypcTZWwhBFbpLK2OM/kKutiNRRIHqJTZ6P0VjeDcaltgJImzQogg3KlpZJsRbsN/0BDTAExPLuf6LHq4QuAIsoJ4QAaBvMEdQqjKhCdJL4VLUgIqLV7aAAcAUgXJoRmGaQCQxEAiTt60lvK+pC+6z1kCzQ85eUB2/MV9i2L+5wv4sNGTIvVgxFFWXoll6klwJwcToHCdyLmMsQ1c65CJJga8HutlKX9eA5W6TzXiO3vug9fm7aezON3CzACXT/MglP33Rf5363t95/5eS1YysDO0AkAP9pBtWc8RPAAWnWje6UXzYVEh5VilkbrpRsoAE9sbrR0gBwBUFcdZNYpFQQoAQeuIdHXR7DNse8wtNllxNgdJfXwvrZzz+Tc14U4KH+D6Jg4IlIH+WpykRDW+t1jme8pOxnpAXRN0ngrUsgrM6M7cezy6uzLhPIWod12LrTbHcPi12bIaEUh0OIVgx7QAJMsgl9O+J5GlzYjmCFO7qpOuXNxw2ZPDX36pV/ebuCMRyugHDdBx3blNzvyblCh3JAz9AmEq3yx1PWpPCAcATyftZJBSMWBVJliESBSMSiIWBffp43s7yPPnrT1t3vMkfz11znu7x2BZMQG04cSFFtAV9Fh7dIt65VG0oYJ1z0ssKS2c7M3qDBXgqisdEUF7jVKgvacxN3aH3+Wmg0yP+WIuc6z6JGc7ipTkPbWxaSCK3OUUBxYK+OK2Fg1C+tSkt718+szrOSokVKtEGAiwwVIAKCcPYIygp2EBUaXx3AHBIbFlLHKz1gf1qIHmY8j9NH8Ap2xpvUMNttt1s+194VCw4ABHtcRhMQojQbBQJEQIiASe5AENHdCmY3uMx2sUD8VVYUO8s0NsBQX4BZYsks3g1km8WfM9PZ4Y/PyssiepdfvexJjNBNOqqxgOnnvp2fzqpHKoLbqX8Sw1DIorYDYWYLpMllQ2MR1TH+ETg74rFs8cDXZ2rTupTo2E6LMZWkwVOdJNpQgTSRcMVDF5YDea5geDGPDQAt72yXUWMOV2KZarrZobjO79tkZRlZdqgrYteS4AcABIBcY9HRIBJiCEwCX+ixYUaHpq2DBzgRUWmKQQBHyI4WgTtXwawEfedL8LP/WN7ugB4JazVmCBw8Deb2gtlHr9gP6Y8bqtKu8JNy9y9/9BCwMzD3IAojKQPfk6T4AUDLUU4UlwMbgjQcVdCsFzsFeuhv1NVqmvxDr0pILE7+HzcTPaPIiMa9pRXtgrztvacUA5AURWKsMdx4unu7evydPbQYA0AnfLMZAoAOAASQXIXY4OhGEQxIhBMAj521zjF3q0MzfsU5vTLOSGgNpRfnLA4C1ES2y1GQIhLA5EsHWN9vcDdWkONP1nxHM8vu8vdzqgwLuOwDkfs1NuP55+RrG6uXVvrSKf5xoCM/fD28GyTOqI8vlb+ugD3zx1XCP227wuTeTN76rnyiUzx2xPv1ugC7LFi04aOHiOku3uXmilIhaCxK9nTYVsByxqnxQkoedUVcJspUku2Ytd6yLQHehx81+hAys9/CRTk+d6mf4oEzgAHABOhcgqnYRrQzCALBNICOc2h2UGsR1o5viWzXrXE2LClG1NUyEL0Y9Pjm7+gSmeiyHziyuT+sfFh3qznqdlx/6TkGgOCsGsSCPpPEzfMkj8XDn3f4gRRN5o4kF3E3XbYRPcDAs7onZbK0lDmdUXXwYAiNZLd38693lD/mc3G/OppgYRIQvjpO5FfBgtpL7XznSrssZdkZq2ghx3khCHZRL6QMkALVvS3Ew9jk4sN6W7a/C4pwRAcABVBcXTDASBESBEICMwCGaAE6TlFrMcZD4xBbitEgAD8HiX/mF9HLVcs7uivL/ztZzFL9uDGJIJuCoKzjOfn2zcQcJAWAzkKxZvAjKzRWLkZTRvMxzFRNl1i+K/wKR35cf2OvY0TIvtOY+8GwcN1ABtQKfzXRNSKN1dEGESoTvcsBBXiNsASy9VaZKoAOAAUoXF2ggGoxGAUCAREAxz3IJ+IsRi7bc15rWXHWAef6jHqL85OoWxV9o3Dc/dmrrIIWszGsZ8FLzkzHzmIIKgiMqBIMb9VYGSB1qaj8vrDQWyzGAAALu656rE9H1cKRwd4AnRSzbZbH7vy+oMxOv+W8v0YuRt3cBlWn+unvGEesVEYx0R7X4AVAXJgKmGA0CAWCJQCIwEEvIjzpZGEsdvjndo43YHOs6j1lXQfXYcvuxdDPEqWGoYakmAQVeZ/FFhChivXBYSS+Ru3Tqa4vTbG/SG5/AIBkwHpPp+niAoDRL0q6tvL8bEkMJABKeX663r45fn5ogACzrq/hqhjwegCTXi+GlSpTbxw8ds7AMgAA4AVRXFqhmEZgCgRIgSCAyMI610XrQeQ3lOjE50gtxOyCAfw8411fyquvQ+fa1OGe1sK1cwFis4Ug3ErAjrZGnJZX246bbgPoD7+G1c72ouGAv24OyOIOIgQSpNNdw4fOf2P/33Sp05ZNIysuX4lyt/YAYGgdDrmgC/wggBYT6ISXliy6Nk4gvIKtY3WRzB7Qe0HsRdJmh1ejX8CifccBHAHABPp8OCnBUSBXMygJ9bKAoZ+wUzE8BT/b4F4D/6fq+jrjHdP+J9PrHG9nfvrp1m++/PRy7fvqZ6rvpcI4vEAQad+i+pXNS1Tu5tDFOLdzNoSaGbuAUg2xLKzdXcZBziKRSPcIfK6QpA8teG4agRJFlzNXsWNuAo3AwH7/bOJ32mrBnuhbvgUcYRAbrBzfYWXDlRtv6KMbwBrkaYR0Qq10/v7j38IrQZsRbov4rpQB6y6A52hYbXJRvKpruOUlnBse8jwhu8LpoZlPcPYc/7FWd4ZoxlNzbK9kiYpUQpKWl1upjh7ZbFkiN2MI4AU7XFnCReAxygafS1pZDvHrDU01EjYHu9EL/x0s+OprWoN7GiSWxqBsAo5RARBpvrLoEKmI5e7t+w/hrCBjLQ+T7HsZBL8NOOBg0hktac9tBE5m5BDM8d3P+vrxbMXii5UvqMCcYF/n4u6gK/dotSkgAomVW7Z2K/0PDO5X9dlyN6th3yiKGVMNQKp5qWWU5eK1Vp44oFgyHAVYXHYyRKwUKIwCJACIgGRRgfTSJHrBoYXrqragF8Avw4Nb96Y1P3DORcIEMEJUrt0G7JIu/b4r2S3X20V/GW3bbL4fzV99MIFASsj24cP3xwWNObLSG4kLoT8ELYyjbYikLNlW2G/KEwFND8IeZMEqEevbHMXCuUIbC+sIXnJOIBjCWLlFHyUjGAOABTBcWIoQxkAInAYdsMlo1DymrHe+GajjQWBX6j9fE6vq4K6uUV6oXUNQag68TE9tM5MZjgZEp1yfp6wsmyNVse16jZcjtbBb5OAxgoLN3qYaHcojzZScOdiwAMvqU8NmkkFY8gRqWykACO2CEJaXaFue7m+cNsBnAABL9d0ecQCcnAUYXHeBzMwSCwhKATMAhVVs2D/lo8VtInDrsuwOj2jueDDudSE/Stl6faWY0avgQVGntXjdtxppJTrln/NR/RKxt0OK0Fe5MEsI4XIjb7dCZyAV4uBiDcMW2FgUqAFhICVQJ7SktxiyS88ZNNm080uuptzzVvsX2KwGSAAEevceBAABKwAOAAUwXFMyiGA0KwjMARGQRGAxjLd7dC9H8hnYecuzIA49p6+09fatndURy+ZLr2AgcyNzJvzqOFh7f9iDAFzEYeHh6cu71LRBhsRBGqIX6WDiQwIl4a8Oy7LS3fRP0rm3iAEBk3utpAHWOYAb1IDRNWq84eKEv453Juz+zuuB3lcEAACEXhdM3snoAOAFCFwiMhFgMhMESIEVAJv3LgeQDjU4GlhFki0z7/JJE/xF9rBSxvXh5HkbY6s1FTsSqyvY8t2oKCmsnhRVieBvHLPkANCNBtVPwdoUPJHr4JeDXDnIBYS7abCJ8QDrEI/P8lhU7550hrp+vogKw3qIOYiqBsxMN+vjwfw/gUp8HSFsGVqAAJtUg5xygAuADgAFSFx0IsUIMRIFgioBBCw+hLx0S2Fiml3dxYF+NJ1H5UnV4gnZShpz1C2jrAJU91xQVCaH6MvvVgqh+S9UONc8VkDff6YSsO49d9Rbg0iiUdKCg8kS/9kyXb4moycQho8U/x7xWfdEE5WFJQjnOua4MQABbAquFgXRssNqgi6GyaICBUAA4AU5XBFCSiwkIIQCIgCIwCIQEYwhd+wsQdO8uyt35nRoOGKNwNVPLOuJVtjaTLOPiLtVMXlUsMF5qFQb/PqWeZQjQAfFhJt64B18Ihllpi+F3zVRGQIWTRBGzlvSAy8Y9Ow/HDjkbuVB1DK4BSoruAJrP6OP5/yzgBoHzzx+POrT9/b92flnjn7f0+f9F7gJAADgBTJ/VkvIEUChFWQwFBTk4CJxZOM+M/bwfzps8s/jx118Gc8PoG81ti5tew7BWJqCWqoVr41gYNUvSkgUMjPUTxhn4QTVxNE56e+a98QWNiwB8kuHy4pcDlgXx2K0Q8pDIRUw9YDG+Xtu7rLSy8UgVsqQvZYB3+FmASqcDfsAJqHTT+MFJezikmOBZQy+mdw7WtEcR+KoA0FC9uuo6nMcBStcUsERYmYZlAwiAh3lVQLjVrHRbHKs3/sF3eMf3GD7iIUZKcNmsFLugtEFFvwoKOmrM0ZESa7If8zSwX7ZUsc1xEaWA4kNBhmISiS+arKzVya8gJ8F9HYd7LlyEiqfrM20AsdxOW3qZygcBQBckyIgJtYJtAh9sO3TpoDULHM2tl6g0GBNeIgrZ/PSvrJYvxmqpVx9Pyji6jNePpMLry6rHbelMFeqNKdrG75+f/y+fC4A3ZNnRf/99xHyWrGIS/u/72ttxDqHFq/vdVIBcJp3sWuAR05T55FnRuHUURpLBAAFbCAFtYtnA4AFEVwRQdCsEUoNhGpBiEBue9jjRwFmjhfOYHGTglri3FbRIAB7mQGsY5Gp3IDuDNMsaUvRTx6yTyKXKVPWqRghCzNossijD3eMPD8uPpvF51dGhaHdJkjQmnHUdP3GnnotWIBCHpUdUAC19jDDVo2BtrQ5Ge+wwQ3VlV2lON40rry31nPRND+Y6dh2S1hd2xM2WZFROM7lW7o3+W78aJvDG5HtONckFdQBwAAABHG1vb2YAAAAQbWZoZAAAAAAAAAACAAABBHRyYWYAAAAcdGZoZAAAABEAAAABAAAAAAAAThUAAAEiAAAAcHRydW4AAAIBAAAAFwAAAAAAAAEiAAABJAAAAKMAAACZAAAAsQAAAL8AAAClAAAAogAAAJ0AAAC6AAAAwwAAAJ4AAADJAAAAwwAAAJ0AAACYAAAAowAAAR8AAAC6AAAA+AAAAMcAAACbAAAAngAAAHB0cnVuAAACAQAAABcAABEmAAAAqQAAAMUAAAC0AAAArAAAAMgAAAC3AAAAjgAAAIcAAACKAAAAoQAAAOsAAACZAAAAjAAAAIIAAACHAAAAiwAAAJAAAACGAAAAkgAAAJ8AAABsAAAAgAAAAKoAAAABbWRhdAAAAAAAAB0rAVSfRRnSYsDBTwCJAxwRiIgKouxbFMxGgn+z48++PxeH1/9entB1GvP/00nEePoT2/+knR1jQ0/uv2eeu3VCN55j8bpy5CtWr0fjWelGzXtq4fghj9K+eEDt1UL4tTrvjJW2YkVAauIiGm0yxIhc471o90c8Md56ObkVoaCyljS6U5JFRDBAR41IJt24YxOwvSLzrz2OnyLnAMnHIA7ASkM09cEEPrf4mnWtP0aXfKXjw8RzZvjOOl9ctZlQAvIsu6yBRihtF2I1UcGfbNBNBQfmfp+cf4x7wLYp2mxJA4ABRNcdrFASEEqCFoCP0NOaHXGE8g8oJrSm5YDLLqsxy4rW7D5Jh1und2EAljKbA1z3IKiBQAjB77FIv84/OaiOO4BNUOluMJ56X1dwUFK6unLl6MYCgygI5SxlhgRvSgkJFvVmf9+tsn9JynbUxKANgmo3EVNUNF2SYgO62bqz0vPaAEwvEAOAAVQXFRA0WwwGgwEZGCZgEFX6RmhdjoPg631N4soC+B693v+9yulOfpyBWGgB66hE1XGIZz3bfv7tuof2WFEGuHcuPBs1NVIAB7S5bYeITUd9Zlse14NDJDofl9/EACYRCMFoQ4UoUSN8jHYpAtZ8zWWnvv3OQZ8bAz7UQAqhUAC8sE8lfD8eUMlt/v+KGhTjqAAOAUwXFyagCIkEIiCIQEMozbDoTDjbg6qX0LYADHgfTo9Fr8Kj18pff2mZFzW4IMDJjpzmu9G7LhOrAkpaomtgBgbGRPn/i8d+208VmoGXrs+vrUyQBfZ7bU4svFyOmAAKMzdhxYvX1sUvFVmQ01pNtprkrimKS5FKeeISUokuAThfDkJ9Xbm+nM/uecWCHfLeJ3RAcAFKFxam4BCcBMbAqWcGZwsnkJ0dbZpS3CSEAlvPsqfuzbFXio5/TOXf2mMLxhWYIl3QXNzNz3UazFoChLI5/NRLXtPncFO00ax1OqywdlYXAK5TgIwqy9jseNytuyOgLeqa2r6fgtJaNnGnhyfrkU838KeHEiACr3rhGUYogLQ6eLzbtUaiZMAcAUBXEXAiIwwEhBiAwLDosc38QXZ7YWCy3FSGIeAAHn+xa6/9fmTjUR2iC7G1UdIpwS9yYfOEi1P7zE5mlLuMyg5eYCkkohBXwLpj9419WD8MEABTl9mvSIVtLbSBfYj9FDgjf+10L2vOfSVVywESFwTLXhA4UAKdQCcroWJ/UERSIqcBIJ41qXIKNZjKQN8RlIEqPII8kGAXt/Pbn9xh/4v6rM/nmKK/8cVHj7kGfYbpnEdMXnaxn4FxLk4uN99AgQs4Uy123CpX0kFS3CtM91+mgD2TIYDu5G/ook9hPljfs+Tbfw5f/PR9/Es0k7isnyJceguRMcRLcYAG1Rflnk0DUUc0nDF7d0piN7gg1pdYPm9zG+nurv7lf9jQbv9IlTo4j0qTKekxopQAPEALm+gsO40/xFvzXT/KVFn2VQ/StmNie2z4pPN0/1T9Q50XJIUXvEAgtGyXldL7pnfZmgCvwqtKZpdlfabC2VrMAbuKffQy4OCX5PeJDgFS1wA0hIAFhGlAiUBo4DtwtbodskztDS3HN3QRCNCIhFADBosw/W7HnePqD3D12t3w9w9bvbq8bq+sDzI27dPrD08/Rw9TbgQiDWZijdgnf4+Jwb9NOquDTa7O39v5+56oBpcSTruaNG+zm0tJWKZMCNvoGI4Qj5ZsIf6ioAiABHbWkNvzR+atUFFiYHGA0g4BVBcU0DRjBUsBQbBEYBM4DNiqlX5HssPdjjPfgPPQmUBxgryxLhohXyc7ZSwUOFQPi7lAt3VebtmvCRslz1jsLqZuk4+03QAIyY+HSYEB3yORk1uI52uPQ4oaBMlfZPE6JXHHS96Zie0ABZiiBtUKdfsp7rzrWli0kZk10bhOBmLCZssLXz1snBMIXqFiMwBwAVQXHSbFMwiEwTGATOAxeeoxPh1dkYbxrkVT26xcwBXOa/0pX1hfklBBjQXfHVGms0HTsxW8xWGOf0YlmzriZBQFX246UECvobZroWmo2N1T9xcvLb93PMpSd68Yw95pX9t1oAG4AcdpYWJWJn9k4xs2qACYAqN12h1h0XqVSpEFiVGSfRU8IcABUBcdpuchBMYBEQBEgDGwxHwS8MAbUmtcJdbAvznTkanqYz4n/jCumSS+oOco5bQXVUVWZ4/FoaWt6by5pCbwsC7qvg3GW/QhkkkuLUAQUYvGDT5f1eLCAF8aICl5BKNInwAAuK4N8crHdOJlUCG1KyC+u1Z0qBwBVFcdJMYZjYJjQIjAIoAQdiz2PY0m2YcMtUual3KUtw8hD4D4wjSang2VpXh1XyssvxuI6g65EPgAZDWWVCgHe+miqRmo8lakkR/3yodY7DhOJ0k1LN/NXVRSy8LUEeOrZpnZe8CPte0wpeWePrX+EwFtYSVBnLAC4gAqgtSd+w1yBMMbLqRZK+iVbnMgAAOAAUSfhXJRYFamGVE4CNRUNIBZHmQsEn+T5+9Rej+z+Tw8uks/43/M+Que/h5CJx09diPnRdocfjAAIe/51iLCSYml3E0+/MsRINQc8D/XYvJ7NX0SW99g+efyPLcc7Mj7STGVS+VAjcXqnmqFhUBjn0oHv+Dx70HapZyFkNyVlEnO0wAaUFD0R9s+LST/gEaS6fEllNuXKViF4o8rw1KTSEStO0O1umPqvVlSQxfUen+oIB7bvZqvpvGRNwPTt7Gb8XBjIMKIVD3kkGpp/Ve62OoKAjwBMNcTIBQ5rAR2CjQ0cgR3pgXJNBbgpSWLCjqLMc13TINSmwspHsoYiTLxfCnOvi7ucWHPy0KJs6upYLzrO5YchqYgjS42JZVjJF2Okc7JhCmvimwmnj5OywyRNCG1TVTd/jEs+1G2qsCLcAELEABUACDqpKSTpt3F6Q6YrqOK9zDxwESwABwBGBcTIjYglAIlAZ2MAJgzAum2SGtRYPfofWaNKFE0uqmPqT3DACfvfAMVvZqCSsxgw5/+fmR+8TCnzU4LM8We9pFZpuSUrFUTUYABKIiIPOUFEsqLBaUFAAq6SM1yXxjm3XZ+xMsLcZf4fPNbdkg+P68smIAE2bQlyj/QAA4AvG9dAi48QDgBIBcZSLYKqEoBEoDE5Md+ODgDffBp6Cy+iwAISc02XKoExRv6juOLlwLO/lltYeLlfdU1d+BayubPsw8Z0lcbisauBYAoaNxcTDrJqaq0Xu4zNl5na9F74TXf9W/j19OxMKFC8Ocpbff44R+mHnX8iNZVHgFo7yrUWBRITceV3/LuYsAIAAS4T9UUVxwBIhcVSOASGAJCEiBEYDDljFM6IHo9u3bNSXq9AExwjXbizOdYp9OQVBVvYNry6BhoegquF6jFwqEcFZ96nK1O0lhG10qG4dpQo5RW+6lL2w44LRZVbEokrFLfdx4nRTjo0U0sZp9xiMoCgBSIEAAd7bQKIKn8gLEJ+ez34IGAPgAKWF46tl8HtlWTGOABHhcZyHYKDESFAKCAIhAIlAZTEbwQA3uQrZquOJlgBK4EVjGZAJWDtlnApJaTS+bWjEfnV4HZKyxOlNXp7iG3XTM0yJaHFiqlaAQkMgkus630b+MQvTQCoKtamNh9Hi/wfxK1Z6MB8egK6IZnWVd6atUwIzx05kAsn5WdJeM741AAkAXOGrfHfsQt7ptw4AEYFxE0FHiNgoMVgMIz5u0BdDGG43U1LljRbhNkE7G15C+VCzVjYqmaHYXiqE0qUKOvgacnQtyYxSfYCXHxveQFQQEyCU/57SNjILpNqWZ0xCdB1TTRipNdtfiJpTuAm4XlyyV1+anMvfAgPyTSXzLThZo0htTAVAiCwU9wJEuEtcQSorVTL/DxbpX/fTm1OAEUVxMkoUgIW0jawQbYMzZqQviLFuD2ed2bFmlhXzpp/wQSiGml/BfhUN8FAsIgpqSzKi8NxNpokhFDCyREh0kZfgztOoPoTr+DqQGNmVLZ76GpwAI8NmkKLl86AHacz8AqvJn+2vRb7yCgEAvQenay4VxZ9piYtANiiYS3ZMN9gVxkQBfw4CkQADgA8p8pknA0CySMx0IqiOgYKcikIoC2hpASY7xm5rov4+eznYWcTts7FHp8OwavdfxrXXazTrsFdb1TS3IUWcR2ZVrY719Bnx95QeNL0xoXGFg26oDZprwD9oGuN3zPLYRj3wdrVBFOuPl9hSX4+2/yQAGWluBt7jEjK+a6Pe4nXk/PQtuQ296TtRZqbJNGER0nx7UDLYQC14/j6JtkdecexsAfxfNv+NbuAgMJ7YI+kpqWJtZZ0RHq5J/sJAC8uuRhNBg3Sqc9hPBZtRHWKiZdumm/ljbvwAFCnpnqQc6aqwJE0BboYCdJwJAmwL0mxHH11x7h9Ef/hPrp4bdffvj+z9VJG/PD/s+r9NK17U/Z+rNxp0Du9ngFb/uJicOV6UnpLfaRQ0fFzrb2f3qggAVcYx6tAOkIbLLj8yRTAG3aLqLxqjee8FMk+X+HCDWgeFjaIb0Bb1gKKQ+cjPlvnV+qaCXcDhnyJRZNzb6jHpeFGM7R56s3s6GteXARXduPLcte6pJnDeHRECMxVm9rgXQNKg2QOMVj9GEThPzY3DarDjdAyZh3+KjQA4ABQp7JknB6EKYoxwGKkHNT5BQk8FHR8+ZHXTb130d9D7snyW5nCGRzv2eMPbXF+srrGdbPgEcPlLi9wXA6OuQ5l5K/e7okON4C8Katp/UmaMAEpk2OkziujPZrreyKRvYfMblqVcD+fsYdiJd5y2ftBdcV6f42yxrcImChQHp+kqrN0gwgGq92IJwqDkr4oU582jjPEsKSJAFO5fQ0amSBRCFExemK2chwxU4igW6VQkFCn0nKSwa9cVl+VrOYPMKcA0uktpoPB1JcyXAcAUCevaimRQFCKIxoFijYgWKIaBPYXyX8Z4eXy4s+Mt/rx9X37fY+NaoLL8EMEPduY4VqNTX5Y8sYg8T45Odt1VPUCAouJX2Tr+APOrIHZPlI4KFMJp5duHOwDGNE7yAJIstLrc2h3U3sj51ztOfvIoKRu/GHXe9JwqnC7E7F4PEtK8bd1UYLfZfcBFhkiLvC5j3ESoBLAANOizVjJXmCMXAAoADgAUCf6gu0IFWCFAoIpsDFAYqwGJBM+tePbx4/Gv6+v8l9evX+k/u/d7/V+vX+i41YCAe4/kABzh8BMM4FoVih9s5YQ2toxmZqYp0V2F62P2q4jKAnsLMaZg4jUFCKpx+fZcQZwCqzwmOnVM/cBkgAAJiFQJfAYxIwEgrdLdyoDocDKVVP3Ba4ueyDFWQAmIC6zyXErVqYgaSznn9fewZGrgFa1xzsREsESsIRMITAEyAMGzRq3QL70dU9S8nS+J5zsA44391gV2z2S1JCOfqNu4etXwDG0tG2ftmG6nutbD3luQD4tkkuiDBVUoZRXbDPZCKLgShblCDZZY9KRc2Are7B0+H08xSNt3D5S0ZpABYCHU50hGIANDT1Az9ZCjGpGbt57H7IALLFIdrwLgOAAUQXFPQVWJ0QIQCJwGr1VDwi/hhF8Lh3UJc8tXQtxOkSAB2R5dxj8v4Mb5/fuy5vtyKgXId1xnz+uMR25tPGMCuLK3BKEgMuXFO4efKxUP58ilAsskaXQQLVHUURaLA8ykxmtBFu9mVRsGJIr5ADujjOtYCAARCrXHnbIRthBYE7+RfyRMQxpQovMAOAAT5XGaiRKhwGJwE+xuNDVp30t5NByWnnUiWBUD3SCa/5Qghd5LIVBgWA0JwdxqK1EC2FcBzT2aaSmXrC+WBswhl1+iI6zztFn+F0Mu6y7T41SBWVUqb+rX/8TPBG3dbuVUSKu9XzQC4uGIBQJgC8dqJKLoLWXcO+dacgAIAAHAE4njE7FIQUVuRQFmUWglJMYjNAki9Amq0UxBB9MX5fHX/7c7f48Jl+fPXy/1LbeXXHXv6zb2njU9h3Plo0fGU7MbL6273q+PE+sQFLQA8/HdbMWhZbRkv5hv0/2X+21dAlaKgi7HKXlj0ykDydS0vS6p0aDAV6EKCmuNmq9c9oASpJrHknSz5fw4xjKavBLngFa7Ytl4Od9ua6FarGvW0/offV+i+h5V/gbHxodPSbek+wOiWph3gMN6ZI2ggIY24+4dst2wzWXsYDGK+7hHdslCzAFVr5e7t4OCPCUb8nnKTfl9HQpeZ0n7hGK52cJuABLJ+5OxTEyBSC0YpiJAtUoqCaO+x4zhwfrmeCPB9bz+dd8s+vnwnV+AC88JCcHJR2bA4l14FE1mw0qx+c2zvExUBDCsewJcVUxHSjHBgMjPNQ1rbPSG1uaFIqp/W4ASl+uTD1GB4o4xxELeKmvF+7zWDHeEiy/XXMjFLTcOODfRveY7/ZgrY+XBHkXormRbHFqcOmBFgi+tvQpvNogHvjdHWIW4RVMBHo7TyEjK2TbhNXwHkH+hwBAxk1PR1UZkAvuhQ8l69hjAlU1CGugm/VrgOAAS7XIUlBGgjEATMAmehbdUOgY2boAu+LrwgOoEJ0DHW3BiMlM7uQzPUp2x4h3y27h9wLOoSfQUSkVuM32ciGR1MK9rpK5FIHI9Mau/E/XEdqSvbTLI0meTwQKQL+n2C0hPygPXFi3DLQzLCGS2i2btLyUMjiG7nYOusLgK3ucV9C+XLWGhmhoxv+J7LpQb3ouEzc3LysSA3oqjLLAAAcATgXBFERMhmCZACJgG59Nd5TUSVYJC88XclRPNmQcVAYQSP2FODQwpHBsOXVTKFbVz7DuGRUGCBjGnPW3PplBGcanOBQIXogzM1qZF69BTqwISnfb6BZisQCokIUsmYKuUN9WKSreN5KLLIw46cz5f6AiZcvZc3Dv69L0g6ULBlKYcUQEyKKL0BGBUCeCz+J5EgqBjSRmCAOAUoXFRBTawhEgxQAREAh2DsLNBbTNmkX5LvfEAr0Qv6MH7OMAThLhSapNUJyzbDxc/NVl3GlpbH6L/9m/n7I1dvOyDOycuYCMTsznE+yBQkhFxAHU4HARAOruyYYaQ6VupXdwIogIZYvrn0/tuzqQAKZpaCuYADX6a+3V+fD9nyJx05gARGNQXiAAOABUhcc0HEqFESDERDMQBFACLYMztxj4HJCwTVzotqYBfCI95NXTIVQuFqBCcykQHFR2MBhy3pksGa6+FWjljRfNWpZtAGHLZc5Bk2pGtkvMLpjKxBceN3Cv2eChjbw2sjAG5634ngkFJ5WJNAb4a+0RSSgAAvZIq8yYKXACADwefft15+T3CYAHAFCFxjkUzIQjgFBCMBCcBM8YjY6VroDHARnV+SWi3D7JJPIJ9zkDIxP3SfHweDKx8aMTYliTCotcn/5yqg5EDBB3LCyN9sVpkuSQ4ubs7/BuEm8okpqWk12+xFFxw+jDezzDi9sebKCVfXPyIQnCVY7QAmlCopkr4QLExAFIGstELVZSoAA4AE8VwpsQREgVgI2zqMQ+HQYbdY1bmOr0LItwmz+GR4NcH0fAs99CYdz5hNuIN53UvTMNvkqasRJBcAZH9wPgYzWB1E8PmPh1ERnQAc3V50PmSwqwFQ1tPEAEZxBNKaYOJjx2bF6sKePHGs9DiBRcAl3qJXqQlQF9mais57xNELqWWAAOAEen8EpRCLBMS9BX1FA0U9BLEw11+u9enU+Nt/l+NrEh/xrWD4b1Uf0/gdGdHW/BqATog4lRh+72OI9V4itpkzcUeqKu1McDuJ4LWAKdhDfvZPRhHkywqEgJgIS4EdsWTFblcXpTTmakJV0ghIiAD9m6N5JLGzx/sOjqDAoWeaPDX2Mhdf9r+H8MvTpP8nl88wLCmp0/kb/h+0yT6f2GXQIXs/b29uwq4tFvvXE3d7u+AzBFXHAmIBnCcWxVNCmgWg1bCzqrJwBt1ASWvH1fX2mTQZMvXz5cS+rK9hD87LkwDgBTNcRYiRJMFIDDERpduzsW0XQFy8L0Ht+3gBFJ8w+D6ggBxG/IDA9nxqK2uEJJQgPrAAjG6KrwoPfd4DOoAU9exhAUmxjhJleP30Ev+y5TGCAAGXmxzwrn3LsExhfxwiokgMlyV01vNgyYokgMXJXHhFgJUiiJkoAA/iAQcABRBcUkEFKNUgCIIBMoDfJChrpoZgdgq2vOcXrkSX0+wStYwh6rzZ3T8yMrHReJairFURUFZFBTS6tJLrYY4G9RaBunHla3ju9SvYwRWRj8vRj/6dFL6KldbbblIAABG0XoWKvsHp9XZcGNpgIoqwAATBsIz241w35GP/wOjxogABwAUgXJaiRGw0IIgEYwCYgIdnZ0ec+taXhnp4HeaOPO50ArzmSOz/XpOo0pV0GkYbAgqWrSKXkKhGtjioO9BTNgTwQz+ax6DZCSk98+yYyFJmHVXHTjJfoW1iiZ6pWTV3x0BC4dSToWHdwGT9S5WnvZcX+f0v7XGIASioAATWBorbvofZc78b9Rp0TgAFaVwyMUXsNCicBEECCDQ+Hws1De3osjhpvjytxEhAAAHksPt/tpAr+vwJmOEcp7s/OUAq7buXDhw9R9++v/s4TFl3gS2oLS7EZmBDopjTbCooZnzgran+U6B0NVcp01687uA5Yd3mmAFaHXZtS03xXvP3/6/EVA05rflEbwWGeDPxnQ5lM7wFGn4WKxkiGgW6KgU5HAW5KgoKRmOAvr4+N7Os1q9f/X2/AprHDr/6v8JhMHX9Pxwxzd1X3f+H+G+zHHt5tHErIfBcrxbs4MvUlTU1eVHeEnWGF1TzTx1QQ5lQF2EmbHsXCA/Oyt76UT1Z2QBV8/JhACAHjaboRiduvab40RQjEC7SW3j+/0Ug+1wHn+sJugXJtjNgauvH4soYUEsBr/z1wJGEG+4WztgZkAPRlt6SF+JQ7tyDS2ThUWqOPk/u6lymTt4vVPe8ZAeaZdrA/vZ1rriqZhwFGn/4KkUiYqhoFf1p85vi9a4sYbZGjL0gbMfMIlC7lC45JSw9jocHsDSXmeKKCVG/5N6hj5V7ifPwTmF8fnSloNqZzuLuAg3LVjaZg7WWoGc1qDFnTJBmSZIE6LhcbJk0BFATXJkDYXNRMyGhEAEwSJKgFQCCYKzteruAAAAHSZwFQn7WItiJYngTFYyJHQLFIyUlQR+Prvw30v2z8vw3vM47eeemo23zml4G5K6ORIvmEjzLXpC6nrePwbkjS2m+jvMCixogq3y+hffTtliNBdBHrpVnmlt8G0tyQUqNx3Pe3DIFEHnT4HUpDYPVgmsv2u2maPDUsZyc9wTg8OAaJ08AEB5Yajq1PkgpdqKmpoa/i3V0ELtidSZXMP/1NXTlGB+gkFGsEtocBNJ/1USRFDgFGsRjALVuX2Ul7n+YO3fePjwH13nF7xSjldVTcGJqJRlD2pigYB+vMBOIdz4KPtRzuyd0wHkb1O05k/eh4J/y+2RgZcTgPk4rn9CqUoZNrBeRtFJolC/gbNM3Cn1RhN8c5ooaGryBFXoGkvMOosAXEAAcsAgZo2VByzPCF12R6Z+e4XhnvYi1yw5eo7mBecvNX9MX2eHw+QIDgASrXEoK0IJiCIgEbY2ZNXnSzMrDlyDcSLpstw+j/wT8uQdp+/D7ACxwDQAAAMOI/UADUElhiwRIUAHHz1G+UfFu+3pLZ/wV3fL/HxQibf6f0vJt/p1AghTwqSpuOGHAAeEwuRVlapQa05jE9t2HvjuvK/BCSjUtXjHLrmJAApJSNt5BNKCyeXjcNToXQ4zD4Z+tgyfBzj4fdGrGNZkAAOAE2FxDMRHCJhIURAERAESAMC+7xbQsg9HOIZNXdAexozqarj+6PJXg6E0KfBJVAlucd1OVWiqudy4KrSp0ZQzEscv0NYagD77ESJXKKLlr9n1dPj72VBxLUXFO6KveLWOascFBqfimDCw4hAsrzGKJdJESIjxXAVqFMZRinQY6ZfEGGYBwAAAE0bW9vZgAAABBtZmhkAAAAAAAAAAMAAAEcdHJhZgAAABx0ZmhkAAAAEQAAAAEAAAAAAABudQAAAOAAAABwdHJ1bgAAAgEAAAAXAAAAAAAAAOAAAACIAAAAkwAAAJQAAACJAAAAgwAAAPgAAACRAAAAkQAAAIkAAAB4AAAAkQAAANQAAACHAAAAhwAAAI0AAACNAAAAjwAAAJAAAACLAAAA1wAAANMAAADNAAAAcHRydW4AAAIBAAAAFwAADmQAAAClAAAAoAAAAI8AAACNAAAAfwAAAPEAAADTAAAAnwAAAJkAAACMAAAAiQAAAIcAAACEAAAA4gAAAH4AAACCAAAAiwAAAIcAAADVAAAAgQAAAKkAAACjAAAAoAAAABh0cnVuAAACAQAAAAEAAByWAAAAhQAAAAFtZGF0AAAAAAAAHaUBPhctInRDEQwpAZiOcDz0eW3Xpt4N2sajTU5AAEDmp1XsDWgpzxvL70hg6ubwucI/tvvKw+MF8vgsdzxZdt1eH9cHvb35ZIqqJRBmalCIZqIROCLpUH23LD61xDs7WsHkXmx/0EJM1vaqQAmgHtp3woAkWtkHeNr1WEAAjKyoAvcGx2ABCsf6TX+v5xzfOUeIADgBSBcdyLYKEMgCQIiAIjAZmLxaPLyuA8dvWXeaPrc9pyB3ehM+k8Fn9f9qp38xPXCCZEqjMAovDVHJUd/B7IaOLMW2wogpq+hCR1DXhclbBntkBA/26gQH8dghKRX1FVHbw/mXSs0Q4m9w+zcK7jKoUQXwfBiAEpCEAAAEvCmxtffn4Y+LVn17jXAAcAFMFxzIQWsRCgFgiEAmMAiMBhkxejrqRpo5eO+chrjOl9QB3eK/zsGH/oe4FnVzxtDmV0TKWTjo7//acZITFiVzSDQAAiu24pfhqlkxopOJO6+v1BGpg/JBXT5QXroXngAlPPxpBJfnvpynpnhlpzAFDZ83zt7wAqEeHYzAAB8JIt9in/s1r6fzl/3d+TZDH7JAOAFSFx3GtzmMAiMAiMBm7U44OrdRAdvG9s4NOGvLANWT4Mq6s3Tk4uZpwYCSo5NTkJZ/MZ9AV4cRMZ7fR1Qw+JsV3k5TzTeMwzhfKg2GtE3ElihostYxwksrKUAA6n8ds7EdKoATl1jqACjBcAA3xASxpWS3U1ZIp055GwA4AU4XJUT2GJUCAkCAxGAwqDg86ADtzGjT2+GwORtV8BSvcoVzTfkGg0PpOY+8BMfOHksm4pCsOu+Dw+XPzGSRtbYJLPXNSxAZwDghYQD+LJ13MOCeKYAFhR00FfgmmQV3FFeJfGmnwh4bJVLy8R4sUcA/iS8Ug8IDgAFMFyTLSAiEBGcAiUBjY0tbzYs22237GnHHFhaauIAf88POYHD5kx6f9Gb+za/VtfTJszJrcuO5BmautmV43U+6tsKazKA307itoqbTj59CgoQ1e3fY+UzcZrbFufFcgAhq+XdP2wBUARhIBAAggogouijGLax0OEKre9UtnlpXI0wADgFSFxyMY2MZCCFgiEAiJCiEBBmRxHkvoA+WyOFvicQQDo0Wv8/gB93wGKZIimu/7ghorwvC7PC7VcPCGAgUPBQ7NFQGQkzqUYK5Vq10v+By55WVM6AQPk9WjlRao0zGGAak/+VnOuh/k1AetTjtdge5hmAJgHp0erf+1PK0qvBKYupcKUKgwR18FezW/eeofqC/k2jxdeTjxFcR8/DNHhyPRmgVVmjYRm6KnXk+dhFNtL/9rgMSYYmldjDG2fEWADgBUhcQ5QQoiQQmAIlAQrbTg68rJZyzlWcXDpdrrGlpm2QRzx0PxVgV+F99DuZ8a+HfoocQAToPryg0kQGKW8ZfmS/a9G5ecUDeFy5MC1XlPcC5zcQ7m2xCliJW6wD0fg5+vUACtFUChUkPzsQF0P447xkkKIBSctvWoBXSAIABaQAHAVRXFIlzIgRYAiTbtfm+nToQ5xmQXUcSajEW4rpxJAHCK479KMPgADFe9tCNbxrqOkgPpFDxCs7MqQOwTuhE4aCuNRWNQsvhfFY5dLB9P+78epcJzrQE1P9n8PbAPuBu7s5L4gANc9AIki3a64AXKTtI5Bt0yUY5W9l5ZLfaLtXWlYdpbCM4gjS9lAABwAFGn94JNKZAiwMFIyVgRYF8/97eO6dfec/x8/79Pfk4/cCEVKrBtRfqRAfwHa2zdx+L2h5MxZrDD+f7whx1sApvsGVCcAflr6QfnqsDRfBCvzCuIdfiVsGcxAA2ABit8SPKl7Ba3Vm1TUHtLFct5XduWwKXomEEGsiHGVWMSV2zUYmWO6UZhz88Ni8AVwALGQKi0wYBcRADgAFa1wRsVCkuAkJgqRgiIAiEAiEBCIBljMjz7NOrBmb9Sd6InXXnsLRLSzdbhHVIhXborg2c4ADVQ8EtQPCKtQMkogA/YoLgN8HB1bj0N3rgM3YG6PHXfqWhFNLQWmIWguxVzGWGWoB79GMlk5isfPNcGCN4AWrOyArLSAA7VnLwX59rPGmAcAFMFxkFBiKcAoERAESAINrUv6h8PJh6zZzqKa4TzWWtxm1sOAQCADZowlRxTtt7l+G8nRmfMAAdsDm3ZTCUBsaXn8VxuDfWPIKa+uV5yh1eKoSq1YfHtt/PLNyuUgTclzSVhlNyqcu6Im3Fwvd5ZqLmMMWASVeU5XKE0yUWDHLBKXH/rCFJp1AAMyiWjvpUGhraqKb9hiTAEgABwAEkFxlK5iENBGEVAI32g066ebPLNvTbawuW0ZotwcgiIUJOXbSaSSe7jtmYu0RlnICEppEsAxi2M4qovKFtaRTsIplRaF+fk92zT8OuEcud2FNLMSkd3JZXHhEqtTZA7YX0quVtJVLQbovLjXnXiXz0gWacrmwwrOBYWpXP+xwYCKcUX6S6WO6oJzC3vGIT/h/CHHj9uQALx854canaOSv2jUHUAOABHlcViVIYlAIhAaMo6H4X5WHi29gJIWFuM2QCAAAREY7e/+HaMx3dnfId+8xed62bVhWiRrUIgqwmDaKfOJY1mk1dNd9r7TprXNHeu+Kgwzvvxn9Z6kKo0xT2sF7Il31lqas8goMmh74JrUarTsIQWvqxuclv5gPOiFvCYKZvIO/W8MHZGbfFTbsrKwrUUXEwAEwABkOAAO6fweAxIcU0VU2Cpk7iKiRA0mlNEaBMikE8CbH9evo0o7df9n75nPWr58a/HP/w+vL1tx6jz/xx+vl/GDp0hw7E9xeLnnGjVxzeL/nA9XqAQASBA3HrhIwpwRhPyOQeV2ObZwmZsg4yoLX9e8Tjitw89UdTr7mkCckbo3tOZy7R1VyRI+on4Y2lFoXx/tNTAj2BQFDk1fG7XoH966hun/hvAbLgy1xO8f9HEa5Ix7auZxtAHxygVWEvp3tKeqQC05k+PY/iO1w/w5+SddQOlZYcAUTXFI0xGxCIgRKgREA2ekw0eek82Qdue9kFuHE67DMHlIX62LVdyQIiyDlBlWAuVRbh3znbLd1BLR/XjmfewGRZRBhfKFhGLmEKhwLKEbA411Pqt69Enlp//20dO1pho65nMYkdxc0CtultHnzWcjvj+k1lCPXccwChaxQ5uDQyxRAFlZJQye6D8AHHiAfIVAQPYwfsoYUs6n03XO7G401I5MMsrPqioR0CI4ABShccsEMiHI0DEaCEIBMoBEIDNnaEPwDo0N9oQlOASNX6EE9kSpYaOQB514gJ6T369AZdimDD3C539m1bLIcRz6mEYwPO4SD2CeloGDoccR55maJSnBCpa/DjyRf/hxC2Il4Vl+mj0Zn9P/n+Yo8XeN8XQKI1yazcaXHbEhppxm6BXgaxRz/6vf5OPn6urj5YpRCWES2Q8n82TzYGFaDg4AFEVyDLRhGRAuEAoUSAJXo8ODotx0suDxXPC2ecyJpAWMaY8YgCDFDRC/ho38fZABWAoVfp+7Kb+P3QR2y3iO2RWbgkYYmU4F1cqI6TBu3r8JgjP78U+8/OhFymZfNELHKe6gDh33j/mdX6GIACszhZLcaOigqexeAVFW01ZtR3FmrjfVZ3ptEhlzajlid8USFGB5kWHU4rqqICj6tACEagFLr3M4ABwAFIn62JlisFEjYFomFIRIGCjFMSYoiZAs/52MvpzM/L/MN/GN3c/4f5iNYOOgWg/NvXungeFcjQnUgIps39DSuiKKmwEEuakZVbh5h/JwjaMJBSKjefn/7QdJ/kzodXExCTto9M4Okk95SoRZvjaPiu0SVuOnQQEZTN2Bi+2b9IkKLYbxOjnUT+CxgD21arDTTKn/gX6jSljPbd78FUySIBWoNH16aFobr4VVyWvkIEhkByuZubXriC4fD+pVdcOogcATCeLhrioElbiJQNwlXIEkxFskRwCzXDQKf4WQaX/9X+4a2OH/0fXp8eVTUt/4xb8Hr2VD7LfrfectZpcW5PEeN5ZcgU5xBiZeapFPQlW6P1+3MyJDNU1wCUwGEP2/V2wdl2w30m7ixjs4+kvQKLAclns8amGvIgcxdbdwUKoW51DgbXhWIyrcZK0966nln7sop2kdsBT2ykEAFNJ1RzS7NlOjQkcqummzxVZ4fAIoqX8ke/i7XqBYAdfbnlB379mr9I1IoQDc3rqv1A13T79VG18upG+LXFAckvHqqoaBdNLSHJuMgCQY4u6+HJHzzZ8tYT92mumoxcrrhrKBK/ppf0X8tud8k04YEE4iYsOAE21xoEYSIQSEUREERAIwYeEFb10aDrfINGVKgAAqSEjvRZgFin1ADjOxiQGZGhuzMjb1ZHoFfx88pVf6tFpzUWAcRW13lWWC2UvaCDeSHTqfO9rjwztsyVpEMOoWtet8xM7AzBu6wA2Zly2KY0pFhHE3l/wAA78a8hg6OBhR3eSmHxHvBL+DEJ94YW+Evn7iUZvWuFwAC9wDgBQhcZxOQJIUIlAY2aeF1CLdL4ExyqwLvAACiIjKcALv6ksECP+vqTePQYv8RBZSV893N6ZTAZ5QTECeCInMjQmSAATT5WAW6EIdaajM+Xja+sk6/W+jmIcJAAYkgiuCelCpAwIfjZSqx4MTUR0Xh9vaMBnWEe5vETm/1+kJAAXAxr1v5rGNxfcrTw40P+HhYQAHABRhcdFpALCQsDQdBNbBAQe7a/hSaPu9a9jT33bXrTVKaT8Au/byvsdpWgEJqyJ1/nFpxmWqIHCTnPke1QLF/r/Ex1WQ1tSmyGDmrZ+Wbs9LbVydAwnta6QbmgMDrwBQiN06c+CZg4se7y6r+FnTfobTgVjZ9Bz/2wD5xW57o1EwSACtzvAcFi/8Q8bTn//RWIQqb6v/+G/T2PY/sENWt6ShiEDX2Fl1c1LL31KDkIJ1+shwHHipyYHOwXAABQCVNXWzxYAFo6gGgNjpnmEToRrnYekK5p3XOwZiFhQhXgAUIXHVS1JYkJARYAinqoEE1v6rH48Or/o+t8eHCDhOgh0+2fXHREHCmuPGkhb5NuJXtFWRAr9Ki1UnitWjfGuq/ZG54TQhCwR7dndrRwxCAUh+jqre4ChBAg6w7FzJljUUVW+DbI7W13Ygfg5z3pxWDu/KCInTNeKpaD3GzGeZb0v7ZpqlEr+Prt8Nh4+2f76T/E/npcCX4fUIBSHQS/VOUkv3oDt2KfwpEuA0uDbP/D999s3JkxTtLIAF68EN2j8kTBj8Pr/gw5lwOAAUYXHSw0SZWGIkIATKAREAg718yZA6CLiOUux5LziAdPtr/XlXuIMJuO8iXiLm5e9lW9kSX1X2BXGehMlOPRX/QZCfbApAUJwl68WQ2fZJcmcQiqYoZ+DefHh4lZbvOXnpwIKAA7vFGhgPjNoR1HwdThNaCXa+StCiagEgr0BptXR3HFXs9u+gKgI2FoINFNqD4xAAOAAUwXHWg1WQmEJVCARQAhNzmmOnVgMI3lXGnRJpgGHOr5BXwxznI748Ul+Vl3UKsdspKMIMxkwlmoHfq5WceUxsKPZ3688muFTCksJVioemhxdQzgmIM1I/vsU1+jXzA938Xz3+y27zSQiB+c1Y/T5gAiD43ilfMTt1AAtBSyIF/zibfF+00DP2+PBIABwAFQFybsExsIRIJRAISkEQgIyNV2bfUdAY2lYuDqLXgHOlXZbFfMBzlcb1KCTPr5u8ANeQhKVECtiqgqsceIxiRpx7aHoM42eHy5w5on7deLSeaY5WNWNRBBDw+ZnkFfMAm80WC/68uuADK2V/DU3GWuBaTNzmKqVEfMDw2SSh0FJADfpAAO7sYoUd/65V3NuUFMAAcBUBcfAjgQmAIiAIlAQYTvHm3BZbDYKacXdJgHRB6eDwyfKYfcL4Rv4RcCTVkDYIArYZwZQrhVU4mXVU5PSxpsabg1TBFDOOCqCNwgncJWGpUHqY3l/L/0s2UA2/ky+/f+sYyASv+unzW/h/SEA60zRhL71pMFH9D8/jWPIcgEk4Qnn8P4/8joqpy41mqADgFSVxFCpTMIRqQAigBDsjB15svrG27G2hxpemQtMchCeLeNIuNj+ZWdmMjI/ixjC8OLHTMVzmXOpv6VY4Tdc5IESB3MZ0sbO4vbJN9qenOMQFinOb7tzW1x5bx1fC0AAFarFJvE4MswJtI1xUl9cFVicQAKYlL88VBW5V4fE2+6vOGthEgU04RKuDneFmqrHdgXABwBSJ9hOxgFifwElSZkmIsFDKRjSdMSYJ9fd8/W2fi4f8P9ud3h1er3/V/nv03p0X/SKdvq8+EP4p5PW1y4g4dieLqRU7BxgoYe0B13Z0zqdI5l9SrNKV3Urbp3VG8JEAO4TRiGzrVHz/M88wyelYe9AnFrWyrvqtO2wRh2GRe5ZpAkauNGzh6frLZKgA2z/1MjYyhPOvKPtidmm6df6aAUIE45c9Gk7qGpcVJCBjv7HL0YqfMIp5bVAkURRYDQCmEAkfu88B4minBwyKJTuFbF0LIud21X7vk+fAEwn1U5HAUzFGMAp2MAsU7FgSW2znLh5aYenBXHXbfTZxTpx6mBE1AKYfjd6pWHTBAzXVnbH5Oil+L0m//+t+UzmcS8R4CQNgARNbcTuyJqPRA7eUJmuthzT2OluH/upNmrBcRIE9eAjCMQF1md1ZK2OmgiPRQaLwPY+nekf/dyILH8/kuWwhfw+X3w9a9REV92sQJe6ucUzNBjHaB5twdW0kBcs9mJJ0JeDK3jqnylGiUMHGW6guOAASLXEUJESSkEJACJAEYxxbMg4DcbDvisQW4AfJFxUFBUI3Uv2J5BYdWFWBTjQWV7bXsSkvtqaFCZoNgMz/FrufFXxk6VSsbbADSUhwZKdz9bNHvDBidAzQ5ZtDfxQUlu2TZuS8FyNfoFUyuU8OSFolceqxcmQIgpWU4w8x3DF4b9WHLbte2gmBBcABwBIhcSUDRIkIQoARZpv0Elsu28YYjSha5JFuD6eeAH6fcC34fgQ+MAzD3IKg4pyvRMyQxyweJ4dNohN8invdp+v2WrtyD7EYe8D2GEichm0wbX+CBtDGrSRKs3K4CnJZymnuhIT18a1kXTSXYqjZ2X34XGOW0iCiElaIRA5Z9dJYfnCNL25RrLBVmre0bpFeUkE9KDJhV/x9+3ppfuqkgLuYAHASQXFWSGGpyKgiKYgGRmp6j0sabIxuDrBEi4BNa10UO71f1q+V3+ebGj7mU2cnsrPM+jXOmAQlO+n0L1KAszjU3EITMLAMaZp1x0csXWuEq8mEzUWvHpSmnLOXMoC4W92WQVgg2A/L21XNHrwRCJZACSnXJlT8dM3mMiQjQGHHqVLBXRvKgCLAhzSKoV5L0/Wq5Qknnvx2Ss0qXgcbTtslf9dsy0qdXGlsfGOvWuBwEkFwishVIcWgMaPB2vY6O21gSzLIWARts5j5VMjUKTELMhuKGqAuwzqk2n63WalnlrfWgF7YlqAauqrLC7hQqcN3VWr3fGqJNglZIKqYdL10jcvatMkXPD9v1ofD9v/8vTBtfVK2Llw8v4abIeSFv9SCkYL1fMamUiR6b+SMo8a2dxiypdqJJeXZGdultbK87L/FIAHAEcFxJsMiGghGETAMbW7sAcsA7ji2ESHAcn1NZctFD8021B8KK1LSQVMDcpqmrd1B2jtw+T/Abw3/zU4EOJVc3odtGfmC2peDD766UxavpPRBot6XvKKeGOmG1pE4LEdgfMzOd+TR4wczb8LuRPqeliNeRb0OkBiUwFPCEXKeH0SUft7zLqm8mAS9EVIgjAccSmPLfDT+IlgcABFhcScDErBIwlIYhAbgDvbpsvDspMjSGLRBaavcokD84UouCVSf8kmW6sb5R3QX4np3WUrIvg3hBMtlkKmhOD08hiC01lOPxizTJ3b8g+3uHSfGfRKu05kqP9vsALT1gWP4kD7q6ql9QuywkeJ7slML7ZeyasllXGletZskyrFhhjrkcJyV6M02EVpYsSS41EmO5OAFBcULOAUA4BEBcUaPJDCE4BEIBEQBEIBEICeQMQZYYKN7RuyZrS3DSEBCI1Xs4ECuAv+qsZi7FuTCoWRoLwRUFomgetzfbGZHPbNJQDVATvhChCWlVKjw68YrMOrNEml/iPSlrS/D58OYA9+BkFDMLAJhO66sAAYuDDZ9pAgAAOAQBXE4RxQAywuLFiMw2KMaCKhbh9rgDna6L0pSxY34pgR+1PCs09Q01hgy7wYU2AD26YAYT3knmF2PSoOLagkd0/lbqoKGdKIcwCfi7gNqbOm4YsbbbxCwNpyqnrRgY0vnZwYfCGTOkuStG2gMfDsRXRy66Q9mvrj0xpSNaJ9chSNr+YKWL59Ck6gCwAOADyn/jYESBGBbdaIKYLb/rn4vzO7UOyBvusAHi1l4ep1mnU/gAf78DABMDXXfSoKk8/uhRUBHiABVkb+JfPYfeyUZwVNKg3I8+HOfzLhY8rfah8e84lPhgKOmiqlhSZ0mIjQkE/kAcBQp9+ElhIgKEFCSwVJwE1+H8s7xzr/Xv+fPGnru+KtBu+kuH54CmIdEXpx9lW7y/M8RAAiDAjUulfkm9yMB+nGCclIYscUdflYZl8dze7s8c0N0YSexQraXxI9Jh0UVcuQp4M4DXU+qRucSSxqLxqWDjmHUtGxwlaO02zVwQKcpZzxJSzZVJSd3lqVSlgTw7Lrs7S+qTWj22r5eiagAigRM2+b0ydivK+x7IAAZopb3ElwVjm6aOInsFuxo4BRtcZ5sYVBQMBEQCQQiUIhAIhATPVnZDXWifXAWTnn0rrrd3O/IMAexAKvx9bAX//9h+7OdmbuyyniTvyRYMSAT3H3h1nDLPMTU248WTJc4ODApqpTtcSs4MPS3xILHZNFKFfokxr6d0dQOdkJywN6p+EDkH7WBWF8PrxLls2cZ+3o9KZMLBsirvk+CM39Ak4gAAEJvKnRjEx+Pie0zLABAADgAFIFwRQlR0Qg0VhWOAoIxoIRMERgM7mU3uBx91vNusNb388xw6o42ggS6YFuu84a8GR3BZ3IIFDq7agZsJ2Uo5Xq3CJ24xg57raBiW4B4skZYFA6sY4BJOGfR7XIWTaFM+aWSZRF1/S5FLI5SQDSMEUdvo/+f6npto5n6ra+Z83+mdgRhjcie8zW2db8M3j3FapLpMJoFB4f8W7/9ksD1m1QMouEAyfyO26AJpBV3K0Ssm297OqZ6BqOdujHKAByUx59vpMLUmkiezpXOedWVC3ZIEHmZkhIuBKcGzQ0MwABwE+FyFC5kCFAgJAgEyAR705MHADrB1Odi2uKSw8BzpfSMp0vMO6RS5pSwhPolKGOmjm8gYsIZfRFqeldkts4CF8oAhggO7JfEgzvTa3SJGXKGrTxV2UDTDqZzm+rs7QgMuYoDPBgEQ1B2wVgui2u2pJdxS6o+hacLEVtrjx1MuFLMjXlQVAF5x2dzfXxfBt0tpU4AFSFxSQYnGJCsEyIEAiQCGCd9L6FPrA72jnm9ONQq4BX2QN+jNMn3YTKRaE3u5tFdh/zLnADjcLTJ0IbAc+D7ic8G9VLF1b1twiU7cND+jaOZ1PhqspwudAOYAsOyojuzZGAAAfReGo0o7e3jgvdBMxIjr05vtxeP26sTLzq40vAAFZEY3wUCM2Wl5wthOAAUhXGSkWGgxIgQCJQGz0peY+uhpcbKZOWDy00ABV7IA188iLu+9wkzlm4CiNrGOwgIseaO7jHrCupduUN3Iy7aPeimbTuAObnhYB7pZi7lnw8kszgeLHTKJN33zq9/yrwUz8a5LwqncBj8sQAMiVuxb+dtk2N1AFK3UxDrAy+L+Hiueal+pWdwB2rO3J2deGjT+XC+oCIDgBRp95azHAWK1EOAtyeAr9vjaO/pqP/F/HxmFXpfH/TPh0wV/PzwPf92+ELE6qOm7Cped5RM2gga2JCCErRtOFq4I7tHnxejskkpyC410KbSON1UNsNMjQggyik8NTSwKaXeiV/HKLGnTsDbLt23okcEEGZMA1/Pfjk6zxWvL4aHkwABmvtRwAXBfZs2SyXnEcgFgHdvRejwAKI29VgyrnbVu2KdF4/P+h6DGOAAABNG1vb2YAAAAQbWZoZAAAAAAAAAAEAAABHHRyYWYAAAAcdGZoZAAAABEAAAABAAAAAAAAjNQAAACTAAAAcHRydW4AAAIBAAAAFwAAAAAAAACTAAAAjAAAAJMAAAB9AAAAeQAAAIQAAADBAAAAggAAAI4AAACZAAAAhwAAAJwAAACmAAAAlwAAANIAAACtAAAAoQAAAKgAAADCAAABDwAAAJoAAACTAAAA3wAAAHB0cnVuAAACAQAAABcAAA6bAAAAzAAAAJYAAACOAAAAlAAAAI8AAACUAAAA2gAAALkAAACMAAAAowAAAK8AAACWAAAAmgAAAJwAAAB5AAAAjgAAAGcAAAC9AAAApAAAAOEAAACTAAAAjwAAAJgAAAAYdHJ1bgAAAgEAAAABAAAc6QAAAKwAAAABbWRhdAAAAAAAACITAUqftZH6BZEgKIkdArWREcBYmvx+dddOj+3uv6tp0a/p8un+DHwkXBrAXVjmh4jnpp+0+gdgwYxpdj+LOlRsUqRRyobPWfU670BFBWTcN1xzyXEb9o6VUYxzYi8KWWVOIbS748eu6Fnf+wRo6EH/9iKzrMDZRPw5vkm4grwEy+rFIiS5mfbIgwigsM912+12Ll34gC/A+HW0LofiwfwMqgZmnKQfh/Av/bQYAHABPtcRLFQ4CQgmIYoAR4W7hmYmgfq7L8oZdlyAdoFz3UKiFO6kJO8hdxdmhIdWGtTQ2GrPwXxjgqODnayILO1cbBe19KSlAt9C+Sxl9lZ8a42PWjjl4YgAM77pC3XuWQD9xEnv5I64HhC8uM31cJi7vDnQXtwhcbl4G7rg3Sc6NePEw1qH8PdSLHfIinKFUxl/hURQAAHAAT5XEsI2ChBCAkIJEEIQE7wbywPg8Z5L08Jp8bhdXeQUDAeDBlSXO27/RlVvhW1JF5OFIht1MaawafsSWeN4G23L+bPeD7ergVoIAnHMvPQwukBiXz67nOe4E59a0GRnW2ndEhaJSWwPeUpDUFKf/T9xJWZ55lmpoAmBwhzCWKPSoCAAHLu5hdqQHAVqHEVu+Du9QMrmCwHpgfw/D8v2+UQA4AE8nn1+BN6bSMRLFCOAtH6/sdDr7aPv/qPrfQbvN/OSU09hnjjjs39ar7v++/1mkbmtoJkhW2q2F119ru4h2+wC29nCgxAATxtORjECLqKhXy9Iw58+MA/+lFbKWTXTWdEQPRu+driymNl+uOSe83HWl4slszoXwFFui1X7TGvXPYo56dKTZNpcZ0n/W1tr9rd8+KmSwqtuC2oqAo17ts/Xl+Htp87JXD9hPDC/apAj9rzgERhFxSBMcAEm1xnElhCFhIISkERkIRgICOxu7MwN95N4NFgy7W4PZ4ATXMxzUXPYwwDKYncAyOVbrMsyZnScbx/Hj8W9x9LPZxLSaIvz1s9tDlAGmhGCg2MqDdmViazvBjdSmjs5e5J9MEKmkGn5PDF8tplJ1+8onfB27YS4GPtVhSDrWxAdyjymH2xSmDE96TJz6PLDOSwAGP8ODX25ysIE2MoBkIxBMAAcASAXLWpSOwUMSBEARCBBCtdu8FgN+qykaKtAHQswbKhaxFU586FINnkK7CbHEBRiDUEIKybbhLASiGf0BCKjvXaZAKdMI4mVR7sY4KgndbaknRBYk5nU83RZ8kkLrz+ArB+AB/5D1PfF8ljh0+av8gD6jcD3Aj8FuLQibmJxaSQufnObB/W1BCA6dshYjjXa98gzRmCQaBjADvmWhM9jySMYGPCJ3VPdJTw+LCER/Bil7o8BPhchqJYSDYRCERBEQBE4CMeskcXqOll67d+qVBZfUuMgctXwFLw+8c66U5UzhxGPIvS58gZbbihpoH0gCIEGuHuLenaHnA5z+ICJJdARf2aRAGH8xO/Sc5yvuPYYPYcu9HXkRHa78ve70/yX9r97JgEKV592zuRNFfAEsH+Mld+ZQLL67ywWgV2QClj0YSdTx1VGowACXCenNononXghRtaAcQABwAE8FxTQZEwNBsFBENAiQAiEAiMBPk1j0a6avgdVfb5FLsOo89gw0eWmMg2Sjqhmhkxgyde/zrLfLA+Mt0TeuZnsxjEnzz9fxMG4xHtIMbgQUapCs4VXrYWWcrnfJ4puadoQU2+/KskutmLk+Nomw1zjgZgWUpgKH5hHV7hJKgE99XS/CDS/p4E2P2XIvDeIBfPLRGBCyoABNyy4rcJUjPyOiyEhSSylgA4BRhcZaQgLBIoiAIjAKCEICYwUU100cN4AaB1bjfa02bIGKBIIDPsEt8wLIsXyGHmtdp0QUNZBaFk0UNYKfC1mqJO3Voo+5S8loBqKrg6VwkrRllvvVTT5HldtklHAlIzZOMLQc0GjQojZIXhPCnZxaj5uMoqrzP2Ee+X0PCRBdheYRsMbAm82VEAQO71LKzWLslSFKhgZyShF9Al5GZK8TA9J5iAAHAFQVwRskBI8lCUBE1JLGtXazu2cOV3ZpDLxAx5/47ZZnaJO5YVkcnpmRl3iCgo671slalhNO8KlhXxpp4lgsIN/F2oJRDQWHtdJBaJ4jsIU2AvMITmCTmPmC/gOn3QhxpAzjJm0ZKQSuZvOQbDSHAAH3EyjIsABaR8Qe5fBnYckQygBiw/wwYvD5sH8QBgMuADCsA7RxoABwAEkn71SZkMArZdp0aAuP8T1xk/HcjP6P8M4x8VyogOH555dExxdwOSAV/TAIfrMOh7J0RTiK693KR+WFWET4+Y3QpCkbAwBmAKd4hQnXrC43KVESVNQAPPEYnWblSW0pKieXRWvz/9TGKS+7/9M5mtMfr/nOcsKh8d/68a9mxP4D3nVSWTeDLFHofVN+0cQZEzFLBIyRohkSEXDf8SBDyaxeuEHGFODFAzGc6uoDVO7Zn8OlpABZYqMz/Hz+78LvOrAAAzoOjrMfE0cgAA/+z3HQIAABzxwAQyeZvumpAt2bBMrIlsMA3WqME8ZpjIFDtNe+nnV/0ff1Dvwz2vp/P8a5d4NSZJ+P6Nrez7Yjtvy9kt41yeQCARnCu3NQU1zT2d+MvNh94fo824Vzot0cjb0Y2x11zjZ5NeJxKCwKKx/n6o5IJVvLaGWWeERafj19O7gW+sKpnkMWbXEKQAR11dcw4lIo5/k6c+6lAlsUFKXxPCPLjv32Dg5pSBlmJ1BJmc8X4cXUkUTXv2AYKQgKIRSEAHoYEnR7kl6khmN6kQ9X7YPzLyminngsOoRgqK/II0eUe0sgHfl3jLUIVoiXdksLd6rDGvMwnd2pWtfh63g/LfuWRifNdZQLz2ylE6nejrQ1lSiydSj2jJZnzjskehmpfeEEofdo4ABMNct7LgRkQYiAJCMgCdq6xMeL13XBwxWzJSLVnHWXSADpcR+zzG3lvkf+2+lOl8Z9QxB2wr1x0GFUv3Xs+aw3/z8HdYhcQYVia35v25btjUdFWx6LsrljPpoQRKueTZOwhE27L1UXSBgRCRHLbIN8ATBCeCZR3peL3czL1Pthp+e//actHq7XwwQVADzwOVtzseKlSaQxUzA0O41v8eL/VhvMCK0Gq7oAYLNpWnpyfepapz1T/PCC++ydAn1/x90CUMXTsBYJIpS4sU4UZisEo0QayREHAFMFxTQc0IaAiNBCFggISEEQgMxE2oo6QFBlvbE41jAK590O7/zK9JRJMi0+fAiFaFdRmmJj2cn6Xlb1S2VXlFQF6G/D8t4IGPVbL1tV5of0TfIWoUun0IxnvTKBYmAwtsHdrolMq3qkxFwPGTWtf8+lcdc3g7mgFoqb9AY/h/BjS84pTCkGTcdt/8Pzp5U8srrMqvNycPROhnNE9VtkqHAAT4XHQxSawhMgQEJgG9VrDBw0WCscYx5F9arARm6eAx7j8td/maM9EC7ynCzZSSvTW2PhgbhIHMBEND/xP1c24HAD0NqjRlEQ0IgfzVJvxj5gBeFJi7yE/J5vNQDv5Mdbh/6Ll4Wu24A5W/LDPpHjL7z6/aUZSk0LlV/J/FZyYFnGPix/rDlbD2/fV13TwvJsCdzgAFEVyEONHwJAgIRsERoESANusCHThw1Y2G3kxd3gAxjl6AADdJYxe6AAPOUYhWNNUlx84cd1q1gg0+R0liLkz/tP8K6u4FOLlnypCAS1kh0i6DKdKOCKz+5NYZublNHvVZKGaOX0erkdsg1zGK9TisOWQAAtI83vpcE91V8ayaOsYdzaPkx2EmVZOJKA5y8nu8NHKHqw0aesOvbtoxZUAWcAUSfWYlUak4BorkwKClYyYQwDVuxAJ/nzjx/Ltj2/+O/8e1nV5ma/6P8cMfdnepx/w1xL5u5L6pAcTrqO2vwAjbRyaVur1eCS8qkcdxZDwvHu8Duy4dSVjH5QDraBeAChZXmspaQxRjuS7pv+XLMdTEZdOjBYeV9Tz06foXMrIHdy2b0JD5DBFDkjoLtNlylKmI7wca2OO35HH36MkfgturFY4oe2eu9y6UTyhjJceq6Hd5C0VKcsx8vBeKl7U0NX5oTuJxE9ySQQsB6gaX0PJ1V647rz5ees+tL249+l6skl2c/zRF4HXCJZHnq+d16FoumUN7XiwVlO7nmm8jEtrdgggLnO4ABLJ9eEmZETYGEkdIxJESBhFGJsYBQc5VnTj+j8XienwdP+H0rZOuHUF29M4F43Mjhuw+m8qUkO72Wazp3mENpYiZBvOagm2m6dxGh4dmJs0vpGbNgFcRBSDwyz6N2c2YTxHRL/WXXfG/0SOXQTcRg3Wv+IIZwvFVh5xSlWR/7HMQAt9e3VqV1d9z5i3FmLcVBPYyd8ScoJZB7BnhXSjVfgUG9c90pu3q8OY6exCyRtX6KFPwNhkalM8UpieQmuW2AVgcBRp9ZqlNETIGEUWDAMMizRjALeQkIE/k9W0Xrj+nt11+emV08p/br6Yb39Z0n9740pRxx5wHguvYCBY7qjgXKuZFP8xsN1Oyt00k0w0fgXnOz/VxMmdynSV4zE0nnj7igaZ8FFoqOfboy8PkYlPOc8LpCovoMQakpCP8IIP5ffujLrDF49yzqETH1nY4uFhI8Rd45TjunjprSOmD5TGCgRooc1uZddUARtPWfmSqyheH+35/GrNZ7E8/qlUcmAbOomvcRAfqNQqbIYnTQ42u9FBHWJLYk88C8OZQmO8vR+Xt2niBJOirfgAE0ny4KVocAtaqQCrSLwBTkmbAs/mYzNt6a9a9saz0rvhcZ1jvOQ17dB37u0wEKT7TqLtVTGqPtdZ41rKJIWfYPYgwp9WQXLVJ2c7OHlzgNvEr1W/cRDoOT7/4uOLj2yVsNmf9asnRvBeoXAcsJYzNm1wLd2I9fIAoR8Ofxz6GOd+zzbyRgfxaOgaY2fl1Fi+sz7VVUYVcxzuK+M2bc8agqNQtC3dlQ3U3ZLFyB0/HYOSd9eCjrvZQ/f9rfamuxd6j1x8/v5g2J63T7hyi3rd+Vz87y/UH716UCelv+N3y0ubak5J2pOPbhiKUOASrXGej1IgRIhAGdxEUUIMCd8ucDLRzAABdgr3CyMzFPjcDw9+bEAwkAKqN0O4hDCGJJsrlm8crPlcpCyCJ88ncO5XY9bUvH7DA/Elk+ox0js1oABoXYqanUUvSp1ScaVg1vfx9uJI5eFh+tDTiUTDzZFjbmfrXQsuBMCc80ow91ypYJYVnfz2lB+HXk+D4TXBGNAvhrfnwXAzQA0mTpklE/clqu9ls1CwHEuFFOAS4XLZSSIwUGSzIAnXIk3bcYVo9Q13jGEWNlrcTIIeAAAjR1m6yfe+WP7H6ggQ0uA+x/f9hfVCAikGwakNg5ibz8Dvviv6R+8fC/T7e2jJCcU9bh8Q+CAG5YZDQlurPSWTGGApud07R0oe6+/+Hgk5RcZoiTbYSu3fYOAGP1AjjscPmkjW3eY+IF64OfBaAs3b9K2zopsIjrs7kTFCBRp8V2higlSMsZP6VLH2FwfOE1qCgupgQEMADH1kW7LQ+GpEhnwn9JfEpx5ei3TaJQFrkAugABwAFEFyEIpVEcUgI2ww06LLI4ZsGxdpN8A4zvHxBB1LcIN/EfMgOt0LQCgpQ7fNf0gqsiyh9Cv5Zyx2qLxYgBibCZiYO6DVwxn56jPc9esXvJIrcTh4PR/MvQf4WT98B+JL+AEtZso6W9TtJTwXYzq5LKlyHS9YJKrvNiwskLCUFUGFNIRMqwMOGmXyeTKHuAGKKvvEmop4bgAHABQhcozIVjCErCFICMZVaFnL9Q6RnOb4Dlq5LVBEejs604HikwSbjort8tDDwCGSzO2AJry8u6AzEzl3xtTFWXLWYpCIgSERWaUvQ9Ygt5oPc7jm0Jd3/rr4NNjlTPFSRvwSYes4JQECie+XsUllfe4SWxBldOunNwXN8gEl7cMQVEl6FkW3qZ1e2aCkwTQywGaqs5/FBi6qIw0bELoLaam9Cf4UgAA4ABQBccsKNaDAKDYQiAKBEgDOd5aAlr6ToZuZnQ8OOt3NhWf4ph8mFDKnIXr4pFNFUQ5dhZkHAcuDSwF1EsHWRu52vuV2l9Zzehw0uON1lFUZy//6vnz/wozOfUf0pqkZWz+kpnAu6pVJczSp6J5HAM01NPWtdeJ4PIMERzM06TIT/w74AASwUYOVsXbzsFoXer8H1rdKSCIqsJWJA0RQ5+Xx+rHz93z9WuC8iizgFGFySMQRsUksQRKJhGEBGIAmMBGTeHBLtwOHAzN9y/NbZ8d+e7Cq85DW/FoevU71pz6DrUid7CsT41UI7mr5y9IwMAtHZ81GxwULj0gwJnafAFktl5/wa3d9qXPkCqMSkCigAKuxQTAUTfRn08kRbalDiJnasYuyVQ3yRqdM2a5aH6t8cBI1t/1ufX6JX/9Bk825+nKpcJZZw4eGfZZcftGNp0AAWAAcABRhcAMKpDHgRiYaDARkIIhAQrMhNZJrql6sZvnHwrur6JQLq3lavrPgsqtBF8S1IGUQOfX7W8LD0BLJChSeLZWC/h65WHnsf3/W8rf3RDtMQGgQdnTl/vlapVErps1AANVA3Q1MUt7ycATkMSB8NuVhLhLoKkpdf6T+72dFBZVclzZlN4289OV0AiiARAQeYiarE6pjk9kZniGakMxKLIVSRdHIW2AKdbgG66R+F7OvTNTT4txrVLE9WIRsqAHFc7oCKOepbCgGp21VpgAHABRBccrIITGMjDMhCQQCEwCDa9t7Q4HFoarFl0dGtgPQRX1e8hse7s2QGoTNQtBy+xA4NecXv8GYHWmHemFPTlYi3F3SiAAiF4Q7jTNTuaJuWG9JQKX7wQjHh5OfDpjput42aIWIsyQQvicOtIwAOUKp8vz6Gh+jcmt5YOBZnxACnT+GG2PZIAFpgkNzc/pDd3u5JKhK9ONsiYABwBTlcEbKNrCAYlAInAQtPVwuxw2Pg03xKNSRhaZZCEBMen86hdO42ZmZHdwJ3XGYMTC3TX+5tvLP/lXSQYpwA0dXUPWZ1iF7deitWBEQS/G5MYor9uHi8VvNT8EWyvMCIABEQAAExRUFWFHusyQYwE51ZS4ADgATCfwWIySQyBpXqcIU3cMVHNOGBbhKbefb3/l6824u38V1CFjHz+agfiSWfPuxevn+cx5+vt6dmBerIb3pwIc3ecEd3AphnU9WJMQgKwglsYLZyz6G19oaww6FqQMJ/u3lWDFUb/NeRtgqIasNztOVL1O9SM/z/DpcmB2C7bVbh9n+PmsuR4X6STxs3OdF5p9T0z//NrFRSBOR/cOr0DIugpJH9H5L+55DHd4vY/J6DDg5eK///DFKEQUBrEVxdws9H4ZMM/vtpEUsVe+6GFRdQCzXXddbONqzgh5saa2EHjTp3Pr/Voat28j25ypcPD41iYGRoAFaqkIC1ghAanppKgrXw8hfljgN+OPL3Jd7VEQjkvgPT2HoW6TzlVsdNQTudf/VAu5H3nSHNDPYcdmucD+TArzgLX8XyNFADgASjXEixEMw0WwUCIQE8IcwwZZjG6vETcsxcuavQ15jwekUGliM4/lZK4RssolnRpKr37rhWua5h7LLMrFVHzuLQVtxdotQrdYRWNkcK/8t0jyInbc8nXCs1l1XGSmOeS9q0hhaIYec1eSlQnWoGKlOvKSqqrLcdm4JaRI3X75e6lTLgT1przSL9VVyRt60v2o2K3KmEiqzTNsSxXC2qyufTQZqnVq2LseW4F5Ss3MqUKioMXhtKozrEx8DKq6XwcSRxYnMvgRKWqM0TDCdVnFg6qvuj0KqkwcAEwFy2wNjCNDC0BBVozE3VPBjIlqWlg0sC0Kg55JpLlQvv9+YIizFkwj+2EzQCaXWc6xIV3LIYDHEKEQilROGiCet8xxlPPgG0JzpNHP3Dez002uljfyHybkzq45EQdcmxguoUSK6AQGYeuiXP4hR7Ebfv4ODp0ikfw8+AVB9azIh4ksGDGGLj+UX3t3ENJ5PDsI3FLcfJ3mShhl4UEgMc1XheauTEOlP4vREDD5P48n8F38AFWAE/20l4SJ6agAcABRBcdEDV7CQhjAImQIhARj3tVGpxaDsmLZV6W6q74t4BV+w0TTib/X4ZqKsTQZXsg7S/Vau7GYThVElUtjl92Tv+ck5z8IxMEJzspFSUrEpbYhR1eJZb2eGnnhXguzFpEU4FrlFGdy5iut89wBqZLaGt9d9vmqAVhOSf4eK4AQDF2iJrAKqzABYTbuM06NlGK+sKJVss8IuJFSdk7AAcBSlchaNUKJARhAIlAZTGMz4u3VjbDvY4Xc9tcHYAAFBFQKGtGq49m+FeqzjuIj1Y1XsbA5a2lrhcU1jRx1s0kKZpHlFGYrOXh0ouZHDKCsslvq2/b0mJUlBA4ITTc+SjErMIytSfLou/Is3d3zyrWFadUGi3X81mEFxk5XrAPo/hYoBAApSPsyMgdf5fn6s/qr6w4AUif6YqhTJCLAkRIGEjqvALckwLEE9v5ei5rr47/vx7L8NdWnXf/Tz9O+8OHwgcTzyNa2RrdUaTi5Jcna7sEKCbtTn9uJiKy83nPAdKvLtEosYr5rPCs2izKse99TUqPUggIESakjHG1YElMZn1oZSz43BrOqopcAAACjcfntmjEhm+928Ai1aWVJzETOmvIIQB35bLbadBEI5ri38g86IJ6nWWiREnv+z7fW195Yzxjdp0XjOE1r6UcDrvQe5+mAdYsH5+2l0drwLu7LPp5symj3zS17QbhAtoTgAFE1wAwhSItioJgiFgiEAmIAiQBu8pFtcPY1Y27eMw4OF3rTYF1poQs6w7kftECPVgX9+5vnkSGjD2lG7LRiXFqJqNsehtYddKZxpCLN+6AtFOWfzIL/Pk+Pk78kw72LSjRz0cQxIwYmtlXxcF+LqM5X7NeJYQhFaFQd8pxMPZKw0ZXXXfZACZqdTzvf87ScPWQbYEQAPtnSk4fv4Y/GZono8Pe3+t0Nvk+fktAAcABTBclpKYxCMSBFQCAUu3wQ4CPnktTWdRdwAecwOd5VPV/5XRy8T6FhydO2ObDXuIiejkCUSb/KrenfnV2rWAZm17EYnNkAM9ppRXICVvWCxWEjbl93gBqgmZ15FkRF76Eh8V86xWAAUF/VQo6u7/AAyCkoIcXq+v6TwpGICOAQKc2CsaFwDf0tGUpI49ZQywlLr5l/Hkm54b4bJQrD0auYABwAUoXHNYVWiICwjIQTSAym0WdHlBwHhzdjqMa3YB61r7D2ovkcoGZv+5X+JivfBW7XrojrhHVC/r7DnnC9mgH+ZWhm7/BSvK0NAS1o94JvwmDU+cZg/Fip2SmngJtFSUzj1/I3209gsu0cVVwBn35OFDfvaMqtGaLSNbecVtH32L/VcRGAAO37ftVv6f/ucvybabkAghqwC+E00kqEqKGro5VqaFAHAFQFx0QREsIxMJCgFCGcBEm+Yy/ZLXY6XmZm9aNWITNAdHDX9rr18b+OUojGPhlnG2d6QjpF6jeu/jI92AJK9RgXd39VC2+VIhBavBd9/AUMTWdIizSlzVjw+jo/a6WgMUGgJHvzfP+njD4H/kKBgAMPHUpWljAA6MIruWoiK7CSM5iRvYw86NEu6yXK9wAQQy9Fnl/Z7O6HRtaFm0nEQXWK2pOulYtPOhTkC9OfQSgGBpgAOABSlcY6zYSEAKBARhAIlAbasqjR00C1x2VI88cFYFVdvEF9nEFl80On7l8vqMZTjtMkVYyXksBWjPwzp09jq/v0XYRtFpcuheDMSSUucfdHjOaS6XRtexq5k4yKZ8nqjZXZOcyeBtwxxYF+y7rNbfv29HjkqvlT2Y9fkx4sDJEA9GGWDKlDLv/TLjQMiWCWCh4Tzei3isnAOABQp+uCvwGClVMlLE0BYq0ZpGaAn3sNdOJP/h/LaRN9M+0/F89ciERvfvkgpW5BLVTYhMk4rqjd8ehpMk3VR+qK43BAKLgyVwGxdwmtyQGqFcqa0TBjQv6OHx38ZuQYFKlrUTqM1IDn2SD7J3uQSRTbYVtswde9ShuHn8L6MiimI6ASlJqtljzTH19uhH1cC6Gy14I4l22H2mvb9iNp/8r1XbQZh2y3VkfS5Jbqbin1aXuw63c9pnlaQdCR3Gn1V7HJOzWpb/FTsIf63AGrSnUqedxOCq4NDVggObSOM54/tXHhcABJJ+Zk8hK0IoDHN4CxKJSSkSBLNEYJXsq80Vfb5jhtrpDfvkHu8JbjryZ4yhZOLWfePB4DcsPH9KAhnnpJfIuyMuRqDkdRlKus1VVY0l+QkNa4XHXtKg2JRFFcfh1euueLZuv/fvx1QoxeGT1/LdXIGiCnpv9c+IAajSJbuFJbvkQGiAnK7gMWLHMOOdVVptXK7fo7R2ruHR/F3E3dYfHEeSOXwkU7g53kNs6Q7Ad9wduZ9xS54hYNsSFNYYsGjgFeu1iCK1s8WQeqFzxt7txLHt/SA/m9AaqdEN43Zxp9X2ZsnbaMzTzABMah3ct84HoiCphrEkbjN0W5xMAiKq/a7+QLXcSNd0ag73TPJ4agq/aM6bgAT7XLSj4CxCQJgGXhWBE6IjtjlgWuEAAAgGjHK47A7IxRppvVn5DFLYhinogA5YYVnpBiE+ML1w/O2QaAExBkkHLsc1TASSFpmKTTRTVRITUEslCIZsk06fzvk6K7McR0pV/LR801N1P9figflSUAAPhzmcJKg57tSQh/4MxOVtiwxJen2kOZw2WirvysFwB5v4WBYYZSxeHD5PCS6wCv8Xmh/Hp4ix1wKVAcAFKFxRQlW0FhoMRIEQgEwgESgMjlWGtLg6Q7eGZqHWfDTAHv6TR0t2cQddzTCb/0F0qLKsSZZvcKiAAXZUyqWKFdeTesNz7ueRJbW6sc6boQEoChMy3EjTS66MeHBBM4uxMYiv4dmT6a04qr0p3qAgSWgf6p1/0Wa5QA7X7Fy6CR4hkyMoBjpH+XgYGlLzsAADFhlj9wgBwAUgXJjBkSIwCJwGHMzba76eXUY32bTTjNa8uqTkDX9emsflk1y/1frWGH5LLUguRYoNJhhivN89xiTZ+XVlMv7DcUxVAVAHQpkHCkSd0MhldCDrbeavE410KiTUTTswpY9VUM1wvnjyIrAd/6pgCnhvb4a8ACiQ93SwVqF/DgihLJ3gkYPMIoFEglQN3vjt3YNFPvKs1+RjADgFOFx7sNCi0BEU22cXZqcmrLDg83xe+GKsDpwOw/NV0/Ezdx+bwZc8K0ZNw14MNqtTYdn2zQ+N6kvbeMYwVnCVkyIAbanEjdY7VZGmNndxOQq0EFPCC62CvwJMGejaMcLUlZMApUD3gTZAEE8rD6JdLQRqEbTzfrwzJYMMvpSKBLv5P4lEwUj74PDLxfwxvErSTFs/gRAAYkgBwAUgXJgd0CZAEB2pM6DOA6XZvWnlwJlgHne+PmvJMuT9IfqHk5XzIVJWiXBWkVvPKy+U08E/658fFB8rDyFvv+/P2qS2mNgewfH9f6huPadX7fHoU8uwHZ7/pigAjp55gBjFMfTEdMk1Nnf6Haf6Otur3wGnq6MsF2v930jD09X/P0hgeH6PqAEQEYS0JdVT8fXJAiMmAAIAAcAAAATRtb29mAAAAEG1maGQAAAAAAAAABQAAARx0cmFmAAAAHHRmaGQAAAARAAAAAQAAAAAAAKutAAAArQAAAHB0cnVuAAACAQAAABcAAAAAAAAArQAAAJcAAACjAAAAugAAAKQAAACzAAAApwAAAKkAAACnAAAAmQAAANcAAAEiAAAA1wAAAKEAAACUAAAAoQAAAQcAAADDAAAA6QAAAOwAAACuAAAA1gAAAJoAAABwdHJ1bgAAAgEAAAAXAAAQ6wAAAKgAAACtAAAAqQAAAM8AAACcAAAAdgAAAT4AAADZAAAAwQAAAJ8AAACUAAAA3AAAAK8AAACjAAAApgAAALUAAACZAAAA5AAAARUAAACsAAAAmAAAAJoAAACbAAAAGHRydW4AAAIBAAAAAQAAIWkAAACaAAAAAW1kYXQAAAAAAAAgPAFEFyZMJCsSgqIAsEhOExIESAIZ2B1MTVnbXLrpln1Zta0A9n5Q8Vwy/fIfsXkpVwTLSKmSAGQ0JMdF31zXYd3aCgx3J/syWN43bf+cuE50NZQH50KMqrHs+pJvICfqMPdKbX7B9NNvR72ARYPnHP/fVVqD7JX9EG9gLYgPGomsFEXl4oppJABQbwxiTQizQz5fI/g7TZy4tns5MAqAZ4j0As5hX+bdydmJ34goRAXIez9JUPVuxdvTD8VWOvhSeEEfPcSXA4ABRBcmTGNaiE4CDbvEcdCnk5x2ll8PLpu3CtAed+kO29Tq/Ee+4Mvn+2KxLF7czTEDAZCxqSAmbFZ8oCEI1tKDsMFekxq/xP5k+eVaLmQ5zzWPRfQcH/nY//0Pc3lN8ywyYuEAZNT/jdh2IAAXNBqpXDFmM/b9GfL4vbrrUzRAA4+/hmeH66QAADLgjR1mK4HbhHQg4cLAGjeOwAOAAUgXJSzEQwhGAkCARMAinqJMT6LRtsC7HnzFzIBq/EQz4Ru+N3W/7h+NieOYgRjFdIwE8Afz+JnwiCzXb+fh422TrVRXYndJesCmr6rd7RNPxqz4VV1LoT+/VF9nlngSWw7QpEj4d2KGd1pC4CIsfL6ymAKX2Zcd2GZ/axfKQKtgSWxrRxZQEAUzUhIFsD0rU8ttT01yRyCK4oUy+QQAA4ABRBcljEFKFYJsAZs2xtnwJ0LQ5Xcx5nC7JAOR0sL9plXxnmzXzD6tnDpRiILao2VqsaZmNsKPmx4fJ4TzczLgyYwcqyNxSqqstCpDvpMYWmkKu92LGBpxK/jylxf5WEgARAAAJm9Y7AoAEoppy61xGefQ+K89G3LtOGzDFQFDVg2ci2rhLgAmOAE8FxxMdDkdDsIBCoBGPCGOGOHS3RmFTT2qXKtAHdf4TrMwH10Vyff4ApJKqG2gFDdSjYQrF3kBoDCz2ewycs1U5l/cchNd+KyNZs41Qp3dlpzqZpwBqZscceUjTYzMhObMACZybF+nEBJk3TCPK7cqTciCGuFOWUjuYIhDx367v4YJIpwCcYfxeFVEndtteiR/gWAAcAEiFxlosAkgxwJBEJBCEBtsDJhgsWgC55xC6ACfmwNHaoB1sS8YKh6pKuFtCY7+lDAKd18rLGK4gfau2E7QYKWGGb5neV+ehB+7wTQo9y+gCo3r/N/kOeCMVJxo3DW+gZ7dwqBA9J7Gk+5s520YIcwjHYIoQlnCNQRjbG38elmlD4xE9+tc+Ih5cPD6nebArGqSQx5GSee+csTHL54XA/YfEPgHd9JlBmjMve+oEc582G7Vh7qwUj1KPqhC9SnAASAXGWh4IwyEw0ExUCwUKAi8w5DMA1ZN5CNOa6dbrhoACU8FqsxgArADsuSryWl640soRzOI7zs9fKhTqIzLGd0md8nev08EQznS60yWGKMrY6kImFdUbbVgYm1y5cRssXsuRLItjKe+pCCNIKO+iZ0fzspsb0LFHbvPqzO5IglDJVhZd+VnTcgKQm6375eMmKtKmLzqyQwwgCQsQZrvoAIQAEvKqwA2jrLYNpmR0qNMiXRlszW2dXi8lLJDUei1cx8PIiT5lAeDFVMiDu/b+ti+9qTz8ObcBmG/rHh6wvaYMXcofunLYYCfx7pAsdoCuotvfzhGY4fDEikYXat3fgEeFxloZiIVhkYUgJDvSuTbEBuwzGhi4LuwAPzhWoE0FqW3si6qbYRnBLuHLWXoNVXM3DFER3O1x6/AZeyDFHn/gBW0TcIbfMns40JAEdFEAbM5wMio1sVIQo9yfqEpuTCcD397keK8yzxsaNGn8GR0xGe/oVoR6EIhu2e/STqhEV7EOhu6oiNlwCAxaBZeCiMwl7goBAADgAEWFxDMVIiVAikBnYcsCw7by4ZkajF2LsP5VKcm7QUi85guruFOGFoibGjz9AyEKMrG8ZkHSgddTqhBHfHEFtZwMt7Dzj6sIj1R0L3e/gwb4Y7LpdVoxIahZLsqmSi16YDMWrNZMHaypBuK1PyZsFH8pAtbbW7NS17c8OAES4vYh4keOxCbBYwyln5dkwA4ARIXGWr2EhxQAzBusx3AKdlphNG2hbQAOjLnU5AvSuezXL0yaYVRl0rqWWoETcTuYuYqevbSt/v6u6ecCm474zdGKCwjOyat9oYb57DNpCl6CDu85W1rHJ5LSbrpO9rTWNVbbrwuCGwzkf5r0YlqjfAvB491MRjN94ZqGeGm8tkWjbyBOWKBf/PcUsD5I0xHGU5/ODwJQtN+egdKXUtjRkuHASAXEpAUSI0EKAGPLHexl4PSyuGZaEZpeXIHeUL/ixCRX4IjIDU4iuJGSSOWGg3xqOTWfrOlTmgjVruVBXcotY6g3DOE/VtbYJXt9BmjazzkVprHHEkYAxskQYAppnliaLHKvSKWiqV/DjJYj3a6JxDZhARUlny+ak/85UrfvORBMja0MsSKCq2FhMaicRwhj5aQHAESFxHMZEEQRkITANoxe8bDDOXQMXDGhVwtweyTmm8K1M8Z0r/NDQV63EmuVR1tMbIAmzyV16m6/NS2gCfD9bMxTRH+yOxlHxd4YrOSFNtIHmeRR0vGXzfk23FXgZGNKgkrKqZYKrWujpIOF/kGxiTMV4zSDpJlatjI6e6o6Hcn+jJllq4CoVnSvm5o1YQAohPmCZZRQDgBAlcY6YIYpAZNYDGzDk0sN2MSxqy3D7IAHADhMj3GR193axLuQpNFWeIK4VLyn9VoFYgZYoUykmQ13soUkpO4hM3hGRncMYAU/hcIDUtYlTs5AONFL6csceUQRB6RcIPqLPD22ya12rcmOcq31a5phxnl4vXOXPvTiryoTpLv5a+Gqmej653G2QqUvCsv7SpTUrhltLS992RhXmLwUuBwAO6fFpk2KNWCpkoqJiCto6isEzfgCxNAWzqEBRAifs66d1XTwnh17Tl76fl8czX128c8Z/2zX4461+dPOP+3M/H1fe/IApvJ/xJZGTclO2y1K6vblTtott7hYCGYV8tF01/QGAKuovWswX19ut8fVlYLrr+M60/d+6ZbbGixURKV6sfmeRvjcm7YcPW56x1sOjLpHkfn4mFoCIGaQMXABYAq9OQ7dU579piJywRlgMwzkAdyiAfFne13EQp1rh3pP63CZSAm853V2XwPEK3aebIVJpbtS2t69ICAAoK7yz5J0Y3xHtwTE7nLyTM2I4AYKCBKrlL2OmPs4L21FluGPRgRjoKG5Ka+N2apcP29dnHs53tb4AE+n94SIUxRgUJoCzNMkZwC+c/lxuj79/j/j54u/37zVRnsKc1EVmQyVKhgaSipFS2C7GulZ2MRXpvL0na0h1bLfX5LUOzXfW7FfPNp+mcEr0lygdmDTyjhRSfLUfzMUqDsnISh/eogBeBvldt/kllp1Md7sVOy1yNThHuwA2MSdbG/AbK9o8OmrNOlRB7TcS8G3aj0aK8JZ51VgBfDRlzVtqm96jv/2+K8M4wioAAkOAFM1xxMwiMRDChBCUBisyudQ4APOkbHEWwSTS02ZKRA4I5VdxhJGv+ZSn3uMSC1cjMxsxPTMxkTmhBTc4pR3DulmAQCntoKbhAevrtSMWREkutk9A7FSO/hditesv5sdvJH9IxQ76fDYALfXKx354ct627xzn4flHSTcf2VkrwGOM5jjCd84W6KT7zmWF44PbevP2ov0p4fDj/j5KvQ4iNTcKgBCuWcvLlXyW4BRlccTHRwqQomATYya0s4BC3BVrLzBxJdrcZtkAAgAkvTKa/wZXXoQpW7TNNEKd6ppzSU0FYgoKC1tq+w3U3TV42Cu7D0+MkP2S3aKlJsUaxiSiM0ykv2sukGd6w4Ko36NqxCyGd/ITDtrzPZcWBz5U/OXTuCpxY6pbHiVHPp5ae1AIaMf9Jdryj2x/Bpi9AwQGbnKXK8fysBAQQSRrVtJgAcATCfxYm4VmUNAtLlVSBgpWtI00pskSsC6++tOpzmdOP+I4b8j4dP+LZ6xnxL6W/R09cu9ZVdfujhXJxvqoHf9XIHFrdenB2PnRFXSObC3vlmZOcWJyyjLWUfp/+DMhgPB8/29tjDQVeLOo4P/D9095nBQQOFoTxEZys+v+PF27BEta+OHfrLwH6bgEgWXJgAG3Dq0zEK5/aabw4iUhIyvsv9b4GQq/E5e3lLKXoYaz8cn+Jko9ktZuWmgE9zdZ2c9Y8Oi6gNrtvKxozD/5ztEO7vwRfQD097enXPuFRk5FgWGbGFThDE/1MADTLeYz1Gd9cPGx0Bp4ZE8sR25wOpVpMdaT95Mqz7crMnlqD7ykfZlJUHCxRYTtUYqrXOx/349O1nATKf9lI1SEcBhNhwFWvHfOHCTz3X1vdYfDHsMqjJeTl18oywau+Us31PO+MU6t/d7LbE8Y0BCUXMIC1rKjzy60bne83RpqIfZuua64VdDT/qhWVVzd+v9+l9Sh8uPT93b33iuAEfVm8sauCSt4gTWrArFgABAaByqdxMN5pOvjO0ZjCcQVgFerxMh3xUAsszOqN/FFyj4poaE8Eo+ZNht0CLQXHAAUSf/orCY0yBfPUXTV9XXlAcbS45TGBv19/uhjK4K0HyUHms2g4Nva9D4z1R1x8sBQtFxDIMJ3UdjdfLEw448mb4MuT/zPogANx9PlfNCtwDtEDnTOXk/BipYCFYd4r4p7wAIog0q40gvQAR4ZcC7De5ImUXS266oBYDfmJaCmMr5guADZAeOA4BwAFOntWidAmqQ6BiJyZBQWapOBIEae2Omk/THmzDpevzToO76Tva1uy9OAGj+5xSOxkZxTxixz5Zu729rdfi30YdZNNt/jn97vz5WS2R1QEIszCld2LTq52WMw2/QSyNlY1QH5V+vIujUfJq50dg1RPQzZTpUZZ2HgWjp0vpjkUOaNTqqgdq9HfUMxyxE2DUiAQQJuyBicJalIMWAXVOxP17T3pkhavSo4/uOWVF+NVhuooqU7o+FvQqqBupbahzIVsvg38j9bJjKMxmCEVvhO2XqAeQgjt1wOvY4AE4n/oKJiKQkjikC1TkUM54dsh7ezr7HWwdhiW+mSGGWEKUClG2rZpaATE+UGQTeU74HAKuoMS1BHg3Z9URVkIAtCPT3hYu3rsOde3Ut0HAukzy0pRpgB6Tmlu3Te26rBFxh0TJjoVlDZ4pigRCZpRVWgAvbrzg5KGh12xDW/eGr9znSuANIBlAPHhG7F9iQ49fMHy692DnpA3vEXOUIbgRQFPUN9+ta9CBuYtblf6UFfoAcAE01xyJlSIUTAJbtZsNFmcldDsFAEW4PuReOq+Dsq8b3j7R8A0hs5/FO22p8K+IfTnnx4AB55p0K+GmrtUGizdxWJFqSkqGkGFl0CoAkjF5harBUVFNimqsGqNiru2tp44ADvXN1JWVtvexwiMY4vbUo+XoyvsxXIhmOB6lIHyP12LJXXpIQljJ44TnWlp9i8bEgWCS9v4cbNeVt179OZC098SgSgAA4AE0Vy10ojMNDCUhANrw8t7TlfUN291lmzYZa5eBwMGfO3O1On9zXgQI2sRYGPOhNJ/ZM7k8m3x6WQCS0z9EZhy84JbDUsNGW/YsS/PN9b9TyyzajveQJZYHTXUQbxVdHG1rzza2ykolz+w99GdNZjggA9hwXOcWOBazIApr45xnvm/mZaL6zIyOOkiCBpp1O4VVKQ1lRCvOI4YDTQKp3hU4KoKW7KH7UK73Ypfw/gxgeSX8AABaSkYYWAk8n8QAALd0Z+b4rzKp+MnAP1/HwYD3zwgDgAE+n96KlIxREjYGEhJszjkCcPq3znlNdf9tW+He0t7fgUVqg9LSs8HcNRth+7NYLXjDkCaJySqNGR3E6bDbzu7+PibVnz0Iqcip242V6M28g1SVP9B0utLZVQ6yxmud8cFdPJePM9CCjRvfIVQxRoRFoHW0CNwlpZFTS4Ux0V08bS/Pilx3lfDeSh5nSAlP7gIW999s6CFYxY4ODEbrURxB3xMSeEM8GNzU/0GCYzB1dy7rBRk3mPpiWbEbUL5LP3+s9/oSN2TEM5AhVBwBUtcMlIYiEgYjoaEYJjIYBEYCAVUl6gbPaQPAKu74WoHir40ENRVF9RlOLXCYLoGZqmkhhZL46QWySgFt6xMOUPK5oEkYDsS+nwMRktTBCDygffhERbYHgEIjjEBm01JY6Or/kcZjxxlCJ6BB54g/hfJNnUwWM70kaKCqzs4kzONDFzTDNtCzVoZP/Xf/gwICYAAm7t7OF8csYC47lFHjWQxVjPtG0JMRrgsKRF1IvQCI0SIyABwBRBcUbJRYkYREUQjAIlAQbz3aNNOFszEeXPN8NVuammtgPPK7j3CVICTBP0xTX5owqiSolvFTRFaAWqtzWs7IVDyqbEFReYHVT0caY6BeTAvX5mxoCOdwIZp2UDzM7c8XcosSEOZaALTOuWTMZyZ6vHu+GunLkArIABSPPD7P/PiBG/alZ/xACQNg6Z4tPH2/ekBOYUUuI5OkLLAHAToXGWlDUQREAj3mIQ+HSGYMxsk0xdupXIAi/OAegEns2rPIL8MaHlYsOvmZtGqQs0+wm4LN7QVSVTru701WVY+LvDU1fHhZUxCGqAwP1K4aZRnIKWsLT69O1AKzhwzsem6U91f1WXb89m0F7EABXM8p1XHuo6OuwoBcHDCxEAbrUjSCQwe+NgYZ/hmr3AqIRi3EAoqAcAFIFyTsRXQZBAFAiQAiQBCNiTp8FlucG8wWGuqUBj2EXr/5PrzDoPhILLqVFlXMWNtbk3aGlwkFbsiHPRFbre7LgE3pTjrAwQOm+i9PZ3c+OhUMAqEGLPb45bqjYawgAUCCH5ee0ZiEt9dxaMqbEc0j93PuLhyne6frqfLRekOZfWAJmvs/TJcACiv9swgm0yAAAM/Z/63CNBMAQblJ/KKtp4rgAcABQhccdGahEMwBEJCEICbZUUOuot1eNsrO8wu3ldPKthCv2Q8nZjiCKOU/1vIXp2IGW4TSrRXGdDmMCU0hgi0C7DLXi6lcp091FGdk5Jtl7fKGCLBilroc6qt9Gc5O4uOMytTa1eHt9HSgL8SA7RHNzxOc6/194fl+eQoChzJYFAAy/3X+dfRbNLdRABsz4ek9MdN/Bc2WbFDcz4IwCAABv6v5BkS0gzO5mtwVwiKI9jDek0hGNAh/UAHAAUwXHOwzMi2EJCIJwEYLuHk09g7p2QadYLuygX4+xv7jE0MHoy1TXm+KUhY5W2E8ykxqG4dZq/NeVHXCht2UbAu1LWSLehdzCnQ75nklBGAoZEI44KYY+HKc0VpQTQVQP4bfbs+cGH2CTAy7TdhhJv+w8JPn8wEqyuC9x/jQBMpMCdgC84FV+V2EVDlgmvWQFl5gBwFEVyFI5iCVFAM5AavrNacAM8M1a2GpcQOADgjcbsRpj0cIyeeWXhOW6d9AEaF8u9SCoRLnz4jCSiPDw+e5Uylq1XKQAI3Cu3UqmYOhUJGVvlLq5F+H6aTjrBsjIgH6914xxu9tt6DxJW1gRd/MC76ASAOTWSGgev3Kgk08WEJM0NU42jilMsu4bEpTdPLQH8BYe7Tu7visIuOYKvQJNl8yCg84Irxvm9TNsA4gPpn3YyTvQvHqpHOLgAFCn3WdJqKVAWKJkJRqhKkyBhLEgsEfH7vHfCJ5v/8N9ewzjOrj597jSzX1gp2roYIVDGAF2n7G5irZYMppUIIACfjmoAhvENYKFdvFO5o+gddpU4uGF63z4erQBF61sU/pZ6VUvXs8n09TDEBdxqFN2TDgnFP3UQwB3/XzEgzHN/gFe+kCI8bBEuujT62nf0mcUtGhO9DEQb3u4fjdYCg3K9WrVM9/0K3U7q0bw8cED/U1OAfLYDKumMwsAGdGr9zlbYVagJFfPWNogCvCUnbcTgJY/Bkstj5Q9Xx4AUbXJmwzIwTQJkEIQEMNihnQA6eujS6dOF5sCu2wyy9XxV18t2nU9VzIciJ5fx7NrceWUGpLHUpetRoUzFfvIuvAhrUxSEEwG176Mi/doNl146OPoXH0Lv/ad+m1GwKcHWw63DvQX1ubvub7d/zTR5+f2XSsmIAEiviqAAST24+caxUEok4o9vYn3ycvpqfGaBJew15ZyylSmXNTwWeXgLtyCbhx3CAAOAFAFx1IphKkRMIQgFREEQoERAI2OZ6kNFizRgOuMda3igS43mX7nz1Pa7Wp3UXn19nw234JCOhd6ruNrXcDYM324hfa8iXCjQVokLpq01v7ODe9M3LWpq1GyqW4VuflFd8tWkAAgAQKKqrch1XUSpF/OvqmZYYJiqFvGmAqwAAEXIRKIvfDHV6dfTw9+fF7i9OuudAuBMen63pIgP0SNMYeVZJdXaWqC0YCQBwBThcc9DNDEUzCMICMYBEaDEICLlPWitb+AAttpPO51a+8Aa/Mw/k2r+EqguKIuCtTqXtnxVosVsOX9FNxVYJuvfePp9SP2UErJgsA7MpK9llgMgR3BCdwpdz8MZ93Rg/s0dRYeH0b6L90etX+LPlYmFwAGJ4ZgLhhce+KWbQEKjDA04UdseIrW1N9VIw6610FBatc6Gzug0IEyloZprguzhMgbB3a1MwADgFGFxkI4jCIBiIAigBG6A4t7Njk+AHs6oMLTRIQAAB4AX+Hu1peVdcvX5tE3wpKzCadoFFZilnRrv8KKLJBv6Lponzej8Hu/mCdDY5wQaT7rcCx7soPRn8EesEwoVPvepcrAADqogEgAEUKUSaqI4qyJgqEBMAAcAE8VxlmdimVBm0BBoPJb6Q7NLWszghbAtxeyOBwAQAyF3KVn+R3VNiwH5kITpQ/S6Ue1h0XRDHkqhzpoc4wFK1ZHcyAHTeq/VFelcERG5Y0uxdc4BQ+/6VJyd8DjlGsNWPXZKvT+D89HRwxroxXy2tsCNst18dS5wyEVqQrRKk8xO7rqX4FtvRUSvOQRgjCsDIIdncUFcoAVABwARaf4VITiEUFvmqpA37SAtATMkqBPP89rs3+eJymrfG9PH9576mONdDX57735AQcW5PEd754890Fzpa3BtKQeB07pPwJTMActrEpz29b0+q7ajOvO/Uk2IfacoX7XosCZC5su8T+oe75mxzqvPlK6H/gTqLaezPG8/cLyPbMn1aksGV8R9vl9YX8o7Zncs2zV0GB7/Lw9MxG+zq1ADqG6/GE6zvLiOsnS0CSRwW6geU58539E2fZMdbl03lH2L6rfTtbNNa8mQX4Oqn6tOuP0j0seHnyrX4UMQucHnRS9eHOmlTUOVqXXZQfjTeUX8s0ipiNRZwBItcaBNMImQMBQIiQQhATeDvLGx3hYte8Q0Ndr1cBI06X2MaARIrBnPKpK6XiVNRwDGMdU7cd7fP+xIzpXF5KnpvpDphhGsHAn+zqXIbkel6R48NHgnv6o98mqPiYN6ji0e/RK0ctJfn4k+HoBmtotGlYp49f3dPmCW6sTZ5j1C8am+LinKhtUaf9F0tuqZ1LYPuAoEFrxMkEUHe2pSDevea5SSzeP7W7zE97IPLdJBXfJ14gt0qiOAEuFy1MRBk5BCRBCQBjVVvnKFPmzgFlYvRQXATjmr0OQxk4kEmkmBg/vkyln5JBbCBxc0aMYcTWlRSySwDXPsZ1iQc+NTmxXnLf9/V5GHOWfGYwsJsPc1kqb4O307XoejNDzPuBvqCJQE6lVCyy8+NyFq+JQnS36LMBfVsJD9tZgR+yHrC0IKaCvhR3PCsK1sKmaVi+WbFwJgCtiCIfxy68WH6UapOs8qlcDJiU7HABRhclyJVIDEaCAIjAR6HhZ9GmYAmRE/XlF6CEXfie/yMf2LRvHHV6CRj34TiHvAr9brZfIqo2mirA157oSk3eWmwvUCpxdX6ekVetaXSBqBWxXVq4m/+Zof+/RqHVTRQBk/5W+np7/CEtPT5HS67qARndeWyYL/0ma0XCojuQKp4mnGgoCMPEEQAFSIA4AUAXHULEQwTEAhIAREBD5PB7D6FsQ8YgL8k84MhfT/bBfufQDHg5g/yfRSNcOPCgexLyL3xtFbJg5135T3HfVlVTrUJocV3WjgaDidUBOCUWWjYctb8MAXDN5+mKiKm6Fvh99ME5zsF15RMoFIxn6OnPPthTlP6JgHABRFcszDJymYQrAIhAR3UbtdvuQjEb3yFaeyjVuAuEEEQRS/gOjYvme5VFcWzkIepP9V2fOyBR1v0+y9BBaYIlL7WZuOvCoqvn7fheuSdjG9Ve4DAh3QTiWAsxAyOIRuXHFzAixMnmAP0j18RHzbu5LqDDhl/L+Hu7YafphguU/jH+BT+IErxmAJy2yZ3fs7ZgKgBIAcABQJ/qCSOgRoGCMTGwKxoBSgT6cY3++4+v/2frBWjHX976dANIDiQIAmuJG3A0noXsJERGKjUHlxKFUOj/6Wnae1/qm1gOh27R849o9a1MFECd5zm6HTNK5BxwrCSKCxQVAAi80BYIOI///MlV9nSjF67eNPuNV5m44XGO6MPe0PLH4FAFCuFcAg2GDf4z+8a5y/76TZDw2mcSFAHif+jQaPqwlDWRnHjad+ABPp9+CkZjgMFaiHAT41iOZF+f77/DbdP39av4DU2T9/pWKOAbFbzJLYpI+6kQNYw/W6iLn4psN0umsi1eiRL7CABDMa5OH0wWhXco+mYZaHYnVLmVLNpECRCVKU64tqMXiq+IT/Jw/+V6JR9PLhNDcJAAGrsxyKIARw55c/8NWzpVmUil6iABp5vNAEgADZIAAxBAiEBuJWOAAUqf3YlUQlELAsSaQCMUgT99Pkv45j4/4z/DDva37oN5wngL4/CtT4RtgDQLpVlVM+UkgPN/bg4fC+mKRHKT5xEIQVMj4USZ/5+mL5XF1l3ERX24alzwD52AGxPRtzGATJj/OY5eUZLuYuQAs3iLLXYiG3nQrTW31Q3kolHC1bmnWnYHos3f+Gb9r3IvNan9fqSCa12sAT4umjSoArsmpPh3dGc5J+WeazgAAAE0bW9vZgAAABBtZmhkAAAAAAAAAAYAAAEcdHJhZgAAABx0ZmhkAAAAEQAAAAEAAAAAAADO9AAAAMcAAABwdHJ1bgAAAgEAAAAXAAAAAAAAAMcAAACdAAAAoQAAAIkAAACWAAAAvwAAAQAAAACZAAAAjwAAAKIAAACUAAAAlwAAAKAAAAEVAAAAsQAAAKwAAACjAAABIwAAAKUAAACLAAAA2wAAALQAAACoAAAAcHRydW4AAAIBAAAAFwAAEBcAAADVAAAAzQAAALcAAACdAAAAlwAAAKYAAAC7AAAAlAAAALoAAADdAAAAqQAAAKwAAACqAAAAeAAAAJsAAAD1AAAAuQAAAK8AAACOAAAAegAAAJYAAACrAAAAmgAAABh0cnVuAAACAQAAAAEAAB+CAAAAqgAAAAFtZGF0AAAAAAAAHaABRtcZZJUZKYKDESEEICMFrXwF5sbYtymaeCLVqAAaZ3dx3SnTAlWTjOW+y2Zwk/qeeDYnIzHoKA6U1jp37MYd194D9YBlj0bip4tr9OhsqQNQ7sTxIBWeAAE96Q6wEE3iTMqa+w1oKbF85pDctcir3lESx1FHWFFWMs3EKNAxHuCy4gxWTZusI5mUvw+GGnjLNR42oKA8h+dpWlo2lRvdpUWl5UpR9TO6CdsecW3cE3vTntTZpxiAOAEwFxipBTiVBigBFM2D4IchzA7tu3NLiqFuF0kSADKRxv68RhRMlZdM1RTRFZdiSmWqrw5IgjBwrOdct+uOM23q0Q2i5qaqRIkUudK11Wmhsp22b/dxtP4Ysi0AZFVIbKbJDT2hBF5zQo1kgt2iGzCnOPHxtztfx3o3S+OmwDtlLfvLnWP7RgrTFKHGJCHOOX+DzQxVtO3anpp0t4eOxo93LWAC8meCkQBwARxXEkqSMhBOAjmooaFuGZjlkMUjukSAVfnTk/i4RxKnqU6ip3yhddlorB2XoPLPCDNVDdOzu/lrv2xis5MYAbXCRIw8/nnFvjx6NSjNBeWPBtraIc8/uhXqnlU254Sg+e/oPKztvHtMos7wkHpK6no/XQsFrGzXIxTZGVRnsMTqWjjGssBgCKcFK2wNeKm90lg83kyYYNsfHP3AuAlW4AHAAQiePalGRIFXB8tUpMEcRG1KE2Bd9J4d0J06d9ztgs7aGTe3H7fX0obrLeQWlwURXsVbRqzNXhhtmbQiQGXHTRQAnk6h9R8BtGcAyZ6JtvtSwLfx/m/069+QOnxAD996ILr2naDHXku26dvYw6B+gbQKfZRz8RGmWUmhkKagPaQqqUojlyZN3+h5s15Otzuo2tcAm/LM1uRirWHGta6G+MgMhqJ3SrWUXOxYDZE4xpsQG2fce0XEBQRDABwBRtccjERjCMjCITBEREM4CTwxEdPoS8Kw87xHL2b2lrlgx7nSPHFk2yG3ZRR5B7uMqUtQWtupbcCsDg8gXOx+wszrWgB1fxsLyUG9X2T0TwwwlN28bW1WMYBiCQdmq/Oz99IAB2KpCQATSMGdg1sP5WM/3RXj5aiHgiHmfV+v3HYUYwC4V7doX7dybxVS62PRioThgEqGpQGWxEAXUmADgAFUFxzQVjQZBsWAoIAoMSgMXRkL+jhcc5DW9pZK5lpxoC9q+x0ocTNKXBpbaIerLAjE10py/b4hZn0AGysKDhSEufTp3VohQ3Ewye7y/n7vrXozKTaCpYgdI227vA3qExunfjPZc+Y8+1+rPqJrqZSaqIWCAlUqRRMEOxPTE2DZlYIbfgYjMdgAg+91JXtI2WJOTAPT2LxAeEDtV1f7ttYsVycfBSCayKqSzhdbo49YPz9RtSn+c9F316yABEVXhOOAlEAA4AFEVxlI0joIyicBOfF0wHVoWjggDquAcatbh5CDwDymsqAekAsQ4lxmr0+YKhdLRYpa5PZBNql5ig18VMHARxiqo4gKPdUEt/TDdnpe4ZRiGwgEGnUOgDhY0xtbJKoGMpilMAhFLaazZzZNKlejfzKt2tP8ccclMBChC7yd8dMkJ7/4surB6IgsAoADTDieUAN4AA4BRJ/dkvQsCsFIlJ0Ct9Ol598yfX/97Pbp9OzXWvgU2u92ZR2kw3OcZgQQlBqUpSkBiUx2rggiVZvVXXAcoKgkTIEjhvdmboIDaWeX8bzsGgQlEJgACMCQgLhb5Vz6WEJYyQMN673CAkNUmPmeF2Us4CVHrmCoPohUlHPeKoQT56dCBagSMgAuAAGE1eecAUafXaLyKAwXqU2BYoxSUWBPZ+Nb93F35v/wv6ceHek6fx1xb659dhoLFP6tDiCokMMhwpNmutLTaGStdjWvYOyNykOimgrGTWalFrf/bYKnx4DEilh1nall6e6IQWIse6HI6mINlJ8A8tFl8D6mVMVdHZE30fq4alsYQD4Zc67SA30rseuqWpdeYzTiDtp7o097lURlkFqXjrQPSVWwDwsF+D12tKwrEjXP02U1JO7k7sWmBME8EY1AFvD7eoAExwFO1xqItgiFAiQAiQBgZg6DSy4+G85w54DgwAAUqfPvY+dTHdel/TKLv9nsqnNRg4g83RVEggIidVsw2ZZGIV7N7D1ZOw7umqUHVUMYVrIEA7w4mJcSPl7Nyge3KPIazD5o2UVunyYTHqlwiCZKS01+hILxYQuSlPC8nTFKCUvNC9wGTyW8dRinGQoGOGHA80PNzjk8nrOeHF0wYfF4cpijgiA4AUwXGWixKwUIbAEbB6tei3Q8nTGMtJa121FuGkIQAQAu4E26ERFgmrNqZq5CTVVVk3HYj2ELlN1g01Mt3BHZAZw+Ofg8BrI10aJSoVKrTW6mLmEQrPBLHOG/Yvibm/c+a7K5QNPJGPXckCqlHGw10hPLCa/UbE0obqQAWG9YVcsN6Urr8KaJGoACetPJFwRwq4KAhlAAcAFEVxJgUhMFDCoBhBCJYf7ngSJpHEstwshAAnO/yvwKnzJK7ITFqQ670ArUtWsoVjWq2HVHNsHRlNbtQk1ITFYldapWHpQxrsFILbJk5kZ9tkhMaaJKd3OkMuiUIXRNp2yaLTpXjE26Nhq2NPqaqPzdiNYBbZoDJcWn9aULO9lKyvu0og1bChEnvWHAAR6fDRlUYRO2IoFbrWqSkC3cEmBYoyyEWBT219bLa/s618N4fXp/Fs5tq701r/+4DpjTr6+3oC7J5Rxq08AEHwaLpWvmRhVtMhFp+WTkvAmM1RQhzxyRIqa9mtKbdoJjK8iz5vVR5QYeVtr5HXZcPxyTEa7y8E+IobXsHWLQbE04uTprJwmH8r1Lzj2AVjWr99T80swT4s9N2BTk3+3awwABLSEdv0a1oAXRJnQ0dwpmKvBUgTMGSTuaqOIMKZcikk6+Yb5AmF2VuA82rt67ZOmkBSfsfAalmhCOVHyQBOZw1muj3PIbb/uODVwjxuOZuAAWOAEs1wkMZHkYQoESAEQgMYMbDsgWabBAuOAdXrx7dcHNbTpV9ldkPAQz8w8/8Fit7HFhrBJnGWHJp7IvxXlyVYaLuCgqnuws6kuLzCXh1jISSR1fjNLwHM9i+LCnVCoySSLfGtXbzpHrzOZB0RAra8FCeFSg0QU8JQ6Q+CU0p4SUYjbLGyKRwQGunkiPEGTB09EMvOb8D3jgATQXLgwyGwTKRBIQhKYQEz42pyx4070vjkD2d30whJNPoCjFKRBULAS9Rcq/JEGr2beevLoJjwW58tLN0EwA9pj8etjtz2Bhcam/10Pzx8J/EdLrhDomx8O9Hcgn0OUmq7HXeurj3Jsr6mc+rABp26tu/3haOtpEaLBJkNvZ5Zd2g+TqmYcgc9mPzIU9f8BkRh0oObbjr+46/jocHdjrATCn3+QER+gnlxbFRjWAALhsb6yts31hrhjCzyUOCeDe+FzWXooOAToXHTRmIaEIAhSgRCAm+zbCkvJbz6nAdDXF2ziWyCcZw66Jjo9LJ9rtIYGjgzLD29TEjRyjg5nV308yk2P/7FU+wzyXMV8s8ST+QhxYNb8P0v6FH32BEFs5h7wBTgjA0nJtQCVuRLJGcnlEBLR+HWUS43W98EXFi+w/j/GkQl6MNP4xxBDGLMctTFSfhor7o1Jh+gEmt85jS7qvVyQ189/SlSd3L3bHMrYA4AFIVxRwk3MYwsEBGgBHq9r7YODSMaX0K1ertfVuaAvyHGOqABjsAqBQsRjOlOO4n/iahiavRZ/Ur9C5d4ZOrj5fjknjOrdtv8jLv8plRZ4jmN09cTtUudlvhddlTInZ4yGJZGUGqWKSFELWlmcoKAm4P9AmGiO/KgSZHg5i/T8diHb3AFoAtw9Tp58TADstueMi5uvReTLmRs0k9b8SOs7TLup6Gl2Lh4Y4wqADgAFOn+YQxibIiwMIuGQxklHAlfVd6PPXmz+nUdrJ8KfX9uqdnN7mtLibP/G5wAQDJH0oIohGVXDSdEMSZbtOBO/G3Ark71Eo3FcUuyNkj6BCbp8caLCqo27W6sgi9E7NTzV9fzjQw2CAW0bhAJ9kgAAptKQCADkNApZ0lSvLgL7kYImVbPqWU0Qp/R86eCYBhw++vytoZpcOA1GK7TwTmHfKPhdPfj1HiM+hM3G/D9b6D+3AAUTXGaaWCiTMhBEAi1AnQLOwr1jTMZadJtAAF3SOBYyOcYO+D3zGePFGRXB5a/CrNsfDRp+ZhTb48V+PWMVaFKNLRx5mSyKKKlovPIybZNqKPPbFnOq6TXcgXUCUOC5/DDQtClus2fRkacuEFeLospSltiGfR3RrtqgC7kzSPCbYMyru7qx74jbbYbBuowR8n016MveMzfPPq/IKM+qLyLWnJoDIAtvyePScu68PbV2tey4AA4ABKhcZaHYSIIZjE5BEIDMwYCCmdgrN3OV7l2GACDfUQ1+R0PlUkUPqBlM3a7T/Hz/avi9xQPF/RbfLMsA9tiDBmy21iu4ArFdRLp+ghdF84x22QsKg0CTA8p5bLujHBLisG/jN6T6n4O67HULzJ2xhpI4n8BHvCEw2xuMQMYrx35Q8kYfpoa2Wkxfe47SIfH4NkPJUxX4yI2yOASQXGKkjqAg2YIYPQYoZeLFy6wAAFsjjZ1+EWlV6kCsPsuJX1RRQBV56MovchuRNThUONWyZmS91RqZuNzY3/NeNDyulDbAh0XD0qIGZYNDkm8psb7teV9f0onmpKMt0xRFVIK5eznfRy0WjKgCwT1Oz2M2LZxOalPlQW7Nugh0UqhBMgE4AlEAIAcABJhcuJOEZDE4CDeIeOlHNFmCsaYi1sWDWnT3B/Q2Q5PEPqFMzG9a8vHO5CZB3eHK5ycaeTkl3RqiE/mf/m3HQzhFMNCFS5g7o0Y6NEeuYQuLKY1s/5/M1RhvG+vH56Yz3RhCwrZuSecziHXOqhFE15D2b2jlitFsvu2FkAIqUjyWZDb5gs5HSXSOe7MhjcZnwLjCCQV6hfHgkw5fBn8Cm+NL1Goji3iUA8nv1u7kHcFAEgOABQhcdrLIbDQICFQDPDkw7dWTp0MaB5EaXgKz8PRxxw7Uv4cJ8T8H96b19IrCRXUgUW6HqtskIx6nVVIgjbWK2zSCbtaUGkqgZkKgkL/b2FSaL0ChCTRacuLyZdflLw8RlWdIJgujtZolPb+N9fojL3wGIi8JS2EVwcciU8eqJljeak99bhiY5JqhOVWDDYAxfhGneTfCn/evG2vIVyADgAU4XHaxSMAiGogGQQCJwGKZs9a1bvyjzGPrN2/mscAB2kHVcE1+Crp/9pNXtszTF0ggTMC9/kwAZmQwcBp/MRSElsU47/LLz8+NGQwndRNHlWLuJiIqMXrGaUX25TBqVxiZf4e3D7vF04jbGCa2HyZAB/HpLQ+QXclygwSqw6chnl1nOO+9A4AOAAUwXHewzKwyGwRIAxCgjIAjwhmBToS6dLglzr62qAG7MdiPn7FY/gmHzIlUlyKCzMhdcxPrdpXyc/p/q4wDjZp0JFv+pd37ALJFVSHZJHhtUlPkv2qJVq4suaV9svaRAAl/j50hMnZKlpwmqK/5HJTbJhJ9nYc9rxHd0aGWi0ljAAIBt7NNN07/R8WSGN1m3oWm4dwgmaYAA4AFSFx3oRgiRiIQQwEQgESAERgIDbtF3OCOS4g8nl5K1zAHCL8aWXxZXlosPSfowBUm/RKOqhg1rRuiox0Rsxr/9gU4xTGhO3XMdypdTIeckwqURFgiEIvB6+Yh2NkH2YSAJ4fjBKwfcFs8IqjEkIgkMiq8u+rnnACEvi4Xz7AAFoc4yml6O0cwCWCOGNXu83TnovulqzxWAnSwABwFOFwRsgVMFDCVgiEAiIAmUBDdzk3k8tdBTsZGonTp7anIMsTr8ivr8zFbLXfskfE9cOeGKeJkU2PplZVmtgu7vdocd3q1YU3FRIX00BfDLZo1UBk8nhCuFB4WIALBmCu+fbTvwq4ecAC1Ut9vhpArIKAAWBeYGr0bE8KfRd80pU6hLFrwNXCAAOAFAFxiolUkUAoIRMEQgExAESAMDA00aG3dJl9Ejp1GAApmrcaetipJKiCf4njHaE1jUAF4kkrOc5oWhqd9uO36TP5mMYBt33cCcrs3xAVhR9bBVY6ixKVvIIkQAB0tXINONuCzfDABwCUdnF0WXqvK3WXlXYUHY45aPkStAcEZpy/xOL7t2eOCOCK9SEd1TF0wHASQXDHCCUw0KQxYAjkhWHTQNuwEi0SrQDwYPCZA+FEKkqo7hbHi/KXvwTAdjHYUwn+Of/P8Hd8NzsszI1MHMhEsjV4lUZqno7t5oXf4fNWTlIrdcnVGVe2SwGaADzeKWDpfw+oAKuvJd3Lo0r+qJOqRkXCKq2Njn1xW93jp+zxB34xwY8hlxevVKnbKwzY76lUoZc90qrgADgAEaFxIiJFKQVgJNhjxwHBb05MA0WJNUDm6QPoOxq3YzlzMGKuMPY2qKojx2TefLk/tL0k9nRC4teza8rj2LpQNty659ew5DlRpBa8l7q9Ojd8cvHU6RraUq6ZsRKYSle9+suABDV/aUxvxZtYJH/tKo4R0kB+sTvdCrf7es42yXiEhw4Rb9KE/tlAy0OrhTT5woAA4BEBcVySFgCBNnY6wD5YwUkaIqXdgxUYd/GJm8Y3vyt3RCpmTePn56rIDz0M7E4+vJNqbU14MreRrwUHeoDAEljw55ZpTfGN6bLpSwXO7L4NqigEm8yFvRah0nfmpzqLjJYw/rEVIKMqcr1ntsSTg1fPvuUiBc5RinBApbNegAFQBIhs4wVmYwBEADgAEIFxlItgoo1gNrts5ejhQMdtgU1BrLuwARkdEp1IboQXp50h26gCbRxSjugJVxD48XqTKXTUvgujp2/Ba4PfiqR1RMI7h/wwysuw5qAqt8nd2rFx/m4+AYLH3oVm6WAL7Fm0WkY7LJe7jW42vxoLdZUStiBUG31XICMhbNfGSEQAAWIWTkAOABDBcUbIRjBQgqAIkAZg3jtlgo32MZou0ppegLeDjoM6UQr8uMqPfPdp50ch4nRg1balu8JWUB0wZA2AluUmfiCFBPbNbTu2VuEFpLOtRAXjP8HVNOSKs1zQ5vD9ueh4wWOMfVo39j2g7k3fBhkEcfuyYbMs386jqgBfquATQgSmAcAQ4XE4MAEvsMcgWK9bgIRIjWnED/Oxlstbtg1IFY96JrM45s+9MdOSvaatGlDW9DUSWx5puJFossGRVO8l4hP9iP4kNFZDxQnrwWvPTynbFPADH4SWCKzPuwGAGseGnhwVVxBDBbCuxRw2AoH8K6pUll+j6GD4Q6pTQ34TzQpjADt3ZCXusChcAA4AEIFxmkdiEJhGVBCgBo7dDbegHOHdgXE1DU0ABHr7QNAg63Ee5yEhBmZHaZI4KzZD5iIPx4uaI8jk7g7ddtVsi+ESZ8X+c4nQ2hHenwMsJDgtm2WBouD/S4Xleq0cvK6LKMxvb1IqctaH9Fst4aTFNYZuv9ovIL2Ty+Sc/Jv9eBLxYHk6QYWEGL1iYANcMuJNUTAAADKOABAlcTZFMwIHAgAYV2BAudRbgtk+ArbJxWqgbgsArMK6NXFAQK71TWVXO8KWgp3dYFfldmDrDFHJ6lzKGtH0ME9OGoNzZgztxlHvXYPf6f+Wy70Tj/+3tKpldQjGdk/kmrKgTBE4k2jtddqRQnCE3AAPKf4EgzoZoXIO/IYFfhStMxF4Fn8TcOfuGn/1OrGydCDh+f4tacIid2hOZu+x1pdrx+KNLlJwrFMagCpsp479HTDiupuC2K6+/wPivP8bdkYRJPrdlQ3F4VDNETA357jeEr2Z98dx9obc8L0V7RCrZ+p5S50/n38xv24PYu2mq3L4eMzIiKYYM7n/L70X6qthx/z3ZQMMdvzyXNFZL2rujE2AOAATbXJHCmMZWIgxGwRCAhCghEAz55DknCA8rMVkXB8OZYZ8X4MdGUJIkKLJbnNKE/wVJocNoRcrDUVoQJsoMTF3WdrfDoB0b8HGKlIH1NgsOGQjQRgYiWg6vN45+jtuH77IykvtgWVJ6KBYr9roaJa+B/Fl9/kAsJsNw4dYsFy23lQZsuACEowjcyNDc8iX+/aOkes1I63VC46JKJNfGk3QRFQuBcOAFOFwyMhDOIBoSAkMBIIUgIBkxaaFPoxWnxy4Xe4tbhtogEs+VIWZpFiJ5XHHwh6dlhJRBLy4u9gDnHzuEzHbYtEOrCQAqwkvPUQDTNqiPdQ8+zM6nMybZy9kAZ2WYZzj4r9HerC1ZDKvH8oAuKThnL51Zi1wT/WFeVsumO+mTAp/HLujhla6cBeiUF/RylkweGyoOk0ggVAA4BSBcRaoAqFAKFFADFk7R5Xod/yY15CLtZbg5CE92HckTXwUUNJU/pYxfaYGKKMSyTnuzmsmxr1bc8KTCfiSFbVBoGZFZ4+ME4qXI072t1HsdDashdIturPAzPtVEIiNZp5LxpPC/DVnY7NFIUlWywY0olJ3VktZFud5i1Uyoo5dVq8+VJQuBesbq5cUXAASQXEYTDGSxGQgGxzYDXAxDR5bHSmhKA15OtHBVDbJA+zuH9IPI+ki/o4ajuwdjR/tSPnBvYvaBDN2nE8LF+qf3Y80hkLYV1QjCZQAO0Y72VeEKUpSa5F/ZfVf6LxODFwur09NgYYBnVp/Xd0xdOOEi0zsOAXIV4aRp++f9vzt8vn8gEfy0Zvjf2eHZ9f5093T3VkL9+2O+q+pYAWAOAATBXEXSEIAkOKwGZYKdJwGyfGZL0HGkEW4vGnKHI6zlYXsVVjRIJ0PTfpyb3P1+z4uxz9jn1ZZaSQsG0bRtG0bRtGInGhAKd7r8/Pj/18RGeQKfJcAAAawAFR/Pz8Cndi4AWtoDEa8aQAYtD3e0eHh8QZ6/40Z/8QJ/0uKfPEmEZzpa+yqlwXC1gH86xrT7q7qrKwJA1ohkjKd6ijmLa2urLOTgBOJ8tofYFvaIqGlVHAMIsBUgTYFSdddnt19L//svXnrqD4+Ef/VjzLxT2ef9flf1DrQLH78kVGsXMTPYMOfm4rXycmHdDp77jALdMl1fUC9eLh8hQB40RvhJRUGG4jjBUaDqdAMWzU9KkCd/MNQsapwbGjPPoAFE+OOM17vmXENW3Blh7giYHmNfZAEqPj7uiQCD8ZryH/ZwRiIhhPxWFOSM7lkk7as8ZiIELqQPg+O/M3m4+mpvng1LPbVdFWwvw0Mk+zi26ti0QAcABSNcZDjZAqQYjAIhIQlAR70YdmrsgfcBnA8zkiAwet/OQgDyTMzX7iiKa3dxBWQAey9miTjoxnkZ31OoCqDpAfpPtx582BLxSy6tdsfGmFQSjehal6n6yxvzNJOOpSZPBIyo78LHlZfdbFhD5gvuF296iNQ21IEmsPx3PSpyRioIOueVoWvT2ziommLvxhO05ZMuCl1YJIREQABwBOhceIsgQnQIkAZ87Mzk+A0dIGobPNswXYzWf3yHR7IY9j3gy6/ngjW22KuC9HjaWc6Pxnt2P6FIPjVpni+++eMsWupilpb4OWBhhFbNPu8eU5oYQphCZXqt+NwB4pULn64sIYJwJHuUipSKFdd7P030z44/kvLVf8oYEI6GYDrz9tjsj31f+dJ/xbO4iPx2/vh76dunDXjM94p/HwkAcAU5XJixlEAlKAhEgREASEBB46zDt7W076DWOmavzbuKAPEyzze6aRh4T/i6Iz1JDSCpDPuuKheDOBX3TZjHlgFWxyi7y/+jLJN4g3z80gkLqNaz8Yzee3wmR2wxlnJdRjtmXbQBcEkLykF0rHv/DkYb/8aR3glgyj3Sv0/h/CAAXuzDmzvQTVrjhf7e3z4fHMEjgAUSf6grkJ4DRTHgTtOwRqseT9dnt/d+Pzeen8qt839dw8fToQN9CgD4iElLGl6ACaXf08HsiElXag53MqdVPtjDsEJEAKNOpVZ3AGmtkb26oGEqRK1jwr9QmEo0KolUmmESBM4OHf426jDUnBf1fX58hHAcoBjqVPKGl5VnqUKkiy3pm9By2LRhC9IZKx/ACAVrRAXvleN7PSIGbZ02/LXJNBVxcpkCKhizPcAAAATRtb29mAAAAEG1maGQAAAAAAAAABwAAARx0cmFmAAAAHHRmaGQAAAARAAAAAQAAAAAAAPBkAAAAuQAAAHB0cnVuAAACAQAAABcAAAAAAAAAuQAAAKoAAACiAAAAvAAAAKEAAADGAAAAlAAAAI4AAADBAAAApAAAAJcAAACMAAAA9AAAAJgAAADGAAAArAAAAK4AAACzAAAAtgAAAJoAAACMAAAAtAAAAKAAAABwdHJ1bgAAAgEAAAAXAAAPYQAAAIoAAACaAAAAnAAAAIoAAACSAAAAmgAAAJQAAACMAAAAiAAAAIIAAACLAAAAlwAAAHAAAAClAAAApgAAAJoAAACOAAAAnwAAAKQAAADMAAAAnAAAAKAAAACTAAAAGHRydW4AAAIBAAAAAQAAHOQAAACsAAAAAW1kYXQAAAAAAAAf7QFU1wBMdWkVhINRAJAiMhAQm2U0+nAIZ3kYaX0agH3E73bv8me1tgmtSN86gsvSaym5q5YE4Hf9OMd/bhU6J9D5mSDXpN9onbdvZQdx638lGd/AaMweG/N3heTE2BQ3e4ic2TSzCnADCc1/jlvG+koF3rL9UWg+7fpP7Zs/CUfOM3PZslKIAnWCU3VQfktm5G9QJ/BZn6hwoSUQHAFEFwRQgnMQyoEBCcBneNqHR5Oob2zbN2vTzU1rLClhOO5OhSOtKt3Rcuebrnj3zoCU2gw3pjxHc7vKDzOwC4QbjbS4jByEDLQxLBCbwUnPDp3TK9KbeqypRaKfqWx4OEA7T+q+QhSZH32zRJSpl4YzPNZFPkqBEVA73sVnSHLH1/3Pfvz/lAXES4AHAUwXEXA0JAzEwkMIkEASEARIAw9ybNdF8IB2NWHlE6DxK+ggt0FjQgvfPsx0CfyfsHTLAhJQo4pN6okWy2LjWKi5cZb0Glb75aRDNKWjtdyhjCq74IaZq7+FEd18FRPFnFWiXQDUXHRWWPZ4eCsQfv66AUz30fxXJGE1Jlu8L6AQh95gSyDYj21JKEKAKWWKwqmsAHDbi8kQEsBwAVIXEYwUQIyKI0GARCgxIAhDe9DnOrFnwc6W1Q6ZUuQP7V/ejP2IPT3ARmUEj9Vy9kvGSRYq5x7v/F4lWhVVGAmmh9PTAuY1iLCyJmzYuAAdk3Oc2AVVNgy8MRtmi09DyDgkXXYabdwQPQ6W1602RokujgGRy0RNVnC6gDF6T7AZTA5YKeMNkSdMEmAQkomuFUAAI6vyUCoDgAFQFx2mxCAIxMIBCcBFjs4Kw6w+CzMv2ys81L0AdPOdP4GWfuuZdWxxmg1ceq8LjEo+m/geU/CWq2em4QSLKBwL7wKrQWl/g3Z7oAnETK3fj5Wb2tQ0u0h9zq013G35HffuM7UV7xpJ2uNhABEqkpP38/+7VqtnFnQoBAHhQQZQKEt2qO36mTmDvSgokADgAU4XHOhoCaWKIQEhBGgjIAi52wQxpR0fTBqbSXTVgHTpI4/oTjdfqG9UpDbsTfUadWWrAz5MnxeLqBz5AKIgjLZKMAjWMpRbOedNWG+YH19q+ZJlpFgA7j3e2cZf+ZJTHYa5trfCtm3fU6fWQ23eJs0otAKAJ2E67yJkIqk3wuo5qWsCBtO9G0/AAO20J9Pbit2hbn7PIt0+JM3ENPcf8hw45PT/V+gbJuOrmQzqqABwAUAXFYyRGhDKghCATEJQEzG28LZmljg4ZDiTKTqcoBMfXDj+pW/gaxOsoi21PPX5RxWgVSUwMnZzY0trrkZL5Cn6HAnEVlVhHlWG7iF/J7NuEvKsIIzXEnItinAaOf+q2S7VDIcokwLt07Q+u/ikWVLgBPouto2r9C+qY/ivqr78lfHs9ALp3F+vjipSHAjfPhi275yhfZnhRa/NKVUUFgBwAT5XGEkwGI0EI0GIQCJgGemKKQWD2buWnTm7ZFBTs9j/kkZTEp83no5Ap3/i/8XBh8qB14qajtYXpHWq4t0WSmlL8nSO9wAm+sL+ywAO+JVm1Tl0/7f9OmQYXDmUs9YF5mDFhAj+OjkGPLhFY6uPHhCcL+/+V9Rkuy76jlgtfucdE+zn4r5MkY6ODx3/8rDFj51cATqfnZJHawE3roCyWoTaEUBQ+uWWvjfKzt38HGFp9na1Hsm74CBr8Hmpo+jWESsrWLiEhXDw2+SlmOJvd1FSbzQy5FixcpYERKm5CwU65hZeysqiavfqqdhRq0rmJ6IMSfxAa6Hp0RAlZ9yQgIlXuDt1bsErYPCnUVvz+J1blaooB/nV9g0JgJ2ImyVk6amwjp3nPRr1Wu2bws3xjjrqxyfrnxmy2Xk6CqcPpqoxwf09cV/D7L0vbgKoErL5UpkoRUBeYgtYsmdqHujSn8ebCGOBnHlHATrXGUjWEIWEgzQghEAzkwW9h5Y9Rt6KWzUApa3BbIDL9upFt7+pAu8vUwxBOAvYBgo53P54wXrWPymJBgfRrI6HSTx63gbohQWOVgCMQrnIU8aUxNynNTE76BHtpBFm27eEZOuEonFnURx2v13YlGLe9Dt0jeI67Bt0t9307RUq500ZBq8jnWV26ZDdbLpq9uRYzrGV5GqTcl62taUkM18lpF+omfYjghUTFnABQBchLFJSDYJEESCE4DdogdcDoKd7yrwWltyNSLTRGg+A+Jy3M2zWo1okrp6ix+miDAjHZukVzZwKSDd3SINjFCqzRQyHmO2NCg9jpU4uGs7xNmgYn/nb4QxdUUS+nMpSfvAaK6qJHBFx5JqkTamLpwThj6KBZHHEgCTJ5b7VRrCQlXUM0+e/aaJSWjyha+a9UrduXLLtzLzgYYBa8ZvBa28nUAHAAUhXIMiBQxYCJSMJAGg3nGnHUR7Ad4CzghXSLTHIYnLHlPw/mjDpzTVQI1EyLUK0VwT4x5ryhOVIv06CHjMyBelYl1/B/vbb7QKQ5kdAcRpah0GuSaxqoWilL5UhSfi64Td02eMmEoToWyIhWhxZLRx7uj3eynVf967/8g2vl4nVypOsdgU6sHXXkMsVDBFADyfqy4JYq1WqWSuKQ6KO/A1nQDgBLJ8JalJCQVa1VNUm1VCBirSYKlFNEzQGEUWEwT7z4fMnHBP26q3PlZrWP+GNj4i+H6cJfr5dF5t9Gdo6H8P3fxwPpnScOs+HF4Sefwup8tbYBKO6/T0jYu8jqI24XpY82J4YvSSeice/5KXON5rgMnrGA9whV+QhYLaCbZ3iTKPR+CB5IpfVMbDwUf4DsnV800CoWRShW4yQs8OYk+huUIkk4d8r+9UC/39K8vW6g1AN06R1moOqSJoawPBKzK9OcEfbyYVPA9XtfEQsHWnyscl21h7TPnTDqWMMlrd9Ib1vOfRO7WE0Z8vQ2lzbGnqBB1wBEavIGZN8bDBTnY+kUnUI8in+fJixrqNA59rEpMnQHepz+klWmbtJ1sAleteAW5yv2ZdssjHeDOE2D35nk8ABStcdJIYjhQjBQoBQQBExBEICMnom4+55hg2QDhqtVcYB3cZa3zoOOy1vy+TjKO8PQsH/xdKbNtd3IQOtGr9e+rj6jCiddF91BmtJOaVjUOwdwnpSvz4alDRUI2+5QKD9StaqLsuKze0FBqQUrB4WRKL4LVpi+SnXaNZAPRy8ioABLByg8mPyKgAjij9Ff4rpAdovsbMpbH2rkP+LitHm/d1AAcABTBcctDVaFETCMqiAQlQIDKJT17OpF0Xs2C3lO/rJKAevK+v5gl4loUH/DCPYXsv7irKgWUO4YHnJ9CofnqroHyHuAyi9EoUVrhNuqcMKRKJzsqayz4t1fT3JoCtXWziAC9Re+WPKJTqlXCtwgzPjpx/5+nqtc0SpCpMcpx7EaFrq9v4e/jf77hUB9q55vXo8cs88xx72AYnVg51s8AFIVxy0UlIUQsEzMI0ANnOgqOOHADNjLt1Wu3nFwGGGHBlXscUE6CH9SokBUgGO0heLrQvrSNNeIZ29dleiGsk2f5XKmS3UosLRyipz+lvVY7Ks+VL8LuiKOuLXcUagGBDzcXPHzL7eEjiUU3mwMhOQXAOohTnFc8JkSka1uIkJ10LVcmlkuJozylcNMUZlbxAUTGlRLpMMPU7PQvPeijgBSp9dKyWCwMFZSZnALFaxSAhIE/xpxk7zjnrj+79bee4pmvr/6a/lnvSNfCOJWXjxZAEfDVfKeldKHYtqPStJp6Ny1WlqeWxY7YSz2BW5rJGMDvAmYSIdQ/rUZHsSjeZjGdDQC5h9BJndAxAAI2f3VUAgZPWMTMHeM6ssfPvY9LYlwLCo6H0A3zPuOzn+/it2FxDXTPbDNs0opUDjJ6368MtE9vPDVDhBZofIgpzz2r/I43Bhr++r4vNFmzQQvApS5XeOoBETOAFO1wx0dCEpiIIiIEQgETgICkTT6WsN7Z3jQL8pabDwdSYvJOSuGRSvUVCUZC8q18/rZexRn0dp7UOj5DXaeC49r0diW0h3+oRm7Xj5UPVy7b+P380NIM1WOje61YWK3a1oKfzPkXYGp0gznMFjm4LMBXmDTKEj0s01GpvmAl4v4df4IRiBSIjU8IrjAqM8KR5Y8WLCAGTEVvHHTbwze2eHG7RAAcABNBcZFCNzDMhCQQhAInATwNg11T60Dx3h3bpB5aMoA5slOvRMYNS03PFUzUDLBusQOi4uhcW1i0joUek6W5lxfpZP4qO4nI9+VRHabMdNOOttT1WUd0IAcrFXyppblkOQ1QSgUjHxUFghPWoKydszapR1ADHOlI9r3JAY8PKjJg1WYrxp2ViFDLf35d14X59qQmLSDBfxPJyqCtQAcAEeFxjKkkMUSkQTgI75C1yzpA28KLhDSJSLcJokjaO51p0OfXRObfVCO/EkTV98lBP9At7mo9Jh5HrR94XTAlnW1DMDXmF/51TKU6NSiALYmINWKQFeFDDPCMT01pyj5F9wrAyePWYgY027Kpbf+8EJQdNa2sFEYKIwIvuq9ddHawSrQCwY3sVCkVS81eMBUDrK/1BfpRqABwEQVxjIojsMwkZQioBPPhsczyW0NGPE3aAaLpZbidocAfgBre6XwmB1Z9ckmvwqJKobkaOvxECUcBpBVDzsZr/bX3GJaevwQhesWKlkfXo3v1ISh/n4rDrNBoRxYIrgqLFZ6+jtm6EN9wYNqVcOV49zt39ei1o3p4Ud19HP/qfuCk5QTuovQCtjxSlbys/enF+iEtNWhpEMUZxjcShhjod1TLg7TnQWTLAHAOafFtFGaMSCtxmgq0luUhVIradCgUIrBWgm8NusyiX4efme08M9u3/H1+f8Zw/Hh3nGP/wP9OmbNzX/0j/njT1t7CcPj7id4IDmzD8mONVZ4dg6W7jpZjsNzlkezeRAcy1dVns+EnKTulDD7vEAtpAkb+MchtJzoJNrMltAXS55zrTsn8OglZNdlhEVss2syZ3BWz9Hw/u2m/V54gFTG4/R+kb+KEh8GtpNbYx+GZsuRI0RhA6ofSg3b4zWqlAKnYAY11O8V4nvGDuVV4ftEBIQV7L0dXjJIXSJ2/9P0wiKONDkGYs0xFcUUZzisincMTu+AxTrVBbRgwKYSEeT7R7qJFg0Bq14A1F562dLFaSRUOup/i9s617IhkfPEmFpxV8mF6iRARLUbozGBwFA1xUUNTkpiIMAmYAiEBO8bYVJb6h9aJNMc78JbSTXfAS3+dQ/nhUeOcufY1IKKcr03huR0YXGJAF65VQZTkEkT7w7Rr+iXiCI+evtraFhSAFsBUgxpk+/V5P+ein6ULQUKWFrW9fhlY/peiqwXkhSkLFu8HgfArl2nFPE5p3CZfo3q23VAADg2IlstACwEuXrX/quxwTxOY0trqlE7AADgAFAFybEVBQNBgFAmYBnL3YHlrT7uDyB7vBbrJq+7EHbdHR1MnVwavqea9aFZ6BPSQqS4GrQgqCpFDDRBrNYMLjuR9awTuIrAOx6vrW5r5Sd0KLELfx9DC4eVhbAUMClFsDxsaLdxqtgZ19DqaWQ9TbSd0HREkIQTwmrVcHe1+rL147ob8m/C6/FgwAaCaU8dKuDVto2FdAy1xbRTV58PW4f5hz5s4pBQQIgA4ABRBcdwtQbCQIjIYlAQejseXXTp0a0G9+O5pGsteXoDP/UvjfA51/b+grD/BK+P3lYYdbOd9XoRX8VGeBzh3Vrxs/WGWPW+wt5FmO+hYHjnNTAqnhOLa/7PpZfaZAIQU2e2fbRt618HiJGlE+8rKylJjdtlLdJ8OkASqfMl19nFvWruEyHV3EAE9OL08jVPagK0AVDR21Dp52xVRlTgmVBMAY0AAHAAU5XGcRWKRYCwiMJgEVkHbpD646Tho23jwkQaLAADfIpU+Bo/8YS9bA4F/EhsdPK+5UEACK4k/OMxqtnjnGUIAFAqK2WZ9mebxve3g5BlW94nPaHocOdbghhXXt5Xjo/wtDUGpwAmUihNwsByiLa3dFIAVio54OzxORAGYzeNqyD/htqgWgEkoOtAF5dhsYkBWrSHJMQS+N/nAXir2Hb5/0mU+f75vx0ZjP/iNnzNsAAHAE2n90zEUhOAU5KIRIEdLelqcNmjOwDyObULS361vuZ1PiMB857cLW8L91sjHfZuMW2xR3f0jzoUb6KqWxcCC/jmEZL8F79M6+OhAolszcjfLCte1hwZLz59sPI1xkHbXP6Ua117ykqQIoHbhTH7McEQgNPwlxwRaSnBraVIGTbSUGm30KD4OKQzXNAgQOFX0HkaQhY0oDO471WD4EGS0jFTKpMO7/0eXSAL2GEWuXmcAEe1xnpEUIEgoEQgIxgzAAMhsYYqCbsAB92mYjoEWYa6/JUwIJtAhT4TJjBiVclsVv/FZh3s2xL/NfWgSmbxOxcdGnYbJy+4gqF4TQy2Z6ah1bCxFHwzU5q3G7jBi9HSrDpMauNQZPC+0rZWHK9kcu83Q78rTX38YZff3Je1VY58+ajplRsElWJVMoRDw1ugD6twoYTmPXrY9CFC5ywvVPq4zikqZHThdb53jKwAHABHhcqCCJCGESCEiCEQCMKbFbKjAhOwbikRlgQXTax/H6d0B78R2Tlev0dz9s5r/PrWDtXVOffrBA2OIdI0BZuRV8gSkJVhhRiQ7XnHev9u0kUciW//GdBrw2CqI/8HJ1F8uieuo7YcAwUoKRJeEzLo2FvQsqQtWtAVMTpYKziXSXfIB5EdKm/akVEdf7fxAgiyVnssBROIpqVlehgB5C43wmhmujHwDL2/UdclVjI5zbkDXVjCYAA4AEwVyoIQjKJgoYUgJ4oHufDdajXSaGctt8KRcZdrcTs/gAk3kzfH1qra84KS0hqZjORazKu4Q0zMG177MTMbNdPIS8UZWckYnujmJnczlw9xqwiGrjCc2LBO90P9JG5x5yVKZwhys+Wez8/4aHy4NEpLBmjfngbonK9TcGNZqwHuqJ3EpDaqSqShBItaKkLWLL93KOqUU5yiA5gT+95BYpxroWxx+MYffhhpUXxgF1JjU3AtYAA4AE6n72JNilJmQLFIWNgR+pvDeq9vQjnDceRhZyCCMC+im+d6+gNSItsyM+xEH6Pow5t7hSNF2FC6gzS4NHVcDhs6mYEYxkdN66gBl8KKu/NGjAPVpHy9YO0aWpYQgQbyy51LyC8RKclaT/BjBIoXlZBsG0HC1ft6JheIFIl2MG0lAftSph1Tao4WfCHjTq5zM6lm6MIHKwIakfuTKyR1OOpTsq69c6VcaePo2yjk6bpjbHsomjtnTrHAR7XGakCGAUEJkCYgEbV2YGwFGszHK72CMgIq61abtodHcpHsppStQtd1Ti9FR3eYT2D+7GaThG539Cw50/+oSjmzu8VaU7wYzuwu9ZCIDjVtPuw4liUJeMpeNLE1yPUx7XtBNxC7ob4lnMm3+HHC70NHfxeupzHY2YlH2lsaGBnNswH6SN+WE6XtGTff5410MEP6wzgAiZ9/Fs69dJPFO+7EAABwAEgFxmkZUIgSEIxAMl7ZjY7A2IbYDCWzAAI7xh0YneNrMW60bnasFU0wng+fD73wf3ttRz37u6RFLY4W1VqLNVNAJprcd+qz+iDkWn7DgFhqo2ucyMfItengJrcwcB04CKfNnGasXFVqr5yUkc4oy+KLTwHBIbc2WXPLEMq9CcM1JBMMgt+A78pHoQJyyAkJyoM82K46vQ9ahXDqzxV3FMxTJrSkOABHBcs7FRLDUZFEqCEgDIzG+TugBA7ZMspYchbZQN3Wz/T5v43dVOY19Px70Zvdzr3WNch51TxLwa0ieWhhe7UITfbR7pUcScNV0pAgo6nSvYZQKYM5+e0t9tjo/eehP/LmGgBT58xEc3HHFSc8cqeGZ2po6iuAMScWTwzAoo1Vqy5jxllploD5Fgy73rcCvWHZf3YbJ2ADJkVsg8jX/m0TeAA4AE4Fy00WxKs0EMTAJKRpzSquM2cB08ITXNhLyLTPsgEcA5sYYfBL/mjSbaYZJJtdvaRqhGTU3qJ3iOLhjoHoasIlUsPN4SkGg/THgj8i9KKm4yBUZRW8zmG99X0U56TiwkkYurCMLx8/njh4Ii8I4jmqRs3NpyCYGlPe+FzdXyyxOkaxSu1mVEHeYRJOlKBi4XarmbgzS4r7qXWvUSktsZQACQT3ePL5HblT96evrrQ86lhUTAAHAFQVwRUhjogRsIUGMgiEBhO1aLs3qaitS66MLuZe5LYFIdEMPHKAAGisMMT5dWXGxReyEjdMNQCVOjuZxiwqMGzP6hoA2epMR+cSCkp9LvkoCfBL9bz/pDPBmthGV1Bnn41NnLCf44PzrocOmeL6gG22f4vyvXHLJoiEVRslro4X/82yns8/O/XX/zPouk7u/BwRx2bhOupkAzgDMXJkGF3Zv4XteVnDNUhwSAcAT6fvoq3gpWCguUx4C/P4eX1+b+uM1/8b+narvXtNE33WeSAYhCt1IwuX5u9vJjOVZx2YWficC1rz4nIbv3/+CStY3z1l3Y37BoyILWuC2JxvM1lBIDIF8NWsxNyzup6b+9KUv1jSh+qb/vtzwJ62TTEDgAbmOsjcrgJrtFSszzWt3SgHmji/q5VtWsAAkJ0GB2bTYpizUmBhYwlVfPWN2X8NkuVBvDnBLtUvC+KGmJA2BjAAHABPNchKOZAiQICUQiAIiAZ3tmDScdEHYPULX8Uv4AQlCF81QQqnN11CImvKKpc9YXipRIiiNO64QUhsp2IJFFX0rVcPeMJZrqe14MzYiQmI3pg8Y7hIja4Srfn1Sta+c6sm+VHFshYCWdWRBB5LygF/VSXNEw3ykX0TFknWJy+fR9dd2eXDSeHLOrZspSZzvH+vL64CwAJd1aWg6fP7LYaxt172zSnEHABNhchKvYhDNABEYDN/a4Ufh0NGM9KclrjSr9rBZggRmgk7ggFzwZvBrHy+Az/Lhi8SY+mdZx2s5sM5YnIxOBidxObxjC/mCxbmw0sNLGgQDBS8mKpBkJPf0O5rWtXi4eiHdmcYcAdvVqwl4P+L6T0jys8AAgpO4aTd5u28Dpm9hENETAAAXE60LT7juWhW1gDgAEoFxYodjCZAmIAiQBMfO8eZWp5RPwbPWctha7VfRoKxevSc6heMe/7s3LOcmJAYkAQ1cpLfmR1YpYqynph01lfkNvvQBubNSgsNa68dBkBPI/a4r4EGuA7VAOSgMA8v4ebzQqAJooMur9KYsOIQ7wcf4sqPiWUjV+gFQmvnX3V1wXsrbLi3oAkMlasC8GGyLGnFJOoAC0QADgBJhchKPYKGEpCAIlAQbLtw6vXUPD0p2ZFi0u5eg5SKIEqryts+cwVs0daqnCo7k9VmS5MhvtT1gFTz3fnA91QIz5ThQVrq93kMShNYNZ4nbkKL9MeKNDftTX6VAUFKnzgky+IkCk3aOXwx8lFwwJQF4vjMEKyLR8YNpcv29rghL5v8aOM71taXd85EGXuH8Z10Oq4ljOl0QtuApGAAOABHhcaNkoQlQYsAaNZZQk6u9Xz33mQ2Y0SpcagA4epT0JjaaRO4iUzS9BKFGIgDXPxGF30KuHVDOEYQJfH9D1y2eM/yfIJAenBrzxuC9UlFCyZbklwOm+Ot9eYiVvkcI+8fnHmyHiqz87zsRh7xpchnivvhMh+ny+PLR//bVLohd87QzW57hMtCqHyBPtCER85kOWH6eLFWTjXvcrEArxbLQWRnudswABwAR4XGrATIwkEwhCwjMIgGYgbryovMbDzeciWZaXwCmdigRTisoSoB1cp4p/56c5tm8ZxNQnLfsnVIO4bkZLAQdJL6jE8H1FSFSBvx33Jur9WB1Ekee7GgqSpDqv7+3WPyUqsiOPoSmyLRIqse8+kO2BXCpiRf6d1bgBRQUDJYIeV3Gr03vKqgoKRxsb7o3wugbg1w0VOZh9t7DLfBr01nK3SyOlCInrUmiEEqIddNGxZi2e/jr+m+PvoQ8O5onbGFzLDgAEcFxio9iKshiYBDDaYCzYaHKZLlNGpcsA1OszexTyKY/O2vq/Mx2+XQRMUIEKqRJPWsLrmsvjCn2SrmJUOgMhqyo3ILsLiSeXXuWoqTdiwNyvqnN3rYjUNuW873vaZKqgIi4g3uZ3vjW/t+zr32441JFxYAPtuJAOSZIGPboU2J/qTU3kL6AzjN/Tb90ro3W47duZKVFGmzfm3GlEdaZv6c+MyY7gqlEAHAR4XGSS4EhGGQwCwSMgRGAmam1vHMBrABRjSHDS7AIibFPWROagdKXV9vVhvtt5aKuKKd7Xgjfx9FAevJeuITzhyfRE4w4tt3EPRi4xU6phPP22W2SURdfU5sTJ6ao6+0Lhz+mixRzVkQA8hESqfNf9kXyOa/sTGsCQ/g9IjawHV+hH1xyAAOiOcq4nZXrDd/0Z5WsYDzWD7fNwsIiKD121xsg9xSuiNTSh1+SaH3FJhFAXAHAEgFxJsMSMMSIIQoETAMWN9mhkG3bpWImnLSJwFtnbdF0Q38NEhfwWrizTBbQKEZVKy28pMqpta7gJ27cYEivGQ5N9Z27o5PZISz0yYC3BlElRwdwrkUBWM/QivL1LmKncu4CNu5/MJq4VlC3igtsn0Cro0JpduSrZftHX9vYqP8apTQinBaqFZO5MuEciY0qp99YpjwcWNVARBwAEgFxlEphIcSIIhiUBrXbMMtuw2wTNkcMWXNQABEbcT0owCzIvhWOT9bOsjQjLm4yj601/o/pWu3iPUZOKBoEGcvA6wp8WyYaD/bOjlTerufJSZO5epwBYK4QwqXYLOuNkoW/fZISmvhud2i9DCV79Cxwd2RdsMAicAVisxTxa1jDER80CWCOwERivQGTIc9gr+bUvWUFABwAAAATRtb29mAAAAEG1maGQAAAAAAAAACAAAARx0cmFmAAAAHHRmaGQAAAARAAAAAQAAAAAAAQ84AAAAnAAAAHB0cnVuAAACAQAAABcAAAAAAAAAnAAAAIwAAACcAAAAmgAAAI8AAACxAAAAogAAAJMAAADVAAAArQAAAKYAAACkAAABMgAAAKUAAACeAAAAoAAAAMgAAACmAAAAngAAAJkAAACqAAABLQAAAKIAAABwdHJ1bgAAAgEAAAAXAAAP0gAAAKwAAACmAAAAsgAAALEAAACvAAAAuQAAALcAAAC5AAAApgAAAKYAAACkAAAAtwAAAK0AAAC2AAAAqAAAAJIAAACaAAAAnwAAAKkAAADEAAAAqgAAALUAAACcAAAAGHRydW4AAAIBAAAAAQAAH0QAAACZAAAAAW1kYXQAAAAAAAAbXQEMVxkpQioEhiMAiEBgpw2wVVL33oZi7BcavytxOyQABwArPTMx9bAiIuWqtWfvqVI4sK1U7uFGsniANdcVE0r9lL+g7Pfo2TZXD+cx2jof84M77QunaNQK611zAgIzi/YqA/cxLcFxguAhxYeb1r6yGlLValPl5WzRsV2BbHjwj6tWRcR9P6SnnWAuBhnxnPquPDlLmXGGDHgQnYksHAD2n9DiRkKBsk0I2CtVrVNSBbm1DQgV4ejzvfn2bOTy9+HGzuo+O/Htqv4dPfZxh8EHH4/yPxerHnTZaLDXQVkeHqza1+MfRH4jWW18lCpHQo4BBB3U43SgdHrmHGAdCivKSRa2BjRGB/+1JkAmAC1C5qervyEQR7B0aSCL+gwhf1oWQczTkJbIGRAmRNHEVfYN1ojPztYICMP1Fg0pU4ZxWJrOnd2rvvo+ttm+beTbuHUb8np78x3vJ4cQRwDvSWdbMcFUcXL5BhAa3MMe70TIKuiSWh6LKWHZ0LQivzkN7at6WvvSEIm1CJFAMcagJofQa4Bp8bgbn//pMX4BDJ99qTZKmLkCWVoRREyBDv1yzm9X9cDvO+/G1ugi2qU5g4SpBR10qDLPs7ZRoEM01P822VLCLgDIDkauDaDeOqOJqFSoQS6Xy1yPPYD8zX0Kzgdu6Q6F9zcjSdpZzjDb/WgSduHb1FVt8hhMiOxgxG7jd4AoVpeVUwmojcRfFburriHZn8THf1JPU7HyvZZ48rfFdtQmguFghBxg0Q4zDPdRw1QHczDizLXg9PCj6zmktv/PQR8rQ7PlH7nCdD7h5H8BBwEk1y7MRDsITIIQgJ+IITneXaqMzvDntGd0iJmAnhsZiINmkKZice6TpFJmwZPZcHJ7vKEmryDcJ7fZZO4eQ7B2whzfYkNl0gh4R7aRkd+J+O+pylbwXAE6kaxyaTzugmUOJaE3nj8Wiv+GwMX9M+yXhcH4DZkBPcydUN1uUxFey6udGH8XxelP/pNKMxYTnP7BrR+FiXxHlMvYB2CUEsMS0Cy1b6FCppkjDSqCnVT/xihmgeQKAsrYkMWPPPP0netE/ips60IkLBmaBgN3CJJMXQYpTEAFgYhKRv09euEcgfCFaEnwrFIVMGQJP5NQftE8TAyTxsGPrjlj1/k1Sd6sISaGyyg3UgrrrdF22jVREpknVHWXye5AADgBOhcpcJsLHgKCYKDFADZ4onJpo+EylS2UbMhaIwRAIapGmQXGgFBJPgMqKIrknrL9u3wl9cd5JuO8JKheE45mk0Kw5yJsZfA/Cc9icDEHuPZ6jkC+J44CpbJNtUSMB4T97dtGSDGRlE4PCGQMpCwktNVqsTLuC8wOyqdI/6XWKqDBKa9irhu3re5mqymhXD1qd3tNoOcLM8Lru9kCF10nq2qABBw5YAEmIBOg32FkLIft4rAGKgnW0Usnrx6hVgMr3YU3AVIXHIxzSSlKAROAy5607zR7HlnZ1LAZLec0yAOiJdhwI+fZUxC1vk8kh1OGfKJ+SZGBTU+dozweVbcyGqS8UlZxTib0Z7jtXoc//H3GdDg9yw2X88FXMxePn3ezW+y1AMK3U66Ph2VPKWJKQxcyVLcNHTTlXAIfadybjan6V2eSMmLw6RTCXNrsRSdZ4JjH5ksXr8/mwS8TzShL3uABSlcg6MYYkQYBQhqATZtCOmnQ2DTM4cnELmagAAFgW5XUcp2C1IyAO0mIYWNPI7h98+7iqbArMKizJwKTstl77mIxevjNcQ+o0bG/RpvGb2l1YVXxUzsqY/fv/aqbLSmK5OBMd2Pi2ea4ABNMM1v6zjusG4FapaZEomWsEjGujTPu+3DWAC2poQ4y03XzE1wAHAFOn/2KNiiEsVJwCfyWzM1w8o33QCOBsl7WyXU0y4U/d/26XpGek9XSsN5G8s2EOe2sXXRvN2oToDgcJUekbS8Aqe0s3RYUjqhVAKL8pCLNZsuGRfaxKQktWEXXBaxIX8AjQdAiphlSAYEh7Jk7Ev1Sag2ND2jNBcAmAAIACwznG1dUN/1meOq0YKEot0lqxggjO1wgOMQHlRzwFhwBTtcETIsjHoUEoRjYYCEIBEoCOb2p3X11olopSQ3GGfFFgpTBVhTly7btfwFWBij3rtyqOFfGeN8lrYkZxKmPTfW988k476IWIzPShTjlYXVtUhAiTL6Wrrj65SRhD5sEF58hQTzJ8MFC9AAkVWpOm3pughMrCjj7/ON4D5/eiXZ7NACLsP0GTQ00TLmq5u9pQBRETlOrSwgypLnJuph97u0mWllGFlAEEAAJfDXHtvWW+vqwzTTwBNTpTUl7FyYAApbIDfquz7dAADgBOhcZqQASEMIBE4CPmM5Mm130sYDJ8KPIcaWmnSJAA4AOxvNQW97XYwMHAbqfA4Z+uYJksjmWnoqvCnQ4QwmnNfpgv4QyS+VULTVOXKrymUZ5wJe/BcuWbpOrKtI5t8cV9B0KroIr+dQ/c/PuUf0Ox0JEgqKvP+2QrAIXTSWmrUUnBZhxopOvQATv/FHL3LcQBjpWYAEcUQAHAUBXEVAkTAkMI0GaAGMd1q8WeQswBxGFxpoHj5u3yIXOH7LXWzm0o6t/2oUGgQ2qy+b1rVFQV6DRQoyVIqjEFGm1UVY7JYNBeZT2A/wV9dUzZTbS1PIUBhouYkp3d3Fgx82zFXOlB+NCrB0YIqT8xzf22FEi2rdgCZbDLsOxCkypc36G/Ze3vBUEQDTvZLcbGNs4Nxz9bIlDBZUBwAE6n+rKlivAFUZA2my0FCbO0QJ4/fhutFXX7J/Le/rwedf9M66TfkedA10M32hpdBJPIPUEyPBJVAnXwfS8CEMqjLAGGK6neqazqq9ccY0OGDhJwHCwYEk5AjWYTUbTUq+MncLSLoW1MTreQACqAjp2K1v+X8Cr6c93sJI2DfoPuKMGlKIFDQUfUqwW1iCEG6fEBilUQuUxeRqIcL/H5VF7TOJ+cnOBYVAmm0TiyFZ4xzr4KpGMe2n/5zhzHMiKN3mW5n4WZem6mi6BhWK6dL4DwAE21yxoOguSAoth0VBUFQgEUAJXP2U50eycIHWOTdyl68eUvTIGgU6lYfPwo76+3NDPo/RqRdWwUu7yopkdfIL9XQO6D1srd7QXA6kiC09dNMO4JIqd+nDG3gCXdP8iwZVuCmiNjGRZWHoXc8otlHgBTIaoy2MkFFISxUgRYDs4ImuiGVQ9ARz3/dxtT22CUjZsB5jkshD09U8fSdNn+s1Pf3V8OxmKgAOLSvLzYyIL/ynqiVUEACUAqpMAlaDUtWzIAgUYYVSAA4ABPBcckIJjFMwBUIBQQCEIDb9U2lL8uoxbps3sWR1HAm7bvzQ8jafuwzQVFTFEcAZwwn2CX6Hv5znz/zc+YCJ/89P9BAZARCTigxgZChYVEVbUhRdTS5PR2/ajRcp0PwworiW5rmwzdK5UQGrz/Fzb3ovasoBmbg3pGPPZuLHx6IpsW+H28O/xppAxelzNGk742jH8hNTLYW4BPBckzJIlEQkDQQBYIhAJBAKDYQhAR8p82iR8K1j4G8eLzRwvjHCCJOo4Roe2dNYWVaMMZbvAULI4CAGO+gwt6r2aaHnhGiOvEcG2avTQkTLhG8nkMXxizm/6fNYbIKAJ2PoCMwj6JcaHHKvJbHO4r5JQQv4X3SZUNRVjc+8cv/Yepox5aIeRHuKrlfJRJsvBsw/p9wAZ+g+TqBnXl+C6ZD9InLVIZI8jyrSWLu7qsduAZg67fnFHTHVFDo6FYUT2Vs5iamcqSs7aaBQXO3K98spxyJECEGAFHYb21zJa6gOAAT5XIOyCJAzIhgCgRCAhMAz0dzI5PokaesdXzzwddZ7MYDhjbnAADSMlrT0xgD/DQQePmY3mALNUyEmoNTouN+qdI3kKiWxif9jprGAaVREv6zfqEBv2X8ZSFPYlMlZBrInIeygwxewyqpclaq1YgrcuefTcOLtMFKXvb1Fjuvf/n5ee9KSxzvMiA7OUefLJ/F+Pk8vxl/jr1RIqxeF/EExwAUifXZLEQ4CySMT4AtEgkoJAq6FvZ93rX9k6aPN2P6Oi7c2mWjfcRA4FtpTvjnRWJR+me/KCzbtBkTzoYUP0jFn+hw0ZMWPblPl/GZBlgbQ+VLaFQelcC8rs5m7f3mVNmkuWn2DErv4ytzPj01o4OswJQ4On+kQ9KjE4A8ayGZosfeNoGwg4GDgt/WoymAlCpVa3FX571A2jhWeGYBblEKCWjRKO0ovBOQwCPqSCZ4nzaAntWEl4XKACDTArlnr3eW0JgA4BOtcViTMiBIiCIQCPS2tNmdQvMxBmBphZSWGPn/CS95Ki8csq7Ph/191Kz1a29AppS1560tukj7OIKgvYmMXeMQYg2DAwnP6Q+IUAP/n6P+f/HmEjABXT2V6Ahhx4iPGWoDZnZKfO6hw3jGKnnniafKS049XAD3wzrvSPTrw8o2K9rxWGBdIiWELgACY8XHjve7++pbN7TxtlgVOJF71fgCeJJ5ovArYshr5Yovl0Yq9QFo3LOc3TP3fRCiPuYxYDfAEwFyEpFiCNBCkBM7mShHR0MbZyYYmsrSxdg4AUKESnPgqCfL18gmrKYI82IPgKwpNKgKPWy924s7wqW1q8GqZVC43Qrvh5TE4V9sjU4pX3V1HZlGtnmn1/xjkKrbgzu5FSUP9e2HxGUAxBNl80NhGqtUFnXxOhSIY8rGN/hFiQceiRi6b40ZZbWwKKeHzMjEYaOcWHAA7TY7dYDJRQIsAAOAEyFxi0dFKNDCNAiJAiUBn5FsPhp1DGzfdN6Z7K3ektAYR9zKqErJa4Kr8pzBNMWAxBTBwQTLr5hTdq/H2Soila4cQ8SWSaF0tE562sRP3d1wSFko3lMa67d+VVzSSi1GzE4wrA+ETQEcEUHiGRQ70dqBjX7bTmjgzagAKVqWBHHYw7se2o2Lji9Gmt+8Pz5oABCRLV4PRS9E8IECnfN+oA4AE2VyFoxjEcAicBOd0Uo606QDtjIXYs1bAAAJjnGoEJKoGM3sGObbyiHv3AjojGT6ARY55lz95wiww8oNQwgqYAC2F8ZdcmUC6CJAoCrOx2GtXBFTtmXmwCRpgstysDPKUlwNwAJkRGl9RuxXWOuCRKAAlXnN+bfnC6dADMd/R+1fly/WULfPj6B3BuAAQSElrf5TgkJTnSXtiXw2/rsHo02TyADgFEn/WSxiSOgYK46SAuPw36m+Lk18f9H763nbrWtUDXrnT7lOn3KntHSJLOmITpDqqWZuO65uRqaNvk8luL3uN3i41xdLQ6H7Sr33W9yyKG0EJSUwwQnyMZflhBoTHHf6vxdouTalxVaq+wYjYFamBOrpESIAqSoSmiCepGumf6DklvGNURHt+SJaoBWRplOdnpen6Lu+v+VRwouLBJl8XpIO2i4XaZB6q/oJKMHQBv0gcBTNccsFVjBQbCEyBFICI7Ohroaho7HdPhu6RpwwB0cNPusy5FWdrTcQVJWccLuV3/GM8+yQccajj1SzIhHfG60TTw9m+lzovRHZ0RVGANkp39V2n4xbzyyusuD3IgKSzMufrAcskfLHUCOD9Nwg/5OuvS5Ntro69QU/XH6Iyhvv/KVpZgOMoSj8SPaClAALCj2xvPK39aX3Y+uLuJHCQAJpAAcAFOVwAwgiMJGMEQgNBiMgiUBGtznR09hAXvuD4ZZpYWmru//AJAsL40+yjAe4U46BTI2c/AWpWv/Hi5ypv7NUAVH0w8+uAwYd7nOP1AhaHh4eXbgEGKtp3ld9C7ubzPryieRq4u5laXgAACowunwQaFbKmrWcw07cZSOqP0/jCz8tucNV6xfu+gXo/9KeagRAg6Zqw27LWVnH+miDGRuEJ3RlbOjDfS46ABwAEyn324WmgKcExYJZ26zd3E3quecspLHlqwUQayRlFWLIFuTJOpzOeBXwxQuerpitwfLHy66uZJz0c/DmB7Pt8dahuSXu7+oRHJa4aTLkxBT5bt56+J3wqNIzAr8QyD+gR7+ZFWi5rMUeeQSa3YUlT0utgLJIFCglHsjsVuC2H1/fGgxq9+BnWV35WjszVpXraAZ+KCkDjZQBNjGNUiAHABNtcZNEQjCRglQQmATNzvS2/Ku2NABduVNFXFhCHd5fL1KER39UWf3phOrtnQMoUx546sZgxh8fMQRn1rLzuSxqjVIv3xS9n5wrjtUZovQ3snU50VM0ltd4k0S5cQU0yNu0QWGFQriJ8Hv+itsmFNLNKaDxFsKmxk5Y6h4sBk7pGqaAVncCRPI6oxf+sLGp/GIFMP2ACLFYhjYrk7RynmDWRAKBIADgE4FyyQhjmNhEVAkNQiNBCUBH2gwi8BZweZZi2IxOLwAKf6LLGHjcJh3kj4As1FSlwu9V1MDZU9Wh324Sa4c7oEuaBTwIr6CPqXB4E+Q+fFrrhEFRlChuyBvQF0mIT5k0md1q3G1B7EKfSKs2JUheScFAgNVq/sk3m0o+FuipWmWGoEMvj57KeasC0WTCeXWAP3GOeWoEipF1jb5eESnP5YYkwAKqzTVBETSv6PvPlKP4Z/vvgAA4ABSlccsHVpsYKCEIBMQCBRSiMaFlr9g6xGUdchTqJdPhBITtxXgNWydDwpwUhRzyp1TxxVsjBiGc+zGaTVxac3BjMd/TmYGZ1NABgjuNPJ1EocVsWV1MMoAc1RS4hmr0qPe8YJJz6LJ11kZarZ6dwIyJSgLHiDGSKVkrm0KytKzZiOOvlbRI43WK97iW+N2w4fhmlOqgTBcJc3bwfFcipWQAcBOJ9dinIwEzFs0gkCnBokLAgv4lvDz9mU8sXvh57745mZgk+BvBrozYnrcQGSSuyn+Lm7R/38GfSAfqp3s1nmwM5aGYesam60ZnCYiIhWGuL97CgWoAWxQr0N0kXZ7Ow6wOk06DLznTo0sQTdPuMzywDkNI/6sYcr4cx65oAjUgSB1SnrHjMxb5nh+s3VgFvJvuz0P5cen7RD71QpCZYjetxd/3Sm4EivTjbuTHDME3ElGZYQrF6JnAEg1xnpIRIE0AIwaeihsGAbjsu+ZaUsAdllb7rERAqXbjeloc7iNHOgRd1SkjZ8Yl1rkudBfwqt50SEzro1f01Q/GcHvPN7cVWYibRSxt80txNPOq9iOyIK0UMyd/BBTn7Wp8s+jaJC4k/p1yCWLOntARh9i8vmAV8F2vlekaFEyXEo2U2VW9+1uu2EN32gL1OJCieXtIPSt9u/gs3GzYJ6UaxX1dDST2UgAqAA4AEgFxpo4yCYBiRMYnFGw7AY7GRcItwm0CAwYGt004sbIwHignMRscd2qlKZnc0cKZgBkfCQCfBzekcW8OIcFaKymNYJgQJoLXDVcKd7EZZLco5hr4OQQOTby8mF7llihW/aJJ0oXrm1Izapn5Lpb2cM6SpDL072OkrzocC+Rja0kZXh3ueT7y0/hNASjCs8iW3ZHDFJFC9q3y/etMT3z5dIOAAcAR4XLaiIEZiKhBMAjhz1zrvjZ66hhHrqHINssuXYPiC8zk1MJpJ3P4xmi5CBUkDk/OZdJjOTZHJreTconFgk2F2fIeGZcdjoU2tba0gBtIe2AEW4gAArj4LPw5bcHA3G0mAAunPG/5+TkTu6Aqy3dAtLw+f1H2ZUdfcX0SAoHViXyeiatAYymVmXoXePWFVJ0clloMN3EFC0tU0E3AwJe8lBnzvflFvgcevVSkl6euh01UidACqYFxBLB8CaJvAAASAcATQXENByKxUIwjERhOAj0vBS/Y40dtxwl+N+QRaawHE/weZ/sjE47UrE4S65ECkTnBIRT/8VYxlDnyvaFvckcIhSwq3lVVSUWVNkmDmF7QZTGAflTqUU9J4tx1JR2TIs6ACnbL/emOmAtAp5lLFpUGAcJRmMUoYHg0MnyDMYq3Hd3yYv9SHcEfSKtELKsHBCJ2AF7XSsSYAYsg+8eva84VDqBYsRkRJAOAE4VxmEZimRBmMiAETAI5vLB0ezQ7GpNo1IqcCi3C7QBAD0o+MC1Z0VyK37/5QTrjMWWCEFmTC2/u5AKa6GrYmdVp8KZO0RoqdcVnOMwXwelJTSvOC7p53rlA1FaxIVa9bzcPiyjy8IoFbZKvPhvZ9oZQZJVh8ihdeE4ARVgQ6VjTpiqnSy1SLnZRNUXXW7ymShIpiDVZEqENXJgAA4ARqeNbhIKBU7iGEdr20BZrCJ4C3Q0Cf7+vXXXrrSa/1z78cy/n7yw/12K10+OHtX/TZ2vZc663y6Y74c66tcWsQAQFnVxTtpgjFAx47I4dfBjiGzKhjy6ZoKS2/R8J6x+k0ZIGU9H/b/27Yj5KlIGWnVu+Wz6u+pzMEJogEQlpj8AcfMuqMU8mAbaoGdh3x7w/p208UZ9sFY/a8s2tV0jlgBBEH8kzixUjJEERWwdxA6YnXhb3WZRv81FOLp2hoTUd8asjMryBVPezxleELn6LgStLaY0VBJoY9hFY0BMoVGGtBQBir3WVmmgtSLlI08ddaGgFrTwU73qdgV4klckt6udN9c2EimMyCkQLjgASLXGWjGChRIRxIAhdJm2AsYC8VJFrLalrTDsAQxM071qyDSnd216Y3bUlcLo0QSD4U9h12mkoKMoUMBfwutd7pW3G6XnFWBT5lQUyC/Nd72OJplAGuzGIlg43J7Ed/PGthERw01Rxrc6I/7Qz2FJiHZou+kKfR/ORqVrd5rnH5/FJGUFoJSUiF2cA2xMLHiEwAcBXlFFHFOueIJA6xAAOABFhcZ6JIiEEhBEwDN9NM2AszYmgM1Fo0i3DyCAB/gA2ZHcGdqfNj4YzPfjMCA0zUzQ74YSOBVTtYuNRXPhs1fAiOrVgljms7omzLiZIGRuvOH4pKWXnbnvU1NR6XFTRF663LyUTFeU1isPU/KXmRpXFVJQyrNM1+FeWZWm+w4pzp59AlZoovojUhSHnCOSxHDphATE65ZnouADgEAFxKkpBMIUAMXteE63hwx2stswF21AProR8atb6OnZqAXTovvorJHg1WcmDTAQWsC+dL3UZG/jxVkm51E/BKxTfsDLhTogyhRyhOu0QVgGHBVJNZnZkPTZB/LOzOWMgVY7+qizPNYBTKJ4VTCE/puuaAuhBaTmyJAjUzgj24Q0fZhVqt7PDDuwG6tAokkbggAAcAA/BcSYLEbBEQKLRjOlgOQLcRKX+Ah53ZCv5pbgoLsQpKCgrpjpqrC7vmKarCuIftoDGwYPM4tTMzmbNbhhgxw4/D+FGBOAOAA+BcD4BCDgBbgAUgXA+9bg9ouAUoXA+8cAUoXA+8cAUgXA+8cAUQXA+8cAUgXA+8cAUoXA+8cAAABNG1vb2YAAAAQbWZoZAAAAAAAAAAJAAABHHRyYWYAAAAcdGZoZAAAABEAAAABAAAAAAABMFkAAACfAAAAcHRydW4AAAIBAAAAFwAAAAAAAACfAAAA/QAAAMUAAAEbAAAAxAAAAJ4AAACSAAAAnQAAAMwAAACaAAAAnQAAANIAAADKAAAAmQAAAOIAAACiAAAAxQAAAMIAAACiAAAAogAAAKUAAACyAAAApAAAAHB0cnVuAAACAQAAABcAABCPAAAAqwAAAKAAAACnAAAAuAAAAKIAAAC5AAAArgAAAKQAAADDAAAAqQAAAJ4AAAEOAAAAoQAAAJsAAACUAAAASAAAAAoAAAAJAAAABgAAAAYAAAAGAAAABgAAAAYAAAAYdHJ1bgAAAgEAAAABAAAbRwAAAAYAAAABbWRhdAAAAAAAAAA3AUYXA+8cAUgXA+9bgduAAUwXA+9bi9JJJEjuAUwXA+9biImJPDhcAAAAYG1vb2YAAAAQbWZoZAAAAAAAAAAKAAAASHRyYWYAAAAcdGZoZAAAABEAAAABAAAAAAABTOoAAAAGAAAAJHRydW4AAAIBAAAABAAAAAAAAAAGAAAACQAAAAwAAAAMAAAAGG1vb2YAAAAQbWZoZAAAAAAAAAALAAAAGG1vb2YAAAAQbWZoZAAAAAAAAAAM`
+      url: 'audio/greeting.m4a',
+      mimeType: 'audio/mp4'
     },
     {
       id: 'thanks',
       name: '🙏 Hey this is me...',
       description: 'Thank you for your message',
-      // Sample base64 audio data - replace with actual voice recordings
-      base64: 'AAAAGGZ0eXBtcDQyAAAAAG1wNDJpc29tAAAAGGJlYW0BAAAAAQAAAAAAAAAGAAAAAAAUEm1vb3YAAABsbXZoZAAAAAAAAAAAAAAAAAAAu4AAEGQAAAEAAAEAAAAAAAAAAAAAAAABAAAAAAAAAAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAIAABOedHJhawAAAFx0a2hkAAAABwAAAAAAAAAAAAAAAQAAAAAAEGQAAAAAAAAAAAAAAAAAAQAAAAABAAAAAAAAAAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAAQAAAAAAAAAAAAAAAAAATOm1kaWEAAAAgbWRoZAAAAAAAAAAAAAAAAAAAu4AAEGQAVcQAAAAAACJoZGxyAAAAAAAAAABzb3VuAAAAAAAAAAAAAAAAAAAAABLwbWluZgAAABBzbWhkAAAAAAAAAAAAAAAkZGluZgAAABxkcmVmAAAAAAAAAAEAAAAMdXJsIAAAAAEAABK0c3RibAAAAGhzdHNkAAAAAAAAAAEAAABYbXA0YQAAAAAAAAABAAAAAAAAAAAAAQAQAAAAALuAAAAAAAA0ZXNkcwAAAAADgICAIwAAAASAgIAUQBYAAAAAAP4bAAAAAAWAgIACEYgGgICAAgAAAAAAGHN0dHMAAAAAAAAAAQAABBkAAAQAAAABJHN0c2MAAAAAAAAAFwAAAAEAAAAuAAAAAQAAAAMAAAAGAAAAAQAAAAQAAAAuAAAAAQAAAAYAAAACAAAAAQAAAAcAAAAuAAAAAQAAAAkAAAABAAAAAQAAAAoAAAAuAAAAAQAAAAsAAAAsAAAAAQAAAAwAAAAuAAAAAQAAAA4AAAAGAAAAAQAAAA8AAAAuAAAAAQAAABEAAAACAAAAAQAAABIAAAAuAAAAAQAAABQAAAABAAAAAQAAABUAAAAuAAAAAQAAABYAAAAsAAAAAQAAABcAAAAuAAAAAQAAABkAAAAGAAAAAQAAABoAAAAuAAAAAQAAABwAAAACAAAAAQAAAB0AAAAuAAAAAQAAAB8AAAABAAAAAQAAACAAAAAOAAAAAQAAEHhzdHN6AAAAAAAAAAAAAAQZAAAABAAAADsAAACoAAAA0QAAAKYAAACrAAAAogAAAKEAAACjAAAApQAAAJwAAACqAAAA3gAAAIkAAACKAAAAuQAAAJcAAACgAAAApwAAALYAAAChAAAAnQAAAJoAAACdAAAAogAAAJcAAAClAAAArQAAAJ4AAACgAAAAogAAAKMAAACcAAAAmQAAAKEAAACkAAAAqAAAAKkAAACmAAAApAAAAKMAAAChAAAA/gAAALQAAACqAAAAoAAAAK4AAACuAAAAnAAAAKEAAACXAAAApwAAAJwAAACyAAAAoAAAAJoAAACoAAAAlQAAAJ0AAACZAAAAoQAAAKcAAACqAAAA6QAAAMYAAACpAAAApwAAAKAAAACsAAAAsAAAAJ8AAACtAAAAowAAALAAAADSAAAAsQAAANIAAAC8AAAApAAAALQAAAC2AAAAwAAAAKYAAAC3AAAArAAAAKwAAADXAAAAzgAAAKEAAAClAAAApwAAAMcAAACyAAAApwAAAKcAAACrAAAAoQAAAK0AAACsAAAA1QAAAMIAAACiAAAApgAAAK4AAACpAAAApAAAALIAAACnAAAAqQAAAKoAAAD3AAABTgAAANMAAACoAAAArAAAAK0AAAC4AAAAsgAAAJoAAACtAAAAowAAAKsAAAChAAAA3AAAAMUAAAC4AAAAeQAAAJYAAACiAAAArQAAAKwAAACpAAABPgAAAQkAAACnAAAAtQAAAQIAAACdAAAAlwAAAKAAAAC3AAAA3wAAAKEAAACqAAAArQAAAMYAAACjAAAAnAAAAOcAAAC0AAAAqQAAALcAAAC6AAAAsAAAAKYAAACZAAAAqgAAAKkAAADsAAABYAAAAKMAAACgAAAAwwAAAMEAAACQAAAAqwAAAKwAAACtAAAAoAAAAK4AAACrAAAAqAAAAQ8AAACsAAAApQAAAKUAAACmAAAAlgAAAKQAAAChAAAAmwAAAKoAAACTAAAApAAAAKcAAAChAAAAsgAAAKsAAAC7AAABCwAAAO8AAAClAAAAqgAAAJoAAACYAAAAnQAAAKQAAACmAAAAqgAAAKoAAAChAAAApwAAAKgAAACfAAAAtAAAATMAAADDAAAAoQAAAKYAAACqAAAApgAAAKoAAACmAAAArgAAAPUAAACnAAAArAAAAKwAAACiAAAApAAAAKUAAADZAAAAvgAAAJkAAACVAAAArAAAAKoAAACiAAAAowAAAJUAAACwAAAAoQAAAK0AAADbAAAApgAAALAAAADzAAAA+wAAAKEAAACmAAAA0gAAAKoAAACtAAAAmQAAAKgAAACtAAAAngAAAJ4AAACrAAAAqAAAANcAAAC/AAAArAAAAJoAAACmAAAAwAAAALEAAACsAAAAnwAAAKsAAAChAAAAowAAALEAAACoAAAAoQAAAPEAAACrAAAAxQAAAOsAAACvAAAAmAAAAJkAAACgAAAAkQAAAKgAAAC4AAAAswAAALQAAACoAAAAqwAAAKEAAACgAAAAqwAAAJwAAACgAAAApwAAAKkAAACnAAAAxwAAALAAAACoAAAAqQAAAJwAAACsAAAAnQAAAKAAAACgAAAApAAAAKgAAACkAAAApQAAAKYAAACgAAAApwAAAKsAAACeAAAAqgAAAJ8AAACiAAAAuAAAAMoAAADOAAAApAAAAKMAAACpAAAAzwAAAKoAAACeAAABCgAAALcAAACbAAAApwAAAKAAAACjAAAApgAAAKoAAACqAAAApQAAAKsAAACmAAAA8wAAAK0AAACbAAAA3gAAALMAAACtAAAAtAAAAOAAAAEKAAAAqAAAAKYAAACfAAAAowAAAKIAAACGAAAApgAAAJcAAADxAAAAoAAAAKMAAACeAAAAnAAAAJsAAAClAAAAjAAAAKUAAACvAAAAoAAAAKMAAAE6AAAArwAAAKEAAACYAAAAowAAAJYAAACoAAAAmQAAAKQAAACbAAAAoAAAAJYAAACeAAAApAAAAKgAAACuAAAAxAAAAJ0AAACfAAAApgAAAKEAAACqAAAAogAAAJkAAACjAAAApgAAAMUAAACzAAAAowAAAKcAAACdAAAA8gAAALwAAACuAAAAqwAAAMcAAACcAAAAkQAAAKMAAAChAAAArQAAAKUAAACnAAAApQAAALEAAADCAAAAuQAAAKIAAACfAAAApQAAAJgAAAC9AAAAqAAAAKcAAAC7AAAAugAAAN8AAADPAAAAmwAAAKUAAACTAAAAnAAAAJ0AAACbAAAAngAAAJsAAACmAAAAoQAAAKMAAACgAAAAnAAAAJwAAACkAAAAoAAAAJ0AAACgAAAArgAAALIAAACeAAAArAAAAK4AAAChAAAAqQAAAKcAAACnAAAAoAAAAKUAAACgAAAAnAAAAMEAAAD4AAAAsAAAAJUAAACmAAAApQAAAMQAAACzAAAAlAAAAJoAAAChAAAApwAAAKYAAACpAAAAxwAAAPgAAAClAAAAngAAALIAAAC6AAAAkwAAAJoAAACuAAAArAAAAKoAAACxAAAAtAAAAKgAAACiAAAAogAAAKkAAACrAAAApgAAAKgAAACiAAAAowAAALYAAADDAAAAmgAAAKcAAACgAAAAsAAAAJ4AAACjAAAAoAAAAKsAAACsAAAAwwAAALgAAACzAAAA8gAAAL0AAACkAAAAmwAAAJ0AAACcAAAArAAAAJAAAACKAAAArAAAAKcAAACuAAAApgAAAMUAAAC8AAAAqAAAAL0AAAC9AAAAoQAAAKQAAAC4AAAAugAAAJwAAACeAAAA+AAAASgAAADWAAAAnwAAAKwAAAChAAAApgAAAJ0AAACjAAAAoQAAAKEAAACoAAAApAAAAKcAAAC+AAABDAAAAN4AAACYAAAAoAAAAJ8AAACjAAAAnwAAALMAAAC/AAAAswAAAJ4AAACwAAAArwAAAJwAAAClAAAAmQAAAKwAAACYAAAApgAAAKkAAADhAAABXQAAAKcAAACoAAAAoQAAAJUAAAChAAAApQAAAKQAAACfAAAApQAAAJ0AAACnAAAAwAAAAKMAAAC0AAAApwAAAKsAAAC2AAAAtwAAAKYAAACmAAAAmAAAAKUAAACmAAAAqgAAAN4AAACyAAAAswAAAK8AAACXAAAAngAAAKEAAADOAAAA0AAAAJ4AAACjAAAApQAAAKIAAACeAAAAmwAAAKMAAACiAAAApQAAAKsAAACnAAAAnQAAAKQAAAC6AAAAtQAAAKYAAACtAAAAogAAAKIAAACiAAAAoQAAAKwAAACgAAAArgAAAKsAAACiAAAApQAAALAAAACqAAAArgAAAKIAAACoAAAApgAAAKUAAACjAAAAwQAAANoAAAD0AAAAowAAAKwAAAC8AAAArwAAAKYAAACiAAAAqAAAAOsAAADAAAAApwAAAKoAAACdAAAArAAAAKUAAACmAAAAoQAAANcAAACnAAAApAAAAKUAAACoAAAApgAAAP4AAACtAAAAogAAAKkAAADTAAAApwAAAJ8AAACcAAAAqwAAALAAAACqAAAA4gAAAMQAAACpAAAAqgAAAKgAAAClAAABPAAAAO8AAACxAAAArwAAAJkAAACjAAAAngAAAKcAAAC5AAAAogAAAKUAAACcAAAAoQAAAPsAAACyAAAAogAAAKQAAACgAAAApQAAAKgAAAFBAAAA8AAAAJcAAACbAAAAlwAAAIwAAADKAAAAowAAAKQAAACqAAAAqwAAAKYAAACrAAAApgAAAXwAAADVAAAAmAAAALEAAACoAAAApQAAALIAAACsAAAAqAAAAKEAAAC4AAAA5gAAAL4AAACqAAAApgAAAJ4AAAC0AAAAqQAAAKkAAACxAAAA8gAAAMwAAACfAAAApQAAAKQAAACeAAAAmQAAAJoAAACwAAAAqAAAAKQAAACsAAAAnwAAAK8AAACmAAAAnwAAAKEAAACdAAAAqwAAAJ4AAACiAAAAowAAAKMAAACXAAAApAAAAL8AAAD/AAAA0gAAAMcAAACuAAAAwgAAALMAAACkAAAAqwAAAJ4AAACeAAAAqgAAAKYAAAEMAAAAswAAALIAAADjAAAAywAAAKsAAACfAAAAqwAAAO0AAACcAAAAiAAAAJYAAACRAAAArQAAAKEAAACXAAAAigAAAJUAAACQAAAAtAAAAK4AAAB6AAAAlAAAAJ0AAACIAAAAkgAAAJkAAACSAAAAkwAAAJoAAACQAAAAsAAAAL0AAACaAAAAjwAAAJsAAACUAAAAnAAAAJsAAAChAAAAngAAAJMAAAB2AAAAcgAAAIEAAACXAAAAjAAAAJoAAACYAAAAmQAAAPMAAACUAAAAhAAAALEAAACPAAAAkwAAAI4AAACVAAAAigAAAP8AAAEfAAAAogAAAIsAAACYAAAAigAAAJMAAACPAAAAlAAAAJMAAACKAAAAkQAAAJAAAACkAAAAjAAAAJMAAACMAAAAmgAAAKMAAAChAAAAowAAAKgAAADCAAAAogAAAKsAAAC8AAAAjAAAAKUAAACkAAAApwAAAQ4AAADNAAAApwAAAKMAAACuAAAAqwAAAJYAAADaAAAAtQAAAKYAAACpAAABFgAAAK0AAACqAAAAqgAAAK8AAAC0AAAApAAAALEAAAC5AAAAogAAAKoAAACgAAAAnwAAALEAAADRAAABGAAAAK4AAACkAAAApAAAAKAAAACoAAAAoQAAAKkAAACrAAAAnwAAAKgAAACpAAAApwAAAJsAAACiAAAArgAAAKYAAACmAAAApwAAALAAAACqAAAApgAAAKYAAAClAAAApQAAAKEAAACgAAAAmwAAANsAAACqAAAAqAAAAJ8AAAC4AAAAnAAAAKwAAADHAAAA/wAAALgAAACVAAAAoQAAAJ4AAACTAAAAngAAAKcAAACeAAABAwAAAKUAAAC4AAAAxAAAAJAAAACoAAAApQAAAKkAAACtAAAArgAAAPsAAACmAAAAqgAAAKEAAACgAAAAnAAAAL4AAAEPAAAAvgAAAKcAAAClAAAArQAAAKoAAAC2AAAArgAAAKsAAAC6AAAAzAAAAO4AAACmAAAApwAAAKQAAAC3AAAAqwAAAJwAAAClAAAArwAAAQYAAAEAAAAAmgAAAKkAAACdAAAAnQAAAKMAAACbAAAArgAAAJwAAACsAAAAnQAAAK4AAACaAAAAqAAAAKsAAACiAAAApwAAAJ8AAACiAAAAugAAAMEAAADRAAAAsgAAAKoAAACiAAAAqwAAALUAAADdAAAApgAAAJ4AAACkAAAA1QAAAQUAAACwAAAArAAAAK4AAACzAAAApAAAAKkAAACmAAAApwAAAK0AAAC3AAAAowAAATcAAADTAAAApgAAAKUAAACfAAAArQAAALgAAACtAAAAqQAAAKsAAACqAAAAtgAAAKgAAACrAAAAoQAAAN0AAACzAAAAqAAAAKsAAACsAAAAlwAAALYAAADpAAAAqAAAAKUAAACmAAAAqgAAAKQAAACcAAAAoAAAAJgAAAChAAAAngAAAKIAAACoAAAAngAAAKQAAAClAAAApgAAAJ8AAACiAAAApgAAAKQAAACgAAAAlAAAAAQAAACQc3RjbwAAAAAAAAAgAAAUUgAAMUIAAFCNAABZsgAAewMAAJthAACe9QAAvssAAN3eAADgegAA/5QAAR8DAAE9/AABXFoAAWJVAAGBMQABoXsAAaS+AAHDQwAB4v0AAeWVAAIG1QACJnEAAkSNAAJggAACZowAAoZ3AAKmNgACqYIAAslFAALpRwAC6+QAAuCSbWRhdAAAAAAAAuCSANAABwEEFKywcBkIMP1upvcWC5V1rhh4iACPRh95JoYTgEkw5BRuI/k6TDPXV71odjf+3xzAUKiJd93go/dwAQwUrjQ2KRQWln65lV578icyqlAhcrOnnngEENvKZCvnC/luwOKZ7c2GkERedSABw7g+a4d2B+Q/gfb3fgYT9HuCmLSF33abK3H7/1LTuN+ysl3zX5EIXV+PgwIr+R/TZ/32G+kBkq30Ku201C0Cs9yrhGKWZYWVZSa2+/n6Kk+2tSGwOEmeVJToDrWxkiAGhPx9CGQWUcDPvGeLcuKNtOVXzgAHSoXcARoUrLDGchREAyXArQDUOJaEGG6CB13riWuJA294ZsdFMFj2kyoPGek93XuhLv6wuSmu0FIiNm70u2SoDQeeHmaG3Gia5dts9OHGelkM3SRxAEvqAz/vTv35Guye9ulOF7dIWyXc0pWPP87eluii67qy7787NSNHjvHQE82ChOU+Yb5r6b07ptjZ11H00rXfIEQNdDRUBZygSWzp2VqcQ5qa84o28vDwzpRHAMIMbK4ygQoOXvdI3lkRLAFO+YF26QIUKQ0G3d8szkhD7mhbc4ABIBSpqPJQjZdxudZUmEklmdUsmlDN1ggFloyvw89kKCYkUTAiAglJtuEmNCmVzwvJLCIUmeH1fxTPnuxidREvuYWVrVG9YRaOcmGTbTq9U1+4pa1bj0+pDpDk/JCj1QymsYMzCLIX7FzKjyKeeVS2SoAh681NCFUhWV3pkCIqsCWFr3mohaGQW4cU9eGD/tfKtw6tlnJztVyXsOoBa7gXIAKwsADgASYUqMzEWRxKGdXW61cWC1NF2IMvMBIptD1xMYxBESVQJfVpuaZnFbOGvMk3bG4V70SsbyEbJYWg+pJiryhuiQ0T6zYgaFsc/uZzIr4bclqVCAeF+hZQqwiOcn/PHuPE50awJrTDezfy8elqmCxetDvgTNOn1aOe8o4m2N7NfceFf/uQqiZ8gus63ntKB0Jns8pe4RwZ8i5ONCFNtNOZbRHbuWbXKMhGxEDgASgUqMx0URTCKCGIRpYTm4gSWLi1sEMEFsNZT1nR8XrawhYzLqH731zR3CXehs2vf4931bdehmiW2U/yVAD/y6kRBLdclugyGgyWWO4vWPPHvLt183fKF/ZYvk87z+J/3cpn6UEvT5cVmHdidrFo+uM6/YzxzRXlHRTidfXAjGyuCsj/8Wpcn7+7jAq3OUpeq/XhfJ06wVJWWDcccu1EttwcATIUoayicJDVPZoENyRZBegGAKjzRbxVCkYskM0VLZ6OejHix05TEGAtqxiaHvKRqZWoW/WjCIuTpJEgCz1zmz3i8WXpFk6yEMyrMyshjwZDPtGKaNan+53Ap9KVIXu6Jkh89zWNRFG3L0ehy6LBe5c8vWLfA/MzqOQgAgYmxCRqw/gfCRNyDFJ7R0y71POzWTzKl5qRgArNY2DJH8GGYHABHhSpjFQgiQwsUomaEiMLzVl1JFmMugA95qL7bMo1iyKEiweJ4BIXlmGa1ZExqhh0CR/BrAKoIlWqSvZEjT7L6Vu388hqoJjG/15scuycooS4EIsGH4tsKVscFzvQtnqJLJZVWuTDPcurEXyDFLetWuVTwVTnqozZ7/q/Fb0V/bHq6rxvZTDoR/X/9b3j2V9MpWSpWriBd813q4WmWThGt6AcASQUrFS2OhheEQRwUb0WWJZDIAz5ZEhv1ZWplKpZtWyN3zNohEGucDggywQhD5K285r3OLLXU77GwY5rI31VlQyPkANS6KIbnSC1HbOKAYCkBGPYgsZdoHR7ORP4UhP9actPeJLT/CDd/FGAWkS8rNs8vDr/ng/3m13tX1hRmwTv9/HeEI1nKnvvxjWL3ZWSKwshRaR7Jct157p29m/L6r4Gq4OAASgUqOxkaIUIKiyWYuRyq7rSQ1YTIYBBr0AON3tXlC26rQpTKrfXCUnPPcXVRYFm3w/vvrzvk6aSLNpB7gDn9wLxYtWhNuVOJUrR+Eu4deXZPSdgQQWH1IqaSJMjUFYyuGlN3agWmasHnslMVzGbyrdV1edtMS7b3RefHy8j96+YywW7o2f/5/mh8aMt0UHn1p2/aruFnNG0B8QOASRUqMzEQR0CR10UTCV5yKcAkaWmABBLwq/uU9aPFLU8ocaMtcXhHESKQRG4pYgAB5FkGiLrr/Ox4rUmHHq4Qg6xZpXYLCBBrgkwQOsttbp4j30gP+3hCNdSXrOgT4pSwV0rTH0sR4J1/8UHlJaT/w4Vf1UvJXKuzCAlBYQa16/TVwuKkwShYe+oFezkzWrvBmMXUo7gSoUkQ3/rvvccaCqfB2R/LwIAAcABHJl2C2SCaKSCaRiWSNkRZmU6PIvN/Ymr711Lf04cOHXSF16wAfH+pIQiBozMFgVVFhS6aGZ0dDtRaLXumPiadPrJImz6EKfDKXmNF2M/2XhfyWVjglBKCA1lsbtM2qyo53PW+uwA9Dh6xijoKxhghAjYRnJ5c9aKFkFBmLN8J/WP6mPPURLlssajDx3CKPCdMu6lXn/P/b8eOclUHUZzydbzYTu39h+4rEsPGg1lhTjs2kh1Kw5/fQ1u46VMFmZIl56M7hAC8CeUn8OvB0R7KQosMnmRxUCYPEidCHABGpn+CzSCwKaLu1hko5xVsl5AZ0Wa3yDbe9A0BKYw6iRIVkJR2y5lQJutBoDjO7iyVCxytMNI/Wp5zIWZ2sqP4Mtr0nTpCHtL4KFvNjqCrqTI1guxdynho9777bMpUuIFbk7L/jZlStKsznlcBdSpWNFN3qpKMafzvmtFjqOa9HUUUS1EeXUjbgEemf4LFCxRFBIF1WrauuuxIQ0xFa5oizJIOMcZ6tozRCZjniWzqa778H1XLa822OpZy4GjMZhoJgXv7nivaqDFTq7FPeIrjPAcanxO34jQrWJ6zmhEJH0asLQRbS4uEZeOM4Y4N1QXQKiAoH1AJRye5mVPO6iL1a6zV241jz7Y5dpUXSqFQlbScAEYmf6LJGSEojK0uXeaylzpOAAEc6sSEB58gAIAJaDOnVAObW7nmdpAbrOmG2lVEMkmnvpUABIMAOa+1QpfkKKJ4sQBYXtrQDQDIPjx7cgMscmzUZV/dMpzbOC3LT82aSiABAo4STYqBsqP0RzW9VBxy+SgLq3vCPJ+2CF6W+YfyH/AqgnRUyXJGJnBtDaHXP4hTW/32SsfAAAAZsr4u9j3kVcGQuloCiaZ0FBSJeBAdDGp3DXidvE4ATTUqIz0QJiCJ3tCCQZZYksA4wABVbtmCwdtrVR9Q7C91ST4a7Mn25KXmm5GzzuqSuhE8+iaWg54YykDc3ORpeX3zXMI1MUbWiwfx3mgr3a2LTk4E2OFAOcfjyCm8A3LRja7OsZIdexBSMP0Fl5Xu1sl+qVgDM76MS453mtLJeTv/ATo3HeV0RzG11pfVhxlXWXmY41mDgEwFKCMpGikilS+JWOCbxxnRFryLlskYDD3Xes6cN6mcmMutJjmmcNVuNXHhvVrlZz4U8YTBjaXPXHLoT61awndi9pc0irve/zDtiLdo9B5FwslBzXTZS1FR4I/Qx5CspXr64L6qLlSLFP9ssmvFaEGO1zXbV7+1cPMcPycU5L+9trzGryM2SeR/HjOeAzeDAyiOH+XBqp9TBEhrG4AAcABKhSojORhkIoiQcCFnbQSzUCwMsQOM1h1DT0bd+VEp4xyzvy99MuG9EqifzPHgvlDtXF97RUQHALI1VXO3a8fPFH8vdXC6qkPQ27cXYD+4j5YsiOxHi28TEqem98WgAGGqsENKrWskEllLwxTvfnWvbHsfgYXhPQtZPjndLBiMztNRneR0+17qpIx4MmrR1zTIPKtPJitSWSQCZbKj9akCi298/dgBwEsFKjstHGNBiNM6aMxYVfN6B0C2SMgJH0mOjjO9C0i2kqTJc9m6+y6oL5decVLbnVBGkkrE2SG3iNGbTHUykGVsEHYah/p+3pc6YFQMTjsvLiqIFnqOSgG3OrQ0LtB0CWyWpgHJQEIBseT8v8CfaV1rkLaOnaRyFj7yIjfvF8MI07wMF+u4Plkq9I7fpM4b8jyyMpJRmBdwCx+wUDAFp/LJ84bUmN43RQv3Sjb893/6f0hzuDgASwUqMzlGRUCQhIRRChaYZoWM0E0ZFjLAZdOkL26pVNVWr1yWolvVSJhEZFdHaea1WFzkLY9dR0HSO9sIa65pyU8GAGrDSMsYqKfYil6qGu2xe0yo9+2bwMiN5ix1IRO7WuPkLl5+zOPqWd9CXGHOpPJiNSDXxr+kaKdhOWlvieDSjCvMUOnRO09e4AbEINDRZKkY+7Tt3IJABbnFqRakBwBNBSojSQRGFaeRMSWyYhBbSiWKAO8UE7k4N3nnpLY6/G2vAeUqu4+97qAQ7bYcRmsuh1cQUuM8S52ISCjRUsA04MuIDgzk9RbdEQg4zcemFOm9k2Lo33g/yr6xKzE1W/qNLHCzV+5w3IPDcxmdv2zsJLJesPJrO1vaxaoNv3yfzujfMrLtyiy6S8npZZY/+VgsqrhcL6RCPaiVgOAAS4UoaiyMKxJLSh3egWZxCQBASfo7TkRU6+pgspgGsIdu3GLn4THaptVeXV46QZGFW6WIhOuuPst+IO7nQBB6pjUOrGeZja6bzk+jfp8jeW5UR+7LNjErnFPJFcSXefOhDy6p0ueWjI80PEDr99vYvXClfFOIoRYaz6z3Ul1pjFUY4KwguvaZPWe2WDYjcgly6l6IHDfDNADgAEwFKDoWBokniIBBwRQaJaGl4DLGG25k8iXgdlUmZpMUwSIBc22a2BdcKNSGWJ9R0l8VQciQX9C1c1NVbk4opj+iDQ4dq9T+WiKQw6sTQL2/fsk6K2PmjMbJntyZ7YlClFIzEZ9LpwrPE31JhWyZsJQpIlfMY9eR9IAKhw+5H45wswS5q1hPJeCmkngTCHzKU6QNlUucPTREBO+gHABMhShDLQppIxiLmS+DFdFBYcRFrYOehv7gljshaFCMS6jLIQ43xnFl1mNB8tsmER153ydqS48zY1zKKUKU7rHOx87lLjN2ca0xqXdUnkoNs0VZbVspe6vBmkvSUaV+gbZXix3phjJi7K3HRONo6CmFRsQ0qobS1oCeg51Il3VVapZWNWcdPaw3gcLzoyJXgDOZlyooEjYxOig8B84Bf/LA4ABNhSg7IQ5KFJxWr7au1UEuxbSCApYhoXi5pJ8vOa9OMgZBQwTa8hXDypi/0dVFLhWsFBUM76aIM/Altmkl4FRJ/8Y43S6ReY2mib8kNB3eYYSURwT9y/Bp/9nQS48uF3QO7zYli2VVEDMlKlP+gvnk8JXjphgsve0qTlaTaujWUaEZXtnkVl2nZPMuj0y0UaaeMSbMMQcAS4UqFDkUIScd66OZ5kYZZoab0tYMQAPcNtdRQ8UZMJl0BoHUeQlPwyqsuYF0UnqZmBTmEk5h5bhqDhrEZ750hbq5ZBwKObK7hLbhTGJ0bWFwVSxH9JSNphAA5cGqxiNcRk/hTvAFR6s3mUAdKAFLHJM3jnKE3clalg2g14TEZoCZRHOuO/V1SemtXBfgV1+WUmwKwJRGTilAHQ0RdmXLr8GAADgAToUoayiKgSWIXVmr2WYaGjfBcTRsAYL8xKQaz6aG9SImghZIWmEpqgygU4pGRxe1VYV9/BKGUjuXkxVwrHJBLYTjAqhC/es1cBipkb7IO0biJ9a0dmg18d9CWaW1MPe6z18QakJp4QSl9oCOmGfROlY+xfOk6EAdiRBuV0kk3BUvaFN/mxrNPeJ7QgNpKUc3dDQ8JI0Mox6GyIdVwoePOE0ZnmjyLcv393oRBwBPhSprFQpJFL6qHEop286UDRocKNiB1XN5NOtPUzmBtci1KFZLjR6lEabNiHcBOGQtK7C5ozYzudt2uFumqbyropAzY0emfjxZywiAReIC/1Z1bHIVJoJPKTgSBaQRbZ4drNWEbFN2/5qMDnHokmiTzmfD6SWKUGKm2NPLgYS2PFhuLXUxTwPH4sVcGa6KqVV2NU5Qnje5RkLoHQDgAE4FKHsZBk4RuokcMoYl2vEXaHAhmWIODTe9pmTOotSmimEcNUWoDxSCSmBHPIZ0im2YzDJW+kCgwIPTOw3SFEVMCTksJollnOkrGvHidR762poYtsBieeg5x1v90jOo/ECMon1whaOgC4W8cQtLApRg0+ebaiElxhgYwBK+wAYDBWEd9p7kx2ydPyDalnJ5S6oWDutedjJW1mkCvNC4OABKhSsjIgjDQ5KMpkB5UoXAiIkaKjAJunm0x41rcZ3grz80CoXWlRsSPIOhG/NKjoy2n+c0HXHEphFFmLUcnM4WWekbqdP8gJGihSNYvRVmn/3YwmQewQH2Bz3CSc2mYGTzpxCau5QSMaQLhO1HDA9E7McQIMAc6woGzEKgVTIFTkCxxrGbyRNel06wbyP+N6+2jecZ6Cd6p7QTVk0Fi/KoA4BKBSo6FgbJJokNyumyxEhoLhGhjJAcLa/W0xTJcrddeEmsOj0UgH9fckaSIuBCAA+PT4MGQkkIHFk5raTIaOzADJ7GpwpvYAmg0RnorYWXmIAMQQofyZqexzxbEG7K3/7s/vY8ft2RkieLtMju18F5uKFlYAHQptVWP8rDFBKEmBFGSFvMiCzpzxM+iXh0/z/zH83XuGIZUAGUnzOeSiHI1AcASwUoeokGR0CSRIirRd0YZdwLXqLA5sG9oS/FGTSkgo3ZpZ1VZQhkwyUItaA1cLAjGJCgESuCX6+u2CBqcEM61tA6o+CmzBnWrUhZ/L7UtM/QTQxCoVJAZgzpOB7aquRgxHEkzcfSj9B4PXSuTY3ZOKQryTMXpE8IHqlAXYkcBBa3SO+7OwYu0Pfnw6Gqc6Fc4RcAL0zolQbWlMHASwUoIzEMwSGLwtaIvuyFtZEuSSGZIDxdV6qbSL1Iu44Fk4U+Ocjqw9atJ394o50SRr3u9T4q4foJLqpKIg6C1Qv1YJFoZsfATAybG9FXM11c7R1l5eyWakaWTx456FqYGtfJFf4cuZW136lHma8d0k3CvuqlrRl2PK1ZceXFFOceG2901Y0L0ggtXZhtFL9qoSff6aWOAOAASQUqIz0QSBMcnVUiQsqXmkWi7KyoYNypVHE2OpU0BBt29inNiFmBmp0T1pTK+9rL6AWxJpXVkUWgWS3uFEGBlM2gKHMxs+IvrDljHZ6JKm/JPs4IRNl8ZhhsI2C4atdmVZYuC83dC5uFreyEEvG6h7bv64yO7ZHo+R6DEJacV1oODtQrvjjCkTUauBCVttfHAxLpIFwUySny6vkrTjsAOABOBSgjPRJIEo9tVh1A3xYLOBGmMgEC0ZCxahw9cn4nqFnvOVqexA7tPmu8MuOWnTRWDUQinOoi0T3bSzktpgjYGvjqWuhFZwMWet9JEOZUhzLBE6jqn6dmNcUuBBPSignji8u9klDWpRO9YxuVCUJ0mI61ABoIRRNMegT4BpAYnLD8yrlCXBem1Mt1aPa00nJUthIs2ysO06IX4fBmn15fthBwAEwFKFshFEUREMRJmfhNrYNJYiaEtblZsN6n+OolBeNmk9+vohGUoRM4By5SKj2lNYKDI8wJms63KCc861QyWvfCjKFtFpYTKxoagwNiCHqVXyTwrG+eBoAwIZDaRKJmnvNRMUq0lU4L2bNeqwGAQGLmdT5tz39t7gqGIo7s0rqdLJPLQyDzN99ATw0MTiY/Xge/CQGXwSY5mUpeeX5/hf5uKvbmrWIOAEsFKjMtCsFBkgwkQRLJvVq135DduhCJYCsCC8PJWSzVw3UK0kYBQ02DsUTPLmSkFzbuLefqwRcPMNqVso5gTN7Y/POiIYPzKAbsiY4DhHN6woilW2ktIrgCfL7kdfqJa9tm/h5XNUbQaUIjwkR9o/a75+DxpgO5WiIDUAFMM2sHiMwyzG9k9INZYCSzddxftnFQ7es6Y6E9SCLWaNZ1SCIzDsiIXNAA4ABMhSpbIQhIEZFETWho0OXVAslwsAoEK2aaeL05tRkCDYYlYjHZwtiOTLYRvZuXVFw9spk7NQvOit4vut0BTI6+DPJ4Y4DDW5W5kkpwL/Gwy8Qp6EKfOsOT7vDoft0o+8+3vc65RddGfeaST2HvWgN43Ap8Vo1mfQKfDvu6Xd6FLVXXuSUjshRGbEbl7HXnVpF+mwBHkoV62n2HtOrp9RdTWM3ZAHAAS4UoIzUYYiMJCoSZ9ATccEsWWUZJglum1GbfpTgsRbaklQLOmeXmK+tFHk1dLzeCfGg4JaFI9aUhPpYCAWalfQNRMGNPWj2F6C69XJ996mAMsGchKP3Zd6otFNcEZ18FobB73T9dLft7jVc/Zz2dlsRDHF2V9akgiq0hl3eIF2QorFATAdFxnkMVq4oVZsZ0HY/WJQUzm+mGPT/c5ase7UygcABKhSorRKIiHBnUyGWLgRaNAMALhaxHVwCqedVE7pZTPEzcr7Uvu7N3SsVqQFJlLSnb2U05WEQPCAbX9Ubor1XyWMoLTDAo1HIhCZNDK37cTXq6mXXqrRbyxZmP/Glf9Lil1HBqTKXzKUQBwxicyz4VIqXRieVlYS2wJaPOcW9CLWQr5KT9ogBi5P2hudZ06D+v5Xhb7TTBkIiUTRovYneC1QOATJUoQzUGThGiPMghjWOGLRFyXgc2Cc/Mq4JgWFv9ejEIrJ75cXeYom//S1iZE9nCufhLVuRieAqK64xZ0CBF6bYIortYb4l5ps4bRvQJSgZQm1Roe7s2j/Gp+zZcBd1Xx8Vzl3rwGXdfx9EYUFQpYjC7uwLDiwuxG3KRvWA+IEbzvbDKmHVEtIwdrkOxo4YHYne+O0UsjnI1QB/O9RUAcABEJhuomFXzDE0WaNiqFQ2cFi7Empz0mo598q57Q637/+lL9l+10v/pZrz7HQuv15fkBwuOUOxCGYR5Ch2HIDuiVrzlltkB+0rkZMyCZzWeLuz7bZ5HUdf7mknFph8S9x+1qLay372tENBzrydYbQnolrEJchfUum9jg9cpKh6Air3grTNuCqNEZBA94HRr0r1tRXMHG3smJ0Ac+niBIPskK59vFVxmdU6v18OFCFI4Vw7jAKePtdDOjwKjAcfAhLNJYtNxMUeECLdSCywHhkh6qdGfwUr4Xss0yB5EQ64ya2LBkDMCvQ91wqvPDDMYYeHp6E8XHJrEFzecgC44AFK1KyQijsZCCRBiVSkZY4dipdx5dzS3Ts43qwEAswWbo0TFw0w4NDOeLNPFX6mPhEMD6caoYzIZyJzOicSQNrgLizDROBdAunSyTYWh7Up1oAMRQaq85qCTmSjag3GOkR6LIHynJqqbTnmyXvFVE1oKZAO8Am6x4ZxynQNZvK6XoudjhiDbKermGy1KWADKpdSB3ZJZjfpP3WcpFB70ML23ZGUy7SQBP9OC8L+YAAi8/OAOAFMFKmsVCMIRIQRkURiYjbWnyWLWu5rSaApYB3C9VyPhw2aZQ4gGhL0kbDJCCmptEMwpNo32Zb9e8/KjPHoTGLJRXVP3ebXcdSdMfiVvTZW9LxUvmtE4HD3akGAUHb/vaBnSLgnLTiNkk3QanUUbZaNXFzPQpBJvN24/PoU6BW0uixcj6FJ7doYf16Nb2X3vfAeIOjidJ1AavtJ80erLlR07QAeeyVb/e4OAVIUqVBmOhhY30isNHgTRDyWvSawxLAF9ry1C2dArFvjmJutx4SVuufWU8wizwrhUwzdITyqJ5uriVIguIBVcfDjy4znSJPRFAxTWIgSGiwJMBKDWpbs3srk9mrdjzN1bXahLpYAxiC/ZXd3xd82OVp1wMSjt3Ror3QAt8AVvSwtgQ9Gvnhy3Ty6lsV+0JO/ddh0vt+if7XqFF9QBeooBwFOFKyQ4QsQhsFBCZAiVtXdy8nF9tFOpE0DppbvSwjrjHgtYIStFKakWrmvhqfPfDOC5Bs5pRCaJ3CvFoWKWx4ZADJmco6iRJVTRwaNzrSuut6SATQyVGJ3BjZ++a3tloA4fGr1NV9K2W421jZVa3GQ5movRpE66G8K0MK5nyYCzhRi/vk8oADXP+Hv9G85sQJSnDX90XndEF70LtMgMmLYp/f9t4AyYn28IzzBwAFSFKkQdikJhqJBGIUGIrcGNdMi04WC0e0mQiB6FwH6twxz59KsnrT1u+1Uwq3BA0dSyQUYBPUp0qGpBF1TeDSDiEIxtWvUkFFoQjIsScTl/2UXquvy9Uxc+qiHcChxEDuRIUzEJE7r76v3/RyqJt2De5hfSprrRQqfhWNSfgv63hJgAtmw+bJhSkDG7mkMS0+fa8j04RbG8tRzZQ3xakbIKWW1PufQ6b8R6dgBwAFKFKystTMFRsFBCVAiZlH208+YyjJOk21Z0nUubxcBQYV/rRUiyinZY1RM6k3WoFNDc/vqbGG1orUyNHKzGbV3eS3vG4SxMwd/LdO/3Ym4X33zu8BCBw9Fy4fWI2Am6yvGFNVKzblsieXct6w6ROD193WkecgAMlvIyZqAAJ7MqsSFILKltwHC4iwUlnXjTaNIEQAAMoI+RDBAHAFGFKzQhikNgoUTEQRt+9lvPQb3CS4I4l9J1mzgER6EXacof539FZgXjx40g7oBESrslxBTkLUxqD5tPaqDZqprKzs1ILJENAgG1ZF6JNC2K8gOMJhzv+GvEdXd43wtm+Zgn2RN0p0VW5Gh3Jm/DhV9GOkmw+lFi9PJZIADf0jtKKrAAAIhrzeMuBYfS/yWwRbJ5WNo+T4UYAAC8uj9VwDgAUIUrOy4CxBEgxaz1SuI9oxkF3NrJrU1L42xIC1l1S3HPqFaHzchc+9gUmMDvEf60IegAykSBC7g7rD7by/SWtUI6mzqdRs6UwUkXOSVioBDsAEdebD4dtFNp8AHXzfRsNJTk6H+T5NdMuBmx9UCu0cla+ZR9v4X5KgASSEcoABSSka37eT+m3rzB78HmxbwxAIgDPOgBwE8FK1MlBsFRMIToISv2Lpc6i+2QcQsdPLV32TOgjpSv4UjnGYzKMIBJu4RgGEUFkRI/tvTJhW2fMct7y97eNdPSzOttVpoUUMIa7IslMHtWGIlO9Ttn3Fpnu8t2+QABr7+H3zdlgOrpDzzJap2dD5jddGv9uPi+Tl80pW+f8/zjypnArP+P4f8hFCgjjQDCAvrwaQxmzGD2RcfjpiAAiBU3NIAjADgAUYUqTB0OokGbXzWLtbqTew60BONPKXmRdg0n7nShNO3C0TJ+2tqFXxXgRcgODMFIiqc1Z9nrsv57OlTuZQztRj3gvQqU1xKPsw4PNeOiO2zWVzsfB8n+v6GI2AJwziNPvEA2wUggOKlJ0CoQnwza3YWgzbW75FACYwSri2eQk0aAAMebqVqEnVT4P/J7LtdkBUuAAEuRuOgYKAcAUwUrHDGIiWCYkERDI9VbJLEJ1NtMzyV0nxZkIBk56JPg4s2TmkIowyJw+eCgZuMYgRwCKIlNsUn8aMlABDIFh6yrfPdrsjHmhppIebXdU2G7p7E0l5WSmd3scgSJ69JNa72syLY3JVBeb4UpQmuNwNPIU0l3GWJ8H2Th4QAL0dtl9jNc+g9GdSwIejgGRO16b/1ik8U8oUZIUctey7obIMGh+v4Y44CRUGn2/Kw8G0gBwFOFKxw8iKNCiseJfNnCluDjEazoOLayjQCpvSJCgLeblhFOalkLqiA3l0BJX3CYUG3CDuHiBdsKQYx1ubYqJjwluXFQfMnSjmXJhjVPE51o+fbypQwimdxjn9NqzO1bzIfEFoWRtNiuC0zXJRdiabjvLv619aPJRN0DjcAzfnxgg4fj5IzAAyimH12l5nz1of4Y6qhKlSQA+H/88S4A4ABQBSpTIQpFQRrfYUS1bcWXwRozpwcTdiBL/B8d2Sb9uGF9Da0XlWpYhAPKpdCt1i8jHO/LPn12dsnOUIF3FgKOVA7Lm021BAfryg/MwRR8Mo9n/O+pW43mg5n4ggubgqvp6vslVN6WSX3fdx0qPehYegAMHS1cnErdEiIXlClACIAzzxetuuOGnydzErDZaM4braRAAFAIXA4AVAUqQxYEyQChDY8RZDzuhdyyOC3TqN51MsHg1/UT9lhnj9peqn6MWjJOQ1oXareQRpSAQmQyhJWWcGQxKANLonu7atuefZZ44ceze+/Ru8r7L61lNSCAuOSbb785vAK2ggAHVLdtOcQ70CzhFCuFZCutxJ7jlDN7C2x6sABrRCW2QTzaVotavV9jSO0BK2k1r54avkOKusABs56btO1Nrtq9VgACgOAAUgUrKy4KZEIaQG2Ba+mO4C5fRqWmuNgGbtcnvEJ8Ij7661Vrd9UhFXWROwMcWWUS7xPtOeS/rdxxY2ubQLTCM9ElKTClDDVJPpChAELxtIaX7OtqGaKfTwfHxu2P0UfTu5f2hqYi07m7gdXMDKH3DTNQFNJoZIYLGjEAAsCJs2vw7nlcrgliCVcLcWhh4e90z4N48ABRhSozKoMEQhiQRsdi9Xpwd4gjLiaj2kdZky7AK/oL/Qf+JO4XgvzeW7bU+BCPXsfuqbVUE8tMPPZEaTUQFHd4UUx8L4DnOAMlpW4KLagqJKxGBq0TXoclbjNe+fd3+fh1aunqtafB9G59CyfnHQ02S8VvVr68CS9AF5Kev/TQ+OjU1thquCoACQX3UtTm4nSiQBWdMOTEABDKABwAUgUrOzTEwUMKgE5vCuNfAbeM1S9EvRqdS9c5AaodLHFeh2q+5I8MngAKKyD6qd4lPF8h2TUdUI5dGIViUVObtNQSAgZexc3rCgk1XxL6Sbpu180hj84Q73v2XldMvCZw2ztDnoh1PC+r//Av5DcYScmMZczlrEjokAJcOAJTSTsApe80GUXgb57n0U/eu+Ffz2/muAF71g4AUIUrKy0OwUKJUGASCAm8y2/rVm7d0ydQ4ZLrrhoQFt3Bytj1fWT3sbo16+MQL+DWI2YlKUwBMBCuFtIXeZYWXL9A/crp9i3VCqaqxC98vamsQHl1n5lUhA4iG9lNbguVolL8aHSUJ4AjnfCdOiSu9CaWHlzIQAEsDyYRk2opShMGrhy7zRvIkH3fjlFA9e+EKwbelSYc/Geic0W5sMXr4ABShSo7GgiKIppc868umT6JmySLjRONQhitLlPs8E9EHtj1ZX23+i/K2aGV6d9UVYg53YMUkk11MQ1I1NxFp61It8VeFFUNG/Du/9dQPwQqXpAEbepU+tMe8C6x1UmVLlHYqSgRe03zPYgbXS488zUDlaAgAR5lMAQCFvTPUBJcQqIt+2Or2mGsR2ucQ0C6PZZbbCWt1EdbhSZa6SHaSAivc4pXACQHAFAVKzMmAsNEEQxEYRN5LZ8eTpyFNI0td6b4IYDRzJ87MfdSJrdi2cBiBUHldrZp1bTLYVz4dhxZkY6qSkdTWhuVjfukNLIG9QoXrniuAYhWEz5X3u7LnZl30+JS1hayMwd00wwgQu9ovoS1DqM3QIf4meQcQce6g6SHKqQnt9I9Dl05gFJgKZ1ASR6h7BytTDNA9pEFSDtAzruCtLNjmaMqdDX6Ay3YAOAATqZ3os0hMDZQ25tlS/ecL1qdP/D4uL4nteD1df7RLrKDJzphFQfs1lCoT1k32BdWVWsbk1/bpPgZtufD7zZDZHMYejna6LOitQMJDDOABk2VKxWtJr1F2VfJNKGeexGYVq7iTWPkioVI7Jjep1Ul0+iWbjAKoIil8k4WtLLeSoxuQfwHUU9lIC//DxTfK52Zrxi/F+v9BoVaBFzDj8bpNfG01ol5RHX+qdZpipZECUw6DQ12hhi1mdrmIuaxY5bPH8L6J4n8WIhNNRGmDgAwHDSzo5fHnpG8+K9eXpG4BMgazIP4/t/MHABOpl+KeA0Yh2CpfDlrjjhX/b78zOuuNcewdgvtay2HGVUYGkIezNC/ATJ/ucIMsYYpbJ6htV2RWYh9dpsxJKtd0pqnWFv+aEpdJGoarwIokxaK1Cc5c9bJ5RX28rA5JlS0XQH4OUdSb8x8YjHzD6Gh227tGDbc9q16H2PJFL+rdIU6HsyjmRh+/Tlyhl1etwCqgWkX5Opl9ychKnX/QymHKE4QmWhpBZdJqinnOTiqcAabDxPGj1PthQBOAJ5yCQEZA8dSDgBTNSp7GMiiYJoQYCdi59JbfIpa/J1I4E45tsISXO3d/6UN/P8tS4w4zLOsCNGqTKUBlpunNbQWz2jgNzwUneQR68/UGaAsybfNf4MszAiAEy9mi2l5GMfVd0Mv8X6T53yQAXeMXjfP3UuFqYUSXvdZpShQhx490De9F/BdtSoKxlYfXWRZZxxAAOilG/+S/n8MlwlcyBcbo2XJ6LzudZDNL+AbSteo9HwAUwUrJDjCxFMwTSAjfdX8GdC0SW8480vWQ42ABvdivRsbMtMs8O1X4U6WzTU4QyyYQ3fW0XL9mbZThBvGRrROOI7kobGLjUi1r9QEgO24J8ZidHdcTIARHaJbOzrvEgAAwlbU59+fnuORqiCa68T31JmS9wABAU8XUDlS6PkcXQ2c/S59pTtuGQvZBAABGzrbbnJ0nrfVvH4taN+y1kQA5TW63gxOU4BUhSssGobIcRlcJkQQDQIBAjf1LHTvrJ1C6u0L65oA9Wyg4Ym7sWHJWBGOgVAeWJVqEbhzTMbS+zz8GneFKUo42dAdhrl9/2etARHUkYAivagG6I4Vqbm4lAjqc/TdjwOvoABWtOT+OrCKtHVWht2iFr7NbZofn4ZVyrUlJJfg+i9lPhyaYvcAAUIW3vkV60RtXOGe/MTMaf1cA071HDgAVYUrNCWKpACgmCbVjufS7xHGXpjp5JjWl8tNgA27x+3xNxQz/tzagWznOjHkXoZx5qinFzn+5229mBUYI77lNgBzMc1jJhJwJBR3m2cemLXwrpvobFTve+n3+/8owAi6kHF+RDP099bsQior5Ub+rb0eNXihRf0n+ffa/1lcEbxANPqpTxDJOcACU3W89TVYrfEo6fkNbodrzc8HF2e4qAGTho0ei7rLGsQDgFQFKzM6BKIAoURoMBCNiLHnjlj4LB5Za9XbvWAZjXMbowXWca/WDqvPTYNt4tJXY3U7gV9PhdX0/r5pJFINbDkSM1mF1/ViisgIAuRpUo9HFS0wjUcJR3EYrq3qde1wkA4fH/Pmuee0miciREaoh1J8yo8a+QXCDFokO5uTjpl23vadX567djJC+XdoXy0kB1KVcC4u0KJrVS9H039TtKLzuUJ5hWezzYn0pG8JgDgAVYUqQpKGx0QJgEIyHDThaF3ZWdAvTgqWER3hHd/Ly1Z2o4FO6XOYLwYcqxTHbwHBSssB7VjlyAqkEGIAVyks4F47XE6TdZkRmc9BVqxYN/HkpmrHXp/opoqx1ypJ7EpPlvBX9ZZY5v5F6lr5IsVSwcrRGoWXNZh9N3mq2x78eoJIoL4/uC4Pyl51D5zypsd3h6QH5ok+UP3tyjHjADgAUoUqMy4Cg2Cg2EohKRhC5RL6nUVTQvojAqcXKIAGpbGXqF6tjhJXxxaC6c7GFZK+OInh3d2jy6e3yTGtN08ApEoOJG4tOjUomFg7wxiNfrSNeXWyDl4jvlhhc4912IwI5yPkk4RkjORKwKaXQ+8+jWmBalZvWunXRaQ9P/vEXsvtkARH72RgmiEuQTMeT1cagjypKpNYM1gqMExAEhqkHjyfIPXGeGpCUmRYBwBUBSs6pgSHYSDMgnZz1n4Zj8O66sOljG9Gr1VFWANw4TIzzS2wyx99w2YBNSgq2ffNd94+ifU7ladfQi4VCtz+rH8r6+MzUrLd+VRZCCw9woro7dAQKkeDG2SG9NF0PF2tQBBJzvJjlz8MfgP3Fi+9hSCgJI2YO8YebD0tlLS7L537lpEEojZAAElfGx8Mno4KRyPdvCAVnyZNunVOi4AMAHAAUYUrRCaEQmEhzWbOLK+DDgOJimOkvoViABMmmO9LdBjbAHY+dliHg3wbAog6cZQVmeFdcbHdmqmomz4wHUd0IQoGTM1l1pc9hiIHHgbeyjSi/V+XxTxq28Min5+NGqcdw+449z/Yc5bQAPR/wG87cBd1FOARu6Pd/sHP4FNuWAxWS6mD7Fv29jYqCSC8wCEpQN7O1eZXTty+30eDF1ky/VOAyCVCzDGGPY7NsABUHABThStDFsUFobFMqEEjnhLwfQjRXVF7Yu51orcrpb6/H/EDggEykVuTnOR/ryO9ZnIfvw7JVIQbVaIM6aU5tTIsLdkfvejcDHocsYXPRxDDT5EzrexiRrts6AkhGCZwM4WCqSymTympEOP43we+umMLZ3eHqgmEiMMcTwW5btfB+W+LpPNOtdstGzjsq7vMVz3SrAPXGYmYFDZeicne1lxcH+m5i8Th4a8PQeYgATQAde0aNwkGR5+6i9G4MZsTmwar6jAm1YXSTbY7gAyalgBIBwBUBSszIsLGgJCYgjAShIYkTEJPZNctonVeurC7+BmkAIsFEtaUq9PyTBupqTFQ0rR8S4RWACCLjuz34ceUcbn35D2oEQcSdXkL+MP4UHB3AABGniZAiEzcBzefwEY4H8CvinoU7UmnVrsSeGh2jlNHjVqeqtYiDqqcBNBgKihLfKoyyphFThfB5ssIA1pp1tdlDKxJqRsyZI04RcKc1YKqhhAC8mDL9MB8tCv+uvxAcABUBSssKZSEYKFYKBIgTqF+Rg2ZtDV9VxZeWqAUb6c22lxzCljmKy2gBW+s5I5ApL0BQH4U3qBStPaw0/RqkdjAVScH6fLQ7ukLIQFOEpK7UmCbQ2+S2QDQRVTCkpyNVAFLbhsKIROA/jzEgQvsidQy9QSncfyuongFpnnbzsQIKHWW/S3ZmYgHVRd2HTwWHwBvvEVEfs4giHhbo4+oF/LuAZ+PKSPM2guEBbTdPPnchLdOWSavxIyWY5LXgnqn7/BYPUUcnTtjGKPJszVP1IAAcABRBSpTGQrhQrDQgnQdRYxmm+7N5u71adIyWANXPs51jcuLgFkq9G280spe5FZtdWoG0qihkz36dWkVsRaSAoCiMM1hVHEIo6Li+Vt29wiquOuUhX8KAzAfQjEaqh3rXHZLs1j3eCqDghFPLMMY6THdNE9Ns1JG5oai8QBNQF4lFaY3gK/g75Yk6JjVoHqkkkUoNtvZYty+PeVt5tqbv00Tjpzb87RKcCn1AlTTLX2d7FYoxh5nm/jomuDgAFEFKjQlDMNCC0ETpwzA2o8U0l3pYvJwAupUy6W0jKjZ00gYCoEF4pO9KSblSIVSowAsVAMihqBa1Hh7kRflAXrLybJzHMKfdKce15m7lgUhsY+710sisU0swrfhAX/66Q5cC6aU1F8q4xV1a92tfkhZG86VSKLPwpjV9PiIISpozY3hp5vgBH0SyY9+qQrSmRj/nHBxvBV0BIx3umACY7YvIBwAUgUrNCEGyEILC+7vqIt3u9MKjFtJ1EaZoAhVph972P/bS9N6qRyEq+xLyBw1reBAKzoslSOKe/+QrW/frdRRSPeElRUvzo1+SozFCCIETYFNhc/xKgmCE5ixhS8m3wCSIOMKuvG2QNvHC6hYG0CJ2Oq0xa9xjK7ho6NgSBDbFs3Cks2zteAP45L1z1P4plVPNz4kwx5aR5sUoPZlhTpCeShup/DjdD7dgBePn10pl8X8YA4AVIUoegoEgoCw0GIUGKW86t04X3poUTs2jq+EtmkByv+FPRuX+nHy4szKEoT22aUgt4KjqGKTJtfe9rYzakU4vgnBd6ISgLZ7GIg+Ykxq0OOmw5RxJe1GIgNEJ2I1WIRllgZy7ABofP3x/JucFrqZ5TPh94R3epbW8kuYgDOk2lt76QBP/EOHpKzdVhgPoMt1MbL/g0JjG+X7Zqv267OubTOuL9++zrNYAFyQAli1eyM9dfBvA4BShSsrIoTEQrCQpCQYlEs+FdcwtgeG268prUkWAZAObUfWyLWrpsia7aKX731yM1QtiQwDEdfKmw62+NHRERI7hReYNj5qKfVK4tDsUMv2MzxX5SZiTmvL76nzlfWWnT3UXvfUOSWPYg5z1P1ZpMb8SfLBdxV1X2XSOzEmrDmdA5oI52wmhrcpJeXQd3sFGqXVGQF9UFKy0HH/qBGokkFDDpuahfnL0EbyboScAj++jVav7udQlfx6Wvf9OUFAOABShSgjIoaHYaCESBFbc4l+w4TBmGZW+SadGjrnQL+BKLYlamm5duGpYylsIoeq0IicNcN3PN6enYpzbMt2DPui6b8L1Be5REmiABIXqBBWpLnekCed/fPfF+8qr90UQkDH6dCkMpVTcQVjL2r0XlLN6/3DKY5XIq14l1/uBSVvZl5au/FMpvrSp2khCSHTn4osXw5xAA+vtvOmf/gB9d8cUi94zBwAUQUqZYWEo2OhBY8SdPokl/Nlm2A1V9I4Tdxb45B9NVuzUouGZy+r2epf+E76+nbLY0yaaOHZbfseSyYL2ja8/preYcukkzu0MtM6ZatLMKF8rHnKsGSzvOhAIwbwdSIjHJeowr599N3u8CkukGJZIjUEqXRxevx5ofmvCr40xgUy7qSw4KaJQ2kR192jw1nqlJRllh8m7yNFb5eKSspKfho/b2RIW+JFsT9k8Xu7V0gACn8fMBwAUIUrax0GwUIIyIASIATuPJeo5ezSm02i5HSPLMCFFTzNMeSqguWf7n4uOVVAiPojidMA6ywtEN/JJphSiNiwHj4OddZPSBsS3AarcIu9Ov/JkCnrerkQ01QXwSUaeu5GS9wF+KyNyiArXoTPi9uChUwL0uQwbyjOImVOuuqIMzP0eJwNVgYvB/xrd9P3r6NmLDLAC0wsJLRK3Q7oQYdrmIAQxuidDxr+qq7gAE2FKDsghMNCMFCCMhAEigEPUKr2dNM4YXsuNTRqzYDoNlXWfM93sEJcyv17aRCqXln2+IxSfbLZyyWy7YxzvNqYTHPFVffx7NM6OjHaGKWwuzOpfIb/UCxvdiACTQxpOlXnz4w34poI8KwlROE3DSF1L/OFk3fJgwZLsV9nuxgsyKFPLw/l+/T0kfyYO4wejk+qQhgRCDrKpM/pgEjsu3srs2jT6jw7L96zFwBNBStrEscCILDQglQQkWxzu66uzR1b0CPO1201gCDfntmmSAk4ArpQgYWYNWdCfaPg4l8HSYypD9eeMfUfF8x6rg83OR+Nt1nrPFa7C4UQxqWQGgVGuD7ohmeMLhn2PwfhmYLIpfNcjbEvU5cbI1l3POEwlOVrD0LAGt070SiXNUOwjagwQwIjB2Vx3srZMS1SpXdkh8U6v91B2tdAHtbgPDHjmgB/T8/wB4jPT5Yefsnvktn21E/lQx04APvMH3xbUkYp1LOFIWXYu9BohfDz5UknnvMDgE+FK2QMhWKBoMRIMSkUQvZ2pi5xjzUmq8QTSy3CpEBSUydQ9CiIDuEcAfMuBs+AIIi1OvCyTl76vv7UJINW+IQHMf4qbovFG2/zQmLpgCJel4mGaP1pENNQrb5p/8t+Wk0tjAqz93M8HdVGMCakCenidMplGUqHYgrAN0SJFTM2AKOVnYlS6FmjZvHowvdtNX14ZCzi3gixN99r2P6y8f37UgOvP7fw0ZiQqCkRIB0OZPL6czFLBn6u01ZTzYwfUFMwBAHddROo88WngA4AUwUrNBWWASGwjao3eh1xZ0eEnV23caPbFZLANzq12+D0t1hFIFGUbtloQnjFHVl62SGtWO9qaaAmBkR75jItBY1Hp59vNGo0V2uJC7kVeGEl7MzAAZzuHMvnZXvHI+XzMrABGA2S36S5T756xWxwNItoqcM1JdNtl3eXZhUDddpxaPdwltMAA4TSw2hw7cUmknrOm23sG93RzRYAAmgA4ABUBSs0FZCHYRqIQBUWl8SW6S+zhxBkmh1oUDdOstl2Ycvd4hSBWXCCoJJiGzcvdHVrSgTS7QQhXXALAEuG6CnWwt/q3+68Ecj0mInuPNPBbEZNWdzbRaK1caTdLFqUgYQglW3jN2eGW0O6D0naBj9D4tyThpdp3nqfqX1Hm6HHsViCDxKNHc2AAAEdTsraMZypStS6k5thRBOITG6z0LlD4uYIVwBTBSscMIUCQziYIhQJkE6/V66Naw8mHR1RO3C9OLtgCj9rFiWax/2jnkX+jaz1FrGjvo2fQQIMUYzhGQfHEOWKhlITVwYgKQcA9S8414Nipg7JrG4+dlDQPZmaoHi6Pii6FiamiKpak6js+jxIk2nEqGoQ8JaIIl/Utv3DMi4AW4q42j7WYAAIrI6ZVNTlu0bNNodmiv+q1p4kqWvAevn8YR3Ua9wHAFUFKmoVhUNgoJhIISoQRNvMaal2xaqv4uczTmTRfGic2ENOqd253y7F7vMjIUunNlumgAi23mS8rgM8zt6M4uYBHsLvf5wcRItdjP6ynQwUIiChGiS4e1/FyBjOKwcg7mOEAptje8X1bZQMjhUUuzwUezw/6Y+UIChsmS4d+nX9eeC5DsHErLs6BPZYvkB4jD3tE1epRN/H4aK57iVvHMnUAAR0F7lChWbTiyOGjGCNoetsfi5YsIR3nEpJVUZr35uD4gRwg4BUBSo7FoRjYkBUQBYaCNbnRY6IzpeJddcATzExACqNIB6Sx7lL/HyngAM3tBCFb9wZhey06KG48Q/14w3Q9ly9Y4wM3Th3/5yK53QkSAhCo3dXIFn9oS5y0N56e7r9sU3qYAqiZ2eHxkR41M6JjbNuftjDETGh6YrcFC6VNarhjSHzDiFKgTVeIlLN0LhwAAJkU+OtdsY+v6/+t52OtyXXafR4Q2HBJcANrSTttO2qAHAAVQUqOhKExlKAUKYhStRFX56ep8KMu3ti04aVaAiE8iN829fIVk9kU7zGlEhSbq4nIQ0xww517l7/5N8BMLZGIqnR85Mv//x7pipZJyiaBXd/L7vl2yOhW7jhjEgKEWCfJu4s6U4Jr8Fpvo9BbrVaCjaxoUS0WSKxCorJcWQHjfzrpmCNVMmkAJE5D7PDi+3kRiF+uDAnT+LwgK16wwTE/dTZsnjmDgBSBSo6DgqCoKjYRkYJtd466K6toKR5NX3xEOIgBH3ilweVPXFxZSdSE2EGWHxi6p9hZCKlT+khrUb0xq/fTSWa1Gt7o5q9UnjnM6BYDm/h3owDbh/OoWKr8HJBnLr4uDn//P5xTYBhzk27+6ew3CC7WEjqJa8tTf9L7D8AcDjpCoxd30JT1tMAB0ayKGVr7+vZapUzS2ZrU1UZXUqW4eztygEdK6IOAFIFKywlVsNSmhni7T7ywDpZrpsWPIADwB9xzqBv9nH20PfcUZgqceakFEqBQnxGJ7A5Nqe/cutpDtrnHh9Lx/r27vWSbEtpZlnhAnvjLAs0JiKJZSQVs0TO8rVJcrICAZuF27zV6cfbPOJGJWAi+vPXrUs7lfUma1pU3w1usIEAqJ3r01mTZyuQAADnakLajR4tj6L28KAYLwvjtxapHWuXmoNhZGWfc5wOAFSFKjwsxsFCsExoE0sq78ruPOWMadNabql6LsZYi56rwHIcD8xNfncYxZEmBFDOWI7ykQVRillXipnqX5aN2EDnOgKwOswS3WGb8ppqWCcYp4kgx6hLCyi7t0tEiteNzwRYQ4m9Jb5/ERo/1n1dCxxyIQBl9T1NzWtIcw24TQHn4Bfx9uRJpeyAAV0AKV2uTOMoRTgixXWWhQG4rcAMoDgAU4UrRCjGwkIwTMJxoexfnCKHs4XzlR1k6XSgCvt388Q1LQLMjjC6A9nRClB0sLnpDliposIwnVtdJ3rEDiEAuE+BZV2Uw9cSZvx3pS4GpmYDNgePuVrDiivXkWNp58NKVxEvRP2IxTxeX8Rrz2J2Tpbb0SgEC3ROb5381v9al/WqvIBx4fqe+7HHpVAAMH6QEtV55t+kefDI45PD7rVeEtX08O1nCTvvZysUQcAAAUcaG9vdgAAAGxtdmhkAAAAAOTvRTvk70U+AAC7gAABf8AAAQAAAQAAAAAAAAAAAAAAAAEAAAAAAAAAAAAAAAAAAAABAAAAAAAAAAAAAAAAAABAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAgAAA2B0cmFrAAAAXHRraGQAAAAB5O9FO+TvRT4AAAABAAAAAAABf8AAAAAAAAAAAAAAAAABAAAAAAEAAAAAAAAAAAAAAAAAAAABAAAAAAAAAAAAAAAAAABAAAAAAAAAAAAAAAAAAAL8bWRpYQAAACBtZGhkAAAAAOTvRTvk70U+AAC7gAABiABVxAAAAAAAMWhkbHIAAAAAAAAAAHNvdW4AAAAAAAAAAAAAAABDb3JlIE1lZGlhIEF1ZGlvAAAAAqNtaW5mAAAAEHNtaGQAAAAAAAAAAAAAACRkaW5mAAAAHGRyZWYAAAAAAAAAAQAAAAx1cmwgAAAAAQAAAmdzdGJsAAAAZ3N0c2QAAAAAAAAAAQAAAFdtcDRhAAAAAAAAAAEAAAAAAAAAAAACABAAAAAAu4AAAAAAADNlc2RzAAAAAAOAgIAiAAAABICAgBRAFAAYAAAA+gAAAPoABYCAgAIRiAaAgIABAgAAABhzdHRzAAAAAAAAAAEAAABiAAAEAAAAAChzdHNjAAAAAAAAAAIAAAABAAAALgAAAAEAAAADAAAABgAAAAEAAAGcc3RzegAAAAAAAAAAAAAAYgAAAAQAAAA7AAAAqAAAANEAAACmAAAAqwAAAKIAAAChAAAAowAAAKUAAACcAAAAqgAAAN4AAACJAAAAigAAALkAAACXAAAAoAAAAKcAAAC2AAAAoQAAAJ0AAACaAAAAnQAAAKIAAACXAAAApQAAAK0AAACeAAAAoAAAAKIAAACjAAAAnAAAAJkAAAChAAAApAAAAKgAAACpAAAApgAAAKQAAACjAAAAoQAAAP4AAAC0AAAAqgAAAKAAAACuAAAArgAAAJwAAAChAAAAlwAAAKcAAACcAAAAsgAAAKAAAACaAAAAqAAAAJUAAACdAAAAmQAAAKEAAACnAAAAqgAAAOkAAADGAAAAqQAAAKcAAACgAAAArAAAALAAAACfAAAArQAAAKMAAACwAAAA0gAAALEAAADSAAAAvAAAAKQAAAC0AAAAtgAAAMAAAACmAAAAtwAAAKwAAACsAAAA1wAAAM4AAAChAAAApQAAAKcAAADHAAAAsgAAAKcAAACnAAAAqwAAAKEAAACtAAAAHHN0Y28AAAAAAAAAAwAAACwAAB0cAAA8ZwAAASB1ZHRhAAAAHGRhdGUyMDI1LTA5LTE2VDE2OjQ3OjU1WgAAAPxtZXRhAAAAAAAAACJoZGxyAAAAAAAAAABtZGlyAAAAAAAAAAAAAAAAAAAAAADOaWxzdAAAAHMtLS0tAAAAHG1lYW4AAAAAY29tLmFwcGxlLmlUdW5lcwAAABtuYW1lAAAAAHZvaWNlLW1lbW8tdXVpZAAAADRkYXRhAAAAAQAAAABGMjg0QjIzMy0yRDYwLTQyOTMtQTM1NS0xNDA5MTNGN0ZCRkYAAABTqXRvbwAAAEtkYXRhAAAAAQAAAABjb20uYXBwbGUuVm9pY2VNZW1vcyAoaVBob25lIFZlcnNpb24gMTguNi4yIChCdWlsZCAyMkcxMDApKQAAAChtdmV4AAAAIHRyZXgAAAAAAAAAAQAAAAEAAAQAAAAABAAAAAAAAAABbWRhdAAAAAAAAENTAVAUrOxYGQYMhYCIUCK1onU0XMOOb6uZqMb6WmpeZoA07oK+o8m/q2vWcDO40tbOdekXDO5hUTPFbBGq4rSMWEbxJEUOBEIBtUqTUVMRDdDDGmU5XFV0GY0y7SvU5DJbE61bIoe26nssU+dAin8qTClbYkAnFfnglHzYaZxCBbGS4XhgkUGmzEUAF8WedtMAAAuBXxerFBsq/rn5qW1fpAL9AB1yb60yT4VA4AFOFK3qKjoJhCsxEW38M+igWnF25yauNLZVlvo+ehyQaUyVS+SeidgMeXti+HwR1qem4YETPq85np2RoeZt99KazzdLA50DLJanFXnJCmUgxmy6945806oXXj8Tn2R9LV0lzhJjMjTUJi7eZKaIaMpC1oQ5AoRaSDo8vAMUZS0RCJzQI/Ks0La6OB+6DsYzkkS1pTTRhhd7sYSRJh88I1gjKWvFwtWuzmqof4zehq8m2f2wiRsGbVoAGf2Sr9e75y6bfLeNul7syIANHj18e4+4Njp4DgFOFKnMOhMIQsNCsEVNlasdJy8gcTi8Otba4zBBF7Jd+vHzVaYiaVYaDtkunF5N7DFHkwz0UwlYlbZ+svGrnrqldjkN7dBAGcYAgLJZHnio5QDT14VlZPCDRdJ880HLlxsk6v9t7/nMJxnZyoXDyzdksIiggA9eUWvDEeRD8t0mWAwyGrmpom88D7gSAJJABoHnEK+ym2J62LOaVf+5eU8SMgz6f8P6f0gCqX+NPz/f6kpVj4/3ZAvOkWwAAH0hiiA4AVAUpDC7Cw0KwUIwjOQhIBlHwZIx0vL10x5VpIpAr7EDN0WwjT0Ls7wdDDWMcbx0HbQEQNpgpDSbs+l2xR9l6iqOgErm72aPpVULIrMMIQeyTGXe8R4rjz3lOFuNCeAxi+ZzGZSILwRjf1ZzfLjmjKogQAAAMHVUgZo13lBrbXSBcUEtLpvyvGxXABm+Phunbt+225CJEI4qvcAAThz52ADgAUwUrFSFFAlPQWEQ2CJ0CJQjkwiaaeyx0NXCyEAUtSHfTrFkvgtiCHdaJLeNwXJgDqaYrQaV8ieYanGSEIqEe+dMCXKunG7WwsM40R3ky9L5Ezl2vtJQaaIBjDl2ddIV06mLpE/TNmbxx+K+9eE0rCAIARB2xPVYS65rbI/39lw1+r1/t+GmoAMUwO7dypFtdRVjFa3l3+f859QB0RH2pTycZ4cIOAFIFKkoOBKUhQFTAJSiYbQ5Ektd6tz0469fUsgQA4fuuXaTnJcuKsnDTErx9gyX+A2Z6zuKb3aFVUD8GHK1janCvvx09XZGaPNNQ/tw7kpVXN/YXrfRvgjWOft6eHBOyLixSgQFKwx1R8tdXf+WPi7vPXXi1hi4rOWptsEUrF3qyqFAzPV19vZ9ny7u3o6dZZ3kAABafw36tXg1yjkuC+QC4GrwU2Rr5NUtmyNwcAFKFKkoOBqagsJCAJBKITowx3LrhcJ5vXjho+iVpEBHze0+JY7UvumFNPgsHMPRsBNb+gft8yjr89gloSljIUpC7m1d33piMk4umcrYIIHsnOF9JtnwTbVAos1+T9suKhAZAs9Bmt3d3yttkR97B9lOFDq3fxe6M7YX0CkP3ZK+S74AXFTrPq6o6b7KiGEgA3/29W/81Kz2ecBgoAi8ZaPLDHvCPt/KIOABRhSpqEgJDYhCYICIaBE7CzcKyvq1vKUjy4hnAUt9WmADzyi4EnHKB7ol6VqndBo8LU/MUECjKBQpwSW+KZK3BV0W5e1E9MKjeLRWt7g9wUopIACXtklcTxg9i11mEIRzTB4YTVQhgULYAFmclaUhMD3OzG3dYiABkCGm4aUyh9IWtJJyutTfvdLVp3doAeNdSfGfC8LIFYgfcJ9q17c1J7gDgAE+FKkMUhsZDgFAqYSCVfdVd4eb626XRLa6yF730BDJR250sDhXUwhS1TL2+4gd0ry40JU9Pz/P1ReNvItY3Rco5Yz59kqwg2LCMIggGxAz2eZ/ugu087mu/04JzlN7wsGg7NVru2AW9XZT7QkXuM0wJmYCrrxdxKq10C1ML9GVBIQFxMTE3V55eHq+XHvziNxMMIIUsKSCJBe6rl2bxxtUSYhdXKABK2/JrxktW7WTRA4BNhSpqEYSFYJNEY2s+b8qdXpUvRwNXYCgARrhXi5i6UgGyCKvXSfvQTkThTiiSSmC4Zhc1trSHYlwcNteNEfnD+PJIyE9i3qvZT8uziGikzTzi2TUWHdqNmggJSW1Hd9uDS0w5HcQ7Cb0y+LoYLpgQCi/CKcyGhiCrCUHAIgejnRgpbKGn2wiAZ2HW3wWZGSgGCGyS+c2smYsJZctB4ZW/aE7wrO4OAEyFKkQUhsIQsRBk0RLEeIvI6eTVg0agQygmLivTuvO1CsU5Sqm6VQPLwoRnZLmiUN2z03DDHTxff2uyzXzJ/GPCtVwmYJNQUE7MmEuu1vAu6S2GX+AB9LLVACV5xeWXV2XXiZ4txDikUlBzWtokQx9bPIb1l4lpxGKzgBIIeJ1YkZByuRAwMAqQGlUpUxuz+KMDgXdQN7fuxAX1AibYRH6QviSVRnPgBwBMhShzFQ7CEiFEgpmixHUshZwzVoqiYEB7f8zE3eGOZViWFKqLYOWsipcJYCuBUVWCIFanFhhAYXlCJL5/rI6I3Qj1uTZqg8rHl70GNRiNHAfwD9f+gB7ugtXTd8M1aN9FObxDCjKU7GqNFBm4N0bxeBh05IZ2mdT1KqQP4WR/XP4M2MFrhCHOpatGeAIyl+16MzCxCnWYjILUtw66N19d7+rhtzk0FwuDgE0FKzQdjEKjMGgsJAwFhIISEICFy0atnEOBMUAGMTHA4C7HF0X9a93+IwrFmS2+/CgAU5ZklWE57rNJ11NEHPUom4GeETCxK1vSa0JcTLPyCIAcM2aSUbaGV4hIYyKeJMPYFcnKgtwzmTk974DGBG0DJY7deEg8VhQ42vHlhxPlPRVV7MI05yzlJtvOtBrpmUj0D494tWwnL+faMDH7eVKeiz31zqsXT7arrjziEXphNDC3kzJpHj9fewKp1b6rG7pVVGa1t6t+IBSOUodFAoBlOq7Q1e+MYWUsvl/Afh9GxBL3xV9EtGPydKNbQTkEfLPfKgOYDgBNBSo7FoTGodho8FYjhYZLaNN5xovTHNrmrywWtcp+rkDkK/qXLM6LMtYKtAisSXHp00ZT0gzBNG8wrEkEVSEzMAmBPyw8jUU+FBirFfjiN76Bp4Qw/qG0m+SKVh1be9Z16B0jOksiahHPNzenjKG4dH9rfS+osp9fvVw9S2efYqiHyQUMimRoudUbaavVrN49Sm1/I3JRSR1QSoWfVJuQWzDUJMGlophazNVTw9HIZg1AuHYHjO7nC9Lved0dy6xojDvRmOWNHqZG7QsgMWpzPjft/seIUVKp74G6sBIyEEjnAh6H2LC68eHRe/3Fv+fX/ualfYl20xsrTgx55QIrCznBM2qtGzaiqgQPVvemSMbf8c1CqOiWMIiGRk+bdWFdIwtGXMlKkZ2VziHM0RdvZpz05evsriOrvplUVJprmBTFJ7DXqOp8Pw+WADgATYUoUxUNBEOwiEhBCDq6Gu99NiNvBwOBNLA6lHBal1ZUTV6Ymizcgu72TQgpklpCSmHkRQadP9zOQUnoKltQdbnyw1gb6yGRC2zWLQ1dxgJs36qS3X+Bn/01XQ+/Z/3VHkyjuSGJw8jK99s3Zsv1gF7X5iA+bR0/9ONMskBPh889GdW5QTIfdoRg1W4P4foSPqUNaI3aMvAsHamQpSGdO1EmbIUESJAFjAOySxNr3CspkEKAZ6dsVzs43lttfPGpIHejQzKHDoJLWjUBDMj/m2zBwEsFKEMSBslBCZQig5XwMrU7ugd75cZIai7Q0DVZebmhdfxUtmUafWVCFoPBAM62g4J2iSIlJpyRsGM9QjWWcqpMoQQcOyq/xyW+XKf+uxyuSWzqepKpF2pEJFTBKtk83r2UtXwEMiTAfzbxWU/jwtg92LeNtfn2421vx7PYVUxpZdeLJIcTRncF8nPCcnrFwqkg3t/luVa581zRxL0uxYjfgAKo8cIOAEgFKJISBIQiih43dWE3ba3oxyiy7NS2PIg/PVhhOe2mtzi96oORMIkx5c94YBAClfXcDo1fvlszSVuWElQWwFIU4cg5Si/09fXZ0QM1P6cfiwJpSAzaVkpawttl47eJrHcec7CtnPAujWHxpNQIMMOXp8qzaU8hvsRzAjn2isrvtv9j4VAnIYyWJI7SB10gAzKThrnWqhGC1v3+deGyWNSOvP/vXNAAB//OBwBLBSiCCgTEQwkIYkYugDAeHOOejSS3VqOArS0rybXrVMaope5jyaU4pG+yG0IIEMBNN3ZI09nyZ0QiaTABAMtblh9MQ2LUYu7nmnYYBkYvQtdTNJbjqhB4vDBVbTJ2lVuCzZuCHKwvu99jpnEiAexE7mcXfPCGJKLFFzJU1O4XhN3Y1MOQIlMUfR/N0h5OwEj69C64NDBKlw6f8eh9UrgXbW1nRBPB6yIAR/kBwEmFK1QVBQJDkQVqvmc3tI8VqD1kyOnFl3NJGcCaf086SCFieRBNJ22/8CZbJPNZsng5pNEAnDZUwP/zNDC66bhUE4CfDj2EweRaCls0+NUCZ2Jmx4B4hcCAadW/UaC1j5XWJNgD6TGzogr4LPG6HWpLdUZK1yanaZe0F1KSD5mq8xvtnCKORsQ5XnLQeCfcCw+aZhAUiLMv8OaoGLw4MtO54ZQW/gpSL4JMCWBGEJyQyQxAA8NAOABQBSs0GsaCgTDQwkIZme7aanBLxWpniSa11Do6s2asGvfmiB39hK2W9JXlyztJvhk4ZycYmhFOt86U1oswHVXBoacgr6W2I6V6sy1wuEbKsywoenofVHFKK42xHXkOpAQDQzXNi25bVxsHdeVt1Vau9js6Xu02Lary3uCkJz4zgsJtA/p5L+zInhyAAhEs5QNHMFkayf4t5/dHPS7C/FX67ff02NWi9SHPkQXACgsTqDgAVQUqSzFMgjKQkCIQEITajyLZL8u96cR7Jw1acY30Ikc7lVOVM0E/V/00MQUiUElE0A2CQL37v8+ysiwzkgIMTgTXlJ2aJ1moM0FzMEMsFLnJIxCOeNa2znFXdAAADF68d6TCQ3P+ZCGQs0dlK55ZWgQGlmy7jonDteX5U4wXk5tAABJZNNTqMkJVTq/+CaMufvz7fXUVBIDgAFIFKzwdkoURIERoMSHMzRq17NKODWrNcDhWI4AC/MOfg9+5kmYKw7uSo6Yl7gCnCpFgC5EoZIIYqWNS5eZWNpwAuxNQc1hVb+3DOenwNkRwcY1YLlVoNjTXxl0ErAQVfRLSk7+Cs5HfBzvIuz4EBjYNjkTK3rIqpvyO7L0hiKsiKTBvC+TtJGCyUBW/DTQLZ3DtlSbFmGIpFsovUoKrAaNtOnWoAO6FwAI/C4OAUAUqMxoEyiIbX2yfCya4BA8l1w0XbNOWgDUpM+ENNiqzk+GE14wzVuYurBW8wsbyporr9bUU1RADMTJXhuVjpoa+erc97NMMENYEzdwpUL1S7N6trgja8EQ2Zvv7phUwkqS+sn3oau2fv1KDLEOytwddpGSPRTXpYpPXjFb6LdpNQYma/ZbdsvRO1cUVCGjVSsZZLSrnw2aeDDDfyC4ANNQHAFGFKjoWBMhBEcyEMRtr6LXnFWiFnSy7hoUzQiO7gF+eq27Mafqe8MYdAdwxurc4LqUB7ogpEotJDgHZzRkYWqOO03lOSYADCDI5UjcRIYm2dNeQVkPK+zRVyY72ITI8/FyOt2vlt0mKYNoUamL0VZRET5eTelAhBujraT164Hr/ipTgCThYt9r22dw0Ph35atA4SsxpbPxOZiIjeZ2ge6qcVF/guoFNuUDgAFEFKislDsInCRmSmvxGWUTI0caOFmhgEWm7Ss6Uc7ZFkWiC+aerVKMLFVQo2P7//+27lbGUC5Dre96/uaDjXUtSKsLrZ4zLPkpxPZKURG68uz7UMjJH2WyH2KzxpjE+237WCo60faKBAmYz641XJ4qWNoq8LI021DYkSGYAPAOiGoSyKkOY7KjrQvNVIE71TL+j9XviCLcrFa10CiOeAHAAUgUrHCBDRrDRGOgiKJFB9NWC9y910XccEkBUAKWb3nj3C5+0iszn+BMecCGFUccK3gmrSQi1DpCclJMQ9wU7/z8Pt7lu5MQOG3iv+SaYq7bklzdCGwcnVm6sceJmvjGPAfeZhjOEorS2nNbr8mYT9fj3wb5HLEw9VLnholyYclIwMDWWRZbdAw5ZW0b/CRajmwiVGqS+V815rn0Ge7Ky3R0GCbhoVRFmlviW1tuzVEnO75eqq+dePQcgRAa47o5HpB1KR3oHViep4TNqJFaGQJsMa870Fa6wBO4OAFAFKy0mxQcRwFBiQhiRsGuNWZvMgRrVr0das7uwMR0xVbhtFWBwHxKY6zC59BaD3s9F3Dk5gpI566EXEB+fvT/tb9ivIX+bPskF+f5TiNIfPIpb9VZZltS7iuuet7u/4c1eziWWxqsHgFy+scukFJNcqimh0HwSnqRJez8qFIWrq/AWpt4lQEKDy0ieHuffrrvA7FloT83S//LXPLCOtLbsv+vMANINgEhXaJMe6S4ZHQtD7uTiex7Hn3+XzAAKtILiAOAAUoUrNSXGxRGgnCQhKQxEwS+JCd54xHRb4Xw4a6prGaAGaUj5zWzt6E2+n6LFf48dnHsEnx+zMGjkFNIs1coxU5yyZzj8XzDpGJ/T8Hyf0auquSVFkj3AdRoqR4P4xWo3T1fpUvWeDYjk+FYAA2+b/SLFbCeDUvxOhXbyYtd5oqORfL+Xqbe8b0gsPm8f7VdF4UVBkQDTottz19n7fl0OayKILFn8PK/ssqAF3XQ8Ex7e7wkAAQBwAE6FKzQlkgJRggSPy5Ii42lqF8e2X/oQFuzMwrny8wyOoyT5/cgcuGrIcoZwsLONT6D3eq0Y/0a+rkpE4oBBaJGw0Q1ZZ6DZIcRvNkQFDTVrILnURZk3uXFzVSIAu77uycYmYZZTgyou7KRF8+2vf0AkZLoLlAIAHABThSANGY1BY8BYQCQwpcswexOXSLMn3anRqXlkGZo1FUzkD5Go+n/VXZgQL23YiAG9vWcijVien72tK8SUJyCGlHR89QkZtDklTMBRfkj2QrTPSIKB3mZzjtUjVHBgcaqgcVAQfEw8oRZDFJDsZ2loUo2+bwKoz3jBtdIFORSKdwAICtALjT8+ugAoCIrmjLbeRMEAOABRhSs7GoSGgYCQpnAQhe68q5JNetFl3D656aXpF6A0LahqUH3O4YwdfafLWmnS/Z4N7QqFku7Y7SmbvxtV/dbVVAUhZlL0Wlv2n97pTYUKpneXTHZuZG93YoWQrgHSRufAQ4wphMsznkWvovKisMll7Nxd2y9SvSymeI8e0fPLKubCwVRhm2o4bgEQBTK7TSlcDYwdr7LRWAyS5PIK1pyuDgBSBSgzGobIMICQhDAKCErwUml+0zZ0783Svp0s6rari5V7J4AIBCo9CRyw6249qT9mESVhrqfPJnqJrkJ5fiYzQrNsNxdJzkAgIeJOM25+umGAEQDQYGszsks04r25afD29Xm7cZvNN9ydNoPftsknitBsCryEJb8RC9eHGmQXZbaFg6PE3O4ZOgNE2pN/9cMDABOfWsPLp7VqggGmtjP5qjbJOtHb95EQKAADgFMFKIMckmMhiNu4dO5/LmRDTJPK2paIpVg5LvfFPtfl2yQzXH2YwCjCC5qcmoEd5lscXDYj3OzjJ6ZCcA8UXBQZKa31zMVLi96iDOQml/uSJKkE5qmvr1BE2ALfz8OtB8wAyG+83BnD0a5JhHufyCZEWXmrMFoU6/vv0tAt0tvQ4hWjgLQoLCCMbdXwe410fBszyDELfMggJhzGc0HOeaQTx+Wmd9b+ymiYOABQhSo7FgyDYKCI4kIgiektdzXnBac3nDXFl6LSDmwD2u6VvRTYVMGmp5hQk4yFuOtnmQCSWJX7rOXqoDVJm2ScAnxuOIKxardEFmgHYpjw+Nk+8MSeACQXthYbp52xiYEk28L8L5+7vFpzl9r7O429B8C9u7s+cnSLpT1PGjMoE739yzTqEw7Sg5qaPTf+/lawZUsq1sOfdiCEDQULr+OdtXlBYVDHMHAAUYUqNC6ZYaDAmEhRCWl1xqJ2mjcSTzwXIs3rAt9dZ6A+HgHkd1uiSSDIJk+Mz6PMJTHSBHPBFTOZiWMy1ypTOrinMJBRZgPnlwVIrdrwFoQDFMGkn20Mb41mHET+1Vvgq6kohFDe4AGKy15Oa8157YUF+kGLDdt3L3mDVJcA1aW5gM9k5ntXM+N0+P7zcmL/iMz43J9yuMj5eD6H4vKPaOB2r2A0Fjatg+eIgW2Pzuf5Pfeh6/tlZw3Ga1VKhG8VqGKQhya05n4y5M3hIMQ6oZ1++sPn6VpZ+7dT57sY664AUrBPDQRKQPIwvqOc5DkzDYlzsmwl9RBOYCFBsZXnGuOqnLPmU/Abac7pGu04lTPpdtXWIWsQyS5W249MVnDxcugo+/BAgn6XFftS2K1XKwNz/37ENohSZDozwBwAToUrLB7FBqFCUKRBC5truTqIetXutqmuMsl3dtTABliNAyP+n+Lo4gh2AIMxeWB3ceBhLYWOeBG3uIJHgdkaR+X+Ez7SuKMbCdYoUiJUbZsXcgPuQ9w0xnjCmA+Swo8af0qbgLHVVQwQICITxJMgSOlghSrVQ0qZOutWC5tOZwqN0iiSUBpIR6qezisbKuZ2MS3iAutPmaJDCyRlNVzLTNlGk2tJKcZu9VVIrmpIoyI1SYmqRKqVs1OKFHFeozaMB4GpRSIXKX8VIoVaqCk0QrUnLprH+ChRXggqkch/lTTjXtrFHOmgat8Fb6Lrm7r3OrWZzg8ikOqSoVrgfmjzZUaPkGgIeQDgAFGFKzUlkEcyoEStss4leb5wj1ZL4s1q3GmUNAszz86x687Pc3N0yEWaNNHVM0M3aALpRioGSLBb1fP8P9PqP1+zMLWbmmmnEb4AaD+fbh/mcnhK+s8uiRh1N3QIKjKQkjweEACYnQBoPaoZvvNWDerdyZ+cJF5lArh4i2WCGQ74wNpYk0QVBjsBskAXJ8/9Pw92YRmjxbuGKWrx0/X0W+sq9AAAQBwAUQUrKx4EQ4CiWCghGgxK+ePHfH3IO2ur+1k6u2jWns2Glvq6BwCARjf7HOPfS1VKDdVcll3dF3RJykOHOZngytbInPSr85oQqslCRY2jIZ2pLq/gSRfE9HrpR28EOmfMRMXd6mED2HhgfH6XJ/7EWfGRvYa1zzDGUsT3WbQRGZe8HnpTiqjj107R/bfqBmsjSQBnLbUsjmLS5qY78sh9ZfN2RVty8d9KsvyW7qdnwoCgAfiBwFGFKisegoViQFjQJhQIgsFBmFus09kQ5WxstqUvi5xqd8VnEBx//CzfUiZUvqttfjRgvPdUAokyE8M7I/Uel+MgU8V5NFBlxnyRJiSS3CR44+Bpz8q9qJpKkS45GeUjOJ0pGmldlMZK5CyxlmuRAL01L3yNvwxyK9Tq6pLJbLDIdDyYxhFKSodfO2csS8SnOpenzZip76ni5eihvMyyQy8ZliyrG+OoeEiBahvzzHy5ZRCESI8GsE9APE9RuwAJm5ffk19xNHPZfEQQBNBDYMHvKTAQ+HCWyROGk5vm9yLd33BCWEi+zxuI9Qdtn06WdS7FQbje+cagD06Sv7D5vADgAFAFKjISDI8VAsl8XlB2rZLWJoGhcpdoggS3l6dAHwO73k2LLufUoXSI4GkBavx3dUDgENRHR76Y0xg5xGEobmwh+eukNDmvHy2gIRVw60mpL41jVrrfB87Gjuyu5KzJ8KsPOqkttXkVy6bTQjBuJRZes7xVmYmr6nfFTLzwkahlFskUFM770z00wTaswn+b9bAA8uzyhZ/ytrogDgBOBSpDRGCFPIKOGRhEIuONi0CKfpPTcDjFFdaChK3pUyNydMCiuIYYHXvzx+0uMvZRELSI0g4KBkka+vCWunCKCjbTQ0f49TpeYTM1gYoTi1vv6eE5hU4AaGdpm2/nr/hg6d8ZPwMp7o7uj1f6ccu5t2Sgf/979UATwShGoCHDZ166nmxN+F5hDyTMhSMvEAUiAxkFwAOATBUqKhoGx0GRDazJJF4+NixujgLl3IqTegzV8D/JSTEqquLvu/V7bLRxcSnm2chnsNLPbni06Q7kwobwYFXX5+7i5PJ3QVxyXhvHekpzXq64EdfuypOLwYzwq4Ecq4anH/hmZ1i+ltoS0vbZUY3yR1OZpnN5nKLxarquuFYG9ppE75iktbLSsb7vhYU/jXXbUMI1QmREJxtorx1RUKAOAEimfYLNUhG1lbIy6xvqXrib/jSjOOuppB1vIgcZj9e6YPbq0PHVNL7INMDpjZGrQ058WvGB8t6zJAMkEHTfS6S3OY3LeLSbT29x8OHJ3/Ry1lNXXHSc4Vf5QH+7dVQZ3H/H4lyYCOQQnVpThvovKxYDngzk1YwnjAAD7RKRIcmFhlj8ELeJ6I+vxoweKNm3XVfotpWuXZRf3c+3OJGLpSMyALR3UwZ2WsBMieUzHfxs6WP/28DgAEs1K10NBwRFCEhoESivPrfw3e9m+ps5LmpNVfWEEXKzHpJAAHMvTOoSZ0/+ZMpibZpOhcJ8a3ZPGUultGfjZfu8fscD5kiFOewecEBHIFJvM/B7hTsbqOhJqyG/k2TsgOEGAngTm4b5Cbc/sMTSQzA5e7L2c8TVFJShO7ki01Ry83fGgRp8HSmipG4DoCv4tUAPiyEZvOtAqzN3zGb7xvYf0gPrjk9BcgApS6uIU3LVwmTnA68mq7EAY4UQCD5UvYeFyogYk+1p0T8xAr4YoQg16/FTH/HpKMP++r95g4BQBSpbLQxDFT3BxJJw4J4204tocLSHHdrfPvkcEgrv7y13Xu6418vepI2uNK3YLQw99Qrxc1DA/bSqDOyaZHhHF1hHWVt3ePPm51bMNzM0tMYIQsbsVxqd3tVQp9HEHJsc3XUMRucwtOPQsg1axbqtlA9rrGBVIjioNW18NNFPmAIEfCEnkjl6wKOm6N1nO6yV3MHkAHm2N06z8QBfjhBwAE2FK1MiBqkxoITP6wzi7tbpwrlm9cWXqSa6ZCwHaxY8MYeuB2XnF5ouZBVOR0zBcnZj6ZDS8iuVbIi5TMgWWIMitU7PLdO82U/xVXKvhhYAgICvyZldURS74KSAKheOUa1MUVMJue3qjzxvUxcgqASWo6JyjGlWBUtSQxOZz3KxAsgC7EEFOJ0T4E00KJNn3wrPattST2cg4tkc96dyxYyMRLVavv7ZIA4ATwUrMyRDBkSJwEIXddnbjT6uHT3KrrherajQWBRL43qi6ky6Nvzm7VXtio4Pz/Or+moj69JJ/Lj08d12S33wUiECny4GwodoJvGk4WTiKCAwx3MzWR6NudBTjjBCIe7bu7wN5AD2MXOh6U0uE7vRW722Ke/W/udf/IY3K7Ced113LWzAKfIAH4O+nzPVQornXCOaKMtAsp29eD95betK0vEUgr9/PxYKW0fuBwBOhSpjFobDUrBJIjfL1dF3Ojji56Ca0vg6WHPABNW1pSNxq5XsB+47vmdiluWIrBcqpb1UKyeSJLr6FVcsTb6HsWlb659wyXFAR3nNHbKu2rIMqrSD2AZRaZnc7/B5Hd2v6uFvhJPtUAIx3RihUSYr5/D6ddPY6e7BnQmmdr1jLhq85cd4yq5U3akJ+Ec27L68FfKp4mwNECknmoQvJD5iZ1xoykI7osmcLfTmFrTAdoaErYrJRI1TZXD5anivAMkU7xouA4BRBSo5CgqjYxDQYqAR6qDSS9OHHLodA+CxWxEF/h0DMDVcbWau5azqYpYwssl+T/HWvAJMUkKmkKB2xfbgqCK+7DyfitNBzNoQ4dUi190+7DuFmpuwpPr0V84hBAIdyZVsAc0eoaBaKd/5Vlb2W0dr5LLDQaU4BP/M/hmQyslu8dBSmLDcVufSuT0RtjntlGs14Iscu0NGqveNdU8vicreSIHAUQUoeiCIwhY96WeYJI+mOjS9Tm7V0UAVLzjVUTUIz9FMYhvzZNQkyqTNSvN+KIyzM4dfeEWQERhu4oVlkC+D2VxYlWi1/XvM64wEjvnQ4dvsSHgzxApvPpYOfmx7rDUEhwboU5yr8mFoooR0AkJKEg3ECgpL8erLIAzvvxwlULY9MtOeVtuZL81tF5Zy9Y3I3jN959UpXNL6lAOAUQUrM1ICwoExRK7Rt9JyuTrQi55q5voaZkywRQG8FDi2c9XMeKKzG8CMvIz0OJemrwtUK5Do/RBIOAkSOISBWECyrfZE8/3ylgmqMaIS1EBXFga6eiGMwCe6Z9tXYvSmL9vTpF1EKaqoZ7eDd/d+3t6+mJNAzAA9SAck0Uzti7dyAwW0uN6JPPexQIAM6BI9nt8dPBM3EjJ1/Z25Ws2FpkEGjuExtFklYjkPJ2lscZxIr5VUoAAMSgglz051FF04KYhBqpHCJKqrBsq5rUBTE0Ga/r0nq574xtKMGydQBVb5St8lMwOAUoUrNCWKihMQzEgqvZN+Y4W5tYIpd2mhAYZ3rkSOIXo501SrqyAa3kwgbsGhTU0SEUYSdko6E1bRUcAM5MWLFbqmOlqTQRr1ViThRZsLF7riVjYJV7BvC5tDZYqb52RFNVUqxqSs0LUuMnW73nv+nKvrvRYP8W1hBAFhoIj5R9+7m6AnKdXAkSj77av09WOoWYrdDyU6OLllJGcBpmOTwTB+HnAthviYNeP/4NjpcIcvCDgAUwUqMxaCyEQwUEIiKI0dItlfUxwQNCmSThZmaEQ/8mCQSc7aUq+GXPXJyOGQDFtG3XFE0a3WHOmDRxgzJEAhcieh4talgZbp2x6a8rEt3KSTPd/rtFgbTXmstTDwY1gyQeVS7IzbffYiNqVBRRqIrKJPtY3sl+W4sFAFD8V5Os0gqCOPHetIC1sWDSwm46Nwm584+qIlncQZSZKygRzdBW9sxW6pzXBwAFGFKzsqCIoVFrSG78lXwukBhLunALfZ/8EAkDge+9Y63pHHE4+iirV7JXcakK7MxvsvEInjd8LOzsCCnynnQAJCg8yoiAh43xlhb+SYRiOwxjOQkIH4D3GMSNf4hw3Mf/eRCTunmXzmeOslDUNRC9jbzgl+YPihA9yRiDwoJz1E39E/rnw3ouiYtbOld2cyRQjqugVu5/4hHAQEq5rnEOd77NdXCUfPmcBa+EyIzoycenv2QuDgAFKFKzQ6gwJEmlVxmfS0DUJC1jRoyNAay6MQbi9A1zU5NBdb8SqNgOIQClINZzNKTxbvW/XG3HaSOAhLnEXhppWHA29PuzzE7qQaetisY18eluAZP39beGumxmsptrHCNuNkYhBngAWFSXwJEewd3ydz4jW9YATupcBrIUmf1MJktrL5WoApdE26caoKqgr4lWWbTrbx55VAMo6KzMz719S6Vi6Lh4rtSQbaDbhrgAKy4tXkdO27cpEHAFGFKzs2hMExQFRsE1jmTpq5mcyM4ODzqi0vjTMaAGXXUwwisWMO4Y+Nw0+pKIMhboeWHoQHIx7pD65il4vhOHU1wroGOnM5bflmste0TtyKj0ec3Ndgac82EEQHz1lm5APy4aULpAUBMhuNp9ngu0vLh2XE7zNXVXVtF1kxvu3IkBVqQxV0Bq/n67Uh08AZBKcaADZmaIISkKX2Jy63gi2vqGrpAFKBGutzcKjC2wOAT4UrOyoIwhEwUIa3ZLprV6d0bMeV8JwjV+zeICJu1qJ7rys1rS1IQcMbQ60BoG1DVJ2WudtysLnMvumPXF2uPQodiwhoFYa0VWEDapAlSFrQHvuCMyygAAub7JRGPlbZBUANFWZfl/vf8Mvs8IiS2Iu1Za95/oHw7RueI8taw5mzo/cCtwAGcJgAC8sU48UdSUWfPs0nfa0t08r0uQACoNGXCEQcAE6FKzs5Sm93MNOrdHvHOLZ5cOJHEvyooBY6+wSF3fdREaZcPoIim+ANA6lOsHfRIeE1ow3hCWrBBXqtibs105SZdxiMUpYAw4VhJZO0cvhepLhykdCiyQAKVnPR+3s8Yp0keW6nokdGkmt+uHRoyrSyC4AMiCU4AAGNo02c9N+4t5FDZraabdbQQhBedKT1m+2+WozGHaUBwFGFKxsyBMYBMIzEMSpdQ6edMjK7zddPvF9ROjIwAG6CFrdn73t6Vfk7P41TmbFd020xuwl0IzE2NsqGMk1KC3R4OVD5F1xhppmatlJ1mCsTZBBCrvYgGux5qZ5AJwYq8OdCmwYYKwEIND5oqE+jb3ZaXE7LR5SeGOruo8fKDDRKGFbvgF6N9noIEeT65kzQUnVEz6spPqkiIyspRxv6MuHYxYcFBomN4HAAUAUrOzlOaiEAW3Wmo6RJ6hkl8auGoQAGN2qGDk2NojNI40FxTzHKCxr011y3BEuKEtE7dk2NGT9XkMiA+ufdKOJ2/JO3VBZpRjMJOOGCw9lSF/POJzhmIWlbNRU2GKvU6qvuxFb7Wu3ErvpZqY1ZZTUbmHDPW0SZXsrcTislVOVdpT07aXDjvK09uRRTIMPDx1ahJJUu0OKsb6qypY6O1W8zPPLGyfy4AFAFKkshCMOB0NgokAjy1pN+Z2ZPFq8x5vfHBABco+AkW/Xc6fso1uFiTp0lvIGdHCQVilyuK5HxiliJWWe4BSq/ndzXlFsIwH1Cx/LdJBtJ0+XytVkysK9mem6l6FFgMj2kHcTDOOYRFNIxcQrcS77zUyBcuOcxhnWWCvrlg55h0ZGMiGFFf2LPLGv4PoZtdOYikrj4AlxauAqppYO5mqrpmvREXPpaUAFcIMQYza80uf9M1CV62k/apwgeJic6RO0x1KuxewSFMUq7tRTiiWlvGdPcrHsmxmSyizvKm4M74yYrK961Rqks0FcATwUqdaaFYqHBWKIS4eWebMOXNkOkJ1a8jICPA1QXvflrpg4SAroVWYBcF1gmsZMQhQNQmuc8u4HrTT9QTffF5k0X2kQGegAH7zOJMQHZ64xS+KZ/f6fMa36P621/B/S/w+EbU64qmARSTx53JSWGeQu90P6mfewzfnSO+9icWdkRX33n71kMGswrM3jM73uzWisuSAgpCD78+0VbmTPPDvxHOlTguRj0phHMH4TVnalObYIspp4sP+5Z+L8fletea/F2SVSq8D5l0r3mxbvBdHxn7urffw/V7AJ55B3Y1K9eMoLSL6mwTWQ5N+pEEum4ksZlKLTuu03ka1Mbceks7DDyaCUxqJUVJCdgpNDIGipMwo657C0V4Ywzptxy+BeTx58emfZ7Pdzqn40vtk/aYVNoN0XqaWtLAslKfZlv6stiLLXOxGM6IOZqIw8TnckPOsJQpJZm85JKpugadFwcAEyFKiw9FAI0m4Rz1Nb9Yt4YGjV/Gi1gGj42n4h5TO4fEY4Ga6tOA0JzKhjXmykAk8KqUhdGQfktRoDnOowT2Tdxt9chJMTKBNJWt5Ueg6vOgtNDtRo1YuYF/O1FPg7tFFw6i90LJQ4vYZd86rKtOlAqsw1FbxmehVrLcqYW2t2NGzGltrkc/R6wj0jNFIjeSi5tyBdrylNwR6PuH3dx6dFAOABMhSh6ioKLFjKTcsX3iHg4b0tw09s0vIBL0dTQqMOk2F//P6tDlpS6hBmigNblqkJsGv0IqGgul+3iTb7oqlJQTKq83ndDfnNmLHXhwuJeuPYovlWugwpBPebaPY2u4Ujlq5BTQVMzp11rwiSy81ooRoVYG4sN6Yxbj0wCYBl/miwxwXXSZTvTwy/h5NDxQhMog4rqgEWQxRMsK/wSgAcATYUrexEJATWQhIcum4apypRkn374OGjiQKAk3TvEJ0C8ykzF/vTqK6oliQiA65GiknEgE0G/FaEjT/nc+kvjHx2u72LdcfZAJLAKjKTjtYOPuI3NGeMe4W6j6AKpcCJLZ58d8sPrMGG77j6BOerUapg35Q9X1lZnexLxCSkN0NLFn3WLV+pf3TFNibMtr3toRz10Ou4N9KfKaqW03yN2HQ58B1AAAykUWjLEoJza8pmy0TLefM4+UEr7XRYJJw+MwBwAUgUrbCxEgzKI0CIxkuLg3dQD47fGjhbg3iwAVEHCu6MlWB2DIurv21TuIEUSAudx3/Xu0swWV2Q0OHZtVt3lb577jI/lnL8PHT3MOT0i76i3qsmEqW0XVYcmbHgjBc5ECwOUOUZGZL2AsgQXKi0qC1EgDa1UugVzJ1S0X6OYAJuchfFq0b50/Z4Dz7YeO861oYRJkkYZ5o+S8lV2EWXTuawAKQb8DHq1YK6u/fC3Bs2oLLxuUia4l6vFtoXFFxABwFEFKlMdBsMRAISEIUM5w2kN/ToW5OPqTXmNNuXQCWeRktTvp0xdEMNP3i1a+S8mai73jcvzbfSjI1CsbXzCbhyt9GugWTJsAhomNc2D99SdB4QRqBNcmEEC/CrxhNNXBvwYGnYSFAAUVp3PqWSkEfvKtsAccgphStlvslTh9fvjKbl+XCWPV7ee/siACQDgAFIFKiQhkQMSMISIMyjt3Cak8idWwue1nS+DlnGxFptJk+317P0kMgNCsB7kMp+QeKCKDWFEKE6w3vcTVqBmDISN3wzgdgVFAIyOIucsmq3q7+n8gnSgmZVMgqytzF/iv4cmOJYAKZXAAM0uTLXbLxz9iz5MDxBqCTuAunC+zDXTe4adNSZZlGsVnnk8cUlkJ4wYwlBi3Z0/Q/BNuJNRQri6KAMeXbZdC4BwAFOFKztERoIRkQSshTdr4s+m3l3NHteX0u26Bb7NDcAfj8E4eBUTkPOZO1I6e8Y5l/mS3tis8r+/w3YxTx65mR0J3C50jcZ0eSndEQSpDAhjCqVh1btdU9fb2kbtQ6NKI7KupLga0T0YYfqAcIoh7y2/zJH2xRTeQYsVwqLEEe2ZL9u1flyL3Igm/fbhqIxgESab78F+Xzz9PhgOzr7FUoiP6XEUC4IjQ5pAHABTBSpEGMUCMTDQQBQZlIgjU1N4vTjR1jb6zbXw3fRYZoIk0JpgQlOYr8ozf0bmQgpKzUVrmUVVmukKyjNINAKd8KL43SRdCUsnJ2pP0yII7LMePmsonITxp4ygQIerfpq+SKTKVm8Wd7a+cgJWNAnRAyzMvPZnfk9kCQk1t5Pe/Hcenahc28eOojK1txt+3tlqQjmnQLOiqHrCYIOdzkgA+2ZQAA5+5HrH09QHAFGFKjsYQsJHioBhqz7neddGcdDTLb4sBEPyUEt04HoBOT+d8j3iBN0e8Lax460xkolIZLOyJb1lDnDIJYZDzzd8soJF5bV+PqpyhPjn+ZySHVTpscms7jqd2ZTKjVKqSQWXX8bxt21KsLO1VkT9reRa2epnhm58RX3X3XhcV/Lr9IAH9v7f21zBfFIECfj1lBh6RtsWb+eIh2sbO1pYAcBPhSs7PQZHEJEEgZ16XOFOtYjg6taCWtkwuVOjyOeQlf3of3wkaUbU1KfER1RhSORPeQ+9cKwWkGmQJu+QHeZgUjA93bX5PxSg4oR0sBvAX6Eo4PAAIAWN/OrpoKYkCwikeWDtjphSnHeroQJho97O+oBamCbdyW4o7TGjLu283Ps+9KUJPNYCTyBOBMuLVOGg5AuRXXX04+XAlJvn5oArfh+T5f+yR4zDOc6XBwBPhSpjFQTDQpEEJIAKLC5EdW7fA1LFmlCgi7n03EyKBtnEvosnrrKPiCTPA5Et20op+YVMPEYEzoaVYOt9twTWoRvuVHNdQk15q1sP6fNzChZDS6lukpbrtUQoC99s1cIsh2HY1w4Zk8jZoQzF+RoUNqRwvVCEgjnXOT8YeQggX+rytBdKS0rcVAhxlfTmjEyTHQdcFUIqM6LVXBB1sV2ntWBBXqXXPA99GcBNlSpLKQ5LQIjQyRLTSy2cZwu0tCBsA/adBKVw4auYags+1q3JCF7HytRFusuflXVIRnOxSsy0JdB0mKaxUaLLzVlsIOxxVACUk9mZqFiuonSlpIzxVEG3OlDqNOHO0DdZ//4kHpnm9eZYp5EeV4dohE8kiF4ojOw8iuC7QYC8B1d5iwEk4o+prexvstON2jjCHjVRPKLOrDgCQ2tWXVFS8+eNlIzxgcBMJkeLRZEwN6myUxqTIVBSskLFCJdfqvi9Gf6vKPPVcVn/bt4nX+Dzj/t13fLzxf1ZdXyIICJhbIAIRhM0bZN7vfOWrZZsQIbrh9oqK43EOj8jVCThkzKfKFuRGiN9XEMKVKHJD1OvpVDnPAwUAAkQRCOLc3BW3CIW2wVS7bg96rDVWMiO6lefItt3zxzkLzkC3/opCOpUJky4FB/L5Nj4P0t44xYN+QKoVZKwjtzvREDnmKhfjD6VtHRZy90zZwPgjwD/rHXkcwVNi4TPnLbJ0wY8hNKn7SaF8pdlGNFCjxs04kEOP9EBH0M9l61ergY1Os06oc16UoBtOQGelrcnHXNKdnYHYEf8xOglEoOATjUqRC0FAUEREGIyEJWFi9Duq6d8mLWtw46GJYSfku4Io6Mm8E7ltR112Wm2XLeqTiNJCefs+3uDtgLx9dxjTUpYhBfLXOSBMJobH7fn55S/C/Oo09bKpAaOrXQInrPbwxEK6F4wrFmTNFj3nlt/CTohZCJttrDzXSofE17FwRJK7uaWzcpXScSwFum7IH7LujngOU/Sf7yZe6ZXgQlws+dp4Y3KiAAoCYA4AE6FKIIKAsUVIETLoYvf1TvC9nKJpHEnmZqb0ErZzZXjKbudpqMGSnLUZbyzVTShKXepNZOo2wT0JoyWUYsZY11WONfl1x/lsUg9j0gwCsIX3+UpFCCtEuVjEwGdt9UpgDcIlY4tjE+qDdXdrzR8e6G+8utJc/VPnu2dIsmSTv/e7h+QAATjlUtqT2qYQjE9a1msKT0sUoOKTNk6VAHa+GHSdQDgAEyFKG0GCsVDCswhwI9Jrvu8Li4u51pKmgP4mUGoyTPFFNVPZy1kpzoGXjKKTfXAJ80JOzvaQTjuXFKcM6gCETTp6+lqsOz8irFCYCgzrXuDRY9+XVkQZS0NElDmqDbcCSTMqyxIGyNzKyqAO7sZ6AYxdNV1CGWny++SFcLLlENefVI0Wv8YiYAsd5FENjfwp1tWc7azcnCUpAAvMmQmhH8r59IHAE2FKzNIiG17ZvIe1XjwZWJ3GljpONNVqAj6krCUTOomMeDA6Ad8ASux+EphdXJCySTAltE7auwIluSl3dLsoMIBW3vMtQdYbbJ0AXZQ8K6JwFzxJaJ15ojucDVfPCgDimPsdFjXpuiJrY7i6mdvIkwZq9r+C63g0iDpsNPVbnW3rqcNgAEUst4bV9rq7a+lq1BeMOLc77QuuAF9oGOUdHDaEYYgOABRBSs7NgKBIiDFjck+FvKc49RyvMvq9FrvTRbQN/Mv6H0B29RrT+KTOiFHGF6JtJVpI1+mXfJe4cdAba5Jjc4XK43in6NUI3SY6OiXFAMAw9vdzt8bYnS0wjFwI3e04lcK+BJNJ61VlaqH0sWr9TGRMJso2Ud9cmqIuA6ej+QAAtpncoCkYJcZc+mIFwAAWqMKb+MgOABRhSs7KMMDU6BNACEQi5fwW9Nu7M6nRpqaqcXIAsC6juL3UMeFVLheUZTJsCC9kiFrqdhlhXjqMHnvMqAJsZdsbnj0pl0olzTWwKOixBPX1NDa/LAW3XdnHqqJwYxmE1lYppuGIrvz0MZywLqVa9t7jeqqrULC/yix0tXyX0vouYkRA1sF+p7BBW4ABlgFJ7TtYIOi9tPTjpzdpHw35xtWULXBwFOFKzsiBMQwsEBIU1rx1wdcMOzvlHXxJdyPNjnrADf5WY/ajM335uR+3UjJpMDuGuc3ARYXEurG6NYoriNt6v3LrOiSNn5d4265cIWCEmUl1dU+fxOoEyz52SpSGUNw3dZy46nDQX4ThijzpYXBv5oCoXpks7sulAvpIHLOBWJYADXppdGgyCvEOxYtbo/D06HI0Aarp7aAMUqdrmS5gBwAUoUrKyoMogEhBYwdOnTT0zOSL9pbia06lNugNJNMKP4lb/6rKZ9t7T1qYB0HoF4a4isvzEUJ6y6n3GtixqrDpxZIHTIKAPFxRYgWBICwLgkhmvsX/q7WxbHXOZ71llgP8X8ULytttE6o/Segggssr1+TaXjd0AjH2QAxQojAygACOwkWstHNWu3dz/zGF5byFIYKQqAEwl4QOABRhSs7IgyjAMBNBEEbEnC7aO+Wxk6fWR1peuEbWDYBxFJgxTajjabUOvhnMuBmYHUewJg2jFBda/0j0ehRqOSvZxVkAJW2Zri0lGRRC+tAyillOkFSDn+EcJBL1x0dutgA6xOUJbRemTQpxob239D9777oiNL1t6TqoaUabLa1b/en3FgqC8oBeYAFbJq9uaMyToAdGdfmCJaFkdS+5Xr9PzaRVVCSJcBwAFKFKysyAsNRmNBGxiHF9A32b4SW+I6J5FsQCwq8z3upnUPJzsv/LQW0CJqgoKUMgVLajIPBPyX7cL+NrPyFhhfH0LjC+thQHCYpCuk1wrZ+d3ItUTPksAAJe9+i/ciGxsiIJUMWy9ixnHf/97Vc2wcXY/be0uAQgPPPAAA4+Ytp6nT6VAE1VSPFWSyVEEiQAKA4AFOFKzoWDMURIQWFrWfXdnih0dH0Q01FqACneSP881WkiqtYOKSziBZoOCLo5b5JNQKbqez1yFSaRfTirOdEzy401C+ooaM10i+an+SxmtkXGZyAAYmKakmiAMHPBEXY4Jy+Fk8/4I6QOLXdVl+ufm6ecRamvLi8c4AripomycM9QCGbYn05S92HfWM1bx1Jy8N/da2WOnGGxgjIlLHtvkJkMQHAUYUrPC0IwREhDKRACQQCU39HGjsYJ5ueYSWSLAN4WKKvCBkT7ysLRX/VZkhe4lxA94QjJvYQy77efcYqOY/sigojmrwCukqYZc0z6SY9IsVymO5ZBoWVsiB17ZkkJb9eux1U63r+VhRRK3UuzY1pLLBFtCKPUVYbpCMS+lDYsvLRPVMFVae3AINRqQ4pzNgrK1GQsGrDLgk6wRNnW1zTcJ42gRK5cABShSskJZBHUhiIRlXs9pp07gHBfVomgkIoAo711hCWOXjoK03Mn8IU9R3JkpxUSITJkUdkg17GzZYdQrHN5Ox1TAAIVE0ZWsmsXEFdxNt7aYER7k80B+dOCkqfYFYGsHT460J4a/oZQLDneKQypmZwUoBabAhRR4tVUFvY74Ek5DSssu7Uv9QIO8LjfKdHdrDCxy0C6MJqU3yU3FRQcdwDgFKFKyUlkKNDmIhCYuTo86M7OhwjotpSxksAKq3I2mvN5cJjKoPSMyjASCExBgGqDTKmxWbT2VXHi0uAjEZDcQlBemcqYcjtAVmQYnutv8DF2S2c5c9yW9ffK5Cw9jkUaCIKGMbKl0KzQ0rIk8Q1K7UpW2sBOegSsmm6TvWWoIXjcOq+6a0pXF/iBXI6eDBU3L7nx/MwDcq08J/Rrw5k2GBcsmuSl3fpyzeOsKd/d6Yg4ABRhSo7OQxNEKE15vSPSw1q1xcaJMiAID90tyr87h19xSk6ZeqsJrkRfJGBYVdsaklx82Xq6d8s94rF5lIVV0u+66aSgRqjoVEKPhIb8kDyglJAFMgyJV+46nZe5Jk66u6NsLv1+l8KhrBn4wIj/K9Qix2/QUFNNtMs6lNAwR1EoCcDoFAVsD86l0NepRVKDL1glHErYBkoTmX7bQkrPJg52oTJ7p+pqp+lwcBQBSsrIgxCgaGIiCEqUmffoMcwrJ+DWSNHDYzQBA+Atb8uXSmiWtAtEi9usCvmahaXsmmCtComb+zM5xbE44QKMyEQ6JI2ZWVFEIY554yw/hMy0y0Pr+/Ip1eCoDIvCIy8vHnuAMYcYofP/18XUjhu4AOtgc+AXEhE/5wOuFbrUpxA7ldkDtmC6pAxTcTaAzmJSmMzJN+D6TMR2Th7eZwwYHBwrVWRgjTU9rn0V5mQkjRQAtjnEyv3hEHATwUqQzaYwUII0517XqN6HKN5nVzg6S15zLvm6EW4+wxoYBWdfTsJRCIZaw0JoIFCgS0Srx5dPJdZ2ComgwZvD3UMKbdAAAGogE4u7CUxWG4J71zVMo5KAEVdE423j+Vuf1eXBScNSJ+r48x0v9HYw5uLepNNkFJuQUBpFB0ekaAS2h0ugWH5BTxv93y/CfmNAw9anDN3psohHU4cjfccpMPVmjRxBUlnEmPmQqrdltFwEnDgTosRAjcBI07NFhCFmx2aaMFbmgEjQwbNmDjBK9OvAo62zblnvauJO3btAZedcFd37DSVQOAB4zysQi/twjh15O7uvG8x8AXCfL+QQtDV1EoAX730KgHASwUrMyUNAmLAUDAWEgWChRCzt9KR0b5QcvCWcS9XnC1wB6N6hg7iRSEUqnXQrEUXuDUHRZEi6yceF8+Db+OEA+W7uqN+enSlH0Nq2Cr6DQVRbaI/uFwKWN0rO3bbsKakVpYINNRyaXWJccGR76zNWSpDCFzlI1GDiBuQoYVpwlWkJWzwvoIPOl/8s/l+Gh6cOTIRSo2Yw5As7YDOGWSKoRVZyypuAgy0YaPHoyWZ29lvO+Q92mLlclPkRWzxOtYSpB5ydX5MwhSO6A3cBgNjLehN2yN64sX4sCDpP23S6OYtWpv8Rr/gOTZL++2YOABMBShtBYaEYSCYKGFKjjOjQc42bPSxbRwjTyFxfR2PR36E/TrdEZnxG3hPF3mI6CB259w5GQMPme9du9XdDOWs0tbV4+n7pSz7OBy9U1DFej6aBvPPq8/hS8SWLBsFXzizW86MrwAqdgXhRxCOf9fkF0rqR23gMZozq8HA4eX9rdY6ukhd3tvuPexAjfUWfnsAYds/fwQqAcvrcAAcqBcB+WXQDgAAAHwbW9vZgAAABBtZmhkAAAAAAAAAAEAAAHYdHJhZgAAABx0ZmhkAAAAEQAAAAEAAAAAAABFjAAAAKwAAADMdHJ1bgAAAgEAAAAuAAAAAAAAAKwAAADVAAAAwgAAAKIAAACmAAAArgAAAKkAAACkAAAAsgAAAKcAAACpAAAAqgAAAPcAAAFOAAAA0wAAAKgAAACsAAAArQAAALgAAACyAAAAmgAAAK0AAACjAAAAqwAAAKEAAADcAAAAxQAAALgAAAB5AAAAlgAAAKIAAACtAAAArAAAAKkAAAE+AAABCQAAAKcAAAC1AAABAgAAAJ0AAACXAAAAoAAAALcAAADfAAAAoQAAAKoAAADMdHJ1bgAAAgEAAAAuAAAhUQAAAK0AAADGAAAAowAAAJwAAADnAAAAtAAAAKkAAAC3AAAAugAAALAAAACmAAAAmQAAAKoAAACpAAAA7AAAAWAAAACjAAAAoAAAAMMAAADBAAAAkAAAAKsAAACsAAAArQAAAKAAAACuAAAAqwAAAKgAAAEPAAAArAAAAKUAAAClAAAApgAAAJYAAACkAAAAoQAAAJsAAACqAAAAkwAAAKQAAACnAAAAoQAAALIAAACrAAAAuwAAAQsAAAAcdHJ1bgAAAgEAAAACAABBrwAAAO8AAAClAAAAAW1kYXQAAAAAAAA/mQEuFKjM+AokRoETFROJiMBjl6xBJduC64BBMpsmdI9JLVr5Mxsx4D2xDFtGhucl3lSFltH/nrvmfyoKwRgbAq15FbeTbVyjf5QhFxMCGHBML9SLbl4OjMLqhRHENXqV+B0GG8UURWk4DuLs/utUJ1AA2vyrqbhseHrehAWO0OpF4ijYe2tyWJpu/H9K34VmpuLjBzANNR+8G/8d4haPCyABpt8wAgvpvEA4ASYUqM00KJwIKJCtqLZy7Y3EOjSwFc2m6elp/4LXLXK7RxsfocmyUfHuriDqizTUgMlLKSo9rPFt2HPK67ycfM3fdMIGU8rSxOIQpmpKDPdV6W6Xlx46rHxe1rTHvoiWyN83qratAZKvkW5kwHsUqQInPLZnq0mEtmBm5PWufMrJjdd88n25ZZ4qyVrhlJUC68/3VAtXAg7WOAE4FKFMdBsUjiUBCJ1Fg74mMdqZniyLdJDryFlFwdzj7EzdT5JFLRo0qLSa3GI15qsq+ukx+fx9bN6UgjsqQZa1saZ+4jL8UsyPmDAlh/JVtpcM7uwYSAOVBQxagWuCwNy/7mSgeV8O1aLGmW3Kqn8JaLkF3D8hdPhcRfgHA199EsZm0wsFozPvaBK8c44AZ/mjcATHtiBwATIUmdCEGSBIAhEgtvTcxV81MZ6JEX0WdWLctWNWzrsUe3w6UkU6dkrVGyOcxQFyhEDbp6iIXw9fgIcBZzwiHUMRnrkthZFQOOALBbXDLnsJvkFLxx/FwXyHSBjjZGetrpc3iOB9dckxtKz+kbquE/25cezQwfxACNWuDB74MBk7nWkr+6F0p7SOYWaLal5+n9I8lxWlhK0hUFAAOAE2FKnMowkUwio8lYsM5xjsY0tc4HRpwHZwZ25Znb6VfkYUqAJAZCliyopq4tOIGE/Pd6YSjdgyFFuG/SUnX1SNTIKBrnZmmnlVAgDdbidNVKUvc4I1Ov56sbUrlrqvgCNb5XoRDT4U/W6DhvIfvhT3A4+PGswZC376GHM0vJQDD4tVMjHkAFML+MY4ADyZMDJf7cvF4daIyBBNsrMmqLDjhgDgATYUrLBmcRhERBI0ggU7GNjTS9HUkCwXTmn/w/F/pHXH6fktpY1WwYkYUppCxkCJBQ69EtPddZb1zAzNTtc0Vb7yeTgdkYYcOmlcnNjZENkOnGaHeSSlIrd8FmZqWZGKQCc2IFDIhhz9dTj3ahAhUIYaHSPwM+iz0ZjzA3J7K+YAQWLfDxEYUgW22s0I91unAHMdaotedidCU6M50P+EARhguAHMBwFAFKzQVloQSoEUrQtHmYetspOGjpL6iaRzoGMsHZ2tW6MDm1KnO55mBxldgmV3HT3Ci6xacKUVyOTElsCBqJ+buaIIUAfzjnLaiWz0ujZrOAQCsXZe84MAQcu2flOtqOFDyXq0WjlTuMkh/Nx21V6fH3eS23Znqtij8HmnIkvLjEIQbHSdhNVXfqxwiBXvSMoSgiOcpMikY+JIjc7w8q3JFPF/CfcA50A4AUIUrO5EHBlMQ0CJCGJHJLZ5t1S8zxhOM04l9LdaG0Arm8YPdE7+heWdRvXD172vZ3h9yqltvcTBxadaAz3xJELkusZiuUfB3h4TroAkT1SXDIVFcGv6uIVEd29auolKyVLhZpR1riArxO25VhegCw0xGVAaTVQICnkaPLOFY2uO1mWidkAFJbuPCJj7Ckh6lKs8VogyCYU9yaJR0ybTY4Cg11Hodmi1wcABTBStbFoalOJl6cOksw9+ZbqWu7l8J7ZTIABt9cllgaSAcnMuxCoWeHUVdFjstkrmtM4QfNFkBZVAQYxcxJk5qCMEZk9KTs0EZOJD8WKal2b72/nNAi+/kHYI7r58sM4OlR6LyiHNqJcfZ2c/f83t9ZrtHFZWq8QBr7d91KLPKFQuAOrrV1Es69oam4hrqSXjFCGT2+voZBYJ5lFVsGqiDgFIFKloODqNBsEWnd6W6XOZ7V3s011SzUl3ornQRB/+Nb2TqonzmlldzIgwAGBbNIgkLHbGN/yeZGu4ksPs6SSCkizJ2pP5dbk722xu6flRjNCaKcI4pzq4EgYwKpMdH8N/PkNtUqt/hJ9KNEk7wK8elNSw6uQQYVSbr3pCK17Q45qdOOphXAJIqUwTABM7RpglW4vCvhea09VJudJYW4gAFWQ1UkBwAUoUrRBmKokMwTGgTSRk6tJwNi3RS006yXcoAA9uLnQ/Kaz8uCffQRUIA4QURyCFMkyDmuQoXz7OKcqJohENBFemOfbIyVHHJc/CZJGo39SCCODHDjbz5cR+HEGHtfMI6AZU+UaUuEW82lMU0vYFPtwsJv6nq27zxtzOLJXNOslQHTiuIU7oel9I7nPuFAoJFBFv+2mXwxU4tLgNISCpqYOoZ7pGo4wOAUgUrMzkSbBWPZ0LWyt6ri4ojjRwlIBrL6qwSgyqpJ4oMjB9IEjQevw7LhZryKlM9Ec6BOAvlaeQBdsOyMBvM0Nlpo8CFhR3NaVtVncvR36GzW+L2wcHgUvQBquw3IY1Y92h3XznXYNW/3/Ydh3epa5cJF48gAoAa/eG+4fU736HyEL0AQNtXsYb7LdtKbW7waGKReViomvhWY1xnygHAUIUqMz0QJiEJHqJJrTq9l7o6QC+hxCIuVnRwAAeCBr/bg/L6v2u84Ra2RgBeeyCy54RY0N2ZN6e6dkdlcNt076sksei8Mr5N++lTEzApO+I8F2fDj6dxn9MHGOBCZhMnUi+Xgp56k3jFDWL1MA8r2wv9Dy74aFb5E9EU7Xl5Aey1IwrOl9GnrGNnm8U5debrcAQzcOD274Da1nfyxJgnoCZC8gp2bv4Ze04de1L99b0zwg4AVAUoZQ2HR4RQmGghCLTy6zpmBt1ps0dQ8zmwDv1oU/w1+abCTVAow4Hy6IH84xUxFY981ktONvsHBOIq+8GHv6jScopvdZodwJinep9WnGCOO3fBPeCU7fxiP5+PU7fP6/Pz9XlYbf8PqQppRX3hRAOEhnCLdPZ5NoxrcegXTLC2mgQARB73GzbS8+ru9vk15PHZUJBLplCsWdu3Yvgs66SlFlXoIU46c7CUX2BJROWL7Yt3Qnfh4Xm+nRjbQmvIOyVQtKibcVORv6ioxE6FDEI2caEqW+ESYoU23U5BqgzCyKubQ0rkY5dM39ubsY9WWPSMEHQNITdNBoMjAW9hk9uV+w5s2W+/NVUTkokoWjq9m/nXZIz0POKWDYKFPdPDM2l9Po46tukQBwNFYtv48og4AFKFKiQlkEFioNgoMiCNl59OkNc7E3juxIvWXpaLsRf2vunaP+0jHmyQxE0zHIiElFHGRACUKu110MyGrvCORrYpZZJtsM2ShqZnFFZmxpoOBBjVZUvcsnHTRamNja+6/LXwJ8hYDthHMkEEgwOVX49kLAIRSYinHagDzlX2ULtuNhfIGNzfLLse3iEULYasCITVt7aqAOYSB+Cs8slqvgMYw/3lcMU6pcPcPrF9pqtI7F3nHrXEDlUhTroABltoA5AcAFMFKjstRsNBEYQkIRgIQieyLszC+QzAmlvKpPYRV1Q8QIujj8nv/dyoMxwo4tXXLnQzF35Rd06HQgpyVgZmpo8nkdutgqeqTFzoqWs0ICtksysoQmKk+4sw31UojcpN2q7cBJgnKUo4BoqGlXjnyDJ9FF1aw6jMtF3xhWfMFCsKCdE98HuWQA7zDJnW4pgUVO7H3JxPDa+VSIhKEi0sUQOAUgUreg4CxEKKgGzNa6K84oxzAOETV6dZWAx347R6/QwDiG6pcKTIIm1/WWjKQkF9SJyREFhKsq82SA8awzj037PzRyQkV3QcYmh4PjykEtvNqDcO4c3Tm6HEGIKsESbVug8tlkrtN8FQqrVb1NWZ3+VoKtJVKwrvWGcdFCYF3MDVPXArcSgLVRnceLnlh0GUAAz2a4eHBWkYXzTn9C1JNHyaNKA4AE+FKzMahMlCiUhKIggN80YdOhFvC7OrW8mtM5sIu+3MGYBb7fN8eLYnh00BZPtuPtLmmMN/BMl5VtZF/W4vptwN7Fame8c9VvAv6xD+H8aDEhIEYJ3uO1uU+A4YTJ1S/hao81O4rF4WrM6yuDAzFKdm+DNa95Kkr+7R1Ydl60aLAw3lD4ZKiVEBLEwEWc5rCccXfazS7QsBczTU8uv1Lu1AARNfhf3Tyi4AUYUqaygEhBIgyEAhC5ocF8Hc0xLPuW4jpvGgEp84eMeTYYX8pfsL3VX4Jk2KTFGRTkTICKeRobjkf5XGb78WTWdKa51ovgZs8rOI/nVh2uQuDu6PILAZMh6/BG66AStSe40R3K34KPQ6xZntzyrUIxuZ3CK5EBy+1aU4oR76Kd8Vr1WA+FOsjPiLUw7Iy067aFputD8FCQr7kG1AIEAzZjOfDNmBwFGFKjQ0hsJECEigIQmsY9jQb4Itc4GhpIoIttQxWb5z/NVkpprkxz2SMhMzhQOgbcSj3s2AlzRbhmEJwXNFUb1JodShOTWSAKHQtvP+p/v/g59/ALV0KEioQKbsQuhmuGioMVWSvZpw69u9TWuJhJBp2jeaJTU0SwtENREg0JlpqHLdysuakVZ45QJlG5qNaA5P6mMtEQ/q7B6WL90AYVB0HBu33S79AHAAUAUqRB2Ig2CgiMIiIJBEdLCyWZw0cNEgwAHdfGv92C6tVxF0BNALHGC6cNZ1BOgKkGv1yrw0YYaMUMQRwpQBHaI5XcvvW/6zUdIh+2qJJYUhcbtlpCncUXoaGbVLaSSsB1jlV09eh/R00hJRX2NjdVCnxg9UZvAzBTga+leJT0hG7K4EBDln+ex78VAcrBmJ9wcDLz2sVODU7qFtxakZQ4fl3aQOAEyVKjoWgsZBMImmU7Re+rLzo1hazS12vGWArf+6NbKtYO9hjHHhqz0odsVM995QkbBAqR5cylM16waQiYMJJNuzjLh5O8l91d8YWcRWatqZObvUqgvM7uegh6Yj9vqWgKHzaVLmaRZ0NHBmmW8wcf8OV6jMAhjUAocokVNEYC4zywVAO4R+qzMOj4QnpAnzBsJvN267NQgvmlfD2sK2Oxt8GXO2crg4K01Y48QOAEomY6LVICqo6QK9UNQUrQUfDpxfVf9NdbJf81/0vbi64r4p/wm9z7+dBHTqIQPjK/haMhIC0D0yyVo5Kg6LnZ79s3KVnGDDtvnBMsih2j9PeAsVljHlKe6Wf+IRagYI2ubHwDE14DNTOI2jOHTD5AH43ZGOI/oZR2CEdDuQ2ZsNhy+t6c9zdVvNfdlagwYkyj7rpmP3WH0WlXi5LN6jNCcHh6p6HAdL16F/C6ub04K70DKlsn+q55zGj2vgItRauo7zkB0UKpHFLDoPCwwtps0Qcg9UFPj01ReSzfOwL/f/vyY3xALKVRGbuCgRfIBqSxlBKAHATbUqM0kQASGJVZIcRwY7bCHCxfAu3AGrL30Pai9fDhNFibM03mZ7rDOTTYmPUMlf802X8HbkrK5mvBLCYFVbJRlmnyJOoKWig1dXASWgwlnKfx+PCdbMVgJbJOtrmne0Fy4JLVnpTOSeSzI/ZVgKkelyNjcHp4YYxSM/ypMmyKiisTaaRBoKCwvWyOn8qmNhKqc+b4zeJmhmAAAlgBQnCNRIGb5gcABPhSs7IgwhQhIEYCETmuI6Xo5ls5O55TqLlrLSAbsToFy/azn3R+yFDXeq0fH90NQVNrNYss4MVQFNLibZ7U7b6/f+f55s+GB4gNAFo3iZ+t3czLydfC+EpTlbxzr84BBOtVGQUBlzsd0SWbiJVEIU9rUrTXwEolh+jmUUYv6EvhPHBFcDsT4zW5ojMDSnDBaTrzA7SvzKQfxjlmPbGZKYyZYYria+Ngvxwg4AU4UqSykSY0CIyIIkS9atd745rxZTria1o0LkKqCLno3D/wFe9qLa+UJNTpnbFWEFcohS6MPhn2/v3X5cOMnXAGRzSNgZOgtjTi1OK73wUFGuCu7ta52OUq+LjvtudF8ShpLwTLKxZoD70ULRNpUWbXkuaTzQRcWJmMSXbpkslsmiWbR3k4BQVZbI+eiRgv5lLj8BE3TCsNo9wtvfKxqB9kBYII4VXtOrJzA4AFGFKyNBSEc1NntnRX6sxFItOmlrZYKAOhH9tekb61OyWc/D9bHxphw6YzLNVLZP+qIal1C2s3Dn7EtPGU0cylMkYXO1aFt2c/dfPWsusutUUSCbT5qWntCl0TePtusUgRgdC+AvfWhVMR3KCYXJSUmOKhDnvuc/ktN0f0QCMmAsU0CUJJ7MLrdsnyGFm4Y7UOGWXjsrfDTdYdNG9469L3QBwFGFKiM1BsFCkVQilG9fiNLExjS2rLWi8FAi+6RtnYYSlDcLPL4cTquhhKUXC4Frbwpkcaz8z0UMWpqHk26F73emjYSEqWlrzvknAZasVX6iAtKzGSz3ixuP5b2Yiga9pq8YROjyf4ugKPsCubYwLulG1xEKTGYkUjCF9zwYZjKfLJLdFpYS2PJbO7TT2r4Y1Vrxl9/hvtoUhaXAk7jyaLMSIOAAUJUoGzkWSxEOOF+dCjZMa1olxoMhgETZrWujbNFOjDjyR+vzH5FIYnWSVh14OzFPjDahGWXZaDACjvNPIQ7kNmKqzNTO/Y/C0ibV1QGIiWK2KCPGn5T3L4qvWauKCqWefNmEi8JDSQL8qAcOVDgfvEL24CwoyZb6oRxCJkMe1hNgM81/hzGd4WkYBQ2exDzAX6A+EyAfbhJKglzKoJ2YP/NEIA4ASiZ5gskhMSBuw0YGISaqX0l9cZw3/T4+f3vflbn/pKZ15fREHNqQA/lSiVRXOXpHvymbfkRUyGV/SQ0qRVTzUSL6vVIBCzT29q2oK2IqFLpE9i9u9XRN/p6paa4ZfZQq/8tGBfJHvjE7XVTigF5DjS0mRweqZSUK6zdqsmiXvJ18/mf8mMG6M2ZPB1mZFwt7E4FYCIQ+EDe/vfkukptndBx+XXVPiIgtlHHVUYGOQd9d0dqDE9Po8MUA9VApVvmZhE7ONS3EKqL0W06TmIwU+VAsTRrxBMSDgE81KiQtioWBIQVLGpUOQUHGNVmtWsw6zQT+roi1WhaDrIbz/mnTGor8+4Yx/k4PmV1KTPGPd2Y4ShaTJmXUYaYDw06s9yamCTOhaVlvF1PMkmsQZ9UTkeoHaMDpDrnewQCgttqVDQeTwkWimnW9RjeSTIoWM2+133Pa3nZ/NPj3Z3h15BInx2bliaTvtM2D6nG4rZPH4bYkLIt+y2P9c8J6DDSW+LJnpl87IqYgrK3MAbsWLhr+vAULKaUQcABRBSiKLFICET2UxuZ1koY6SVMqXd6TTerGE2vwFmo3uts3pRZYBswAAjHj//cU4kg8yjn51hVqma7EScBBxMZpDfLuDmUu0xcLrbxrwHhdH+Og8kCVRi0ESBgG9nCyzb5uH3Qn3vQwMexUZzAUywpypSh0zIIxFMn1SfrbwwAUqq4FAvDEfOUHX/NaavBvQpjgyAyoeedQOABNhSpqRFbTkhj0g4u3Am2uFyQWsVHRP+76U8FN8qjK8uTODa0YEp1FG7TvLtwuKNBLgX+qUpaxeRSUztePQL6Md4+T0cfvepKjMxX/13TTbO77WGylbLEKGwVCNiawpfpufkvvV3YWzqtuBUObu8juoUFUl4arwGJZhBRFCqLVjFhudsNIUmwvF2JMQAEiIC1Jc2gHAFGFKzwdkk8Rv5+RMuOaDovVoXOJJYvKgNjghcp3aeoAEBlrEBMxuB3HVz4cbsMstAYxKpFqLue5CHK1eqZeFY5Maio3ZJcg1AV61QjEhWXQhkavODA5Ab4uHe1RZ/ebNjl3QiEDCNLRpNTiysb3Zv//mJJDrpTN6l4rx6nDBTvvqSgCXpJhHPpAMhwB0kxYCNXSBBS/8sxjiYVwrQDYgCHpkUrDMqgsiAKAOABRhSskRUjBQahNACELsz61eTWHaWkcOrppV6dbNAIF0GX43oF9wgc0cnQgmrkOKMOGicuIPCkiSoMubNjI0IyHFT78HufiheO0tsxxsWhzzac4en1X+HmQpQ0+zcgrHHr+mY2IIDS9Qb2BjDXd+jpJmrg9p7HSOzfq5wtHzCvjbWTMVM2iKlUxOvovYAXQqt35gAF8M159V1q6k08HWwcVaL8MVIdqWtAHAFCFKjM8iQEgsEzEISt+rvh9JMO/CSM+r1xzpHk9sy81gQ0/oge2h97pTqsaeRXHb2rWAEa1ToA1i95dnWqLW9ctvm1zvAVhctGN3HdGqJJuzHb5EkvsMAINPp0hD33XGa3wDmB4Z7zc7VlwvKBHm/sr8J3YJwoktaIl5ziUauX0jaACcoYiUwABxlkH82IMo78ePyBAFo1ZMWmQAQR3WsoBwFGFKyQ1iG0iCNXp5fDU1ls98curvq1ujUdDvWgbCNkodHBYJ96OhGFbnnqSEpbkiRLSExSEiRUhLDOo0BLKK1GjuoLGkny4DUdY3ODq7/PhdWeH0GBVvOHilp9Y3da5Y5qbX/X/pOVntKejt/uRU6Ly95hOPrdHqZCu6w4gAm8erR9aQAAFh7/Ao0BvO7H/8TahO8tR30xiXlx6gAKEdPlmDgBSBSs6HgbENpCEpBHwvEet5d2+Ltbo4p1mADZKpMSpU0j61Dq8Mkh5B5vaVnEXczTZof+QJWDWEN04hfamq0YpUIQc8QELatba4gAkBL4rzVM+8ps20Kx5O3T/p9K0jXdjjtfJOUN7kNDovBimQ1ZyANch6DRaOjYAAjpkXiY1RmF0ErvLsKhL9r4qdJc/YFgrRETBwFIFKyMuBMRCkQxig56NOmsrdjgeyaTS2aApcqdjngAjUXFXdiByUKWKD0/7PNsGoGg7JI0ILnMOligFOdxkN3oGkbjOJ7KjisEOGICXALtcpnSdzdwZv5yDvgFxPWiSkjhewVovMVYbzsDvwZWZYvlSpHZg+IddTR67+C8U2q4XW/C6ZZyfQUAu6IuH90U8kmLP0aFsXonPJ0tI1y2Eb/hu08+tpP3/WNfl4WjDeQHAUoUoK0EKRDMRACYT40XVrcuJH0GpFZ0SmB1D8f/m+PHCAo2rmuraBNV1g7QDKeKV1ICXz85sML6DdyWFEGYLyBor4n7u45knr2O5Pax44rFlBZDblRlMZXNS5VBScATSMBtKJ0X9dyk/10q8dmFu9peyTNCXDyvmqoxuAaVp82mv1ZnbvWZDFmuFOb1+ytsmtQEIzXxdUumZJgYJAJzm4ABRFSs7JoLEJSBMZFEJknsnUIYsXrURLjNFAGjoSPrRG+lZvDonnPzjjJkbP3fWTSOa2DVfqlHPOR1vazRdbcKShu37wJ5jRyKRxU1LUR2KhcOiUFh75WeuMesaqSVqPGh1oYDYj/gaN54eFw4jecJu+euRC7hcmfXa0SR8CBvTOa7/2gAbiecu2em3cFqKaH5z8i7F+DBOOo4LT3DWoagH4Wiizlver0IwfIDgAE2ma7jw2BotD4otFaJU/eHxNd+c/9FPbrh8Ff+n19uPbzr46sTr3Loj4gP596zWt5AhOrJ50WAgMSsX+jAAPIxZeEv5GDmLJS+y9506cZ5KwT8Pr6Qq7HYT0egAx9d1UF0tH8X/t/Igt5TY/Hec3WfPZWhb3IY0RQEJQnL86NvcFBysO9jVqaWJafZAQAa3r9cJcIVN2prLQODhKD4ltzhGTTG5Z7pl18yBliupvnYis5/G/lRqt69y1Ll/wzh3U4eDCMq6DUfEyK61amucxio+1njAKqQdffAOAFS1KksaDKZAm1ROunR165GVxdzjQdQ6Zbt9BDTVWB+nu3nplUDt0qrhMyFV1CM7Be9PgiV3uI9B1R5KvCXvt6tipvBxHmY4Ry7dM6c5bB2AEDMpfZrsQBMXFa6q3I1cInYBtiL6OrwugqptGgj63yAiQHjrgQOPQzuXh33U44XurRGsGhXTAA1N5tRvlz9E8TGiXEerxicXFZ1/D+L4YIAAOy0wOABShStRBhKDYaBYImQImO3m9IfTx6TFta1qxou4RWgHPD94OoSR/Ktegxe2XtsLblQoB0JaGjtUgkP9j2w6JKRUd1KqfCB9bM0xkikr6WdJr3iqIEQCCcO5V67C3H5fTNPlolA1CLtiucoAAXQombwGPSdPFUOmhyItU4SXUNBqLSPk5oa/Zqzftj8e/25I/4pMMCZeoAEapE7QSjszyjAFFYwTGDDvqhaOvHKYAEQOAFKFKyQtikGCsYgsJBiNCuuMvrVOdjxwaatV3emg3wW+bo6HGd8HKdzZZW1orNwSi1zlDLBVGFMAFZJnEEaZBiXO0sbE57+vY6iGqQGm49ecs2G4UZ65HONBQwUYMLklhA02SygBggroK8i8kKJK6MyChaFugej0yZ+ktY+3wpZtfFPZ/fbQU5mRDTNlk6PxlF81slWTYAEhnBZa9X+xZdXR5WzqoC/vZLqaji8TBIsBGM1e7iM9rFF/Am45RUufsYjtBjFQONc5dmcsnl77gMYB2Urm9uERDS6fnyCj4F5V2k7ajiN8hFSoCTZY83n/fOBwAFQFKiMmBsMhMKhMdBMRBCFxOF6hS25jDAtprSXXUARsyi3PIP92M34NEh/RnwvAJCADR0CvguPnZ113Qwtk3mTh2gCNhnmu1Xc/6ZUz+dXrqaZhOJccjl/wod9ea9P0sBbRuaJBkhbt05BcUn3FkKosgte6Fp6mO+QbDfLacE+2ilnOujkq05xdzrevpl05zakokri1XNNZuAjflYIhSYKl2Wux58lzunahq89/ucQa2Y9fFAZXJ4MNWDZ6go9YbGn27c6CgJ3YYOVQYxggOVpNnhX4dLZ53MJwStv6v7OF9Q5beyScPynNvvHZ9Ee1JBn37DGCc/mlEHAATxUqDDkHAUGxCEoRSAy1vKQ3sobVziI4TRAY6zuW/xy/O62kBminu2Io6MppIqSQzFMwWTUPueuZM1sQWurBITxf8HFFscjjTqnzrVA0dM7rXRjUGbYaG1k12GGhbtQq86w9cpK4RbUAppU/jMePEhuyd9RR3ytSXRTtqfbJFZb04/h95b90uXNOQ+1DmUYu2F9P7QpyrcTikykAzzXpFwBJJm+kkPM0gtCJdZts9nxf9/rZi/OugsJfZyuuRBJkAiEsod65Rz8TEPu3/G0r9zg1V0v9mw5OUOidK+enLacCOGoQcrhrosDoEMAQJDmnlD1j5A+r2DIztDYK6sKgvYKAe4z/cNrvYq86an5+nJvd2gFtfVQla3ITH5GXCbvE83otFaRlOk26cMtslLkS9fX9cph28QTd7cbhNsc9y4iECsCI9Q4ASSY7rMhkEjBRMRZITDZoRKJiJdMMPo/1l9+cntrq39r9vV82/f2Hp1mPW1sTwGTlSGIqfF8HVkwlug3iQ225KooAwYbsIEKhqLQo12jOv0MdOf3Aboaph7Wd39KD4KXCXX2z1HjQCXKPw2WrWs2p8IQZ+gAhUMb4GgneDNaDYx0Ss2p6dE7Vx5xuERMVpTGO+4SjLWSR3k0iZjioEdovGlguS6StOIiH3yGQpBGUH0vmIvbkdXj1hiK256igkBDzRkahFMJccUBzNj90D1j0wOAAT7UrJD0WIyIJDjurdJ5X34WbBeku5fkvFgZOKYgvM/t+z5qQ3OoGBNG2MDhpKCBN2GeNVxFDZ7MyEpQXxOhq02DAC3GcJKrTqGMj9jUUs/HXquaQ/ysnHeU/A9a7Fd+a0QRdZ1ULfiiUFBUQ14VFaFw7m9jTtWwoUJoYlBaHhqPCeIAiAt3Rm0AzSnYYfwU1kKs+cAO/IzjoyG8TArFRQiMXK+ebzdUgOABOhSs7IoiCUjBMaBMome8z2Y6vpO95BiPgdXIvVs54AbliFxj1BrH6o/5eJkXw5wxAuxq0nfstroVtvkwh5m5V63Ibhky9hB0drDWMBU6oNa8eB0eLM75/4hqT0T2eXpvYBpSpuEiNGW81okhrBHDqmzq1Pu+fQNsA+hdZIE2gSx8BduXU2uzhi4xvL48YvpgAAJc37D6Ove/Hg7EWXwezet7s/w5wADbwXmAHAFQFK0stBsQWAJGaeb6TUzO9917HTSOpcX0VQCcR/ANSpbUEoqzd0A5DUBoP4upXLEBWLWKDpTuFHvR6Mdaxy8k0og5MYIQeHCqaBMeH1Rj0Z1vCgMr3arJkIAcQBggCdwNGQpMI65owwNWmJxEAAZIgw/lv8KzkvaqAS/zUV0gAHv27dPtl00+qIkzpVhWgrknWy2pwqgjwAFMFKkMmBoJSmYjgFzda61K61wc+7bE06NfEtxaytiLTXd9Sm+WzS6Pssy6ZAMAh0TO5366eDdx32zV9dOD+EOqE0/dFKJbxyIiRqvR2t5RBb4aAOV1gDB6xWo5OPp59W5CUkxSCsdWUV26pFSAALo5JtWPk+RHbhOV77EagYsVDdeRAIz8w1IzD0jCTEA03wIJW4wpVN+JoTjgaEyaJA12oCCQ2ADjgAFQFKzMuBKZAiFAmZBCVa5wzX1CPXe9pwPadXJOJqHcAIRoLW/Z/Bux0K2Io45PCNgH817BWbvfmdkxOQ1Pc93GXnNbF1XY0xVascenff4jh3d0bW0689P1cu4C76+u53fCJAAGUHN/pZLH1wA+Yg4etSjtxXnoHpPzfYc65pl1qXDUoI7QBAqxdQXsAz9KPCSuIvMsB9vGbPNfdoruv9fZT8ohA439fLnaVwDgAUwUqUx4EbyEJVFxfnyiPWNjo83XTSaFICHOLv3tD8mRuTPrzoRIgCEiRjElSi5lKitIArZijcig5iMpPM9dW3Cu8SXN4PEJfNhpO14ejfM8kW3nwvY64Dg81i0emz8Wpfg3/KzYrk3Bk3PkN3rQa2hhlxwzTR61St0KVMOEACen+fkXQmDiB7VaglV1ZvpHW02qpNSVHMDiWM69wcABUBSgzNUhDUKDFYnB01rgHJe9X0YjidEYBXxA+wV+NPtNzn+K0RYn3T9zLqpqugpaX6rEkvNyctwTBDdtenaWN+n51/nNEioplln3/Bn6uxAC+OsaedAFjiurX4THeC7BXT3eofq8INh4hgPd24gylvEZ91WWKACStyICA5T8FVoR/TYy/8RWrKkb7sId+DlSeXkTSkIZJP2vWjMDgAFKFKyQVlIZhoISEQRoHEjXFNMlXpLG006dZbYAiWmJ+A/MNg+88xkuXWPGlPSlBq4C6mpFoUIdBqUUqFVhIjnTJwk9WU3NKg8616/oBlz8ZzR8bBe6w6sU7C24F8+Tmd0ejK+qwkVhQIMKdWT2zSCdtOL7Xka4yaXZB+fl2LiNtBJTfP9XMAVGCcAABSIKH/ZVQNk8ZhA4uPKD2LjXDJH5NhwikrYyrvmBwAFQVKjM5DsFAiUiiIz2SdWdQtjQNyVd606jGAzr+kBrZb3RnNaBaA4PZjk1TsN40NnJhmzNNUS1a7HVeGCg0rZdB82PMhsWENLpe9u3kpnLIzNQM+/ox7vQYu1NedD+I6MVk7vBwYm2VEZt+fdPzyoTmds7azVzFmwVnl6ukdIBL7XPCAABAlKLoqU4f1hIt+2/DwtqleA6TiVJw+mvFvoYtNOGhzpMDgFCmdnLRUhMoRVqGRYioJqKvD/F6m1dfdv/x/Iedvvt/8TUvjryMQOrxE89hHJd/PXL2u0eluCutQbKwDqomm8J5UWk7hpKeca1XR0y2yI7Zv/ToOeXCw3yNOYhiTVvGsgjhswECiMvO97iwspYMNc0/yvHe79woA4DFC8cg4xGoGTBzRfhwlAfqAhEYPDcZQqueMYR1XCV+JEJEOrO2HRTw5YgQAEszhqAAKzFKlbCIKeHTJdO6v/ywmNcY3sbOaS5Aoo94Ldyl9012QzGO/2xDcr44xIOAU7UqYwyFBUKY0EIUCwUGI3FqBLWRQTWm+nABnQREsis0qqVXrOVdxkauuSPtZYY5/6zeY5k2FaqXbraK/I7UswdzvtHEknUzaWUUIKNGaljNDXJm3mp046KNEilopaFD9axG5iijocylW+yQuToTVgU0Nh+a7X+TomxWkc9gJQnaYzpLJyIFhvefaGA93NFC/MDDxUj031qDGxYMS66Mp34GSSWoAHsrl2+SFU+o+JRAFc3ZdSWWI0ScwAQA4ABRhSgzQQzBQwmL144GjqEyILEWFC9BcNHS1JkpqTXORZHEA6pcaOqJaVenqXPxrnv+ucoq8MMkAYlGWWWwipc0C0IZ3k7NRRUZIfcFfkTKc14mTIIOOutC74tXVQ5YLrYU7CGTPWd7fGGuHW51oFDmOI1FTjS712J1PhYEtZlOO1SduTqeq4mqSahoPa+KntBUXnK5l4/J8IUAbv4qeHLg7LFjIDIEZavpMHAAUYUoYx0WK1fVF53drLWEXqLi4DNQOkEh+/DP1lXX6OZOYopEFsBrmxLDRQRQZTibbFUKJgJ1i7czLZLj3TVa1TY6/A6nQeTXqnueC4Ehope95eR+jbits1i9xwOu6xO3VxXxWTIcV2qbLE9lEzZlfN1yr/4qBPpor9vJGdwllJhp6x509XXB4LMniwShZRUo42oIAAkDLGoHAE+FK0M8VoETOtoVy6eVsjOjJ1lk0uw3YRQz6oQEjzjHPr9hEAk8FJgNQwf3EV5jVr4sz8pJOCKGjAujd1kU3agIXldRBwTfO9t+qSSDRCI8TVWJXGHunLfSVHjJPZpz/P9o3C356jt7sRPBi3YPkz5L3zNEsWe3aK9wAwa/3noxfX+gLiJRmQAGs+ZkLa7w2fkzWZrMK1mDlG1KbdSpiW7AF5wA4ABSBStbGoSDYJBAKGgJBAKBEKCEb0uaLu/Jom0Vf0w1rLQAYrX7GTRTfykwrsEE1Uvp2SFtqN0XNmzFRMP4ZTIi5aZVlmUr6ARiMst8+KP7R2SzDJyk8QJc+WsFIOV5w65ho5qQwrW5vMpLk9OexDZ/A0HqPAJlrTWWHURoSrB6zXLuZUcnaydLmlP1/FQMJ6dNSIjzI9CGwZlaSJO8AVYUNSCyLQ1i94j4qhKhMxz5ZMHFqgAggUcd4Kzt7USYOABVBSpjEoTGM5CEjBEYEL8y3UUTJ04U1BxGZWhEnvNSW6uBAB7H9L8x/r+bqFxCcMlVk8Da0udw44Q39hMVAlLIr1SClVp2+YSOOkmb95Me0bHvhEnCgxvfyrWAFYnYkrRKEFdIarS5wW2FtWuvT+R/cP/qdNcGv975vAyWuAY8/nWLrJCtRuvx2r8J76vHx/MPv/2EAAANnSNHe/88CQJVdTExQ4vnxGeWBEABlKb4A4BWBSpEGINDITEESCAJCMxBAJCXQHDU08vDi0tqPZC+eFhFBwtfOaBjhzjDhsz7M9LjnshZU7fi+x7c5QIKyEKAUkUHrBXamPyHSBx31GI/gZLoiM0XAlaggSS6pC68xh7nAqYphp+QF758KQDagzH3f3gP9ocVcF+eZ/MleBAJx6belYrdT81qZqQxTAACdof6T/voZIgotZVn87+KKYyWiJ8/v6TV8IIQABwAU4UqOy0IwhCgzaobOjD2stZl+xerkaxjoEf4TPMS6Y9MmkRdH/Dd3t2H9DrFr/Cju4NHjpQIFwYZ1GvGkk8B2Qi3MHul7er0qdxJZ5yHwmh5UNhQYGFLCDx20+L850T0DI5gREM+5fopsmzJWoCNPhdmjOSe/dA6FyLS04wQAAayvU7fV9N7HHoBnnfRX5OPs3FAAAT6duemcngpmA4AVYUqPB0FAxCxFQaUghOqHQah0Xerx0xmtYt8+CRwkVRl5g5hTtEmvfaL3ZL2ETYSVKoprNJKEXFI3INe2DrmduzXBehIs6VC32CM8I0Cci8NYxkgFKSWHRZl338hVXJ7QEDaAADSbjFe9wpU0sRmp77nnW4KavO8AQUDU7oLFqNwa1Nbjs4oJmzCAABXkTyZ5auXyOlmx0nJkUvZqYIgAJlNGefNx7jcgHAAVQUrSQoGw0KwgEgSIgREQwEIloRDV0X61etTXR5Gpha31ZIIGIIDl/jY7fxn+c3d7c9MSYY14CeCA5R3kN64/dN4SZodkE2BJ91xe6JROndBU6wGzSmcrReJNpXk6Pv46763BWyxyXxTIC0ZDYw15LmgGx7it+woS5xKnMu39COqIZ8qsUgAPpE6M8FOPzScAEn2hg9mjCjUWlJOkOGgHABTBSpEGELFQgBIZtYRn00X3fkEa+hqGsUQEPZFXGYG/mPWKZ1WFFOJWnOkqc+kOxhc6hG+9TaUoURXtrmh9w92F3kuOZpkQnwwcSh3G2i8NX8KiTdNj/KqdMuaO9Dg3fhcE9EvigGpym6KNimypNpQTXjNrcep69oc77hqkRJcLGy6l15ZUpw4aNjahVvcOZTC66oSmlca6M9rXybXBbBrYwcAUAUrFDGKIWGhCIoRGgRCQxC8RcfCrJoh0tovUO+o3YCD3aaeJNtZCyo2wIW9NAcJJhCfPBxzIS1x4mbYnXXBPDmj51tSfrxiyVjFF6OAi8dcKKCRswvwkJ+trFpzTgEh26JRrL3EBrdLlRJa9qeVrGFY9vnNNBqdeEBaqDIdqdQAhakY9mOSN1cAWZWfYhSm2mTYybUaF+FWOrTLCmMJaYa99Ycos8QaYZS64trlcHAAUwUqOzEKRzGRREjqSGq6pwWdN6mkNUgMgRzO69FqN1nSuWCYZYpahCFwIJr6O0cUPHbdMQGLLqsEigTSmYdPkXYKUk20a1ICEPBR4ZiqDeEU1YZaGPgTKf/ZLTfF8kLZM96Bnms/n3ry1BZ1LAjwMfsNHeeFpT+m852njApNKWua2m2c2wRPBCDmbh5vDcvmt8p7JLLFa3GRepW6ratqEr6zGr9NUQcAUJUqMyEYTBGSzqdGVchqVJdpDQDdgBrubXJ9rOElE0j4L3A0hJ0tm4B5OytozF+7HQbHQ8pv76ET0tdeAlwjIeILNQRj71c7nTsuF8QVpEWUQG1/YniapXIPoxLtX5GriCsUtT0ygAI83RXAKtvSTxyMdtQVcwIWY4N5LTaFgmjNiEp4obJL+EjqnaUdX3trm30GN1eauQTNNpU77TBqA4BOJnFoiElBN6EzExUwmG1IsjL+fMs6lvX9uv53q7B/+3FPhPh0r/xPo+NadCHU69+XIIj0R62pkGJtI154+VvpXP3zHOjcHSxDFvjPGL42h7KO/KqL2MbYE23TwI+jZ0KTCrrQABw8ZFZw9uzh6X0V0TDuuJnubagVFAHkDId34GW0BXz9r1xqi25KsnuPXYkfgTaVQ3jqWNk04VvHfUxyDLiiZbJd2wcD9yHvUQc478jxTrV469q7g0E6B4fnaHWDGE9EmucxOAsQU1a3W4mSVROggau6ZRZh/B1U3UOBa5YYXc3uolcGgVQv6CJ5qJwAUDUrPB0HAWGhxMQxItmZ5LyPLAX1okXI0TCBDq/6lb4939V9I9B1V9p2FHvEaqPq8Rilp6fF9CWpAkk5xkBRhk93ksnYnW8ed7dpqoRnKLwiJRxuGo6VF3dfxGnmvFu269oXk092OX5v1gGZxwluOa1gkEQW+IqK/h7ae7N7IUiENds3pM0AE4kVtwMH7es1hl/EIunprEvgzpvX+f4L3qBgnUQuluYGEHAAUQUrFCUNBEEw0EwhGhRG5G760XwaQRwma4b0uZG9AP3a+7ilSyacX1dbNQKpRvGStZmZT4HnDpa+Q2dSaq4XhO0nU8HIBLiuUQBToA+LhBGQBovfqXo361XMX79m2VwOCKwk7C6ukiHc2cM6dNkt3o6PSDqNzC99f5+dLwdkpXQowF8ts55jHZ2GXfP9wKy3fHdx+M5djdogm2wHuxeYWXIn+xsF/gDen+4P7hq+BiwAWx+HPZLU+GFQs+UYBonvHSBAHABRhSpDOgLHQjBQohaJFmi4mYcTepoiay8SQEPuM/gRh7xDunnz28OhRyQpQZdFWFZeW6a3m1d+Wtdk1ipbPTdvlvsqlHqo/t8J1CEV7gbfoSUlX1tJNXr1LhbltopTVe6uKVBPvnS3r0xvoXAP2znyVXD1/Of+tJ3Xy9iy3S2dnDJJ4Ofb3ddct9w3JsIgvgzk6ZHnjVdLHz1x458sIrd3p1/5zwEHRFy457uPKf/vTx7p7otgGYP2IKkTkrs8IYLl5cswH5SB/ACAwQJyoKV8AgMGAkQMNn887SK1xwuuOifNo60Xw+akAOAAUYUoUyIGiGCRDO6Z1ljLAisSJdmkUVqxBPqvKpxpRRGXU3FOA85mwJIF6Zqm1QgwRXNVIhvaB5zmr0Ay3O1M69GyoRSIwyzDEZK6XLNijys7jC4DoynQIIxHl/vM7EZ+3M3b2GkGCesrEWoZ0xUtxbUCCy1wgzNxz6MrGqAr71AA93+i6L47DLnMbyNGuTrsXi/PANCvFCe/+wsV2OSG5aEHHLCtiAADROGyWIDgAE6FKGsgkmYhCMy1NQNlzeawWGmhoALbFz8Da5aWXclDAd5WkWjDZDWMq2lkhJs3CaHUAJDE6BikFumVSll8l0SABIyhJ1rl5JTdjLwRErv5/fuPkrak6GlSmpfnUagtSZpPPwdMhxCFfGd/Q1gKQCm1oTYArdfBKvN6vRNGFoBLW+xVptlQdhTPLphcS3nlWkyIXEFb1AHATYUqMzkSJECJ0KhRMWYFJLMvVtrsA5SW0MtRz01N2ZjtHdDXdi04PJI22eQjmvgy9GAoiWHROx2kAKokmu+TUE9ThQaPDAqr/iiSxpZ8h0Z1C5RIKrGa7hWDNFmZUrqM3uXoBmlLG6lgkD+9bd6N4CT8vvu3UDwuvszaORRr12jy+ogWYV/hyFaiWcIiFsbbX4KPwDqtMAHATAUqOzEWJECJlt3hrDZahQloNEKsHSUP0+T4FmsJ97rJl6aWZ0mDAcujGaze8BXI0oNexoNdNcR10DdMjVpCcZQgI7XZwESEDLmHU4rPXFiaDWCWM8/cqYfEhQzMu7owFVIemwqsjcLSvrXWRBXRDtEWBTf6VcBY/NL4R9sTXHLHl3rVG08lLqw3th+F6pUjTc1KwinvNoClKelGwJg4AEsFKHokjiEhiZukkoLbYCDQOGIXYFdl1lMMHJkD8IMyXJcXFfoER2BwgCMpeaWRNntQpQuM/ZIOXHbauwJpNSgd/bZf0TnKr0CE2HLCxIVKjLZvo0IAu1XLQDtFajUZTOrU4fssgoyeVXyaQsOELl1FxVBX5sTCuZ60Ku8MZP7Hr+yPZmPrAAmNQC4AjAAYAcBLhSpLJRZkIgkdlWkSEhiBdiXBdRa5RbIWmaVXyvDZ5Z/3HhZXsm8YO9SCk3WaP3c0xjs4lrngpUoE16LJfplvW8Tki3qeI28S43ASg1/R6LutxmXbGOKEMhToF3aqlvdF22mYmzLujAHpd2Qm0qZvWmkIqOLES1L71hVl4zsp6Rd1U8qWWCXaXmGj5qF2J79DDuo8jg4CHlsTohVeAGgvqlzVRGOdwcBOhStTIobBEbCUZrO1TLdOhwYweeAXbWIywCraCP4ubJaB24QSrf5MMGW067/PlZQgbQsPRYCIbmtmyjDYyWABsVInbBMJjY54HnFu7Ok7X8unx4kmMO6B3zhP2vqMUFoVAR6MhHAAdhaVOyWzpKsPlCP39lwF0xN4nEqsSaN4rHH7Ndc1UXiUUoqp9A18sYNa3Fs0EtozEEW3vdmeXSKGhfq+pRKApEmXh6X5TrYlnWdZrcvocQOAUgUrQ6aKpTEoRW53plnm/iHBvwPN2Oqt1AyABcNRN6r0H3tpn1GqketG1Am2zjLTUx0kc9/oOLGOqqG69+bHOFiAZw0eHMHBSLaibJenECWiK5H88a5G5ioHRRCgW1EbrUZ0qbparUFxrr3zzcxnpR2+n/pk0QBq66b4Rx/Pf8ZFLlw2eXa5NtEbh6sFezWTbuWVpnHJLBr13dfAO+FTswKXH8vd8NPH+c4zhgs8H6cIg4BRBSs8HQkEEjBMTBM6CET1HbqXrp0avb51vp1cXrfS9LYAEFxFJ/91r6ae/n5QK8aeG5x5J1zlnMp5xnx9M9MJlQLPLufSHG/fhyipE1BEKNWaEmWUKw9knIzqYVud/X41K6er/M5QEX7+g+S1JDFQ69Pwm8IgJ2RUlu4SeC9UogBgAT8n63e4aJyYPdACbaysaTpjmdQ4SWW8tutAXC+B5LPRv4ByOzcUfMc2yW6iWvoiDgBSBSs7MoaoMgnOxbzNdDyeMbdPbacVq3QAA3vkpR/HQ/ijJ3FLLEHtrxvAtcb0Ah5yR4NXoH0hcIEYGVQwKwe2aM8t8iwO1yb02OaSzawdy+8o2GB6u+AOIkZm1gvW1zWFABEN4bjOY6vu3bXbOcb1zyEwAAAncN93R93ZupAAaM0ILyhX2YAE+LrrRjtR47VtPVPcV/UWdufpPz9yn99cUMLB1tKwHABRBSs7MoYkYJiYJkIoibxs4efLqOnrZy6dI898SdEc2DR+hjzs3sqWodprdPZo/Rx7gw8B0kk7cj3pb+5aO1vaqsRjW8YRsmUDcCSJkgYn1RsjkLQVD4XsHdsBiVJC2KKL1+2p39sgA/tZtf7VIETRM8bP1Dh0gAVTONt2JfD5SghGAQ9zNMSmjyQAAEs99Rq7OpmyYBKEGOCYtgKEglD/P/zef6XOAdkwcABTBStTJoZBARBYIiYImIQjHNJrWnweys7O7+6p7c6l6zp3YAg3Cg6Uj7kGf1/6Vx1/IRr+NTnTFcFAMV0xcNn2SBN3nEhCRIlVypNZkECFRR1VLIWUleSY4afjjdFeXEUSPYRAoJJ+/gPh8dB1HCrI/szecAAmwm33xrDysb1gATx5ZJrWR0AARDpyFgfWc3mt9fUbXK/EnWAC0IK1GXMDgFMFK0sQiMKhmwhCVuqqSvafFxqG3zJ06SectOBmgBneRcWeMZytC/6zafr6b6oD9K2tfpBih7gLqcsRs+rWT63GUzd4lMlwihdI892nVAizhxmVRU2SsgnxRX/BxJdprAJox0/pf/7qXYvR31cgACf7H03/k9rGnYFvNd7jhAu48QAC0jXOruNHzfnStUTLk0I3G8jMAj6FdEn/Ia7g4ABRBStIiZEDQICQYBUgoeDbUtP1Nddnon1TzIedxdYBnLjhD5qPmT3JYmVapSzxkePR6rL2LLge8N+JYgpq5off2RIbjbEKcq5zxo3pL201uKhWKycHkelE2N6FQz/NZFvg6o8/E0l8B8lHLLuOsmHd3pK8xGo+btic6yIUADxcZckCobcV8kAABaV8nv3fy8/4qZZIKI7NeAdzOnztb5Zd30zWto7/55IyAcBQhSpLEQtEEiiAKBNb+HCLX7Tq0tvsPqR5F8cxAA7IKhIBd4y75z1vKKyTqtLZxjcL2ojmhHQ8nLMg20PwBi3i7n4QQaIx7FCD5qGtAv1rIZ134zbntIEiCheIC4BJvjeaqtDtjU/V7YAIbgzqv2P6t9EhvDjxXDzqXBhgvnv2eEAWN+0qdhx0vLTWAtPMAvcunCtUihr75oxiDgBVBSpRCY7kUoBQJrQ2ledX15cDM2fU1leUWN8bCI/w5mPYWZlijUPKTKgWyckInKs63pprnQj8wOApIUzC9lMOs0IJ5Fs1P3eFldlb+Tj4PA6YABJEmVswqFhVZ5zu/ljOc9mkosylUfDsKC6bpmzVH4o002HTZCGGXdxL77Xy5QM3aaO0rnnzRJeOuk3G/hC+PSlewBZykssLJiEEQHAAAAB7G1vb2YAAAAQbWZoZAAAAAAAAAACAAAB1HRyYWYAAAAcdGZoZAAAABEAAAABAAAAAAAAis8AAACqAAAAzHRydW4AAAIBAAAALgAAAAAAAACqAAAAmgAAAJgAAACdAAAApAAAAKYAAACqAAAAqgAAAKEAAACnAAAAqAAAAJ8AAAC0AAABMwAAAMMAAAChAAAApgAAAKoAAACmAAAAqgAAAKYAAACuAAAA9QAAAKcAAACsAAAArAAAAKIAAACkAAAApQAAANkAAAC+AAAAmQAAAJUAAACsAAAAqgAAAKIAAACjAAAAlQAAALAAAAChAAAArQAAANsAAACmAAAAsAAAAPMAAAD7AAAAzHRydW4AAAIBAAAALgAAH9YAAAChAAAApgAAANIAAACqAAAArQAAAJkAAACoAAAArQAAAJ4AAACeAAAAqwAAAKgAAADXAAAAvwAAAKwAAACaAAAApgAAAMAAAACxAAAArAAAAJ8AAACrAAAAoQAAAKMAAACxAAAAqAAAAKEAAADxAAAAqwAAAMUAAADrAAAArwAAAJgAAACZAAAAoAAAAJEAAACoAAAAuAAAALMAAAC0AAAAqAAAAKsAAAChAAAAoAAAAKsAAACcAAAAGHRydW4AAAIBAAAAAQAAPukAAACgAAAAAW1kYXQAAAAAAAA8vQFMFKlodiIgxkQSA6Zw/EDSZvPa41ERYZgRc/YnUCF1oGY1zHlrJyepZTXBzRW3DAoTnnWF+hzm6pkaNOpFuFpq355/DCHCFaqQ/CZBAE0MtCa5gCWF8igCtGbXVyDQuNWDNWzlgCG4SrNwLZhkyuLxuX8cBfS0mmuunDnehvs2yIqISdLxIUgOXDryTJx1LSIVxiTM2Pyq/wJv6+rx0krz9aPEQAA4AT4UqSxiIw0MShGTEl3b4G3WDVjSS6sNgC8TIu/Tm/QXb9y/IxqpeDphnLGFZjQNZTMt1PIHoA5m1+PEufitxytfcEzI1skXaP14XiCEJ9pEtmgREG1Y37/H/RV3zimMHv5u5gn0wx3IGR9zuBGN7AdwnJLgFSHFpRqUjtpEAFYpE+6vAKkIQ7gWFsdLz3o5iIZoh3KxsPXfJt6yJMRfbCuhamSCnDmBwAE2FKFsVCKIpswW4v2hMy7baklratiowCX09JdSh9bWxBhYDjPVaJLwnm5IjFHuvqt0wzjvz3zTykZZnR+FKEUwbd8tzhn0z1a5BBDHyBps+mFud2vY5SO+f0wTy/rY6Eg4X7UbrFVSb4QpAsEY/BzMWSpMaSTYmuMkN6T9TXYlUhmxSBzWst0g7z5LqEIB4AqFCVm8bJ6NJiBgfvSFWNt3e6MCAAHAASwUoXY2JB0ILDuDHXXme44hCLW4ApQSuvndZBLYt7/n82spVb18pUQimC77fhnWn6j/IQSbXu99+LLN5SAFCEc55yikoV/PiZM+nTbl15SmnwoEJz9RN3dvkXruvYyGX2EEW1VBBZ0DTynN5deBgIELyagIaUMbiPn34n4cIQSYZ5T4rxSagDABTrabojGxSlh0xpN9+bX8clwpP/jS/advbwd++LhHhSfnn6/nOTJaxPl+/PwMcnOaD+U82RwfeXr9if4RBwEuFKnMaBMJBkMVvGS0NWIQikl6u7gUAPr4bc8RiARKLMsUy9QEetWjM5F4kmdL+u6X2zYGxClUNdLSCFUYYEmI7g1+XdGiHtdPKy0pF3mqWrmcIvJVKKRc2R1pasm2FJNRXUd+C6KrLwdO8SXvvnu408ax9ae/e8R1xZ+6gSpzQvPgaL0JHburoj5scROEsHRreQwYWq6fmvDfD4vhDGFLz0zKUCilp3jXe7+/IAHAAToUoXREKxEOIyIIzilRfOoQZZZq46i4FAXYFM/ZBTm07tCaNdMuBQDvChc7LYwtondZTC2Q0MDDG0KzWp7vpeL0SONs4ODisWU9KWZFEKTIkMRKSS1NnXMR2ok744qda0/44F0dK2pWSUOR1TwjBjN1PdaxzriDNfCAfp+c+tc89ACVEqPdMvnsUcS7jsPi+TZV95gfFiqFrJQLnnQgve7NMVshymA4ATgUoch2GYkGQwCQxKXdWqyeKXhZxudJrSdQUBV5JXKFfFf3NtO2cjenlNd9KrRCsAKUE5LgaWwCtX3xol0wug3RLgmcn0cEuXbX6xM0YSpG9s6a+qGN6bYMAZ6kKSnxfa9MuoHwIJzBzvNCLvVOjtGXqYGEh5mYhb3rl38aDeugOgAIEX3bXOf4FMM0TBm4vuuAJkrOr6YCu3Cw+4U28fnORa/JBHADgAEyFKHokQoMRgIiiMEyWYo2CJ5i7v2LbAlzqgj7VbWzNIy/uJRZRoySZQ3VARjBVVs3baDTz9vHDu772u+WVgcbHPxMPAwz7AUNBIfsk+cfR9sZv7h955A3LJMd7w4AJI/4jDzwcsulBfRMRHv7aLaCUxmgtk/ngLCTFNdZIxCxqe8IED52pA1MM8c10TLcyutmIhMAFJeulJVsBwFAFKHslCCVAidrhkiDtg0oa0a4jXWIgHYIIflQqJ05nU58y+qMjTOOwA/dVZT7aLDcdvnAlQ4IgSOAEqIhKN8+U/dP1YLS9b7TiS66Tf3/6JlkcK+aQQ+WysbqrgIBtUPmeuziipVLE+cA7JvxZx2FlvfjHGK+ytk++v/Pn/rl16ZgABCMtQyvs1tf6PvR2eXHv/CD72vu4IX3SpcLBbck9WiPS6vP6V+HcDgBNBSgzGgTKIaCFgYb4th2TCRriOlvIJgOyJuzrH8f5uLuKba5NELFNRyKs90pNbNV1uD7pMWKpGEBUpitnbZhYRT0kkBkgits5WZUVCkAB0sdlVm4JWNGAwAqwcKrXTY67R4s8KfqgtCUVlhJ4guipyICktO7KAALQnn+/hpC3ztws/bffdh/9u7WeWPvradPzpYAGqd1nsF1/iAHATIUqGzEQZEEaSCImN5efQ8R2RS2tLnE4cbS070ENmppCmUlN4Hn4WptXHVIZT6cYC0b5dtN3d9Zxt1SeCiipocoeK7PvFcD6V+c0eg7uugN5qC6t/wnYQgjSUkusvha29np6AKCU/JJjZwdDZSzeXDAlQ7GdJAAIynO0/7mR2bN9HU0uchB2jdY4krQcF8nQUABMRe2fLG8L8JdlbTBwAEuFKkQhCMFEGxSgKbZGFrcLnTU4wUA63BXWlY1UxdkuGVmVYjskCnT1vxxPLhQDNlgY7Ot43ExiDwzRR/SpgbbO0lxBV9dMvgOX63StztDmV8/lYmXFCJiO3FJHBNf5MPbi5A4K9dw9uLOdTSpitHoIcrCBPgWAAUi1kdb8VLquyttHQ1uhU0adJ6HHS7SOkpNa1kcgASsxCU4b2iTYAcBLhSp7JEaCMpGAK91i1h2Ap1ZOl9a5aQCRhRYdeUUlw1rkroIIwGMwOVrrtBFweKesYzuzX1ME5CKfQFsCKmkFnK15LN+6TFZ1jbdADVT/r52MRChgCVuKZZBBILtCfowHT6Vx3Ra1u5klCctQZfz0oNDSfMEwARkC9KOZlr+FSJxy0YTZK7Z7mm2o+0cyzt8zZwADg1iQBnQ8PcGjZb6T2EfgAEsFKEsxRIYSIITHi4kDuEdyl3qdNL6imjYWXCXd4DzdHye3zU6icVAAtAkbLqsAqmlbcV/gcbfLDwbLJdg5cPDKkhnNAhzxKxSrvssvjmCZOKfPvr/38eOnbEvJbMVVDOtzVQi/ITC4v9/+/UDHINm9ooIYC3nIAArOYE5HH0ajZImAGcdSupcpWQ1cWQrTAYb/vfiphpeHem3FD6YqkeUCqs7d2EDgAE2FKjsaAsoiiNBCcilb6marAWyOJaX5dbLMBBuwojQZkjfqZ/cELmdyvuZ3cls6iLX8UMxkUFIgYcaRrFnVuM3azUok8yNPl2bfvUPf7IUDI0FzPjPXywvzdldQEsjfUBx+zUu4KNKfuXrd0VffmdYgwAAB5KoVABBjDM50hx6QwmL5RUDl54CHP4WfjdCdZS5aUektkeiGmN2WS8a/Abo1JgOASwUqcxCEwUOJECJSEITYaDN5mmLOruJ1w45QsCD3NscaajJMpdyuDGIFegyk4kqI4AyOMmgj764Lk641AyoLATcoOtHzPtzaH1Tej2G3dhwGas0WbAmDV0QSAkmraN5q3z0NB8XiaplRoHYKQRs+ygJ4tSndk9GWTA917oAwrY2Ti8ta8yUtUJQlB2O+j36csGdcI6QKFHkwPjNLLTwtIMrtG4OASwUoKx4Mw0GRxU53p6nnqN4GzWW6cJOHRlnOgvlsyjiiZFznkUPMaNl1eTLVKjgNFdl6WmJoyASEhgFGJKLNLXA+NqZfWggaQ5CNtOPhLh+aMva9bicv00Eq44JlptNpj+8QAfrosLffU19pPXb88BHfJ0sjWAB4JORqVAA0QvezDfLz+H05y95KXhYcarsDfTSRn++fdSOtnqjpy34fr1AKQmDgAEsFKnMdCkUAkMTGAIoYWcM+C5rQMADoD/tB68VKpld1jkwwS0g0OSvHCPPORMtBm6/OaUdhTschWgCAKXlghtrmVgI1alJAkrzZry1vYXZ4p+y5qai/y4Ld8wIKrbZCyGgDZGMS0dv0O3obaiMrksGAD8kv9TOYLRGEC48R5FqXQdk0EaNL1OpFXvC5rjtLUwfuhGGMcXHtZAZMX47AHABOhSo0JQqlJhkexN5eo3CM0asvg1ICsAg7rwlSBrb5kfaNuuxHGdUFXNKSNMGGXH8qupXOBJN44YoTXlb4GyGfFAdrWDJuFjGseeZbTiCrwznrr3TLlDjDJDOSY2voMJ5Giel2fB/S3LVZ/HgSXWJo9WPA9BqW6RRlJN6qQH2HWAU52Q95nmXvPAD2I52aUGMx55RrVnvYjvajU408xTqFE7gWUgDgAEqFKjgGDoZgoUmCImLSIAtotZwQUbAJvaMo7exqry4xXmVGoBJnTKzGQpTMHlR2bmQHZTxFT75eF6nPUi1KY/Rgr0eYNUZIdT6tww5G4QpZorDp3daZRGjJ79jfRTjFz+EkPy2My956fyq4cVDpUUXYTuBkTcOphNrmQTFBg0LU/iTBIx6hzWkH5JWwu6hj9iD+xQsqWSsKIxYW4oZ7xq1rDq5SiQRcZMIOAEwFKFMpCEURkYRq38SKqJtPNgJZouZKjGBcuaTUgkjxfR2Vy3TvrNBOTFIkx0qLi8GZtEgGgBC/LPF/zijaGJCQ20BKddO/ocitAHHh2MXjKdvKYBMny/C6XaTH/U5YoBHIJyRMNpb78De3eBOV4oj28X2JYEqr1EeW8vNgFYCVt0WFP9wgwC1CSw75OIUZj6FMo7mfci6DJdWdgDgASoUoOzkMTjlaGtJALaGhJKUgC/41PUzKEe+YFSqgmbOGtMNMzpxCOrs66P1XxivtSjGjVLDqkmAxTEuSIRMRlAmtLuFtJVqf6tEn/Fpc7SttLPCfDJrvaAcHjChqjX1wqdugfp2eE4w8zjKY93Mq3dDHF1oCmC1ShInExI6R6sU3Ilt1mXoSHI2JKMyhK8l1gC3GCcq9ZiqPP0Cf1CpOi4UY0y4tdZAADgBMhSZyIIyBJAkNMl8BN0vhYtE0kMhl7AbNM3/emPk1cwpx2XaT7LSCiqyNRHL4LY+RvhZk6IXqkVtFWpa6PwLrIHLh3p32AMjKrvyRGj3UGr0sO6ZQWdmspKOq9moAjuhWcSMpQUra9MJTPnYAjuaWBjKZa5m+PpWnmP8aXkdkoWEASeeEyZVk/KhDOd68757BWl9kW8PzfHz7t2jaA4BKhSszJRZJEysWmjc8he9M4QW63ZhQD28/q97VQ17o5IpfC4k6Ey4PuScRBxdwTKvdxSrSuW71PSO+cda+mtxUau3z0rUca2l0qCOqgkSkyNGmGLosFn4vg3TaJgN5TDSs4QpRmbe/CgwhYszK8IOrFz1wAYrC4BSln1Aa3jSMB0LfG+niXP3t7tgnauihoUQ2Z7fiq22MLrKWJDQlrk0A4ABOBStTKoSEIhmEr1q7ry1CHCRdES4K1QAGo2Mdnc6R56V+E5t2XqNQswOtDVhCrH4naoUEubdmq/gdDgjQy2HUVdt0W2j5dl2eefPS3Z0XoKiUQt8H63isY+EGHByLfqk5j2MWdyEv0kUxs+f23B5FxNia4KZYcyfsHXfP8G3xF7bVk3abamE+w6Z8Tq49xCIIwrdLkGrq1vmGniHa6emOjXOTR1PNRhyNcKbp/PnPZW/Tin6fNMHAUoUrXCbEhVChBS7b6k/U8kWnd6i7SWM0pM3wuVHSRwOMO6BjILEYEgtlx2w7KfP+ek2OscbkWoh4hkmATwkQKBOqZQzZRMMVEJhHFTilkiFLibMjy8Y7445o4J5DbDffm5Yn0La4O/toJEJp0Y3+bxvT03FoTYECxSCclsBpFTn4tfN638dXvGopgrCMEzdknkmOpK12Wg8OS2mne1E3p3mHx0yq/9v9awY4W6FnOOx7I26XWwlJWujKUmyOHw0em+WfiMAAcNwHAFOFK1waw0NQkRBMIyKEhCQ3maTqe16WdelbnV3c8m81oN2AkjvRH3s97lVa+4HuTCFmNBXx1U6dfxbiGzIOvqymg6q0uH2Kt8sdKoQGFunIeQkZ9+L1n8PldRMZcrxSmuPiLeDseTxce+WecoaS+/41IFmiejMIL7/5WQjuFS0KCsKt3/hfqOm0GLrVMA29hXuXxkv7P7fvnk693ZCgaAABoau7amhSjvMPiYlbzRAiCKMqj33jKL29hB4eR4CW4CStb+5OgFN//pSAEQHAVAUqagaKZCGgxOAhG7YuyPqPZt4GvhxUtwzhmgI+ge4uaFErqDm1s4clWBRDotokzkwrWLw6QQ2GyQtbRWMPPqnilzuGpB6l6/nGT5Jv7SyVuBhQPVelJpAAcUKU8zi6jpXUx17LUEP0ut6K6NgOk2Hxtc7L2DYX7sN8GEfg/nWdTFihzvdf2qAK4MZTP5YyhZZTP89O3NoKwrSy5Bj/eTBMHABVhSozIRpiQJrKWNTV2QdNOAdC+Bi1yo0cCOUQXNm3f6LodazpU2HtN7MYreOyb/H7XppC2pmTV5wXtYHpWly0AL/MIoUHwoaMnuclOCqMNmbs1jZlLW9jZPtpjqhzbucx42QI7fc+0ZEb2MmAd9LEmmJ5HtnpOcBq9rzcFed5jIBcBS9JYNMybOXeceHNtcqNTQW7fLGLi1pCiVakwcOeAOAAVQUoayFMgjKRhCxy41wOm98eR0ahS9ROoBcqOgcAEqzaw/0CO3MBeeUQCMTVlJlmU6tVI4F6fZxyocyMjJYXj+Orps3TWo+jZVxzYWFYW4aK0LgVQSK2x8i6LmFpvfZXPLhhMgDWFOc+UnzD8xerrLV6ttFqhLfb4wIdp07ICc+5VWwAAVa0EkAuuNPoa35Iz5WOsaozUBa9soWg+pdJ21/Q9IRKjSgDgFaFJx0NjUFlUExQJhEEyMESnNeVcVv6pLMnHm3Hd6pwTpMgDH6Fd2aLhuy1GxJ1F543IVhbG4iwg+sOxExXmN4XkEBvLlUQgYCnysvI6wtK0d510jevNbJHEoLnw67rgMeoM38ZYcHEADD5/oXQcpY03JqL8hDSStNmBqbMiTFLvIRCy4wiXy81v6RhR20d2zCmuYub3kpC0rZk89WAEccFbzkDzi0+n8fW2/UdB7X96rAABIR23ya8P1V+paeemoAply7sgLnKsOv9OcwDgFWFKjQhikOBCFgoQzgIRLpmGdebw1p78a1dOsa1Gg6CKA3l36cb/NK8nG4dbLjDgOs4IjyQURswB0OrtB5JwGAtOcD0i2utnGze04kzcw3RFo62MCnHRoW+l0lEmzoNjAsThb5XyJKnep3IIO+bgqIdzjbUuqyQFMsmSSbL8LAh1sykdj8eiSlxcQUF8wEbytPh5fvugfdP0/8B1FQMOTpPa7voQAWkKgcAU4UqMzUGxCIK1emjS9U4WpONq1Wt9HshrL1gR806PX6zfsGoNZVSmIwe6RCZBMnYL9HbzfMBZAIiWlpyB3ShE6hi4dA0rNgEMWtsOQdkhUXPCmAKRy29W3+9//urKiyV8qZe/YopBhv29WmP2AD2WE3Lw7urbvLpkjA33gA6Tg2/JcCkBLsjDnotBjuC0Ix3Q9VdoAAGnbD8fnBYAcBTBSsUMQcIYkBQbHMITHUjTA7v2bzNS71bzMlxIt8vTzxnqnLzh71n/2wrkpxSV9cqVCSmGa4aIhNGbauSEqIziLAUO8Ih4RvEmyZznOcIoYBxcA0zUUVVUiVfJkoSOkw00ZmSGEAlUVVimqbOLdTJFxJpdvKf59MtW3oSowCbu9kzVSfqPPhTrHtuRMVSaaNzyzUj2qp2FZuhuEsDK0gP0kSXzfQcjjcxIH6KHHDeFteK3PNF9I+L9oc+15V09W/+rb5r+kv9UXfMjqiYx4LpQYhmcQADC/YT6s6qVmdrgbVQiyXhBqDLF7hRLRT0hK6aiU2cCJVALmpR2CmqYr/Tn2aGQvD/vsQcAFOFKDMxCMNCmQSoEQuDHsLKdPXMG911V604ElgV/lX3HpQyia0mc2abs7d1lcl0KFd6a5tWpQe8iqaDtZufk4rDVddBepT21kwbN1E4ZtqjTrmJ1tBksiiVp7EJ8bH9Fry6Hs4yELfMzNwhAYAHoxgtz2q1PgUqCwu//AhvRmkFtKcK7eZsBcEq4NTk6luiQvb2XJ9/D03nJkgPBvt2rsmSD4YvLklr928auebGMqOkObeWyxA4AFAFKiQljIRhIUVrKX0GQztRvMRd3NJbXPAC0F3Npy9ZSnEGuwsHflM5s48XCRNewgg7aGA9CY8bmZxA2kUzaeKQMQAdFa7bTxnOXPXHy8jl0Z3AZlDlMJ2S6jbZO7eiBHqoeVfIOyCOfEDAk5Bk8dmYPXyjr5jJUGDwiZp77QACM/PmjWOfpolWcQTqdLAC2zt4c2EANTgQaAHAToUqO0IChTIgROszS1lZmjtkx9ommmrW1LsRMLVVPpAcM6Dl1tQI+8s+SZ7pfrsFgS2H4U7xO5r0YhxWYRhaE1T0nMi8hMT0U0MgmjogC1gMlkEQrMKmgSUlk5gK5GT4j9s5H1T5DDSnnNF+KavQ8t7AnhNmnHI8aNRuejrVOUBn+yWjGoAJx6YMDy0/k0oJ4UNMwaeCcQDbbnfoIAXIQ25az7TA4ABMBSo7QgSFFauYtSAjOUN9h0u7E6BMtliyE+CDiF6WeynOq7ZowPlVj3Sz4UsL02hS9Q49xtWByOyDRdI++5KBKowMUhFzoUoKBnOUlZEHNjZbnyRxUJmo11IToqQiYkDVbmjHKTuN3PiwJVJ/1TbcUJAW4I41hVW3bPlQELv0KbgEUwBctr+lJyjHjh9O32bgFsKgAKhUSm3WMZf3SAcATIUomx0GJgEJD0uXIcZmDsO9xqTqamaSArhd/dMU35UWfHe4yMDxRESNFnLccCSaNaAgxMoCM+PsKOvLqHoSx05mJp/X7oFCeS5QkKPMkQ2bhKcvmk6VGLXVOJEdQbTnzr+OhZKK6Kp6sQxdGMXYgB4qVbLH/K1SWKOOjmsbqxCde/QIIwUjb8ZxMBhZQlBXcyZMHdS/87+CZdiiXABYxMIBwEwFK1QthoUTAIQgIQsqssjpO/XDMBjUu71es40GHh5NUokVOd7BOgOfxE50VhxLsCHRmlPoQf4IJCKjy34FwAmpoDlqUsMAdj5TFpw660Tq35Db2QDLrjkLERDPEF9CYYpbGQncAQDmYgdwclbHzRg/t/VRX/bpJeVju9+IKpNS2FQWgdt3hYUNU1TJlwFVwCBFOwulJD0Yb08Lti+EJ/SAxIAqBwBShStLGgyiQotPCfUlPpJ6e4Opc1Guku7IAEvmy+MNRN+wh3PeKerhmEEZ4me7UGcxobycpN/myvZhIuWZt1O1/4UyxtFiCqaaZtsCLDIAiWUsbPPz/dwkBc6n7sSvAiq2E9qgXKrxNC1O/tQwgX/azPPLQZ01hSxHxfXCrOPw54KKZcH7qS0SYvXGHCwdd4IwxwpO/IwZbcbTITJipY0lzeJe81/vXYBwAFIFKzMqhMNTGohiF2Pg6X0Oe8Bxwtq9WnEQwBCMRYOOETXHpkVUOYRoWaNp1BaKjAJffRF4SFgnc9yt18mUc182p/Hf1rol4kVu6jZ49ds2jOyHo7+ONgAY9w1Oc1lqF5ZNxYzz2moVGJi039m6ihZbj4YqT2MeooI1IL7VN27+KK3mkJBFpRCsVult4aezCFo7M5FkRy8RaUpygFxh83+o5kopr187zBwAUgUrIy4MomCY0CI1EKG8cPLo8qx9qNR0t0vpnGhkAVa8iP2+Bh6XR9/b8prvU0lfgwmbxedZWZFPC33WnNDxEfXIrkarV284IWyoUwQU6ZBT4xVY3lNp+NwyAC2vDibzzFdWZXtdxXk/+6FBEU1PQZA5h2f9s6J15gI7kF64pd3u/UkXLkkABw/OJcgn2gSlCVq1tKySbXXu/C9FABFL6VqomDgAVAUrMyYMImCojSRBELTo8rtj53Ea6i9OtM06FAElyFR+6mvBBInwdcQSTNVAq19Qq86XCYZneu9LdDAY0KK6e7sPAKcu7LXKoRISYX5UV6I/POicGOAPly45sufK+TH1btoJrZepjPXyVFNH4/9CwY4p01oBr0rBGsKZ1Z2twUhycPo6LUuBrOGUQAMEwSl/9C3OFplQPJiS701sapNIzpeziP/vxt4+oHAAU4UrIy6ExDGQjWghEoVp+Isyue4Tyu7010q0uVgGaXWMj8mYZ/Vpj5p7RmZw8kmyyEFzNDuR6M+RqG3voDLxDyTOM+XcK41dVN/lXDDMPBoDtg6aCfYHNs3v3r+zhJx17z3pka6Yb3JpePveHV1I27PdSEKbQFcLm6WzToWbffhOTVpU9cBouUoAGs1REI0hJKiEMdOX617jzWmpVrEVab/PliDgAFQFKyQ0hMJEMFBwJiQFQiPaeUuvF9s215QXricJOMlIBus3inbJSfHQ44qIFipInQjKF48+RWYUsIBmHHTRaOEx1Tj0WZGM+R6MxzSCjC03aXaZt38kWM8stxN9hMca5NzlzNxwO3F3dwNi8jA2SN1aMfMEzV+UaA+8Rb5c4WABBQYMvn/i1M2MuLfaKmfSaDnB22C69Qp6dPp9fiAgwaAg9xc6O8+SVtIoMurba/8tKFBG+ZRl2SUSwKWEw2STxBjF06hahZRlZm8CSp/WmpFjJMmKLp7BuQssmGJynYWgRDjlsAhfT7u3Lkf1x9/D4gA4AFMFKyM4hMJBkQSIERoMQuqeZX0qlbRmOgXh0VkulAFyn6OpOc9WumjRqUhGTyUZd89j+Pm+7WjPRM5KZ3sBEouka70d9T+51JzxSsVep3EYwNHvDSlnKl6w2z9kmoBdOdeS0IAS96reanOIFP2sVX77GebJhJHYSH+mXAtEpOGLts7VKF5ehwCJD/CFK3vNCoIr1Rk8zRmqKseNb43EhLnusRh5Y6vV87EG3gOAToUrQyUSZ0CJwfDClhzpoxYdFZZQFKe1qMX2u32snC3wvYzi4wxIVQyRyV3OpmxYjkrUlCnrbwoxTavGhv38Nx/MboZF8iOGatOZxFpaLHnlWnhFOJ6UFydmxROX28OezYq8SSm8TqDYAnlZL02lhbt3vO3qbyWFaToK+T1wpNwq/KfsQLrKe3pDDXnHiLqR8kfFXLyeTZoAOABNhSokRZaEEqo6lOGGbRLUjOBxHIyACqMJBd0sfQFQU5oZSOABctKfCTTjCYBOyO4mKVEZqxFjMttO3pxzoRCzWFpQ3GJkMzjTO44GsxOw70tpPs/t/S34rKgqhGhK9+cq5ydX+t49J7Qv8RjrkZ4glg1MAAUWqFKylbkXfMG2ohyWFveetsjnqsCXqCWe1RwxBiCBJHMHA7WuZXZ7ml5Ms5jxeVC36M7rEEOI2T6zuFeilO64OMqKrcmkpjgUpG+ddS0jvBhHpzVZ7VOGxFDXS3p/tCua/Skb/+hEBwBNhSs8Ho6CIiCFhjzKy7vvDtM03rd8LX5KWsBFCcz7irQFIuv0wgYOqGG24emOBCIg5VSW0PjZvhTriAA/WJA1nm2SmvDuwIkOnDeMe7HB6MUFeXEOyHaaeAaq1g6A8sWBqhJoOusatyK3W4DW+mermgAFdfqPtWj8JhQXgelKi2XeGHrAI48l9Xg1Zb19nZ7ogT19TItLHL0agI9WCb+GIDoi9cMn6RJQRxpYvX11V6gBwE8FKzQ8RIYWMgjzc9HfKw9pxwzqQ4QvARdoWIXSRN7rAIRpPf5Ma9v+31dt+eOen3cOWD5yKsxgIPQPChrqvd8Pj8ukm+iktQICag9wzZTZQRJpUxUzySoVBU4Fto+ih+0Hhfhax0U0uBoXgvHGBJQzx0Y2WbXZ5nmGqY14eviMgEtc+E6OsdECtgJYt8N8vNjQJFHZHOBiRJDsHH8++z8OvxdvnPx6JR23gDgAVAUoZQ2GhWCQzczlnHxz9JGeGRpfGmrW6OLDC5V4X54IBO/5zeXVD9644JUUGJGMKIxCpcRxJ5Ziomj1CrU2xd9GZR0SE7u4vSVmjzZecKs0Ulu0SQIeKdM9lZ6lbNTdnP7iWiC4wGJwhuKMl19nd+u/+7+FTD+C4I6M5QAEpxvw9vn6pLq7UK33UwSTko4XBizRQtSubVzZ73XCiN8tIJalZ9Gx9ojHVy3w7fXvTc/RoA4AVIUqMxoEyIExUCwUQImWvhovW8wC7X1GppdkNlvsrIB/wAAAUXcAaGlmYKzcazfPY2Ubj0SQFEUOwWE4cSlF3U0C0wdzjISsdKffizFILBCgJvJcUXtb0yr2IDVPkrY07TF5iT3wjKyEBNThm0bpgcDow7L676KxdqUgJQvOK/Lspbt7Tv9SBg5slWTOCG4JvXaO5zdZeU48RKEumcRYkJ0CUVmcqV8HwJHQqlJxfbzatU7PBhnnZLJgIl9eNmBQc4RUc+qi+bvWQoVWBBAKlNE2rbMlm2a12Fa/07QXBwBShSorPgjEgLCQUDYSCEK7RxFsTFU8LF9NSacRL5BF9FhrFrqj8XKWPJ1PMVw6rKZ7CeRDVStkqvz+d3h4dZ2JWJExqiywvXkF+tEGoAZGay56iymGonibbp052GkncaKNry0O//uNdT9nP1cfs58bGm1rZlkhzpCBCMQfvHy6YF/eHPcGmIsncGm2SptPkRd7C2YvPfTQ33Vw1ToqlX9J52ssmAq8kdcwfYoeRWPeW3Zoww9HycPkJznQAoiNFShHuzlr275oXRL1Ey2xAWg8ELjMP059vHp8PHLy2zDWeVJPdJeoiIEFRXRP30JSMjVZy/evHG4PXg9UJ6ip0m0COn1RHQ2e/umDgFEFKjouAsYQoUVNFwzOJiKPVYpnTUuaQ0AK0y1xoysEz8UWZppr4AQDkyA7e/AcoQfYPzAvo5AAutCePDApFjozygTw5GcWhIT2zqj0Rb4rl9U2DjXb4V4Ppt5vZgLw3qA9sxcnn43U3PJMYUAfXIJyhuqnEGVuusTcugvb23349/UAUVih8Irx/V13d9EZRXztXaOypcAPbx1TfssZ6ZvrS9J3cwDgAE0FKw0xmCJBCggiMiMQ09Ivvvcd2uWtxpHHIBf2HdSYwtpq1xqlv2mBUwq4zBJprGcPDUBOzUzCap0Cap+6316BERySAqSDPwoF6vHj1wgWC0CYhFGukJmpZepPH3Z1HZFl5dtSIsm65M4G82+d/uFd0fs0DTGcHVhiUPKEu9c7WUS9v9fo++yUMwAAifbCnMyArDXTNs3eoAE5fw9BZjCAjqAAHABOBShyEgbDQ4qMcullMoldvA0au3TXLoB3/I860FX0oUiW1zkJZTDeGgMaAzHUcnXY5lWwnANm4BuBM3vVJ6Hi0+6jDOpkRCgN1dYZgB3IDk6qPl3PTy081kSQev2dTRcCrp1O74VCqAvvJQkWuvbeXkKzaNmG4SrK0bmB9BTu7gAnSVYMNQXo0330Zq5igAX2VavslM4KYslI1bAAcABKhSo0JZSmASDAQjZk7sRbwL723VJZxPoAO4KmjtuYr9/GrUiQhJiHXNsnUOkEI6o4FUdjbkxxCBPOJ2UBFofBlffaOFL/hiehO4adeV50ldvqmteG69tnhmcu38VWzdV1lhG73NcwJSt1iwJhvjd85zuURthLCm9XSBc3WPZmtqDNo1WamM2RGqDJEUpX15Op3mIEZvPqzXsYXW4k0iYBcHAAS4UqSyIEg4ChhKQxIzQ07pbto8dzt3NNNXL6WywRABarX3vsOqqKvbbp2ueqIsVyWVDSU2dS3tZC1u6A4EwW2y0jNRgoskPsaWgtLT/c/I/J/keNOsQlUdTI90OR48jXrK+MXUBsLVMu809HOi/nAlV7O6a4jSNBIZjw2xPbwtiXhZQmAAYClQgkkNhJw6H0PMhB/3LRMrfiAEpIxeAAoBwASQUqMyUMwxQAhGAxC7LqtJEx2mbN96WtOvMRcppCDwFfVmhTVmn0tLZmChquiU+u4dkdrVissmZdfTpbZzGLtZuieucx5iEx6g76bAwf1mgheWihGRsgfws5ZzQaO7gT+L+NurtqzomvZq/WmRIuttyO38uOAJXAClgCApvC00kIsLAwAcBKhSpDJQjDQ4nIQhCaQLHO8GFmpqa0GgH1rgdX1YveZqchUSUbHYVh9618CzRattNNnkxm6x2rkS388TGLwmXHJMDLBClyFCLJVHuFHMLat3kuzM0palEQsu7NyaMHo+rKu67Jr6B8lu+IVjoaQdX7Vs0hUuFENxlTXE2B+ezlcDQt5g4xu1cibhSUUp836rl4/vHGJAK0UoVQ0OxyjrPNd+u15g4AShUoSxkMwlKQhWyqaW38OTbjcM5tLluHsxKWJek4dCcvdSk0xN0I99MpAhkefyeLy6mgUuvpBAuCyirEZdZGoRusSUQ/3ohukxP7CIJf3Z+Tzd/blC8Jdm2I3SlRjS+EBBrMlkUWgE6tbjba55vu5s0ME6gBlwFwArzyOSmHZXX9Hi52jLRLAiJQRIFFgGaW8JrQZoA4AEgmeILJExInbrImastLlJzDbhE4vMXftL3+3nJOT26P4/sz29vh/I/+o7vrrr2nSDq8QBFAEp7MIpVm3fUHuXW1jqlhFVVyoRePAyHuVXk8MUkuINkrWcq2etGa6hAobK3G7qaKjw6bxn0pTzOzg6zmOdeFzPoLBaiBZEVvHWKWz4zYAAmAXxn9vJiYTSX1ogc8qC7F+9/GviFZmtJqgWRz5XR/BjKFam4rZa7+YbrH4WLuPa0exLNshvC2z2F9QkX49Qd2N8eFQTtAnmeF01/131doKedPeFC5ndsmmA4aqHEO1BtB+KoVIxyRa9U78ABMtSs8IZCDNoCVPeqp1cZ2jNkHGlr1XC7yCc7T6oIPkVK0mW2TgScfuauZ+JsDW657pjAES1pVBBNOeXQqLhdWfZlZdWAaoJGdxK6fbT7CaehVlFIITlQqCYyetxByqo7nNq8lq7kFJWVuvCkvMKiWnTLl50sTFpdnN4P4L9K6ViE+DpUeJ10apsUZtIAdKjPosMQAGVl5QE8LlACAVlwATwUrexlGASEwjSAhC+fXBpp5c37rUTWe3FyTqHDvgI7BQftRlHBXeDDJdrNlHRuggM1gD0nFQPkoenD6hry9af+Dn4eYVkUYDYQrsNvpwr3Ym2RhdQaWoVvE6cJmzYEO715xVmhBZkD+/tRtaUVFRYm+aUsmeIFiYc4QxA1AQK0AAcFo5CUfCgGfkbO42QADNfS6nR1eHgqji6/+514KgiA4AE8FK0EKiO8BGp78gdaZtecbJ1JOJn1pwqq8gzWDbuCWbKbOUzuM+4lDsM1DZhACSGcN4+cz8nJVq6CSzrirguF6K/e6Ly94rtMWMrojK54UtSQVN56SMslorjbaaTOgAXrwVIIlZcC7x0NLPR4V6vGyxoADWksI+HC4Zo4+AI6HX4dCbgasOk03l1A4r5tzKyYANji4+COLg6/hUBwAUgUrSzFKAYCIQEajvZJck4Z7N7h1ae2/Z0baAKCxZqjrFpno4XGcVHmcCXo4zOPNIzUUOczy+cmO8yIQC4Ewgr5juk9r9eOI+rqorkK+9d78b47UAY3jAAju+7jztupgM71i5uaFqOmpEWTdabZbGjE/l/CAKd6NycPMgHKg03b6GfUtwFTXnL4n/N/qGeEkWiQADNeF3LA4AHAAUAUrOxkPATGwVIAlCaXrmmdGul82vTnU1qS7dGheQDIYVyeNOfp22ieEVgy2/Q1fBAJXseDfhYx+FGT1qteu50f1PN9b/ueGX+uh7MILiD/mhPXTDUx++zuswGsAv40helgAOqY1EX7I+n8O3uldx3owYAorwJAh7VQAKM26zREEK4H9y7bWjK62xwgWRqvGEu3xaIvm1FpYQcBMhStTIgamYKBASiFD+J8zXS3nULW9TOumluKeaSgKeGN/USdo7kMA+WbOor3RTjJQAOrdc/EavJ98dGvqDHYaTClKBXUBmdshqTXG6vsFQxBj3gG4p7GmrMANgCyS9w9Vc606U4b1uIwoBQu5mIQHrOeTirSptuPWBOCwPyMgSvwAAAKbNl5ZoaL116P/L1QbHRhvH3z4T/Uke1dI+umP/mHiBwBPhSs7jYpCgh0b52tTXWl9Ec7ew8mpkdZWgBVDWP5AVvE3AKNYTwdi97q7+VCF0RtNSmY9dnCIoiVBSwWYDKZUlJXD8c4M8lPB3gH9NFRcB9jYDRPD+n/znZ6i4CDGnO2l/23vv/qe06DiuqZ0AABL0eUQ/OAAEDjhRMZrcnXxAAIDqhCVyGRCU1AOAE2FKzqqCCNBwERqE0vXpZTy86S7zMHlfU76F6m5bAInkSiSlD3Ys0toVzPzcdTn7UeuGzrnx8vU1/vx7JhWyZvhekVqMlsNpa8P59s+VuTr8UL93zhIM9dAE+tN+Ty9qWvK1sPwsdjIrjjIBQwOkww90xVQRT+YD8+cagAoB7DIEPOQASIq7c+gF523WP1b77/XXiAJMJfDftYJT1FM2tfQvCwHAFCFK2MOhsMSIKBCJRChldkJ9D26d+lae2okWOjTAMZ7W7nF5nJvCmnOLGDUarlGLQydBZcL5LVnIdQJMKglS40yx4XR8y37fGNB+kcoxOXA7Bt9a1aINJ9eFU43hOJ3AaAJ8f48KW0559GVDpjEQWdS4X4aeOPqU2rWVWZM4kZnKGoTlODszAKqAB9krBUq9AAAA2/+pWdVRJjuLSIxSaZbKW1c/82lt65pVUOIBwBQBSsrJALGQzBMxEEb07h1wpp1izq2hk6HsObAEVKbSgFaj7sZSK4befGZ3r8nkaurtlmFnxrkauWs2KtfDzIaMgOVeF8OYAGOLGaC6nrXezczYHcDI1X/9JnTnT2u3AFO5TmS46OlXkGbB6b/Buvw65+i9GJAAtx8nsgPLIjzQAAdWdBLbuFRhCp5am6vTWbFdagbK10vkwLfBGKO8BwAUoUrK0CQJCIASEAVqlnAI1C1mtzU88vIot8vSfwD4MGQ4yvkiJEMdbFoXCAXqWnXl5dAHe0arMeGFvUXff4ymq1+XvyTUpowtQRCcGwgi2QQPvAL8dgRs/SNK4I5+7TS9qWXd4Jo6psTC8Kwk8jT3ZL6opXDZfx9pI4RhpFYA7v8D89YXrR0k0B1YV2Zh+Pq5Ih7vqNR/oCcAZPBFj6QbgDcAFIFKyQinWKgwJBMVBAFco6IoS4jhJLJ52uKVFvm6QBwSS7KqU4V/yPadlqZEpCE/TqWWADzd4DnHZhbLL3PQIyzpq9W5Ss29neUf9n6DZNsUQ9TvU3KoNcw08mmf45DCMGFrEiPMyUNSCvgM6/YLuLTJQEvSAuAj/bPjX3l+ubpeOD8A8q/j/Vgb/xWkDU+bx8yZxhOwrNPtuhSFNqz90cepP2Nq5qN65/Mfmv9YecU3zpprrnYXVHmfNlGwLG9Xy6y46exO2V/BNXvrFL6V6rsgYjQTDG46IgcroSthT8i4u9O+yXJriE6fAEep+YJw3jAXJa5y15nY1C6el9cq2XM1z1n2T1XcFrolkvqokOoSQGvokgK+UpKk+fV075lpZYUkIxaGrczsGuvFozOzjlbfc18lw03LPwAToUqIyKExkMwTSQjGpgLZukKi8Lver6dRS4AKhsXncFX/0K0KsbOiDegvM1HddmO1h36kGfpTSXdMwuF0/GfCmtYOneWM7ApHiyAinw9lNoCKV4Z4qzWP5b2za7CibFmAqmdpi99NsW349/T47rchDtkdSOlp5K01Vg2RIAFY4QnZ7Pj2toX08fg/03/7Ddeo6xkaWwjnZNlsj5MZnEL7q/B2eDx9ztiXTp6K9QDgEoFKnMVFCVAiZ9lFZwZQRAJXV8WDd6CZ2ljWhm3bwnEgPXzBRx7sBzEbiYVgxhGl2JiVWAl3BwNXStZpWIUQ1k0yzHXxWMHAaZq5WsoFjuZcC2yGga8T65+d1UV4aGx3yoLwraq0VzsChOWuoUhZQ0IktuNnwgBuu7wCtp0jM9sSitXow4LDxOUpJDvRdRUTlX08+XujAAQKCNUusLXAOAATIUqSwqGjTc7kMjemDbTQLa4vSrxJAmMEppOL8clrVpUYFGEh0RRUGMV0dewUqWNlzzSvpapXxo1cr1pkE5S6ERxD3/wkdKoe8c6QRvXK7hSmpMhdxpaanUd7G/0vJBIEHfdKUra+3JSu6ObigG94MtEOahRenBlqzxF8LVbethFbUho8fK0iQQF4yLppgxBOEuKei0ABwBLhStbFRJFQIqM7oln2nsglpFmr1nRBYUt5yTVGu9uVDkGvtUvt/2/Y2xNCUfmN9iQdXdCdFzRxZG4yEpCMF4aNk3VxLkbTDS4clwXS2XM6yAdcBuaNLZ1UtCjUvMkV731ZFDJIdtxT3oJ3OhZvHPCQRal/4Q22AAr+XbwP1KrdYAktJapsvcHf1sFKcAgy+68GuFynIwsBKRYx5NUqsc51A4AUoUrPBUHAkOQ0EbBsXNuMmfhY1pCGpdwIAJqlA4uiOjWD6hqqoBdmzR0hhnNWAjlLjXiNY5F6HMzxhP6mRMvxpyjdOcNnjE/xDyON/xjGz3I5FaCEB5SjPmNzXIDik5y45jTtJLnyjDhEczV9RPRjUtgBK8bAx1kgymPTAiiEpdp9U0dvqcNEgosrCdiUIgAqccSBQHAUgUqNDkFQXGgxY3k9zXkrVRrpxu+DiYvrJOBSgCH7Evrb7zDtzvtR2QeGkqjFmCUSy0eWYWE3cEVY3hUAgCM1Ge+taFRBQecBt+FsTm9ZuM64xf14PY6I9mA6yfh2hDkTy9vnIAEBRQFqQVczddF8I7bi8mjAbKisPqpVa7JBWd/PrpeEt/61DEQAAl9+2q1oT0adMsKLoNiZTJWKqBcGD1ffFq2gDgAUgUrMxqEw0KwTIQjY2O74mSa7SLTqHxE4Q882AMhNkB3Cv+sINYyoBuYnprr1jiR2gbjBKHQ2HxOkwyBjJYN1r8mGnie57uP+D154iOgajVyoJwnBov0Lav0aAAIz08M5ELTeVSh8hzxc0HOXRcoCE0tx+YhzM/1bijgaNpIRABxarUZP63+83+LASpupGG0kw0wAbcnAAOAUgUrQg4IxkOYxU8Ik4ZqMptw1L86DyL4BgNbkNZcGQdKbt132Y7vCFsSu9N9co6JJxKSboSRYWXvuvU+kWeJRoDml2gmbxi5iqOt7pLPshOlBa6oIHmL+pWACNsAG5PnTVnU4mnlbwVIID7pA3gJrwA5/Ixrhbr8Gz6dVHLaMbq56yBDQANvX1a9XsjC+XAdudozuItIqfn216VrMuue+/xAOABShSszJgLFOj03501dxmN0i7ceYuTVnS2Z0AGfZuHlK1+yzvmcZrcVp0J3LeP5QJABbVS5RSDHtDJN1pa9jYBzHuimtrzrA6CqDLS0Qq0Te9ffT5BT/7zTy1Iyxb7/i75JO2t94+F+/1CfOzG/rtadQNaleGQJccaK5Ms5AAV02zknC+i0wTlGGft9NbTujXk6bPuU2GwBo9qBwFIFKzMmgsRTEI2u0h9Gow+Q6i/YnGkcNbLBmNgAaEbcpj3q96FKggFpPmfmCaXlXn10yWF07vMutO7JeoaBm9674lnx6qd5Vz9fUBQ8AjT33nRGnfpApMT7N7d2IBAAqV1utx8enOViUpcNR0fGxSdlDkfWfhKdG4NN2YvPlc+oJccBPvAAEG66a0TELDSxVlfN0LmZdKQssKwABzqA4ABQhSsjMoLEUQkQJtd4PMked1kz31bUrqdWvUOo2kBsI26wfRNiu0Vbbic2kOB1laL1GR2rK8Y18xigsyaaC37C/1vpwXgqFiO1BouY5Y3qPA6qOrLpAhVvbt/boZKAMu7zp3d2vQMyQU6Kr53UrDbx0SC3mfpIHedyi3evAABRvusUI0tkpUp18YVrambMiATRQI0ABwBRBSszFgSDgqjEaBNr3R7Oiez3OcrOGjzrpOCXBICj1Xo+n0tdlmgjwqYa8ak+BugCTCIFKH1ZrTOfeiK/3iv4eqr23kClTYX3jThPDO5akEQ4H063zvIbrcd30zrGZxkADlCMC7CCBHS5VqRopzvvm3OhiUBPJeIM3B3KrT74EwIaHt/mKigqrTUQ6RDVqaEqBYjOCOsMFZwcWjjBwFKFKkMlGGciCFmRf1HAVniNNafDThkWkwLlHschq8Bk9ch/8qk+Iwqsa1qekYm8khUkYoJHaFKxJv46eOf3v3e82ImAT51vvUs8gvVvOx//oM6ORLLbWKu9Keoq89V/x9BDelarkjVubVj5UT2dyQ0hrdldcwiwC/ofHowdGxgdZJFMM1UjoXLqsxtWjWP19rKAJF4IAHgP2wv6SEsj344i8AOAVBUqKx4KxlKQjKQhIHk+GnR2GhrqTSFRplSgbt6nV5xZiY6XLG8omadAgpUslvmmv6dAxYMBaZhloujd1D2PZhuYcBHwia6QJgOGOnzTyL4Y+E+BuBswCgyoUZDWCZ3qQwvhvDdVZC4kMbdzN6nCD0+zuv0vIdQuZXjBK1woT7D3ecj9rrEpEwIryVCHXb5jG8WWsyMyCjqtatHST0cWIOH+nXUlhA4ATaZ+sskTEdbqDX0cfEa08fm+3H4hxCA6/QOAW0VabBo/VLDeLCQ+CnsxL4eQ0vGMXBsKSwCkjGAU/cHfsuBzRK9o6j3t2rdPJV2HzOg7lMsDAgnMGJnsZnNhU0X7Wx/n8MOubfNAQLXQAM1WKHwqUNNYz0XrSTnCrXbhxRvv1W9UaI4rWzWz8KdOszFcAsAAAJgC+VtbLNIUMDH8zoEZSGDCBHUYY7fhz6+/lE4AAABzG1vb2YAAAAQbWZoZAAAAAAAAAADAAABtHRyYWYAAAAcdGZoZAAAABEAAAABAAAAAAAAzFQAAACnAAAAzHRydW4AAAIBAAAALgAAAAAAAACnAAAAqQAAAKcAAADHAAAAsAAAAKgAAACpAAAAnAAAAKwAAACdAAAAoAAAAKAAAACkAAAAqAAAAKQAAAClAAAApgAAAKAAAACnAAAAqwAAAJ4AAACqAAAAnwAAAKIAAAC4AAAAygAAAM4AAACkAAAAowAAAKkAAADPAAAAqgAAAJ4AAAEKAAAAtwAAAJsAAACnAAAAoAAAAKMAAACmAAAAqgAAAKoAAAClAAAAqwAAAKYAAADzAAAAxHRydW4AAAIBAAAALAAAHxoAAACtAAAAmwAAAN4AAACzAAAArQAAALQAAADgAAABCgAAAKgAAACmAAAAnwAAAKMAAACiAAAAhgAAAKYAAACXAAAA8QAAAKAAAACjAAAAngAAAJwAAACbAAAApQAAAIwAAAClAAAArwAAAKAAAACjAAABOgAAAK8AAAChAAAAmAAAAKMAAACWAAAAqAAAAJkAAACkAAAAmwAAAKAAAACWAAAAngAAAKQAAACoAAAArgAAAAFtZGF0AAAAAAAAQVIBLJl+oyRCUQmy1RCkJlps8/U4P/HFVd8dProNmA472V9XLj6kYmU5RSdaFCV2cIBpBOvHqMoLajCBeIBDfrlGLl39eRS7KtDnHMN9WfpaJ592flK1b9496hgApCzDI1951nM6H9h+lpEltETX/S/QDkwPVYEiIfcpMYJOBJJYY0w4nOYnazskVpJGmtXEcpHexQsACwUtKAAF262E3k8vxlltOsKaqgkvmLP17X9HcMPG++w2GbAb8ON9E97EyDgidCgcAUzUrOyYGhCIZyGJHJ5Gp9LeOV0sJq9HWnRzFgG/HybQ6n1GU64bEG0zXsIMBLrLebI8qYsUezc4vO9f55sy8+NMlzn54dg/p7VIgEFwBQnRXt7mVdlvyXyPDMFn8aQQVY0v8V+Piakw893u9A5t/jX8z8HovU7BQAKmCA1fPwAD0ASTxNOLOwpvy/anP2Z87unyCpKCygAnLDwmDgFIFKzMqhsRSi12cS9Op1ht7upC7cNaq2iOegZpdqnM2KPoCGEnLgP727KDkKegxKwdlOFplUdPFHYVYWR8S14wrgTECaMGZsKOAjXJWIGxCBGjYPSAgC32deeiWM5KWxw72NmQpWrfvi8a5XeWc7inZvVyBiJiH06yy/6VA8nrJwLxmV9oABKXRElKlwcogI1nQ3ase6315fQAYv1uDgFSFKjMqBoUjmQiiEpxrhj8OesmYeRI1bjGlhQi061P426bKdyabSITjjUkhAfGeyuJEFjMjq6r0AyS1q0KuNwo/2aLLUt/FeCAQpbqYNAn94q4n9Z/9tEbarkhMi8FAWSzHbRDXMA/46w++4tZB+kVfn6ULQAKomGNXWZR6LTFNIApMQU0dFSJ9mCMRsDjMgbYo7jLeCDmkXHPaoMQcwSlHZmdgOABShSs7MRZrO71d30u+bITyLvnfkuakjcANKvlu0j4Tm5NxOSt6FPsat/xYPPy9R3dks3TqW1K6FA0VAMK7OXHyHpTa07ahBWqu8vgqZvl4Vf/nSulWTs/EQGteW62deRKFf1Ydlkj5l+OmEsOWPYbhiOzjvgkGteWu6ncAGlSpqfbgBYdoKrpoNbYcc24YL16dPl153G0swXKE68ZuNYBwAFOFK0seBiJhiJhG1Sk6fSXLIx1obha06AAafHjc/GPSuFO3kUhlpARApHSHu0G2vOyr0Suy8adlxNIDwAsFs0nGMMimbTW8LztxdRiUsDBjV2gZoRX2vJNglvbfLNvTzE0SACHowYZNeFKCpSk6sbfv9a0u2zZvvXoPN6UAAMOIroaYABwxQ6pSRwa/a9D9dxT3EJykgc3qorY40GW1dvX1e3j2XUun4AcAUgUrNByGw1OwkEZBOYXqNdL7vgTS80BwaiYAySf8OxGHlv+EL0ChoxemaiaEzjciOoLZKgyybsO+qd+4DcHVqiWscq/64yg69A1qtVJSiYndTTqrFRiCJZo2hdRIRgtokT37xoBddbTFKwuwymf1agBWXKtO6P6cIxpZOAFf5Xu0aeh7PcgAJFro9yt59q1fCJCjWx/4xGrslkqDiyT2TAOAUwUrQy0QQzWbeb1oteXdwmhGRNJxGMADf0OCaD4Xs1ifsk7BaG0yWl+d0kSqwu4V1lWLmyMwG0M1I+FpZuPObKZ6yLMBNNaiPp57OYwIkabXW7akfDNrKvC7LKsrt6pSpeWDNuTGCTZ/eF3+71bHMczYAACfktGzR2sIAANJeM+x2p9lGE55ekRpLb2c4cKqDDO8Xb1gAAcAUgUqSAYGxUYKzJL+l9AbewagaJRagByfkdbbOtVWlj0pwoToIciPOFAJ6pDoRMIwd0W20FM9OKmEp7YpAL+NcUc2gH6VPZjfI06cVJ9JLFHWiHYXyI7U4ASGnRuCwQ8Ny00iRMEV0HLZNPZz7U21XKWarOdL+GqsyGG/ia92QsF5B9/wvARPglHlWKcd4jHj+f0dofmPyto0+I/+507fenMDgFCVKjstCkRBiEkCIt1el1NENugslmkyFYB3tPIFNxeN6K6FUfmXYorhuk7a+DUzXyQqYeWR+2rRPRHhxd9t8xayncoe05P0wop3U0LAwphzK9TPmMQzWpdvg+0DXPCqD6vQJP7lV3NSSIkNHGSjfvFSV1EexiqY0wk0tNQr0JWlgB9hkpEl6c4SwA7pTPqfS3PXmheo1TgCcuSW0qQVKYjH6KAADgBLJnyiyRnQNZSNvNTL9ycc+0mf0+4kTh6/P1+anw9vgIHVrIQ8LX24DWycgTWSDTh97y/08Bhb6aLrqtY4hPqqiAaqDmFNEtDHMJsq8NDg/lZrLker+vSi0bjjR1U7aCtcWw+8v5t0b41s0RXGgrvM8K3TdlKU5dVtbVI/XdZXMxJEKkxCcBTAh1Hjfwf9fx2EY8Pg7f0RLvHGd44NMYBtWQ+fMFLPYi5zFlxnMLhERwDwxZKf8rkxLDELP8ppOaaY7904AE+1Kzw5CCFBiQiiM04EnYIIdJ0jS4ZraAeEfcOWSZw72ICVLgyZVeX5p/du6Bxk5xpxihvnfWE5SSsCU5Pva7DGe17degmXpbq5x8NRJapsIiewEyAT2hUBkPuFH0PF3NDATgSY++uqMAQezjEa4o0qmLwGQ/ofJvHdEp2w8czZp4wgEbYdeGGgSZhC0FlACmvUtCtweDIeiAyhvb0xegCjAEk3JGRm52+C94W4pEi6VgOAUYUrOxoMqhY2HTryHisHm3C0jo0RmWGfRUawnPx/6/NKsPPCswPLzEyfCOi6T8jWmJE0PRU4BMUn17NiewKLQrEIVjC+EkKouMZj1a6+KL18uELCLkiswLYmcNxlDcKhE1rr+iNazuWIzs4ohF7kFDN92Ou6WANXLNedTr1zRu0+ngBc3VrhkVTbfRV26c4G6VoR+a1CVffbKrLrudaAF0QcAFKFKkMeBsMiKFBixSH3twnY7l6OuinSJEqrwEe8Q3U+Mxv4Uc6VQS6oLmR4nOWE3ENc01tRFeRCiwdT6fY96Gay9Kqrq2EsCEXOYDZ3d31zU7v0Fw0EtPhu8y4Z32NKzScM5+rh8FweEla4LuoIesdTkvgs4KKwpJw7KY+fs3/DwSzK9/9aT7YbApJKBud2RPLPF7CfU8rDQhJYD+nkldp81RuIADgAUQUqIzkGwSQKw0+GpbGUOlrLcBdABH45bv2usf3ooPtoeiFzSZSGoQ3FNg0xQUvQ3ObcqyVuv2s+OGgFKYqTbyzN5KZk5Xpkg/PBPYz3/2Wep7qitnPUOiNOFssxnDXbetEPx3R/D/2qaXiztHaa1Ko+byMRKephhUDJTdttwnBbPEZIzS9lw3K81WRCMZZL8fnslJKmK3H/S0QDgFIFKm2Fi0NjIRgkFgoMhAE1q4+CYveF3czRqS5mssYW+bhBJIrXDnLoLoT9YpmmNp19gs8EZZO6hGNGBBSePTzL/2SXAEwBxKKp+zd7mtnZRLCZk7F61lyiAkxm70RscN2E+V9+6AwgtXwFfG041uhlfv8qPl3/6wihz2oauFjLUZCRoYAyrATwl0Yv1Z2Ryn3YEFoQGKmBVg+94XDZdXYRsrWuH/4z//P0d+QytzksMDwCEHv8vlybNUFICzSn5qmy4/2AE15jPlDm96n887VP4cV+X3boFFzGQ6DhfZezQeE8fmdcjY2rsJh5zGQcx4OAUgUrNSGJA2Gg1I4TKAxC4bXXxAwXI5vi0XrWbLdAK8+0WxT9PwjKEUY2s4G5f6YctMS6MEwq1EVwrNt+RZyqs1bomUEO9GyYCfxzz8dIfQMNwU5ZbASlHzNxsrY6N2CmiGJQgXRT7vCTytMJB8aZO3IsUKCgxIToJ5ror6uzmmbkwQDAGkznISkGdQlM8fnn7sz7u3EGOOE1k1fg+97L7q++tHmk+Uw4qVli7PNtDNHL6kuWYqDLCVlwcABSBStLDoTHQihQYlIQlLEmiptqi7Xd2kdIjOnPQN6Er+McAA7fWskSuDo3sV9wtYSrB2QC3pvWmWkrbtbCcTjBTA9yOpu1AK4xvpHs26dkY0LSQw5vIRTRzAji7NyRDtQUugu9ndelC06VOfKAlpTd3HyptQvQyp7pGbMekfxgiD3yN83qIx0XaPPX14LlcgbFbnRd/hvv/dDSdI6UgEVjWhP/+uXPfjsAem8wcABUBSo7FobEQrBQYtUsdXEiEDSaSatazOKLfX4ogAg9Fgub0G2sPkRf3tCQaakg89q4gCVqwdzlyH71XoKGBNRMQjBzcjYhTulpq8J3ApMtCAVxlLv7WJHXmoSxigAjCPfOsoxOAg7zqsTjbHhziqcu37ppANN3tFz5WzfjTdE3j/vPAoTnm4y+OrT/PFMAhJ/Dw3Q3xpS9ty0b5IymcIAD/M7ELcFjButxAcBRhSs0IZMCQjCFRh5NTV53flvCly4mtK6BADanbVzFPul9ItmGx6liPAnSQSTFFqHRYS049T8PzzQFmMTawXqN5AOkhFsdCbN1NiqdUI+SSlaHXrffmLRXUc9Y0jprcYTQ9TN01JCpuymEy9ApofYNVqvm2VaznKTjf+YAjOV46leqXg9HZb9ZJ5pwqUIAQBAqiheWXNiKU4BB/jN5NGNWW8IbejHs+X202v6YVJerTFjSPdH3uT4/PPtJ2WE3DhfhG7maJg4AUoUqJCWQihUxbq76sdtMbb1lyE4dW8t2BD8Tk9VXATK0J8uKnefAI9ICiTEsJYAMCxPBKeiDVUQSdDyoMTMSnTHTQ8ADQh782KuqbhVdmq6sSGzMM95FzYqmVnVfN81j0VtjAfnlWtUuy+K5T7Eb7NuKoHd3EomulyxcAkbAG/YAD+ev2Jv27dawl+0I2kAj9TXfgeTTepP4gOAAUwUqTBWKiwKJlTp1q7FbKKGOBf7magQ50aeDn1ZXsMO8rRTKpMEqWsgyjN5ZdxFeBspI0y1GZmc4QjQhZEkLLcs0XedHhRINCn74JEG6iGcF1TdwE5J2Vs4OLZxqMeGy/wLVn0OuB/9ehNm0XLrbjww7Q6YK5IVRO7vXmxezPr8HX2tglmhQJgGSwpaLzxBwAFIFKENFCCUjCEg9mdBnkChHS+rXiwDY6vLdX7AEVG3LqJjcdS6mGTCh2StGt3d1VCukLBxLM8ULlzoFFjoTupgpqD6RIUJEFytAkhK0ZCM+e3XLUcQTbJGa0gP6ndXTxloFVQhVbVT5PmNCgUa72RKfoAArM4fchist6ZCaCErnPF+3BytnoMAUyHAvOsRDMK4HKnV2GgKVvuK6vGm/F5sgDgBRhSorLRgmIwBSnQp8cBkIw8pcuLgoAfT0/xtPsLhOXtUfW/y230g6BwFHtXr+Pl6W913Fb8PAlke9yJE2Nv9RHaHZU64xetQw1CN4EErT/zSWh/NaqCnybOj1TDXZJ254alZxvucK+xi52Zt2X6d6e9R5oPFI2KLWlkisCdgFNdvm4sh6Y9oY38wc67nMQaFp8MNK1D21nCJlDwsVPIBwAFGFKytAlIFgkYRBVXJPa4OMi+S3SXNQDvgG8s1fHGSqMfbSrwsmG8MEQlUinusvtn2Y6fl1Wq0d06C6QllgpOrpCWWQhFMLxRIq09vP2W7U9Ptjhtkgr2yHl7ksiq6huZ3CM23Kd7zGPZvQSASuRKUCA3zBigMHlBcBm7mvnfh1Bl38arBQwJC8DCTyZviTeYjsLD27rQE/c8XzOARgFvCZY9krpocsYAcvXMHAVAUqQx0QwUIbXWItOtRZpiA1bopoQEXP+Tzbl9FvY+hwboWsANytheJyUdT31dujRq+uPKhNztMC4uBC//fCKiQoYOghN8E3kAZWb6OGuL3yVX4dmzQP24HdlDvFDlN/ui/AXEm4Phq8PnRgOQuNzyZVmpiy73ChHXFL108nfv9K3XY73THSZgq1ES0Z26DSChsdgIkw1eZWPFZqt/DJfgYdEA4AUoUrQx0UwUEIkEaVZ5JiXwcSwrRKjXs7e1ZADPzclOe9k+DCpH6hPH23VeltkJcv783iAJheyy4uyU5bur49JRpz61QXD+nwjj9EInxmVdad4BrprwdV7rpfBN7kKKRIAMx8sNUmiXbNEf6q6lePIW8MVKwEwAGqRw1sI8ljLWmDeort82k6IACMdTn6jLwnD0792XQ9UVCskICqKS8L0LW1sEYgcABVBSs8IRxsTLF3PNh0dWIx5abdUYAMawC0gzjlw9iY75b6PzxSGr5CfDQvM0AvmbZlnTtksLGhquVathzfHKGDZdSg85ytsaM90Kbm2mpKgUcvHXd6aIb5ppYLrknyj/lX8c3e6NTXdKw2Wsy4nKNwxny0wX2J6Ep8cer8KcPL+VxUzT4I8QAMjD1MYxztrpvTtvXokZLVhCllls2GhCQqhZOgA4BUBSiCKUpHEZlc5K66nlk8uhfTnV08iw3ouU3uMCdY+ZguTyiEiLlrB124qFlZx/2UPAmRA7AmCEoB3DHDNLHTKTFXfbPUDcZNs+nReMhzE5WOvh4QUXYBmO/4sDh7vi9BYQG2hc3dc+34dnZv73VF5o2AFhNzMUtQRV3QUvNjsd9TJuns1qgePaTC6fK5YUCCsNxQD+SSfO3mpZWGIBBsOBgt5TJAMP807YYeuWWYOABQhSqDEoakgIjIQBUQlduzxGntwaviul8co00jWSiLlT8crgcCJvI33T4YmoYOj5m0d24wUc2XiSQ4Xr70rkJAFlW0jwG5LMpBRp9B1qfJ76iSa8xOZTKmZbcJrqSyknmi7T4fH0kSWPf5nAUj2NOCXNcanj0Z19f1a+BmTATCMZADWIotbmh2rmrzyZnwm7XR6x6+3LXqiLCKFJkG43Na7CGJMoPQmhUVdajs659cTS2Gxv2d/yUhteoLqkiAICADgFGFK0QtiiJhIQUnhthoTy1XwEq/O9Totte70BhftUFo57c2sBEtMN3zdxwF0mwPgogdfCzNMVWlYGJLac5aiUQR0OhTaYQeAE6tuVRnjLh1hnFQJzR39T3dQnJPqn68MrK58klrYQ8kQACmCAQPRj5ZMNDZLJipCJgXbjDLK7DGRh3d3pIyNMusv9norvh4fm5/fyTqHDh8+eqVVNU/6U6ejL6JShO34aZTCH2ehaIAA1z/b0f2mDgAUYUqQxIGxlCwgChACgRIgRK9TuqdLgaOtCvic8cLs3pNBBPsIZjy9AaVbP5AElXUpEOg8WhSyApN4OSGTWV2xlRAz65T8wHskO5r16TtJOO1a7JN85OiCGbn0PLY1Xb2z7v61NDmAA7sYWh6duPK/dsMcBRfF2jPdHoSUMTO+47QfyitdOkcrd2cAdyYW2VpdHMArCfDonZQBQmAARB5MIOAUIUrOzSEwRGgxQQhE7bxE+m5mQadO+tNdLasaZAKi56VpH4kx93zTvqO1JNDggmjbj/3zdUmDlXhJ7gVKK9UlM0eW7cGCuswUNdUmbAjXCkl7bb/yVuEGn1fHdxyeuYWlSBaUgs4RJ0ZeVaaBQdFY+eA1bQmM+sM4Wph0X5xTA8kcEwUdsniyRLFgYowVAOatqGsWUW9rEvX1HAEQOAAUIUqMyYEwzEwgCQWCYxW8blrlrWNuEa786rpd9AxoRPECODHznIty/VduXP8FsaIWxNKFj4AOtmMKzdL/MeCd+W0PEM5Mzi/aXVHXiDDU/ytwAZpT++jXN9vHOR6xQoyNj/YHq0lkWbQudX0+2ZU18mjbf9Zydr0/rsAHHHG4dwT9GO9VDJL/N6+huxDjeNrV8qKdb1wFl4RmvZT3Fq2KxB8AHAAUAUrSzDaQhKwK0WWG+pHfHB5JrpMZUAcgW4rIqPsT703tdb2R2yfaywCZWmBcMOAIokdpniAtF4ihya5mcTqEzB3dxB8RxJUGfBNs5uVl5XSvjVGkDU2OgWr2e66ngt95YoJCfUyli6LyY6v/K15w2eyw8zVlUTA4wGnFNxkHzZCF3ijfG19DTToCtujR6qZib1CYAJAcABOBSs8JYqkgKFERHEI8Sj4RbBerwcL1pJIYAIzXnulYw/mkM4vhw8ZASsD8IE4YCYycUfwkB3ikyJrqk7hYdCJqXhThQKuTDu7ZNWEgNh2wT1KxSxhTHdm+mtV3R9faYRc1ACFbmWWaOTuZrP/F2K+C30JJamHdkF2IbVv5CsosQpwkaCVaxWtOpeZ46KF92tC9HWoXCZ78JMupv7GN21feeM6Edw6IhVlMoA8UbAmRTWgBlR/I3D8v3vcBwBNhSs4ig6JIwkIgiXnKXjqQEayHSaRcLitwMm+/XYr7Im5RazvOAqi4NooDUM1SOnxRTb5k3GABKU6A+D8WO86qK+ayeIrz3tdxJWU6mKSuVoz+kdLkH07dTkL7OX8jde2aByFfw5qEA5mq5vlW8ibtMUTKyVRzjKRgKNnTwe63wegLJtnrlWiTpLHETkq19+PQZDHOkK7TI0HLwIL/6BD5OKC/RpQBwBNBSprFITBRAjIokVmQmmtDBxeF2XJxAYAF/IZNOJx5qfTcXDCoDuSBHaJRle6ZKhA6IySyE5LY8lFInZM9MQotYJuyDrd+JcI1tag01J7DtTw/FwKNs4lJhtCGRPsUCYcXsOMxkaiQdKLywbfNRmGxCfzL+lG943RCVYwPtoE9jL4z1wLcNoCn2GoP7D9PdAN4bjkc3TqB0K4kb1pGNCuG1pZaiwDgEwFKzMwhQVBEMSoEiCFXjJF9QcKw6EWTg1AAUpRJgbPRvWpkB1VMDm9PbTVpbY/nSYp4g9cqHZKKb3syd0uAp5WSqPv0eZHvnSbP4HGRGsWBIs1TZmC0UATybiSjpq0ePQe364ESOGQM4grOs7GkxaZU9dA/r/rRdAy+7i4qzpG4TJBIxaL1h0ual46zJ8AOPDmvh0XMdp8aKz7pKcLV7qH8HP6sIaysiCBujs3PmI7JugHX2T6skpg4ABSBSstMQjCQhEMZEEZl3Zfwibk5ddM31pnBHCGwAZ1wJcfvEHc8X6V9zpn9mrIToTlVraqrllxlkjbtTwFt3t1Z2TQhEd0MCgtATl8fl4AfkuYPXbWqGETzsuWUWVV2f12ltPkA90qPPG8G4+Q7MQBeM6M/Q8J2xoHqHMSxaw7jf7ychYVm/Bl8nIHFU5er9yvtP2JwoHGFecjL2HADsH2fdRRVNtRW/4ovt/zgP+FbkH1U9UxPiUIAcBShSsdJsSCobDoRCYwiIgjMUntZbK17EzSXbOESWjta3z+IGBAP4udWecRO5jYb5Q0uvH5XWa1+oYnKHLcBCWan3Ej6rpH4DIruiH/eZCL0nx88zt5ORbv30cZmUG8cYP29BxRhNjQ1WqW2X5y1egscEjZ/+9RvHG7hvlK+QjoYI0r9Y2NsRT/gKXJBDZ3ateQpPahsTKAKsogd4kq3nnwPMQJFIgIwMhgL+k85WweSChgahAGgUhjAgZlTdsCx52Whl2A6UphyCnJxYFlNkzrtg0cW9snNsjWpcAAsBwAUoUrdBlFQXCASDAkCIWCI1CwRKCmL1GPItbPi1TUOmUuAA5wMgVChWO/C+lJdAG11lH5GPDy1BsCLJaM4YsD4eKkiw0KfKy1rehpiqcALTjXXK3Efe50GjvQURwqAC9Ku07w6vb0vJkly87MJzr33vuLsnGhtX04twtqdNfhLeYbmsVrHjozpoaYz3gJjQS0hSf0wT/2/cJhOqzujKWyVCRGWCsZ/8/T0QyJgASCSG6v6u/wLPjworY3nWyJ5teLMCcjAkAE7vf+G6/snAHAUIUqQxKEiIChTKAlEJHobQ0Gi3RXUZ0txeL0CJfN4jfNU1fI/PLRzQUDHb+hcZEmPAc2EqnP+52kEUjQWUmuAQUG5hn1qsQqQPsLXJE8ZS8WkI9H8H1/Iuqzd7XUZlArCVkkE2Z0Lj037ZdwAHd4Kut0tHmRBS27cWH0WlwgEwAaj47dO/B7s51MxQAAA/fjAc2TF8PNS8JzBwBQBStLDsTJUaDEyBEp6jAhT2GunM6GnDUmZZ0t9eOMSCTxbdsQ7tzO/WPoJHZZTfEC+jczukvSO0L5o0GnfEi8AZKBiJAgDU54uEeA+S6b1HQzCAgSkS8CTtwoYXWbb84mkl4x5ZPX2CgpcNo0zgXVYXOBUje2j6donqvoIuV6Cq62B5TKQB9ObHp57oAEQACYOPBY0p6f4/hYFAAmpcLlwA0gcABPhStLDoKyAYhYIBIICELkfMVOtqe1i1nlnFurroIW9zGPzLe/hYAPvkt7AyGnY5bZ8B6kvIOj4Meb0yfkzClzWr6Ycq8L/57MQ5hQqxghxjFVzju6p+696AAA4LRucsIlTF1VcJ7Y1vedyiiSFqR08r11ujc3FWAA3VxCanEAFqoinryxxrrSp2NE/Qk+IIaQHABRhStTHoSEETDIYDMgCEI3OxFNX0svaX8KS/bD2AKPYwusN9odSJO7nAhcCCLHHrQS1cqwNhTT3aF/PTBTmVxrGChkMGJaJuCs5SQAEAsbW19YUZN8HD37XuckxACuDmAFeozNoQIKdZ9Pd41di02vugmZiCEHNGr/QMDAAMrjpZOf0QBPNl4P519FcUVxhddNr7+WDBC/DxaAcABQhStDGQcCYgiQhsHdHrLXOtR5F5HRd21ONsx0AQ1qV5v9FqLpp8YzYIx6qEN+Z2B4JRda+D9y9vbBI1uQPOFU+TppuItMAxs0GpCrgZRQb+aZmusC6qXUWSQA9PPMXY/uWf8X6aj4p3OqjYTPJNZdbjgkp0ft7yEp8y8u37SgyBKIAAtcTwcz3M2wUqLsUuplp2dTXNuEAACFQOAAUIUqYhYExBGwTGgRU9ZBtaOl30B5Xy11l9TDOAFZd4CS5gSdpEBnRYPU3MlowwVhyKsIoio3VDfQTjS2qsQKyZYg8reFW0ySjLCIpuRIViI1MfgrZJAtOGGwA2x9U0EO8QulftRP88J7LnOOkxKOPzNo0mLTJuvtQNwxcARALiFSzPL7y+hxXp107YXpa9W30KQACkCl72vyA4BQhShpCZAiQZlIYlfMpOYjq2urb0W6tjiJ7HcQFscrQG4fELvkUtkRY+REmgBKCnMb2O1IYKTwza6CqY6xjG5Cukks+/01ZUQAqMQgqKRxeFRdTOpta70ABiJ/p6zBWHK7PDDh/TPs3FN+5JeXnmIZtvDydFogVjyvOu1gLoiAFD5iN7Y2jSJnWKWZcC1Um0VQqJk+mURoI2N5zIgHAE2FKywZDsFBkRhC1+hmN3xedai70idQLicWUUC1F66MHvmiAqinxBgfaps1MdLHQSnRyoiXQ4vkvU6LYdpDVSyNX6/+jk1jLwm/PVR13TCJgp+/CC9+OZ+eGFfR1OMQgvK2yBqYrjOVHgWVMFc1+efTz63gFaykxRDMKJgAVrgWN0r+1722PTrktbs80fTTw3XgTgLoRvkIJgHATwUqahmGhzKQxI+coS9PJxpoXLiluMmrMgDz5mwlrPbSAslyR9uz7GQUk5PanBpCtPlKgRIqcu9ey0lxdaiC/4dpTaiQV1788ABUEHRUcW1ELWFjTjcljGVZ4YdBze0KhfO3o9P/y8Psht2BGUJ9JeqiVybqOsiFuz/8jLkjZWVbiG6UACZsn0pQ0tYSSDK+WJI9LHDuI1FJyx9AwLYYUfHWvoBwAE6FK0MlFmYTn6Jo719OHkNJwBoasNgasZEtCccQXnIKNgiystDXC0wCBTNPFmuuPgqK1MHomopN5KqMBOZdk+1NG+I1ZckbdAuroNC/vpx4qLmyuSa+E988xWxb1wr9qVgrro91azua1w2jW39ljvrTrJmihVY1cH2wjeAA4LHdfVC/x5xrKMpT7O3PtL6Vtsx1CmX0bP7Z2DS4kVp6wHAAToUqUw0QSjEQhMdlSTjNOlr0JwSyy2ABwFB5/jdP8CuZPVmDVRxEgyRKZUN4B9PIKJma1mDshLq0DOlW5te94J9Vy+styYq2pvQ8O2Pd/bDIjkyRcFJhq2rBTcYnbU5M9oNDLuUCeZ1GHg2tE/Q4M5S2wX5X81NflWuUVVVrGHAZYnbb9L9RtaOFBCUE1YynBX5S3/Flkm445vTwZsHi+eoDgE2FKGo8xEMUHqyrOtNWaLWsONMZAwKl+t7s4WnaYrqTU2dOjpHGIouKzFQonozIDWHN8Wa539cxwqa69PDa5HO9OC/2q3o0945UNOiUqECwB8q41geHl0SoMykz52WHyJZ7cLZriE/Z4TT279UJYH8MUq+7p1tJ99ylqMYFsHkvXYqG5bFhhr200lDVeipsybqznFWH1ttfv087PsQA4ABMBSpDKQZIE5CEZsZGqeeiKNCWuWoRigHBbF9W2N+uo5TRhMNNZ1jjHVjjjkMWuHKD4+amULnwexWsBqGFmbXVBCBxLrXdIZqVz0+fVGrCn6Hc7DQMOO8mjIghJoCxQYIbr5vvcviv9iBR+3B28UlL7EPcSWVPZC6M7OMLqOGmhX4e7fNOHc/E8A4u573BsPeiUbO5Tg3R/XUgBwBLhSpLHRZKEikm2Unld2DSFrjhim7UAcRFufExlguzeKvBma0XjCCqDQyV3+EktLLYEE5zDPZLchH6Jg1ijwd0euIsTv/uBT2ZsNWCIuuSQI2bsRIpmOsjWi4MLnwwsiiwF8qbpDHZZqeejbQR2BpRwB4du5lgrbC2WpzGlBWFWjAWoVMosmZZCvVUNb6Td8sQAAaUr3saXEwLAcBMBShiNIiBJAjEXRE504gixpLkURWBBWg+36UGdtGZmdbMIanBTVEhSPRQmlIk1gz6ekQw28Z7XUkjQ+v/qJ8oIaT7vm7QdaGCfx2pu3XpcP/f8T0RxfWhilWC7wq7tVvqvrPVHN4JOlTDhZ93PzSytrufaRKpisBWIOWGpbD44g7ykDwXGAJDEtQZ4HKRdNKQtO8gyWaqtKRWyCylYq8KgADgAEuFKx0phI0SkMSgIhazIlF6WmiwwBkCauRNTqFsSsJOoG2wJTylTO1oQJ4aYApMDRvvT3XHoS5Nb7+tMRrNbPePPqSS6qVj0jnEZ9HBRmIVBHcUxghOfhdeNkjviTUW5cYL3ECZ71+T9WX/RSK315Ysm2MwpiVWX03TDmCPSjEoNPRqMNot1rk0BRg0WnNWnT4/rkRE371gu4Ym/NO4OABJhSo8IRotd6ARAohHE0uwhgHTbQ+9Kxzamo1+BVpbbLU8W+COmSc99VJcjuc1rytW0SiQDrTqS3mdenX/SbvS4NNXPyG9e/pEMpwwwhLQ+YBAXwxm4p7HlWQVmB53H1PT8UvFZbNSOrlq+013C09V2Nid8DAdMVpXqn0IKlTyWexL0Vnl9Djr61RPLY8/HpWSd13GCZKBfjjxxA4ATIUoehGChyKKWjIbnlva+uYNF8NWtUUAVB29fkKuVwyesTPJeWAagXwkQGZKKLhn+ItBFC88s2KstKCmvYiEeCuXJSQmwlP5Nnf7ag2aITx//Jwu634xCsiVd3efCIK0ALWtDUh8Nrx6sVCCA6Hli4JPaRsQdES6VLMmZDaZ23Wgx9/77fu83TYnX5IWmNUoxnGNYVvHwKud0cp3V2gHAEqFKGUJioQkMIiiMANHKzFlXq2pxAN6B376+tyJnP4uXaGrBXl3qTnkmpVLDAcS15iy/96gUV4k+opEwJWrWSlawb4em6XRU+RZXz297Cqi/AyrrmR9dGfPztCXwLD7EjyE6yJJbVJSCQ8pO9XZ896VgC6zaIzNbTEDBDMoiMsojv2MICBQawRAGUMZnVUikLSWDkpnYFdTgbhR4QDg+4AgMK64AzOH6R4L453BwEqFKjsWhopgkRBME0G0l0VJkbLQdJ0tksFCbgcpyjRGEklIb9TuXDHpfJatNo1mRUiKMq97TNTE3HlHBGtS1obCy9x37APEpkNW6HXo7L6I0DVxuCYlyZzNAHzu4IKLGeyWf6SMjjCsPSdCdP2M1/nYPk6qlcqUo0h1p5ZmWzCpk91vUZT/O+iYb7WUseAGKHhSTQadb2gh1ceh17vGQ49faKFSLTmpIthQnpWNvFxLAcBMBSh7GITDIpqShI6rHNaKy3Qu+LNySXzAhZuOY9gTzMD+0lETlLJXZ5i1z5I4HUsWL8f/2a/gZuiTGvUgGxKLlODuKcKsmnHoCGlKAbOAybIrakM3RHDrzoJWMSYyrEGYTd2YwCS+xaWzLhCfRC5pqXaiHSGVNZxnLR6KnOTSjb7r4Z9OZ9ZZPVWAAo3xMwgpp1j2OeXUxCIQCaoDgEsFKkQdjoUykNAiUML0w71AdUro8hwYywm6tzreOTxGkENDbmyrSVbNiUBAsABghHFRX6vL0zySqKTgGqiJQOAEFSpFQVqFcYiJkwOfbEJWrCPkwQ2Ju71z4IrCwk+wmyaEa4tDZeZV0nPmE+3zVtDnuGl2PSak8FJQmixmvf41+9F+U5G2wpywmPwZVlZ63QxOSPViybAyuhtrtYlBT0xSgjWQX6Qo1pwQA4BOhShlDY6DJ4hcUuQlsEC0uW1csABaNlBlVUNxq5CHRBKqEWopnzgCpEDijLkz5hwZmRhgFcwAhRDtdp6UgxbMm45QVow2IymjTuFruoXpMbGT95F6f+n6q2Lwx++Xeode2IUPsnDQxZglqTkkdyJjWYOChgoHw2OGCBX0v+7JuHKM0uHJQhVQNRzQsU0MNmaSlMeEiKtDFsVbHWDPXkZ7E6om1Jwykqy+MW9QHABLBShlCUbEQhCQInIYjUbXwaOzLOIuOIaQGAhyavP8PZpbl1Xmwsjist0jmjQPqWukTGmedfjWS6FNeyMnNVUChvW1JEV81ZQggHc90QQYMPBdsTZ/psChno3YrhcMJTEuCAX6eeTNXalChTo89OnpUQiGnhLb0/DoKkax3sGO8bFik74+dyMx6UXI6Ft1485jsQl4ebli4zWuQgBIdUAcAEkFKnsREiMjiM5sCzCKrVl3a16URsE1XU/oMacwqglwstcZnRhJCJ5mEGCLAMAHqUdgfS1xdzUxpQyMQ1s4M486Ce5KyLVVa3lOHJAMAaVGrODPUZqE7uJIcpaBtCo5dBZ6a1ZoFuZzuP2sMEb80sZDLPy94A0PZ6vwryzZmPcn5Tlg8QSWS93dioKhAKgVPVaNj1lVYyGUObOj+HUO37U7koudLR8MAcBLBSh7ERJEFLmZ04yAi8HAvVrAAHdGQ3EfAqDo3LFqEuOTAZ4tSIDGgMtqdTziGbLTZeElYKtqTackWYHceBJunyiErmvYP3HPqAs61WTlwI0AsUmL2ObBJ2XznAsLsNqMnGBb+RZ39pgGrbFRzrYcYftbkdaJF43hT6IFDDejdVTNesrO3nanOUM2mPzvOWRFzjBCUfLWNGK2ffj2871p3tX//vA4AEuFKIMREEkSGVpK4tBBz0GriyxWRgV3VnQXEjvMaZeFF8ZJY8KVAUIXURMOs3vo02L3OujSHiABKLchSucTkaxgk15AN2Jpduofs+uSdgk+fHuHtP7kOVp1kNDLB2lsTO6nQiYIPBAcPU5ySAeCwvDY+92JWphm6QsBCR14zARlBImqJ+qw3cHJNyjbNxsiSr6WR5jZW0B1V6BEANM/7ygrwY1IRAHATAUoUySkJGOJWamhQ6druOEXoFYmCFOJHQAXerNaGpCCW0QvXEXXkqCDSLVlTi/GKuRtDKyoHWTozKbFV2VHuCHu1wD0Q3PigKBE0ORtH0z+xwqa+Lf/833N3OrKxfO2pIS8jwzwDYPJ9i2I50/7xaSW1aga5ARtbB60jo7vj8+FFq9W3vqmR7WudQWthR/WXE6IIOVxKGu8s3i/HqmBwEsFKlQdFEYUC5ILBAskta4YDYO1CknbLISFvWw4zAWNhjL5Hvq1gI3xwsQNx5HJ3JEqiyBmcNRlPmoiuA3JUP57PXMMTVbn+u+9SXhzYxW4M2sudtejtJkp+8hMVaFsMEYa33KBgiT+GkGs3KKgaZ/WXn9plGAJ+s+3G/GM9lYSXM8qy16slKXdX/LzlHvGiPfz6ic09Fuh3qd+v+ysGJ71MoBwAE0FJqIUmCQcHBLyw0BazUTIMAYenrv8PNv8J0enx61lhyx1Z5mpLSE17Dnd4bosxusWWEpjpj2ErRk1SIsHC0gC64ZSBSAeJe8gXWWw/Y85Jybm4vARAzULkg4KQm+sgLLl50fET71aounXrZaDynILZeLaXDW97mIMHgFrGUUvnpVZhXDF+crKkuvGamVH/0aMjSRZY3mreud7rR/cDgBMBSo7DRxGEhGELUJuZwtIGgS0kWA5CGIpQfbqeiAXQOeKhSSVw6OwHwsgKXkUmXn/MgcyFL+K8sHVpKbYynpl0FZFaJMiG/HoGj+ebAyetrnxO1OZBG8OtKq1efzwOjZ5LqsVeVe1AOakuyNfeisVvuql3oXVsielOtUMC/qROAr5pJl+UTASE5lme70vs3+f9qXeqa0LuuPYBwBMhShzHQzDIiCErWkVFwnd5poBwW0pgLfR0AAAlZEW33ff12Vabi8wgpLCMuIAzVI0MlpCA0DY0KV4iMTWAKBKEN7Hit5VHCtK1lsfwnY0WuiMf2RwNn4DwOu2///qqD3vhvS/oznU1EEAAQJOgvvvJIrQq2sjI7xMSOc2SKFKMxILnIabxA4DarRCYKHFoKC30MS8k5SrXRk+porPcRfuXaSHnDH3uQpSykpPr0xulGlog00xrSQtbGvL+aPKuEHATAUoQzoOyEGIWOHQgoShdC41ImQYMHkYZck26tFK69LQ5E9qQos5f43LvO3J9d+VuR8h6s1mJtlvDZUvxwi7Jl109LRMt+0ZcoU5jWcVsnhKevjbXr65RKV2miSoSVcA8YJwKRfdWbK5jlFtMouKOp46KbJx0y5BINIhkBQEzlac0srb7wFDJnjNx4tVTS/fuJdRSTWc04Eq0XZ2KqADVXJS9WeVCW2ylOhhDCFNAAZyxaZZqYvCIijXxqK6WANTvtidBwLXu8tNvHT1Ae/KoTUFgmK65lCxiJ+yDKJwSEXdsz2C9tHFv4DcBt+26QxJnlaMoZlwcABMBSg7PQxkQpkIQ6xXnk2ZdYlsNagVoGDTOJtFXQp2t1kxzKHH39KuONJsFtMzT16fG+BKRKfDYypFVTOIkzQfgAMoLfWiiiCALvZYGkao8ow6Oin3Zb4li9CqhAxuH/sh0nVoW0HrHlV4b1G3gQlz6VwBXc4PnPs2t1O2jZVg8PzYsUeyzkwe2/7Sz8BRmUbUPEPgrM8IctaPwuGACl604tDXhk0NvHP/1dXafOgDgEoFKEsskmQUDkXLEwDFBeW0pZkCrCUhTqJV75O70JDIhE6eNdvo2PPReB/VyNvR7Il5vcwqUwSMVk5nOt+7Vla9vGrOTlTp/BREWX6zaO+/c2+n+jBL2haxiD3MkLA5Wnmcr4/SJOAZidwihj0uZlkFL/ZNPDkweSLUmogdtJOswco9/bI1EkubTFqpdnqLXdLZegHASoUqexkKRBWw3a8u4oOReIy7Jarq8B1oBc2DqJ3cm0sVYG6VragaFYU7dNdKS3MtQYBdQM8ZVmpNq6vK8kt7C0fOXmSrFt9eycEuhQjNkQDey6POfSLMVXB8eNqrpTvAHpFGXSjf9S7N4Mtnk9iodOukefdBWqsq5iWrT4/r+68AnWrIJLwR5o9lJ2/H3FxfBCUbaaRXA78228pwhg+KUacNXfADgE0FKlMkiMJCiQiiIAWt24ZvLsvDURrAAhDpSWmc8/yb77zAglLRwHbqoGaDA+xcsmexJudbBfsbPt2TUzprRkZ3IxIKSUwNH0SYNw681cg0MIGKMliVDXlBb0yeXB7MoZwl7MD1Q5mw/jmBYYGVUFG/jdbYXFQE+jZltpANXEqlbagFo5YT5eRXnICyDeERrAl+fTdYEmGCB38NvV2xCMumW2AHAE0FKy05joQVuHpvyS0cl4wINalysUAxR4TRGJzI9jIIQJZAYeKf7/x7xkMZ9RvEWMWUDFNSS5x0cIsdNCXfAT0Z2h8zD+goUGHEEtdkDv4cnZ2/B4/rfY1x1bw5FofILbqYh4gyEQ5X1U6r9sr52sQAFLEAUob1LqmsiUlMBJgrx1w3Oas4TVyAKCsuW6rfNPuVWiolWd9lwJVAXU9dr2Y5SZfIx42HyZNl/MrUJYMqu/16l7S1ZeaWDxZevuCzFgYQDgBSBStNKYhyZznW/iF9T0AVLOE6ml1bci31/PIwBPGD9O8Cc3ebhgJAp4Zn5wu6B2QLAXkMleioOSmHSeZLN5gMnbLkuS4veJ9nzjaKpUGhKYIyWm6T2PX/jEkpl0FasHrrrfyXd0pEx0uhnflrPh/+fEJ12Od9xWnHbzx1rMB+B0p9Hr38UNxTqvOPNvd1Swv1VQEbCyNgADUyw6/qYwAKHVYrRdKtHe9VvgIWAykudMDgAFEFKzOmiKsBCJAiZ3WE1bpg97xekjqW+JqppWgKtcM8ie7pDG7BUYlVFVU16GLybvbw42g5Zgb18lv2XmuBtmfkuoSKjDQUoQbBFJDxISSswTmOyHyhmOOYz+p38FANwoSuWCV5OEdcXmUHVisSlcHw1xzeTRzw9s32QyqgAgAAPN5JtFeSZgGYBIpHuKV2AAUiBwBRhSszLoSrFbc5F8XbVvfY4LaXdvLhF5nkGqVcHfzBdEM8g9WPoOvCcBagc/oVdR6UKiVVoimsV8mM7c/U6BTKXH5JEz6yeE/HoFys7oZX2y32VUJx7v1Z/nwxgtraoC5CoDtKIu5G961E7wuTKJd8pX3RvnOhm6LlJQAGOUUkQACWX8q+SF51FGKMBEJoSo7Sy8KzABb+kwcAUYUrNBmOg4Cg2EgjW8Vazq1g8al9Qtvg1wtxgBqh0NGhvg6oe4KVJEHEK+6TfN8CQghX0zrULHCDAwHDzJo5SeTraEtcef7+bVMjOyKdnIVc3NpIDQHanNZ/FFBoKa/mktC64y2kzjM5ouD3NbrizSwUBAgrBlU/ghJNwILBesu8pOhMNqwAXRWdywAAoFQDb6Pyl9eAWEmvKMLxLJBcBwBSBStDKcSGYSiFbvrY9khwM28r4jdNOF9Id9AZLT/XnGRYi/qPZRZ//csI+Czi/xqLwC3MAqDmCSwMgN6nw3a13H46D7ch0Y3+nhZmEmdWHlGD9GrJW3tzxjiKa4SDR9uynhSQjRCyOC9p+6Q85pZASgrjnu5MghZH0xlved3LMXMABDSixIgAG2C/Ws5tdyqePuwV4cKTvGM7oPBl39vrkqAdstwcAFCFKzQZjQFDwFhEEVvDd24cRArTRqJ48l3OIMgRQmuyKJudiKy7/YXV+ohUCneI6uaGmyvTluhqO4bEPOYHBFCWQOw458XOazYys2c7Ul0m0OAUHm8xVZKIpOq0QyjPZuvGqNfHF8B5zxIr2TStfuo7oBIcQMEW+2wCEGcGV1dl5i9q/3OACyKSYAAgILfZ7PzaNKU690ka8OXMRoyrfDFXiBWgDgBTBSs8MQsBQaiM4CETmyQ83oA4JdDhbhoAVNVj6iEukhlweQOTdr6QJ3CJNPJpgQDLhA231Jvh120l93fIXPG6B46yFkuJLIQZqOnbPhK52VhVqbomnEaShqBnB+X/r3+2rLQxCabb4GACPJ3Uk0T8vEa3LfYteyUb0I36t1qMkOMurVSosliMbACuecUkAAHA0+RULVJYbznCmD7/j1fl8TA2uf9NIDgAUwUrO0KEw0EASCYkGJDnd9OI0HAWQhfVtJylrfX0f8gkcD3/aPZGU5IgMFhxjkalbCvrEVmt0nSprv+2Hr75A8BEEiKVC1YCuagb+ONmh3dAY0OpnpNEjgCgTDqUN9Tqjs0aVpgrg7I+UUt41eckbYi9Uc/n/9oWcxnoWWopsquy+QSHvTMcii1qgUhjYFxiLCMnWVB9tgGJjeZVLGRZ+/DY7WM9AVAq8nkOyUA5WIAAVFveUPzNwm+F1zg8IJWAra4JVYQcAFQFKyMihMVBsGhwRioIyJhfslxoDFG9Jq9TUvG7sBlHq1oiKTHT1cn3bZqcvIs1FMzEEIRqBq/atG6HgfqxkM5VurkACaM03hRX6eios9GFE5XpXWhXjbQPtcp5InEWuuvG10syVfYVVTnU1XP6cp7ARUV4TgwceAICcvXo5VF+NMmTBSbgDML66DCOOLTWrGOEKVmCempSDG3t6RjJMsNQqfHAaWK8XsAgZXApVC1pnPqtms6Sg6IqhtV8dzRyyu6gsufi7HmN05LnVENT9ZyzXOqf157GfL5h2AxtpxEqBgcMX5HQF0oB2OnUppvx/w88uUcbJQHAUgUrSj2GJUCIUCJkOk0G610VyVsbXerkSuFgFDzGvqW130k/JCiZsZLauyY16HyzjfdV4zmIbyaLT2l9y00Z5V1ZWH1IqmPuRBUWFZ7O+57cegMCvb2jTNNc9uGGon8KBd2AmZod+vwIru0I08VLI7sEbbemrf/CaCrWAxu8H4RYYoNEEdfEr8bGOEgM+SKaX5NqxmDPCmEGIAZjIrofIpA6WA4AVAUqNCEMwUQRhM1L0viFmAhyzWJqBpFiIfzlNUpLgWqco3dowrRZcSERAHzFps5GdJE0KcHZDH3V2uLh2qNQl/SILzj7pZIJ5ZMnf6yr6BQuxMAmGPKihtQk0pcLiwTRXz1E3m7tK4UKNXLbeJfWe3PqaA0OTLgLmAEOPpzZmnw0eBXp7rPsVGABMTrj0JUFcDJ4cRlAAphIqAF6AcBShStyEsTDQwpAQhCX8JUugNd2Fi9EXnQNUetDnBed8lwxwZ4IBF1B4v9UcPfmoH+7LYgr/OxnieO3P524t5/FxJoUIhPGhDf3fcJu18ZAIAdGDfh8L7f5LTNBVnRVUpwASDO3qTf37LsrqyxN67ADFpn+7Dcoe6FWEzBeqI5mloWrxKOWbnzUNLoYO1oeTXQJCG7Jnhaf8PJKrwo0FsLG80q+Gosp+lPtH+PGa5YCEQcAUoUrPTYGI2CQhUAnajg84cNTTwkuLpfVppmQALlsRvwpe3MvHuxv0tBgyGLuzTAz/zfG9jy8q/ZZDRMU3TX9XGu6YglcAK6aRGFBow4mSBlhdff5daOV+T4XUbH0URfdLaSF6kpxb4zs1+BmdZax06tMP7+q5T13tovwoTXPgjF3zxci1ld9j3XTPHs/azwAckZQHlW1IZds448kEQjMRj+/q0p4nHNDZw44O+h9KUdbXzwjqFZUQ1uAUgUqYxYCxTWQwI3Te+5rSrvrQUx51eXq/JqsEQHRFfM31L5kaVqFY1NVoVaA1dJzBsJWMODWoKCoGgmC8lQZ7UWgHWcGCvnxOhprGcwAQvfPyU6uF12U0X8bMFEQC9/N59mBteD+T+3+/8nSl9bJuMvb1xYqTIKgAT45grLWtLIABCY7QzW8G//oSC9yQgBafnwAU4UoYhhFA1MLAPmx5t1GPN8y+lpOoQ51Zcqdo4HjnWFTd+Jn2rPZT+Fr7qP1J3tM0hujrK7HGUHt9fxn9uTj7xY2bBNXjvCilFMXewj1T1Ce+2moIWJo0VYqADKajUKVheAIo0zHaTekIXvcM9leiIiZCIqwCgALgmzemN9HQBKM3bbztD77eefuj21I5MMAAzA1oteimYA4AFEFKmMZBsIzkMRkMRKHeZNNXxwZrV7Xppc8m2dHOhFkrqvNrTrF+pZg6bJVoJzx1bImSSXajcq0uQx0M17ANLCAmcj4V91e6uow7dkFXRwKHZvLp4dehAoOhOVFCN91bixSbH2fx/awS598spbiNObHjnXp+vD/7Xf7aVrAFoz/gEEoptrhcWasdnv6e8PqUiFP6Z9HzTiAPs8cyDIPuUS5pKZe2x3B1LbABcDgAE8FKmMZQsRBKEhGVBCZhtMqpn040x5bNODjUTmNYB3fqRajVcuZOCnNVZWLI8RvU1IUEbibJQSoqbhQCc5nERZEd6W7cNAX+pvQxWBUVInKh9c+2KB1R5O0IYJESVll7KQV8KS13fV2CgW1m5SnbpMlrPD1v9lhCAjfUliKJqgdSEJ11WrhZOwdoy5jRXFfioppkar+WQpNat0ZhwMn7/x6YI8uSDkgQjiKAcBQhShrGITCUwBIhnSMnhNJ5OMnA3OGj8FYjngFob9v2R+ZRLqJGrNkXvnboTYzCNnuLXXmPXagyktMAMWdTKBY1NVfQOuixF8zXHRR17X3dt7KjnbTdeOs9MBBEsbjp4fZ99WqGgSSxnWYpIg1WtxcXDepAcH7mujwH/P0aYqzk/y9nsI+6mo+llA+aW/snbOZTiV1BZqlTi4uAlFvqrAF+wpmpCcOHKBwAAAAgBtb29mAAAAEG1maGQAAAAAAAAABAAAAeh0cmFmAAAAHHRmaGQAAAARAAAAAQAAAAAAAQrdAAAAxAAAAMx0cnVuAAACAQAAAC4AAAAAAAAAxAAAAJ0AAACfAAAApgAAAKEAAACqAAAAogAAAJkAAACjAAAApgAAAMUAAACzAAAAowAAAKcAAACdAAAA8gAAALwAAACuAAAAqwAAAMcAAACcAAAAkQAAAKMAAAChAAAArQAAAKUAAACnAAAApQAAALEAAADCAAAAuQAAAKIAAACfAAAApQAAAJgAAAC9AAAAqAAAAKcAAAC7AAAAugAAAN8AAADPAAAAmwAAAKUAAACTAAAAnAAAAMx0cnVuAAACAQAAAC4AAB75AAAAnQAAAJsAAACeAAAAmwAAAKYAAAChAAAAowAAAKAAAACcAAAAnAAAAKQAAACgAAAAnQAAAKAAAACuAAAAsgAAAJ4AAACsAAAArgAAAKEAAACpAAAApwAAAKcAAACgAAAApQAAAKAAAACcAAAAwQAAAPgAAACwAAAAlQAAAKYAAAClAAAAxAAAALMAAACUAAAAmgAAAKEAAACnAAAApgAAAKkAAADHAAAA+AAAAKUAAACeAAAAsgAAACx0cnVuAAACAQAAAAYAAD1XAAAAugAAAJMAAACaAAAArgAAAKwAAACqAAAAAW1kYXQAAAAAAABAeQE+FKmsSAsYzkJAiJBCNVOTLTo+G+lso1o1rg2uqADb7PkDLj3OfcgqNNkQe34Py8ikQPikEWOVG4eJeGKZkfOe1M1eDhDGO3yO0hY6RhG6SzgACoAD0rES7d1uvVuzxormmkUhJBBqnTP3PidNgWyW6NTU5FkugZP+Qc8CumACqwVF21FVSwrcfnQ8eZZR/XevPkkMtOhIFv/jmTkK6qmZilmIHf3Pm31jVMkl0dSAOAFEFKkMmhIKBMJBME0IIRnuTGXxceeEiMcL1mr6CqxoIafzty9Agy4lgHJg7AYwOg6Bv03SbdgilJkYIFaGF5HUFKkASM8dTvWmAHWIjHe3TTqdAbd5XTRiigcnatzi92bKBGDAZQeV9uNWzf283d6/D1akFIzUTE7LOzpZLNr/csAtYAAtKsq1b/IrpbM9AWtHs9HEpVl6t2SbYcfK6dw/P7Z9H6WyncIpM41b5m1wAAgDgAFEFKmMcRMQhMETEURPEzNepenU6TQMXw4W6a1yw0AjOuC+nlg3Yi0TQUY+U7LRbohkouCu9EG4P2huXMzM4CgGe+sXDDnNR4/PTlIXXAqXbOFebzYBRFmOrHxo8YUBQVCAOHmczSl5wEAn5t3vCxmbImME7+Th+XSatKQAAB20QZM8jZMBTE3no6HhwJgCUqWtrF+d/4MxAZ22Ff+XtP/7hIwBGabmBwFMFKmoSBMUxIIzIEzA8Rdzhn3S9mJHsXfB13iQEalsLr/oK2TRwUeHl4XnpaC529RPJyJx1RJmrxSYukb06Kz7dzoUKdn/bH9SmBIKCuBKJJcECk1PgdLOy4JW8/t1/y1r2CDDweX4QDinrFyKsgVEAp9Ycz6+eNp8hYAAVq4+7FaUkagAcPa3o0JYBAnLX5mz9W2tGFpWpCurcEiALNgAOAFKFKzwdRwRhmogqESsKE01Zdq1AdKvyTp4gAH/Ii+JnOeDge9zLeSDjYoL4aIBhhJSiHZxtn7FxNIxDalDkpzvT55kmNZ7DOlMmOtNaU0LCqJ1KB3QGYHGwFHPQvm0TkzNgPK6LcAr0jrKbWPEXt9vuvjnBK4AKqL4cXZcezHjQjbcgAAuGWD5yjjeCzUTcdPe9tHXwxqU7wXEwHEx8O1QBwFKFKnENhIYQoMzMEQgIROXNx1xoUgcab41bSWuOeMCGBnIuyjwzj1C1OwDoFwgUFCBSjiSUmlmoMay2WMjq9lM+nMZatiInL+dWJwxAoyJ+xRPeULuvqTkh8XlBfNDFnAm74Kgb2Nmi9Ned6kd/C7X/eK8yTYLe8LdppNEAvHh/qo9yK3r5bgKgZodRyJRiBQim1j3ilU2mP/8IxjEjbJan+vd/OsoA4ABUhSpzGITCIwkUYkN6k048hh0i7TyWGmAEQmsn3IDyINaVG1oEk5iLQUDGiIFIfrp6slNDnLrrw7D2mRoDEAsEy9cy4+bjoI0NDh8CdL0L2QgkI116jVFmaYABpDwH51Gb+XK0jmzV8//7yR6DxzmM+jNwzd+a5QGZcDvD53g4fhjsBKE81oRxWrtSoqu7NQWFoqKzX3RmqjMKZBi9UKgpONaC0vHlefLABwBUBSg5DorEQxFEhEEYy/hl37Euxnlk0k0FhuWHfpxUNHN1Z0I3CvqlPNqahIFiZ9LeQD3g6saarmVxlwgjlO9Zu71VU+ATTwUWy0TChWpxP7U7mBV2PNJX3zRc/oTkuHoEekLBVjKaVwRvZh6U7s7Bn/JpFQN4S+ygVN9vdebRqqLqqHT28s3JOy1DBMKFOXmMqX8rrFIkVQxCE+WKBYBWF3LxxBwAUgUqOxyGwUSTkpetGos4WLS4akAAI1bUW9JLzZdiijWjCbVBIFJ3McyfxEPL29ntOWjPPJXO7hXjox2ETTPg9yQKSIgQLBa70q2qqI/OF3zHdiBJr2gsBtCkRCqICWDwPVInSyq+U70HsKfRhLI9DimHdS4fW2xqFRloDwOF1dLAg84TnXLLBKc6MGvoD/OkBVoALfAMQqXyMFkb5ov548HtJ+xsAAcAUAUrFDGQSRU4UkvXBSXBC4vNNAmICi4eXX5MibWP8pEuke5JLQM/KQiUpbLHhljbSsM8VqWETpcAvNag4JB9qX3uwXIN7I6vAPbcaESue+Rdblzvl3jt85GNf7ebfPRJ4KfsORrQKTBtjtKEVpUsiB3eolXKEHtN+/FemBOKUtk09cVOq0ulsghdXT2Qnrr9bq1W1C9Ktd9neO3vjonGtwcAUJUqK0EQIyOInlLaNULaGgstJAxlhEC4qq3T8MbxKz6nRuumVKn3uNYfebso7tU3GJ8GUiC4FsrJNpSPgFwIM7i6wZthsRYrH/9m7kgoEJsxAKWS2W76shimJdVhaJWB8vngIea7ds1mRO5GWWKJWBh5i5JyR00XG8p/mgAvHbC9Q1aklXVjRzNjnqgFxKV4fN/4aUDTGW6DxoRaZ46oD+AHAEomfoLJISEkRNJujL4ly+kjx60SOPrBAc/qI4LJn9O/iFAL1MavKkhqFAXvcLafrqSvEah2FkLgq6GlalIAv5z41GOZRaKb2cDyKvuVR6sc2gbsEWA2yfLH13N2uEUXRepNVzs6LoJrjuo4yrYeukiCcUKQDkw5iDVNOeKRzx5VmuZMVJV1nih/J3rJA2voNzRQBUBYAAazIw5W0b4mcpLMmQzsroG7GbTuUVonnwQ6hNPvuBwARyY/rlmJgskJJSLYmWiuku2//EqSXft15Cy2DpfI6ns202KsF2j0b8HNHnNrjx7lMhLBLs2DLQId3WNfWQW2FgiWD3WjIRKtUddofiVIzhlBTtv757v3RHK5AKxbV2UPmRY9Lpd5E1Ec22M4PdURb9cV7VwrdOq9RUke/d9GeK8WqZ2VBGEn8biBim2wfufQ5ECdj4SVk+PWfgk30uoQAAUQ0GLxADkETEqke5lnkQHTnWwm3PHKgdfA8KByonUjdwOAUbUoVQ0KwkSLHVqRmMrvRq9LURpxd2N20IJyg25cW3rJQn9SyGE1KYmkocL80agYa7ZzHBWzevEXWokTUNkl1TE+D4rspfiRAUZpxaoMxUdG7QcJl0Hz00UVdvHcLTThWtew7H68lJYFgxGbk2wcwDWVHVgC3uVX5WJQBJWmkEtVUtXa710W7CZ8Nnu36PDiuACpIBkO3ruDgE8FKywlEMJCiwq14m2QM4au9uC76Q0qwDx13Q4XWm+A+U27e+X//jzy1S0RImYsfZ4ELSPJbyikY5o6Y70ED/qoa201xkYKpn3K0SF6qeelkGas+tsHJ3d6mnwhZsnOy2EbkOVvwo8dCogoIKVRWqysVk4jHDj4jIlijCD7YaiYKReF9PSFkVXbhpjffA5sdYfaOw6QAGPp7/fD+HojshgrT/h++gHAUQUrNC2IREIbBtUal4UtbVuEXpqGs0ZAYqE1MpCtx3cOR/B+UUcTMPEcsKkQgo6Wgk+JxWVjN3qqzjUCVqcmMeO/5FRIwQiQSToaJUISXd/BMoyTNilXFaPnTBMeUgE4+z+oXXsULtbuAGsQXk/bl6+gLKapopwBp6QDd+HPA30odkAANacdv8bp5dgC0LJ69jSTXrNz97wW2FCoshcDgFGFKyOWhMShwNCMM2t4aX7cN42EX01Fa04NFIAjV3I+r5+MU6hBq3/UeZjlLINIkxOey3dooT3u3wrOZNyk+6hso0orr9oNrBCUIXCYOtoVwijwxS1KQdi63xBNhfwOX9mcYBwQFPcYTI7+zRl1CYlC3uFy39GL12xUpEgA6RSfxEnq8i8kdHTrkABuvMPFeZ70MQAA61Dla3TtSoT65Q5cCoTHB0IqT2WpNxoQqDgAUoUrOyKGwxEgxCgTaMt04gHyLdOJnF9Lt0YAAn054zxMrDk8bak0KuPx7E6WgTBeTTyV7SIYWiO1dpGMjS9grS6uSxGJmYUJ2hYa1DYdmmajtuvKAZNS2rvo5ODp6ea80XIQgbKFMfyARBZiTF9kb0c/Tzul69wAM3AX70KgAGbkRSnkophYozxNNTrfTuk6iog4K0KQmyYYJQNoDgBTBSsrJg4CQjBMxGEJTS3wWPWzJ56jU04jywAA3rq7ojnE3NSa4NLfmS5G1C5lTTdNJ2qOMUiCyGSecYgq32XcxIoTogGEUNCFl+FAxMfUjrSITDwjxoOurmatkJ+8ChqsxONi9t9lxUBYiMllCYynyeT2wWnp7AADvopXgAAITWX1z/q6QPW0HyYhlCB8B+pawAe550J7EyeF+zEC1jbLEHAAUYUrQx4ExBEwSGozWzL0u+kmZmVsPbzLidI1YwAI/Qmd7/7KObUuFzRyLbNiDZXSlkgVY09pHd1OspQ5HK2kTN4X2evAzvVNFbrMBOrJgF0gMxBYAQ0z9vaCR7ojmErecvoAJac83vjM5yhGYsLrKAFE1nV3mLAAT78cC3gzATC6B2u5jXO2IQNPe15Xaauhwxivq3466MSAsXuWIyA4AFEFKisugsUjqUjGFznEt1pdGAnkvRppV3WWAFQ90eP3rWjylSu8cU4cpa5QpDHty6RKNTdjYv1ytUKpJJubYq7EJhrdiB1ByET68aIGADgbE5OJZ8TOqsdVo9/ftxCI/A3aJfcLd+OCAHUlF6tM0nUpUIAJKsFUEWD1LFTrhCqohCiAFhEtu4dvpC011rAYBw9jmMAB9gAeFGEpb67gj1P9zK/k3ah9KoDgAFIVKzsmAkJhkcSENAiQOjq1o2pPKy0knDfmjADjk3rliig6bezNVLcOQTldyLvLvf59u+TfJJpzw08FF3AqiNkGPmEJndLJ1n3qciS7JbcCrkNINxD3tGMyueZaeaCJYTVZAA4/9yh3FCk1yjeytxHYgBW+qXb3RwwXz/11XncJFL3Y/rClUP6K562HVZywBwXvC0lpsKiN+iNaTc5aeLxR8neX7bF5o/s1gcBNJn2yzWHKbN88yZ9Xpeuf+31h5nxHRBz6wEAARlh+YONn6orcYnd+Rpk8DhBlioqM3UQExdmKVaZbXMynFlNu/IhOMChcwPT2xvAvuuc/HUAKi6peNwlvbZKoO+JMGuN75d+qC0Mmla9F9iGSgDtuyKKyGiZ9e1/xEq9TXHWbHj6wABAAPbD+YmChjC9nGxjN+ZNMgh4ef3eBE4ssSMX/XwvjefKTZ1faNbSjFpMqmTFNocbn5XG7/rV5s71IkGCQcABStSssOoLEQhoErCR+Lh6iC3BehxE0gAFLWCl++Rbc3LgPlVoZHPDFdahprkRIZ4KDoVqmBnre8D6PNhz0bQXXUPWV6LTDMcaN8N6x7vo1iwvvhXTJaCYzc9smOchzlmMMsRF4or4RJd7swq7FqaobwjoXeUQ9OxfqR62xnkipknwR3bBhj2QtW15x7sVd5mgBisvLhn0qFZi8J6LBtXVv+2u+bysf04Q4c29t+8keyTxOafK0gOAAUoUqQxyEykEwTW3HC4nBvkD4Tozjql1wUkAJvySPnTHq/4NPaJzRgphgSMyg3gVgKz+QlZ47/en37cEymdzDlqXq3abIrlS0VSCJEwLN+qISiSrPgbGIkFnZ0qzl77d+XVxSJSnieIIVNXhqjURVbBh9XC83wseSlhI5wEzszzlPO6yRKo2qf7uNg4bgmg0NDV6OsvcAwaGSQpgyI1ZEMkHB1EYWBSWxqMGgXquuVybYHABSBSsiogbHgbDgTFQQkCrvWiJ2t2ajRriThpQAHI7ugNg5ZkTLvjuO/V3XxubGsU4FKliNr/t6XF60ivQQCWJpknca3pzHwzPv7EMqZMos3aHTd80hVoSEaWhGyuhqeMneqZ2Lj3vr/TMHAHHlQwYa5IhIQwp0995ljVSKlh5aSYuMtAzma2SvM8egz+BTpM93bBpx8EQomXT25VRUTGGyiHf3Jdk3S2FcAW5navqy6mIlMIMMop8XszCwGFlE1npVYhCaGKCui7KLqShHOUxmzVaFB7ghIkgqdl1+n1l28ROhmjp/Lklf8pRbaQ4bP2QBwFMFKyMmhIOAsUxMFCGNBiRFxrgtj34M7GOODXC70NWAYa2jZsH8RfByiqr4Pn1Lc+1ZrahQLZJpV9wHW1wRTnis1DW0tn62kCAHRaRgAhyFw3EwAsJEFlnLh3ktbZik6C4ekQpdrZYk3mFrLX6oGlQGmKxq3eYyBPbnx7bx6G6RFdm8j1+NzYCU5EiI9p0C5Wz4zPajg4zQAZdlrBHXuyo3d3bHn7ZQJs9M63ALe1zj3jsl2r+tWH065XBwAFCFKHISAsYjCoVxc4Ed4tvbeSSzWmnQsAsbzjS5nlHTORRilRQl1qIX0k0oYSQvIpnglf/Y31+7Jl2mvZxv6IQiqfNlI1sjtC4zVqSsgBycGFj1a6N45oLTI8SX0IKAKJ55TAERuWTpTyzRmqTYj83nAZ4o402p3j73Uc7yj5PXcC+PrvAApHnFbw0Bb34vZ+WCNoxAG7xIz5eImvXwsuCuEHAATYUqMxoIh1IKDEAhE3SdSGXp2q+RzL0W083pzqLlDsL2lBLkxZTpM7x7bxDVlPEoiMPEGKoCIiP5/h9s65giFqAfc/yj/wqJepoGB/krggMa23um/5YpPu+nBCmL7LwZzeKbklLTLFRuiq60F5eKuCUKwjeFPg2Q4XydgAJVWyl8YCXur2jTD37Dkas8j6VuMWjiuAX+pSNwcABLhSo7KgKFYKFFjkbPgMDxMNas4SebVbnQBc5r8BUIHZOGobC6jgTIhlrpurcZKWZjmCvDVdilLesSiL5YotH6uw/WPef9sZ3v+2LMRMx5bpaJ3Elv8aZQrZAEqecRZ3yHqJcW/Buz1drfDLFShj/dm0AXO83aW6PN52J4wkAYi7srC2S+yTJEWeuBKgb/hDZRxD18Nmv5ACYJrAcATgUoihWEgyIKisL6uIeDGzR1bWl3orcsHCo06KFQoaY103wjkXisgL9BsS24p2Ey+JDgeuVQc0md4tBaVV8awIN9C6KJGVrkqdtJj49ljBn4uPKJwsJEQswh3cAnVhXoi+YWglQO6zOQQIw0/otJlG/OSE22fzCjPKr2ocwTuDzarg5TUhei8etrcAR2zrL1f7rr19gAgAAoQA4AToUrQzUKJyIJC8ZfFtQ8Kwxbo1p0vozfGAzjj8BszpQgU/sJMBNlyWyfArgbB24OR7c5mbka55eVM+7Zrjn6r5u9vHxlS2EUYnDx9Of1u6mUYIiszVyeeBPQufGxuuaJJPYNUFHTUOLxroMLTxt/xCI+vP12re3rQu810I/bDuwZDsIONoAWqEOp0jHbmhcC5itNdIrD76D5kfAAAP0/j308qItDGvF94QBwAFAFKysuCnR63J11b4DfOKVjp5OOLXLswBrFm8/usMivoJo+57uEIHjEOXwDtXZbbMYr02PhjsDAfdhk9NC86AY3LGx8FO7lMMgoT2wIPhykQOl11AEeKk+n+I5aX4mUwkzRVvZrwiLLgCUojzecAlQSDLAtXDKrm0S7DR1pTNe/YbxOdlmkIp6kMUse3CAOAFGFKzsmCmgBGUiAExc4t7RiqztmGp9GvKeUACSciGY8ArLP47sj0VaHgKER6gkfbNz0hqCVjc2bhbznUVswZrO6eGFM9OMfHBROB9UIDCQFBahxAIADUpPqfeQwtGmhkkDLvP+v4QJO7BfIAABfAtKNcthVlNYKy1+a0KLWl7yODOhRxVKsohl4AFCFKzsaiMQSINRCQjCF3mfHB5gGe61fEdGtLy/Zu6AW0foHOX118NqOHyLGhWnCEx5JOcLZKj5eVSIdOICFKvJ6UI8R6N1/vpVpWHbSFINDTLSv3z8z34RgFrf99364HikCymvLqekVnZhbr3wAEjfNyGvd9PluwsJTVylirosAKSnFXLQAAj/4folUXq1za03KyYXHCQAZxunz7q1pLIAjkYcISvTO37oAcABShStMMUQBQgjUQoBv6PZStG8W66scdbWCAbCrbRUSNinRJzGCGGo4uIYAZ+ORQvExmaRdTSuc1mpRCd5b4TOUuqaqlQsj9msJJEdQhoqCw2TgElOKlIttiuzf3FUFvJVsmQJqWTiUTUOxEjp0nH32/YBNBUnn1b4dq7BDjLxSEPB1EAKdLZF2aLTCvVJPEBzaZ8dFnPJSq4zPUtz6cfhmtg04ZWTBwFIFKks1BENCGMiAFAiFW06a0vjItWb6dXa9Ona7DYBZ+/PXrUFZ7pcBpippoRawp8JH3LZvybMrnhaSRToBmYw9Nfe6pZG3REik4E4G1FhJ1lwZgADA8ZBZNf2R3H1qEi1KAbxOKoa7vOhZB5UZqqEU3wdTfkYs4Myg6SgqJQKpKS8fttpp+7WIAmbajHt4vuOdKeaatzpg7faXx5Zgh18/MxxXgQuSSkVpEygHAFMFKzs5DGchiFBCEZ5tST2JdWHs0DhvVszpgCv4+kvgantJhVFBVTx8ZWVByCTCVTK5BzAipAwZkEGYLLSAEv/dLllrnOUHFkGH9uYfY9uhLp8HisArF69ChYAoMF0WAqtjVJJ5KzNHicG7W0x0dGRYUujnsKfgPi/sre109YAvUXgxfYU5zHkKL/UshO6+k7iRIBE1AJmNLcJSacKQ3W+I/wZgcABShSpbFgiiQcBYZCQIpGOkcadGjuTPhLaLc9AgReb6XquO97qPO1bKkkDScQ0DBq2VgMv4Cso0mrTdBygKkNkqhSbrlkRKey5CNXfQCmVIitlKQ58PfyaB9u/Xxqbm3w8DUGIsTZv/wlxlwae+W8gREOV9zoYQcEw5vcx2Pb5ZuGWUwb0QwQDgCJV+69492Ff/HeoBDqpMdzJoxqfyIX0J1wKZ7XghfDOVWn8JyvlruhXnxlnsv85Vk1ahAU9v65CPCm4DgFGFKywywsNCsJSih3jzCTrizrHzOjg4ycL263pAB5voLf0GE0xJOACdnRss9GYopcQ278HsPt6j/zMbpaCTG1HFq6uhMWhq8+YW3WoxoQ4MPufyRwVtZlPL46CU0ByVbvyjvWeEOkipJWRROWu3KyrNEVJPc1UXU6Yi+cxBBIFkabhJHnvcZQWFXSZElXWccZlc0AILdUVvriLZLgnTMCwBD8MCejgHUL3Y2JOq5KblOYyS1rz90NWCwDgAVRUqaxxEhjGghQ4rD2GrHlt0mrCa0C8ihFUclWZ7V/Ldl+pYLgGwYoAIKIIoxoq2tZliNqTRRdohjO7uzeA6uvwIke/w3SU426r5ndgbMkztW+ZaJZjzlGIahjzkoMEhJ44RzuxJSR2xobZchBGv7rw9mEAIYaJCj2ijPvbJd++9npvQ5VEduqBEkmq+H+tcEOSdfyhHtkvOSgVj+9WeBSZDwT7FAOAAT6Z9osbToihImSIGizHIVL6+pa+mn/0lx9a41ryHYpXpLhUFUnO9RdEcWnrilpXRokLBaOtI6Ac8X6/6glXMkKoeSFqa78CTOLdE4s6nPH/t4uComBdrm8oVjwvAxl16VJKMJWLWcVdh0NeAlPUVKZ5tidZJhqEwAmxxpbRjON1XBe0aaH2PcreDMVnOSVpGJsN2ujT8VaqhL9JSY/rHeXnZclTJoXYXWbjSGnOTp8WEDwJLU8N8ga6+AOAAVTUrNSEHAWKZEEZSIIzVpdxcqsYl9Xo8rhZ1ggGiX9ubBwzkn7BzTUCakRbAucJMGvVODAicNU5aFYvD51+X2BJYQpfzQXmJBuiALsz59ZznrSnV4zbkofo1z4h24zuhuDCEHT7fZ2f4eIDs5Rllva9pytxP7HxyvgB8m/5mIOEADuFek9VaPANmu5+8/9dvsfMtKm55MIAAG3H0mXL51H+gQrqZKnKeTaZA7buo7qgG9CTyHfFu/55c4HAAVgUqPBmOZUIZ0CJEmRc4cbHt3GtTVvhRxiXbvUCITRwWi1Z3XoH2rorkVkZESwiOwhFW/Lgh7UCLzIJkAHUPhDqMmvfgnapw5nn15DBdCyx4LHNdF+Z+lfndnEAXynVFXxR1LkXk5WZ5bX1XzLnYDZFddQBapeKvaf+37evZVWx0piAAkg5sF9ekq8d9fbiT8KZBksgwAYgRIaL31wtpA4BUhSg7NQhHMQoIy70jPpCnlbqS0ubu1ADup3/zoMafg6W0zVUZpJMCkMDizFJT1S+C7K1imZAF727bAvleFQAYHDw8zMb1hThi3eopWOfkTVgmeAjf3mfaB1MQfKbv9K9zE5bM2p104KYWuAKC6xPJZX5qcO99pdX8DlQtgFIVd9O7jllzrZ+FjvHJwsd7k9PRk4adK+yDAIOlcmXBi9/i8NwcAFMFKis1HEgQiN/iTRkl4cOBd1NXiwAi3aTYP6c4CGrwp24ylsC16+mH8YU2Wrx6hdjQWIDRLFoNHasL9np4pPyXh3HMZCKer3AUv+QcAGRJct3jFlgPGdnYxD3jqJObco2iujqVLxtGQtD+WI8fqYr/h+v7B8/3ygAh6CiMYDsw/+NyhjEgp1ADCUL6YVdIMxAPikWGPd5qqIHZLtjXU95vG9u473lgaPq+3ZbdUtYxN5d3ZVJmBwBTBSpzLQbCMqCEj42dcJCAOCqaq0lrPHUBGp8HvpkraWTUhu7FYqDUsAEIIo5cAKqKSPASwnIUNbq+qlzGGsfarWxLvxVTO5hfvvc4Pv8bWC6x1YZpOoUhQui9ZI9Nx59RCKHcZDC3SPa7Ry/zkIjtsRZJE2ISwYE7LoF2stmlnkIDQSUEBssojDLm+VlObXHG4ujbqKABlvuHV8nA2ZzKLfKgriwaU7L2goAvKvSzIlCn6wx+jw5YA4BQBShLKQxFFaOlzgd5wQ0HCySaAA78nt0N0n8UkngVE5eGunP1WOyurfmdF8i7IC+y3t16CRCfHrQUNjxmF3cpHpJcqsEMrnsMBQ0kFW7E1luR2mianYeltncZ3I/5v+Npwj48UgJJodsWSl3IJZQAuL6LQ5+ukpVFdAwKXrW0v0m4xrCF9f7pTyxizRtFotG5qjzphj78aEMIOABOBShyLIwjIYkWg06bGcaWJEkliGAKL8P6NGnk6mqfr5LllFlh3xqQPcvIwW44jmijlCV67sEyPnZwLrc3ty7gIm+eF/P7A0OgvOTyVXNPTGp7vcIwWjJh+VqeVgvhFzT+F6nqGOCAUZ8GEkD+oeN5MTNfNqPvMY4lVgnMms2UbMfmuxxlXen/9nJWdFuezSRz0g0o4OVNv4k4ziuBwE0FKEsiyUhgmQiCMVHTRgNdJvUQiRAxYchx8iKqlEKDWJUCoGe/bzC3e1l57es9clizMlmkVUUu74WGttt+M1s+t33539z4m3KYyLsveGdBEBjuwnP/N/ceY81q6hyjrF0eCboM44DzyqZP0ezeeC5h+Y3jA/9/I/AZZxe3sFDOtyCyQWcHlce/qwEHUhOMIycJbs5+WwMG5+xhtOOfedApA0ZNcDZ7G3bz6pooDCdnkPauoeiUlNXf5dgZGvZmogCb90/QOFkfmIaYRGx2GrGE62ljCcIR5PcNeHf4bySwLmsWqm8iR1XAyE6zQop2wXwcF/FjuDgATIUq6wUExkEYSEiLVMY2KnVlzV8QMFym4gASFdZV2s6bIWl1T39a4xoC0cdgQ5gGD2ykEsMwMwJWRka/8RcIEKwSs5xuJ8pw4NjzHisN2lVm+/SnxnQdw02MX8u+v4zPwOeaB1TSi9GaAwsTdXLbLEEqLEhdYTMPeb99c4I6Uh9rELNPqmx2Sy43EsN3eldE3uRc+PNT0rG3w1ntc7T6xW61AY/YxNBfqpE2fHxs356h3qTv1qVQQfgpm9YObPf+Pg3fs+jZJU88pd3rFFnYqCBH+W07/51MmMjZlRC7N2RybLELr8NyC0UiTuZCtnM0qFrIk04lsK+BWfDTbgrRTctDKGiuMK67rh2S0VlAb6c51RhMEZ34RijmTxrrVE8RStJL5fQxg4BLBSg5Cg9DgzEEiEEinejbRt2U2hdlyfTV0QEEXb+TNVnXH0epm9nPGmcBD6KxDQSgDfL1FZfrqNdejbC+c6xLNO6HqdDXZ+OjzMKzizlpJZOYpK2pzJrQJ4zFEgQbQTEikNRV4gdEL1B+YdpiMDRrefmhn10rNM4rLUTtlnyagZqsMaqlu58ZSa+nVVNWKd2BuKxxrnP7YreS2sAPR79l+IK20fDrHSBmg7vgHHZUHPN2ClBlta6t3iYmt6bXnf8jVz6GTQr7m/ZH36+eTxh7t9LN6YOASwUqaxyEwkMJkCJB2ED8yOTOha5w6a4QsEjuxTHlvJX9iffC6RXUgKEtQVNVpgEXp2/6bze9/SyAVeOu7zENYEtPXdwpS1rloaR18KCEHkynEmRSFSt3NBNcUrw4ObhRyFmUFNP/hoHV4vCMpUelZxVA+aqtgVWZMstEnyU4BiAAAFCtOPrtjw4wpTpflFkzKNiX/OMn3g3lyoH2IgOASgUrFTEaRBGQxI7zNuAeAql8OddJxeperUQMiXW8mcHn3dVfwGW8r4fxU7u/X+Md8tPa8XW8BGThGDsdbjzLRoaqN2UyOXnGUmYqpfhdoO07baGEz11gAKVz8JgP7yTHhQa1wpNlPIyIZHEwIpgS3CfwNozEycWF1oMsBg3rx34L9s4G5CqSw5yrhok3YoWU9WDL1r0HzHfzclryjEStyWRmRXStCur59kQOAFAFK3EJhoUxIMQoEQgISANy2vvzY2XERmnlrhb2ywCSyAkXt5PzM69/qGf/Bvqvp9Jfb+o9+7L1RV/GDBsS/d4OmELa0piKLAUyB4FDbxqhc1MHn66Hw1GpygSG7C1jVLskLh/m/FPjXSuCa3vQ0DLKTZWmrr5o8Im7qH75iRylViFzoT5ujvrgwJRZ5XSW1as2YWEIw++q79fjHbm/xocAUwUoYxiEwyIogCQhEhAEIXasYeYdZ1OZ0W8l66HllFyqwAkOOS7DHQ3KrtSbKG5Dq2uGIFFkVnI7LMqizHBAdSTAoA5yrvSXh/WBIdW/QmlIMZ1G/MUZQQDz35YsE0EIzK0+MBhrXiO1gDRdPV18+fhhwjZouYq7YSuYHicZHff3UZcpEffUUgAFjtHQ97yjBwYGe7VTPkM6xtIieZ8hmSa0RmQBwFKFKzwVBwNigFCAISqMBCEw7bl3HDrZ0x8LfhLTtwAU+KlvrIejFaIqLmVHrs7l7Jq8jfFsUdcMg6CNWjNracIoBKehjWGgnV5gnYACUxw9SM9byeF34xY5LjS4byIQcitMhsWoRXcVCiDQbiPbBexHXoPSRfHRHx6vvoivk8dCAVpTPdOAl2CC22Y7329msOFdsohdKCwkgMlQOABSBSpbGgKCgRiQgCMqCEhtXpkanl0pOHJ8Tp9FmzVBDZ47Z1rxvI9MglOqSq2mVbhPEYpm9VWZQfVbSyK8ikaMeWGDdlV0tCNLAGE5dEJDTw1DnS9TUSlvhTI9r9hAUnMUq6NjuOEr1akDLlZvn3L95EYu6twrGG592grSydyWSunei2StjNI9r2WoPr2s/zP74P0KIpYvkqrK8QAhoJ24AHAAUoUqWpaEomEYkIAjWbHgOmr6YvXNPi7n3ZdubzUEXr1CXpjryaNJFlwIpXMgeUr2B8FKoXP/V5lyvdcGmFrsE9ElXW6tjS8btdLbKGlsVxh8PN2+QcGDj997wBTTDulFnYh40j1hz0pLw5Hrfh+eHLc7HAobHFLtPvXucWo2a3AkgFbQva60rpIT/rv/r8rJ2mpCcQvnr1gAkgqjnjrgcABTBSpjCIUCQcCAKFARqNo3g61axxh7RfXTUcytBFgcsqFKLzzh7H32nzQD19w5lo2SsZmnpKeSWDdGqfo6hSKaWjHiD7TNnIFajYooUIDUyKyp2zqLzwTkNIDAZzlDTlxajYeP9GcWzbdow1Q4uLRO6K2N7XeEOx0IcxTlXWTL5oJsrIxOA0G403VYMH4CnlOZpb1WMoWlJwACjLGk8lQDgFMFKmMIhQJBsIxoIBGVgiVjaZR0r2LOA4XX6p0dq4CIH6Qnk0cKelXvfb/7J/A6yUAEfLmDoY5SK0sdBXVFyTlWVQpUM7IDEGEavLYa58s1Tp83/cb8uyImWa2mQ/3KhrV7am3GmiQhvgfkdd6T2HqSVB3fIBz9BNGqnrEpdiYoxnG27nzpbVVuo5wChwcPS83d4d3XbhxYuwFZqYQBelMV+MNNvOBwAFOFKjwZikNhKFCmww2jrHUuI10Ls4dZHDeXeBFNmavG0+Tq9ngM32DYuhNKnBgE6ayFlZKurgvwZ3EwOli3EuB1m3bTBBrxhI3b7sFinMy04xgRnuqn+nOMgO4pK9yG4FLRJSP8LbPF3KEUNE2SPbStihnQdNoBgjgD6LrazjtqydfAiADHKGxI4ed11tbd9tLndr1VtUAAtFa+r1jectGHMAOAUYUoG00QYxQ52DzGfC1uoyeSzSNKMWHSfaweVER64/NWuSF+enFb5v0kpSY3fbtr20CrMCTHXUuvESc6SfySCygoRUhoAMk2tMNRAwItOjFpkdEDXdr0MqMbD1Z21KZQsgvYjeKm/moKNv1rQWQFZrE4VOrCyAkhwqddo+pVevqQ4CJs/jtzRr6b5T2Q3RpWveEZLEkff7XL8cdWXuN4WToVP76Zg4BSBSocKQtDY6CMomULS0yNVH1G3WqJ5FjCBAfloPqMIt8JkprPTyehTC8S1a6iWQU+KcIxkhzqrpBQ5KXpkISCYjMK7amN9X2Ee1pn1cnnMnmVd+TK84GahIxbbNM2lE0/+ifKxzoIIiIuyQksWWUBC5CunC6ccoKIgrxA8zEZ+wit+YV4PnGwgCK+6fxFWDSgkpfl5bgTrrxYGTnek4qcPA4I932/98k+ls6UfRKFCaCfJJzgWn7sjWh79AOAUYUqQxqfAmChTI1lWLCXIiFtVOnUTdm4XKnq4AAJFnrJFckrk5FCEuweTNQuF17AWXdfW8U0sr7+W2kODQRlirX+fp9lNWoZXh5MJRG0+/1fEKmlUx28bR/k4XOOv0lJWIdBisGLwMLSG0QBAc3GpBpvi+hZGW02kTtc+ktBkAktyGFAsoRIzJTEuoBEatrpyJWg/i0NixrYuMUuDJ5xl6ZEhHOlrSoaht5i8XOxsDLXuELBTtqcQahgcof4xN+3IbMhTKcQ8ohOzlkwJOcQRXoCaP46B10g9uie92e1yW2fRRigqlC74H++s5zJyjqa/vj2WoO9NxddG/OpSTXTGbP9O2ZuDFLpUNADgE6FKjw5DMREGJdD1XXDbNw3GcJqtVx1OCQAjlNpZcNVcpMoNQb0DLMY4kAigRefCVHLp6ONVqzuyeWdQFnw6WPzH8fNbqZTKol3TMUdwmhVLEiHUX43z39qLl7S99n0kXw/AIaybPXg6NJ/a3TGaC8X/WQwRzPsr52d9gJS8+Z4BW860HcF9yGXMpxU7WeJhQhWeuhwBy2vFEqnV5pyYW9lkwlMbwp3O+4ScWMDXzgmjoHrtVT2p8YPgMYP2EHAoz57JDPhAfqMXa1+Ccex50k1Xj3d4/QS0J2bPBAHAEyFKnMRFmw5jIF78OOSETRaeZAaAbM5Wy2UJevAYWNbRvmmOdGUQHSkIBFsabaau3C9NnIpLIIil+Otkt2zTNi2qrepsm3X8slOwTu+C8d553KCotVF/FElnspHsbXc15ulXYFEMLU+EfWfvwnknqkHUZyDPSiYaXWWFoAlAoCRj3G5hVFdgtbOiANlRUAL6jb95oas4A4ATIUqOz0KRBOAhCJOaQvC9i22tOWtLBYdKrQJ3qtEvtJDYG4MyctG+qxDNiNccKY2DPW9sQ7K9/h+7TPJoYa3rpfuEicAOmevydpzP1tQZNDwmnafO0V+9BgrhVh3TYnTWCTRX57m4V/6pc0aHfl+fj7zMwD0OL4OFC3nU2Qhn0EyyfknhhKYuU5Whfj6deXoNuHtKH6IkBD+sZ+oQgBwAEoFKkM1ECxmEKVAb0QzQ1GmQ3qCofQbwJTuSjkC6/GQIVlhXDGWygWG9i1N5b4OrjMRIqO9cljVIRKz4eEyQaJKs2/WiAvc5UYivcrKaOsGE3eUOZxEYZLzisn67iDYVikFQ2Z+m3pZc2irT/OEpUxo1gj6NX58VDRMwYJ45ZJV7MbPw24Y8Eb5LSFKShs8STxN+7R4sFS9QBOKpMuDgE0FKjstCsJCEdAiQk1bs4AYLGWi7m0704ExIEsn7uIIoHibgvfAgEMRYsJrIqkjwxn6ssO4nPDJzlLhLj3FTMRHWtxCvVd7WfHdztKJb6Hk8TggI7T6TbMZFV7EIZngyhdxdNaXIK9jZ7Ob6/8QL4i1TxAy1jqsxDbACgWbgTEgKY0W4EQ8gqrw4fwl/hU0QUcEAcHsmGIi31wvPCAAZQAwgcBLhShDMRZqQkAE3BvRIycJeVraWMFlorHjbajTg/DR655OZr0Y1g+NMg3SUpV4JB39SolBTLWCNOwxghxbIKOpaLZU58sBRPgVv4maJ3gocUhAfm75UrFZ1TQ4vZYl2CD3gflgAiqxyLAndzVmUT0R+j21gZYo+Wpw5+UyhE1y8ept0RvN1EvMArDpXKfUuP6JTsMuixAAM2KFW72QOABNhStLMQ8BQZlAYha6U2sgtgWWefDUtFBSWMHB1cQbNISl4O8nLbJzSEmNaqCYi/b/qeHfUPiGxdJNQ6i9docfV8YBqblKxxC7v5Y1rCsdr02u7QlOekea39IfP4oAHuFrEVusUHJ1V0rKmHvBTdPPvtldEsKBtVTgqI3fGU3RuWZNS8VCSHJ139K6CEoTUSxppmnWZe008Q0FqYYJE4bNpEWZvddO7hlRr7AutP/lctQOAE4FK1siBKRCiRAgEhCNNui4C9rMq+GkkSXI2gQIpcYSebKxiIA6NyYa78ISKgiHDVNBlGMSaLsokd1CQ1fdZp1+Gt8F8jb7I5QlgzwMMBBaACYqlpm941dVnspnUqW9G9sNaW2nnfyVtYCl3nHV3/H8p1FTd0DLqdXzz7gH6gouvJPWe7KWKXBSKo5Sk16ZQK/WtsBzfclKCFGLPlNvHZpq6gOwurgyERlPxDEkrWC1PbvABGmcxkzEmF5sAOAAT4UqQyoIpSGZECJn7NMONda6Xp6ZXGi7snCxVXYGgqJF1V3X3G9QP7I3h+SHyeoJo6ngwBl7qpfCLhtSCSYDKu5pzcQMRHLlnZr7DZzbRJCVxScB2mWrnHE2PEARsxuq5vnDQbNLXSpr7M1qepcRV1+OVSISuShDNo8oKK9ehFlQzz69bQ/D8204XzyjgyaYFNqVqRp3qBImbbLxvZvMEdF8PmrdZG7j8/vACNbWEeEAOABRhStSIgLDEKEAJDExBAQhepO2OOp8Ol8xmHst5yzpVi5VYAKwHIwaAmOSPh97DI+EGwRode1Zz39kqJ3NdZPU0WFVrtMQ0r2r2hYWw9Lqp/ItVhgY6z26+AXkcBENl8eaxJqb2utBTbM/o+UQNXqj5oHV5j/4JJYDEDDrjYj3fYK0AjkCRbkT9W2l+sMJC7YKySOszpVwbj98jREHAFAFKlkGEKcREIxkYAt75e7qp9a8+Tu95R50Org8iqCCf4I17wVUz3fz9Utmej6M3pwhHDRYEhWeIqgLI0FDIVUPZERBBJQjLeHgQ6ngSa3ke8ZmIgIDgJnuP8en9EJZAKNXd51nlWdVpZaFmXZz9dR6J5kIWAIiOjKS2MlFJy1Odq+n746F4nVaGqtOTlVAB9R6nGkvPWweywzEBVwBOeO4/Pc1w9CdZKEzAglSFgcAUIUqUhoKokIZEEASGJHplZ6j4fDjiwnfWkrXsHRhS5U5AwBBBOstR2tNYSVAXVLUBVBwjz37Uv+OXHjqEHQIA36+e3B5C9MNkQ+0Nqe4s4wPOWFyzwI3cvez/n26DFSDFBCd+fauivWuR4c60vvQQZSWtdBc3G/2p13DQnxegls1LF9e346qV4eduxeE88/R6KQg4BH+cL1epQC0agRcPJYwizEycu0B2UgcCEwDgFOFKFoNiEJhAFCCIiChVe8xrTp5ey9lvNratR0wA7Ud6z6d1HSBIJb3OtgTpDNh+rGjCafsCQyloiaAcXH3H1/FuLInP2wzTmSA3Bdqn1FINSKcKWBmQDrb04VDg7u0BBQWP5PoAfU+UaXo48erxbC7B7dEBnhwrVZfAKtgd7c4ABO048u+uEGK+jvfMjYXfGOaGIC47OAtFQBwAFQFKlIViGRhKNBCtMpoiX9SwZd+aLWS9DIEXPVTNdD2T0EtUna/Q8paHDMiTcj0l7O0nqur86eYBkeTmL6K6k2Wz1ftEDn6U3vK3v4PhokFEEJnOhb61TpPUjgqU3YgoDU8O32d/d38LaVuJ4/VBj5D8IzPFuKfpPQwUH/j0Ad3KfFdMAA14EMUq6GMlb391ZY2xa2XshmhoUuL3teHkWntlqA4AFOFKyQhjosVrKqmnt06ZYOCKkiXwMAHhOvaX739UoUcBaDioQaFFbSKBulX5z+MJJFrheUui9oV1uKRGtsbxqQK+3u+uzbLQdcXPAmGEJuHrBh+3J7FAhY5cupk4o7AGBOGOKLetbDi1SFVqdpFY9rdtshhhFYv2ABCdyeQAA5vew8ZvDe39Cd76ZdrHAnO9YEJKLk7awAOAFMFKxwhjwNEmUiiFVLkXOHVtAdAJcuLVQBzw+ffv7oinDofGVQ+08dZ5rJKVM65wqDStS1IRmFAMFAxfQL9lmauK72UspGNHUp4RKkVQiTLkcOAGf3NpKprSvfw40c1WdoUMnpryo3/x+rzmnEpXiQFJ7pdYB8Q1BVxrDKlRcdklYgPRc6qnM9kBWQAUoYiDiGdrKEVAA9S6dQg6p2DUsXUsMF5iMXUi95g4ABUBSo7LgKKFQCKnVXLTrd3oE0ibtLu4jBF5oT6FZ7Jo2cbs+IdDKV1MPm1WZIOJvEhg0MZz28VvFrlP8TadeHO6y31VVKfXs2Ej124Dd6JA84fAgbLQKzcVZWLhgwfOqpZTb4jDXxzAABz+VtZkRloZoREemv0gS2Qmna4EwvQ8uaTU+ff9fmM753vOdBt6/jxhe4hekMXAFOFKzQdHEsRjPZy+o11yWrhcaMtpYjaLlPsc88Z+wOsPinmMoRjWJ6UcRwx8zOmKKfO47gxmsUCt8mLgQYAys+w/S/rQu/wVNBQpS8jQgBUTBYDPRGRU3mOw+jHrJoN1MEXLDNXXScBi3+H+o8tC1lALDnNkQTrR0LIwAkBng5LaE1RpAjFKgfE1KGmfS4WE5UliyoB6QGHlVX/g3sOF19VAksxAcBQhSpTiYyLJgktq1zrCGoLHCEDLAH/mpZJNDVaJ0nfF5hBuZGQDJ+RyirY83WajzWshGr1NJGLLKtRhXy0iRvNcQK6aoFiecrM5e/YtImJ1KOeRY33jCOmeWsixeYhfG+Uv0dK1bBUcmCHyjNSEt2NPyr7uMyjBpY0EAJmmA57KGgOnUR0PHMdhjKhOlwrdqRiO8+QtPfnZPOACD03tYnOg7vbXJcAAOAATYUrdCkEwiGhRCAxC0kevI+snIaiuMSQtKoXKziA5IAHOXSFO5giWSaFYmpjQuDiJjC2rk1ort5uST63kvEKcdBAjiEJ3/iTZD+1vpiiGTCEFFuwuwNoj8+ekum4udbSBGhFBMLAtEtTFNturTTlvm3/b03cS0m9fu31EqmBWYi8NZTESiYkshoM77pqtNyOjw7wQNt7M5Vszs5f++OXVNYREoWWXSHR0LUAGYhv58WUnw9gZSGTQWUSw++3ZYACLlTW4YDj/if+5XzAmA/+5Hp37GCiWutyYkEOqcghYBwAUAUrgwrPArFAmFAlCgzE+rxQhcO371N+P334vjWyptqYsDSQTSP8RdoMrAukHqRJjIARYD7LPhYtzFxrjdCrLT2Fnn7Vc7B3exfQkVhIDF017V4JmanfWsR4z09oe68iUOgRRg55+brtJiyQMgi4NdmxW0A/E/wv+HecYbIn4OVmY60f7h07apeKv/veGhPP7ki70pzVIzRMt8/hsghl8lCNJii5OZYjo763zjm5/54viBqKi73wmYLogjJggGTVMgw0rINLhRZ2j0HSGaGKIrKplgVr9H/B1dGE8Ql15Y2QETkrLvVZyMzlNqgCOnHePd26UmOzlBk72xPo5tjZ5Z7aoq9NIe2Wce3nH1JwdVHTnVDTNRe3gMVRJd5b1ZVWtoYWy7ms7ZOFlomG4KmvoNsOXgwhaaR2rXy/VGXTScySHppSUeGWc36NHcaLC81smss3THCL29P+48YOAFAFKmskQwERIUVB24S8Ga4JHfSdeq9jSIjQd/qoa7Sy17yKt0RCpBM5CKLaoFsSECECK6tAn9MwpFomQAIQaKBIdIA8dtOPbdIsXtvmIRIq8Ut1e7CDCZcbVF1JJ4ebAoXB2PSehfoNEVmzihJfrROEXQbzdCCy1pF0g35qxSOmZ4nUiEufw8TDlhj8TxO3eDzbqWQTyvFcPIJQquSFaRACgj5MIOAAUIUrFTUIxQCgxa49VwtAGjotMVxwtcZYEvS5NiPlx7G94uZZIzIcJsfo+C1y0T9OwsCWfXSqxnWpS63CGBF4oToANtgE6YIC6pZVUw2bZbpvC9nVKDEnBzOYXQGamG1cCkEE4pd0tRmsznuXebfEHtRYcL/bfhyJvFQnStv4eL9bUPm7EtAUlzXRzmAxy6/GGRjaecU3lbYH3TAC6UXIwWhrwR4mYHAAVAUqgImIRGCZBUKsWjS4dHsSm+HBoqrgRea9oK9Ui1fRwG6wfm1JUTTCRFnDb0+7/TOjYAqo4ZMxcLDr4g2oSrzQ8olxRpwrSzqXSNRsAuWiKSFXzpVkQkr9o1XSb4OMHYaut3xlrsLr7e6X+1f0/Zo8U9mM67dwAdP+9/G4tZW0+8f7MdJAbsalZ2pVDhbsAfLk0i3z3ACKMam0JVyogcBUBStbFEbBMaFFomZcacEp1G/LyF8KaUIBbl4Cc5rLw2k74zkezS4YyBvCIhWT9FdAX3nsCBxWmppG8+G47dglKc/AczeuTvzw4f0DZBdtkyNPT73gRLBlRL9NFYHb92QhJD0WHJ1EvP3yWHbPOR1Hdj/5y/zB5/fuurZQAS+TbNVTDh9IUdHvha7j4M6AAFGcXRAHAFMFK0shRQFFCswuDPaxp5d9cawWW4GLoGziSxtUMWrH95Q+xI9ZzalU1V6DbsGdL8iaFf3ucllBdbdzV+BSG96D5zh50NIdqxqU7Ibu2WLm8XezCvuSbKOtQbaoLtvQv23VTaF8PniU6p7Itkyzd8r4QjDDC+5dzRwCH6YIQgrWtQBWW7Bo1dpIK80duh9I4P4apuz+MrATATw4GOF6AHAAUQUqWxjFAiIpRW5xJ5DPI0+BwGRHBEAOb+dOevldHNb8g6WOcqlyIFEcyfhaqExkCyB4N2t7k9Bc+2PNJpSkPLnMw6AqFol76dsJMJUFhAenMyU7rnq57WnksmJzPYmy9NGsdP1eyvmhg3a5qkygMaU5TqLMZyAbK/T9Jce4vEr/PBlAUPg109eKyYQnR3hk8KMKQGdFjjeMIa5bK/DpdYjugBwAUoUrMzkSZSGJCHAagadM6sWNHAZMBnIYQo/YFH6QYfmjekMOg8x3ovG/OqVttBBbNt6lwXomJehlYKzVDECVTU+wvjnr+FO3G3HqifB4ntarIqiG44/JqbNUjumXh6x3WcZhODD9nYsXKjO4/CfZflT4URKkO26XAMWDC07WGUnDGqzzo/sTDSbkd0iXEeeiTb5i7PFUD2xvkuWyFyYrglvAOABUhSpDGgJDYhHQIrSKnmLhMccROIyyaF2JQRC+Ek7S4vcq3oulzpSApDaevHmgSnWKise5KUgCfNON71hntfQ5W9Nd8t5nQzhUWaMYFCbO7XPMhMaPQY4p/0XSwxJrD7E7wn7FGWBGt1yw6/PsKijW5PL5cfbPa//15q2qAC0Ifab4y0fL8q/MhLbif4d6aNbOSsTwzpk/d4iudttAAcAAAHwbW9vZgAAABBtZmhkAAAAAAAAAAUAAAHYdHJhZgAAABx0ZmhkAAAAEQAAAAEAAAAAAAFOLwAAALEAAADMdHJ1bgAAAgEAAAAuAAAAAAAAALEAAAC0AAAAqAAAAKIAAACiAAAAqQAAAKsAAACmAAAAqAAAAKIAAACjAAAAtgAAAMMAAACaAAAApwAAAKAAAACwAAAAngAAAKMAAACgAAAAqwAAAKwAAADDAAAAuAAAALMAAADyAAAAvQAAAKQAAACbAAAAnQAAAJwAAACsAAAAkAAAAIoAAACsAAAApwAAAK4AAACmAAAAxQAAALwAAACoAAAAvQAAAL0AAAChAAAApAAAALgAAADMdHJ1bgAAAgEAAAAuAAAe3AAAALoAAACcAAAAngAAAPgAAAEoAAAA1gAAAJ8AAACsAAAAoQAAAKYAAACdAAAAowAAAKEAAAChAAAAqAAAAKQAAACnAAAAvgAAAQwAAADeAAAAmAAAAKAAAACfAAAAowAAAJ8AAACzAAAAvwAAALMAAACeAAAAsAAAAK8AAACcAAAApQAAAJkAAACsAAAAmAAAAKYAAACpAAAA4QAAAV0AAACnAAAAqAAAAKEAAACVAAAAoQAAAKUAAAAcdHJ1bgAAAgEAAAACAAA/JgAAAKQAAACfAAAAAW1kYXQAAAAAAAA+6wFIFKjsaDIkiCljc6I8pB1lcOCEg4I3oIsBrKH/Ff6qXQw8FpYhsOKwo6oyjfGKqK7Cu7Kr4wkTnFKfU5w5IgEKoqpmbmJkXzGCJRtPNR3qbqr8omFXKk2y0FmqubLjVWPNZoQ8GwuRHBng8ib0xPD+udxCoGPz09dvu568+XcTYCABa81Ptij+lofi056V+sXAx+hXyrRzTnlt3pYAjones0ADgAFIFKlEKhqkhoEWs3OnC5vpTl5Xp0EWLLbzQBt29hcKF3yW8eGB48UcGpDPOTV1rzEjG7BT8D5drOlYhrY+FSC5XXp39PR/tyWqmSmE0QJx3422d1N1dQItIQmcpmZEKTLH7F3sB7nwdJmXKcZ1y9O9i0EYUj4S2aEJV01UWGmP+IlPp/79w/4pFzvZ4tCvOOajH/m+pqCP3hYAEwcBRhSsVHg6EJQjIojPm/hOuFx4kyTS/KBaNBiwK7+Umu1OeHl7E/GL2zOUFK1MwYXowoG6IAuexgCnhgQ8KcjNGFWRqLQH/0D9IDvxLcjQVkUjfn+THD+uD71bpOW2eyC9UDnld9HoBsofxSOlQP+/+aud/vvY3696pKTRojHTe4UrwcrCe1rOTjZuB0kb8M7hSAx8QuARGrYR3TKhkxQDEuoWh68AOAFSFKzQuw0NiEQyidcOnUtp4jiJbUIWiWFFvq8jwCAQY2a17qKC1sKGTAbH7+qARiYBFPDdNLMQFg6aNMphGyg8fkT8lryL3DFl9OQGN2Nj7PPe+aTyz45jgwKaT649lwYtMkWOP6MpFGV4yyeZd7svlblsYs5AqCmEBDLngreUmX28VRqUlVb4JjDT083pDV0BIZdNQ1sWX3MFbuX0QAM3OpbyXrb4cK5aqw79HK6lKYcswhKHIl9Juf7jrgABwAFOFKzQximJBm0x5OupB85Il3c1dxdxYAGchaFHnSAe0tjJSq4FZq9hE1GHNHEdKEUaE5nzCut28tbwoHNcwk644ky6mX4vGbTuV6G6pq7vq3hKEvk2JDIxMgTK8NL9RoRW1yrYdxPjWDc+KN40nHtpF5U3rs89xGfDSYDc/3TR5oNDD6pRmr7QBcXXJHDbtMfJ2Z8ciiyZSjJqAMsAgomsoBwBVBSs6Eg7DQjCIhjIgjLZ91zU85XjDcTzq9W1pi7R3oAUdsjjFZIlcrJKLhSaBtjsdx6s7ffqRTUaBBkZpyTwCpQaKL2JE0DgGSK3XI6pa3wCSBalsZocHvPa/8TZY1GpyVbPANd3FqYavukBycXcyAggYpKHt7ccce7uyM1pS58cFBa3G3PviUWwkZ+U5dHJ0tUCJSwMKH2YT15hiQzeMrzI6i9OhcE9x4f3p4AFJHQmAcABThSANFZNEQZJUQoM+8cWdYNhd+UW0iFMWO6cyhlWGOfM3SMtFWcZ3BWjMddETTUhFgk7lu1FvuzfLOFrg0ENLDsOCuxFwoJ+Id4/G/dM89e5E30EX/0QFoVRZf9LdSbjp87hEmAk9jrDXWnqjHm/rw2RYGKobMGIqTbspOJ4x1Wji72YgAlXsns1eNBGvK6l1vYh49PLqvi43oZGtWqQJCA4Hk+QHAFMFKzsiAsZDEcTNHtL1oyGG3Gpd2SRo2QADe4yRI1KaJKbMYvlqYkOdc9twzBbKzhFKK4LqUJFNdNvTym5Xo2FPP1oioAgKMm2cnMM0QCgUepaaSzKZZMMhlt7aVN+KPL+HgcIjETBrdnU0Yv26HbzYx2bF2KG9FjTGgHxGehkIvlqC3bdVMYPMd/4tMmPhpVR/UtKMmZtyqtOHNQTjInUrTPKr8ef/G3kBwFKFKlwxDEMUorjye1WYxjWkXZpaRhl2uVPeSR/wL33Xg6U1HGBBoUcOWzVx4zRQYZt3sVCJCBtUQAkGDFzLvX37GqaUNNcAS6FogtabZ2Khi74du/QIYYWKhMUw8szdWdQAGLrQtoqIY+NJBd78P0fQVYkoBETjZ3hwwRl4KCEP2/BSAY+XQI6+yPerIWagJccE95XEZLqeaDXg9o1WjOO+K0ZSw6NU+KlYPk4JgCXNS6em0QcAUgUrOxqFCEQKiM+G+jorK3W+uo4S64laTm25wA0qhuHHU2fdOIRQa54tHByGe2qVKSIB6+cZV96pQb45VI+O1ie3F3NeKeU87ID/+zcUpxEsZn0sD6qm7pYHQUMIVBMoZn5AL98gxrK3U5hBpYLhmreD8pzA8ZLrzZs8w+Pg4QU7Gi5ZHpG8BPp6mC1UudHjGZNp0S7KRLpmGmkKYxXHFBYwXipPwYQE6foGZ7/JhVUAAJO2ADgAVAUrQxoCw1WZBQhb2i7vfeb1vRrV6uydHTcABp8aKO0NO6FWeo1z4X1cswsNrWVE8TNMHzUT6BYVDOzyPgRXAYa6Yd65p16Y0vLhv6Xv0dXT1wBfzjjqwXMZpRiEUSXXHox89Iyza8FZ4L7+SmTdyKGN53m7vTAfcu1jARwY9BTTtcBjx+uWnaSrSPLwcd1uQESOOeTR9k1H/gxR6LOOH+G7tVAHAFMFKzseiMNEmsJwifB6YxOI+jRpK6DbQCSf0KM6NpeWmt/uRHvdNkkXxCYLgrKoRLbjSHO9qt/21d14BuyMuiYiTlgtSQVxBi4iBorUhx8n5ZQHbCCnseWZQMi/flyQIzK9VVvFU2dfF4DCnsFODg9+jLkA7FRR6HYlldTi+HYAHj4NJS+gBAtHWkRrc5u306u/hDVENfLGqTipCKnputiAFQnwgcBSBSozIoLFQwvZ6eXTTzw9crG/OnUGka0ybaEVR/k94R1doB77fvzqo6igpg0WAdNIh7WeMC7feUJjmTMSCEj7sF+ngEypeigtr4eT7i0/3SRl7Awvk75xtHWjljwGhupy2M/nw/C+qfDZku1Y5458LoQTTnwt5dICcMNxMAAEko7ub+Oj/N8UoS3cNgUrI/D8MQCQBcDgAFMFKysiBsVECwJrgX1kdpEdWklpbigoAe/0NrDd85hd94tI+Gq184shIQxldZCEqmw1LFLOr/ZUy4wmQvHVL9aJmoMhA3eTlgFKtt+P2sPFlbK43D99OiFWu7twqHPVqrDbQIolJsXVlF0rKWexAtaKzrifw8WYTK2x2mvPRhANdsVYy/N7t8cK0PFHLaFd3aPwkRkwXQvi7eubJ4isFLOdbpg4AFSFKjs5ECUiCNcOo6aBCLudBdHRG7CJP3RVlmcU2NVwyywjrr0oe5ValQO0wiyuLNlNW789wo0zTaK7Z28PdvhEQxRScd/asinH6qbW7zqd5KHuT7NyNBgIWXAWICdC47jkPHKRsA5Bw4u4qkd57kIu/XL8VI8vB//JcCtsZcBKQps8akcJ4FmUWS1YnO4ZRmjpYE+sqsUownapc+hDPO2nn9MAOABSBSojOUrBQQhQojIYjBPZOpfc5dN6k1xsTUtrIb0APz/2PstJpq9Ug1d1WOgK+ApB3cbHjDcikU68aDitEGBndseUg9ArFqVNz3zjG6zHdqESMgJFWyKOVGYchd7B/KUk8YeM9tIAA9V7AbW4QIwzd0ZZ3KV2D/K0lftdXfgAemti18lnhBFqABZaurHIAeqnoC3Zqp1mtwTWYEjAkSgH/Ywrz/1C3cBwAFQFKEMpEMVBMJCmF1Dz5zx9E2Qu0w0hd9TnLIHfTzCOnjd5IlqcBC/LkQPhN22MVSh7QXtkgWMy5MJ2hNkcttTvbo2AmmK12Gdi5wQkhRA/pRvmI1rEXoB8yfDCLO3OrCQCraWKAE05Vmw5zej+T/zeURAKYlRXbNPcw52SjYVxG8JxJbJB8De0Cg7wKAAMZ5cf0gQrACnDz9EPjNb+nQCg1qhn7/izxT4y5UDb+3/tkIQz0AoMY/n9n/Qbhe0gBVlQABh4hH1fbjA/DB73wCvPhGGfqGR/cM/IeXgDgFCFKjM1QsIjIghiI1HUziWwEyzcMiakBQH2ZI7sTG18SvOLalxpr3XRTJKmE9xbAMkzqklztzitVA2IlevtBMWSdgZNLN1ZSRQjRe6HYz45OuFE97GiCAUTFc6T1ZK7jgGCostTkX7GBMozehCbATJKqYRnA2/ZRQCxxCpceq9LMCpYEwbFqjjRR2SbUAafH7SDwyHibzSB5KNb+1bh52KyYhhR+CuOCdGVwpDNOzGuDgBPBSiJhg6GEZDEgXwHU2GLQwYSxAAdzmMa6/FNrqiKoKRnxrERMYhfNpKjyKiZCApKYYKabYxsEPDcFT08aaa4XHOdNtNC4tAt1c8VDaexaDLbq0JkR4JjLpx55AS234W23zDUAZbh7qgT7PBbkHgC6MGsP8jbAiiklISIbACCiEvafOLH03XgTzWSvLQfGNIWOk0Uh5gOW96YMVBqr+xhCsdmF32aY0CX6HWN55Yh8UAHAE0FKHMtBMFBicBqY3fss2wvDm6hrdl1peBJPubL0sflrqnwklP9f+kwqnz24tz38idYMRGMXnlpSOWnKk6ppikcOE4DXVfn0kLsCSHkWOuPPhqK80aJKolTXeC3M1sRTMLLQN668trb57Ns9muKWNeKuCVqHkpdD0nnNGdbcYyDBTJ5dBR1AbUwkeYqp6nAW5wjAJpP19+2AA1Sx49ubFQsmxK59n+Z+vwzq376jgBOhSprGRJDFQM54vSgYIo0XY0NLAMfK6Rg5M3a2WqkJQUDTNeK7hiA3FAI7UOxzQqnccZ4hM4wUBULmBkBnoMzYJ63DjQquBxn6v/rEKaFRks2jgoSutgy+SlbVYNBZcBuZr3VfGtEwu1PZn1gA2ZGhxhme8z+YVExKCnhIAFo+7w0w40rfxT+38QAdohiXPFQVLnvgBwAUAUrNBmOixWaxAaEswQtemosECH5+hyZx5j7IpNwai578ew9WdadwKjHaNeasasqURQq1ozACWuAYsTu0EEnTn9pyCSS5vHP4kxTrrJ4qxxbmil/lhMIMmm7jLSjYKkXYnMlm6F1h3cNpd1avJqljOQrVVqwQ993Qh5I9pl0XXIPENlUvd1vhpHDr56nhS7lEUcBWW6QzsAMoKJgOABSBSsUMYyJI4hAQiFlrtoRSwg0tcFgbyz5Htau3XW1yG6uGql4RFU9MWHVR8iqZiPohXSrTpsNBXlOxK6CJtq5zqwlS0RS+FdfWB7tElYxy5D0ShRPobw/nGk4MAWBlzZI1Le7FMiUfxoX6BlpJSlqdCuRmvVtC0akxqR06qtvZXJeACeVhIZaT9gBR3/N07lV9eNYxrwkK9AzJCpIM4A4AFOFKFMlBsVGiFXUPgUIRkkILlyUuSArgfjJQlJDDYxS5MWGx2Ml4JgvOFt8rUybLgfqeOUQrqJkIEo16r7kJxweBOp8qe3CJN6OWwb6iemXBtuecrKMjQYqbmwuKKF4nIlvlnrmSQFPL15Hr8/bswDq5zDkPmH0sDS6gqEnqEI/74r4OPg4D+4gjoG8qkvMecdR63Sn814u6XX/LtDhnSB6cZHNTXFvPKBN6zzCGwwcx1BTIICRTqU82Ov9uUt6F6a7RwyiQlaZCv/tAOAAUgUqJC2KIWIgmEQWCgzEghG8yIi7eovJLN5CyzWZo4BDXt6BnaGzSKmHp6Ax1SIpixIUiiE+Fwr4iSIJ17KiIAc86IIg9l95xJ34UrdcefVkjNuuc37qyaaqlXyx6WRgebxtsCCYeblIcIP8M9kMgXy/wYJTdjii7bkIuny7rvjF1nicNQoHKT0aKJ6KbysqjJQc38SNTl+Ryb5etG3lCVcPCPA58KId+o83WnlvyjOCn2DqyaSI9BgkD63H1kdX4gDL4QUgBIzfLpPJHjMHAE+FKHodRoYQoEyAMQpocCOcxd4pW2m7GoTyMObf39zB91DjNWwApvyWkcAETJkhdwDCCiy2S8JlSBz6d03afu/g39r+GocEeyiuMXYbqOg7fqrLd2dcKdmwQWSfBLLWZtVlVqLvqlKx6SevCZN4111T10m+N3yUSVV6ej15KLJBNuxnh1FpJTqqXrSuPSLNWF7mWK7Gpnvf4sj00A4ATQUockCKJiiabkHaFsBllkyywhs7ba7qq5MLdRPj7yBDD+BNgyRKAWYKBE3xIZLv8L/MDhv6xihI62w3ToJnlnJUmpo/zagApHpSDnSbmgznoNsrdVeGGZXKIFscFgrTwgT38CsUp1l5bG9TpGZR1h85rWKyJ385EIYydwyywd6azefSeoz3jFpOe4x4DcBjZcmsTiYt8aME6J+EATQFKQQBwE+FKEs5DkcSNKOl9rzIuxjm7Uo0FVwCyJdjfmaOmtoB0CNWxNNCgwM7LlD7sdNmzewydCQVAp5BdXbb6HxlrBdByDhDuCOK0yhUMTQyVHKdd7LzHsELWRbsN53GrHezHi0dKo3w4TLFdixgrY5RZPYpXlZsAar/DE9wlEDB0QJ86ZCS3RWfhbk/4aNxM/Ql6KI9k440rCZ06G1CQAHxPCySUiDgAE2FKmsZGCYBCJIISM7N9EZM4UUK01YRatgcOfqE+TWVapWxMROyVw9fFHCcMWlyGqKdO60OxkQIlJGUOKJaWVsu+wLDcLFvSr/ZzSTw0w8cQrcN9URkZnttU04FbUyVTBeWctVr1UcBgUOWkbGcZjlapeRw6rkeGuWt4srn/nPPG1FOPm0d6K+g0pW0yXSdIp39vwMKObpWNN07YIyE31mDgEwFKkMtCERBisuxgZtCGO+EZrdrorVgjg6cZ4S9jdqXreoO0l0aUpzOvpXltbx/5dD+OY9cPJYVE0uiHT0Jij801HzxJEp0GkH8mGSkc0qLWEk/ofoYqqRhGtMlQtAB+5FZ0MmprFHa7u7je6Bb6IGs59611ev7m7rmXP9/jtmmlKHa2u8s2vdTb0z/KDtn5bFyn35qKgCgFOoVVAcASwUqIzkaJgGIUo5L5uKVRwnZd7CTD2CPMb0l3SR41Wl9Ok7rWQ552dEH3CAz4Y9XZ4HTos06McS4rCSS3pDzpwUGTnQ/jrQzefT/WxfuAQOCpp/9ttTPa1wSuPyJO5i3H4a+cOGtgIoScsdsZXMqLrpJ0AcoUdu9uhvqFXI6Of42mUSrJyM7j0xfRtumzzWQQrfdR1ilNLPcHABLhSiCHYSDIZlIQCEK/FygUwqLMhpgRDgK/rzp1Wz0L2B3035CRRJQX23EjeCZAJkKe3HsWAiHXEJJzRb/L0DXhG53E2CGg6mOKrl0FwBGy88KDXDRPkWmUFcHNHoZLYdVq4bcIbvDjejogv6Yq+vaSa9V4m72snwPiNp47NSdyZtl8keY59k410m/wSLK7qG8Q9s11UNdWZPuEkNoR8ClMwOASwUoazFGKgEIXd7kbOFdrZrh2izKaA6Ergxnzz6YG6ceuDShMpQgsS4867b2SZPV8vIF2l4iK9Oj8OyTLNoZBKYXlAQhnKtRXb0lNXgxUIhBhVFe6iIRq3alp1EocgljAkGhBDFHUTjXOom+3+qX5OFglF5M3/0qODOl/zeZM2DZiOv94TXu4F9dHHH2/Wef8q6unbFKlK7/uUhWk5otAOAAS4UoaxiGwjORwEIU7Ru6ZU8dIQI0xaA6CCfNyZUaJrLWr+xqI2Y1HG0o6FbOSRaLGhlgzjdBcNPVbsz3Ht176XYFOh1mkReukz7UgyTJ94xn1bqbRUAdVeXa4IQOWmbKuV8LD97fZOV0Tu20kOlNKlTmvFjL4jr8ns+yKkA/AJIYNE6hhsOJkdJM8Q+YZwpppSnXxkMGl2DImY2OBnshpl+SgHAATAUrLDGKQWChhQAhCbyYXMMDrOJ66agqyFcBzah132f35nDv/JWtNoxau3koIULTWEqRgsXYHCdBk5FVcJjQLFGcyySpZA0OAQeC3HTMAO4AcxPaxYdo5poyfcJvE9ZkjOkj/FWXZTThaLN8nvDRwU1VBuIgVNS3XRVlYu0FVe9OILPoCK7+OX0Xywoml5MPp1ShUgeFkfxjOfiwy1vFGR8PF5l4sXhGMDgAT4UrXBFKhCSIiGI21YklqQ6jgLcEWLABPKPMdVSgOxQTW3B+n3neLefEScCJvptzttyv5WQKc+dQkGrG26+eMCwB2kMTc7mCG9+eM49KO9zyomf57I4qZN6xdY/wOM62i8QiqUtUVUOlxX5tlBAxASOfgCAZFsyRgLDUn83NKf64pHWgdtHic4sQYqgssPb43dLeWOJpmyuDk0EGuDq05CChvEEwcABSBSs6lgaEYRIMgobyBjzeh1poaI0iaMqwGNXOaPh7hitCDKl0TxE1Vl2ve93g+zFohFddAl3Rfc2yEyHqmWHIEuXbIBVgpbbpvJ3wdgg5PIK29/cQ7NYSAhOEIUV9UhhcKpmCdD/3p9aqJ7ieyu7LEIWS6zPGivgTiDvCMN/NSd39N7w5RemTVu0Q7dexUgCtG6SlkB5ePsr0gDgAUwUrLB1DA3MhWCbTvQ0Pjtcq+rqdPLYs0ABj32Qvpl5UrVKNQYy+xLwX1cFSJweMogdACB7kIzxjp1NHKk7ur6+RABrznimPgaF1WiqJBSYCNAXKrATntt+hUzEIiR7jLKV4M71A7zHS9h3yoLS9tOO9YqJXa+zFDUpgBl701Vs8owAGnp1vTQakJxjjnJJYDpgAg1J9FcVKdr1O51cUbTvUHABThSorHorEMLBAJDYKDMaBIYjPWcU+hnEx04W66QC4NwEYD0VJuQDrUEuQDah/Rv8TWhzVrS1ElapDVfxe34uHYSjZsASRT7P2+vuezVPCqUMvYEMO3p5vSIHkvzGNO6/POyncSFaFEjb3WHWRYL9M5GA2hSfXOc1OM9h0mTibq44TOBPhJRgR78xm7Nn4e5iWyd4ApfHPb6j8qeuj70i6aBCHop8TM+fhjHf2T95xVSmPN2mAtFcAOABShStDEozDcbCN52cXpJV+5LdV7L9jnrTLKmHQMRS8A1q1BOPpq+A44cy2W1J/INMxYUwC1i7YSXDGnbGYum3Ra4xNTWSDumlXaPgYhAKBjExZOHzlCD6LxP0L9WHWOjCtuy90IRWGEdmdkqqISlZDPdSoWZgORfZY750akazFc8caOl1fg9hx+T6TIHg9XCBs9VwZAxVvcIRbdQppZhHHrdXPmz67rwaOXpW90ZsULACWIDgAUoUrMxoKhhChROgTIyjjTRZm/DPK+HwudIXdNtAYPskfDOAqPTS1AuKTv5QqTOaRrjgWBoIaBWGqKoRkdltgcKu/MjBFVq0SDmhp6FGFzY+fuWxFnEcQ+0ahgga24Q4QRpBYV8C0O2vJxD2EMCi6FeoZWOSC7lDJrngug/fYzAnj9aKskaAC4y6OZP3SC2XAq1HXZ5/UZBOEwDH0nd3Uv0jv6EAcAFEFKzsmBsQRMEQkMyEMyMFR+BeV2Tu2nFupxDoqqAapfUjsnE0jcP9FZrymx2S8H2Y4kU50FKDP4eaafuwaaPP0YC8iGmy6EVAgYJJi4KfJ1sNEGVZhSBMCEQJMzS7+QtNrj7Bv/5IgMNea65VUAWox4mdPWsH39yL13mXGFxytpdMqB3kVpgKMCdJgThMJMSHA9d3IJm0c6XAFE3F7uZDPnmSQpa8p9lHlUBwAT4UrQzEMJyKI3rNH1S3G8XihNNTq5adG2AGcPmrvjrjbki5Xo+4l7AxPKCwKUB2KTXM1CNBxAlAvbKzy4p/OM/RoeYwQzpEbW65xvBsvqRBrXpb1NjXRoBbf/EUd7ZeSiR5uohitHM1Wc8OPDhy++/kmC3b2+OkQf/kSlACCDC6+Z2D3A9VJp8W9C5jmugtiDCCgujKqlpTDHTvrJjI4oAOAUAUqMyoExEIASEZSGJHrJ7cSPNz3lKQSW+LiJ1TYAB2y8oAbeUwQmZQxdBIVpa8Xx6yOXwmcDqIrqwOmJSrsBDWXFvrGQEvzpees76ZoQJlSknYUSh6Cq1bMBg7ckfwFInBrVLvXkfO1/G8HmIqYo5+Wl06Jo2wTqcIIGP6wm5oAB5MPSuTh19+WYMwRbgypLjXARJE5nHtiwdFqytCw7gcAUIUrMiIIokMASIYiEIiEImHCXp1m3DNmoXrpLNXi8wDD8JrUqPr/W3W7QOfMOpDuBPR/TaOouFYLHC+1GbG6xzSE5U5SnWXr39HSALzngtytNfBUOnE2hvRoo0JJpbLNjpRgr7Kd5/77tOCoMYGshnwAsGS9mk3IgMQ0NEeKBBhhbMZRiZ17I4d5l5YbC9KKD0qPfLdH7SVAOZtmkoUyCYOATYUrIxiGyiOaz1NZ1w6xnBtYjpNXBA3ALdzXUDne/9uWXxzczLUJE1tWjDmbXXNLZ1tD4SU7+Q6ZYGQUQZTZPtfQjjgKWm/KoYJxMGB6SNLbhmaGSM9bUSs2Y/vM4k1p25HeX3aYIg84xrxMOLQ1vRi2Er3vS0vsRLikLwUpNrHWKUTpfFmZ9fb7PYb/rW9rHc1JdCyxx7gUSNPiCmBcDgBNBSozRKBiZk4uXoCg0TS0ssUMAuIneUqZL2ran9JHoXF0Uq+GgO3hTMFvgewosRaMcaZA5dD66StCxIMFUjWtzCKjtpjtqe9RIxIEQXA3WADqZFP++y6RX0vnDyt8lriE3fxaJPpiar1g6/leLaNVqcNYFhKTMkJQFhkoYN+ASng/5YGN1rrQny39l+KO7slKQGBsct6LhG/0LMY8iDdOLo1Kw2fTo4efwAOATwUqPCUWRBUW1o8ilArVuELgRlQECSKxi+W9QypOPgHJwjjUxRoBzzpIrLIasQgkjq20BtdxWOyxiPlALtPcGMAusNy1WMNdUTAcb85zEPqlUis8idEWB4EWrjV/Lkw4RQODJ+PKhXVYFxCY6nXGAxOPSsQ30d3d9MpiLuc0kIp3upiq1JbbPI5/hsg/tF/S2Arqsw2I2WCnT0M8/SA4AE6FKoqVhGElCYXxa1jBu1tWiTU0MoyB0qWS6OqVVm+Zpts00yGFUjPQrMQN+QPAMJWzWfY5mPl/q8bD07WWrf2hKtnlfUacq9MxC941Ub3SRqbi3Z2ahrSzot+VppJP7RTguMh4DkpgUiV5Eau5HKZquUWmDKjASlNQAsDs7nf/Wr8q+48Uum1XnlMY23rJ/l10aoN1Hd5pHhU4x1wKRbz4YL0tKCd3gzKBN6AHAEuFKkIShMVEmIhiQhiFgvRvTG4svR0iTgKQAfOk0B6IxXNXE9om4KqDH1nW6cdwGjHctPaccK2oNReOK1uBSRSAExLY8RzkP2u/2d2Vwtkf7/4uxkr3AEi/HpQxWdCe67MWdSueKxKytq4JCfh5eMJadqCDkiPB1v2UzoZnQhZ0X9bxLIxuWPJ85K3h0roRVxzhVBV4SQTDwcOxjWi05dLNhfn1QyKGUsIOAE0FKnqRDEUVotF04b9HDWaVrSL0sCbA6Mpur3xnk3oqA+pGHCYLHRyYQw2RDTnk4xxhn/dsAaNjPs0oWJZ3x9UWsnrrfV5ZCp7sU+GbxEu6wLDH0560CgspTrQVCY8YuXjcrrK7LENsEsISHgPDf8QzPLLRjKTb76I9oCeumh3QTrHhZz6o++VpWh22vPn3K31xd5C7hg23rta57O0hFCQDgEyFKjQlGC5oAkrAPM2603q7SKhuxMM6nwuftXuwQGA31vMvsnaMG+5Bzhhfnchj9e7jWO5+Hw0nUDNbQGiz6IjH2ul1W0vnaLLUUd3hzWHGebOJQ/3rD5enFajv2xIATK9iEzDNkueBNbSbrMfC96R4ne3HBakEPcghYfkvgp+18sTw3rV1ZfNb0Ra5bIv+6/3r2k+94rzdmxtg9H76LJXsKSgDgEuFKlQVkIURIMQkURIGsBmNI6O/Yi+FVwo76A296VgmLvKHkxZuiS2YLYFIOepWo4TAXIav02bGz8DZ2T7gKEDXBSAQmIX1K9NlDGQRLMzjQUqglpXMud46LIewYldkMRn8x83J/wDFvw9alT4ZLQIFW2whwCzpWqBsenxzxtvPDm4eIA/5+BUBE+qAxcqgN+lrynpUqHAJ8FImQ0cXgSKrxAwN/SJMT2WoA/pSAOAATIUqMxqGimCRWEKGlMrPpZ2d9HGJomrXixnQHIdnZ2mmBICrCYm4VAlwsev9y8X2sa1ve6MeNTnZbBOgodFDloAO8Tw3ujlfaHDjUcN6Ed2alw4yy2WqTCnGaCs6+y2tLPuFtHV++L9pAerkyEOmWpzeJkWTfJKSAWCoYFACktsv61fBYvhhK0xQ2RFx8xIVU2LcG/EnOalSlod7DOBMMUfnqtqwUnhA4ABMhSpyNIiDIoiTSBod7nRoB0uFg3YmEU0Z1p5s0Kus3FjM30WUuCilLQ5hh2EKrXUf7HHMGxlpekMJ6hbwqIEl3ITkHeAW7XHPhRRSx2g2K34hVhrKqw3DoTzL9FqdNxPQCnte7eC+7AtYweJ7Q36wIVKMDllVKkWPhQedJuvUirQWcWnuc0Ckxx7bEP+QACuOhksxuiC5CwZM9xBMB/P1ciR2x4xJJ+JQV8+MDgBLhShyJUpIEqB0mcylmguQcIWZG9CVnztvJ7XZ5VeTdTsdMkMyVQOsY1hOE8LdLjFKc1sgUtIECwXiulCfc//68ZhbtEnzQWcDOGxxxlzXRNms2la8K3/b3crfBGEMyWZs2AZj66voOmIdFIq3I/zJSODUHYIAOihm4lnI5DpQfEMYwlCNnyXVLE1My4TXgoTo4fej6eNph99lJekF3s2AcABKBSozKRZDQZFEYXiBAaQkzoXZQ50EXUMd4HyCeO0YDbp0luV0vLpQTGkzxTLT++h6u6bZhWNTMGdIV0ndfR9be0wlg7PQWAyGjjcuuWXTBXVKJrd7fnvms8sxfZOInP+Y9dM+0sqVE0sP4uHAAJ41MnTFcxrrtoBX2K/cKvpKrctmIlKZ2X9tKWMstFLbPKH1ifFSNFxYUYEesJqcpAEa/ziy87YQOABLBSo7MQ5PDSREzHASlrsjSMABEN6Z2yZoFWX5qpTsyeWFVmHPT39Zzea6nDTuVWIydleaY7dS66UVsqZW0EsWf6VJ0zVUg1mzjC5ZtyKr+bFxZrnCWXCHF0zlD0KXTnYex8iMh4ltdg9yW3CBIACI0oFfXi9M4nsFfUqid8+n00Muns4o9Fig6uxAUuaJxTAOv2MMSQ4kW+XLwD8SLWaEa3yYAAOATQUmmhiaIycL4QpvLWzpanBYIYgv5fDyf5z2V9uHHw22dOXemXK1HinsN6dfPrlsYjcIkFEIgGWqqJG0dbmNeOeBnf+jXDsKg0Lb50PMVq9r5nuTZ3tb7Ghl356qVYZjJzRQeELCm6bzSYbotw1zs/s+RgSYrwQOcAdwKgJIIscOFmk9AMpLx5Rp5XhOazvdtFDvlOv3ve/M3OTyFqQp1tC1uwHASIUrKy0SRRERBEQhC8HBbLbq9CxZoh1jEATebvpXgYy5WQz2qp1Yde+wbBg+ot6Gc80rhPBAqyyVw/H1cQqiBDIByTcgnycg2TvCadbMnO8ST0dPzVe/HpwoGZPzN6OuCx2YOLI85DHohtMiMWcFQ66dggEBhxoM6C+TVbGsYDVKNKrfR2OVvccNVQCDP6rFXEs7KoEPuWpY7OFZ+9yFuwA4AEoFKwxNDkNgoIjCJ3aXLBEKm4mljrL3A3Az+l2wKdXdfjEevlYAzYIVFuIQLbbFdCLTHUzb+puipQp1X3pl3Hx5mklj0eIwi2aVQRjZYmEQvwV6XSe/Z+q6N5dW7PdtUC8WPG3ze8SWeOLA9IRD9QTjBMFzrU+6seXO7jrsWxrWYZVPfv6Tr4SLFc2loFsLIyvapHF8WuvnJeBznQBpAOd2uFKV6f3+mUyCnZt62ndYZ+A6Et0SVPJzd3cLoUKAA4BMBSo7KITCRDGQohWOGwGy/LIaRBw2Bb6ukAAAc7qITboVTfKq7QxskZVvc9CUSIdT2MtBbe2a6wH4pcss9kokF5wt9vdXLYyNjQrPVpo+05QQF8YEfVg2aJJbk068qAqm52CArzplDSHW3yPIVweZqIaJ29OGyL/HNZQfb46cya2itM46rzG6ACLM3XOUAaytlVJzrQoCKM7jJQMCozZGyMYgkEjslIGqsJWSe17rvt8Px4D7bFfrMTIdXiNZmGKsGOv/j924rhgIQGTc2v4yVOukwB15R0gcAEqFKlMZCMVBsshBqFR3asLayzWJiLm14sO853i95xafdSA314mLpZixjm1QsyTshkrdZZ5zz7dcybvIMsvEUCPamBdMNTSPFsDTUkFEztZw8vGnNcLzbpFV/N4yGjKa5xIZdop8PAAgNQXtGfe175jKL5J6IM18o9XVdkm/qYIoqSfKjx/FU0k+jp9ZC3a/lf/eeF5uw5OUV25FfOB3+dCHM78zUpgBzzrOXMlsylhzHCCQrRDq0kAUaqekXZU6dsucKwmUFcCDzyWd2E5VO9xEhQkrmosWoPZhTDU+efZzzwRVK5iUSEp20x5eNVt3VCAAOABLBSpDPRBnAQhWvEF+gyvJTc4csHTk4A9PtinIvuR9Whr80UK5biwHVPE99jgMA1MMNj0KNyWAVUktdgMkImmt4lwpnRSR2acAi9KOgz3S66VGuvResZzBatDgPXs1a9hL+xZAPxDHufF675uMN4x2Y5QZlINv2z6aAP4Ldi2IlHYnqjS2KMiQKXly9iu8ZKRdfj+q+lzhYMWmSliBJFo9aAcAS4Uqig2CiRWKaJWmclYnGxaOVoFSCauYtHho6IN2T0T+5nO3pnCtOoLYBuLLv1t3t/w+6dU1wV/Um2x7SQlNEjtmkNBbzuYsy0nwkuCSl19jHB/na0Rj1ftwgj18OmrYbrZKi63tuB2QRqcxfOzKXgLtLKhs6Ub8JtV6pq8AMWhcy2Sw1/rll+c6SlCogoWp5J374PN/+KOyvXBB72NK/XxXBDJhpkASqAAcAEqFK2MZCqJCEMUiu1X0fbVlFlycDbQSlhcpMCyc2qTv2Sc0xMconbr0XG6ftwlmH++ck6muHTfJGUPzdN08QCB2R5D2AQXZGcbgr6/gEu+RWxAeKrlQfQ/TMZ4J+me5sAriTodiu/zS/4du85KyzZHdY1U0NxYvOKF6KiS/Fqw6lEduAt54Bfes9Jk6M6kaH24fjM6oKCvjJmI/hSBhcY0qYvWj/GzuY8sx0hj/hCkRiBIGF2wjxUw5cAHAT4UrPBGQiSSJHriarJUL4xcGtXYLtAKCGfy7Om/+M58AJx4RO6iR4Oz2G5M5QxZAz2r3Ot+BooN0sZMFx6xrF0YilSga05tvWWhqjayyi9vOp3dfbgX30V01rMGUKHmSM2tcVVqb2JkJlZrmubx0BjYJZwyI5gYwb9w1kYAGLVAUd52voiNYAEtLDiDH3TzBJStevOkv8xAhW406VdV4GXtHJV4sYU68dnn9NsYHAFMFKjwtDksSkHVmuI0CNDV5qCBkCP9oNxzGM5S6jmzdqwciWuAJ40zY8HOkwiJJJWSJ8MCZnJ3lMkrmjbJopDZ4bYYtI/2k178igKB2eftz5nXyjymwhkBWIgJVKE+L1gVbZYlqn4cAYHBY+bmOjjuLIlCcPIZXe4zU/lPwqeAF6lnMSAFpTEYIsOb08oU+kufOf3wQgX+urYwbqtla+cjiBTEgDgBRhSpbKJAlIxhDpn0NLC92uJdhoCBFidHZqqy+CN7HI4Ek89E6BMqn5Jf7dYgZ5QSwq3csFzzACdoSgXJ72nTzG1hscEVZjOlD+ua+D05lqPgEvPZMr6hxDJQYV4BW2FL+TLJllseZXrb+LFG++4lKYPMbFlZvS64smNM8jiSIQ9MOQl4sGrpPcY+sAk7kTGUWKik5eHR+MPqrc4D97+4YwcBQlShrGQxQU4jqZxJBYNIuGkZAAV2es2wf45twnfSRvhCEgNE9sXmUyywjpNR1S5CjlAu7cL5p2jPzY5lnJEKYY4Jd/YKxr3ujHAptGasdHRfSs2y2GS6szXwfPKBqQbnROa0G+TT6tOMRgFD9Q9SQEyfww80GMG2Jpag2YpTXe5u4mSRgDhsRBVTpks6O9R2Yg8HWmCxiREPNE8vcJl9o8eRyzmAAHABLJnmGyRiUIq9FM0k6MvxxnCW47f2fvv2vm7N/137+fbPOvMBBE0CPh1xlUA3EfhFSsHAZsuJBuOVNj0wbRGiJx3MhSTzRor0Nrm7XhUHyik6JH+7k7N3ZsLMWQ21CE8QDVxpwPa9OQkzRQ6zqzzW1Lkj4kXwrfHgeiXFAJvzy7NwCICwihhiiTZAoszfcfBMeD8T3BN3Vn46CNDM0egttrlWNAqbKCRdYuqm1Aos5n4nA2+P/dyAGqoA1/1f+90vIBP0XD75N9GOWBLHEOlaR6oB9W7DhxD8F9Nh5Fr7/y53pFeK/osDcROAATbUrDSoQoYHQUKwRKQxGwSV9R4x2vVTz2stoXEZmqGn5XBaGdhrusrWyaTWmAQUWoqKhbgn2ssDTJQjEhaQxgtLOZqlbVOdcIqIHn7mq5NlaR0THOqtmymZfA+4Ig6g0AHC+KE5LrV/1tbUNEYMrjieQ6TNi1XcXwI+eWd4hhFYdnlG6nPvnZKePNRgPHITXxzEU/zf4/WFwBtLe2We8d78PyBSH7OGh/dqyC34dNMbzEn2g91yLlsAFYdIqyAOAUIUrOyKEhWEIUKK3GHEcShtvuusWdQtOLTDfQUf5yaT/x5D7jwvP7JTth+Qx9zrp1eBQe1bo7coJJFk+LPFtSxmlzYCN4duQ8ajrqkv30Fdb5yP5L0TvWJmK6KqMZKDBLGdTIzeHrTh044BgD8NLFG8i/aZOPXfdbrhBf+qlias5YIAAMDv71CEtcOL308XFfNPe98KIT2YVDfUDzGH7BXXgALyiDgBShSsrLgSFYSFEZDEpTpxxFh3zUL0Lu7XegZAFG54Q+MD19qM9Is+36ttW6qcB1mglYDaa+SWk7X5WXLh94K/wCbc5bgqRZf5L+mK81pehfUQO0sF0FLFU0Q+Ul2hIeDA0llAn0mRCdst8uD+UrXLCbINRUbcV2VTtxiXKPNMASY4y5mNShLl4hPB6Po4cD6KBzhPGIsVNcTFMWhD0KXySS1ykMq+C94XBwFKFK0IaiKwVgnwcXfYzlvThI1o6OjdgBD0ytScLJDgykuRP8yDmg8DW9A+YT/hyGlEgRSy1gKWIWw/b77j0TAIIeGr3hmN65cuP0RnYxovla91dplkziujs7EAqWjocduhUMkNygYqolQVHHhKBgQpe84yIAAfCmK/DFCIQAIycLVmkrPBj3w6UnT5UuALzozF/dljCvP+/5e3qBwBQhStUIYaDKABOV9OJqDN+ojS3VtXI4ilAYp28ho6U0fFs9rB3qJghpagKAgDGKwppR0E0RpplFlREIkcUBHZ0plfwtbGQbSipqhw4wNcoTQP0oMlWBYWBZIXrBV4G4L3IAKdHjuu8fy0Z3FsR2mDuhqsOgN+gfMd0HWJzxkEA+BqW2CYgH0hgOYAWtS1IjMqfAyV+KmqgY4zKys97Diw3TYAZLAxADMDH5z8AUYUrOyIExEKJyKAhC5l+WtXpWDki+mhOozzikAzsy7FL/H/oVNVVBo+YXhZgN7Y0nZea0DSaM4FW6tM4qovahk/xkQMbjKQrlgCor1Pqzp8M0GI5DRGZRCjtJIE/YfLZeShY+39Q6KWbB5j3xPJ0MUVqw/TO76+xaB+npml3X8fuh5NACvKi5jfr4oiSFTWLwfgLQhzupYEwOkGWR8C3QRvtcHAAUAUqWhGMhSSJiH1It2avwaTpWrSSIyMQA6FqE9jvc/VGgQufPLwizHLWIGjgHKkQVqTmmWvFeNPYNP0mFJmZVMhBsjeWXde2jU9V1xS9HxsMIqd9DxDFSzSiStt+O51/O4Ud0GVVM2Y6e3ReOWBTEaWqfjIwWm6jhDgv0uBXSJAt1I3jiXmxQgRdJcOCnxIWpqrymxZpaO2D8pULNNqYqzUyXDWBwFAVKCNEkiEkiFS9dWuxHJRNXbSywAJex6NFXCTvsoLk6ujbOO3T1eB8EqZobPLYu5I7TRdeWf1bUY5UM6OwKEE0p0WcQREn5xCnvfauwY4V8IJ8+8djeMtvkpIsmQ3K6w418yK0Ju/SixBzmSFi8JjWqO2GOEIIn2EEYyUdpnnYzCzg3KhSv0+qJzBiTXIBCgYNMVmsOaFxPz27fcN9agcATCZ6gpigG9BaCWaZkJfUPa74mf/T91Po4h/49Tr6fDViDn2oIAHj2X+U/849wfA7jfQmwAZx8x/nw3CT8X/p+ryMXmzrVtSqIupHx6WPpLVy52tOzleUWCzYNLGPOSoMIDG5jE2tk1ylKGzWUlrlCezi/ec9lb8xiNgna3y28AjMTf6NAw/TzS7wcY47JcyEBf0lv2nH8EZ18nEjPAhBXRsrRHcR/X79102sBRwSTD4ftV+jATUb91Xm5dPHA7Ddod2ayWovUvJyitBbqlafqi5YoQ1Og4BPNSpLERDDQomQIjAQjbgXN6ZxIsll0sFAi/csN8/cNr2zlOL0RBlzjdv6pb6SzyHqz5AjyruKPqb+V7FQzGTiOsd5Mak+1jU52wKpxzm6R041QfFxopQXEkKs3kxxscKxeKyaZL1Ok6OhCsdkTzZ1m3jJN/msGfLTFdS5sGTr/CFqXBkelA7ReRlk3/hfv6OJQYeF6DUMvetjmwQBlwNmOWaG/ZFwAFAFK1MZDkNhC0UbjqasJl26JFtAXgDTehO9WLBwdKZMFYh/i7jQut1rlsZRjce4YoEnXaGeA1AUzUA9lLVX1uFe+x9ALTqfuCdUNq1Z2+fhgej04gpdocAugsDZqq1y3M8PDkqMr9LBEIDs+ubV0yF5xz1lNUiMv9N/0/WfzT00SEbWSj8ENfj/aWvOptdr7yUIDT4UNcYdv+YLQFy1UaL0pMHAT4UqQ0FIZiII3pWOomuGhnBL4CcMu8tmSwjZfZTgvr0vbstR5YH3t+dQkN918VtNrgsgbyu8EhhdDcGiKWEwET8lvVu/rtiBAzWd9yoVc4ghkNjpABCipwIz2jWK2FWSzaAnUdeWey85wXhHPPy9UmRGlro6hr5acBiwL3U0JhPZ8QvIqcU+ZhUC6Hp/m5ne4ELWueZYnY+nqA6PMJCABkAtoA4AUYUrPBmLAWIQ1EJiKAh2F3PorihpbiHAXQwAPqwdp1FjPwJyEaZc6JOUsZn0D4jKv6f04inqaKcEyGBkpSQMLQdGe36h/Ql+7CjQAsILNRc43Sa5BUAGCymBAGPZ2MbIRVjYmp/2nJyjEbhUsJd/w4eslXTt4+ho+KcF+/th5ebSQX9KMLcmjsAQT9uSEqt+wpnKtFUJzECBxgBPqJX94VqpuAB8Up4AUZUqbBUKRTMJ3qriM+8R5N99dE6hZdSSjdgBgxHei9msXBfKsaqYrChadEpAiRr1rntf1CzcIke6/njM6ieeuApyoRwRQQoz7dAEyThUCtOrODz1RhsT/rBzkcgYgco5ONueAINhdGwZh7GDQtz8mr5/6Rg4+KcU6tHbsJ5cUaacdDl9tIABxrOX8IQdpPq8f1psC8nP/j1vN351/SdfRv6awCIDgFOmTYyI5WaibK+QkjUy/X4efaLu+f+z4cL6s5/8OHU68zo//b6zjrzw8rJy7k8CXoYAxUGi5w8BGlGgWQtA94lavcvSJaDD84ISmdmwa+HQ35sz2sFq6rtun/8/AfqB8Brzd/s+weqLL5ZW5Z5dVSDbHxpLyPo20YpeVy0PjP5O/6xG9PGr+cY7fs97BvHi6bxPeycOe2Pd01F8iRnKhCTdy7byX0xiuOkKhQCZz2azBqZkMK1Hs5I1yd+WLrXt3IMZ4AIBmVumtEGmZDK8tTb1Q1Zb+uSf/MoUzZbsVFt1UtC3WPjTaBIcXeztoNHNCMxvuvrIFCr7igf/0jgAUbUqOz0MI0CohO2OF61i2hXRqyxxZgAit1bevhCNBzl8xPGWLFazrFou77JNdNHmzfVt0A1Ik5DDng08IVlfXQZGyO9jkAmQhX5liuhgCDloJl99hJi1RV+JlJGIJxQoKTADqzoOKlO6ax1pW8vXkj1tj4+gLTtlncimRENh1Earx4IrOcs0AradYM1O1X918BSqfa79JKR8LNRiEyfezBzwFIexDtF+jzZgcABSBSszKgiiIxmIoiFNXqS0hovHSREsaHKwKf2k80GWO9JvuNmdIL94c6IcVul/WgR401LdJ8JRsiFE1JHUhWdhaIxwayYQZywoorTUuFQxjq9qBSRt8Xtjf8i3J1T5UJmCGYQ8Uq6lflbXBxsCsv6HpGtnRXlS2tcshp8Xjl/ZtgAKDC9R59Xl6UVcgau+YXuxOYSeLgRhiy81QAZYQAMYDgBTBSo7IgaDYKFIhkEwHTWmmZ7B0SRZbfAbsIvQ2rufTtx9QBsB7+eyAErmvOd2cKfNdlHPpznOVQMVmQQYAXQm+OPdI3etonbhXdK9Gyk4Vwbofku4HCTFR2GMBFQg3aFeXLAwYMavL4Mv2PS1GQa/hIa0Xmi8xUFgq7pRLkYvc7lV62AQY8bb7c6809e/69/zqj8oVVjSSm7nwpTdlxnGYauFeU6tBcHAUgUrQw6QImE4kGwxGwhKw6k0Z0XFHC4VekxpGGgZ/3UqN60Of2UfN/3DsDD+8462BjdETq6BEOGrSKL6Q73ofcLRRdYg6cFW8NBqwKcg/g3Wm3jqf6MoBAFFF5qaoHL+73Nb7J7Cp/r0e3yNPdNBVZFKTbdX/9vkwF5RAjy8/roAgLPjuFqvQrSirhXRXkttLzS71kp6EteUXIAKJREFcdSL+HvhDCTvYEyablEwMTUDeFtoGFVVeEua2dQ7BB/j8utv5ey+8yKBhuJnawdo/6gDgFUFK0MWgsOAmOBKEAoUSIISlpHB5eLF489HFLJ0by7QBJbwp3jAO95HOXwx32UxQ1TFUArowo7OPWED543gMdW+GAHDBAu6nSM+hof0oCkKfVysAXJpsJyBv16H6tcbyB4RR0VZP2ulQXlW6zVmcolvLVxE360QU99Rw91pvH4X0l2irhRwE8EwFyXUOpl3ye1gXNF1lYBQUeNAFEwAnltEgU0whMHAUwUqOxqCxBEwzGKCEJTaTq3SUA9hxpFymmIQI+93nvbOpLGhhCWG1sK0m2IjYmg9s9qlNy2nLaZUyYCJGzPWNNnDvefCAQAivpN4qFxdh3SA77ngDMinSHqOf4RX2fxl29mLgQYmJTw5JT1/63OWOPPPx+ndVwy32IzRAhYT7GZuPwQ5YLXD9EhzYJgjeepA5RrtnmX4THKkrfzy4QcAVAUqKzIC4USIUEakDz06GLhZroFjRgCL7a33uXZ+Qq1rCjenWu+qR5lwJc5ycONf80dvXAPBCTMSVFXq3G6nzfQwCr956dyISCW3cCgNeHiz6qrMIiuu3NH1H6YSynazW5gYRbzWHDP8/+f0i76m56L0i6BqFTlKeTrSvOwQCYjR1bWSzudrcW96jRz9AcYXEOICSS66JWGgWAOAAAB7G1vb2YAAAAQbWZoZAAAAAAAAAAGAAAB1HRyYWYAAAAcdGZoZAAAABEAAAABAAAAAAABkJgAAAClAAAAzHRydW4AAAIBAAAALgAAAAAAAAClAAAAnQAAAKcAAADAAAAAowAAALQAAACnAAAAqwAAALYAAAC3AAAApgAAAKYAAACYAAAApQAAAKYAAACqAAAA3gAAALIAAACzAAAArwAAAJcAAACeAAAAoQAAAM4AAADQAAAAngAAAKMAAAClAAAAogAAAJ4AAACbAAAAowAAAKIAAAClAAAAqwAAAKcAAACdAAAApAAAALoAAAC1AAAApgAAAK0AAACiAAAAogAAAKIAAAChAAAAzHRydW4AAAIBAAAALgAAHoUAAACsAAAAoAAAAK4AAACrAAAAogAAAKUAAACwAAAAqgAAAK4AAACiAAAAqAAAAKYAAAClAAAAowAAAMEAAADaAAAA9AAAAKMAAACsAAAAvAAAAK8AAACmAAAAogAAAKgAAADrAAAAwAAAAKcAAACqAAAAnQAAAKwAAAClAAAApgAAAKEAAADXAAAApwAAAKQAAAClAAAAqAAAAKYAAAD+AAAArQAAAKIAAACpAAAA0wAAAKcAAACfAAAAGHRydW4AAAIBAAAAAQAAPj8AAACcAAAAAW1kYXQAAAAAAAA/EAFSFKjstCkRBidAkIQqvizXllojb4toWSGqAEXrw3m1/w4HdatZkK4ixJHxrvNIUdis3GK4z8KLXUER0Ua4mGWYtyJ3CMFgm3xAvyagY1bKQCHKm0B0NsGtPGRnMzQI47M0OOkFvSpu+FtBN+z1QbYSKyfxXYip+1Z6dLz+fRcEXDPPPS9sGErKuTFTBx+n7ThT6NaVuJAN65dTV8rcm94rEMMPtWTICbYg4AFMFKywlBwFGmUiCFCz4cIA6TSXgtWpBQBzzH8ccD3Lvd2bbOXo15T8kzly3byEMOA1N1khRi5lUn9rjrdG4UVR2nWRLF0V7UjQutlVVwqyYie8bPZ+17WLYVLyQ18dKBZM6fUgVSJpAf13rXd00DRLmvMgEtRSY4pEZQFatdynuad609yAC6lKTRxxhbU3VkNvm2+f3uDrR6HL1Tk0OakALCfHaYJiGB2zPKcgjEDgAUoUrOyxEwiKgzW0WlfQEY17FiA4DJAH8/J2urWLz3M7KW5XgcgTmkBJy02dUXs9fTsun2gWJfcbZYaSpvDOvqx9Or6d+Pwq891FnVgY07a7E4Epu2m9UYlqQt/qe3BlLf46ECh7JOPoJxjeU+LUveHYGpQhS1LllPoXOoVHMpTs6UoBYpRWC0lq9rS+46ykc/xS1LJZztXRo9VWUeiyqF4x15aGsc2GYDgBUhStLDs6jsTBQREUJJI6daLWVY09jBWpNMAuVPgCEAQSTHxeooD0lGkOm/Mtl7o/ERG82hYGc/fj4ir3HoZT+h+MIw8/osHombGNKna1qKRMaYNNulo5Lhl6bj6rUHAWIu+QVOG8Nz0ent+ijW2vf+H4h0XWYPpfVX3jV8xO1qhiJUP5gs/MpnYTxe8qzLlkuJAAqyVKzQJwDdL2CMxssENISL01IsAAu3OsszLDob02RoJjhktG9jnMNyWr/Cb0gNsu6nr/np+tbl/6PESXKwx5JgGosqxFiu8XpNDcAAOAAUwUqOxaM46EYkDARCwjKwUCJCl7H3xfMQe11zPq84pDrMLBDcY5L6QZ/6SPTlWDR5xcRMIfcl6UgVRNEKIw3J5zqck+maRGAQNEOyJq4+PNMQf4hjAAxWFEEyTgklIQ6CyRpFHIv/0sYgPMQXCIDhHsOrPvFwLavLBk8FQQHAUEKRfStl9J1i85wz3SV0n90bzstEIkYbeXovpX0rqbY6rgEMGKZLVEQFjYSWuwNkl3OwpqxedeN3EQCfH+lNWdH9QBwAFIFKzoaCqSAqEAoMAoESKISmQc3pbaIfde+l3esrzm4sDMix45NUifknuLm+/my3E3np28HB1i6AJ8UomvaKyRvpv4RyRyRoz0bdK+/8xYBLaZluETKa15EuJq8X2/d11QKmCgWQbu368OP5qzzZNm3cb3QJeLUkybQlWo384ZsNo3nslly7AAJSGrL3hhLE3N458ucofWYKfP584AA69fpmzY8X1hiA4BTBSpDLAJCYJiYRKEhjm9SOpjlnWvo2+DSzTGNFypxhgSCim1WoQ7n1mBEIj8Vtha0kXAiwGsawtMo0WHFvdh+OrbXNU3Jqt9kXsLGRIOXHLJq9k2xVh9Odu3/+U5YAyASILEhWEU62YkChWUpwmkBQYAzm7jUuINTpgp9iQpYOBGQQKUmDDBa3jlVOJN9S+w802fpAgM95FFNMdFsoEAAuS5Z9c369sIHAFIFKjwpFCZCCRJlZxfGtG8F+Q+GNEgc6gRQfjR8sTrzY5lLS2woRnCaKKqizGoDEImgslLye2pXq07AqLLEE+hoyLa+mW8PEjzAVhtaIUFRfOtSCpTWLudqnbxg6pSbkelBgqlyX5qr9MJYPCvSsd2byHKvm98ARMtmSHknAW/iu14aIKpy2TTqKNQgpob8FZNCqUIK4KC6lBRgAC8LFnk8P8fVasQcAE6FKjsaCKNDikhCMIpa1Ujf04bdKau15KKWEd95psOeQPXISlpMcLWVeKSi733RWFIxG0bk2sQvhsyGKuWCoU1fQvWkPvJzhFUEvTCySz+023i/eo3AAAxAL/98Vj/t9yVZQnSzHGE+2EM9hf55pzbsHpMVb2g2N7RAzPipbX8p6+225WsxZqRO9Xf5w4TMv9pQzGa0+1KKZ9uayDfOFV7lElwcAE6FKl2KjMKjwdhIMQtwS5a29zR0u0NNRKlNxFyr8+QOACQN3SunRf0jwJUEvB6WoHeFOPnKN1Ua1tzxOwrhg0w0l/oruVKJ/6jfWWuZ/mFTjrA/qE84lrxhU0sbZYCxL/VTMyI46gYFvW5turki7e8FIQ7IFJN2+t9ezjl6rFmvF/3+V1Hpn4+XSh42p1iymwl11BvqaIpnX4N5KeZN6o8d1G5WSSr2HM0b4iLRGzBQxsEJioyTd5MCCIxJ2+/vlfJMq423S7DMxY9AUeEcCbMYJUDUcqBV8gRoIBt00kLhiTjnFZ7Oru41x3Hex6c68oMi7G6oXBHRcUwOQgynToPSF0X5lRsKZ7umUGVJThSXunrEtRVooy6/pfRcTu1EEF10X/qNcQ1utTQg3dSPcMYW6ueaUenTF+CIOABQBSg6FgSHgjEgTCQZDQKhWoLI9935prUbS3VcMA1YWl3O1tsJJoEmvKt3n4LdrBorVJrpOws5kaiZGVstSA7EJL+8o2Txd2qzMKFQWnGJzLarJQy5WpDSaftbonM0E2uzrWtfnpN0KfRfGwDskgXyz6rP96XF88y+Lr3X01GACqA9OCW7c8pY6/nYw1ym2LJOXIbYsKs0tqsYkx8n72lntYjZ6ayiKZVRoIhNLaF12RzzreaLHN/N0Fn5jmaLmy2CekpYeknmAGNTQwTXlf3xGYClg6eWqM8gq6rkvCRvALM0Lw76p88HM3t9+QAcAE0FKjwlCsRDGokQm11ulcDnYjRcSNcoBc1BsVgF5DMWOneS3ctqSmpRnnQwTiyQI3MXhXYH0RF4RkPCU0d1A6HsoJJCRfDoel4ne3Z4KACoHKOVPQbcLvzc2guPVa3FJ8pRxo5k78Y9iAyy0bNu7vgxhcMFVJQyRu2hvrGszv5fRrmz+dtFOv48lX0nDghktEWtZVSyxHp3btPVcefo/CA1+iwa2hqTcc0QEqamwvAHAE0FKjwhCwNhHBmacbx1TPCaNVzmy3W5drsAio1iw9xX6k6DV8ouizDcDCgGOFl+IShCEj7apEIxEgd2T8o0cbF5UmZ2y20CepxxJPFgWkMugwW3flTUNAG5+Ukvh5sE4A71EyQ49ec+r/qteWp1rCBLXhKfP6InoZ9XzOvt++1y5U/qdTPor31dTro3sAXJkJbqOzSJLSy8QSVRtKW1xVz6us0b0L9Dy9K5uLLQHABMhShTPEaCEQCE7lI1Rl9j2OQGtYvy0oXKPZ6Hs0mtdD4m6jGjMZOdgOAbIRA2Rxey3bfwWeJHYAIgHsZWEotc7ngJlMUFgWDOtLJWgVwxmFs1XgaUgZ6OykbXKKodxDb1o358uiIs2kZX3J30L/6zTkw1Ca4tPutjPiCncYipTNxjAEfdaiC3S9Y4Mn6RTYLOqxOtI18gDgBLhShyEYiFFBEEQNGvHDfKX0w2q1y2nRI56AfN/Dc7WjsQP1+p1KHfLEVOGYlYC8qMYwZUdhRT6IWNJZv1FPp4saOU/J3A6IqM8SVDlbmxXDdNddfkBjv1ms0Vo7DYmncdWgsqo8MLYOcYVNrjibPE+EaRlr0+LkLpKdJwQyJgaavCvF4j4U6W0UISFGVXEwH4KUcfgdJ0hyuLK5RawA92cDgATgUocjTGQRU80WZxo7GmDJxEW1d5ZgKhqLj9r+ygn4EdmvjPCowzl3N62iVBWCGaziV2BNfys1IugsDa1GzvOswXxybgjf1l5QEXuOmvhlhVBo4JYhuNgIVoqrDDc7MNO0KqWE2VyUeVpZUu1IehvSS2UuVOcjwPgDHa4ZuFbBj/nPLfJb9pdi5f1efhK8Ku+iHeca0uqpu6rlARA4BMBSpTLRIkIQlQEdKEG9UW0kNJRAIP+OUaHpXRc37fbLg3yGIfBBEBkkWQBXkNtdmn1JXNXu5gmGuWlCSoDoSwIe15kZAIVkptHWdU0lWot/Oys3P0Jlm+at+4qf0+BI+zC6lMp3Q+3qFLxbzgTRZOfbekXtx80BwQn1q+dttllxycyAFTE2FMu3V4bRuj+fYpEsJJ8+H5gSqfgYr6/fSMcnKf85AcAE0FK2MdCkRAkcSssadFBFMXI4aEtlSwI+eCB3/pSZEYMWUSk0sIBm0SgnAhW42u0ZOPLEHAykEt850NhJ6eTzlnCyiFy/YI7CngVkbLJMzSyx38teQWadr9cursDt/3QaTyPD9FHiao+A+ftafuNOgTIc/CYJElJ82JgmttMqku+82tXEHUmA6OCTIff2AeEJdplpo8ECUAHChBHMjyiF7iUqW1nlJFoAE01DdK1LsoQ8sL/LzUmDgAUAUrSzUMLQ21LedX3IZqRd8CQ0YqAP3ZZdw8kqHnXYRybn3BZ5mFiW2FNAEJq7GA9OuavyVMwRICJFZmdEAJA5mLY+DAThcQEFYCDIlKF2a2OEOSWRiPZWqNckUdXzGYllIumyo61ErLJCMBUz5r3za9SvXLDyPFK+DUr4RYl8ZXhOTX1WyyN/zshSf4Qw8YtghKDvhjBJ1pElabn5CeUDgAToUrJCUcSxGMLtx5DTnNWsnBJAMALURbabEIF1I2usCcjRG9HmggDThGrASaGBNBjx5JK4v+X098XC1AJrKQf1Oqm4yrK7d7l5kEwHWYpzqFzbjlgeVa4vQu6bFFdpqz2QDPD+jvYyBAhrn1EswSy0gY7wdSdyZgQnmBlcy0hulbhkA4px9Kagozl0/uDRhrKdCLkpvhblwjJzrVHM+qH469QHAAUAUociSSKUKvPpNaTCzOkDTUKFANcGnVbH2q/GKjXwh2LKITKIc4qFIL0ZMJYkJbZL6/wGCeX8npMr0GHxdc8jfEbZuFOqsuNiSzQ4qN+9gsQeXs3POnMsAoUIFiRx4EffqkMqncAJj58drb94JghsfXLVzVOru/WWr38+CyEd3axNq8KInqxoutKV+ljxxpxa9N/dC34PDDJMHATJUoaiCmAW4Tg8xTBq2+EtF2QwC49bO47KbUkhLOimiknSKmwwnUSKQwGBMuWT4DbwOE6GuVuN8omARcfZCBn150iEOjJzW2nVNdEpQ7/bmZjUUnpC2aJgMf0mLce2i15v+nUltNDXnIljxbJUV7DaenxSoC/mUoFjE9PRExf/Dz1dFA8kG8yvHFULDooRqQhRMJtEuBz312N+m+XsV/uABIpkui1Sia6ZAaLpKxNwxLVEJX5e0XJvP46i9Hx2/p479tTryb6/48ufbj66BOtw48gfXDUA0PQIX5witVon6otepO6mXkXX9gbaAPk5wMehSJiIq1urqOkb2VcOM5YxMZYqzCd8PrDEOoPPq8f4Ney0Ro3EEIZ6/X3WwN5tAaqYi+4X6qs4rHsfyGp2dOtgrN9cOz6S90vzqc1mm49Xs+BOzJKBmgKfkubowmGXuCJW2uzVuhLMgRdEWKKBizoGh1hIPYgoYXuQWd0Esw19bOAXWHrFZqLJ7cHB5z9UQcBfrUGKKwfQVGgz73y6l5BpMaapVf2HigfxicAE81Ky0hjIsSEISueuYb66LQF1eeSdMtooAi9YuwVhkzt+K6c+u6K5E46kpZYw8oGyQv6xnm+uS2CshUtNs/jFOeo0wvVLohnN9pX9x5zpRDZbDT3NRRD4gTz9Ane+QIy3eMPSimaLQAPvwW5hEodlRfQEbqd8p71hV2qZsOMPjcqjMoCanXtol8PnLMJLv4yf55kb6WCumz8UrFfnjRK0HydTvOi6z39CjponKual0rgcBUhSpjMUhtSEdTU0XiL0uNQuCw3YiqVfE/QOfbk1/eUH04kEUF3EJJT1iKwyl0HX1xU3B52pImAGF8gVb7Jx8GmATMIBCkkWGS2RQZiEGNheTGc47sJBYCWCmLwQklMuOcXqPTz3r29lVm1ISbBvpdurr6UEtXtuLiUCMnieJ7jR3NqgANTrZ8rabE42cVuUQhWd4cITgzTtZr0uwkwb2wHABShSs7HITDQ6jQJkE4HRLuYcHVo0bnBLsZYFObnNxfg03zrFkVURX5EtsjkC1drPhwY5spODTipRUZWeSZ9M2S09XL1iCLihCRetb06x91pE93OWZ8Mb1XSp81wAOIjHGpmfo1x31Km91YEAKlBxDle3bQXuGPDqAEdKKnr3AASx3a4xzR8ddsa8O3e836zJq/vlk7/8F+GSdPfGj28uWzp/gDgFAFKyM9DmFBmtv50vzwi81GqPLQyDhpB3YM3nmK44QGRD3a80i6GkI2SSUGxuF6QJ5EpSeojCDfDPw4yeTHwKy1fUIhQd0SSJHAffsAVJ1YOjAsLmAnKx7bvCmykgeNUiylVls3h5PhPVBrITQrRPxT7ayyADj9Fwyp07iAWgGvpcKm9kR3lNCWzu6rFOgaejU4IVJ20+r6zt+TqgFrgcBSBSsxDgaQNRCEKZOjWnEIDVxoNC1ABus4rYLYiv4l1RnDUpos4tFMX5z6Sc1PQqUvZqQTnxbJN8CBQD5X2Md2jg9SmK7FC9MC9NhMKOrzBLMBF2K6YbHCVz5ztqcTNcx1tqvh66CiO7x63ZYp4EcuVwpWjq0+5cdJak/mk1jbcNK9vnzFHYJ9qszjmcJKu1bZa8yUIl+iZDfQiqTra7U+0urqBwBShSskKRDBQRQeS30My7LLsnWFrAIAWDSUI7ROZOE4qJITsToDmwaZugy5g6Tx0AHQwlvLyN12tF6qgPl/LkZNwJAaOmDGAzFXnzuTSVSdU1/nmJCyjnwUslcS2mN4k8xQWuYqDqE5mjKZCQC0B4oCEQsubCsrxOJUDi4zCCzyfbSurHp36ens86xctyhUSaHwLhs7rkpoN3KLDFeTa+hGHRGf9EAAOABQBStsEYdkobBQsFUYacdVpQKmrOIm40qylS1yk6sSJzvR2ylPDWv1uY/k7K1R0wQWTqiOe06GXUja2lEMBL4D+/91otO7bcBqnI+ar5/pb1hOd0IGY3EgO+hHJY4OYNX278GfkGAsx6N2OHu58HofIlMCU/iEdd0bd6i8R6S5o55zuAnBV/nqq4yYDExBs8EXibVBVVuab38OC9ydFXHjYM4M4vR4zN//PsZFn1+l9LhoJPl/xEqU5zwhLYxN0tfRPz0IAUviL+CxYKznJy0eCDb+oOLiAdkH/DmP+P+ZXtZ+Tlxs/1hu+QIhBywLKMCBt4mRq1FELer2bKrokaLNxO35OotwydttYvbhmNORQhcxjsPOWoZTiUEXJGHA8WSfBJaGEVGNof3fT3arDWLtqdu6IxG8EqK/l+X0f4yABwBTBShbKsLEoLIUQiQJhOtkM3fw1wWPmdNOprI3u960Dk9BIqm77Ktjc2PNjs1QZ1nNPRAU4mC807s5ilVhDF48V1/KeaTy0PTYOpNlf70CpqGjmnOkWQi9e7ch/cNIO4TY+bwLDtre3DhBh5xvasGBzYAJ3E7v5bGExhF++2JwyVGW+K01sACJmS5ALVRMZCM72P2PlCZwEGDAikg59JVXMqSkSzwkoEqRfIKF7dlEhwUrZY4RFcap17jQkaBDTOETWU9uIlhUhkri0mJpSld05a9WpVe8wmM9qlwb6KQAGygnqyqS81ZyFFSv0nraA4BSBShiIYSEYJlIYmZv2QLjfSziMC1r0YXOArY7WPDTzrrDPB8sxxZYnryXL20avXSgV3EhN3IGCdf/PphCqvFYXr2OzRcCjy3Dv7WM2eCxKGyU4vjbOTu9rNosEajBXYGC/j3f1TFKl1rDdOHX9N866J0WTWABowmcfMtkKAkkGXkebRUf11t/ds8KROYeIAALAFd0AOAAUIUrLBmQQmChTMRAEIjkEa8wTfTQmqyzhoQBtcUA7jZzwu8m7MM43m12rkmhDNsUTX+uc5GwD+Y0tZibGNQrqszxsYLYLvvpgihrG38c2tq6jaQRoB97RHM6egXkXi9rLueBtg+N1TqOHzl9tlytuwZep6j+k7TE1QAWQiuAAduULGgoaQsCdIXjjlfyc+MNPxuaF6IDC8cwcABUBSskIYwCQxEEhDEiZefRqrLUe0jpkmI10UwA07oBX4GV+8QVxu7XLLGdM2STS8Rrp3iBIXaCd53Pk8z3vY+0bHv7eHQHpZHKlEnhQi5F+4ZXyllzRnHNZRgwWJ6b7YDugXB/cDrVJnIN0sc7qihU0ACGG6dqgFwl19/UwIMJv8Q8ozBE2jK08QqomaRlqHaxa2yMwOAAVQUrJClIA0ERjYscW86Mcr3/MaSSrw4KIAxj5kuwDPq4+SfSvhLWcZIkaGOl5YS5vKvJPw1zhBlhc1PHVf08/0ZEHvBZAr0gUycsIGGJp/POLpud851SJo4uGDWPqtxBjlLrbepPWE9ugB4+HApbWAAFZKXrvNjj7WlI8O8WcFeAWCiwBUtersVQcABUBSs0MQbGQpIEIp5X0KXWFfF6cLIc9IAGyU/0HmLxx44teIYg4w16YjGcXLoKioZdTqtXiel5k6bw8eNItE8s9w8K/TpQQU551GL3ODbvhjxSUlmIWLhQtZxKLGLsVRgMu3UhwSPl7Kr9PlW3q33rl5bMhznTKaVpG6gQ4PjkoWff9BsJyPG9HdZXQtIIeyYdUeAmYL6bsgDT6V/b7bVg5RgYYHJwkgbBdm6zTS1dDkv59nUNALYrnf+9sowE1gAf275bTuosmDgAU4UqXB0IwUGRVCgRQ7lr600wgX0QdIgmjegCmq8FYwv97L3NCxRYJcxKHBSFirRC1qMF99bQhTh7mC+toXJBsnvlKnGiNSx1KxHdXc6c+mIDix6jCckETVeixQNocq9+pEmh4JPRQkARwVnX9QfK4Z9CSevAUz5te1n5lSo0FzmXKnyiPXs9xZNeoiqFWIEgCm3HMFbohnogUIVvr0TAEpg4AFSFKzQdioRgoRTCgi+LdQlO7zjoscNExpBYBTq5j6ivv9NE+Zk+aSpZ8B8J5RYYqRQYhtG0yGMAbAsOa4TQsH/fZ2r90FJc8YIj74X7PrLMVD90tMxC7rG3AuJChdnAdTdXgzJt1kI1RRYAzQvaNSIoSznWMVnMds5TTBkC66J7u7u98diJTnK5qcFgBWZQp3unAMipSKn8RChLAYUROK2TgBwAU4UrOyoCixEghQYa08lyBerLOhIRABnIZCyLAHbLA1m9Sn8UoBAglKQKUH2lmXUwtYU5IUlzKQj4NoQ694goLccA34DvEiwSmL2lCtyylRe6joUTjF7ptAy668Yso6Ql0dqTYAls6LvWRW1GgQGMSMPUccmGHwFj3do8fVPtp+5XvCZYWWiUFkodrxsZlfgYIq2x56eIogmf5/arHbFX0f/wR/+/3ZWtwcBVBSssHYsBESIUhpWaeydIKD4Vol3DnpbIAMasHe9cybxRaHQc1ejIRBA6UfVsEztJXJZN1SdaIWFJnfMwQsB49/L/BfON/4FMhz7RE9Wk+OWJyA5e5GNMqnyOk8NJqJiDSnju0ydlEreusy3N1h3OUzOSIXEkFk4SYBAXHsfGebcc+/0G+sBQZ8vRZS2Cw4+PYZuiU5Kks6oWok4Zcnlt3Ti37eQ2qNdoAcBUhSszLgKKMpHELLvzc06JGZGruWsaN9AUAxr5TQGjvZjllQ5rFFutSt024HNNfkHEdePGweKxZFwOBzMdEn2cxqUyy4pt15YUAzoM82Lm47IgKHcQ1FfdfSng3mgcfr0akjG7GKz4FgSmxkePB7brXK2WzoBEuT/BRq9GAULfAUOXmoeiXxh1g4d6vXwv4EFBgsQs6xHilx3T4a1mbaF3cPdTNEHAUgUrOz0IRTGQhKsfiNLY3xCaRIai+dBQDeW+ItNVoejUs4MjoVTOwYLKfHZ3W488FWcfa1kARIFR0VvZoXVn/2P/tBSCzlchkYEFDgFKNAix29lUuvSyWMWhQv3W5FKTBjJm7jpCQZDHmX8Ob0Oux2uJJQpYYKiBxhwuVXzr+deZ0dXSCa0CbcWNUrlT7KFR6yayMOYcZgTpjnDhplfFqkd2rnTtWGmV1wcAUYUrM0iSKEdcHsBhFtQuRFgAGzboCJyD8TePBRoWVA7jr7M8tF1z2LRh32ST3uSGLZ961XHVkr3WDoOQDWDGgwMgGGUps8seGVPDy89M6y3NnlfLCDCCJZ5GGXXJg0R/4OrujiuovtDAAcdSHUBgvn7tPSoAjKc7u/p+p6or11hDLlkLpSjlC+PfdN8eGPNZTfFXd+UlVzZgP+269LwpLDw7T1zBwFCFKnWKjWKh2ShQNiOEp1NeTCvOxaNL1WkZKmSIt9XHjyAeRqbVFLKpS+e0+dcleqpZ7ZmvOO17Za8su2jesMpp09hcJP1gpPVfifjBMpCBlSX9w2jzbI5pyjqfB/hmTnqNu4bV8qyeuaNiQExZLW1BZcJAbPskvoPqXS7BnzE9e8vZsmrt01QosW3nYEYKVLzdC47ZbH0d0/UF4pqiMZu7AxVQsCvnzbao5P+v+u9gxPdu+ZAivycn8nH0EY2a9SRwpGIwCNykWh6sDCFS/JFbpjqh2XB8RGh1uuvh/x9gH5K5t7qlkFjk/gXLjtZyASfSbT67siDXo2tAV2PKDhiU85cI+1Lrv06W+xeebfVX581xF8egEdHWHFfoDEZLWyCVISgCUTOiKDDvOsN+RIkpUQHCW8twCmk3yR4ItUzjawo6ZaBmpzVu1WrtZplYYFaDhxI5LMAiW3Bbmn23WvUvGJCqvclznw6Jw2e2zDw8uej78X+PuvQagAOATwUoUgqIwxDBWKgjSpdzShfquUOg00yRwIoFfxEq2lfz2uZT8bUy8wmQTFa7uNBdibCGErdmOPANdlxbezgIiWVUR/yvDz3v0aMAI9+ahVN6Xtp2/kTsVKcxc9G50M2/bk7m860znzRAxQmfgfMs2A7nggGoUB9tGKUqweeiZ0C15ARaY8lRRJUZbGcMOv/NhECVEf7pJVURPyWiatFW0Ap76UbAkS1bUdqyhRquic3Mc7D85swvvYOLta0Ja7RiFJ00pT1uyYUeGBZi6b0HZ+9e4DgATIUokhiIghWm0aVWj5dmtMW4aI8pTjN8Cyz4/F8mDlR60ufcTUUTzgCEiNEaxQw0OLo+qYRDs5sS5+B9My3OGJU5ZPUPstV6APqW9EN1Jp1zweUj1qCyYRAAUosuUktFe6bM4gAF+Yfit7mwNd6UBHbFai6ZNSlgoAA1MNe8hAAuccPG3HYiLgMrJk8WHxGU3+EAI+aYOABMBStUIQjBQrBFgqfP0OueWUp0W0uGruxGQSV6qTQj6fkNZNxf1ZNbybQ3MsC23D2BAUzAKsAgAkAWGEbeTISrYuipoXBCgDTnnwEGJfTrPI89Uy/IoUqRaMw9dMHEOUmFMZpQTJnCqzkY1VuQmR7k9rmnw6ZEpUHr1OBlW/t8vw82/fG3hyRmkTPKFV6yFEEqThW2ykv50eD7YZ4Z7jpAtFX2KVmSsvDDb2CiqmaYHABPhSs0MRCkEpDEZ3La0uHzIOHUtCcSNIYgRcPwA+QhywKRyZmQXfypc4EV7EUkkKAElFGlmRekiqXz1b+lu9IK6vC4g6wPKwacOE51xZqvCa7juOdhKftn/MXJDVEqva7mPvPmiUFRMmrGjHMyhAsC1sJ41mpY3SW2cMJ2u+4iPXP24WPT4wKRXrXsmB3JNANu1tZ+sS4CE6SPWWJKXVnIDJkn2QzA4ABWBStEKVCDMondFvOlm8DUudNWgs9u9YABXkKl2fJNQCPxyKwr4A2noUC1GUyeEcsNMzb12js0sP8iynUhJPYBSO5ZqDgOCMHZkqOqcVUnHszigjU4zd2WplUYhBg2bxp3eyEXFKJYQaKCmoKY2y22BNN9Kuz6uEqywktYA9DiqppfSwADi9x89XR1dQnOXDF+HnDMcJSy9LdSjR8q8/Ri9GLsBwBTBSs8KUaFVABIxhFPPDXT3d8G/LzOEOpuR0UAFeZtpfqLWBFABFIKWLm4soygSEILaf0kztwz4s/wTGUGLCOEKyQGiS6H4dsjgrNQGI5mol//tzLUq28o1IMqJcQi9WVVUg2xjBgRQUzCrnBK9Uhufn0988/pxNEhCoSmsNdWrgAA+6ebYpc68AAALr7U4mw7aTq/lLqQljpHtr1BpSNit1vSzuAMnDxd1+f8n+ax4gcAUYUrOx1FAmGgiKgTKQhK9Zc+o4mJh5OjhoWZHTIAHmh2v2xJFDDPtkLxY1keQMDPOyXbhz/Nfdhy7UrUF9IwwpUmmtkeUJRQMBCTo6f1xNDFdYJFVo4zcyjDSqdH91Rst4eOSfpgsC8HAVQXV3T7h6zo5Oaq8Fa0lrt10rF8UxNIH8nRoaXxYAA2GQhSUrZ3Y1NZKUwgmwVRXy0L+qEqFqZKL9P5dP41+2EHAFKFKjsdGkQxEcQhw6kLyZaTyuNLLK0ACH5w7iY3fulbLeI13KgybiipM55U0NjT1SxeE9b3kmquAszwkQU0rJOS0S0hOsajOBPC2HiUJFT5WLq3MhcZnMj3nTE72OVY308pxwQpOYy3BXOkRzWoW+zMxahONvVfX2leRKQklIRI9GewazhVbz8R1kPShvCBiXF6L1mAX2Li1WeUA0+0sGPs7Sx0f3gBwFGFKjMxFCJBClir9t8dIrRZNItZNMQUBD06V88/tE5opCusRBKceIpElWl41zCTXx27M/XJTDEVKTaNPXxopSBOQJk8++fCCODdBfIZLk4G7ljlUnBi9a8+UEoGXkVNMdkhe0dw3PjCDDvXI8JDko+NLhRehSQUeN905LRE0gBOSNz0sXeNnSWltSlng+S+XLp6/viojbYV46acuik+mgHAVIUrOQ6QxkERhSeWdcLuOMQeRZZcAGABzqj980CEJhlhRdZ4XDIxYjALCq5C1+OWq/F/m+HVqwW5hmUC5BXsDdchMJ+0pGZawAwDPfP5fD+9NFUX9/z2W0KKgYRt019RRKV0d89bI06cdbb0fP1j3/kEc8fyG27puvrDROLuvn1THPhcb/DwShAbMDn0KPf6V7Wkfra+hNIUwSlHYgyVl3di59YWnt8c839P33bLwX9jxn28uQAcAFEFKzMaiWKDIFiKQjCJsvV21fOJx16vol1dzQq4Vgt9XgCQAONbnRkIj6iB0t7Wso/SFn9Ta8qEUC2XZvI3IljI0LGvGhJ9hV7hqc7w/lcpHIKgEIifX8p72w2k+bM+eYztwoRAJkK+RnTWoZbi/uDRz1TxjLlQpQfw3Om8BRCe05Z8du/tDc1VwCBAgnzp7J7qb1TJmea3GTOCgwYEAIZmDJLQGjpj4ry4QnWU5VONAjQXAJ0Vh5wm5ltxY3ZICjumKAJA/S5lAJhrMki40mJE8YCAkreHxwTYt4aIL/o14x4TmBwAUQUrSxoGpKCxFCwhW9+C9dW0r1jaR5mnUaJJcioBs4jJ4UZ9FIWGtBzT5AQKyoIxCANtkO3YrcJqO4TvYSOZpMOKgqx9iqj5vcoF6+b0jezdVJGOrsjqLARTOTXLSS+A/OC6yy6LfAOgMIDAQkWVDdo1TxR2ZCXYmNpP4cZWhaZCBxFgnw9+M9FRKAQJMF7nLMrgAz0K+fpDjhlGxcB2ujBBDt+5TMUNPz7+TPDySt2lAg8jcn79Kvk11mDgAE4FKyQdi0JCQFDighCF+R54aefE7J4W4t04I04Q0AxQ9/kjGcGmcQ1F6x+X3DLJLGtwB0XjQigT7SeAE2iQlEgx178pVYpbkJAaaJ8Nkeu3Gv8TeUQ081NvifNhqc/tKNMs8eoLZyZ00epaUqpxVq6DFqnd4VHRhz+7DLPg57rnAJHgoS5QDen/z1wUD67HsQxzRpssgmKxqHA8hNtSiO6HxNeza2LXuDgATgUrOyaEwkEwiGozKRBE+R1d9NYb7tBkdL6LtrQ2BiaAy6FQhRJiHAINhaVA2qmdBc4sxZZr2uUbtLqs4CDARIahMPiap6Nlj5gDY9vK7pQQkp+JkKsXMn+XVO6oSSRFKQ4P3gATbGjU7m/y73PY0AAGZYmM6+f18dLmJzbFZiQAGKYj+tAAE9UClrhQrhZZOxKmAK2hw28tguuC/5AtWC9LGIDgAEyFKyM5DjB84vT6zom1ckXzetOiJdlIW+noJJI5EcG5zLfX4THNFa0G8vUw0RVNbdFhJXRvno6K8VvqpGNhACzIX/6t023z/GdtKdMtLfKfZdK98VxSIo4sotWvHnl16YZXX/jT/u9fZOpHBfRWT3f3PZPlHhH8KVqlsQpCopqQKLTQzDLtk2xrbFMu6URQaxJANlhIne9LqRr0mDgATgUrIzICw0UIUCKTxHGvMUEdzL0uXOheWAXKvY54HHIHEPgMCrnFytDEfNEmRH1XywVV9zqdkkFcQRMtkJJfqeDT0bSdm8GN1wUQoaCQxY2EFR3us6A1aa2zZQVEcBRgQNbCskC3gcbalo4cgIlHhGGkhxKGtiPTbM44XDudD7FZEqYoOl49LcguUHporva9FOEIyKccfb+0tHutlk03ds1DhztmqjmlM0Zuns6PslOeADgATQUqI0EKThE2PLokqObCJw0RoKMA9jQf4vMsl6LzSYJpL0jUg9p64pq7eXVLRmwj/LTFHOsxRYAu3q6sJPgQ13nhafSYx8JXTAjV81Ggmwm681CK/WTh2hW2rR6U/DZ5fWfHff1XfzoXXEthgIGY4ox5OZFicCcVhuB0wN/biYDxJaAarINQH+twRG54x0DCTojCQFpUDYIbUkINMSsz37qLZoHkvS4OAE0FKkMpCKFBkdAicE+FCaY5jRpZd6GABF6SeBylD48yMG+kyYC3FXzraNjm9EAsl2VG0jWruwkqNyGrblfo50onMdrIcsQ2mvBKrr7vxm9KBIVVi8NmFs2MvQJZJTPhic6nww3clRve8NkUbOi3pEen8/NGUKOrst//d8EJYbsDGAr4OYwa5dFOEubNxY7xn+VHqmwwFL8KxjDBg89+DLJ67QQRNfHMDgBLFSskLYqGYJNEJlr1GWJsFpLsuwUAXOxb+vMLx/ecaqjOYoBBLIqVAfEEUo9GSN9mnr2015bSYOTZvCX7R3C8s8BXVKtNSFMuV7G+RWu3SjwEcC620rDBisTo5XjAANt12WWXVPlEYYeCU9Q24A0eda6JDGWciq7kVaoQVs5xeLO8L9hjbBVpv8FVBNY/gdO+8uNHnr/iUrV3HDig2MASUcHNqlZVEtmDPvU+tE6gcABMpl2LSaCabEjBFIjVNmiYojL6mfdjrit/+nFOszrVzz+z8+Rf06LqViAgI63hKbZnKW/ljdniC3a+8IkWA89G+LkzwjooIeqOyiF1L99igogGr12yDbAKKBPjg3jSIGAB3DRmyh9ICfh2teNQiYeXGlzDkEB7VpFdqo6yvD6EZCScNi4qIa0TllBU8ytwuHHGwZxljT1QqaPv7voEhRpZerhyZM52EpQx3LG2i2rNavS9MpGe3j+bGEB5uJcYD6FApKQOAXBlmDGBFFPKZID2/DiCvkmUHQ2jdDUuh/0pkZ38aJLSVfFgC7XZ9NbQ/IgcAFE1KEISDkJjCFhIMSIExnVi8D1S1tO8qcZwNRWqagdgnCFU7qMVqeBVtphlwbb6PJTqIwIl3CbJ3ve205qcJ8T74lqUEyjwThSSTVJ7idaHu76ny2dEyWyF42wT0To/PX1VbSqx9vGZqKaeACAgLA+GHTKnqanU4JG4ukM54IBtFYucFFbSmutpl2zsD/o34yTgzuS1HeE7Z21ObKrt5jkNfKmzP6YNaeClPjPey/y7CD2afEQbih5Odkgy9WCsqBbd2anQG+8Psag4AEsFKjQhCMgiIETgN8ukkg3XLnqcN98mdTNGrIHctdAxA9hYNL+QVKmEUr4aLjgoNHijiSE2AwuweR+WM7V371ZqbChTTODPWsHCi69pXoPo0SZARIo4e0IGRxK4m33C10FDwaoYlF7oaR1IdrS62AEgpG8Wv6/VcHrf4SdMLtuTYgDqut1URh0Xe2njxhjWXU39cpelbS7hRmQ65U/ZwEwFKjNU3LJFF5zAG+9iaqtJpankTWfh4SdrmlPKzJ0CbHt1YO/UdPdd5uvHGMd72gXX7tRULlB6wmKiGmBqAOa4QpIRB4QkxUVGqv49uyq0rXo/JwyQJlW9teW2LlGp204KZOAqCgxtAJcBkbcQRcGKXsdPyubXThqcnB7yMuf2qVhG7Qnv05paW3lgsCgoUinBy6My5i4hGe614a/IEgAU4KA4AEyFKEs9BGQjCUtIVKZGQh7vXGa0NXGdZXADuSr/yce9rSJf3zxE5q74CnFK2miSRr+VCPhRJWY3q1sj3VyBpJiCZXAHVoNDKEi2Anqk8kMFfKKqqzaMcGosJ/zyJJurCX68IpWNQ7q+WR9hqWIdeaduXyuzwyfRtSV8CO5T8AAQLmmKzYoC/YnKoXmowgZ1BBOqJVWIdO0sAFef35MNwABriDgATQUqMykLA0MKyXamlBilnp88S7Fui93YG2VIsgkkHKYL9cq+PJpKN5UELrDFXJgu6WvDdnbxfddLhx449DbiqLqkv3dIUI4CaWC3nVMR0C3kBSoVFISQyLAZ+YFRmWEX3zqLMaIPwRZcM1o5rM09jiMnXhuv0pYFaZh+FbGh82uu3RbIAey65mAB2Sh8LWeaG7wWjQgAPIjIAEAAOABMhShzLMJFE4CELGtam7uKdwI77yatNLrWs1YH06jBdh4UqVJxho1ZA25MebJmkuSw0JL9xxCwSGyNIDG1GuieQ6HOsCqQ0qIgYAFgpcWsZcM+MjV58v4WyGJSWtTmbzU0sRO4E3kvqUgxLs7ozoP6qOygHaAMFOwnGT4a71V5jmoC5bwu8AAGEF8nkjl8WkABsxeGUFpg4ABMhShTGRZiIonRNXRS6HOoo5XHGkahAIZvgBvqzIva2FSyeM1VIym0HdljTRpa1YXOJzoIp1BK2c3oHNj1ffBoe0N52eDhKzFqtkWw74Q6Q44skkDuS2oS91mXJqyw1q6SH4OjSrGUGidzRwK4Qq/j/5fJh85PssCAm5jAMhkpoKU9MK9cB1RlPggyJIF8qclgh3smKPwYYgOATAUoYxkIwyGZSEJlYvzZDwkQu2Y0aW4AwS7jm7hoSCoR+dltXtSxKwRrqhZmfAhrCFl4SmMWYZRslisissVaVtrnrkMb+yV80yWOhriib10tNtnx9U1ue/HV2V1VXNwZxNNF/anPf1xuQQF3w02JSb5lKuj2rjhx8rNpVw5bwm2sCaaGZeM7Bt8JnY/uuGNVA7a4ESKbO7+/dLZeipzUnWuev6d1IXhXYfCHwUIA4ABJhSgyFgyHYJFEhEEb8+wVJJshqxzpdtJoFINTkABzZmwTqcTvSNlh2Q7fBX5SDT5eCQIzz+JrJs9NiLNsG1FcRuv1QvkWrOEue6iE0g/fOL/CPhA7t55S+kYdwlId4oYF9zdFAW4ZD4MyPx+Rzt+oeGInlr0WdpoXmI6DRIEPcsWixm2hNkkJkoO+hc/0OpSo0gzLWIYJysO9ShwpCUVNYafbP+WYHABMBSiSJFxWgrQ3nfwXeEvU0WjLAQ9hnSaaVPhvVXV2XEqaoCE8ykj2rKAoxf0ZE9sCiY6MmUZazwU0hH3gnCFuy5qR7qRiC2n8Tm0yDFPAY0CPs14k1AwLdUqqFe5mWQdFWQ8cJ23RfD2Tzbm1y479kOBhHQg+HjgrWdWDQGxxtJfdB6Lx/73bBEzeGfFD9PNWVJ6WFKTt1zK8OjH5fp7n1sBwAEmFKJMZAkUVuxXBJmwPJu16tZoxK0FFPdXpktmTHoZziIuGcY8ZF+EdB9kFCCYxoQyCKO8BpacYrxIlhjExTvqOEoKKCLIuFxoxxlRB3MAC9pm0VFXcVGEda816zEO1zvPVcI/CMnl3vlimBwhBfwgKWeLWfCRC5RO9Y5MG8KGHfwRrpvoa0I09v09S0tOvt7X4pfF3RkjdmZI3kJtqhz64tP7+f//t9HC4OABKBSsNHQcCY6EUJGFTEDB2sjgZ1c0ssUpAZ0rYshZB66rjxpK8hN2TIOD36MOMLRqHSvAjLt/jVNLbJq6moBbsmdmqUyRgoQkxtwGsJ8KYNa0M0ZTpy+ZqZXJXT576dfcPZsDugF7d27NGtOZ0gZId+UVUKrFnEu+nQ8V5Rp04Rd8pPkr+Sq0nzYF+urdXdi2xvXXEcmm4qL2oAV3SAcBPhShDGoLDQrBQYiQQqXxRbRg7XfQhqa0IADjYAjfyykkOg9Nfz5u0rV4NmLSwa1+vsNSlY6lVoDQrr1uwvphjg4Pj/JH+cGKe7DK97FYOx75ZN7e7RfWTBNDE1aBqDumvugBrtRWeivJIfHrEpAV2Nh7wGIBK4AOr3+JEX7zX1QT+Kou7z4tkbzz2mnntBn42/fOfxzzc8+JC/9E3DF8qzt7rWk264+Hp6IfHMDgATgUqQywCwSEwUGTQC1GSTeW08aW6IvUsmiigiWRqngxnxrLGa0EttNNE7IgCiuRXXaPpFN3TBFHuWT7XKYbZHEUEQEoo4u5xRdt8Znmv5HBXvs++bS5B0NVKtQNLk3oEKN5g2b2JAJht1mB1wgy8ywTJiR3gfkwcAmHzXQ1yjCvZaOgCrhVYNOFiFyCeJxdQqBMpAtyipU/dgQVOhB2JCzhCFmE3AE0FKFkGCIZhIcVNCyk2oStWJxL0JlgB2G19bdcb9UPR875IgQS0UgQjSVA6pDFJ85BejkNZAypIWqzlr6bCfHD/Iq9Bku3pzzs18iGZHvhw0PLQMIpkKTbuCIsPEoOiowvm6NdGx28mQPIOmeamtVB7k3BiJ7RedYCZ2CeK6/C8kRACX2rJaKzosvBoLq4X9SDlOeq53khfN9kkYVuDgEsFKIIZhHEpfiL0O6CcNE1pGkDIEMnVSKG7ntxrqgNK5UBZo8wCBEhZYQyOHWBhDHWGdeTAMEw2aPJmJVgIerBnB7OxfHZNrghxnWTb2klVdNro01MEJ1adpxStqyycMHD2Zpac1LO7eGpt6UpMUzoSnBuoTnTEULNKHSMbqNBUS3nVY8vFb3dHcW3E47NrXo1Ydnpr3WX4IkNNWcWgkBwAS4UqQy0IwUGRRSv1d2oM7HS0jV6XaAAI2HSc4KFVkRJP5cG+MlDFiNCvNA9FmNK/zdYSYhlcUI4OANvoNHWJqROLT4IufMc3VG+LZOFkepnOtHTkKZlxt6dh1SdSQqD1QVkfjtWlPagKYOqUF2uhly2/wry0a/u8+tZjhBculcJ9EpmjrWO1ZacorlL/gUjs9yFOIjmkjGNayQiBwEoFKkwdkkYRkMSJgxE2Nq6kL0mpZEAAWRTCZmsvmM0PszjQzaZcxMLKhOu8qOSgxezbVklat+xqM4F+SKcwaDZGOnijXNKziOTgxk4HMEABCpwtbAH5CXg2QHDyuoAhg5bJmuCq6NzEkZqUHVhJKquOo/ZaYrG+jMqvMZwXa+hi1KmuuUWHeVlOZhHF2Be8mQ8IvuhH0aQULqkF7Zc0qVE7Mdv0g6V+8Zg4AEoFKkMhFEUVMJiLdoiq0keUvQXkAD2Q6PkIKXWK2bx2IqLRTBxIr9aHoUY5Hr93XxrXDd8+puvHZbyJQt005OiN4L5DaKencVgHvf30r7z3fPsYs5KArg1JaVxBBxHnmsyAiNGE9rzMBK703HgVaRlhnKkqYbCtdqzWRk8UpTDfHtT2Z/bBLzCtJK23ZsSycvZXnDnSjZp0znFrmDgASwUqOy0OTRGKIaOVLFw6dC2gcgm3oO3as8OJZlh+/0i0OemPcPoc+c+mmmfSZ7O1e7b5YTQ4iZU0V5zoSuNO+gxypYocnZX7atbviU+TWhZA3v2y5Bmlgda20rggZkN2alOqS/SxJAGDw5jB1ic5+g9IeQpYwEC0LRbzsbCiQtOxVaFVG0Hmb4jpGjP7l/n8Cud4MkamZcyVaIC9rXMEwDgATAUqQzEMIUEQxEQhKIui3dpdHQXboWhsA7pVJFVWWtK+Xfb4wcQEwKWWAd6QrQS4ZOK3PTD9bjibNNBooKjxaTsvjkNZk1ZX3TlMoiZKNubawaps3rAW0wgB4p5aSSSb4SQ0ImYJiGaVABB+xY46vr4JY7SwdIpbj8lpWiaYdF2lWNuF38eUBrMvvIyg5Mcyjp40jfG5hClIz/duvRoirhuDgEuFKjslEFAQiXNbF4oV7M4FtIswARjlKXvodWh5VRx1hsrFzFC2zJk9bV9adu2QmuzbwhIUZGfz2bQlfsqaMjDObbHoSKI7boSkMx4EA/VR5Lmkf5UpJwL7wMzDYMVrDMGsJvI29qKtjwRCRprlEm1sQkABCc8KHsFgvVcyGqfuwueE3/Ed4aYd+NgzIQgygmfV5SAKBloimIDw1BYMunumDgBLhShyMF4aWIGIdCxei2CgS42JURcrN49dRUBOMUWEVacLII51LnwR9W+kiNH2eUQhlBUGQOevdqzfCun1uU0Gj++2BbN9kF9TOGMZeBU0vtwfGjvUvPDFJxbb4dc+Kmj65NVNkLWho8AknGRWd0U78Nv6NuXF7L8i3ODX855UmnAU9SUlLZyENPCiutWGVxtacac2wDgASgUqQzEMRhGQhIb4TG+szyhvQ0aLQgxA1XPq98dbE0JE2NDw4asVOoSUA1DAxJzXtzslilrnDGl3GrnQi3oyQtV6wyrbOAmkbCKsURXnsBeukv5vZlEPqptchJkPksQnw5lKtz9DLWdeLzz7P86gSvqMsQQUpSgFSa9DQZSQkleLSrUnWVqbyaySLpUdzJEG+/lQnkmSVmfkuxd+jvS1KY4A4ABNhSo7IQ1EQLBQgqdLGScYigvVcVnBJvhBSCaQpwI63q0bp1MMJAj4vUjRswGQ6IUrJh32aj6BPHt78eCfIBDB5J7y6ktUpUANnpOA9EhZ++UOlhaL3nf7fk6n1u9i+V6nIMJAxXJTcNAgwn2fG6PdgrOhKp51IIagIlMFytvG3AAKH7PgWR/gOVzX7qSMO1AQsAABLS7OsdLJwnLXS492uc2LXgpTraaf1zKM2S9VzXaB1z1tNi81dvm8nEDgAEwFKjM+iQZhoMSJFw5uLCslskcaQ4UVkCbtiMFzuHkJQFG+RnoHDsc5bmWEktGAJe27nLXufZ7JbvBEeWbh/pXxuA7LAGUhD6qMllQmK908fslDxvRXKNnrgRX7p4rlnt/G5KbCW5Ywk7ZS4t7VpUuLMtSHsdM4ExvjURvayW+u4l7NoBMcNszjz0+7gpqMkEygAcMcDrMdCFSe7UGXPamcrMoZmvvNYln1v4C5GLx0IEVPKq7dtSt6kJAgDFVHv9TV9Xf1Wf1VPXN8vTFnQlBeyWUQ6BdlZKzipigPsjqGFoQ+lhG3Yj+Af9HyP4eGVpvKfcEFz/DJ2ozRz3BwAAAAcxtb29mAAAAEG1maGQAAAAAAAAABwAAAbR0cmFmAAAAHHRmaGQAAAARAAAAAQAAAAAAAdFvAAAAqwAAAMx0cnVuAAACAQAAAC4AAAAAAAAAqwAAALAAAACqAAAA4gAAAMQAAACpAAAAqgAAAKgAAAClAAABPAAAAO8AAACxAAAArwAAAJkAAACjAAAAngAAAKcAAAC5AAAAogAAAKUAAACcAAAAoQAAAPsAAACyAAAAogAAAKQAAACgAAAApQAAAKgAAAFBAAAA8AAAAJcAAACbAAAAlwAAAIwAAADKAAAAowAAAKQAAACqAAAAqwAAAKYAAACrAAAApgAAAXwAAADVAAAAmAAAAMR0cnVuAAACAQAAACwAACFAAAAAsQAAAKgAAAClAAAAsgAAAKwAAACoAAAAoQAAALgAAADmAAAAvgAAAKoAAACmAAAAngAAALQAAACpAAAAqQAAALEAAADyAAAAzAAAAJ8AAAClAAAApAAAAJ4AAACZAAAAmgAAALAAAACoAAAApAAAAKwAAACfAAAArwAAAKYAAACfAAAAoQAAAJ0AAACrAAAAngAAAKIAAACjAAAAowAAAJcAAACkAAAAvwAAAP8AAAABbWRhdAAAAAAAAD4bAS4UoQzoGhGEgxChDEtkszOmIybjkLmkuWhLCHw5119GjsJ0XC2mGPCSqQtV6hRIUNHSR602FZhU2J2IQGbJTe6ABgBKL1AJPWAgSFJuLOqo2MzYJWvHUxEnSBRSJxhsx0hS1oSBdNzmexBj2pVI/ZRV7GB5/PJ7CNL9XP8rydwexLKSHl7Bcwpqq74pzszCLjJPuH6v36Rh6Pll/L8PRtQOd+EyM7AkMOtBIZo3uCwFoT8PXZXwnMYibHLGLmIhcBFc7EF5jsfA0J2wcucfaVBwATQUokx1IwhCwSEghI4pviOjYR4ZmZFrScNXgsQyE9bcMaitJLDMZigFAciJjIsZgwwlQNgicbeglx1xyjHDTTvJKRfVLp7ZwG4XADDbKhGIQwgI7lrORPvy1HcB3T5IEzDdSMooZkRi6FSJ5GV7i+Oo1qDGwAFdPvmu+YTBlA5bDp45mM0mPJJ8zqroQRNbceYtizoi64CJhXYIgJE7GcBd8VjFiv51IPCI/SJcP4C6U7FqcsWzKGX42zaax0Vhe8JsJWfIDgEqFKlQRj0FhKVgmspLMZ5c7m+uR70su8aeS9ugLrFekBJAxS1poVRckkDpwmZZy3KEUqms1jBysjcMRaT1EkPLDKXU13+0ywGU6AEBScgnUQXOa5aI+94tXr8XSDpqQXp75xUGUZnbZeSujcFWIZkjW54Xtii6wAVZcTEMmiAkCsR4N1+bZh6dqdduvLNmATgcRdUANVsNpKNG9TEZdnAm6xCLr5y2gawAn0cDgAEwFKzQaxQRjGVBCp1mLx488JvGxmUkS2knVo3wGCOZSBZh8sEHS7MVaBSDU9M9tfbJmnn0AGOW0lvREZ78iKOHcf1e5smA7pzXbU6Gsbs9msEgFTPbgQuGfjP49CgmA03HUgRJKeqrrdL8dBOzVtZ5tA0sxCGhHRryryqWzRauir9FdlFRI/uuagKqmiCrpIK835s3f/4porKJbsLCDHcAYWNQuw/pTjkz+iNV8A8TxOXmweK3hyYcbzc3IqPR6oA4AToUrNR7DBkIASKa3ol26XVclM0qX1NEacK3rMCl5/mKF2gHLFdnlodNkGH9A5LWtExWuE4hxfGC8YpEEVzK7Z+S878f6AF2VwOZNQmNSHMVqqhLSVOnAeOuFbi3Fumazli7ugFvPZ2+oLx6R3T7JH6ECW1dDnOK+yJ31CR7+fb3S6KHMEP8Ka+bKZRaMhzM0AAEEbOTQrs5/svnnTu1Vu389CIBNffJ6Md59Gz5eu2wA4ABSBSpLDoyEUQBILBIRlQYCIIBdq3fWuA5A4R9WtLPO8AJHUCdrle30w//WQZOEVo2snYNj2byufKEYZTzD4imnNGOuRGiAPODHKBEAUG4yui5yCKvp7Q6iTgyJ0q7vlw8tNADkX5i26UwIkUSFwdWyJw6klD+h4dBxcGbRpcMYl9A4K6WBpXiAALe1dWsmne4Bhxoxf1O+ELoGOT9OTTugxtY4AFIFKzMahMKhoNguE1EIyuQlvI9XvoPbRqXoSdc4SwK3ouNqlP37IfS/Dmv8cfdMol6VIOuYW3+1hAsf8xVsPDxXUUCqDnCMZsc8dIpj1UThEI4DvJFrVuTXyIsTItXVlHsORjjAAQ42V4Hd9V4NrU0ukwbYc/Yz/6r7l5uinKO3bp8uvyQkF5OcLZZgAFqNxzrltEzqNHhF+qay082h9X0N/EmiAF8SZGoHAFSFKjQxCKQhmZAiUElvo78GkebHxdqjXFZulhEPlwfpQ2+Y7zHX7DegWq4zgsyhJ1NBIWto3Rfx+6hGTgQWogYnLBQLbvVFvNQP1QJjYPUcaXFDKcLp1Y9PzvgAABCyqW7oDZ31useG8PELjG84ntmRaJ12X3nTURCBQSyAN+hoWiS479cYnFMhYaOEvMeetucF0yIBXh+1ZS0JAOAAVAUrOhYMhWCSBGQhIFk82O4DzbiaWb4aNpACFqEdzzX0FzJ9OjdWjZmdGFkMOkhfKXhs5U6z+WbKGEKJKRSVVsZoqU5lQkh26asliVNsm3BdGZbkvMhkzs5gArEnnucx+B3O7zBzguZ/YAcy/0pVyfoIuXdNVVVVMcjn6gwtd653ABMS4TIEPo7ccjncz9+YxDjawKUWC1Y9PHIAHABRhSozOQohQwjIgiY2+Hm5uN3kg440cGzUDAI/n5t50mC4ZBCYYrSmYy31QIVEaPdLR1fai/pxxkjwdgAMeaydlspxOqRWBWU1jWp30EMnHUptt1j9pFuFovfgrtTvsAe5dSjVI46arC9B3/Lpbrqtr2YSFYed9zj0ICHO6yuUSoon0ZfoKEhijUqO0b2HKIe/6XzwSXTHqHP9AmKd9QSZzSNkLTdMcxMHAFIFKksSAsREiFBEVAiIBpI10tHdpQ6TSSTMtwchEpc0VjS/U5Ts2aqDaYV2gemA3SAOFmZ+TbbqFqFAeKCNxekLw3cKBtG0F9O7xqZF0wc9jRfDHkiDCuzpqQfRfBIp2hd2P2UUgvLoTCBdPMaIgcQAGfh4ewBuMqiq7mBYT07d+/quB/t9pgjwVdAeTCRNdyVj27n+b6OAAbS9hHa0A+f7wZ5RrwBOBSo6Eo6DgyBgTDQUDMY+fL4N6k9Trxqnk0krznjRIc6sIQLOk6OxTrTdYVXYwh8/nxxg4gyvf7JYAQSniEOMED4vrfwfGwgUWflfQ8WrBchHwDe6VbFO3kiNzxw1bcEWrppBManbfJ3mgGOxhnic45bbADJzyiAGAgCEtMugQVq9fV4LxbRP6xp95j4ARny41omJAlMXA5k/VWg55aGInDxc7aT793n5jaqa4g6hoFYdwngxc9ss9aWz4jr3ANSUSsWSrvplBoHgBtX3L1mwTjbzcRIEpiCdCfIcFLiYhKRSY2ZRDDaBKbliTOFcCb0CKwGolOJlUyRZ/iNGrFwtbTyc6S3a/2z0YOAATwUokxkGIUGKk2vXF2PtMB1eUiaELQgg3/t7DEBaU6tmTzx1BEyYXOfLDFfRjQbM4ViZTvPBfm+zD/Gp6BK5KOZnP/NdzPXWkOZzQ6D33Rd37GyXXr89OTr6denvjT5Y35coohbSuIPkHbviKmttZTlTzVsc43HVlQhICATJmxKBAJq2wN5mu+rEfx4Zno2cN3i6wEMOXGotMYhw82nlyjKHicwRfSUq3w+5yoHlSBiuDgBPBSs7GgbIIYBILCIQoMakuE5rtmhcNPYEzpMB64P8h61QAf+m4bn+Opz8Z1xkc7ieewaZUK5S5K9j02ZbURXI3GpSJOpmM45T2x2fZABhYBrIZ2J4niIADc17LW+Zftd1VTiRxBWmcZ7ew7zMF215BsjYcNcyyIJ4GmymzFab9Y2ZNEHBgpVEAEEjnT5ffcV7bz0SoclLAybtxsSAIc+Pz+dsi0kISMP27doxSZy5QA4AUwUqIyYGhYMxhQhJ1Kl6zebwtqL1GqaERAio+6TWu/a+YpGRoouhYoRTGrdlXoshpKLJKdhD/VGjImtXkgDhrgprVK8w/erQQLdMQYHlM7thmT+fH65fDdPwWca7SpgQwwBDljLhumU9u1aDAIinw5xM+RE2ms2lZsLTcSdnRQMABVEAKANbOzoqyy+kqoW2x+yX+n6sfqbumnLyz5Rblde95BdlOUKfQlu6inj9tg0WzSrLbZCtXS69+rPH48my1j/q2XPn+WnnZI+P9H4X0LZ+EPvttsl0itH/e2V/lEMwOABQBSsUNQzFQbDURFQIhKzzFlnu2GBrL6I1aGgNrkfAXdPjSi5ki21zK4iR0ZRlnqiglSIAop1J0rFDXYt9A6kDfoWjEyJNpYEdDeW67hWvKUZn6Y6NoBZI9LIRnOdFVjXW2A7bJYVo6GkRtTyo04BCFMM4Pau+3l06AGIQc3VfZ2Z3/XOiOWurRRPrC5nAyBHgkA3Q1qJwM1lPacouGxkmqqi+IsL9doqiWcg9Hf0AKq6/3RQxRwBcPQwZLIg0cVMv/P1Y2rKOzTmBwE4FKjwhhwFiqYVrpqRwV6vYZuckaRduFguUe0Q/8PhKtCg85eXlI4b0rUDwU7WdOBczTLTkHgYAOCHPgoMBnZhV5782W0GhG3T1riVXuyQkUSjlMV3f9DdmauxymBmatScpWa3cXBZoayKx3ys3EykBIu43OUpoFxOPTvtvny7+X8suPFx8ndD7BH4UywyiqnTEsVZZUuEgF+iQgeHxSu/RXzGGYxaXJviDgE4FKHMdFilcXpGpyfPUO1LycEcJLuGhh5PR1/4Xripq6fPx4yVGBoCChOKrkkwLAiuSivXRxFEq1k5CyQpsC3B5rpGAwI9na4ggHt2P976ALTy8TzuJCG6Iy6pOe4Kw4zagrUIkzlF1mYqdBs2E8tVAVGT3wWVY0apNBC5N3VDdadbQyJQFMHKgkmv9lYUpsAncK1Ye0AwHYLApoiDgAE4FKmMdCGwjMNXxby+VDJvOdLXcy+LS7EXKjhIAJO6opONkgouWFgF2O9+I/MXi/4vyueW1Pyty6YSFPLI7rrZ+i01Io3ly79Ex2SyghTa/WdA6EFTN040XV59RvtG/V5dy02vH3V52U1+s2YEIQzRnDoWXKOVmWG8pmuRWjTQNjYWRgmgKkrGbUarjCy3eD4Taphj19iYzEhJMFK4jEmpnkLcJIOnsUAAOAE8FK00iDoJgqFBkhAiFT8el7amWUplA0tJwtAW+vSAAAA4GCE03mtKTQshCw+PG/g3FbMD6DiSi5XtbMdSjaLI0kBttRhuiQf7PWvntdvFje0xqMneBrr70pWVorvc2m0Zr7iQ6eNOkeGrQYhLVV0w6WcMrDJkYanA0UyRJeaawtT3lQaeyC21oPl0tEeN+MHksiBon/POLFBctD0W4uzjyPqLgnk2VKvqaXkWpXs8E93k1k6/uwd6jJy5s49en+NZYH4Uuee4vjPTztG7n05a7TR1hxcGKvjhbNF5sGtavhTVg1FWqndjZ9OADgFEFK0MSwwNhoQhoEWAJQ0xOMcmE4cI0ta+jMsGN6HWoHmq2v/EnVL/FzjZw8eJisA2Oeiv4gdvjVf1eNXQ9jgf2h/Rx84VjTAot8JJKbBUFnOWI0I1uUb9NVxw7Cnf2EeaHvIy5AfxAxCLP7napwzmV6G/Tr/qBK15k/T1yGUABYCQGRrT8+DhSdjFni7deN9t5Evj1+KIBC1gcAE4FK0OVjmNBm0BO/dVizLkUuz4gu9JeuVAY1KWDOKRKdqkFHpTiK4fGlHWmp1sOr9rHxfY5xTKgZCAb5BOtwatzbySXb9IHycVkAjNGmf9DyImmZD2Q1SV7qGwrkc6YbTSZZcekKs2kANafwYDEAAigAAlK7Nj3/ToOCjRXa8E9UAX0utwg4ABNhSszHQsCQwvfmhGq3oeTIa60TUtGsW56ArEj4/aZH92tpZQRlDIkvEafBAZjt/n8aeuxqdyGsudRBoqBLzXJxc1BpooKBoWV/lai3dZTN85UV0k8djUpvO6a3JiSuEQ6wGPxSl4oTw0usp4YvCunAPJssIVAAFtj6bp0/j+n8csMgVIwYGK9pt3k6fS/i8Mf4gFogcBPhSsVLZDiGR7w06Rh1eKI6nC9Q0FZADNzECqVTVNocTFNKiOicMctQAEajqdPIdZSVqSJWOICoAkyneBI4gx1XD1U5DIzSCyk+YDNwlhE+PzygAvFHX+XLhF0I5/DLAgVqg5qZ/A54BeXfn0SEWcXJLCYLI17fqg0118evxX01rKqF3o6K7/uKXU8vZcBaIOATgUrMQqKxkGwRMgTIQhK/bSD2Npc6zlo4XenSb4jelFyl6T+HTGZTPxDjWVAVRn/0MZfU0BLHDij25Kdl1qEn6+0328zA1vqhR77t7Rkg1dM24phLIKsZ1ldJ1sAmcfvDZrHLpSEAceG4DjYXjXeAI2YcUAQg6TPn6DrEXDXvU+xODW25AXgQcPbcPbonYOfpM5hVo6HgkB3lJn//HrxxQX46fgvPfljlrO1wcBQhSs7IgilAKjNrvw1odN7j4oDjriNYcQU6BpSjpQplzO6Yj3bL7TDKvNudRtOUn9O/5ofDx7Xqh67ANmcKOQeC7eDIooxPb7Uz5j9cTFQ2blrhUUvn9wVBffloqc5vuQITS+/Ko+r4cMZ7vX4IlIAJdXyKSr/SfdUeSApKFiYAHE57Swy3/Pp1+GefoDbOyUODXkDLC2rpivJnEAz9HoDgE4FKzKVjQJVmt6918ujis06C440luhBMrgCq0QsUBo2vVcedxwYp4r+XIOvmJ6qCykVetDrkA/CE7pCvRZ71CLrp41Frg00OjGu7tRuLtNxdAM3OJVYnUGvnU92mAADUN6z3cdTkgsAAXuJ+rIveWdOiYZgbUmfnRxdT1LSAIcWv6NtYctSCdgEjTxC9obxzgrIANZEHABQhSs7GRAkUpre8hJawlwjjqWy4tLXhACGESExqFjn21r/N1CsMKqkvc7GLY6K/Ja2M9V/IjnCsm7DnIOOwGAyd6r5Q61ztCzfeab3dCyGOOqNG90C0TfyrPT92d8kLAAlQXqLiG9oaUAAewE3kFQAugRLRQAEq7rosCGlevajou9vKIF5NjswOABRhSszMUaCEiDFbm8jTSbNarbzpwERbXA76wCoumH06MmKsYEx36vc0KoyOmhHaKfJ0e+DSpiBxJyBYmnvZ9HJqrI0VxdCCTDHu4Eu1WQ62mYkulFyEnn0Ulo+knl34dcpaMUUFxbu9PAjYK4t6Fgwq4ALUJIgAF6oLv6G9H1L+7c75ZbVOHR9++T7gGv0QyuE6QAcAFCVKlschmwiGIBPSofElimNaOtDLi3kVyB2/t0Z7p5HTQLhhAghRFgBIlIUpKZfFaAl2SUlOTOhwIscSCyxZjx+laDTGoZF2Ngqzq+SmhVPNOPM1+u3Zq/qvx2v9zUy6jeYLlyT7FucnwtjgAC+aUUrRAnnJhgabil4yDA4QxiwUUz2o8pVtUG3Xde94AmcAFCmdqKtiPFlqiGM05Muun4L40f+mvZn4uNW/+q/jv+Xt00EtfkVXaoSdJjHVnkNKrE7r2txK00amQ+t569L4odL/aIp7GRFuw+qeWNbEoLOqwo3JePNMoQqZaRKgNkDSDF+HmniiiyLRPf4UxH4/9KZBY5gQQRMgGShr4Tm2bW/OkVaXsF0OZQocJeesSn7I3za8W50/Zy/fXSB6gGgaHYrmW0Pfc4N1X3AoxPc33mgf/fxwFImd4SJihHQVwtiZfVT410Xb/+1r+Xj/DV9eTzKiIedJ4CAgNOqwVvt/9jubtSJpJLg/+aZW+ijtW4t9qN+aCee10WWVvl+l8cfdGiuP8u0k+YhhLgW1seSwkpt/v97VAN4RAGIwQ+cXbStwQ1rN3OK1mvZrhgU4ynSptwcLTqMUpUHAsJ488GWf6XARyIENOtwjljbVuOgmqawB0DFyNEulGtR3g+8O6c+JeJwAFK1KFIhhmIBm927XNNXpwsbyX+DWOAvK8hdHWL0tfBbh6M6VxBqAfpEwkcaekWOHJqaVzgoLtSgLOE8vqjQpSiBCBhX4+oQOmbJ1CsRfpPsnYR1aAgrk/Gd39PzwBYCUmAABOMbWZdDECwXFTs+z2dTR21sFAAT0gOAUYUrUyoCaGCa3jaxLv6LDuHl1DrOEmSmaBqhAxhL+EhIJ+HoQWGlucpfGgiEGANdTzhqoiU4BoBTJWgrxe8ymYm18JeXLMXABnOhg3HKia8AbfBUCUadnj1INPoGnP7/wNVuQCQwITAaYn8x3xpXAaE0ILpMYAL6fV+LVus231HqdJgpLDSU6gqiy8HaYqABHZA4AFWFK0sxRAEhMEyoE0DW7sPwzodjjpe701dttKAAxhSKPm53KVErVKjwoeOS0M3jCAgbJElXmiuDgGiGVKlFpaBuLJYsOyQO2xUUQJF7esu1QVfly2GMml4173Sh7dF8HGeo1OMe34OTYaoBRlj22npAGhdgxz/T6/j3z5PM7gHQITqZ8fItCOhW25yeOmAAJ3betArqHT40sK1AOABUBSpTLEaDMpBARkAQY0S+rFBNaDUlpwwROsxE4CteI8uoPbfLU6V3BBLZKaygVe2BdBzN5kFoFSczlOIRqnn4TSXeTTNQDCBmVYjd9AQF3GmDHRYqpbYGVrfmtqImt9JXslG5AhAyapawCs4w0fe/UEtVxb9FwTrCYvpfUseADVvsMhsVXOAAVAUqWiyKIiIKBLLOnAws8iOmQLMgRCy7Bae3U0EF9FeEQj2JLaDERJBKXQ2atpfqcG4HigNi1hE73Ru57WVvgv5PUmbvEY86UhjONecnNLuPxntzSr8WSCKivdZfjn0L+BjkN2ynAsC2oe5Z1M0e9aSVIQA3KxAP4yCGv8MSXd+/OP66Z/PY05dtetOTKHhsAcBSBShKHYhiKIidtHQ6lrWMu4SIQvGNBdn39Vbyv8kSurWi4hLA9gHz/mNTyP0A7KdpAsRmtYT0PLA2WVvzmgEsbwq18vQyUH8OPZJ8J+/L2Q6885R5/9Su1JjV7UWhcK2AGMQPMjywK2CkRq2nOkCRw8qzIHJ8xBCEtA4CVicJBtos2eBBCfW5gE2Rkc+q40jQP7EAGABAHABRBSsrMQghQRGFYQvJwebbQzyRWmaCo35Bvhf5drdVTZHsCjZu9GkOkKWY0MEKsWMhE0mmxpgEkk5w0SXrGAkP1bNUwqafymKfaWeWNrYpOf5meWAELbwc0QMxwRkAYAF5yMGfGkDO7shwa/tvwAyOE6/wuKgGEZU7qNn0h5I3HkiyhTFcy07eHL/D+BhAP0sBwFOFK0pIXOu1+WojE8iLQtpbRzoAGN5zpaLsCycPj5wOsIxhRjlZEta+kK0zNQsrmCYL4fhTeg9cG0Cnuo+2LcjYiUk2vIYDwn7y87WXYvKfBThSOo2jSafGqyIctVtaQnSWXf+Xq35bCZwito098nKOCCdKseS9r7kLZM+oAfvWPNGzbXNsksMjPa8tkZmy16RBwFGFKystFi5M6iZ5Bpjfkp1C0LhO+C5VZePB/4P58dXHysHUZ1w5H7sNeLnHumZ1o3WUVa1y0Y90MNjdrvWtyXUjHBXrYm9CipgBD8XU59FTGSLJA+SnKIphWPMd6nKnqDYIPY5lbi/rE/S983ulgsvlpWW1y9yoAlgLgCooXzz1rU/jHzVylVsX2kOfyx/1z6XkAIdFhKFpg4BShSojNRRDFY6OC/Js1h0NIjpixixF1MvdVynFR7WDg2w6i0O8XTQvSuTs6p/taE5Wk5AsN3vMivSyCcOas5Oi/zHF0JliPCHYBR2y84K+1V06G49ww4kYzex2LM29uWC7CUGFIMaxM7gW8j93AWx+GkPrC4qAUSq1UrvTozqm1iIpaTDRImFr3m9QnHxTBwBSBSpTJQbBRIpUrVurFaJZwoXLXoojIuVfkRwB+UXvNPAVsKvk49F8CIRXkLFqJYoYlZbo0vk0jOFQztOIpCUhb08GiJhplgajNQDuZFM6vMFh9+xb1o0QFttX9ypWclbku82sHmt+OfdlBQJmum7GYA9djQ2QJvljd6mNPVq0pVjB8bZSHiaJzCtth3Qdk+vXJ2G+yJfwUjzBew19J7u2nVW+v6adWs3XfkN+n8gOAFGFK3sOioIhIEVIEROMJwNTdqOq4NkXbgkyM4BnRcvi7/4VLsrpOK8kYGP5/mYgREsE4303BH4nUm+/8Qq3vO9vpn3Cb1NwTHDoo5UzQ71dJFK70zYhgHoOol7tlMp/eFrMBAdEgNfZE1IQgAAsNPcrVt/LbHgnbI8tzbgFu0gupIWS8xQK5aebEZj5F7Oo8H+9P9tv+Lk5doABomWkAAR+X3/b5femmeRSbhAAHn+Ygjqa8A5g9gAl+MQcAFYFKzM8yqJBCt+GYLasszyxq5plmpe2uOd8AMbjJ1Hy5KBaEZ+06yyPyixZ9t7Q9rrj4dvk/Nnfl5D6zUK62opOtXSm65RBXC/vD3Xp1pWLTEZYW/zyB6V90mEND5VJwrsWsxJV5j1z8eyqub1bYFXwUdNYhWAzSYCWNqnHTMBwhdfhUAB5Hm8jJUAJgMkMEoTre6sVLADKA4BVhSozHQxmQYhYIrFedQWWimreV2yWJ0RsItPCCe+5ppyasv5SLYaVCnfWbi8VW0jQzmIb0/v48p/wJq/k0RXrwFf8Ovoj+zTyyDPucLjBF1NgxBQzxA5/nhrofgpab4puEhGRnrfC/n4MSOUH2uAvhL8KgABmhbvq+1pVKd1Vlw3GtH0T4ThzxS/OQAA4AFQFKyMkhMYioIQoEVlRw4LGrssnRVSxfQoAY3JHvrxYpnMj/uNcVgp+hPGLzQdxuTzhOlLtESIqdcdfDDhWtaLSnHdhOTCgSDQT/7vQx7aYCNyczFSrAI7lN8EmCJF+71yEjdGLHZivdW2PgipzSm9UPR/mcwGa8y1QACJFs2/vT5QhOdsXadJWhHPeCkYECju79cGJNplhTBwAVoUoYyTKwUGKxfmujSC+ha+BzwF6Lc2HB729z9X8y6JprpQpKtI6uWWEYZYG1QFxohMTQkMjZdfVsu6nitJBSO4qpxQEBHFY3EktwO0v11Of11Kwmxmh7A5FEAsrlfPt0iASQLtyOZW5o8XczQ4IyBgNGet1AaMwtUAAnnKVT1IXGM5FiaOmveiW2Vtn0+WMA1gOAFQFK1M0RsE3Bq9UL6FmtBY0J0Y30AUPePXJ0kzISKNuJ8luun43062I0ijgXOsg1GqZoO3hQpFYTORFdbvOGeJhIyIXnZGFiVa2U1EOzSV9VKrKrhWfavFPCfmlFMxB4hJ02H1f8PX0d1TikJ6+NDZlwYYYa1WjGIOrxVUtcAA1ILa8OGGW3ZQilrcJSFlBQdRv4cOO9wAtkxg4AFYFKmIZigFBm5TQqPqHlXkqZ5Y4tDgblrlZ8egAAAopl0iugLKFKwN1fjKtfgFCAJ2sXb46UAgBUKFBXfL8qnCW3yAGa8LX+VOKmDCCggLk/6x8lnH05LktcBa3HZQzsqOTnXV0mF8Zq9LhIW0pituRyZIkZmyJ1n2HjQ5bQtpgAENwUnbQz2h12pDXiaOUugXVuLgNq4vGeMHAVIUqMxkMwUFQgCQoCgRatVbrE8+Zpbotvho1atRlt6EWm8IDR/wb0luufWzUL1c+Biat7bfbvG7euw3qz2UPKsspRI6ozD7s9HUyx2oMjiwHKzgzG/tI0R9AMBIrexT3F3VAYViDNBnaYag+aOL8tKicIsYghCtcXL9AyeXJdTabHWE2QAASInWqfE1ffTq1YgKxhD2v2lm1ahLAARw5gcBUhSpLJcojYJuMWEa10XojbpDqI8uWgRabknV3pgxVvP6K/lu8u2TSUJL+A+3fJvC4UqPgzq97mFgmF4KMBCXOrd3hy8M4mzML6vidMeX33L8bdp4KAKHj4Tnfvpua6i5rULrnv7btrWUAJE6UJa0K4UYxNJoUUbzpnTIgBpyw6lTXrvI22e3j+buvbAACu/x16VxR7dSDHfK2OpA4AFSFKmkRhCKAmRgqESgITKmmwa6aPJp2+O7PMtxjK4EWm0TqG55dBrfXrUssSrfa0k2cGtTmamXNcihpwR8ZIuxHF8CIdh9IYpWEW5XReKLhsks7/4d6A3E9zyf0PJwE+3Iiit9wb7d7+vHVNokABELXCvhDZg+czm168+Opeenf5uGHPmdftvroAzenNDAAASAcAFOFKFogAoIzAMRAITFQ7pZ8Wtc87ydbj4ecEDv0/1qI36XtWvqqqCtQPHvIukgvK2nLKR48WPNthpcuet4ny3dqb4QSjNTDPT5oBHj6/r/uvRHHx/s/efh/l+f8f1fGAi4LCawO0eT2aPjoiAGNOcuAbm4AA4BUBSpaIASBMwDEQCEy03kZKx9ai3B1W8/XPZzaxFBahuQUFVGK8CKCMM5Xnq9sAmAfhKMNwdxmAwkgJUGbAT5OLdxn1eMD/7gAo0udzscY7da1ve/tfRaNAE5/yi3r3hcFoloQn9vI8fr/wAUoAUAAcABUBSkTKJLBEwCFaZsvt0HXC+uj5ffmn1xu9MWgc76Ttov9IUHOfB9PX9HFZOFZ/8GgDGMDGjjUorIbjcuWvtpMU6mJZVaNYB9f6S7/re61rWy+v1znjrYCwBLTnreac5jVqh2AjR3S6Z/lXAYP3hDJe+S4ATtbJ87feDhMhTjAHABVBShqEdCDFqXnOlcDqx8OjlMaX5FgB0j/UHp2WamdV8QxRSKpAQwRsDbd6pLiDeHsF7QzF26VXbfn0dfxNiGOeeWacF3FIzrPfqfCx6/Q2VCKgALSyzy5Yu1RuWv4e7li0x6n9L1SnF41wgAB+UYzx49sJdMM+O/N92SWeIAKEeUZgpTfQr1hOeLsFBKNpSnNnTdFwOAAUwUqYhmChxeYjno4YvrS2r8JpLvgrRMBFsnnM25Jhk5B12AeElLWjhhEyJapXE9XMqdydpoKOneHe9E3ge15gau9jwA136jwQocblZZU7u74Qcp56BM1e5r6MvWGR7e0fJJYrp5sFhETHr8Rh/btPvDu4+T+IABSdFB+PLkSEw0OzbvsuEIQFidgDgBShSkMLRTCGJHRSg1nwRFOi7NAqA/VvBw8QdBBBO7aUXUuuWalCA4pOFh2kKm+MtcQ+LnFP3OXz8+YwAgz9DXe9Kp7fofnyZF1ZIOlrRZwEoALdLft+0d/9sezWjSn50mmKnSbicNfzhopnloaOEufyb4+D27tgWKlXReCOXxy/be1VpWHdGxwmjDn6q54zubAp++RLghaIOAAUYUofQWEhhKghUY82pBToOhNGhojKQBxubBRccSKMZEo07l1zU0pRVgRUsTlhUs4CwNUhJkcXxypjDHZlZlehGlwVFi+aU9OvzhXSfjNEikwy9GrwDWj+zdTDO/oy+/HikwqRYC+EWTZCjgKOaNUvtpp3etgxywLpwSACk8lYSDJlxwZNXGd4XEQR+DyS3eHxVoxRBdMBwBNlSopCgxCYaIFBEEZasSi0aHSyyRL1Q3moGP4n1KqxX9wVJHNqX+ClCeRfZeapXuA46hvPzFPVTrEQxaaFocmZAw15KArKFqhi1X/RihqF9hfK7gPAs7r06CgY6dlsvo0oe6ccHydgvMUySstvHpCrR+HtrKlOPYTR+dBlw00vt5slgw8RhZPHadchRAgk4CwCnIilPl3A4BMplV1ahmyIGC1XMqMNKJbJTLf89LjWn/g31qOOtP+K+/vxx6vjq39HPOr6+HkXV4ieHX0geeY336rxo+dxD4RaWSCCfKGVezwEOD/emWQJYnSW54631a1vXQU7M+P237i2s/4c4FRaM4cGnP7xf3PM5Vm3d3CBAR0SqZAagHo1dGAXELUxVZpter+fIEUBQXqFGiUAek9ThMkQc1OM++M/0dDu7+MnGD+OFiiL2/RyCk+K9+kzFnC+P7A11H2gVZ+PHDrkmu/Enh65JGMXTwwA7LQD6CZrHs+d0jwoBMVfihXj4LFKV7B0+C+L/C+nQP6ocBRNSgzMQrBAKDFq0pbinfDugF9Z0iOgxoOFonkToXWNSxhlhU+i4Xjv7s4dySY7yiCMaWAGRbNtk/UwYaZEZ1OqKKeFnHd9uWUXboxZQNCQLForK+rEiB7y8gdm/tZN8hLVFVDJC/005cEufut093e+Sy8wBdBhDIEHLL1AmEaHK/CHPy4S78vFs7dNcv9bVJ9IA4AUAUqOykKojWQxCAn1WVIRWHLbUDXBpLux2EVX2QppWJk2r7h1qk32DNXVPTU8aTokqRKWYDrVeaQKvb7O2/2+GKZxFokKErlCogsqDg+eKx58zIAX0fuWHasWXdt3YAL4sVMUBmvmqZlBlJgABZsC8LUNNYDMvO6FkFTMzPFi19AYzgAUQUrUxaIpQCgjEQhU/VU9aGNOZsjR5Xq2ccUMQBA7HkEHsIFiYDGleQRJNJ5u5gaKMO0e5m+3zGSER0JACsCRR8Xv1BtyyM5PpXpFlx1Ur5QDdocuUX6+IU6dVvQUiLqcy7kVFWr1xWYmxkqlULCv6IGrMyr+qYnkiGulkLK6y/yy/K83zBc9qeOEBtWBXwf5lWyiErWves8Hk93bhC9+dslUHWssB6K9yj85gCcQOAAUoUqQpoEiACgzaYnC16jHik10PLS0aWwgitvTWnCvP+56/QLtkIgwQVyLvFsVX1cc023hJgJaM15Ff6TPPuLD/5dhpqDNI/mWmq+t6jr5f/N+YROu6iY7k/weoVJ2YjClA0RztddNPtfVEVa10q88TTjGOCJNaYACKZwGCyiGiadnCklMBLT6jsLFAEZgcBUBSo7IoalYJxMWu+nltsY+CZqXxvSeSpgIjtJmZe69ZE+KhW5w54UEgIPgl4802kYFxKiKQ1xkrre2s2sgPqClwpEYu/UrIEHfq4zc7x7993SorEnf2/SlUyAwBp6fX3iX/pO1kCdbsP/EALixtRKgsBsL6smGERGUNddOlJ3amBUI8nHnzQ1pX2uvXG6wUAA4ABUBSszHgaoOKDpetW7YLcZEdF6s4xlOAD1HuNpo/Qwz3+UWYXmXivF0IavaNr7gmEwK/CIN7B6CebAibHffbU1dfdH/FWqLgWndJECsVhK3p7//n6OM4ghEqJS/Of1+xzYQ/DxxcsAk6V29IwDSTZpdpOPBSNaLzsAACG46u9gNVy0p4AnGFbFgACcgOAAVAUrMx4IpziDprrUwxOXmzHRqWTRQATgVR69C+XIV2EfiTydFLCDxf4KNAlAiRzsJCNSzuTXxPxgDM8Icr8WS5QRpWN8IpYxWc1EXvuv3/dOLoBCL8noV/PKZt7fT13NF7rj07/W8pRa7KT4dakYVh2bRaOYAAJGbZjGtFENW3BDLg6XKGdtwRrNlZssLIuCqBgRBwBShSorLRYuSVPLiaBumfBdavdpcJkvFiLVC8PYSeoyWdrWsmHlVS6Hk6igC8iqiXSHTr6221YKLJy2+iDzO4eZaobyD4m38JHVUgA6OTOV3BeK58kXgjmEir5/L8VrAE7yO9xBJI45XDfjVcuRCVBCe2UVBtp8qAAqqzxv+2Xk17LzEtpYEa2gDgBQhSozLIrCgbJILBQThZquo4cBXq4tczqFpLTE3OFvi4iHsyLTe2fem/rBuUAQW6rKRlTg1GHkKkUbHY61Xb+1K0YShEekzvjIdHukn6IXSKsL6J4MTCB3zkgSIicDbekeUkmmKwJPdlVtdJZq/ycCfQmXrvV+GVMFFJgzlUTQUsBZ9hdV3lZbksfy44ZOs8URTVH9PlRNZkYBm88z2bvj0UUQVOyRs7cRinq/azlsSj0f7lvm/2rZTnRWsBqO0PlbUkCxm6/PjmQ+WXRPxrzyliEieSScgpGmZuUYPfIE6T2XROVD+CDNGOwNAmUTeBEXx7f0WrtqG+H17HwwAcBQhShTFQ1EsUEoTCQTBMaR04ib0Z3bHQzjEq7pBlg7TOrqCvlDoUWiYyJRYIcAzEktPhI9iviO/6+MYaJUrfBgHN/vAebv3YHjzEkRIjOBpxYM0ZkpSpcv1/W/K6tXcn1+TmVzgPSJOTwFkqYcuj7X4IqbPVHZ3hselYPj8Gk3VT7C2jIblNgvS4G2k5OvtEX1IELA45AzqhYjTByaol6FKzw0mq163BUI5ejYPcT+0DcGsXy5jdOsfu516HxQOx9DgniEe34zAFmJw1ICtKxIYtBdJhaKHNszw5qb/Ze+fZ3Nn5RZ0WMzsvqyhth2S68O9ka1HpjsEbRjXnQ4AzDJjOMEkmt8pNpDdRaYj0c6TsM2tL+LOff+Tr9804wOAEwFKkQlCsJBiFCGYBCF4dEhTTxkGt5z2l9Bc0cBL8crIJO/CTWsmzmmpodQsb5AnDRSLRcQ0mjTy+oghJU+AQYFgPeCNDxfEkDvUlxvc76bvt74SHEZu7POqfrMtMj4UmQIKHa6KLeWLqoTQSC5PLIiM3p2DeS7X5tbsaKrRqdShrosbAhbQVit8a8pC9EortIIlh0LyRKiBUuJRtA9ObADgE4FKEMZEMM4ICnQdhblticGjpGTgLuOlpvTXoaw+TgrprDSxZEfTTReziT1Bu/VN5PQ5vunGkONde8OK0dJF5NFiwnEAJaNPUFF/ayzVwtEyWiRQQRaKuvvulXjmvDJtADLTU1unIlfciGI0a1tCeWMNW7MMoBpLpKB12kaMNHriMQZlgAjELcVQcBNBSgzNQbDIyBFLmZMt7MxXQB4pxLTRbWWgVVZ6EVpQdX9svIqiD8c1W2CuQQOwjCm4ZYkGsw5AJo+EgK2/J+0DCzNOLrpvywa42ozeyPILiFoENdlBtMZ4oyADZjOhTjViCfbxIJcpNmNMMpluTJhdytvoAAB3hdSglW2Ia/z9o4oq4UhaV0KgAZX6R1ozAAvgSwBAQA4AE4FKzqSBowXu0LOjDpCbjnTTTRpjQGdtrB+NRIkWuOdpUrhGXPsLVVRwfwIJpp00+6tlCuiD9GAfUua3pHHzw2VvThZi3N88WTXpSDUnXGrcHxCdEW0cH26rPo/xuEnci8UdP+b56HliSgL7v4WcKn5MGAEk5CcV38GC15bfAGTiiAAnaQKCiQHAFCFJi0MhURBQJEC8gxL1mqa6buwI1JYZawWpuUDwUCovBa12u5hUkGWG7HNm2+19j2+fHDNlh5+AwwxQAhkf07ig8AEXvrd9ZBVIPuJZcGeWBefzpAFc+DvopLfMzsfYe2p8sOCtX96IlRVO9nb6UldLd8nIoCo5lLxERBtzAK/4/xt+8GZehxAAbDUTDP8Z4AcAE8FKkQoSIIYoPVY9ipdjpIOLGgsQIvXO7HyK+wXCb7nZiFqMnny5TioHFicXAGmxWVfh7zxaiWwPS4CU1Xp+ChL6Vg4eyKeKCpLbcDKTgKal4dTk+6xqlgwWy0nsv6pR8fn5YlODIhZhM6XbRnz5+gNbOosEMJNFfMIY4gW73WKccIlo/bTMAAsqqX8EwcAUIUqOhYEhQCQ2CRxUrFFdNMzVj7kF2WVptoDud4+o48UxMsAAans0dT+LNjOC/tAbOqupNTIUGxRrVfM1oOI7wqR/fJsZom4Era/CdMKE/aKTtfcdN3dx4bh2J3GWOlQAH+29G8LGAQmuGKyc50CiMk2LXntFZKPpTw5fJMAApPJ+hlj8T6bwuAC1/ffjD5RrMDgAFMFKjMwiMIRIEXDQvprs0W8w2nC0aSmZYRYNVBpC9B2R5Epm14znYLJP35dUWsl0c7u6Xzca18GYAFTJbLJe7AeCh9m1uQ3qo7vdzh0SYgJx3anXi/0BA5S2qnuU1o/SjDBb1ZGLtlggcbeK/8Yyv05CcULhS7NrBWLSqnzd3kN+GyLXC9ML+EnILbgAli+zAAOAFKFKkJEYCHmxkiZxbrM0XNLJYzQRbisY+kVLuqSxosjTcZc4G/RQYrFv2qSu66KqhQUmOhU81LqRd53gYQCVPaGyrd1KJdFYjMskMLb4OKkiEIw+2XSdU29pZemoUdbvDiJK/14SjgsUAoDK6V+WBjmyaPHw5WjS7nOcYC+62w7pjYzY2LVhomDgFOFKjsdDkUTkUBCFZemnlMBwIaVa003pQi0+oWztt91tnnQbygI6cCDu0Z/Rh3YS4rsp5SrSMVNSSM41RZ42EIuCCTKX0fw8Y8mbx3V4Wec87BhBd+dJB0Yji/JtSWoTX/Z5dXKQdt9Vo1lZWGiauxnL63TXEDnkZXUiTQ7+iH6QlIAJ4IuXGdOE/cxaioA4ABSBSo7HQ5KEhEATJJn4L1QzQ3XQ6FkgCKo/S3AzR/hPf8jspDyKRUQoO9KuyW2bfjt+nDTh4LXhimHdHODwH4/2QOT9YGX72YNghRMMWXa298KZAgKAu3e27puO5CLOJ0wp8CUx1q0QzgJtvQrAyTNHcsneqoLALksKWRrCbvskNEEKxwrIEGIhALBiMJjFwBThSsrKoiIFwzynlZpKjlaWtC9LYAA99ekpJp6uumQDTsPgGlYSdIJxZ1BucUreqZy8/qzyfG7d6xo+gNxgDGQOWz5U0ZwGJpLqgM9gZRt1n7YO8GBv8XXfxLqY1o3qIadmQ7791OcRmOue5HJc5kUm79QlNk2xcaU88/d2nZv5ghi/pnw58rZ/eLVJoM1vHGl99nPbqhJP5bSY/fd1sIqagA4AFSFK0ISDoUYtIPovM0wxrRNLNEtu8ABvQE4ntR+MYPb3GqFojjEqGxgJtMDAEAAC+zH2mpst+beRIqoBJFPBMjMmhgEgLxabvjkTtEGbUa3qYmAW3j70DpYV1dbQwuXa310i0rRcIZYtCIzUrtTfOcZlSwBYswwOIQ/7ntq/oFBtFs9g6HexOCkQBwAVAUqQyyQJSIJSKvydQ3YxGlyLkuxgsRJNRd9uC+PK45dzD4DLDiQGv59WT9T9VQbZpCd6xMpJHA3I74M0Qtf0WS+FvPwgf9SvDyXzU3AyAqhdCqmrAQgyAplJCwSJV03nmBZeJvVQhfJ6flPeyAjCgJauPOO1M0+P2m6OjWmpZSbEp2othk0pTIT6MzAvNCZSgHAUwUqKySIw0KKSEIQEIU7taXenTbSzOCyVrWEZoI1Kpi6gjsivrSLHfWbAjmhu4kKDqOZKXGw6x8k3TxeSU5sIw8nkCVzZmtyMUQTH5UFl0qBEkZPFJsHWlhO8BBjwq4+DdT/vJBN2rSZECDkgK2x+PRs6eC1FCIiEoWKAazU2PuXC9kZ2GPQGkbwHABPBSo7GRRJFL3HWmkWLNr0NIms1kpM0AVXNgvMwvUV6xKU3daaZHmRemVrhAy74W+bjYSSIhX04zKxu+mOV6169Eu/WECdEFhPeIw01401s4d+zybveXZyg9tWcYtsTuQ+hCHhqM6AGglDPX+bUBuFaCoNai7t4iwCKmDTCXuR7uykouTh9PDbchmj1K1KRUySeTrePEASmDgAUYUrLCkQJECTACqU061ZDLxTRo6LEADMbTBn4Bfiz798eptKTOEVCrzqQIkq2ghOYV8obIZMlRw3caqEeupOnDVGm0NysO0geNW89p0+8qLU7cyvvn+nLo4YDBbKHkmkXz/nv0Vh/jxliSFgtvLI7SE+iQ7W7HDfakLB4bTxANje9XKcj92MJ1S9JvgPJ3R4mUdhwFacWHA8wmwIuwCCZCjgAFKFKjNEjIEkCEBKTftBroMmgWl6QvEYIhPpIffvMumEHKS6A0FOKLZ0Wvj3/HfNpzXxWTy5ZRNn4yWIUAwm5hnHa7ThPFMTUo9pGSkcSmBwxJCxVM0KPz+y5lKF//08OSmK9BD4MUSclP14UtOJUq9n0SqLFt7CHQ2xDrQgMSFqJIZiAsXInmosoYQFYzBhzi9LKZtRGeSH6ozJM5lXB6OAT4UrQyEWIkERhI9+304L0LZxkiSxeiFMcYBZGpMe4U47qjHyjYDByW19h2XnLyrbq0a6Tn5dpDUbNRCVd0gsx19KdoaN1IyemEfB0pPL1rnRxuw4q85cyqFU0DBt07HmYOULTWb4IVjKB7l7g0MnEDDS+bpJU0uFkCgPB+0A+MIYapSGBYLHhbKIjKOYj1ab9TIno5JfC9kBkwADvr6VVzgDgFKFKzQZDMEQsIjmZAiU5jRLu3XMfDcXpu9M00pgsAbzIsMGw1HxnQ56VTzF8CFr4kyu9t8ABDbnoEMVPp5ZuCtfLYIARCcj7ZIj50C11mm33fULFcehzWjd++3Qwb8MTb7wU4/0JkVgynZ7/TjPtPHw2auPgqQK7zswS17SjBfix4Ztamjr3b0xTUnr6nYPx+cKh2i0+CG+TDjtlUwiiMQZZdAmoXA4AFAFK2wWw0NgkJgoQTGMBPU7QXrX0DgFwi2rbUAypzOqur1wY3FklLUGIuJKoykCJSwpu15BZ7wyGLvvFOXFkku4Rlk1c9sprZtvVYyY50Hl72IYh+szAsuRoQQ4RODxZEby8DQdTIvC84VB2qXXY7EgSY9P6o0br5prdM59pU3J+IBW28ssXtpDw8Xo92GGLmGb2h88dsG3+luXcVumg2sNaRCaTivt3yhLJ/339XkY5OWtyPEZNKUyNagS7HoHbcPAUgUqQIoEx0IAWEQWCgjW7vkF8HRnRc48sFXNac2qwgP7K/i+x2qR0mwuK2UaKQjaKLTdbGr3gkwUeDQdM4NDmhCBcM0lXr+/mzZAG0Rve3/ooSad2ojmAgYuAgMlBjop7Mp9ezYz+YfWwQZQyEe+Jkgc1LPsrrkCmNoQbAfZ+C+wuHSAugIAAE4WEbpWnoy4RGUQ3XMTBkzaPStvmgFK4QcAToUrNB2Mg2CgmCokGKn567VdpRxEh5mtTKDTWjDQFYoLqY5UMlwsEksLHTCQAjhOKk2GQMHjbp1YiCAWUyojv2RPPPTPEOG+I/a5vGWVll7BiPnddqO0z6LdOYOuAnGXlmsJs5Tvt99W36q+60C6amiumXLPV7Gp87U9CklFBxVMi55aU0+CBpii7uKoJIgAFOMJ2iYfTa+ZndP+3402gqUTnzvl/wADrcHAT4UrJEACwhEgxEgQCpBEgRE9TnedOtPTyhXXSahlvLWVHfQQyVz5kqSvBX1cXVZl6Nnd3lXhN1UpDKbOyjc+LR4In9MLJVEizelRX24EHi4XGIPcnqN68/Cw8AZxvVQDSiq0jo3qs0MNSZcCw6G/s6y2NwR7I7Zl9rjW4zaUNmuDez4c30Yln6Bydu7incXlcbq7SvYElhEbzzptZO425s/HevY65uJGn8NjKQHT/AGh9ihrWqAMAwLg4ABShSo7FoTFEgCMYrATupFtaGwqn1PrUMzi7pmCITYkKA8nxHZs36VTUN5kRokVUp84y0zTf+X2n0ytTQTPNpniqY0WFI2mfl9fCYa3AMUcmPL4g0qieYZHWf73dYKxnb2YfFijgn5vcXr6MXwACiAMoCydjCwfx1/w5/DBHxNi++NAMUcjtf+f9vzcAFGFKjwchMNCCJBkMRkISuR0eQoseeicFitFTKgPqHVUv3xjQRii1L01eVKkkv21uBogLklTbr5cnGKMHyDR3vmO1YsbdZrolpv4tnkAU6qA//MbsFxXcYRKEFZI2ORaN2lK4toFhUc/wgwX8Gorgynaf4JKw4A1+uDriMVih19V3KVwPRTvNZskjW2atBpD4IiKjPpsaXA88cHs/NjGWWoAOwDgAAAAgBtb29mAAAAEG1maGQAAAAAAAAACAAAAeh0cmFmAAAAHHRmaGQAAAARAAAAAQAAAAAAAhJLAAAA0gAAAMx0cnVuAAACAQAAAC4AAAAAAAAA0gAAAMcAAACuAAAAwgAAALMAAACkAAAAqwAAAJ4AAACeAAAAqgAAAKYAAAEMAAAAswAAALIAAADjAAAAywAAAKsAAACfAAAAqwAAAO0AAACcAAAAiAAAAJYAAACRAAAArQAAAKEAAACXAAAAigAAAJUAAACQAAAAtAAAAK4AAAB6AAAAlAAAAJ0AAACIAAAAkgAAAJkAAACSAAAAkwAAAJoAAACQAAAAsAAAAL0AAACaAAAAjwAAAMx0cnVuAAACAQAAAC4AAB4cAAAAmwAAAJQAAACcAAAAmwAAAKEAAACeAAAAkwAAAHYAAAByAAAAgQAAAJcAAACMAAAAmgAAAJgAAACZAAAA8wAAAJQAAACEAAAAsQAAAI8AAACTAAAAjgAAAJUAAACKAAAA/wAAAR8AAACiAAAAiwAAAJgAAACKAAAAkwAAAI8AAACUAAAAkwAAAIoAAACRAAAAkAAAAKQAAACMAAAAkwAAAIwAAACaAAAAowAAAKEAAACjAAAAqAAAACx0cnVuAAACAQAAAAYAADoPAAAAwgAAAKIAAACrAAAAvAAAAIwAAAClAAAAAW1kYXQAAAAAAABBBgFKFKjwhhuQkipdY+FtBwYjprhYmLQoEWyWrC+0tdfdkD13GqXRZxumorRcwrC+TT2EG2mPhXIpVTh4QANIVpNB4Q9PzNWrxaUirTVGteKm85YCcN0pgcTZRD5YIoyOr0uK6tW7882vBqh/lJsabhZXE+qBF7MjDqEsA8lgUF9RpfhWl9rP9TVHPf4ZPTbIZ8No6/bT3sdY9padFPg6KufaTHEHAUgUocg4GRUCRBIRgC4JPJqbGkLTrLtCyDAdsolV4H7ribFjUlye9flOJaEKaarM9hK2JcS2/BE0P/syk7Tnh5ECYN+j0OFs5sLIzRhoAgj7HOTGCBR4cnu/FQuAgXzPL2oMOnjVV1hEpq3/CB4+eukOEDsfqvRmmIXgwY9nPp3Kmy0LinRDHlzSrfXYPRHr9+0Un9hFOyaV+J4KQpU4IBMY9ZHMEr4BNBSqhBoyCYiGUTe00Z9T1GrMjznkVLWjDHC32cdI4AA6/9ONWS5Q6E5Jr2O6aDt8g7APjOh4jK5PfmrYllCFTdUZwCcBNG797B5t/JZrbuFDbIFZvfGC32WLgWLd9KQVBoOxBh/oS5iQE2oVF+lJX+bdrHIbLJ07WXkOUXB79v7P2jqk2Og3VBtAcBSqtsb1xynVSIThQPYCNoPFrY0YS4Jik9NnYriqFwUK9u3EGV00knY9BJpizhOEHd03T1Uy9+iwXEqRRrrpd3lZVNwI1ilSimjZFV9nd5bFWqouQkB4CK4JOhfuGax3a20NZ8DbUYPKxdsLkhdS5QTqdfkYnOxWgRZJbMenpvUAA4ABOhSpTEoqjYqJErjwovUTAlGaaVrilwvG70JviPL3GrmGEdBEqQDBbE8oxfRY4wFw6s0t4Hxwagc2Ru0lQjnHAkomxUCBppeBVKjg7k5qk6KuVzpe7yDiE3ERS5PJVr/zGj+NLV3ztGGEqTBj4TUxUQ44YCjFIIOIrUtBNm6j8XTcZG+L8Fy+C7b9q+y/FQboXwWHTt9/8R2ZRXMaU/9chaMzy3ajv1mg52EUUqgmIqGFUQ1VtkJlLRI1cTYfx8LL7oygoAHkFhi8OAHAAUYUrTChEwiGgha/X1EIjnCyOnjzGhrqwy7AWAQwmLIuh/55XAQIcg4l1g4v2h9/jejavZRdAsctSak6S6RoASjJRTk8ZH90tbjTc+x45M5mczHrdnqk74Vc0Cl5sTElpvdLPfl0n46cQROCvNUKz+PbEYhOEmJVNaxVg2jBvzOtd+Km+tF/imFghxVRhTZ3TgfxKx4f0Qwbd9AqUpdotJEAAAtzTBwBUBSpDGgqlITBMYrKXrTPrKM5I86NDiLrzBSxFgMaxzJnvem9VSqbtZTFlGlZvUTxWJ1G6zBrOVOavu2XHZRR32DIgRWu1wmcZwASqLaiInWuma6fa8p79lIV9rFtlZQXcPnRpsORIKFWSITunN0X4MY4MOsnyxb45YTeKfj36MCoAZnmZkZ+KR7vZ0tDRog4IZNikxnjtnzlKpnb5RmuEt4HAUgUqOx4Ig4Eg2CIiSIzHP1ct5NnJrqb3wOOi9Rjm4IveqvqvrPUfqN00IOAGVH0oDJFXg0u7os6WAwOTJoJJBPY2uyripxUdkoYctKs5LwhmvmaG8/UxGiyYGsO5uO606dNYui56iWydGvZc7X/6leA0kJoXi8IKAJ6wNW2ml3UdgaqtjDXttcMxjGgIFBh/Q4CFpR4HX432SVBjOxEEpgwEKfEkkjU2QAUuABwAUgUqKzUSRRIQxEK821efVHZvjgOnOtEtYoEXmg1hWG+0gWcydnNkOx4bXFNMW49e7uxjuI9G3UVac0cGulB/4qaT5JHE1MCRgiXSsmm9xwC+X48uOqTOmPqgrAjLNFNxL4050UUCvj44LOIlH6Z52MeSvORz/Bz5sj+Z4e/uVgYA8LwxdYE0Sggw5v922QRj0HHYIPf0qqbQsJof+Pi15ZqW8evBuoihEDgATwUqYyYGghUBBC2vflenDKZRfBDNOt21ktcoawH3RjitaR9qj1CI6889FEdWiGsMSEgoWO7OnHKa5zzs6YSn6478r9nu6Z6X3xv/acwXPNQhCEWAhuUo709ueGVWC8BR2z0055jzDsM8+HzXbccKiVuh8tH7ftCQANcuXC78K8N2cH9Iftw66CgslV8ySdQBSIig0A4AUAUqKyaKIYGxDEw0GYiGIQWt5phOUdGdDqQXvQCLAWD0PK9r4T9pIh2Y6EnrZJOsHpeTKGpOYxYlVG0U9lHfcowkhmm5TlAqWxry7bOyRz/Y5LUE00xwgTHTstFCKT4IcmbK83h4aJSgVCTCv+O00bHwaZgdWQn7u2SRZzOnQ4vh/9n9CiEK8Gll07yNWJKzGABjizNb3YGaGjYpfi3XNX3SO8gC2LdcxCsgl53qU7yJemgpq3pXd7VWZBLMuAB1WU1OivSqPzlAVnU/4/BwHofdzI3wAFsAHABQBStDHghkYJiQIiQhjQghMXnB0HLuD4iru+GpGkUAzsSkfJdpMVFl0XgBrhfjdLYV6EyMJWU4vytSdjzaXm8d+/u+X9/mT2RkpBlKoNciMA5nYQYqe1/mf0NccPTg+Sdzfd8gCvLEG+MNGe2pAE2dURQhbypO5k9HNYq2c4BcxN5FhaQj5m9zYZAz6QHAIwzY+LjJxaf7dlhi0llRyWJtlyvq49lPGuExm0kYiqhrrj5WzA4AUAUrKyaEw1OwTIQhQ9VrM1PY8s33u+D6GjUDyTdgN5o8KM1YOqsT5dgISJKAxUwmBp2TLjqPdnl06njqXXvMH9NLIR2c67LdtadygYVAAXV7z7/Z567tZhAmVMdsZ12gAu1TO+WrPOoc5SiJ8v5/6usAlDa6na5MaoJxSgd8u5+7YN/krV07RdvABCnsfn4AR/lr57r6tQSC2P/Fls4qpSkRB+4HAFIFKjMehMRCMFBMExIQBCYDya68EQnDC6cLPMdvoIbllnECSWB+BtEMudaAWBIB15zWIgsqDO6PZEw08hxWOwypii3GXzc9vqkJhAml5Z4kYBAj6AYjD9fwBd/lynicplCDFdxGr7JPskTzx10XniQN812EKgZ48XY0lrbIDU0nR/eTnqbrfLtuRi4SmC8BPUZYrdwbs0PFK7Lf5wLp1/hrVAAP4fO4OABQhSorJgiDgzCobIUIdPOLFMa78m2GtaRd6ZmoAcr1CrApGzLu+DIpekwm1a3BCYz01tINZz6lSkc7finJLIcIAEkkpyFFWMOOd3iZ9woYFyu0syySzDoDqNvqsnfT0kuflTC9u+W51OhzAEVFpDiMLQRILDRLNPnYkDL5eRLy7w2+meVlKANZYNUXIsSY9/ZSYeXJ4fK17SuVjN+HUZC/4jG6acYgCwWIqiI7c23CODk119WB2Dg2WUJICmyxosfy7LHzi715v5aFVbOhiyrBrnUCKuZqFvl+JThHfskJJYYUN/Ljm9GYGq3ujeMsqilvjVlEReNkEbz0gvS0F6QAECDRZmXO2iTIkszUsoNX9Hxz8bABwFEFKjIWCMdCMFBitL08siaphSz55NES5dorQRrKm6PWcS8JFbckdrPltZLTHMnUlTxkwwLFDsBpa9czMjUtA1jRMEgwLgpga7KHBigUH/EW7KE9ExNaSz1sGVMxu7Bf37q59gZlOjtk1NMSS43irVVT38He1Z7wjhSrQBtRj/4H4Y8ksNBhhbe7xmZ/vvn/eBaURcQRBMAy2nsfLN5Le55k8kfnOFt7APpG4OAATIUqK00EwTcgK04bEbs77zOGty44XQDqSuWdZ7UNL3OqDjeKANdMIe3oNZ5yJUL3A1+yTwlsWDgru0ZLlTth8xMLAUDQBJIRSens8nruiu1b8j6xvZQB9gL9jsW3ukeR1Lkt3DpTVCRLmPjavL00nTztNjN/s+jENnm6nRUpevScNUvLPcc3r+pqYIiY6ujkJ6MFjSA5zj1tUta2qVgQtGq/Oz6eWPbQAcBLBSpEIYghoaGFbKDhwzKAyenJImlyW50ATTH7PWV0yt6+lhlkpYMKE6MefTdGmlzHILYPPEsdh5HZWmYCW/K2E7X1T7Q2vbRIhKNxBn6ECABpj3s64MEYsMIiDNuyWVwcmqQox5H9RWlDfkdZYy+dQDF0NRQPdKOXd67vasQpuJVvGFyWRpX4rFKR57QafOaoMkTSeotCfEJEEkprGq8zwa8oA2Oq4oBwAEyFKz0mBsVBikiAFAydGVQDfPjhl8JdtZ0zQQxKFcHw/R7V+o/aSLF6XPPksJKObEOOFIdxp1RFRIRLTENDU5/VIpL8mUk2sQHAZlXifbQWN5WWYoBUspcwzl9GIc1RkO3HVigIa0VO3zMEaxm47urXfTHXFZilqZegjc6dfpgxd9yb7ZE42lA/gKywD+Phhi+C4DBioniuAM4zvwLQ1Bn0E6SfxmAAAB/deYms44BMBSs7HoTDALCQoiQIkIYkbAkusZhXTES5pd3oyNBVrshOGyxBEzweqydOkSUomSzZ6EHFGepBkokVEWU6M6ZysUq12W9ICt8/+MofLtzYuxyMsM9vkMlBhcBgn5TbZO3tBb1fgpnPsdSNcivrdwNE8d4Vo3USOjK9JeFhQFJdYL+U1RR15YX8fXas6wn1nziFWFlo8MSkQyZmHOZ8ScXxg4H3X0y+jWpbiC8wkvO5IyaAOABTBSsrJgRkYSmM5DEasuF+elMrxTh5gl3a0mmM0Bkl1Ux2EXxQ//V/0Qc/WchTtkontqgrtkWj0xvk2dFvdo2gnfi56cN59yAaDQzpPfulomVJPdybzN1vI3G8wLRlpGdqqpz5RrMYbITrdgZca0bT3qGaBwWnXT7J4t9Q7LsTnroavPuJxA2aWyNP25ahGyTowRpvNH6ZE+jloGpiQBDrNmADgFOFKzsWhMVCEhBGIhiNtHRr2Me8qebuQOtFpGUkBmnqhzNqHia18BNa/PRBtXhcG9Anjytuv7TxGGQAYNfK6t2IbpKxUOyKCuEhOBMHtewKzo6S4r/5qfHWX7riep/3iYnHN/rCI7+5cSAjPkzt9wCEIXnhoz0e6uw5gFV5QAAOb7MCkIvyX3Q7WN3cswqztCaaJLZ4Yf0flTUJXn6a59YaUnpVsPIj2egCwBTVzAA4AFMFKjstEkNBCJCGM5Onld7gW61uLtdm+NGN8BFA/W5xNS+iapuaMk5pj/Kuk8EM6vCxNvxms/3VEvX8OTLMnXQC/Cqm7S0Pjmt6aym6Q/qvbyMNrXxL9odsiwsDdjoFAXVSUjvQo8Z6iqcysz6V3icIGHFkxsrpZdD1LBVCmOdVDyCVLoUrVsL9Lcr4o70MUTnFBSdeT/CkB7mBpiWoKwMZVMl1RR0UKF62njZxAGLrfTd7pZdrKA4AUwUrJBiDAWMZUGQ0GKRmfEu9bQNOBwji2JYqnAAr9DSmomXJPmnvDzbH0jxoEEGBTHJ2ZMmJ0oQ8XQkc5jvm5OZCjvft1Rc3dvwsP6yIo3I7XOe16Vaoru0E6N+IdCmQrDWvcoxKSbrwEBxUlVZ3ROiQnyyqWF2b/N5NS7kczymP1mZBOEzXhVox0ThKZObvrZ/o3X/fBt3qb0QBIDdC4OAAUgUrLBqFBEWIUGaQNTgmNWtqLLmjFrmyAChzhtZaN2RKRsKQrN6cD4ojTxzJhcj0kzA3MYZAAnQIKAlAhQaX1+WR+om26omhGI+4cuAhuqjtEhJV73fUV/IxSrl2c16HsH5CAg2FyO70uhzmb18fFjJZ7bcKI0xhxyoGJHaq3Dc/3rS5cDtK56ijMiESADbokj0PNo/YtTdZqSI00nZR2QA4dXhnAjWoHABSBSs8LVABIopOWl+TTtZd60dF25x7DMkAN7/1/MKz3bz1mtunEVXsq895bzgoqWQyhq1Ctkf3vsSNYwFUxB6F7UyEE1TxqckmtttogqGtVG4gC8ds45XhCMdlVIjelVdCN+6joujRoJm48J0w4gqT7KlRY9rCLH//+VikAAAOWLFyVunOWsaeELTtm1fXUng1wtrvw+V8+kA1UmEoxA4AU4UrLClIAkMYiGIkII0GX510b52kfh5Mt52q+HNbaAPX+2Rn2G9fArXDA+IeiVGVxKrRhOcZLd6GK2/dnDOZ0UxhDCntv6+f87qNXAMcVhDvA0PoY5Xgnsgw9ZczfEv8O/Vzddm14UeUUAOT81Z+nVqYz7egSiPrPoZ7NMuuAAMcR8WM668FskD2nuiuXGtp8w8PpheYud07bQAAKgcAVIUrRCkIxEGJkEJDgjo+/LNs06X0MnQdNd4WAeskSQ2lOqfKuas8v1gVj6BzuCsxM1MgkN4AykyLWNZ9LmdnxKbUtAwjogvF1G3qP7bLcAJHkfYlq1dm+dPCCmqyleyUUSGFjumJnStnMjhYUhrVFQoKegJpxhL2uokQ9kt1SB3+n5PvK2WMc/hlhyHny2LgIKu4RIoCtAKDi3Rvy2MU66U+DVMKkUQn7gShDAdfyA4AUwUqOhYIxoGiWCQxGDWnTo33C7NWHTL1em83elvl4hyBn+6WOQc405klWTFQusvtlbxPZ5DCRWMlJrMXtS8p4z8AlAAnLBNXX1oxUpQwmxA0YWM4ArApylJnRbbwfn/trCJs9lvdyryEtSaKTAyiO3MfWDHnbOl/rnxD1CfoNyyRwLE6Or8//5gwOR952L/AFc0JltZ3+4PSH13atQu20nduu2HlkZmwDjOkplWqUVSsrzGy3ysYk1d953NDkSiSj9M73AcNARrACopL9dFwcABRBSs7HgKFUNGYUCZJhCRNaGViF1Uu4aXNSRvQG+M7tirMSe8a4XKslICyGWBNFREvOxRilHflxdxPeocqpAY/zfBXptAKhdqo9Q+IFCCedKeGDtO7lJtUNapuGOxDWzKfaFGVdZ8BZJrV+2i2yyOSka1RMYSGkwwQVsUmqkX7HvZlCYTTfzWyLRxcbWyIw6KFfVBY39Ipavx+FkwCXbVd3lpyrFs96raWRnM2OCUt55z6gE/LNJEvsXNf79kl2MtSrbDa27rd9HEO3PBeiDmT9sFegBBZ4XTTpq3f5PD18XAr30OSDblOD0XLlDz6fXkD36eqXsXjdq40UDI3oXGiy+EEiNTVxhks+007nYDAOYsIHT//GAHAT4UqK00GZyKIllyyJPRBW6wuJHTiwAam7pVyx6WEgMDutz6tWPbJfOrV6rJg5Fry7Zjoi7JqsnZrBiEg2vQBqqmeu0ABgB0bnQBJ16xtmdHOzqqDHuNMY9NTXAS+nl4JpSnw2oK/DAkb6MLhzosVsfHivo24O13uX4ryr23sKQEgtow50uJrsOkE5FV2mSxEJKFTPSX3CTXcjLZ25czM7WZjBjdkbdq/TdIYUAcAT4UrO0UOKnk30tw7VtFJzm99GkX0LVYNM5xhdXGpMjPlGigKBHQIrBW8Pr1BF17FN3TjXPwtxbwJ66xxYXttWZQEfLViwGIAlNS62MIW7U+EuVCN1EKeWWhKuVkXLbr1+21jAPcGd8SOELqW7k3hW68myl+rhHWzJsVtLa0p9gbzXteq9SGsrC0HPu8HWGv9ybeS2ERGaogykE96fgSiygBEDgBPhSozLQbEQRFNTo1LKEmMSekJdmpxmgtcpdkAkSuat8WC0Zd1v1sGvYk4l2MlkC044CrBnpH3+GtrJDvW+xwxbhg3dOIuNinLLJ2AwzkeEiZysIwpC1IrL7LvdPqL36324BgVfJBty001+hgEq/tt319osWwfp95JAsyG1CI2T/qm55Rs1J4CeGNdGWDn9YAYS1Gw4EFp6ZsIXTTOIKogWoDgAE0FKFMeAsRCEUwilvlr2otSCMjEaS5q1jIGHV4sqOYa0F29C9PSJfMWgQpVdeSWsAVuoYRY9vFbHnHKRcbizr8joqOsEUQxiRNMbJkO3CitiPhkYs5w6xnMttfqiZxZQSNll5aLriSmr7YDBbZ/FgO+xSXTXJHqngcyB0byuvkLKIN1Pi33hQqVOM0Orbkm2RcuROyxzrrndGFgCcQA4ABNhSs0HYpCYpEFhS1nkVTfd8ac2WuTokYAFkdwbwiD32vkqrHe5oYaVegMYcDhEnwPITd7uCLDvizayZn14wSHhIs0yNWnfs6aGExnGQ2tIvZmINXIF8yA/bQbYY0sTIBsTyBUeBId5j63n8yXfcAN/DvSYgPNgSTmIp8jzbun/9LrzI45cZ5PNaCa1+8lYjBCnZTnmresNPg2UsaIYVVqV1EonIJAOABOhSs0MQ5DFra8lr11jNwmmFtaNJeIm9AbzTfJ2hyausyJ8RsOe+JnrFuSmmchV5zePjiElqw0VSYdn3c9amFtnUQQByY4jUiNtnsq6KCD8EMg/Brsb/IDOj/8G4Dxyj4giH4FXcQFXWk1ENi4q6lzSJY9+iElOQ3/jld5zgNK0lvYIKV/XLT8kXcqmSjMVnNONoC9mgd6vDva/6AE+mYHAFEFKjsehoRgoNgmkgiU8JeuJqzaPGuGhacEvSl7WIvNO6PN7wFfs9Ugc+gCoLHWzcLDAs55Eq6oktivybpmz4JOoZx5tabNFK7T6t0n8CVJQe22nEOQ8064wcKp7FEV1KnQDbIZEdTNzoCYdHT69vs5a84BzuKnYfofQaOFrRJKwXVraLQDbx68wxBmR14Z5pFJTf7p+Wd1E7cTCwYr7bRUgBciPNimDgBSBSpLFoqKNhunm4vyHpHCp0aWtHW7ARdQ1Aw/bhYvzqKFqswCoAc8cUeH8JmTzQxnMfCRP2n9DGizpkyPKk3bs5WKWQPfu0gKEUKUWF88rWv5LDDumwo9H3jirSrHyUBezlFz+AS59hhpUYhd4nzzzbXS0YG8URCW267i5nSdXVfncs4QzSjpaVVgAWvj4Z2h1bMvxRxL11cVom2QJUVk2VbISvNkdtrAcABRhSpBlgqLEpCErGSfEcZa2b3vyt0lzURwDdhDzTUO8BWtT7IvHCUkvs01vuqta8/8spZRQJNpCqkA0A4mgqzjOEWSJrFbWVSIRSS+Udqu6ns4Tcuj552OOIUJfRC9Y/O+4YxaW9Oa6t6hGFCh1IuUlvXCpt0GjkTLzaIYYABnp60OEn3Sd3h67ES/sCk4wpVy18cRviUfFv2AULyA4ABRhSozQMSDAKCEaBIgjMPMdNaXz4gWuL9lnGQxYAkv5PKrq8322ygbYBvGQTnA5WGY9wvkwwOUdWuGWFhpKO7z7fZj5uhFavdvoiUEWAnve5wWpmI05lQef+327fIMauQTMMZ+JnVzULadUDOzK3uMxqC5FnlVjrwhbI+Exjtr/BegEqq9xXLKEeyEh1UxGNvSc1M4gN4tJkIlGUGUy91DxLAoRm2RBwBRBSpDIgaFYREFbZdddXnCrbYL6LcEW02aAH4+895jCchqUIIaBFCbCpexPIV6TuLE43EIJdwUJoRkM7GT9HAht4qnZUswuChxxDbu9FcFakDmxr2UuWFreDihsAm6rZAE4NMy00XEWr+n+/f5b5bHN6qcPpu1CMHBPdmz5lWKCUGrnoUvQI5fKj+m1iYK4z8s1KQgtdew5KSixMys5nf8q08ETZ/fCDgAUYUqIzUWSRIW4kdZ5DM9cRpqScEWUARcSNvznNirz6E8EKsZD6gbhXik61ds1JdcRZF1+q+CusQ6/JLngzmpLWT3xpLszQfzpHcPqzhPtd8E1m1Z3ZZrcdyBlViN/CLVQwTQZGozXmLDQ7BVIlrPBFOMtsiWgcEZHogOha7G6J6RLAzobT6MguvjhsYAhAUUifGuNabVqMn6qw2/CzVJ5fA/sR0AcABPhSo7QI4rQew9jvTeaWaJJoALALJP3iyHvlRS4DRnRTEY30o+WqWlLtQiwjyCl53G4ABjN9ys1c0180yAUhSbq99FUmFOJ6LDFwxnKdgNNXGRgm1/f0i5JVvRnK9iALTNynYIumZTOdSWl6I2Bm+GtboS+lVQ9d0009i6l5hilVSkSStDJetVN9qiZasr0e/7R+cstsvXLmBwAEyFKjQpEkUSEQRr2HsQZMQs1OCLJiYsRXiC3XQmVLko6KWGZcVOBAlxxMMMAJMhhMlMVDw/nx3JsVeeUnFanKef+l41Awwyf4c21eg+eC2mKo9YOMbbKrD275r9USIqyH29kR/r2Ty7Ok5IAFeO5/tUcT8dmYUqvecmuJw6oQjWJaCPdSBum0SqOm25QC22LQyClM00VKQXO+RHsLnby3BwAE6FKF0Rho0SEESlnUZPJ6BIi3lZIMsB1sjP4ecvJEOPzrZ4cNMwnQRjQNVSWHj+fYbWHKmjxm3Z6b7L81RKGplqWWfnpwp5tCnRBoc0kSF/DzGQGEi7VTGxDm6eKendq0JkX+ZL35VlLjSw1duu1QgLrZyRYlRF+17ZZSa2FLmqU6muVMjKlKm58O+K018L0JibvyaMiN/w1FbTqnD2fBexDndTtG3GmSXCeQDgAE2FKHsRCsIRIERkQShI0jag4JjyWdZ0MZYI1k/9GwjtueuYTMb2VrTpAiCYVhjHCJBg/FXI4InF+ysBOUy5br3zI+ZIcdxufmbxYBZW48qlTO1hmEYNyNssvVX1RDIkFDmTzqSDJAylo+optf5RG5G9uIBKm3X+NN3+TbQDqbvYpkqIpPW5w0UuDGTQHXM8Fn1W9khKSskzlPwAXefN9L6+Uo9QHABMhSo7LU5DYIsESCPdu3FdS8OJLdZoFAE2yvv+SHLqQMD3BYFJb54uz76v9fwuen2wJf9oWzz+quQwEDQhrlmrZtTaFau6jCzVrnn2uiUY2XCc6rEo7+3v9tpsL+aq9vo90HXOMKDpPHNaw6ldbkJkIPmobDih5P08/TGz+KkydXbspec01sPk9mu6bzKSxMPWPqWpSd4+VeeyUMuMhc1BCVSxAHAATwUoU51QhCOZWX0LG6DgtdW6NaLMIEFmdBGLUxb8TM1k61Egg+uw2pwiW3bu4PE4TDj+wN8WzFe+d4+SfdjnUTspNBGWzKc4maRgusxvtnz671FWDNV6B6cPIyAVcra4LaT8okL/6v7IOseJ6vXB4KAbK+wyFWAoCvjABgFMFBBlHxyfNRTKam5G+04hMso5nQ+SI2lPIXr2mMWV4eLny15sHdwg4ABMhSg7RUiBEhILq6gxmPYXYjjL1LAAS6X4W3JjNRqdH9ycooC7+/uNaLIiLZam6/Yq5SSTMPXK2HC/j3tuymaZu6yCA9tc5EbVApVqTnMtQDO5oSBAMMS0yW//McHqythNTpJKI6e2y4s0kaEMjOleGMDoBWOe6UTUktAjTxHphm3oz6nWmBesZLcUArkIqO8yENSbQox3CCwKidfQ0DTCRtfMR6L9FV6ptfz4gAAcAE2FKjs1TEMQkgRo8u6TpkohJaJcjyUGLCL340awKzs3Bbq8mTJhkUD66ZZ6EkKGwu+XtGcY/VxwAiu4tskSy6obaJukuV6AmxFjZneNxCcQXqPkx28/fjOrIRqNxmOtNweJQjVJwbB3MJFn8Kj7nYDZ3XIo0Dp0qHq2alKE5sZI7wyVUtkAQe6Y2M0SkcoUI3ZaPsQT0RMuzxwJlpR6yE0IUYfQwmPLMHAAUIUqcxkIoSaASE83nUhl1RY0aDU0QAEXV4MaYwWUzM8NTtEDTFylRSCqTjLs48wMg3ZEjrMBgtKKTTiNvat6PUktgRCdhz2jFjnCNXCwFZk1VKk1jVa+6UwTuzCSK68xhCkZnqV5Oj5WyorIq7J1V9RK7oHAKA/AwwavWoEwMxSAGOksBhgdlSmWnUDg1+Jn1nGhuinxHaJISTIq1ymvv052wABwAEyFKHkNhIYlCVUM+GM6YL4A0jVgwBhboyfHNqANUfEeOfS1hgMVo1OOdpuaIG3+VCcYGdbLXqT/+3lOYctdSr17LUvU6RoHkM7VE+nFUqGbprImLXN3PHfpyag2XsJELRQqUN17koFsv6gI65obZNe88ctffWeod+ol2ZJrQEGkZ7RGnoEja5cFQqhxaMx2KixLh6+co5UJ4qeatd5P4UnPcp77g4BMhSgzNRJJEiC7ttoXeFoTRJcyGyCHcI/JUtUC76W6YTNKA8ClOVZK+7Kzl6qQ5tZvJhnYbnPyR4OmUBZsBHqrqnvLkaoGDMsflpuXx0s78FLGx2MitYKTrssWUwZBseGNKmJgxj6rprHuXeaCGECc6DJHiLv+edf+qKxKt/T2Qx4IQCAYP1Z7rOGi1W/RnakdzUxlb7w2SmDHO8rrZEMFhk1YQcBLBSozJRBPEJBEISJVgISyS7SIFZYIw+0VLRxOVgSfeqae6TVY+FRtNMM4cJr0uppMpeS3nm8YOF+W8TuafGoA3615U8NGjfNTcpyzbVk3sJE97CHTj7yyZeUQGThtvlqRYzejt9Ir+gEeGdYHUg04dmNKLZSG2qMHsUeGZjCW6bnI80vhivt+Rz3Yy2D7Qp1It/EJ2LOb0jGxZcrIIoS+r863BwBMhSg7OQZFEpEEZa3AEILLI0WBkCGTxZl1h3NrSo6RwtZo4UeMq0vA4n3pHnmZ4jDXKcoGQ3WPDJM6P2lVfVM0gEDvVZYjOumYKJl+nGXSVg+MumozyYPQh97JlkrxEZAKajwZs2D67nGyca1F+76UbsU96dJqx6115J0Tar1eMExLYYZMi2Pek40DPChu9+X1EfMacJC8p9bn+MNf20gcAE2FKDMxSFIAuDVcvOasjFVOjQ01DAoLmxNE1gewoz4tQYwklwjRBiMdslWjPUq0qJW2reroj2WgjIfnnKt4ZgRDa+Us8N2zsWPh5cTp6xs6FGLw7j4PsKJjiq1SLhYE2w2qP4iIGE18GqS1CGw+szvq6t6rJ9VYyg2BR/IYMOhSmwfDzeFDVfXauTFOl6goecWrDpp1+E4mkQychCpKuABNFShDJQxHEhCErHwUzotCmhY00F4VQOmX7tMjZ+3b6siFho8RIZXYCkCnWtNkzQcu5dOCgzxVJZl1IrYvX3VX219JESltoaRHrkQ/bFJz89CvVNf06IvmdxQPEo3rdY0yTuH4EIKt7DP+AQSR099jPSN5DXO6+R0zbZTsMt2nLuxRP8LO7zVFhPfDERbclBSO25GyL2GIJxBwAEkmeYLNIRN3qolonAl11Gr0Zv7SfHz93THf/bher4z8BDm9RJB5s87Wizi7tA8corFF4S2R2jdNUWGkLBqrkrSrI6E9MBaYE0IUw+UWb9HUM684cqLeQYsjnzNkjIAqomYsRIwzyzoWWG0Zq6WZ1TThxz5lM/uL5NubAiTboEokQFAoRhqiR3XCtIwRMzfFQA/NcGCFYMdw9ozeyGbFdGRAhEphhd3CbJSjbQGcAuK/7n+0jFKHs9beognP4mRU6C0bfjU+XRQ2LHCHUn8XaIcK5T6JG+JzmP0HAE21K0MeBocxEURoISNt9Wd6hDGnkJwJa1u64Bv/b0jiZGLSZqf+tnVTyZSTQ1ZQNFzxy/siWL06HfXbknncHwmK8iQhNQU2/ohJZUL4SaYOwQ6pANTfx46wZUR7n2LEeNDN6ZCdaNRmacG06zO/VBUJ3RJ0WY6UiLTpN+toMnC8H7h2GL5qBe6sW8TtW3TssuRk4Upv1IBe8Nli9QA3hwiANFkEZaZ8rg4AUAUrQ0COJCEJHSiARg46Yk4IXoZK0EOWSZB9h5LcPMfecZ+j7HUqcWWt9ppktRlSFv2EdT5XtgYRXaYWy+C7u7VHDCEIAKetdKLSWUUt4j5Va97PGrq6jzlfOL6KWamgDrnZz4LjYjs6XgzARcHUCvw9bOedXorHdWgr+06BWKEv288lhKCgK09Sae/65EnTrOTtsNx7uoCWldf39DZKg7uwYLACsAcAVAUrTCkGwUIKgEIku1q63ZFBpJd9QRcEAQndDLMFVatl4kx2H19zLKBAMgVQAcB86IUc6NRl07cTgw1ZZb5qaT0iYwZTycjWeVQRA8VyPLHqtBFZnThktmblPsQx/4Y17O0jb7xHc/AADGDfYpc6JhWCl3r9qP+MZJDJ8RT8vkx1Eyu1hTIkRQ/an9C2fR84Z47d1QV5Uh8r8+YE5AHAUYUrPDEIwSCwUEwTY2pnsvqH6XaJDrPLyQ0Rl9AyE9Sv6lrHKpei/oqMIXN5OJp40dTT4cAQJBDb6XzVrJCioWFpvtLexkIYdHGYSa3HrflrzmVowhYHcNxRC29QkBPWw4aHlgrM5ESbqtUw9MvPZbX9+HSMNd40jlm9rHAlm9JY6qvd7RQURAQsKkNZKmhv7gorvkF0AUtNXQ5bpd8yNcTC640aBsOlsmLb0icMOUAKEZMv0MDgAFQFKzMiCKVgqU2N2trR92/Ungey9YvqpfEjjCoAGywNR/dTK+tRIdLnU0RXqFweZsyf0ZPYGtgsBZJsJIOp94fw8VnnK3jQYcR+5uFkuuK+zox8eGizU5kXIPLBf1o5/Muo3DLZByVGPXKzIqBmV03DO6w1t6dbwAJsKTSALMvFVZ3KgYHY6u0AGaMWkyRBE2dGZdZIGuAVpgBwAFCFK1MagsJVCchiJyHSe1squXpxNOq31epomuBgDIf0Y8m21WuTsZaKwhehWDUbwDUa5xQILMWoJS7N1+aH/B2cexTtXVP8oWYL2aF6UGx9ealVOOr123kjSIsGGd308v/vvxUxMkYsi7RHPnEmYuFVZmrgCib3859+ywVla9EIjISrov0xUK0gAvMFwBbNWPn5A6/FdGRtHlagrC35mHrmNnSSyKc8ctVwcABThSANHZaEYKCAKDYSFIYhRHwmoZ6hTomTq9cE6TCh+5O9M3mjx0qAfxLbGjpZBUmgZanoklaxUC+ZTCOMeEde/2/Dvzn1Y77+7gNpBuDsy/0/5M4eoZ0gfklmZN2PlkJ8gAPUx7sItMtI21YPY6fo1Aethw8AU4nT+eFnjJOdvl6oKyUgK5b3qUScAngIOwetO1YgeuMeoftqB9p8fxBUwWPSZSJI6VKjBGH9mA16ix9d8nSMeggdHf01XfPkuRJ8HHv8cAOAUgUrMx6ExEHAWEQWHA2IhFCZM4n3DHvcAHXC2jV1ABT/tTqnMU0jcp0Z9GMF/KSBKYoISCQ2trYq/XcRGLQxsZ3Up5qCJjiPJh9gO4IYRrjR6vR1O8gMeLB7DM7sGWrKH35w1g8Uc3nPtyuIxUSZs4EsNB12dns4ZW6/r3pbQtW73XpLJYq2ZiDGkZj4YWBjHabPjbjxtpvz101hoHnttsAM7BFjexLSxGDIRMAEEOzbxkx/u3w6LHfRKqyzmox2VIoDcEG1eSIoxCKS10QmRiQARvek5jTVmDrtp0lZ9t9oYMwUON7hX6xvu+VAc3J7r9Of4h/33eAn6NVIAOAAUIUqOxrEySGhRIRDCjd6txrJ4erK0Zs6EjV60xAEt+za7JS4eYuBVl4dc5b//dRROnjpsp6XYrg3036Txu9SgGkVZnUIAhWqej5IhSukT0V3GvaDKjRIHPQVXhFch4ChCB0tBDD0GUzGmATbmq7+qFrxhcq13USwJ8Fx0O0Zs0KkHbt1HjW91FUuJT1GR53qjMpFqtUVWxKRSUxpjnu7UNEZY2Bk8VESwn0SYrZ7jtVoUxz+JtxBwFAFKywlioUxoMVqmI4S3eGjGgWialagoDd8Rkta6cYz+OscdSgIPoCJMd5GXeTptrCjskxYDVgIBS7lykwMhq1z4YPMLaqaZ4VVHPBK9NUH80VenWrHquKlNLSRqnCOnGIM0S4Fk7piy8ne5zUVdVTJfzUcWXFELsoGTFFZlhJkZLgBgGCWqEv4QAyjIEqBVKF/sAcAUIUrDSmMjBY3u3mJKqsmpQ4WGluoLoAvS2JY7pGZznAtS4SxekEjuYFWFILGk0nJX7XgYdrRnAyHqiax+2GQWKPssgiDqgyBKas6fTV2HUfQQ7RJkbmLFFrpN3k8fMuzFxb10drQ2GxyG1kKrbrXiXawINeWevvkhNIBBdPyGLpil6FONYRc54LUEY4E2SC5JLBK54apZBiZryoxdNyYHABTBStbJQxvN3LcAHRjylhpfA4YAEXOyBiq1rn0UbSXtA/T43DFyB0Cu9crx+Dpe6yotR0hAlSW8y7jWDIDnEaeYgoXyZIG5vkGvkfhJddhhTsDF34RTxsJQDJeZGe6/fzcbTxHM33IoOHe238ay533F0lbgoNe04QJq5cd5RjeSyU7WqrZnRx3RJ8mOMj2q6PE7HRAKjjzx3fWc/ADgFEFKzQZkgM4u3a9NHW81qhPq+HNtXba6lAZQ6BUdFyC57aa+082HYx93Dr5osUcwoEogotiNxB0IHlw1fPX/sUGYmgUG0rOnzP//wI2N3Q6MZPldrg1I4uZZi3sNDtu3l4Wb9rrKzsOyltV0KZdGSO0m4Ni80V7I1ECShtVlhlL1OH6605qAABK1QBeOHSlGjKBwFMFKiNAkoE1sp6u+mnwUjnp9JYu8uaZZARwFOhrJeuwcqfWZfCezk5eR7UTF70uqjtpZ74wHEtfgvwt7RADAlMjQDmv8NoHVGB+aVn51e7T/jISgkeKB79GgBEEUaSZ5ugJzsbY1AM9rzylCRIpJPoo5WXZhs7Jo5pcQ1NcVSq1uly4v0tK2FiolCwktivKJZrSihStuy0baVuviDgAUwUoUy0QTGX41x5WeSCZb4IaWgUQO+Cdc7CBOeHL9AuI3AqvbIpTCxgKNpwEyWixHBsN8t0wEBgIuK14urAfk9KMpxeTVFPT8bQVTXWJqijrNIbTcpFtYNkibzWikWojHa0p0gFzZ6jiGMnPHrLmYT8iPV9YCaZjIYZTCEa4ToLFCZgADLKzDcEb2Jq8UePIGVHWgI3ggOYNPqjQqw+YiAKSCMAAcABPFSpbIgKGF7Mg6jToNA0sXoKMgAe7VbAZWd7tihaNZDjnljKkUT014fRUMWx69sItKTKWGRNXYLOUQL/ezXrLnEeD1q+GT/P3KmxQlxtw3cqANODrlH0a14a/FD0YnNCtL+Ob+xkxylSdauuVVBOyH5wxXmmjeaemWZQ5J8ONKcKas7DT0s/Mkq9qLK6T2nXbLSmuWlhD7IavLsAcAEymS4yUTeimWaciYZJsZfjrl+O/Nm/+3319vPtvjjp4/6Ga89e2oz+7v2z7/F9BdfxSBIChO74dFe29DCzi24YJhgmGaFgiG40tVtFPXuVxfjwNu4fvyLGvkWSLWDyWMIAxh8ndfzsCZTW4NjVGpyRjyjKwM+lyCzIgKOiSKOZZE4BegKh0fFCUlpd0T1XdblhEq8AshYV0bfqbI0w8mGSeQ8YPPjn4ZvxAkbmPbAhVKagCGnBbV9Qg5F/QpOdUQbeLPf0IvJs9IhQEtbmU+LpQtYK7zGgwpRJA2xEUUi8TVzLk188HjUh3KcGaQ5rBKgwUKNtcQskTTnecoH9lgdZE4ABPNSpEKQxFQIra5NJMRSlzourcLLsK2sIcdyp+aNo5eZ3XkM6tmwgo4UTEqXAISoQIoYSaNFmj7Py5tnpKd8u4Znz1MES3bbMAaR+QGu6hOxqur01qCZMmFCtwnIM9A8cAa/RJeaWrJsKRXMxUz255JdJHyC+b6ye6lINheJWahT7eSzv/U9jyfX85f9z/ipmcbfW24V+fXwsUlrQ+6BpAAlByA4BPBStbHQrBIyBIYnVLctdHMeNZNJrVrTSWAAgyn6/2vsOj87jzWtf6OaPtmoft9Tgxfe/on2Tr2v6v4w0Jv6r5XGTqyz6RAoBBRB53dWixaya7GzRyyYd0CDG5o8RXydniWiq7WF28vtU3MVXedgXTZrFqXgKMuB37AIM4UZoDDPAsAc2gzjG97pqNGzWnfovCbmCUy/oucpt7ts2Y52LqpTqboTllhXFenruxv42LfhSvatfLMHAAT4UrVA2KhmChiSIRvW9Oeu+GNY68i4XqTJ0GAMk8v+btP/lnrqhi+Tj3HgO3iY5tnHJADKpJFj77NYOrK7KsyRR/DFFIoHAuVgthynWin2p1OIGCzef2QcTeTExtuPXeFZCaFYRbqjCvCWiYe98xVoik6xrhdPBi37Plg3a4gMe/UMqU9axim75l6HNdSAXpFJBg5CkdDSHQoEHlhhJQBhG4QUuU/eDMmiUxNk60LUdNXC+k9S9pkjrkMwKq1664SiDgAFMFKmoNykUXlHLt8SXltL66LrGnXHduhzWhF9sjn/G02TLGvo9DSIbcyUIqmAKdQXN7fJqpgegZrDjImtr6eH+h8jTyZwRIWYOGhqGsh0o2gMJXNON7110ce9OmmgH76O8EwEEwbx4v0/Tn38FLiqtoSABCsayrpmnLjdizW4amdnKb7U/t+vvxYxEAJog4AFMFKkQUhQNTMIxkI1Du9jUu12trpXSmnlRaYBF6+EB85Dz4OEd00xwn+WHZXKUJV8Xqs6gs4GQYs8VovBCJqUVp9Q9gApgEEJIi1qnF2y1vlpqEWUsZ5fpel/dhg4hY3MGDJSlksho9z57U+DTFiVA85kYlhIYhHl9459fxHVw6nTDZlfFVhAAWgo0NIocaduGpyBF0WEsWoYXXJa2Geri1vlq9XgBwAFQFKFMhCKchiMhCRDdc3esl+eCOmirXfA0VtcDtT5mo5up0xsK+ZBnw1oUgheIXFwP1RWJdTTN2MrSvUSrwxuNtnb1D8s0yNGa9uHE/t4HRMu7r9vV9uOG2oC5uTOcqrFXvb5jjqCV2EYImAmpFde5oplJaErmIK/hRPuYhFfVzUzXQrutWAca0gz6NIQI6zaWLoSO1mP+ZkeLAXAS2Xu73viA4AFUFKjQhEOJCgEhCJBCVqhDqIaZrTptbh0tGVaxED3XTZeB5zNuVBoacEsK5byyQvFFNicQQ2HxNW0WfoMG+KXpDsB0UfFBvITft9T2C65CNKHb6HutGdDOy4Obbv5sgm1EvhzNlx3xxb1cu4cRQZQRMqzdswLbtGtg9Jb+nN49/0WAqVMHlHuGAnmfhLK399qpuEIn1cqNoSO/xy3todGyPK+Th+3CYOABShSs7GgSoQYhQhDM6cnkSGicY4UW4uazSkUgMjjvSwKSTKL9MprNWnwxZ6owSQaQSo3adHeFT5mtjMheub3K5qq7PfwRk+3hnQjIiZZrV3mDH14E/ipsu+n9HrQ0QT5AhG/NQS2Qm1rnggkzplCB1PXTWQAAA7u+D1y+Zfd0mgbVgYIAhi+fhcFEtMFe39r9oXGvGXxpqWWpUz5ooxtgjfEhdrq2KqkddwUoBwFIFKnsRDMFCEQyAIQpax0SIsWco9iLFsEVX7JVq4PZoAxibWJcXDQtsDNRHBeVNmMHOnIiF0i9rWTYIsd0CyzsiCnASZkEehevUmVgATrVqwvCj9e0u6Sj+z1gBc0sIhtsX/3KJFcMojp1vk/68AsJS+dZynRykj1LZg+l8QePBIG/vtsdy3WD7aYylFS+xsK23nlyOGDf3j39PJ1EmfbJaE55Cdaq4NxLP08uBwFKFKDshCsKhQNhwFiCJhqFLXLWIZrLnk528joKaAXU9Gb2sNEKtl2yXhh3xNNLBTFs3cAwW2DkSiL5UetmvfhQm+HtW0ow6VNTVs4LK8l2+xvy2xhK1iQvN9bZXUqfLz+VlgTWFq9vymNrot6miQtFSUJtfqLStuCZe7bsCHfXr7jF8u8AKeKCJBXfoCxb5TBwCdzYyusUkAo627uuDhaAzSNcZmkZbsKxTOXvpkQ6ZVUloSnO4iTy31Z5rKjwZFbceYEMFEI9aQfCGMHyj+e34vH+sEQ/OJGTORN2VCF2NqWDKBgQKBAcNqipa0Qp8Jx30RYHf7LfQADgATgUqQxkRA0EZBUZawhfZC096uzhFtACDbUZIcKfsqxz76G6HpFPNup7aBp39roUOFeO2nZbYwv3vTq8RXzrHnIoTNalBqtf26/mVQovzLJaWEAnzElShhzYpYQQFJC2XQ7zNOi+CtHRpNiaNLRNKho4trixa2GXSl9FOW15K9Mjwm+1S6upLlZhfnN5luR6ev0u3/oA3mJCG0dFR4X6O3iyJ4pQBwE4FK0ISxMVCMFCixUXygeb9w4E51dyzgLAK7vJjJncBMgKiBZhZ8UQnO2Qci8XdjGu2yXAsT+8GOM7S/peRs6G7f9VI0XuTCTLDWW5NKMATVcMV2Y16/su7EGbU2IKmC+CXzeZ8atNYq/WlWW26qNNZWVAY9DRVnmtYblWsq3yse/DUTxYVQBT9PDz6QytHVjpH+MoKOXSDwh4oAAirTwgq9HLErf4UmAOAUIUrQhIExQChiMKXrOi0445uNMdZI0dLVqDIAd9jchGUutbiskZaRtk1WLJ7ZZ/KyhTkVcq53Os22gwftINJngkzYt5ExpBAe3vB4yajltc+2QgVzVGfd/hTiKjUCTyyyZQ7Gvq4jc+GkqC563WWmB2Cf7ylicNEiEzHCvUBGAJCfF921Hi7YEaa+PfLl92Xw5gfaJovCdbheU1vRO0JgcBRhSo7KgQBITEIwpGVflXWvEkZxnSyS5q0MgsI/2j87LV2HRymg00lgQkgoNd0XoalXwx+MVhQw2osUkAqufvbHl+1KmBfcNGHF11Hre1EEL4jQd1klHDklfWxuqwZKeaMQKakHCm9VAD4oeWGGVrCFizRccRBa89hjltV2RiOfGrSmoAtp2/mZq8K59tRJ6ZbD4iQ4A2JrQG9KafDsBwAUwUqSxKDBUQLgavgkjKs6QOjhCRnWBFuL+sreqsfn11jc1IhSbk0ZTGQgDK5+ElY6bWNJST3wjOpa3CGmEws/9cgiao7hmj2qiS87A2L3cyOJ+/cK7kLSusm1P5Lzu8WUhPKdTjMiuizWeT9KssClys92jJhjT/F4003vAACM1bGG2Kk/dspNu5XAA503fLydcf89Oq53n+G6IOAUoUqRBmHAiGwyEYkKJwk4XOMCWNTJXCWuQgCLqOle6Wu/g4y37wXGpCSGRKpyzCKJEI5ICoXqTXB2rux4PBCdlSM5L+uS3VxhFiEtVxjl1jV6M5S+nlszt/9o6Wz056Snpzrn55vcan9siKfjwkw2M4vQX5hSVOJslJG3k+bB8AH4OGI0mFcjm40Ua34M+94ZFpZ3vY4Fkboa4dvDD5/dup/j63nko3ezhCXe2RTvwU+UbXlSRe+u+vfKWgHAFIFKJMWEMOAsEgsIxA4vUuWY2dFZLvSEvW1sBL2P905iytU1bJxYFT5NIV44nInUS/HkygM4kW11icUUIY7di5J+F8UZa7qaogBjQVZ7LYRllE6hB/niMWfLMKZuHt9Bt+/e9jJ0RcW7PGexz0pnF8HuVGsutYymkNMt63TbBBJQG2unGwAARcVogBbpiWWmWdRBa+AmGgTV4/Dhq4BXsiVmPRqhiQtu7vx8QgdQgahhLJz/7PJ+LtndeNh8p51HJJyO674uCKFewvn1fEom5bYiEvlOAW04GIwxQ4HMfNp6+XOhBtzqN6LpzCFYinCWQHJVlC5IRRemoILYdeUQwq62CoYJ8Hs3QNinZ7dQcBQhSo7NIbCQRHQZDMJOEOJpvADtku1RdrkLDrr0NGVUHKex1my010ClYNcv+HRQhSVDzCtWWezwehSHGm0xYLe2u8pYxICRNygxV/66hC/W9x75reg4VXt1Rjs1b0bVvST8l8Yp5PRA+fU8BDzb3dCzthTQ2E5Ubkt+UOCSFeZN1rSQf801iZKnvkgdZuy0dlIqyilsubRIN+3iLmWG937Tz13eXiivTykDx2i3aya+6kXhx42vS/fyOy9wHAAUoUqNCGOgmEQxKQhMv4Mr20DAt2GrK1lqWWuUUgkQSw89nHn5+konEsyqJLJJMgwHXlPQQqQqLS41kht5oGecDcp2FQiy2aWEACBbJTIl27oW3w/jWo5JxsArxVvCi4lYHz5wB/StR+XLcuPHv8nwtQ7oz+Kx/W9OF6WqQuYGRkt9sn6yMqkQnPQR6FONZ3U05ovdbCPeTBgYqsrndSdLGIA/TLgBwBPBSgzNQ5FMRGESRNXMVcACb1EaNYMQLuef8oZn45GNu61qp7onwpnUpL+IRCXvFOignZQF8XqdF5DuVme4VEKIrIvjZFbQAqvSrdwH77xntg57EtII8XeWnpvLtsfwu8KVDvW2Dhyb7aOg/Q/6oaNnKYyQZNi/FZZdJ4GW4aLgO2G3YOpey+KKKP5RDp40w8ZQAE+oCOKx4TLiWvWrf13kgGcBwAAAHwbW9vZgAAABBtZmhkAAAAAAAAAAkAAAHYdHJhZgAAABx0ZmhkAAAAEQAAAAEAAAAAAAJSZgAAAKQAAADMdHJ1bgAAAgEAAAAuAAAAAAAAAKQAAACnAAABDgAAAM0AAACnAAAAowAAAK4AAACrAAAAlgAAANoAAAC1AAAApgAAAKkAAAEWAAAArQAAAKoAAACqAAAArwAAALQAAACkAAAAsQAAALkAAACiAAAAqgAAAKAAAACfAAAAsQAAANEAAAEYAAAArgAAAKQAAACkAAAAoAAAAKgAAAChAAAAqQAAAKsAAACfAAAAqAAAAKkAAACnAAAAmwAAAKIAAACuAAAApgAAAKYAAADMdHJ1bgAAAgEAAAAuAAAf6wAAAKcAAACwAAAAqgAAAKYAAACmAAAApQAAAKUAAAChAAAAoAAAAJsAAADbAAAAqgAAAKgAAACfAAAAuAAAAJwAAACsAAAAxwAAAP8AAAC4AAAAlQAAAKEAAACeAAAAkwAAAJ4AAACnAAAAngAAAQMAAAClAAAAuAAAAMQAAACQAAAAqAAAAKUAAACpAAAArQAAAK4AAAD7AAAApgAAAKoAAAChAAAAoAAAAJwAAAC+AAABDwAAAL4AAAAcdHJ1bgAAAgEAAAACAAA/qgAAAKcAAAClAAAAAW1kYXQAAAAAAABAdgE6FKzwZioozEURO51L6M3xeAS2JaLsvIzLA1GRBhUKY2D/n+P3X/z0PujbI0S7fLLMAdPPTx593j1+v42m9yrYs0pm6Zp2eOa1rq2ocRFzEOzzDd4LxYdHAEIHb/t4jRzvHMHAqTu179cpS3Qz96hUzVzxxtI+V5eUsrCGXV4Vs0U+z7KfCIZgJ5BqMq/Q77figAB81i42uo4aJShncMH/yPi34dd9/f+AKKgOAUQUrJDkUbW8lyX7SYhBpFrLlrisuAbcWvXT5RANb8kM9xSlX0ixVUyRPPDD4GvTwTEJaZRIZdETxLaNAzin9JjaTTMW4XWWeTwrsqQ8jwd7SanKsY130Jqa1BCzn4RNtT5PChK2jwqZebeVQi29De6E8lkN9kiTWy9b2jlYr/t2uoCqU4b3TKaMYUIdBfeEa7OedaUvoQQqDZk03Fl4NHn7jjdVm24YQcABRBSpzEgaEIiBFbnMjj4konOsr4lpZJoi5lCBFNtwleyl/srRvtb1iHds4Ti9De+Nw4dEHo2EnUOEzPofB9XlyePK5Ior3rO2G9GRGHu8erLWonhpmkbRGOKheEA/qGLeeiL9MTiJYfqusYgwlbSxrL3JH5VwNbmMgKaxeX9V8JBVPWjQLkJThwmEcftnorq27JhaJKxGzQtSf9M81/l8floFv2TladyRRJBa1U2bX/vb7YTBwAFGFKkQpSIYRoERoEyuclUslaa6Ka6cI0cCN3ixEhjQREs7lIaXUivengf2B6SWsC0VOCNmYj2NMc6KxPWoxp4WHRdvPqjBhwlfXMGL1LDMq7Z/Dh9v07uoLtO45kIucv8gaejoPUYva/0Q/H7sK7fqwKectC87p6o4Z4gN56se3oPXCM9OhR831UZCICB07TtXybKRxdA91lEgBefS8Gs453CFVqWtbAU4I+YoDgE8FK0QVRoVgkNhGJAmQhGVzXiTMtxG00fSNS2paFqZYGRDyZ+X17POWi/t+PVvnqbWTivHiDE+CS5UBQAh4CvycNNVNPyJ5fRPGKWPp82Y6lmfbM9Bihy0RgzF7m4xGEQkGuekSnm74lVZpSARQPoOQjZNC+Hgp2vU3asgDTp4wXrI6Jxafk3Ycit+DXABMwTbHR+FGCS/MBRDq9XVUQ9zOADR7dHb0JyVBwE4FK1MKhMVBsUiCNAiZ6NsaNOycOou9UvitDraIDevutwqlH9VJ+eo+heLI+huXlZy35A4hBZFojDgUOH+UCVoUqygpEgWQDR5DLuqx7aYAf4sqWXt6HWznLl0JVVzqegIA4BWIDDkyw+eTZgi3UCQP50N0sJEBFAdUKYweO6hCcfwzLAtSKVhfh+67gh/SA72RS+KYAwEsYcOg8jpC8GHH44v7aZBTbztZ8LR62FvExZssK9u/0gDgAFCFKlIKBKVBsNEMMSu4xcW4d1OjVsRL4aX1lMQECvvKbOQV7Fa7YO5iMSAAr6Dim/OlRX7H2QJ9+5/1EZV2RwYnG5mo8Md2sMlFD1w+MEFh+WrqoOp8oC/s8XS48kGx1EJ54G4DyygPgzlhlfjvvm8CO2kjt1x8j1x8ggRlQ/z1mEJ/8B0hjUO7gSN61enRDxGmNpjTPbo/Px/vs/upDPOqEWzxlGIsqUyogxSh0CMmz6KsoOCG3B4t/oh9/qr+ugFH+Nv9Myqu0zgDgFCFKF0NjwZjIcQu84rXCFp20Qw4kVdhwxoL60Ua1IXK4Qi5Xbis9DIjCCcahiz0zl2jpijflskxmwCBTZWMIlWwbJjhktMhIqAgJxOMLml9n4pnWzURJVFFu3mVnIyW+Hx9DIMm0CRCwofqa2kiXfyHzgZt9mUdz0dhSkxBU77qeEJ4qULRJQnJgdYFZuktN12RndDAY3S3iEbdNrZ31Z5DjqMco6stlu/qqunvAKkQioQS35ZGEUqloO1l+aljND8WMxlFWSfwBcLu5fR3EGM/1BxI6BxdXP/XYLLpOhgH2Bzsz04DlzFTV9+YHABPhSo8IQ0DQQjQQqTJFporITe7bxJeSL4LZAOedYV5vlrV8VzZ50uzoZQWaBqniewgJvQlBWxNw+TKDEUj/Zaa2gNNf5O/ThWDodBMuUp9S0qKFswhVMNZ7iYpSioRvvk6IJi8eNAMtqrYS0HjUws01HVH07we45M3jfE+w9lJu/yC0qK514qnFcZKTMdFjwvLqSBslxaqoXWU/NDQQEPMU9zhpAOATwUoehoGghEwROQhGNYguTssY8Rdr5X0mjm7Cm81vi6CFgB2K4rvPUCYIVAWtIyA2wMw0wmfSyCFKggugAADgvFqlT4Ajsjp1lrAoePfzFLTKcpCMyekgQmkZT/JPAAmI+GLrVdpfPMqvkoOPVyRTjqoMYM14fbCux3U+rvv3JUz0neRFi+ceNTNHhUJG+LjPCS0b0fWWpd4mCMNp/tvPIA6g70sBwBLBSpMHQUBYqjIhqczMhbQ7FDkmgu1rGgATtt7941mmXRq7QrK6XItSWQkakyDSjUSSxlSZpNt8WjAWTKZGc1o3O7sa6WwLcdWNAOKKkaARaePdl9af89OI04VStTj1o1uE+YfC6VbslKsg6MYA32UY/6FKgs+Y0OTnh+ULjsNKkfBgOcgT8XmqVy6JVogliAnogACs5wt2XZs0VzLAxFQq0gOAEyFKzQewwVEEY0N22FdDxEw3d3o1JOGkYgF56IEcRIAkhpCrTqV9pUSFOP7L9Y5xpcP06mVFMnGKYVCWXcPGnaBS09a4//3c40VCmoRMeWhEey22rSh1ee+d3zM+paf8O2+GHRcnfEFoBTT4O9NeVUYB9GOKwO3LikbgDBo+694+lpmYTwQjH77ZAmcwOk4B7frvh+ASA3UzIG9hF2bM6aIxdJ5VpcdowZdS/b+O3oCY5F5UuoDgE4FKzMaiqRCkMzEMAkEAvmd8HU1bOcjffHlL4NLlurt2CHInq0wMP75DAp/KcQP8LvgmXA/FnnJeCI5im0qET8L/hYBwx58KACqHN9tdMXpnjCL0Dn048a0AdoK1/vbprwJmmwd3GLPYDf42jf+JlCwA7BhKkzGuH0lgP9Z76LbbvwdH7XoqVBRgzJbq4BHUiHFAJHuvkxE8+K37V6J/G8AA+fYATE6HGdvAFIFKzMhwoOBqgUIEBlZZ1dlZ4aWtp5I1duIAAtt7tgnoIivZx1aCR8cpj/A58TAVgbaUiu2y2Pl311MN4/qUDShQvZ5tuYZCRzLcUIilLK/hvZBe51dsWJrQC5Um5Qvd45Z7O3UFgYRftJTFQZXLKxdJK5HkhL9/scjMli7NWNbIBWt0OaIS0+E70vqrvnDnNKpWADQp+7+t/ReAFCFKxQ1iIUkiRAiM+U89L4DwolultLHl1tMACT9LoHWonsr7H8q6MVPvSFhgco84SwuWBjCgLwXuqiSGljaBQqhcBqX3obEZrXPoSHkOJuxYMkAwCvoVoddHviHybCdafBSJTHNo5yTiMkPkgE5NAAS0QwcQEFREtBbgAD/e4fEWnmk/AH+Mu33+f2zYeeXsq1O/UMl9gVMU1sFCBWZQ6K1vJcDgFAFKzMehMgiIQREURmE6lq8q2Atd3ojVwZAMH+We+L8uDrNW39qYi5SPEqwoiNmtK1k5znDi8ypxUzaHUSTrtkpYoijzN9KHQiYVrPGTdqbUzCiOpnKoymlcNI6su3aykM8/fvVaANWInrQi2w5lWPBz1HVRqIzsKWVYmdxuWIndcQslcon5pDsuC3VvhRH53VqhkC0Y5pnTjUZSkT9OY/cdtFN2re/Z61ablrg4ABQBSpDOg1hoTBQLDQghUu7uyDZhLk06kI1bGAit/hVH5Vv5jsd6BIUtEypIea32zk1dpPUtnQpeunFbcuqempIxlqzeeEbgMikiwBsiZLMXIrBlkkyGmYuGRs93rxpKIxKCLer8PXy6VnPkPTy31U3xjLQIYdL9vZxx3dWeI+h5GsovsQt7P248NO+QA8A0h/A/EYpI+v8v6TmNScEQtiwEz5Zs2Srs5TBTQMMRiFBCuIBvMWRANJCcaEA9U70EVnZKMAYqpAAr2MZCOAdI6uqDsF7smV5+/RmsIxjBnnVCKuZrZLLECCmo5U8B5bCzIPbx5Xs7b0T9jj8a8cCnzozIEcycAcAUIUqVD2HAWEhWIIVml6sb7lEVFSWWnEu7bsEba4Sc6fsm10zKYWmXL1ywZU4FA9GMtMZxy6YFGI7jgaB4Q33kSW4kBPjTTVV7OkI0Jc+GINCh3FogCA4BABKoQw59d+s6LPxGB0GD6eqQYI2EQlti81Jr0uyO/ICnsJTXnOhd/hnVO3TL+vGqyXPolyXGIEN1XyRZVHPiGVDKZi/l/3TQem5LbacJ2syvhf7uUJqiFDAORy0cs1ZB4cw/LD/F6jd+ojKWtmd2L8/xf+f+l0gQ954+99ocMC3iS2KlNtEEzql1K1BswxUKFYrWFHABgwUxhIUaaoOWpVyh4mXnTQDgEyFKitBDKIWMVa2lM5zGMUaFtTzIsAj7KAa2+1XybWXvsTGfN42ugPgs1lKHRqTzAu6zzXUXmnH26tG/iXb305V047IMgUAafRIIs7xCa1IP5mcg9FLT/HNhWHfOq+dnc68KHJ/TZUAE38OV5TPBmsqr4CPoaj/hABLr0SNJCKillsi34MbeJBqwsL+CViUV4Dw3ggrK6lwOABPBSo7FobGQTBQ4qaSENHyMgBdzVeZLjcsRV2MWSLNQ0ocIVfJyzmlyF5xorkYSZW7de1GzyhlladGm4xpjZ26tFmjrmZKLPMxOrEDfUq2QMZUWUZ7lyRjxgU7VpjGrZPkFdLba9lJqFVoL86pcEzdU7Xl5HWvYVULet1WTw0cBanBluAU6QZfFSLLjyyHmlLGbJ4o07wa4NUp+KNEJdYY2WQAGF4lIgcASwUqMyICxkSKxSi0vvHjgES2l28yExYmdpT6t6nzeZG6OSNlhsmBzdUEUwWTeaWMk7e7PqLeBgAyqntG3yaoqiQ9ggZCBPEpCRM2ihRRcOdl2olc67w27lk8IKmSol24AuoZLTRSJwaqZw4I5qrGqhiVFmvLp5XAAF7Uio46o2ur68FK35eGd+/P0SOiVkbCvSCl61CpUvA1VgDgAEsFKFolgoczkUQp2kOsvmblAllovp0ACU3rrjtRgLiifJA+ohRQDkFPkBpnx8E8nvdzwcV/XdWrzuTj5M+Xtl0IQOzWpRYxmc2oNMdVY8uVxTMbN7rdjvT1BbhPwvGOx88dWGHdNG1tRvwybTYlnACNI0pitQZ60hTMV9yPaRHsTn6Ta+IQqN44yNg8iltuBawxSWOlqSzGh1wg4ABKBSs7LRZIEjEFjZS2KW0tc6WBlhks39B05DIc0RRJHywkWl6pInzseSVXuSYdPgFJxffOImsaL0sVsx21SVs4C3e6S4KwpbixjhWr+Jiobl0rxXFZZ01JbBWUkt/3RmFZWSnE+fMOF2UBSEqfBouFcS+sSDEgAEkhWCnGPMHveh6VBuTl1yNgOA04kyi8kDqHdCwQuymvW5qYt5xgUQ/OIOAASoUqNCmKhSGLDcFilG3kE0h5aVilhM2TLrqnjY6fp64HoZB1RYxMuUERCT7Jq0uo4NORAdvH+dt6myWFhZJRIYGiBEmd4uPRWWGsgg4zj9kSLpIUvJOlR5m3mlVoWBNnHh1E4JCebdIgdNK2sDlcQWRy578ueSpS6qC6LfVwdFqaNkMpo3d7kp5+OdgmnPCElQAc5KKS/CUQOABMBSprLISBJzGskjIeF6LJa7uJoACZYHKSRUrxT5efWIOXGrh3IIDlEMyAuTErp1PUpAimjexXzgnh4Blu6NVbe4yyilyyQzrMgocIcFMCX13iYtW3SfIlGgFGA3lYpiKSoeLWLBC3v+aW2cf1K/mw5zOuWPsZG4pdbAYLCDqSVOIcCXlAyyiTyNsVCdakW3NFaVeDgeAFZu8o2weIEDXnkByYF5SMq6XW2YAAcABMhSo8KQ5GNZULXHOAXIk1douzJN6AanqtDVHEwkIbutAMyU9HbFSPJcNIaIDFStPJW2g7NHLQReM84bH3EEKHAKfi/InurjlZ96Wgjrhmpefp7gnUAsW3ugGNEdTvQjM11aKvoFWGmmUcH5J8YmuO4hmCMx28ZW03L2CCOBoOPk5aRpKujBGplJstSGPHh2agClPgYE8+vq8FQcBMBSiCHYJJQYlRd+Eb4uthLDi1y40DAL/c6u+1g9HIi53qwDgjkNiWqY2Ag6w4q/Wt6FqiRphaFuc3kX0No5xw3//McY8ifSP2lVtjm5EznOfY9E0g+TJASh5NqxgJLE2rXCDmHC+vmYzi4ZD2ZhVdqtcssTjJYzAIYp+oBgBWD2VY/BglNjMYeCvCsbXsdok3aQyNAeIUITz0rfyPLkjFCAZ5Wn4IZNploBwATAUoZQWKhGERRIQxKjGmLK5IjiN8dRFxZkVA600rIapCnEQzfeMMkZghLBFSlkCQlkJR/kq24EnjfrlFUkO/7tznBXh9hGKB8TQwdXGcKyFtpkqQzaq8mIxQgMRs1sB6LX2PaHkHpMBK2a32PEhahR0p2/7359uw+YAXB8WutKSOMskjPRB8o/yX2m1rKiAMfekoG77c4pkSXWoHAEyFKIsgmCRVk4J4mUHE4Y6iWtYUArPkN6VhEBkbuooESxKgmVbx1jO5GScZU14FQVTxSopi5q1PyW5hiiCiZIYjqkEAWJQAlNdCeGZmEwuqyXrXTxQWMCuV0ggcOecxK/uc0rojQGom8XNsPoOdSoGXLrJo9/b2+dxvypAHAAK2qqSoCs5tfS8E3CN19tNb3pjjZXtyI3PKEi37Y1SoZvjZs+EZPyxTVv4+k6wBwEwFKHUNCEoVMSOjMgbTpRxxGkIYVYdY1umTpvVOgndZvzo8kQwonGIgp+E+Bw0rOqOk1s0gxSRhkAJ06TF9d3J9rtQEKC6HdS1bzum7v+0fl3bSZplDBT0VU1haFQrmDAl4CnxfjM2mpJXH7HXAL/yaBlcSKm04JoZYUSha7Y6wXvs2avwjmq3bUnsIkQinhlRjGljE8eDMDgBLBSiSFYJMErIJN1d4WHTHGlmgDIHRtB3X1Jft8B4jgyK9dBhIYQGWACTkGViN0K4Kc3X9vKKqw0UlJXeonaJJFSPSqaL118G3Qp6VvehfJytWJWsHxIg1k3oBvGrB944GERgevD+RJ11STMTgZGOIWo83U7wZiB4C8z7EGEOLHHKG0YDYLykiCXCYXo/AnKQ09FXyW98s10XOsd0y8MMfHGlhVL4XBwBNBSh4hYSNFTTLNCY7jV3ZLdLhSKVYJx4dfdxLeZoYjVMxRMtACLoQvSxuKvoOHsyVzZcVAs6bVmWOHeCjUpMvYO2wFwr3YYrVccZFc45v/wcud13XWdPhm7oxADE9hYMnmPa1qkjsVlhxTaG6ts7hf0ls+ZZxFr9uzCzeDlXQ9pXiQ2EqRb77dqf/79bVxw8EKxmvFJT09Pv5ddSOsrl/9/HLotm+/LwgcABLBSh6LJgjMJXAFBfVHCS5CGKBcs3dR8I5WRWDQglFkT5CMFkliDKMgcmFiVd5+uhsOlmgFOd8yp+6XLqWQbEeV65BOdEKzYX1xUyiTFFlAM0AMivSmoPjbF7BIdmIUmjzPOeiv61LAHzllS9S5YPKxiSHWoGiYDdiQYfZgPWMDWoDfxBMrQx28k9fcF4KmWoqCoafXCopvtSNNU1Vb2hQDgBMBSiSGJwjTckLiwW0FpF2A54BXgzh+xbWJM02PJNflxZT+p5RqkITjQdOnN9S4uozmaIDPrcgcgDspuyn30vyVLTmWs4tl4mUzO8JYnVdZZSrLGLtEcc1lrBmX4TmcMKpBtWTFc7nSlCVjxxTWozHORu8Fg/UeKBIaGkBYQogNlRWOGB4T3nbts20JqiWriahuisUrehX5YwgofDzy04vd1fr2mDgAE2FKFsREkUTEUQsfCSDehk4Ii1xYgxA7HJYwO39ghZ08WqC2mpcuboRkJOiCo3DVXNxs0Ck2u/beT7uHhHwGsiqo6klqJ4o4UhUZsr0DtLBMTiP/5H1LgMh3sOrLZt9ZABmfvobZyQ4JDhmy55SX7Xlvzyg6FmrKessv+R2va9jDppeL7eG2BQU8ljERvyQdB0iQCN3ZO3ncAIvdeIOAEuFKCs9EEMQkYRohpCc2shYmokWyHegksaDbZ8he0XhEfC46ejzJb3V9yV/ETWMLaQCsnR5WDbbkEPrxpZ+c7wLKIvGQ2tyMKIhXZBshzlLNB5MISeFZ6S2lRFECjjvdv+tMdKTgzMpBVjtmuxihjl8emS3kxxeEJXIq0DnGN32TvOFggCOdK58az/1dLPOoVLjS2hi+mTQ6Abj3XlmpxiBwEyFKlWNioRgkcSkMxmsms8iPnXQu2LS5FpkUoALyEwyzM8ViMHT+iSJST5T0fZrzxeXeMcQkeQ9qfGWmOZxcwZh2fSZiSXkoXn0kbX/S6PHJHOvHXLWAaWcOj8wX+86W3J2S3HxNtPb/jwbd5eT82/ArTAlHRwqZgmRA8z9kF4ytQdblVqc6F070uy1l4E5J1NNc7hGYpupX3mM/682Uv7CrQR+KCB0LpTmGJfol6ZftZVyxvajnUA4AE4FK00Yg0MhQJBEQykQRuOyAb+KzjpZlwu0lg50A2U+V9o4VEVm23tvYdVOXKa6n/ZrIt63CvFPtJnFSfea+IqdfVmo+zyauWbHQcWSaZRn/hrmy5WrDTsxwx4jcj+d1JiAQUNBQslonFP6+Pb//elfVPaMT3/O3LRD1vUuzXrfCWLBz4wEeU4Tvqf6D4hyFVjQgtgSY1a6K1yJGWGUjatqUDPZvYzsEHYn+oMDWZqTrOwmajzqQFs96/lSdcfYDgBSBSprFEcCUrEIiBYYhBWxwOJLT4Y0u9JoCsCJg+75GadLXCHqAk5cLgZtSlmnR4kQRJsnAuCS3QzADZIjAyT3wtXn/5pRQOWerlmdYcU2Zkjkp3OzsEPq/5QM7TTLKt72pNMuLs4xxisJEhEFkEJTCEcMq2WXqq3qwBFuQTiilZKagZKRkoKI5y56Wqb072I3hBrjN/SIk4Tj/tCNcOUIaXpvXgOjz1prNqewsHcPEW5XZXJXNpjpP2csapqklS87Bv0pmcoqaiZqqiBkFFwcAFKFKkQmgiJhqJDGMhIIRgDViWHUSeQLdU576BBDsmrTtvAvjaItvjtyddVvPyYDzRLZZZGxwkqM0kS4FlBUkWAoCpzKOmbrLcf6vvBiTApUG1MSDX2oRL6vhrX0iYwAZg0auZSVKbWMykH3OhpbqaR+BbzxVyDmTYP1JLe6t0rglOLautX+qzsK7FSZAAOs6bd6p6/YrDOoMlsrTOGac+GJC1JNE7sgDdKstXn/t/ZAHABSBStLJITCgKhI6CERCEgQWi7tDVwlri9BKpAY3PccsUnz3NcOSsIN17fqk4mERAdkMLBkGuaefIAVFF4AnRUHtHsurNauLK4YTyOozqim+0LCepIZq8b+Pwho5JzOAy7Doflc+Cn6Gie9jZj0E8Sl2FUTpoIMyYrIWAACmfP83yPOLSn6p2jLZYJosydMXwWFS4edDuIHCA+iFCMe5Q49zpO1a3XkRiBwAFQFKxUdkoSAqESIIAoEUtenXWhqtYvfDQx5063xvQUsBjPHKWp4GMPsaPLBH5B/awamoOXdFoqmVE/7fGmUgRyBL3Y0WL3VTlelYb7APE/0+Lj4esPpz7FuavEP9u/h8WwBMUj+EeVMT8pgUUIZeJd01i4ISseupmRd7rtXvlkqAI2iLXdoZiVc/6xtbEhBS++um8jXl6kk9u0to9hXVjgDgFMFKywlioOBCJDCIhCUHFpoonRBjzeoM4GJAG1O9YXQ4IRahK/4qDwx4rdpLiESSoRBfO+NIa8OfXIqjkwAaBeOujWcWwbUY3wzXzZlLvV7u6t3CTGZqqOdN7du7TkjG5bnAtEiXNhqBh9mCJk6yUwTUizXZjZLzkDQvuIEnnFARB3tr4+MdPOHrvUAUssue8n5jqjNQza9eK5tEU6e34xTAXCgjFmzaoA4AFOFKzsWhIZhQIAkZAiJAiZfKPLS0Qj2d3XR5yM41szQBzx0b/PGSl+7T74KYDIUIb+IrOVBUrSxFwMnwNzhkAf5Gpofe/ygZxhIyrNzYfQcH2W0nShwYESWWiSTmF6C2tek8UsDnO/dIciOv0PSxCAEgTqnns0xbFtgBDZ/R1SGVdXIDH2fuhGq5YL6QAJ5+eNOXLhAgz5721ynsKCc/b7dmRv+en4/XNcGd/b5fK300U2xBwBThStFFsUGIMCMqEESFEKsNcLnSiyanizpeitQUAHPTWh8gUdyOJzRmxZ/jb4PW7aUGAwad3GMKFc9QkyTv/NtC+pVIOOdlzRO2uZf3YbCJ1eerWRPLt/0tGf327amIg3HQhQROFUkfsH3AwPA3osf329l2igMLdx3Hbcni5GnTp7bGop5/j6fE1IWWH83ePaH/rn2jw9Ia/pa3XlXQH+2taJDLa16o2QzyyKCaNKz+WWvOXFsX/XPznyPjHyj4drcLGaZ3/+Abu0MCzMYkMslMOuK2MRFAPgtXziBwFKFKkMlSMMRIYRoIBCI+3WndPrL2hV9a0w+kF3GWAPOvJasrRTjMKep0kzriZbCS1oyRetz2HEknq49k26pZpxFmcqq7pb4WNCHdNAlMVqshYBjb+fn/T03z7n12vFgA1NyHlnvmILB5AMlpIgNsXdLEbVu9+JbJ0bXybq1B+QYjuvapYzdLfMmBKgnVld7aVE6e/BchBr6F6S0QTeOjvgrCN5g4ABUBSo7FobEIbCIoBQQpTe+sHtwYQ6aY6W1SWUuCIarRVZO8BJE6Nb2ddbUYUj3jZNctrLxI3D5tv2+1mtPSkOUUR+SzHdGkfhywlCH+XRKc9fkyUAaHMXd9it1VHOy2s9OAAA99eo75IcWlnRuB9zSJIeWtRmajgm1rIFDUVXOrC7WR27qVR6gKAy4pu+PDkviYPRjyv236QAAEwA4AFMFKjsShsRCsFBmNAicBCFNmu515ZAjXULhYuW24ESSmVvArWNCD2T+rb6oT4l3KDI5SUA0CiXQ4LzitT/BxorzmtU6zPOK/vX8jzena8WO3JSG+FbiKaJKwm8zI96EgDNqai7vWo9XvZ81SBdwocbtqS6nc+b4AExYNW0TcQWz/GJWlnBz9k/L6vAw1dBmVhaYxkfrw3Wz1/xV+84JY76BQDgAUgUqcxUJBGIRxGtVjrRiGS9EcC8Ltg4W+jhPAHRLtuv8pGVmc241ZftT5lQGASyBILMomlR80kWZUWmVq30exslwZC60gYSoUxxgGDJ7VPIVIGtGt67C+yhwbTClwLQYZASLvHnjQwWmXzyEZ+ReHH5efkS51CYleeG1ETLkdL0uuEiDFYBEATckIRQurZMecuawFvVsynJYIxV6EZCIHc15W3qR3WmMuH5aEPLCBtHWu10wlirT/7XMGXdkb7nmrdEtLqMUEzto6MBwOFApaSvOAOAATwUqOxoMY6KzTCqJUGgCxs00Vw03LBFjdet2XlKxFiZU235VtKJCdJ10y3y0qt8Tp3jepQVjDgElHdgJLZYmvzassxyUbcfHwEtX/H+vQauGDwKBUlx7dKDdICSyMQTkUm1E25L73JVMyvGVoHCLkiU0ZTkvLHYFAYIBVb5VFJw8jCuwXBkqkFwls9GrjLHwpYX0+mWhuu3U01cz4+OUi38qGye6eIqWVJ3YTa2ABjOzlLYg3yPABnrHKAuKBS4XpuEhN74g329rE91HeOd9pkZ6Yb7T7Tv9JQ6zpDiEQamVDnZuoYUAJStpp0o2SRi+GOY5Fi9ZzxjNScqlOtyJvvqmEHAAToUqOhYKg4KQjCQhWQQ3NNjI8u2y+FXeXAi3y6RPIXt+r9uZtSFkknqCSh9ziraPnhEyixKSaoyxC2/i4OyufDGlJnMflrtmuDZe17HgLW+NwFYdvSwlLVIIjGLGdlzxGf3NXuLpklNTZjRlC9ZYJhMJO70Pf5RwziXjHP2xrngGZ/o+R3VclCr+St7MLdvzz8Om6Bg6EgR6G2C178JoYC9aFJIeTYJit2PC57Ig4ABMBSo7GgjFQxHEwJlNJWNrdHZHktLgIEeOy1/WVMH1WRUs6Gs3mkma610ctsBXWnPNKuQfak62IbAIk1XJvLVVDgDs0GrHQjucFMKG1nowWJVNQqCQkj9E2af7bV6FnpmYGqqd7WWRegcqq0LFDFOMQCU6DqaWCD7TcTTPHIUIVnAiCHQIR/O3Kw/DgEwtOuHt6I4+z7GXL79zerg8NvEL+aCmFouwiUMhSAOATIUqQy0Gw0ERhQVu+O7SNnc10hhJxvhMuFaLlPwkAFMiLTVuAsFgW0fH/a1cMYMGqtKeefZ2KUOAvLcIS09bJdu39XGiatxB/Gw673+5SWTlWPvnPF3QiHxFdjOWXjJxmauuM+ugmqpZRUhNWgvVOckWXYTMXkgrGQqviOQABhjXT3Rn7pE67UfY67q0L7BXqnzCdMDc/I3iejMtnnP9s1U4QaahrAN/nkCmYDgATIUrRC0GwiGbl+BBEc4vOJd+HSaJAksE+6iDZlCL7f8m4pJmiEzo+f+HufL/K8fn0C4AKTUmqkBI6clmtmMX5cnS3uLcaHwPZu+TTh7DtJEWnq8tE5jbWPeCbAw4rrK/Ls8rTPhXXhWt6isWPhAcTTW7MlNlzg+lR1ubMtoxnRMIV3QpeOWGl0WEvPeq0dJ12U0p30tKnpv91V5XN5WIE5IZswo5oFMIDKSovgvxL4mYBwBQhSszJggBQakJAmdlSrv4Q7ravuGnXCEvdLWGdHWWJv1H5PGuH09FmxMgRIOIrSgyTjVrocmhaWt7XvxPq3YozprnRULY8idCU51UrFXEmwoUGwoKd/b3W/679/ddREhQjIRG88Mbq5qCQIfImj5Bo80D0JavZSFljUlQY7XU5CLOK77FIMoJQh04CQIWh76rXXnm+BoSKbCoBMKYSqqSMJg4AFCFKlsSCsRTkIAkMSHKXJ7OMb3dGrFdJ0hoxXQBS+Xaf9sz/SUeIDj3CYoVFgaLcGDRptErNjQ+9qBghBmQ2W2jStzxzg1J3jFKCAy6JaC3ChJXIEOAAmIrDok7WmleAPGOWmjeuWMkCoyoCI5Ym1yQjd6MwBFEIpmJDM5ogGaLbhAgmbMjsoTUvt2AlgwmJQufof0tc2NueHmbrnYkWqoF5gLADywzA4BRhSgzJgaDAKIJIiPEezrTo5Rya0vS9CIhuB3jzs0U3/1Gpg0dE2QTRlWqkaGEn1WIKmwRgcIAaDY6zhY1n7qT6zmmjwFC+Xjctsp9CO1bKntFirtULhessy54kfJqqvwulpnULWXeuJUqpI9RJm1lXA4sSsIMDZM42Ih5uxgYk6AAi9oYurV1i/53dV609NQ7NKYl1KMBwAWeKyaDKZWppC0QJg4AT4UrLCBDBEMYiMJCIIXN6j6N9GzCOpltLXQSAA6Yc/ny9fbnVYKI5WZTG0SQpQVP0lT2TQFAFcWZQThsb8Jpr7fYYkxTvr9gJcNGY6T/uauum+Cq9nfJDc5ug+e24Scqt8noV2YQP0wQxpZLWhVs6zhpoGEecilBQTLNfMcoBaynqgikt0xWL39OYUKLBpPkYJMra5h4BY5QjEmd4yCyGk7xK6TmDgBQhSojLganQZLEQkq783Cbd5c60aNFqhDIIl79t9HMx9191oiqok0raIzfiSysGn0ZsG3wxECnVQ8a2ItPBcZ7WsqS/talVL2TK5JxN0zHRcrlF4TxrOXrVUGlzOjUvxiYJWXkspe2vJoFzzixZdzdbXI4MyBaBn+0gmQZU6eIpMgHCXjCUgF6v6/dR+Ta77EYqq/j1D/9uakOoEmWTFRlkdCRfLZrPzzLFvUBwFGFKjMihsIiIMxEdBiNbNNcaNLrw+fhrppDRDLM0EWq09ly/3tXZb2qcLDKexrKwoSCqRb6WZJlk3w9Qqn6uneLQo0KZmPVb8buFkZDE6io6nlH/t1tZIrtml0ZJQiEYC2mrkcNXH+l0tRvw6kO/jXJc0ZUhNWKWqkzde9PSWnpaZz1I2id9hR7f7jcwxMVSfrJTYWeruANZdUlchCzY4KpdfHIHsXTcTY3Pj1/Kv5Yf0wcaTBwAFKFKisihsVCEg0Gkk+MOjthfDoOIGXG7WIufvfPaFZXP6y9E6a7I2dqc6xCDVrQnvBwdC19UwGa7RasKojmMvDHt0t8eAyyowYcGnQIBXI3fCc3kEZjzHJkwGei0CfML7GGxEgQsSdvsEMArD7YP5beI/vtPVWVH9mSNUnqh68SGvMPsZYb+QBMujs+to07LPS+9pi2OLBq3UAIjhBVETpUHABSBSo7GoSDgdjg1DgTDILBMLSuOmeTDfJcfhWcTRAoQEGvbq9TxtK4DM3E06EZHykeZyBagvFWrd53wfQgN91OZu8W0aXALdFdChdsLcYkaiyDFnqAlxxICvsTXHnHWJMZecvOPXMubojWF3mcNmylMuXHf74hOHpJZHA4m1jSmVu3s89rx5dtemNrp6K1q6t1C7x21i+f9/YWZaFHHt1nMeGO6EsF2+pBiS3w93fGMiBiLX6Som9hFTy/bh1uA4xrk/j+Ua5nEZERyvR1R/bZQoHGig4c3Ewqdbj6+0aEt397f0FdHYzWYcJC49vhx6hnd7dtscDwTiQIeAoyxnQJGc4rjwKvLshVFGqyOVVGJ7kgEgb1RyS4Hubxkg1sqIzqDbvm7FPvNRFlvUyyrd1UKUJh9LoDgE+FKzM+AsVRMJBkYQrWjTInvi1EyauaMNREANv7fVKrL1GzWgWFRGGh9X7TorTmfGZ4Pwl/RRbL3jM88CBzUaW9M+jCbfnROqC8PAE1nUoLCcaPPo3vVqGUnlvnKxwxCl+rLqAdU7ON2QKZOpgImNFyMpyfPYBff3ffLLdQNUMS0XevSVd5U1xnaq1qt2KWWJfLcd3GpnyQqUtsqz/Xsscog6HQz6pnZu84TbsCEz/MgSxX5nt+rGXjso7mKf9uU+M/OkhSYbAhANqUZggTR1KzBwBPhSiCFYgkUSCFBoldKRzzQxKEdM4FnAF4udI4GGa8EMWzeKfqsO5AF8JaM1l4hR5c4gbO8RHQM+FY3WknW+j9U1r2cMgtRGjFcOtvfuZq9RUjSN1Mk/E4tIzN3A/lDLM16uH7fEmBT/Q8d4+K51hapqs9+qtj2djWMBnzQgRGIf9wlMHqq1LaCXu/voRIxAzX82ul54oBZjAMM4sBHEeiKHsyJg4AS4UqeyEUKDLjJbej1BtXccTQHEIsTG+9Bgr728Zchpr2zADZMlTJUCcESZIJPiZS1pjTjzqUmI+ZjBzh7Dg8Qpyw6V7TQ2cTJ0Cqm2uXXoNqYdxmJUNoXR+e6CpHXdl6oZZkN76e/k4C27u7OF512WWA9BWTUJHiB7MGvaz0zGqOwkmoY0YiLT5WPa0y3Bl3JCE9WqrEACVKhitUSpogaiFfoBwATYUoOzkKQ0GKVU9pMaJjLYzlwJItbps0IKmN/2FIF1apygjiElWxrUr2iYSUEfmsAT834z8AStxkhqEpggguWAUeHOJW3Whejdfmb4GEy5757RZFfPWQH/5N1HdMvdTQqJEJ86EsAM+QiOjKpMyulO0q9tUlTe44Wbado0KG0Fvb5MADFYABH+ONWUErShh80CWDCqsFWvn5kgdPJEHATgUqPCiGwkIRhGQxG6evoqNJ6L2DUi4aacHdg6b2qguUEFF/M6oZ2PjcfTGU8xQtIijubx+78PUcDgMMMAKpp1dXVtiYYSIq2keZMXkh5kMBYWaTQi/9GOEOz6Q2v1wdHajIZAFbDrI3EnRl4hC13bkN/YRlk4UWISaJNKtjPCnG1YYiZ46SF6FDVeUz7r30FSfefDbSX121C9ivn1t3sr9dt/t4ACOeRYhmBwBPBStrLQRFAKEErguNq+H530xdwOlrdBUWETxwTJgOLGnnymCZmy+YhJokKrq3Nd6rb03AnlSNr6GzireHECm6x1lEDx5exAThOHGbw8JkTjXoBAJoB4JpEWCFFB+sQCjuSma/UUpOMg03hIJoCHbMmnNIXOaGyHMZKC/rg3Sg9AMxIC8jUVpzOt5PjR7z+KxS5JVsPm9DBjtt9Vm8TpRVqxSsoi6euXDyWi1wBk35ckFgdiTL+YHAToUqXYWYhhIQhK+1t5wk1YZq7LjXTgq17WUHWdVW2KjdxfFyaC2+8/zGrZpEEGaEgDPN+fv5GHh6Erlc60dJYG4CMFrnFM0viY1FDopNDChQAhK9pjovmWEimPu1EvdUKCCrMHduevJRlxFHoKRT0imTzvixCpZ5T4W2CkzhsO7A1Od62kBNdxYbKptH7Qd6zWdX/BAV/FdfBEaMZFtvyWhuT2zJ2hYt2xUoAcBSBSpiFYSIIyhIoiZfhYajTGru9b1xXU1LMS8UCOHjK6kKFdFIEwtc898oSEyjoi4cKuyAVK4B6VQnEUv53PbvjZQo8DREO/FZmUoT76YsCjRGP/yuTu53Lhc7Hts5oCuzjnHCsKOdVpYmQ+El0cyZwkWwSNewAoNYh9PJZAzLzhB5srKVzx7kp/sVfsybTvB2BbQTIslamPr+yK6UH279bVgMwgsUAOAAUYUqaxUIxBOghEgRGmMMSZ8IyX5OGjq7I5W5cCKEYWC6JqIsKCjOId3F5BNPEDCUh0lxdoRNkCySMEeBQyOSFimvLT2pLo56xkjgxV55QlouPbdZcdsemtBmAAQDGENAhQQ0UqMJrCmd6tKr1R7U7Tw8I70aXtH53ixcEZ9TbyxzO7TLQhLq/hfGDKlT4TT1YeprAtnhlNSoKo1ej8hPLKShdSEoZ9YAFQHAUwUqYxkUShGky6bcM6vphocL40nEmwxAgG1TmBSmIwpiD03stg3lsiMGjHE2x7SInIBs98PrrHHBqNTI9N3j1ePHDmtW1pTwscUhK0ZbZQIM2bXPcqstoctq2860bnqv6s9oMy4WoXhScCv5hYB+coMtAOAv/OOZAlCFTnRD7wMZeSNKiMA6+DplNE2z0hc78rzMpNsFo6bTLGf98Cd73KhsZZiCwuhUBwBOhSpjGQrDI6BIZkOe4cuJa40aW4ia6aMqyrAPOsrXLS4U0SgneF2g52oLJKDJAQU+5bTeg6gFzRwZzMjYlZOGPLT8MPYexzdWalVds5KJVg579rtZ7KO2klGAIAgydcXlQZaRlvEUCwAH8AW5CLXj6133g7iADnpwqamdw2dSdyTHAShKYIGnlOcRW1dTU+UNFzJQejyc1A6Uo3I0LOp5ZDH/9zfe9JVb6MYYN/tZnFevMuBwAE+FKmMcAoVREgxkMyl+HDgvgpppdOtSCkQE2r3K6VmKZqqNteKBnlwIxYR5hi9JeMWbry+pooE2gWd6r6SqalhOHdGwQxK4qFlqDC9RykodhrmeNgTAuzcpmLz7OeCgAN9Ku91wa8DrBePBsQDVqFJYmtFSelVykBKXzBJKEoAlYbQHoYu3m0ByLYoV0e3+69NUymOiQolSW9MnrBtd8lz/e6PBQAA4AE+FKmsdDE0RJBsmnS2NI00k0syBvQd8c2e0ST8UxMBCX01oMyHPQDAbHKZ6xxjhdLLUuqAdoDFiUGKOT4PZXwVh3TyPqwQIEURkFgt10FK4a1gKCA34r1I+i4V0Y73PM9t3EAHk58Oqpgi1bPqbqOhzx4GTO/wzSMSWMIW+4FPedHQr1/sSv2wGjAcSp5ewWiV0kVqOZu8h6Sk28cHCHjL0UGtOZSyYGcDgAE+VKGIRioQiiMjiFd4uh1mdXq2LcBdhYUBw6cDEqNIIFAKJZfMN9xT5adWJPY1AjqZbKUVzdGeRNaY5bgzvZD7eAjckVrROBWh6Bros4BncJmnN9NZeIYpvLJ8R6DNUIMDZc7iEo6IfbpK6RypTDxnmSTtnxhMFUCsGkiooiVEBjPSExvxrJq5NxFRyjnQEL0rfSgjKqR3rGHdYhDnbZcHASKZvhWYVlExFwWopUxEs+t+3t46655r/hIvji7+CdTqOAydh25/Ioy7wLy7tAMkTkwh6zMNA/kZj5wjt+Q1DoxRzxghAYNg5Tbly/g5vLPGuQ4UkpRIByJBhR9Fzulr1yt4XLtHUWMV4fuAdhMtNV2tlnjwXyCy0HMLEySn5H0IIoMiCZgiErOTNgFI1/SZUSi1O6S+JBhRYAnwwK+f9oVDi/SnmL3LcdM5x/72R3RVTWbxmQuamER2cri3TmZVOsgC5lqlhyixJtCUTJQ7JWKIIGCf7if+H8BMSicBNNSscOELGIgiQJGMidftJE6qQTnSxNLuxdmZVgXv3qP7AQYTPFpS3Aoim68pE4HxKCCGdSMQcpdAFX2ZbswgsuBAIxAB34p6Vk8PRUJQhNfEDG5Ue6bGVtFdiXzKrTMbIAAzPFGLM6hpadmPkAR37eo4cSAxfxfyzzmIMUh0Xgx+BcDAA/+m8193voAIQ1nAAQiuGVgpGMgiVFX9U/q5XFmnCTJn/YrkiZ79XkLpE+SA4AFGFKjwghsEhMFEioNSHwM3IaR04NBcVgCDSzJjTl+oM77vbFFOYCUAcwRTdIdRSUROWWDj3GeqaWY/fyT3vO5ikg6tEpneBsMRfnegpZAUJCtlEkRHLqz4uuCa6rKIEr0nqP+1QMpcWQ/GWmDLJX6AUt7HckOz0tTOxPG84IbsOGt+iZJKk7IbVO+rJLDOG/HG/58Hmjl30joUnMasUsbXuMytprrgOAE8FKHMSAocliQbceUQsuG+GhcuEG1hBbcc1odpBfl5sjHkyrtJEhFOQApOUosbx5T3C2zO3QMLc8GCIp3pmJkbqhrqzQm/j+3uomxnmSmzPF/N+y221IeS8iup8QAXlZnCL/VtIsZ8twksphCrQ4zEyPinRIJ6Grf6ZhjlQkoLZ2IvIBUd2Y5Bx+ZJG0lwepb31SwJHMiPQQWVgVvRoN933k45b6t/84wBwAEqFKGMdDFB2kloupz0gLlltIjCkFl/TrEMt+33rvn1MqfS4gGcm+A1Orpd9MhxtnkilN8stg2wCzmhXQLnrs2PhPodo+hqhpODhKB3bxKPXqe89n6bjsFoubpEJy/lqtiz+MdmFybcUMvCQvp+foinNYmWZLwAYzE/jY+JwGgliDFitTPD8GaFPe8VtwvNiSQdekHmSyTQx1/QehAM1SNGb72BJHUivshAAHABMhSozIQzCQgvCaJaBg6NRku4XhTLDv3Pitp1IirxtlcLXqnPfjosbGKgf82YwlaXaKlTUcCfl0h5g9fg37R7FVVKs5XzsxbFdrr08KOiR06zY/sANdUWcqW34VfmjZR7/cknDbghRz9vJR5/500TSha9lvCUwFRPdW2HhL8hJaiV60svDQ4LZ1YFikoJNs8F7GFAumDgATYUqRCULAkIQkGKBXUwR5tyoPLfQ0gczNFys4CAAAAU2svSq2kns8W9+1/3+Nx7c222m3VtwVDAFrIBNn69L+n/nyM79W4CdNMOAyLjzXngqG16RXMo70vqcfSdx8nsayo2i209vAABnLP3aTuA/HDAGjwzcm+MjSL+QoeRcUxtwBJlWbHVpHEecmfiCPA/HMtZd7M14gAiviA3+t3D+ncLcerBv6f9wuOUAGIgADcrfZwRAOABMhSitBYNBYiCYiDMgmCQiQHXv0vUSIABf6xr7cmXueEnuYmdfm0QzinLmxSTpLUYyoopWZaXnm0pVJpCiaLGSnorXLJSNZWC1rRCN2DjafUNWn/MwNQ7NO98pI5ikoQjs1Ulm7AzTQqONPvfGbNil7vJ5jZlYjgwbm4pFzfd2Pvqxo9rTonSdzLS2+Imw13JXmwu0JyTt1KFomG7tAnl4+S2t2NHBwcBGbN5Kers2C7C1tQID03KeLtgIRXc3g4ognYirEPMxVgUItEx6oBepzXk8JPZarNmaXla9n1OXn6ugrafQXNA4AEyFKlMiAokREgRrQiMZU4GMPK4lyITECD1gvjpKhX5F5NvHnLlLLOYKGas9E8XwFXltPvYKbV2FXitfkvGIkpaC7Gs8ujXqJhBXTpD+mNfWSAXah7BenZDWGZv4EekGq+KuKanchet9ieAaFHX3VwRdGAD4bf62T5nNZGLmneAV8ZDQh6YDvGCxx/BjPENyMFrp+AoIj9CAaU6Un4MIWMYK0/Su01AcAE0FKGshDkgSrWoFxANyeUrhLEMAvhcLh6c3n4t+x01TohkMQOGQE6gwAvP8zZMVkB3X040t1PNOKrGHCYIRhYu1YPFZmIBrXFzZKma56NipijlslM0BaPav1ZGrZDubpf0XC7qS0WDLzw4yqIFP5sVmBpW5gcJCLECtNLp1AkAGzlSKwGM+Grl/A5KrWwqiyLzYKOk0438bhGdslbAmaozSM1wcAEyFKGkVgoNhFAQrd9Xi7GBa2jSWcGQoBrntv0i4xzEFNdtGSLiKpMtFPPqTaorpfilO6OgopFfKn5Kl7oSylFJGvzRYEEaODXJWbUQgelRJWoRvhrKQwz5OtSk4VK8h90Ghi7M5k+mRFIBK+z4ClFOZFhgg200GThQig1qE4XhBLd0XdGIAFwM+TyBywujN+GhAxR048gi69lRg4p6JU6TdpU1VAcBKhSo0IZBPQQiKWS5GFgGpGrCDM6EyudOqXgK8C0FWPJgEoUKNTP35IsAjusNlhKKbU9EMhmdZxl4qtLxwmr55USfbdKUAYDtwJTBBkEq0g9Yhb/7qx9Eou1brdjRD7zLxpTImSi1p2hVYbn8iSjTmwRuetaZMsgDzfW1JBegEH0ALC1ktAvrA+CzbIjTgeBkRtmue+wK1MN4M5KvY5s1yWDAm5pFPJ4AOAEqFKDM1CERCCIhiViKxXU1lPInc4Reiy21IAvt/7aiRqo2hMVAZlMUFejUrgtE3OyyHAKwRjLLdnmtXhKRjzxnkH/ty/n5ibZdpNTheK524E470c6mROKZGmd0izqUGX8pDQEkDVGEQ5jCaxVXf0GebrnuhV2xDO9Ho61tHQnUELpjMqnT6fzcY5b3wgjEYJrlfkbxegCtFIJQv7oePd+/KcQcAS4UoSykULEQ4CAQTUNEsyVkQBq10IgeXGvhRgo1DMninYTo8d9fVG6dn2CGDiUQ2+R0DKYJLiWNvA7pnVHT3yCTHCeridSzUOPWLJgTdkFa2xs1i8inLUjjYfmh5w9tylHZgLGezZUTtyvFbaf9lkUrGH3oW54f34YbX8ej7diW/6mqu3fbNLT3ghtvSsgChCE2aUHOO6aEswOAASwUqI0EORBUxt8W70hdDRNFlwUAEd9FTDM2ZZIjaruzEoFKb1rfRTtokqZAGlRkzspVrTrd6YO1a7AS1J772JYMF2TDE1h8KtolzwM94nFTTT8pfJ0XqNsIg639zZ/O05J64ViG4mr9Xp6gC+bP684U5pF58SVyOxCcfhHVveJm0RLff7fLXR9z9rLLRQUcUEZwzvH3p+X744bpflmBwAEuFKFMdDkUUkIQlJ5CAN+WTSSK0AAg7FPr8w83GKZl7PDQJ1AdrOE5XvIz99I8wquxFkMOsmKGeoJ9McjRD/1OQH7mEHxMJKJSe2FH7c1stuH8FlqyMb0yt8HQIOrtb4PV3FWDfY4JxcEpmGWJXLBCrSKZaMNF7OutFilwzEu6OZberFapGtEZ4elZuw+Cl/qcU9z7d8QHASwUqOyUQUDCSJfOid9L2OE1Ro0tjIAHqYlYqBHttabhothlqg1ONg6n6pWkpBAcwOQCQdCWSXMYdGS8jG5kM85AVijT3g1asDX7wPt2Wjn1g49exPCn5IzhJAyPTifezmmPMYqGXriMg4pywe4Yk4sCDgUNmCUM9Q8d7tEBm8p7HCwtCC/5jTwVsQFJACiBgRNneWx3BkwYoXa+nxzu6DgAAAHsbW9vZgAAABBtZmhkAAAAAAAAAAoAAAHUdHJhZgAAABx0ZmhkAAAAEQAAAAEAAAAAAAKVXAAAAK0AAADMdHJ1bgAAAgEAAAAuAAAAAAAAAK0AAACqAAAAtgAAAK4AAACrAAAAugAAAMwAAADuAAAApgAAAKcAAACkAAAAtwAAAKsAAACcAAAApQAAAK8AAAEGAAABAAAAAJoAAACpAAAAnQAAAJ0AAACjAAAAmwAAAK4AAACcAAAArAAAAJ0AAACuAAAAmgAAAKgAAACrAAAAogAAAKcAAACfAAAAogAAALoAAADBAAAA0QAAALIAAACqAAAAogAAAKsAAAC1AAAA3QAAAKYAAADMdHJ1bgAAAgEAAAAuAAAfwwAAAJ4AAACkAAAA1QAAAQUAAACwAAAArAAAAK4AAACzAAAApAAAAKkAAACmAAAApwAAAK0AAAC3AAAAowAAATcAAADTAAAApgAAAKUAAACfAAAArQAAALgAAACtAAAAqQAAAKsAAACqAAAAtgAAAKgAAACrAAAAoQAAAN0AAACzAAAAqAAAAKsAAACsAAAAlwAAALYAAADpAAAAqAAAAKUAAACmAAAAqgAAAKQAAACcAAAAoAAAAJgAAAAYdHJ1bgAAAgEAAAABAAA/xQAAAKEAAAABbWRhdAAAAAAAAAhIAUAUoSy0GThI83JaMSLLCSSNLXgwBZIsM+Rr0qQGYs8JEzKLYBOEKt6OdVK2DAkRzlF9VSMkX5SlLfvXFgplE0F5pLtkue1k3Wo+9pJozHLNg8YiksD3O+iZE3b9ra/RafCs37PgZJYJjFWwumwCw2BwDmMqlPmhFRAUrB9EbiUWXCAx78enNJjhv7UetRILT6meKUjG61tV84ZLXBwBKhShiEYxLERFEIaXilmaF2QlrhUoKAcWfN+zT5vTiXEgE++jHeto41lKectC03B/sEGdCkUSEpuvgrSXac1KE5ksNF0I5BNLeZAq2j6xvfN5fnIyjupR19LytF4NVAltKhjuqS3XiaA+mVjJhMKfLBSZgi+j8GAeWEc5KKOY12NtcRTEbDAUnVZOdIDWCFqWjWuK+kfdfqQJm7td2JAUA4ABKhSpLLQxMQIiCENBYWNC12qiOQdbrZO85J1A5q+ljrRR10seFDZi6hgq9RSS3d2FphqGijLjZoQ/bXlpfWNXcvbFoBNYxYjoChrOQGpU72IZKmtsUMmifr2CC0nfmzLZy5d4Qt5cJgaIR5fZtgNwUNOp/qRCFmjXuTUgJtmWxXsYwERiIgZDKEuYFWyLvvdaaCy7VvR+RDso5M5E2GyWzyjqcogIg4ABKhSo7IQxTALDiMOEO7slyLF3CqSgC3e85xZhE+NeUBJTylkkigHq8Co1Pm9R2d0ds7u864nKnGOPEB2nbEcHZ4+7Ug9/whHKpo6ruD9ykEH98GQNw/UdrhyQB+QvbyQg1iRpMAAN7a2THvPOdq66NZKwAWVuFCmrYAm/rYNyl0orNYh8DxyJQkyAAtQgWmpUTIQ9lHt0//yHMySTgAEoFKiNJDkYTKF2QVvQdC1jUGKQAfE5ZYOPhweWPd2UfLPe27kNsu6bDLJdlUrrI1UgMCIdhTlNK9DkjYqjoJqamOIqAgYw7U3RWvzUVzok68nEpgi20XbnAOoHnrXc9KM31ymc2kjNzBw/pCAAU/WcoRW92VqZYwSTjtoMcCzGyhlIkdtsn5o0kDW1Q34XvjHzycsdwHi0dX248/P6scHvrgBwASwUqK0EKRhEQxIZOqcEyiY4F2hpF4GAizX+SfYzUqZQu+2eXPPZ4MByUcre6LR/Wy3KuGGIFXsqrSFEkEBuLPqAUgXd7HUksG8tVQa+JeKgt06IqRgaN+n56VVO0lW7ztnIMwX0l7RzQ4mj5HbXi0IlNo86pmSWBZyZ/U42VitG0g0mpB1wDFX2kIGvUDQn0/RRKuvV6Wu+BSLvXLx+KtnHFMHAASgUqKzEUTBEgqU80DBpcNF2KDAdWDltc+AZR2pd1ZbNG4u2+ZB07MI5d8NlHZr6rI3TNS5TlOtV134MHO25BtdoAnObj8/WMtqr/sA+2PAtCbuUHwF4vDYYRK3C+QCrAl5athQYXDUDhSmKuutG66/0KIysVA1Bj5AwJjQYaXNVo19nHkwu4yJAqM37kQSPxC6YgDAGM7Yb361/j96ZFYwmcJIAcAE2FKlsdFixwaGhTTZl6XpIRxhgBJXOgKjS2Mw6tSwMTrAsI0EDXTUc7M2QOia3ybueIkyRSc/hJUOtK18KzIGqecEmav4VFS5EyoVb0tWoiTvG9fAsZvMenOhAqpqyrja5aIaUYRZt4ZquLGmKN7p47MW4TXKFGR1pGyMIqfa92TPtVr1wbIR8ttGY5sobSxbFLMjLKvi2ejlDRioBwAEyFKis1EEoSmTzF1GOGCHRE1AMAQX22I1+AQfTX8w2UzbeAyeV9ll14142hknYBKJJ2bbKZcSO0jmGmBjVQd2kgMEUIlnl4hFLDDDq9t91ulFjSOw7nZgCEdZvwrgHiqoSdeBrWu7p+8CP30q/fg6jxWH7B3tdIamdAI51ADnERsUM8MFBGyxiOUlrCIy9tCtDrAkrFdgvKUYPxhGneFZg4AEoFKGsZEikhiENFWSDCpaOF5NI3AD9Cdpr5Oi+71vPx8TNSwS5uqpIMoWsIC7Fax5GjIifUcWVa78o8iXNJME89EuyQ6UY8hkCq0SkjBxzlj5X6RsAZztXn3+nyY8+RfAQ7ec52rMafdMu8Sm9CsxW3e/1rLViaVFt3eNt1r5KUrDhmlkViqKt62xSd3WdM3hEhlKz+whpEeq4XzqxZ5ZcTefxgcABMBSg7MQgiQJJQIlOiFRZe2gRwiaBsBZdf0EAVeypRCIsmMQZ+M80kjddsWh2Gdb4ZBC6cLoSCErJeqeYOHbjJsa6OtMRnoyBJS3EoI1NNWGqas3CHsQ5vUrsWTIfL0ltjUZZ+2JuJHhcCXMKttivQFNZz9bDcygZgByg9W0YixmPXm+GvTFwMF0hKWMCw1ez+Y003Q/80WA5XcJo8umHMizRBwEyVKiMpCMEmCIjiFq1yYF4Gg1aEsgYAJtC1atXlbve66XLjotN7Zz0ozSYx1WY6pDvuKGTQJ01bhWTSanvyX9GzXZ+yfxaCWZmVYtIM/7cF8fzb4M8/604S1tKgnP8hCqQEHU1NIgDVEug/4XR3sPJfoskipuiEy/T8KHQyOKNuS1FnX4BM+KrGwd1LCeTE/iKkEHXmHXR/lt9BjMCEAcBHJnyCzRjWhYEHrqF6dZXObnGvhOCDq1iIj05V8vTrBvKd+or0afMA/76tVpD27PaErfgGQ8pEXJ03yo1kz3+g09tnSoYA9yq0URmZ5ki3tPYnGF2EXKLpWLhOdKpx314xtqvVPGxfsxWx3Brpglg+HTVZ24ul71N3skpNwV8gAABYfn7GzMWEPw3oD+73m+GtD/AANDABwAAAIhtb29mAAAAEG1maGQAAAAAAAAACwAAAHB0cmFmAAAAHHRmaGQAAAARAAAAAQAAAAAAAte+AAAAngAAAEx0cnVuAAACAQAAAA4AAAAAAAAAngAAAKIAAACoAAAAngAAAKQAAAClAAAApgAAAJ8AAACiAAAApgAAAKQAAACgAAAAlAAAAAQAAAAYbW9vZgAAABBtZmhkAAAAAAAAAAwAAAAYbW9vZgAAABBtZmhkAAAAAAAAAA0='
-    },
-   
+      url: 'audio/thanks.m4a',
+      mimeType: 'audio/mp4'
+    }
   ]
 };
 
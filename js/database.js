@@ -0,0 +1,113 @@
+/**
+ * Database module for WhatsApp Admin Panel
+ * Thin promise wrapper around IndexedDB for data too large or too structured for localStorage
+ */
+
+class DatabaseService {
+  constructor(config) {
+    this.config = config;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database, creating object stores on first use or version bump
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(this.config.DATABASE.NAME, this.config.DATABASE.VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.values(this.config.DATABASE.STORES).forEach(storeName => {
+          if (!db.objectStoreNames.contains(storeName)) {
+            db.createObjectStore(storeName, { keyPath: 'id' });
+          }
+        });
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed
+    this.dbPromise.catch(() => {
+      this.dbPromise = null;
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request inside a transaction
+   * @param {string} storeName - Object store name
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the store and returns an IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async run(storeName, mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get all records of a store
+   * @param {string} storeName - Object store name
+   * @returns {Promise<Array>} Records
+   */
+  getAll(storeName) {
+    return this.run(storeName, 'readonly', store => store.getAll());
+  }
+
+  /**
+   * Get one record by key
+   * @param {string} storeName - Object store name
+   * @param {string} id - Record key
+   * @returns {Promise<Object|undefined>} Record
+   */
+  get(storeName, id) {
+    return this.run(storeName, 'readonly', store => store.get(id));
+  }
+
+  /**
+   * Insert or replace a record
+   * @param {string} storeName - Object store name
+   * @param {Object} record - Record with an id
+   * @returns {Promise<string>} Record key
+   */
+  put(storeName, record) {
+    return this.run(storeName, 'readwrite', store => store.put(record));
+  }
+
+  /**
+   * Delete a record by key
+   * @param {string} storeName - Object store name
+   * @param {string} id - Record key
+   * @returns {Promise<undefined>}
+   */
+  delete(storeName, id) {
+    return this.run(storeName, 'readwrite', store => store.delete(id));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DatabaseService;
+} else {
+  window.DatabaseService = DatabaseService;
+}
@@ -0,0 +1,129 @@
+/**
+ * Outbox module for WhatsApp Admin Panel
+ * Keeps outgoing interventions and voice notes in IndexedDB until the backend confirms them,
+ * so they survive page reloads and can be sent once the connection is back
+ */
+
+class OutboxService {
+  constructor(database) {
+    this.database = database;
+    this.storeName = database.config.DATABASE.STORES.OUTBOX;
+    this.memoryItems = null; // Used only when IndexedDB is unavailable
+  }
+
+  /**
+   * Fall back to an in-memory outbox when IndexedDB cannot be used
+   * @param {Error} error - Database error
+   */
+  useMemoryFallback(error) {
+    if (!this.memoryItems) {
+      console.error('Outbox database unavailable, queued messages will not survive a reload:', error);
+      this.memoryItems = new Map();
+    }
+  }
+
+  /**
+   * Get all queued items, oldest first
+   * @returns {Promise<Array>} Outbox items
+   */
+  async getAll() {
+    let items;
+    if (this.memoryItems) {
+      items = [...this.memoryItems.values()];
+    } else {
+      try {
+        items = await this.database.getAll(this.storeName);
+      } catch (error) {
+        this.useMemoryFallback(error);
+        items = [];
+      }
+    }
+
+    return items.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Get one queued item
+   * @param {string} id - Item ID
+   * @returns {Promise<Object|null>} Item or null
+   */
+  async get(id) {
+    if (this.memoryItems) {
+      return this.memoryItems.get(id) || null;
+    }
+
+    try {
+      return (await this.database.get(this.storeName, id)) || null;
+    } catch (error) {
+      this.useMemoryFallback(error);
+      return null;
+    }
+  }
+
+  /**
+   * Store an item
+   * @param {Object} item - Outbox item
+   */
+  async save(item) {
+    if (!this.memoryItems) {
+      try {
+        await this.database.put(this.storeName, item);
+        return;
+      } catch (error) {
+        this.useMemoryFallback(error);
+      }
+    }
+
+    this.memoryItems.set(item.id, item);
+  }
+
+  /**
+   * Queue an outgoing item
+   * @param {Object} item - Item with id, kind ('text' or 'voice'), conversationId, number, text or audio, and createdAt
+   * @returns {Promise<Object>} Stored item
+   */
+  async add(item) {
+    const stored = { kind: 'text', status: 'pending', error: null, ...item };
+    await this.save(stored);
+    return stored;
+  }
+
+  /**
+   * Update a queued item
+   * @param {string} id - Item ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object|null>} Updated item or null if not queued
+   */
+  async update(id, updates) {
+    const item = await this.get(id);
+    if (!item) return null;
+
+    const updated = { ...item, ...updates };
+    await this.save(updated);
+    return updated;
+  }
+
+  /**
+   * Remove an item once it was delivered or discarded
+   * @param {string} id - Item ID
+   */
+  async remove(id) {
+    if (this.memoryItems) {
+      this.memoryItems.delete(id);
+      return;
+    }
+
+    try {
+      await this.database.delete(this.storeName, id);
+    } catch (error) {
+      this.useMemoryFallback(error);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OutboxService;
+} else {
+  window.OutboxService = OutboxService;
+}
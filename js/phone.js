@@ -0,0 +1,223 @@
+/**
+ * Phone number module for WhatsApp Admin Panel
+ * Normalizes numbers so formatting differences compare equal, and looks up their country for display
+ */
+
+class PhoneService {
+  constructor() {
+    // Calling code, ISO country, name, main time zone, and optionally the digit groups of a national number
+    // layouts give other digit groups to national numbers starting with a pattern (London is 20 7946 0958)
+    // areaCodes tells apart countries that share the +1 calling code
+    // multipleTimeZones marks countries where the main time zone is only a guess for a given contact
+    // mobilePrefix is the digit some systems add after the country code for mobiles (+52 1 …, +54 9 …)
+    this.countries = [
+      { code: '1', iso: 'US', name: 'United States', timeZone: 'America/New_York', groups: [3, 3, 4], multipleTimeZones: true },
+      { code: '1', areaCodes: ['787', '939'], iso: 'PR', name: 'Puerto Rico', timeZone: 'America/Puerto_Rico', groups: [3, 3, 4] },
+      { code: '1', areaCodes: ['809', '829', '849'], iso: 'DO', name: 'Dominican Republic', timeZone: 'America/Santo_Domingo', groups: [3, 3, 4] },
+      { code: '7', iso: 'RU', name: 'Russia', timeZone: 'Europe/Moscow', groups: [3, 3, 2, 2], multipleTimeZones: true },
+      { code: '20', iso: 'EG', name: 'Egypt', timeZone: 'Africa/Cairo' },
+      { code: '27', iso: 'ZA', name: 'South Africa', timeZone: 'Africa/Johannesburg' },
+      { code: '30', iso: 'GR', name: 'Greece', timeZone: 'Europe/Athens' },
+      { code: '31', iso: 'NL', name: 'Netherlands', timeZone: 'Europe/Amsterdam' },
+      { code: '32', iso: 'BE', name: 'Belgium', timeZone: 'Europe/Brussels' },
+      { code: '33', iso: 'FR', name: 'France', timeZone: 'Europe/Paris', groups: [1, 2, 2, 2, 2] },
+      { code: '34', iso: 'ES', name: 'Spain', timeZone: 'Europe/Madrid', groups: [3, 3, 3] },
+      { code: '39', iso: 'IT', name: 'Italy', timeZone: 'Europe/Rome' },
+      { code: '41', iso: 'CH', name: 'Switzerland', timeZone: 'Europe/Zurich' },
+      {
+        code: '44',
+        iso: 'GB',
+        name: 'United Kingdom',
+        timeZone: 'Europe/London',
+        groups: [4, 6],
+        layouts: [
+          { pattern: /^2/, groups: [2, 4, 4] },
+          { pattern: /^(1\d1|11|3|8)/, groups: [3, 3, 4] }
+        ]
+      },
+      { code: '49', iso: 'DE', name: 'Germany', timeZone: 'Europe/Berlin' },
+      { code: '51', iso: 'PE', name: 'Peru', timeZone: 'America/Lima', groups: [3, 3, 3] },
+      { code: '52', iso: 'MX', name: 'Mexico', timeZone: 'America/Mexico_City', groups: [2, 4, 4], mobilePrefix: '1', multipleTimeZones: true },
+      { code: '53', iso: 'CU', name: 'Cuba', timeZone: 'America/Havana' },
+      { code: '54', iso: 'AR', name: 'Argentina', timeZone: 'America/Argentina/Buenos_Aires', groups: [2, 4, 4], mobilePrefix: '9' },
+      { code: '55', iso: 'BR', name: 'Brazil', timeZone: 'America/Sao_Paulo', groups: [2, 5, 4], multipleTimeZones: true },
+      { code: '56', iso: 'CL', name: 'Chile', timeZone: 'America/Santiago', groups: [1, 4, 4] },
+      { code: '57', iso: 'CO', name: 'Colombia', timeZone: 'America/Bogota', groups: [3, 3, 4] },
+      { code: '58', iso: 'VE', name: 'Venezuela', timeZone: 'America/Caracas', groups: [3, 3, 4] },
+      { code: '61', iso: 'AU', name: 'Australia', timeZone: 'Australia/Sydney', multipleTimeZones: true },
+      { code: '81', iso: 'JP', name: 'Japan', timeZone: 'Asia/Tokyo' },
+      { code: '86', iso: 'CN', name: 'China', timeZone: 'Asia/Shanghai' },
+      { code: '91', iso: 'IN', name: 'India', timeZone: 'Asia/Kolkata', groups: [5, 5] },
+      { code: '351', iso: 'PT', name: 'Portugal', timeZone: 'Europe/Lisbon', groups: [3, 3, 3] },
+      { code: '502', iso: 'GT', name: 'Guatemala', timeZone: 'America/Guatemala', groups: [4, 4] },
+      { code: '503', iso: 'SV', name: 'El Salvador', timeZone: 'America/El_Salvador', groups: [4, 4] },
+      { code: '504', iso: 'HN', name: 'Honduras', timeZone: 'America/Tegucigalpa', groups: [4, 4] },
+      { code: '505', iso: 'NI', name: 'Nicaragua', timeZone: 'America/Managua', groups: [4, 4] },
+      { code: '506', iso: 'CR', name: 'Costa Rica', timeZone: 'America/Costa_Rica', groups: [4, 4] },
+      { code: '507', iso: 'PA', name: 'Panama', timeZone: 'America/Panama', groups: [4, 4] },
+      { code: '591', iso: 'BO', name: 'Bolivia', timeZone: 'America/La_Paz' },
+      { code: '593', iso: 'EC', name: 'Ecuador', timeZone: 'America/Guayaquil', groups: [2, 3, 4] },
+      { code: '595', iso: 'PY', name: 'Paraguay', timeZone: 'America/Asuncion', groups: [3, 3, 3] },
+      { code: '598', iso: 'UY', name: 'Uruguay', timeZone: 'America/Montevideo', groups: [2, 3, 3] }
+    ].sort((a, b) => b.code.length - a.code.length || Boolean(b.areaCodes) - Boolean(a.areaCodes)); // Most specific match first
+  }
+
+  /**
+   * Reduce a number to its digits, dropping a leading 00 international prefix
+   * @param {string|number} phoneNumber - Phone number in any format
+   * @returns {string} Digits only
+   */
+  normalize(phoneNumber) {
+    return String(phoneNumber ?? '').replace(/\D/g, '').replace(/^00/, '');
+  }
+
+  /**
+   * Get the form of a number used to tell whether two numbers belong to the same contact
+   * The mobile digit of Mexico (+52 1) and Argentina (+54 9) is dropped, since it appears in some sources and not others
+   * @param {string|number} phoneNumber - Phone number in any format
+   * @returns {string} Digits identifying the contact
+   */
+  getComparisonKey(phoneNumber) {
+    const digits = this.normalize(phoneNumber);
+    const country = this.findCountry(digits);
+    if (!country?.mobilePrefix) return digits;
+
+    const national = digits.slice(country.code.length);
+    return national.length === 11 && national.startsWith(country.mobilePrefix)
+      ? country.code + national.slice(1)
+      : digits;
+  }
+
+  /**
+   * Check whether two numbers belong to the same contact
+   * @param {string|number} a - Phone number
+   * @param {string|number} b - Phone number
+   * @returns {boolean} Whether they are the same number
+   */
+  isSameNumber(a, b) {
+    const key = this.getComparisonKey(a);
+    return key !== '' && key === this.getComparisonKey(b);
+  }
+
+  /**
+   * Check whether a number contains the digits of a search term
+   * Terms with letters never match, so "ana" does not find numbers
+   * @param {string|number} phoneNumber - Phone number of the contact
+   * @param {string} query - Search term, e.g. "+52 55" or "5215"
+   * @returns {boolean} Whether the number matches
+   */
+  includes(phoneNumber, query) {
+    const term = String(query ?? '');
+    if (!/^[\d\s+\-.()]+$/.test(term)) return false;
+
+    const digits = this.normalize(term);
+    if (!digits) return false;
+
+    // A term that starts with the mobile digit (+54 9 …) also finds numbers stored without it
+    const terms = [digits];
+    const country = this.findCountry(digits);
+    if (country?.mobilePrefix && digits.startsWith(country.code + country.mobilePrefix)) {
+      terms.push(country.code + digits.slice(country.code.length + 1));
+    }
+
+    const candidates = [this.normalize(phoneNumber), this.getComparisonKey(phoneNumber)];
+    return candidates.some(candidate => terms.some(value => candidate.includes(value)));
+  }
+
+  /**
+   * Validate a number typed by the operator and bring it to E.164 format
+   * Spaces, dashes, dots and parentheses are ignored and a leading 00 counts as +
+   * @param {string} phoneNumber - Number including its country code
+   * @returns {string|null} Number as +<country code><number>, or null when it is not a valid international number
+   */
+  toE164(phoneNumber) {
+    const compact = String(phoneNumber ?? '').trim().replace(/[\s\-.()]/g, '').replace(/^00/, '+');
+    if (!/^\+?[1-9]\d{7,14}$/.test(compact)) return null;
+
+    return `+${this.normalize(compact)}`;
+  }
+
+  /**
+   * Find the country of a number from its calling code
+   * @param {string|number} phoneNumber - Phone number in international format
+   * @returns {Object|null} Country with code, iso, name and timeZone, or null when unknown
+   */
+  findCountry(phoneNumber) {
+    const digits = this.normalize(phoneNumber);
+    return this.countries.find(country => (
+      digits.startsWith(country.code) &&
+      digits.length > country.code.length &&
+      (!country.areaCodes || country.areaCodes.some(areaCode => digits.startsWith(country.code + areaCode)))
+    )) || null;
+  }
+
+  /**
+   * Get the flag emoji of a country
+   * @param {string} iso - Two-letter country code
+   * @returns {string} Flag emoji
+   */
+  getFlag(iso) {
+    return String.fromCodePoint(...[...iso.toUpperCase()].map(letter => 0x1F1E6 + letter.charCodeAt(0) - 65));
+  }
+
+  /**
+   * Format a number for display, e.g. "+52 1 55 1234 5678"
+   * @param {string|number} phoneNumber - Phone number in any format
+   * @returns {string} Formatted number, or the input when it has no digits
+   */
+  format(phoneNumber) {
+    const digits = this.normalize(phoneNumber);
+    if (!digits) return String(phoneNumber ?? '');
+
+    const country = this.findCountry(digits);
+    if (!country) return `+${digits}`;
+
+    let national = digits.slice(country.code.length);
+    const parts = [`+${country.code}`];
+
+    if (country.mobilePrefix && national.length === 11 && national.startsWith(country.mobilePrefix)) {
+      parts.push(country.mobilePrefix);
+      national = national.slice(1);
+    }
+
+    // Known layouts for the usual length, otherwise groups of three with the last four digits together
+    const layout = country.layouts?.find(entry => entry.pattern.test(national));
+    const known = layout ? layout.groups : country.groups;
+    const groups = known && known.reduce((sum, size) => sum + size, 0) === national.length
+      ? known
+      : this.getDefaultGroups(national.length);
+
+    let start = 0;
+    groups.forEach(size => {
+      parts.push(national.slice(start, start + size));
+      start += size;
+    });
+
+    return parts.join(' ');
+  }
+
+  /**
+   * Split a national number of unknown layout into readable groups
+   * @param {number} length - Number of digits
+   * @returns {Array} Group sizes
+   */
+  getDefaultGroups(length) {
+    if (length <= 4) return [length];
+
+    const groups = [];
+    let remaining = length - 4;
+    while (remaining > 0) {
+      const size = remaining === 4 ? 2 : Math.min(3, remaining); // 2 + 2 reads better than 3 + 1
+      groups.push(size);
+      remaining -= size;
+    }
+    return [...groups, 4];
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PhoneService;
+} else {
+  window.PhoneService = PhoneService;
+}
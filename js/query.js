@@ -0,0 +1,197 @@
+/**
+ * Search query module for WhatsApp Admin Panel
+ * Parses the conversation search syntax and suggests completions for it
+ *
+ * Syntax: free words and "quoted phrases", field:value terms (name:, tag:, number:,
+ * is:, interview:, before:, after:) and a leading "-" to negate any term.
+ */
+
+class QueryParser {
+  constructor() {
+    this.fields = {
+      name: { description: 'Contact name contains' },
+      tag: { description: 'Has tag' },
+      number: { description: 'Phone number contains' },
+      is: { description: 'Conversation state', values: ['unread', 'manual', 'bot', 'attention', 'assigned', 'unassigned', 'mine'] },
+      interview: { description: 'Interview status', values: ['pending', 'completed'] },
+      before: { description: 'Last activity before date', values: ['today', 'yesterday', '7d', '30d'] },
+      after: { description: 'Last activity on or after date', values: ['today', 'yesterday', '7d', '30d'] }
+    };
+  }
+
+  /**
+   * Split a query into raw tokens, keeping quoted phrases together
+   * @param {string} input - Query text
+   * @returns {Array} Tokens with negated, field, value, quoted and raw
+   */
+  tokenize(input) {
+    const tokens = [];
+    const text = String(input ?? '');
+    let index = 0;
+
+    while (index < text.length) {
+      if (/\s/.test(text[index])) {
+        index++;
+        continue;
+      }
+
+      const start = index;
+      let negated = false;
+      if (text[index] === '-' && index + 1 < text.length && !/\s/.test(text[index + 1])) {
+        negated = true;
+        index++;
+      }
+
+      // Optional field prefix, only for known fields so URLs and times stay free text
+      let field = null;
+      const fieldMatch = /^([a-z]+):/i.exec(text.slice(index));
+      if (fieldMatch && this.fields[fieldMatch[1].toLowerCase()]) {
+        field = fieldMatch[1].toLowerCase();
+        index += fieldMatch[0].length;
+      }
+
+      let value = '';
+      let quoted = false;
+      if (text[index] === '"') {
+        quoted = true;
+        const end = text.indexOf('"', index + 1);
+        value = end === -1 ? text.slice(index + 1) : text.slice(index + 1, end);
+        index = end === -1 ? text.length : end + 1;
+      } else {
+        while (index < text.length && !/\s/.test(text[index])) {
+          value += text[index];
+          index++;
+        }
+      }
+
+      tokens.push({ negated, field, value, quoted, raw: text.slice(start, index) });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse a query into terms
+   * Terms with an invalid value are reported in errors and left out of terms
+   * @param {string} input - Query text
+   * @param {Date} now - Reference time for relative dates
+   * @returns {Object} Parsed query with terms and errors
+   */
+  parse(input, now = new Date()) {
+    const terms = [];
+    const errors = [];
+
+    this.tokenize(input).forEach(token => {
+      const value = token.value.trim();
+      const field = token.field || 'text';
+
+      // A bare "tag:" is still being typed, so it is skipped rather than reported
+      if (!value) return;
+
+      const term = { field, value: value.toLowerCase(), negated: token.negated, raw: token.raw };
+
+      if (this.fields[field]?.values && !['before', 'after'].includes(field)) {
+        if (!this.fields[field].values.includes(term.value)) {
+          errors.push({ raw: token.raw, message: `Unknown value "${value}" for ${field}:` });
+          return;
+        }
+      }
+
+      if (field === 'before' || field === 'after') {
+        const date = this.parseDate(term.value, now);
+        if (date === null) {
+          errors.push({ raw: token.raw, message: `Invalid date "${value}" for ${field}:` });
+          return;
+        }
+        term.date = date;
+      }
+
+      terms.push(term);
+    });
+
+    return { terms, errors };
+  }
+
+  /**
+   * Resolve a date value to the start of that day
+   * Accepts YYYY-MM-DD, today, yesterday and relative days like 7d
+   * @param {string} value - Date value
+   * @param {Date} now - Reference time
+   * @returns {number|null} Epoch milliseconds of local midnight, or null when invalid
+   */
+  parseDate(value, now = new Date()) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    if (value === 'today') return today.getTime();
+    if (value === 'yesterday') return new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1).getTime();
+
+    const relative = /^(\d+)d$/.exec(value);
+    if (relative) {
+      return new Date(today.getFullYear(), today.getMonth(), today.getDate() - Number(relative[1])).getTime();
+    }
+
+    const absolute = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+    if (absolute) {
+      const [, year, month, day] = absolute.map(Number);
+      const date = new Date(year, month - 1, day);
+      // Reject dates like 2024-02-31 that roll over into another month
+      if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+      return date.getTime();
+    }
+
+    return null;
+  }
+
+  /**
+   * Suggest completions for the term at the end of the query
+   * @param {string} input - Query text
+   * @param {Object} context - Extra values such as known tags
+   * @returns {Array} Suggestions with label, description and the full query after accepting
+   */
+  getSuggestions(input, context = {}) {
+    const text = String(input ?? '');
+    const lastSpace = Math.max(text.lastIndexOf(' '), text.lastIndexOf('\t'));
+    const prefix = text.slice(0, lastSpace + 1);
+    let current = text.slice(lastSpace + 1);
+
+    // Inside an open quote the user is typing a phrase, nothing to complete
+    if ((text.match(/"/g) || []).length % 2 === 1) return [];
+
+    const negation = current.startsWith('-') ? '-' : '';
+    current = current.slice(negation.length).toLowerCase();
+
+    const build = (completion, description) => ({
+      label: `${negation}${completion}`,
+      description,
+      query: `${prefix}${negation}${completion}${completion.endsWith(':') ? '' : ' '}`
+    });
+
+    const separator = current.indexOf(':');
+
+    if (separator === -1) {
+      if (!current) return [];
+      return Object.entries(this.fields)
+        .filter(([field]) => field.startsWith(current))
+        .map(([field, definition]) => build(`${field}:`, definition.description));
+    }
+
+    const field = current.slice(0, separator);
+    const partial = current.slice(separator + 1).replace(/^"/, '');
+    if (!this.fields[field]) return [];
+
+    let values = this.fields[field].values || [];
+    if (field === 'tag') values = context.tags || [];
+
+    return values
+      .filter(value => value.toLowerCase().startsWith(partial) && value.toLowerCase() !== partial)
+      .slice(0, 8)
+      .map(value => build(`${field}:${/\s/.test(value) ? `"${value}"` : value}`, this.fields[field].description));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QueryParser;
+} else {
+  window.QueryParser = QueryParser;
+}
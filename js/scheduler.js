@@ -0,0 +1,100 @@
+/**
+ * Scheduler module for WhatsApp Admin Panel
+ * Ticks at a fixed interval so scheduled messages go out on time, from a worker where possible
+ */
+
+class SchedulerService {
+  constructor(config, callbacks = {}) {
+    this.config = config;
+    this.callbacks = {
+      onTick: callbacks.onTick || (() => {})
+    };
+    this.worker = null;
+    this.workerUrl = null;
+    this.timer = null;
+  }
+
+  /**
+   * Start ticking
+   * Browsers slow down timers in background tabs, timers in a worker keep their pace
+   */
+  start() {
+    this.stop();
+
+    const interval = this.config.SCHEDULER.TICK_INTERVAL;
+
+    try {
+      this.workerUrl = URL.createObjectURL(new Blob([this.getWorkerSource()], { type: 'text/javascript' }));
+      this.worker = new Worker(this.workerUrl);
+      this.worker.onmessage = () => this.tick();
+      this.worker.onerror = (error) => {
+        console.error('Scheduler worker failed, falling back to a timer:', error);
+        this.stopWorker();
+        this.timer = setInterval(() => this.tick(), interval);
+      };
+      this.worker.postMessage({ interval });
+    } catch (error) {
+      console.warn('Scheduler worker unavailable, using a timer:', error);
+      this.stopWorker();
+      this.timer = setInterval(() => this.tick(), interval);
+    }
+
+    // Check right away for anything that fell due while the panel was closed
+    this.tick();
+  }
+
+  /**
+   * Stop ticking
+   */
+  stop() {
+    this.stopWorker();
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Terminate the worker, if any
+   */
+  stopWorker() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    if (this.workerUrl) {
+      URL.revokeObjectURL(this.workerUrl);
+      this.workerUrl = null;
+    }
+  }
+
+  /**
+   * Call the tick callback, logging instead of throwing so the next tick still runs
+   */
+  async tick() {
+    try {
+      await this.callbacks.onTick();
+    } catch (error) {
+      console.error('Error running scheduled tasks:', error);
+    }
+  }
+
+  /**
+   * Source of the worker, which only keeps time and posts a message on every tick
+   * @returns {string} JavaScript source
+   */
+  getWorkerSource() {
+    return `
+      let timer = null;
+      self.onmessage = (e) => {
+        clearInterval(timer);
+        timer = setInterval(() => self.postMessage('tick'), e.data.interval);
+      };
+    `;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SchedulerService;
+} else {
+  window.SchedulerService = SchedulerService;
+}
@@ -0,0 +1,174 @@
+/**
+ * Search index module for WhatsApp Admin Panel
+ * Inverted index over loaded message text, updated as messages arrive
+ */
+
+class SearchIndex {
+  constructor() {
+    this.documents = new Map(); // document key -> { conversationId, messageId, text }
+    this.postings = new Map(); // token -> Set of document keys
+    this.conversationDocuments = new Map(); // conversation ID -> Set of document keys
+    this.version = 0; // Bumped on every change so callers can cache results
+  }
+
+  /**
+   * Lowercase text and strip accents so "Retiró" matches "retiro"
+   * @param {string} text - Raw text
+   * @returns {string} Normalized text
+   */
+  normalize(text) {
+    return String(text ?? '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  }
+
+  /**
+   * Split text into searchable words
+   * @param {string} text - Raw text
+   * @returns {Array} Unique normalized words
+   */
+  tokenize(text) {
+    return [...new Set(this.normalize(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean))];
+  }
+
+  /**
+   * Build the key of a message in the index
+   * @param {string} conversationId - ID of the conversation
+   * @param {string} messageId - ID of the message
+   * @returns {string} Document key
+   */
+  documentKey(conversationId, messageId) {
+    return `${conversationId}\u0000${messageId}`;
+  }
+
+  /**
+   * Add or replace one message
+   * Audio messages and messages without an ID are skipped
+   * @param {string} conversationId - ID of the conversation
+   * @param {Object} message - Message data
+   */
+  addMessage(conversationId, message) {
+    if (!message || message.id === undefined || message.id === null || message.isAudio || !message.text) return;
+
+    const key = this.documentKey(conversationId, message.id);
+    const existing = this.documents.get(key);
+    if (existing && existing.text === message.text) return;
+    if (existing) this.removeDocument(key);
+
+    const tokens = this.tokenize(message.text);
+    this.documents.set(key, { conversationId, messageId: message.id, text: message.text, tokens });
+
+    tokens.forEach(token => {
+      if (!this.postings.has(token)) this.postings.set(token, new Set());
+      this.postings.get(token).add(key);
+    });
+
+    if (!this.conversationDocuments.has(conversationId)) this.conversationDocuments.set(conversationId, new Set());
+    this.conversationDocuments.get(conversationId).add(key);
+
+    this.version++;
+  }
+
+  /**
+   * Remove one message
+   * @param {string} conversationId - ID of the conversation
+   * @param {string} messageId - ID of the message
+   */
+  removeMessage(conversationId, messageId) {
+    this.removeDocument(this.documentKey(conversationId, messageId));
+  }
+
+  /**
+   * Remove a document and its postings
+   * @param {string} key - Document key
+   */
+  removeDocument(key) {
+    const entry = this.documents.get(key);
+    if (!entry) return;
+
+    entry.tokens.forEach(token => {
+      const keys = this.postings.get(token);
+      if (!keys) return;
+      keys.delete(key);
+      if (keys.size === 0) this.postings.delete(token);
+    });
+
+    this.conversationDocuments.get(entry.conversationId)?.delete(key);
+    this.documents.delete(key);
+    this.version++;
+  }
+
+  /**
+   * Bring the index in line with a conversation's messages
+   * Only added, changed and removed messages are touched
+   * @param {Object} conversation - Conversation data
+   */
+  indexConversation(conversation) {
+    const current = new Set();
+
+    conversation.messages.forEach(message => {
+      if (message.id === undefined || message.id === null) return;
+      current.add(this.documentKey(conversation.id, message.id));
+      this.addMessage(conversation.id, message);
+    });
+
+    const indexed = this.conversationDocuments.get(conversation.id) || new Set();
+    [...indexed].forEach(key => {
+      if (!current.has(key)) this.removeDocument(key);
+    });
+  }
+
+  /**
+   * Drop every conversation that is not in the list
+   * @param {Array} conversationIds - IDs still loaded
+   */
+  retainConversations(conversationIds) {
+    const keep = new Set(conversationIds);
+
+    [...this.conversationDocuments.keys()].forEach(conversationId => {
+      if (keep.has(conversationId)) return;
+      [...this.conversationDocuments.get(conversationId)].forEach(key => this.removeDocument(key));
+      this.conversationDocuments.delete(conversationId);
+    });
+  }
+
+  /**
+   * Find messages containing every word of the text
+   * Words match by prefix, so "withdr" finds "withdrawal"
+   * @param {string} text - Search text
+   * @returns {Array} Matching documents with conversationId, messageId and text
+   */
+  search(text) {
+    const words = this.tokenize(text);
+    if (words.length === 0) return [];
+
+    let matches = null;
+
+    for (const word of words) {
+      const keys = new Set();
+      this.postings.forEach((documentKeys, token) => {
+        if (token.startsWith(word)) documentKeys.forEach(key => keys.add(key));
+      });
+
+      matches = matches === null ? keys : new Set([...matches].filter(key => keys.has(key)));
+      if (matches.size === 0) return [];
+    }
+
+    return [...matches].map(key => this.documents.get(key));
+  }
+
+  /**
+   * Remove everything from the index
+   */
+  clear() {
+    this.documents.clear();
+    this.postings.clear();
+    this.conversationDocuments.clear();
+    this.version++;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SearchIndex;
+} else {
+  window.SearchIndex = SearchIndex;
+}
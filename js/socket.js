@@ -4,8 +4,9 @@
  */
 
 class SocketService {
-  constructor(config, callbacks = {}) {
+  constructor(config, callbacks = {}, authService = null) {
     this.config = config;
+    this.authService = authService;
     this.socket = null;
     this.callbacks = {
       onConnect: callbacks.onConnect || (() => {}),
@@ -15,18 +16,35 @@ class SocketService {
       onMessageSent: callbacks.onMessageSent || (() => {}),
       onConversationUpdated: callbacks.onConversationUpdated || (() => {}),
       onUserTyping: callbacks.onUserTyping || (() => {}),
+      onOperatorPresence: callbacks.onOperatorPresence || (() => {}),
+      onConversationAssigned: callbacks.onConversationAssigned || (() => {}),
+      onReconnecting: callbacks.onReconnecting || (() => {}),
+      onAuthError: callbacks.onAuthError || (() => {}),
       onError: callbacks.onError || (() => {})
     };
-    this.retryCount = 0;
-    this.maxRetries = 5;
+    this.reconnectAttempt = 0;
   }
 
   /**
    * Initialize Socket.IO connection
+   * A single socket is created; its manager handles reconnection with backoff and jitter
    */
   init() {
+    if (this.socket) return;
+
     try {
-      this.socket = io(this.config.API_BASE);
+      this.socket = io(this.config.API_BASE, {
+        reconnection: true,
+        reconnectionAttempts: Infinity,
+        reconnectionDelay: this.config.RECONNECTION.DELAY,
+        reconnectionDelayMax: this.config.RECONNECTION.DELAY_MAX,
+        randomizationFactor: this.config.RECONNECTION.RANDOMIZATION_FACTOR,
+        // Called on every handshake so reconnections pick up refreshed tokens
+        auth: (callback) => {
+          const tokenRequest = this.authService ? this.authService.getAccessToken() : Promise.resolve(null);
+          tokenRequest.then(token => callback(token ? { token } : {}));
+        }
+      });
       this.setupEventListeners();
     } catch (error) {
       console.error('Socket connection error:', error);
@@ -42,14 +60,39 @@ class SocketService {
 
     this.socket.on(this.config.SOCKET_EVENTS.CONNECT, () => {
       console.log('Connected to server');
-      this.retryCount = 0;
+      this.reconnectAttempt = 0;
       this.callbacks.onConnect();
     });
 
-    this.socket.on(this.config.SOCKET_EVENTS.DISCONNECT, () => {
-      console.log('Disconnected from server');
-      this.callbacks.onDisconnect();
-      this.handleReconnection();
+    this.socket.on(this.config.SOCKET_EVENTS.DISCONNECT, (reason) => {
+      console.log('Disconnected from server:', reason);
+      this.callbacks.onDisconnect(reason);
+
+      if (reason === 'io client disconnect') return;
+
+      // The manager does not reconnect after a server-side disconnect, so start it ourselves
+      if (reason === 'io server disconnect') {
+        this.socket.connect();
+      }
+      this.notifyReconnecting();
+    });
+
+    // Reconnection attempts are reported by the manager, not the socket
+    this.socket.io.on('reconnect_attempt', (attempt) => {
+      console.log(`Attempting to reconnect... (attempt ${attempt})`);
+      this.reconnectAttempt = attempt;
+    });
+
+    // Fired for the initial connection and for every failed reconnection attempt
+    this.socket.on('connect_error', (error) => {
+      console.warn('Connection attempt failed:', error.message);
+
+      // A rejection by the server's auth middleware is not retried by the manager
+      if (!this.socket.active) {
+        this.callbacks.onAuthError(error);
+        return;
+      }
+      this.notifyReconnecting();
     });
 
     this.socket.on(this.config.SOCKET_EVENTS.NEW_MESSAGE, (data) => {
@@ -76,25 +119,62 @@ class SocketService {
       console.log('User typing:', data);
       this.callbacks.onUserTyping(data);
     });
+
+    this.socket.on(this.config.SOCKET_EVENTS.OPERATOR_PRESENCE, (data) => {
+      this.callbacks.onOperatorPresence(data);
+    });
+
+    this.socket.on(this.config.SOCKET_EVENTS.CONVERSATION_ASSIGNED, (data) => {
+      console.log('Conversation assigned:', data);
+      this.callbacks.onConversationAssigned(data);
+    });
   }
 
   /**
-   * Handle reconnection logic
+   * Report the next scheduled reconnection attempt
    */
-  handleReconnection() {
-    if (this.retryCount < this.maxRetries) {
-      this.retryCount++;
-      console.log(`Attempting to reconnect... (${this.retryCount}/${this.maxRetries})`);
-      
-      setTimeout(() => {
-        this.init();
-      }, this.config.UI.CONNECTION_RETRY_DELAY);
-    } else {
-      console.error('Max reconnection attempts reached');
-      this.callbacks.onError(new Error('Max reconnection attempts reached'));
+  notifyReconnecting() {
+    const delay = this.getReconnectDelay(this.reconnectAttempt);
+    this.callbacks.onReconnecting({
+      attempt: this.reconnectAttempt + 1,
+      delay,
+      retryAt: Date.now() + delay
+    });
+  }
+
+  /**
+   * Estimate the delay before the next attempt
+   * Mirrors the manager's exponential backoff without its random jitter
+   * @param {number} attempt - Number of attempts already made
+   * @returns {number} Delay in milliseconds
+   */
+  getReconnectDelay(attempt) {
+    const { DELAY, DELAY_MAX } = this.config.RECONNECTION;
+    return Math.min(DELAY * Math.pow(2, attempt), DELAY_MAX);
+  }
+
+  /**
+   * Connect again after the handshake was rejected, e.g. once the token was refreshed
+   */
+  reconnect() {
+    if (this.socket && !this.socket.connected) {
+      this.socket.connect();
     }
   }
 
+  /**
+   * Skip the remaining backoff and try to connect right away
+   */
+  retryNow() {
+    if (!this.socket || this.socket.connected) return;
+
+    console.log('Manual reconnection requested');
+    // Closing resets the manager's backoff; connecting opens a fresh attempt on the same socket
+    this.socket.disconnect();
+    this.reconnectAttempt = 0;
+    this.socket.connect();
+  }
+
   /**
    * Emit a message to the server
    * @param {string} event - Event name
@@ -8,13 +8,27 @@ class StateManager {
     this.state = {
       conversations: [],
       activeConversationId: null,
-      isManualMode: false,
+      manualModes: {},
+      timeZones: {},
+      notes: {},
+      assignments: {},
+      operators: [],
+      tagPalette: {},
+      views: [],
+      quickReplies: [],
+      voiceNotes: [],
+      campaigns: [],
+      currentOperator: null,
       isLoading: false,
       searchQuery: '',
       selectedFilter: 'all'
     };
     
     this.subscribers = [];
+    this.queryParser = new QueryParser();
+    this.searchIndex = new SearchIndex();
+    this.phone = new PhoneService();
+    this.messageSearchCache = null;
   }
 
   /**
@@ -65,11 +79,129 @@ class StateManager {
   }
 
   /**
-   * Set conversations list
+   * Set conversations list, merging with contacts that are already loaded
    * @param {Array} conversations - Array of conversations
    */
   setConversations(conversations) {
-    this.setState({ conversations });
+    const existingById = new Map(this.state.conversations.map(c => [c.id, c]));
+    const merged = conversations.map(conversation => {
+      const existing = existingById.get(conversation.id);
+      return existing ? this.mergeConversation(existing, conversation) : conversation;
+    });
+
+    this.searchIndex.retainConversations(merged.map(c => c.id));
+    merged.forEach(conversation => this.searchIndex.indexConversation(conversation));
+
+    this.setState({ conversations: merged });
+  }
+
+  /**
+   * Merge a refreshed conversation into the one already in state
+   * Keeps client-side data the backend does not know about (unread count, draft, loaded history)
+   * @param {Object} existing - Conversation currently in state
+   * @param {Object} incoming - Conversation from the backend
+   * @returns {Object} Merged conversation
+   */
+  mergeConversation(existing, incoming) {
+    if (incoming.messages.length === 0) {
+      return { ...existing, ...incoming, unread: existing.unread, draft: existing.draft, messages: existing.messages };
+    }
+
+    // Outgoing messages the backend has not confirmed yet only exist locally
+    const unsent = existing.messages.filter(message => ['pending', 'queued', 'scheduled', 'failed'].includes(message.status));
+
+    return {
+      ...existing,
+      ...incoming,
+      unread: existing.unread,
+      draft: existing.draft,
+      messages: [...incoming.messages, ...unsent]
+    };
+  }
+
+  /**
+   * Set the unread counter of a conversation
+   * @param {string} conversationId - ID of the conversation
+   * @param {number} unread - Number of unread client messages
+   */
+  setUnread(conversationId, unread) {
+    const conversation = this.state.conversations.find(c => c.id === conversationId);
+    if (conversation && conversation.unread !== unread) {
+      this.updateConversation({ id: conversationId, unread });
+    }
+  }
+
+  /**
+   * Increment the unread counter of a conversation
+   * @param {string} conversationId - ID of the conversation
+   * @param {number} count - Number of new unread messages
+   */
+  incrementUnread(conversationId, count = 1) {
+    const conversation = this.state.conversations.find(c => c.id === conversationId);
+    if (conversation) {
+      this.setUnread(conversationId, (conversation.unread || 0) + count);
+    }
+  }
+
+  /**
+   * Get the total number of unread messages across conversations
+   * @returns {number} Total unread
+   */
+  getTotalUnread() {
+    return this.state.conversations.reduce((total, conversation) => total + (conversation.unread || 0), 0);
+  }
+
+  /**
+   * Count client messages received after the last read message
+   * @param {Object} conversation - Conversation data
+   * @param {Object} lastRead - Last read marker with message id and timestamp
+   * @returns {number} Unread client messages
+   */
+  countUnreadSince(conversation, lastRead) {
+    const messages = this.sortMessages(conversation.messages);
+    let start = messages.findIndex(message => String(message.id) === String(lastRead.id)) + 1;
+
+    // The marker message may be gone (temporary socket IDs are replaced on refresh), fall back to its time
+    if (start === 0) {
+      const readAt = lastRead.timestamp ? new Date(lastRead.timestamp).getTime() : 0;
+      start = messages.findIndex(message => message.timestamp && new Date(message.timestamp).getTime() > readAt);
+      if (start === -1) return 0;
+    }
+
+    return messages.slice(start).filter(message => message.type === 2).length;
+  }
+
+  /**
+   * Save the unsent composer text for a conversation
+   * @param {string} conversationId - ID of the conversation
+   * @param {string} draft - Composer text
+   */
+  setDraft(conversationId, draft) {
+    const conversation = this.state.conversations.find(c => c.id === conversationId);
+    if (conversation && (conversation.draft || '') !== draft) {
+      this.updateConversation({ id: conversationId, draft });
+    }
+  }
+
+  /**
+   * Merge a subset of conversations into the list, keeping all others untouched
+   * @param {Array} conversations - Changed or new conversations
+   */
+  mergeConversations(conversations) {
+    const merged = [...this.state.conversations];
+
+    conversations.forEach(conversation => {
+      const index = merged.findIndex(c => c.id === conversation.id);
+      if (index > -1) {
+        merged[index] = this.mergeConversation(merged[index], conversation);
+      } else {
+        merged.push(conversation);
+      }
+    });
+
+    merged.forEach(conversation => this.searchIndex.indexConversation(conversation));
+
+    this.setState({ conversations: merged });
   }
 
   /**
@@ -85,6 +217,8 @@ class StateManager {
     } else {
       conversations.push(conversation);
     }
+
+    this.searchIndex.indexConversation(conversations[index > -1 ? index : conversations.length - 1]);
     
     this.setState({ conversations });
   }
@@ -100,10 +234,92 @@ class StateManager {
     
     if (conversation) {
       conversation.messages = [...conversation.messages, message];
+      this.searchIndex.addMessage(conversationId, message);
       this.setState({ conversations });
     }
   }
 
+  /**
+   * Add several messages to a conversation in a single update
+   * @param {string} conversationId - ID of the conversation
+   * @param {Array} messages - Messages to append
+   */
+  addMessages(conversationId, messages) {
+    const conversations = [...this.state.conversations];
+    const conversation = conversations.find(c => c.id === conversationId);
+    
+    if (conversation && messages.length > 0) {
+      conversation.messages = [...conversation.messages, ...messages];
+      messages.forEach(message => this.searchIndex.addMessage(conversationId, message));
+      this.setState({ conversations });
+    }
+  }
+
+  /**
+   * Update a message in a conversation
+   * @param {string} conversationId - ID of the conversation
+   * @param {string|number} messageId - Message ID
+   * @param {Object} updates - Fields to change
+   */
+  updateMessage(conversationId, messageId, updates) {
+    const conversations = [...this.state.conversations];
+    const conversation = conversations.find(c => c.id === conversationId);
+    if (!conversation) return;
+
+    conversation.messages = conversation.messages.map(message =>
+      String(message.id) === String(messageId) ? { ...message, ...updates } : message
+    );
+    this.searchIndex.indexConversation(conversation);
+    this.setState({ conversations });
+  }
+
+  /**
+   * Remove a message from a conversation
+   * @param {string} conversationId - ID of the conversation
+   * @param {string|number} messageId - Message ID
+   */
+  removeMessage(conversationId, messageId) {
+    const conversations = [...this.state.conversations];
+    const conversation = conversations.find(c => c.id === conversationId);
+    if (!conversation) return;
+
+    conversation.messages = conversation.messages.filter(message => String(message.id) !== String(messageId));
+    this.searchIndex.removeMessage(conversationId, messageId);
+    this.setState({ conversations });
+  }
+
+  /**
+   * Check whether a conversation already holds a message ID
+   * @param {string} conversationId - ID of the conversation
+   * @param {string|number} messageId - Message ID
+   * @returns {boolean} Whether the message exists
+   */
+  hasMessage(conversationId, messageId) {
+    const conversation = this.state.conversations.find(c => c.id === conversationId);
+    return Boolean(conversation && conversation.messages.some(m => String(m.id) === String(messageId)));
+  }
+
+  /**
+   * Check whether a socket message is already part of the fetched history
+   * Socket events usually carry no backend ID, so the recent tail is matched by type and text
+   * @param {string} conversationId - ID of the conversation
+   * @param {Object} message - Mapped socket message
+   * @returns {boolean} Whether the message is a duplicate
+   */
+  isInHistory(conversationId, message) {
+    if (this.hasMessage(conversationId, message.id)) return true;
+
+    const conversation = this.state.conversations.find(c => c.id === conversationId);
+    if (!conversation) return false;
+
+    const recent = this.sortMessages(conversation.messages).slice(-20);
+    return recent.some(existing => {
+      if (existing.type !== message.type || existing.text !== message.text) return false;
+      if (!existing.timestamp || !message.timestamp) return true;
+      return Math.abs(new Date(existing.timestamp) - new Date(message.timestamp)) < 120000;
+    });
+  }
+
   /**
    * Set active conversation
    * @param {string} conversationId - ID of the conversation
@@ -121,11 +337,358 @@ class StateManager {
   }
 
   /**
-   * Set manual mode
-   * @param {boolean} isManual - Whether manual mode is enabled
+   * Set internal notes for a conversation
+   * @param {string} conversationId - ID of the conversation
+   * @param {Array} notes - Notes, oldest first
+   */
+  setNotes(conversationId, notes) {
+    this.setState({ notes: { ...this.state.notes, [conversationId]: notes } });
+  }
+
+  /**
+   * Get internal notes for a conversation
+   * @param {string} conversationId - ID of the conversation
+   * @returns {Array} Notes, oldest first
+   */
+  getNotes(conversationId) {
+    return this.state.notes[conversationId] || [];
+  }
+
+  /**
+   * Set manual mode for a conversation
+   * @param {string} conversationId - ID of the conversation
+   * @param {boolean} isManual - Whether an operator has taken over from the bot
+   */
+  setManualMode(conversationId, isManual) {
+    const manualModes = { ...this.state.manualModes };
+
+    if (isManual) {
+      manualModes[conversationId] = true;
+    } else {
+      delete manualModes[conversationId];
+    }
+
+    this.setState({ manualModes });
+  }
+
+  /**
+   * Replace all manual modes at once
+   * @param {Object} manualModes - Map of conversation ID to true
+   */
+  setManualModes(manualModes) {
+    this.setState({ manualModes: { ...manualModes } });
+  }
+
+  /**
+   * Check whether an operator has taken over a conversation
+   * @param {string} conversationId - ID of the conversation
+   * @returns {boolean} Whether manual mode is enabled
+   */
+  isManualMode(conversationId) {
+    return Boolean(conversationId && this.state.manualModes[conversationId]);
+  }
+
+  /**
+   * Set the time zone an operator chose for a contact
+   * @param {string} conversationId - ID of the conversation
+   * @param {string|null} timeZone - IANA time zone, or null to go back to the one of the number's country
+   */
+  setTimeZone(conversationId, timeZone) {
+    const timeZones = { ...this.state.timeZones };
+
+    if (timeZone) {
+      timeZones[conversationId] = timeZone;
+    } else {
+      delete timeZones[conversationId];
+    }
+
+    this.setState({ timeZones });
+  }
+
+  /**
+   * Replace all chosen time zones at once
+   * @param {Object} timeZones - Map of conversation ID to IANA time zone
    */
-  setManualMode(isManual) {
-    this.setState({ isManualMode: isManual });
+  setTimeZones(timeZones) {
+    this.setState({ timeZones: { ...timeZones } });
+  }
+
+  /**
+   * Get the time zone of a contact, as chosen by an operator or from the country of the number
+   * @param {Object} conversation - Conversation data
+   * @returns {string|null} IANA time zone, or null when unknown
+   */
+  getTimeZone(conversation) {
+    if (!conversation) return null;
+    return this.state.timeZones[conversation.id] || this.phone.findCountry(conversation.number)?.timeZone || null;
+  }
+
+  /**
+   * Check whether a contact's time zone is only a guess, i.e. taken from a country that spans several time zones
+   * @param {Object} conversation - Conversation data
+   * @returns {boolean} Whether the operator should confirm the time zone
+   */
+  isTimeZoneGuessed(conversation) {
+    if (!conversation || this.state.timeZones[conversation.id]) return false;
+    return Boolean(this.phone.findCountry(conversation.number)?.multipleTimeZones);
+  }
+
+  /**
+   * Get the local time of day in a time zone
+   * @param {string} timeZone - IANA time zone
+   * @param {Date} date - Moment to convert
+   * @returns {number|null} Minutes since local midnight, or null when the time zone is not supported
+   */
+  getLocalMinutes(timeZone, date = new Date()) {
+    try {
+      const parts = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: 'numeric', hourCycle: 'h23' }).formatToParts(date);
+      const value = type => Number(parts.find(part => part.type === type)?.value);
+      return value('hour') * 60 + value('minute');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether it is quiet hours for a contact
+   * @param {Object} conversation - Conversation data
+   * @param {Object} quietHours - START and END hour in the contact's local time
+   * @param {Date} now - Current time
+   * @returns {Date|null} When quiet hours end, or null when messages can be sent now or the time zone is unknown
+   */
+  getQuietHoursEnd(conversation, quietHours, now = new Date()) {
+    const timeZone = this.getTimeZone(conversation);
+    const minutes = timeZone ? this.getLocalMinutes(timeZone, now) : null;
+    if (minutes === null) return null;
+
+    const start = quietHours.START * 60;
+    const end = quietHours.END * 60;
+    const isQuiet = start > end ? (minutes >= start || minutes < end) : (minutes >= start && minutes < end);
+    if (!isQuiet) return null;
+
+    const startOfMinute = now.getTime() - now.getSeconds() * 1000 - now.getMilliseconds();
+    return new Date(startOfMinute + ((end - minutes + 1440) % 1440) * 60000);
+  }
+
+  /**
+   * Normalize a tag name so it can be matched with tag:name filters
+   * @param {string} tag - Tag as typed
+   * @returns {string} Lowercase tag without spaces
+   */
+  normalizeTag(tag) {
+    return String(tag ?? '').trim().toLowerCase().replace(/\s+/g, '-');
+  }
+
+  /**
+   * Replace the tags of a conversation
+   * @param {string} conversationId - ID of the conversation
+   * @param {Array} tags - Tag names
+   */
+  setTags(conversationId, tags) {
+    const conversation = this.state.conversations.find(c => c.id === conversationId);
+    if (conversation) {
+      this.updateConversation({ ...conversation, tags: [...tags] });
+    }
+  }
+
+  /**
+   * Set the tag palette
+   * @param {Object} palette - Map of tag name to color
+   */
+  setTagPalette(palette) {
+    this.setState({ tagPalette: { ...palette } });
+  }
+
+  /**
+   * Get all tag names in use or in the palette
+   * @returns {Array} Sorted tag names
+   */
+  getKnownTags() {
+    const tags = new Set(Object.keys(this.state.tagPalette));
+    this.state.conversations.forEach(conversation => conversation.tags.forEach(tag => tags.add(tag)));
+    return [...tags].sort();
+  }
+
+  /**
+   * Set the quick reply library
+   * @param {Array} quickReplies - Quick replies with id, title, category, shortcut and text
+   */
+  setQuickReplies(quickReplies) {
+    this.setState({ quickReplies });
+  }
+
+  /**
+   * Set the voice note library
+   * @param {Array} voiceNotes - Voice notes in menu order
+   */
+  setVoiceNotes(voiceNotes) {
+    this.setState({ voiceNotes });
+  }
+
+  /**
+   * Set the broadcast campaigns
+   * @param {Array} campaigns - Campaigns, newest first
+   */
+  setCampaigns(campaigns) {
+    this.setState({ campaigns: [...campaigns] });
+  }
+
+  /**
+   * Get the conversations a campaign would be sent to
+   * @param {Object} source - Recipient source with type ('view' or 'tag') and value
+   * @returns {Array} Conversations with a phone number
+   */
+  getCampaignRecipients(source) {
+    let query = '';
+    if (source?.type === 'view') {
+      const view = this.state.views.find(existing => existing.id === source.value);
+      if (!view) return [];
+      query = view.query;
+    } else if (source?.type === 'tag') {
+      query = `tag:"${source.value}"`;
+    } else {
+      return [];
+    }
+
+    return this.filterByQuery(this.state.conversations, query).filter(conversation => conversation.number);
+  }
+
+  /**
+   * Count the recipients of a campaign by status
+   * @param {Object} campaign - Campaign
+   * @returns {Object} Counts for total, sent, failed, queued, skipped and pending (including the one being sent)
+   */
+  getCampaignSummary(campaign) {
+    const summary = { total: campaign.recipients.length, sent: 0, failed: 0, queued: 0, skipped: 0, pending: 0 };
+    campaign.recipients.forEach(recipient => {
+      summary[recipient.status === 'sending' ? 'pending' : recipient.status] += 1;
+    });
+    return summary;
+  }
+
+  /**
+   * Get the quick reply categories in use
+   * @returns {Array} Sorted category names
+   */
+  getQuickReplyCategories() {
+    const categories = new Set(this.state.quickReplies.map(reply => reply.category).filter(Boolean));
+    return [...categories].sort();
+  }
+
+  /**
+   * Find quick replies matching a search, optionally within one category
+   * Replies whose shortcut starts with the search come first
+   * @param {string} query - Search text
+   * @param {string|null} category - Category name, or null for all
+   * @returns {Array} Matching quick replies
+   */
+  searchQuickReplies(query, category = null) {
+    const normalize = value => this.searchIndex.normalize(value);
+    const words = this.searchIndex.tokenize(query);
+    const shortcut = normalize(query).replace(/^\//, '').trim();
+
+    return this.state.quickReplies
+      .filter(reply => !category || reply.category === category)
+      .filter(reply => {
+        const haystack = normalize(`${reply.title} ${reply.category} ${reply.shortcut} ${reply.text}`);
+        return words.every(word => haystack.includes(word));
+      })
+      .map(reply => ({ reply, rank: shortcut && normalize(reply.shortcut).startsWith(shortcut) ? 0 : 1 }))
+      .sort((a, b) => a.rank - b.rank || a.reply.title.localeCompare(b.reply.title))
+      .map(entry => entry.reply);
+  }
+
+  /**
+   * Fill the {{variables}} of a quick reply from a conversation
+   * Unknown variables are left in place so they stand out before sending
+   * @param {string} text - Template text
+   * @param {Object|null} conversation - Conversation the reply is for
+   * @returns {string} Text with variables replaced
+   */
+  fillTemplate(text, conversation) {
+    const name = conversation?.name || '';
+    const values = {
+      name,
+      first_name: name.split(/\s+/)[0] || '',
+      number: conversation ? String(conversation.number ?? '') : '',
+      operator: this.state.currentOperator?.name || ''
+    };
+
+    return String(text ?? '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, variable) => {
+      const key = variable.toLowerCase();
+      return key in values ? values[key] : match;
+    });
+  }
+
+  /**
+   * Set the operator using this panel
+   * @param {Object|null} operator - Operator with id and name
+   */
+  setCurrentOperator(operator) {
+    this.setState({ currentOperator: operator });
+  }
+
+  /**
+   * Assign a conversation to an operator
+   * @param {string} conversationId - ID of the conversation
+   * @param {Object|null} operator - Operator with id and name, or null to unassign
+   */
+  setAssignment(conversationId, operator) {
+    const assignments = { ...this.state.assignments };
+
+    if (operator) {
+      assignments[conversationId] = operator;
+    } else {
+      delete assignments[conversationId];
+    }
+
+    this.setState({ assignments });
+  }
+
+  /**
+   * Replace all assignments at once
+   * @param {Object} assignments - Map of conversation ID to operator
+   */
+  setAssignments(assignments) {
+    this.setState({ assignments: { ...assignments } });
+  }
+
+  /**
+   * Get the operator a conversation is assigned to
+   * @param {string} conversationId - ID of the conversation
+   * @returns {Object|null} Operator or null when unassigned
+   */
+  getAssignment(conversationId) {
+    return this.state.assignments[conversationId] || null;
+  }
+
+  /**
+   * Check whether a conversation is assigned to another operator
+   * @param {string} conversationId - ID of the conversation
+   * @returns {boolean} Whether someone else owns the conversation
+   */
+  isAssignedToOther(conversationId) {
+    const assignee = this.getAssignment(conversationId);
+    return Boolean(assignee && assignee.id !== this.state.currentOperator?.id);
+  }
+
+  /**
+   * Set the operators currently online
+   * @param {Array} operators - Operators with id, name, viewingId and typing
+   */
+  setOperators(operators) {
+    this.setState({ operators });
+  }
+
+  /**
+   * Get the other operators that have a conversation open
+   * @param {string} conversationId - ID of the conversation
+   * @returns {Array} Operators viewing the conversation
+   */
+  getOperatorsViewing(conversationId) {
+    return this.state.operators.filter(operator =>
+      operator.viewingId === conversationId && operator.id !== this.state.currentOperator?.id
+    );
   }
 
   /**
@@ -146,45 +709,252 @@ class StateManager {
 
   /**
    * Set selected filter
-   * @param {string} filter - Filter type
+   * @param {string} filter - ID of the view shown as a tab
    */
   setFilter(filter) {
     this.setState({ selectedFilter: filter });
   }
 
   /**
-   * Get filtered conversations based on current search and filter
+   * Set the views shown as tabs, in tab order
+   * Falls back to the first view when the selected one no longer exists
+   * @param {Array} views - Views with id, name and query
+   */
+  setViews(views) {
+    const selectedFilter = views.some(view => view.id === this.state.selectedFilter)
+      ? this.state.selectedFilter
+      : (views[0]?.id || 'all');
+
+    this.setState({ views, selectedFilter });
+  }
+
+  /**
+   * Get the view of the selected tab
+   * @returns {Object|null} View or null
+   */
+  getSelectedView() {
+    return this.state.views.find(view => view.id === this.state.selectedFilter) || null;
+  }
+
+  /**
+   * Keep the conversations matching every term of a query
+   * @param {Array} conversations - Conversations to filter
+   * @param {string} query - Query text in the search syntax
+   * @returns {Array} Matching conversations
+   */
+  filterByQuery(conversations, query) {
+    const { terms } = this.queryParser.parse(query);
+    if (terms.length === 0) return conversations;
+
+    return conversations.filter(conversation => terms.every(term => this.matchesQueryTerm(conversation, term)));
+  }
+
+  /**
+   * Count the conversations in each view, ignoring the current search
+   * @returns {Object} Map of view ID to conversation count
+   */
+  getViewCounts() {
+    const counts = {};
+    this.state.views.forEach(view => {
+      counts[view.id] = this.filterByQuery(this.state.conversations, view.query).length;
+    });
+    return counts;
+  }
+
+  /**
+   * Compare two messages chronologically
+   * Messages without a timestamp fall back to their ID and otherwise keep their order
+   * @param {Object} a - First message
+   * @param {Object} b - Second message
+   * @returns {number} Sort order
+   */
+  compareMessages(a, b) {
+    if (a.timestamp && b.timestamp) {
+      const diff = new Date(a.timestamp) - new Date(b.timestamp);
+      if (diff !== 0) return diff;
+    }
+
+    const idA = Number(a.id);
+    const idB = Number(b.id);
+    return !isNaN(idA) && !isNaN(idB) ? idA - idB : 0;
+  }
+
+  /**
+   * Sort messages chronologically
+   * @param {Array} messages - Messages to sort
+   * @returns {Array} Sorted copy
+   */
+  sortMessages(messages) {
+    return [...messages].sort((a, b) => this.compareMessages(a, b));
+  }
+
+  /**
+   * Get the time of the most recent message in a conversation
+   * @param {Object} conversation - Conversation data
+   * @returns {number} Epoch milliseconds, or 0 when no message has a timestamp
+   */
+  getLastActivity(conversation) {
+    return conversation.messages.reduce((latest, message) => {
+      const time = message.timestamp ? new Date(message.timestamp).getTime() : 0;
+      return time > latest ? time : latest;
+    }, 0);
+  }
+
+  /**
+   * Get filtered conversations based on current search and selected view
    * @returns {Array} Filtered conversations
    */
   getFilteredConversations() {
-    let filtered = [...this.state.conversations];
+    // Every term of the view and of the search query must match
+    const view = this.getSelectedView();
+    let filtered = this.filterByQuery([...this.state.conversations], view ? view.query : '');
+    filtered = this.filterByQuery(filtered, this.state.searchQuery);
     
-    // Apply search filter
-    if (this.state.searchQuery) {
-      const query = this.state.searchQuery.toLowerCase();
-      filtered = filtered.filter(conversation => {
-        const matchesName = conversation.name.toLowerCase().includes(query);
-        const matchesTags = conversation.tags.some(tag => tag.toLowerCase().includes(query));
-        const matchesNumber = conversation.number && conversation.number.includes(query);
-        return matchesName || matchesTags || matchesNumber;
-      });
-    }
-    
-    // Apply type filter
-    switch (this.state.selectedFilter) {
-      case 'unread':
-        filtered = filtered.filter(conversation => conversation.unread > 0);
+    // Most recent activity first
+    return filtered
+      .map(conversation => ({ conversation, lastActivity: this.getLastActivity(conversation) }))
+      .sort((a, b) => b.lastActivity - a.lastActivity)
+      .map(entry => entry.conversation);
+  }
+
+  /**
+   * Check one parsed search term against a conversation
+   * @param {Object} conversation - Conversation data
+   * @param {Object} term - Term from QueryParser.parse
+   * @returns {boolean} Whether the conversation matches, taking negation into account
+   */
+  matchesQueryTerm(conversation, term) {
+    const name = (conversation.name || '').toLowerCase();
+    const number = String(conversation.number ?? '');
+    const tags = conversation.tags.map(tag => this.normalizeTag(tag));
+    let matches;
+
+    switch (term.field) {
+      case 'name':
+        matches = name.includes(term.value);
         break;
-      case 'attention':
-        filtered = filtered.filter(conversation => conversation.needsAttention);
+      case 'tag':
+        matches = tags.includes(this.normalizeTag(term.value));
+        break;
+      case 'number':
+        matches = this.phone.includes(number, term.value);
+        break;
+      case 'is':
+        matches = this.matchesState(conversation, term.value);
+        break;
+      case 'interview':
+        matches = term.value === 'completed' ? Boolean(conversation.interview) : !conversation.interview;
+        break;
+      case 'before':
+        matches = this.getLastActivity(conversation) < term.date;
+        break;
+      case 'after':
+        matches = this.getLastActivity(conversation) >= term.date;
         break;
-      case 'all':
+      case 'text':
       default:
-        // No additional filtering
+        matches = name.includes(term.value) ||
+          tags.some(tag => tag.includes(term.value)) ||
+          this.phone.includes(number, term.value);
         break;
     }
-    
-    return filtered;
+
+    return term.negated ? !matches : matches;
+  }
+
+  /**
+   * Check an is: state against a conversation
+   * @param {Object} conversation - Conversation data
+   * @param {string} value - State name
+   * @returns {boolean} Whether the conversation is in that state
+   */
+  matchesState(conversation, value) {
+    const assignee = this.getAssignment(conversation.id);
+
+    switch (value) {
+      case 'unread':
+        return conversation.unread > 0;
+      case 'manual':
+        return this.isManualMode(conversation.id);
+      case 'bot':
+        return !this.isManualMode(conversation.id);
+      case 'attention':
+        return Boolean(conversation.needsAttention);
+      case 'assigned':
+        return Boolean(assignee);
+      case 'unassigned':
+        return !assignee;
+      case 'mine':
+        return Boolean(assignee && assignee.id === this.state.currentOperator?.id);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Search loaded message text using the current search query
+   * Free text terms are looked up in the index; before:/after: apply to the message time
+   * and the remaining fields and the selected view restrict which conversations are searched
+   * @param {number} limit - Maximum number of messages returned
+   * @returns {Array} Groups of { conversation, messages } with the most recent match first
+   */
+  searchMessages(limit = 50) {
+    const { terms } = this.queryParser.parse(this.state.searchQuery);
+    const textTerms = terms.filter(term => term.field === 'text' && !term.negated);
+    if (textTerms.length === 0 || textTerms.every(term => term.value.length < 2)) return [];
+
+    // The index lookup only depends on the query text and the index content
+    const text = textTerms.map(term => term.value).join(' ');
+    if (!this.messageSearchCache || this.messageSearchCache.text !== text || this.messageSearchCache.version !== this.searchIndex.version) {
+      this.messageSearchCache = { text, version: this.searchIndex.version, hits: this.searchIndex.search(text) };
+    }
+
+    const normalize = value => this.searchIndex.normalize(value);
+    const phrases = textTerms.filter(term => /\s/.test(term.value)).map(term => normalize(term.value));
+    const excluded = terms.filter(term => term.field === 'text' && term.negated).map(term => normalize(term.value));
+    const dateTerms = terms.filter(term => term.field === 'before' || term.field === 'after');
+    const conversationTerms = terms.filter(term => !['text', 'before', 'after'].includes(term.field));
+    const view = this.getSelectedView();
+    const inView = new Set(this.filterByQuery(this.state.conversations, view ? view.query : '').map(c => c.id));
+
+    const groups = new Map();
+    let count = 0;
+
+    const hits = this.messageSearchCache.hits
+      .map(hit => {
+        const conversation = this.state.conversations.find(c => c.id === hit.conversationId);
+        const message = conversation?.messages.find(m => String(m.id) === String(hit.messageId));
+        return conversation && message ? { conversation, message } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => this.compareMessages(b.message, a.message));
+
+    for (const { conversation, message } of hits) {
+      if (count >= limit) break;
+
+      const messageText = normalize(message.text);
+      if (!phrases.every(phrase => messageText.includes(phrase))) continue;
+      if (excluded.some(value => messageText.includes(value))) continue;
+
+      const time = message.timestamp ? new Date(message.timestamp).getTime() : null;
+      const inRange = dateTerms.every(term => {
+        if (time === null) return false;
+        const matches = term.field === 'before' ? time < term.date : time >= term.date;
+        return term.negated ? !matches : matches;
+      });
+      if (!inRange) continue;
+
+      if (!inView.has(conversation.id)) continue;
+      if (!conversationTerms.every(term => this.matchesQueryTerm(conversation, term))) continue;
+
+      if (!groups.has(conversation.id)) {
+        groups.set(conversation.id, { conversation, messages: [] });
+      }
+      groups.get(conversation.id).messages.push(message);
+      count++;
+    }
+
+    return [...groups.values()];
   }
 
   /**
@@ -193,7 +963,7 @@ class StateManager {
    * @returns {Object|null} Conversation or null
    */
   findConversationByNumber(phoneNumber) {
-    return this.state.conversations.find(c => c.number === phoneNumber) || null;
+    return this.state.conversations.find(c => this.phone.isSameNumber(c.number, phoneNumber)) || null;
   }
 
   /**
@@ -203,11 +973,22 @@ class StateManager {
     this.state = {
       conversations: [],
       activeConversationId: null,
-      isManualMode: false,
+      manualModes: {},
+      timeZones: {},
+      notes: {},
+      assignments: {},
+      operators: [],
+      tagPalette: {},
+      views: [],
+      quickReplies: [],
+      voiceNotes: [],
+      campaigns: [],
+      currentOperator: null,
       isLoading: false,
       searchQuery: '',
       selectedFilter: 'all'
     };
+    this.searchIndex.clear();
     this.notify();
   }
 }
@@ -0,0 +1,70 @@
+/**
+ * Storage module for WhatsApp Admin Panel
+ * Persists small JSON values in localStorage under a common prefix
+ */
+
+class StorageService {
+  constructor(prefix = 'whatsapp-admin') {
+    this.prefix = prefix;
+  }
+
+  /**
+   * Build the namespaced localStorage key
+   * @param {string} name - Logical key name
+   * @returns {string} Prefixed key
+   */
+  key(name) {
+    return `${this.prefix}:${name}`;
+  }
+
+  /**
+   * Read a JSON value
+   * @param {string} name - Logical key name
+   * @param {*} fallback - Value returned when nothing is stored
+   * @returns {*} Stored value or fallback
+   */
+  get(name, fallback = null) {
+    try {
+      const raw = localStorage.getItem(this.key(name));
+      return raw === null ? fallback : JSON.parse(raw);
+    } catch (error) {
+      console.error('Error reading from storage:', name, error);
+      return fallback;
+    }
+  }
+
+  /**
+   * Write a JSON value
+   * @param {string} name - Logical key name
+   * @param {*} value - Value to store
+   * @returns {boolean} Whether the value was written
+   */
+  set(name, value) {
+    try {
+      localStorage.setItem(this.key(name), JSON.stringify(value));
+      return true;
+    } catch (error) {
+      console.error('Error writing to storage:', name, error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove a stored value
+   * @param {string} name - Logical key name
+   */
+  remove(name) {
+    try {
+      localStorage.removeItem(this.key(name));
+    } catch (error) {
+      console.error('Error removing from storage:', name, error);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StorageService;
+} else {
+  window.StorageService = StorageService;
+}
@@ -7,7 +7,45 @@ class UIManager {
   constructor(config, stateManager) {
     this.config = config;
     this.stateManager = stateManager;
+    this.voiceEncoder = new VoiceEncoder();
+    this.phone = new PhoneService();
     this.elements = {};
+    this.baseTitle = null;
+    this.lastUnreadTotal = null;
+    this.reconnectCountdownTimer = null;
+    this.searchSuggestions = [];
+    this.searchSuggestionIndex = -1;
+    this.highlightedMessageId = null;
+    this.highlightTimer = null;
+    this.draggedViewId = null;
+    this.draggedVoiceId = null;
+    this.voicePreview = null;
+    this.voiceReview = null;
+    this.waveformCache = new Map(); // message ID -> waveform peaks, or null when the audio could not be decoded
+    this.waveformRequests = new Map();
+    this.waveformQueue = Promise.resolve();
+    this.waveformContext = null;
+    this.audioPlaybackRate = 1;
+    this.audioSeek = null;
+    this.quickReplyPicker = {
+      open: false,
+      editing: false,
+      editingId: null,
+      category: null,
+      index: 0,
+      results: [],
+      slash: null // Range and text of a /shortcut being typed in the composer
+    };
+    this.newConversationOpen = false;
+    this.quietHoursPrompt = null; // Answers the open quiet hours question
+    this.localTimeTimer = null;
+    this.sendLater = null; // Time picked with 🕓 for the next message, as an ISO date
+    this.scheduledEditingId = null;
+    this.campaignComposer = {
+      open: false,
+      campaignId: null, // Campaign shown in the progress pane, null while composing
+      excluded: new Set() // Conversation IDs unticked in the preview
+    };
     this.virtualScrolling = {
       enabled: false,
       itemHeight: 60, // Average message height
@@ -27,9 +65,15 @@ class UIManager {
     this.elements = {
       // Left sidebar
       searchInput: document.getElementById('search'),
+      searchSuggestions: document.getElementById('search-suggestions'),
       refreshButton: document.getElementById('refresh'),
       helpButton: document.getElementById('help'),
+      logoutButton: document.getElementById('logout'),
       connectionStatus: document.getElementById('connection-status'),
+      connectionBanner: document.getElementById('connection-banner'),
+      connectionCountdown: document.getElementById('connection-countdown'),
+      connectionRetryButton: document.getElementById('connection-retry'),
+      viewTabs: document.getElementById('view-tabs'),
       chatList: document.getElementById('chatlist'),
       
       // Center thread
@@ -40,6 +84,25 @@ class UIManager {
       messageInput: document.getElementById('text'),
       voiceRecordButton: document.getElementById('voice-record'),
       quickButton: document.getElementById('quick'),
+      quickPicker: document.getElementById('quick-picker'),
+      quickBrowse: document.getElementById('quick-browse'),
+      quickSearch: document.getElementById('quick-search'),
+      quickCategories: document.getElementById('quick-categories'),
+      quickList: document.getElementById('quick-list'),
+      quickNewButton: document.getElementById('quick-new'),
+      quickEditor: document.getElementById('quick-editor'),
+      quickTitle: document.getElementById('quick-title'),
+      quickCategory: document.getElementById('quick-category'),
+      quickCategoryOptions: document.getElementById('quick-category-options'),
+      quickShortcut: document.getElementById('quick-shortcut'),
+      quickBody: document.getElementById('quick-body'),
+      quickDeleteButton: document.getElementById('quick-delete'),
+      quickCancelButton: document.getElementById('quick-cancel'),
+      sendLaterButton: document.getElementById('send-later'),
+      sendLaterPicker: document.getElementById('send-later-picker'),
+      sendLaterTime: document.getElementById('send-later-time'),
+      sendLaterHint: document.getElementById('send-later-hint'),
+      sendLaterClear: document.getElementById('send-later-clear'),
       sendButton: document.getElementById('send'),
       
       // Right panel
@@ -49,9 +112,62 @@ class UIManager {
       interviewInfo: document.getElementById('interview'),
       lastMessageInfo: document.getElementById('last'),
       timezoneInfo: document.getElementById('tz'),
+      timezoneEdit: document.getElementById('tz-edit'),
+      timezoneSelect: document.getElementById('tz-select'),
+      localTime: document.getElementById('local-time'),
       toggleButton: document.getElementById('toggle'),
+      assignButton: document.getElementById('assign'),
+      assigneeInfo: document.getElementById('assignee'),
+      contactTags: document.getElementById('contact-tags'),
       noteTextarea: document.getElementById('note'),
       saveNoteButton: document.getElementById('saveNote'),
+      noteHistory: document.getElementById('note-history'),
+      scheduledList: document.getElementById('scheduled-list'),
+      
+      // Login
+      loginModal: document.getElementById('login-modal'),
+      loginForm: document.getElementById('login-form'),
+      loginMessage: document.getElementById('login-message'),
+      loginUsername: document.getElementById('login-username'),
+      loginPassword: document.getElementById('login-password'),
+      loginSubmit: document.getElementById('login-submit'),
+
+      // Quiet hours
+      quietHoursModal: document.getElementById('quiet-hours-modal'),
+      quietHoursText: document.getElementById('quiet-hours-text'),
+      quietHoursSend: document.getElementById('quiet-hours-send'),
+      quietHoursSchedule: document.getElementById('quiet-hours-schedule'),
+      quietHoursCancel: document.getElementById('quiet-hours-cancel'),
+
+      // New conversation
+      newConversationButton: document.getElementById('new-conversation'),
+      newConversationModal: document.getElementById('new-conversation-modal'),
+      newConversationForm: document.getElementById('new-conversation-form'),
+      newConversationNumber: document.getElementById('new-conversation-number'),
+      newConversationName: document.getElementById('new-conversation-name'),
+      newConversationTags: document.getElementById('new-conversation-tags'),
+      newConversationQuickReply: document.getElementById('new-conversation-quick-reply'),
+      newConversationMessage: document.getElementById('new-conversation-message'),
+      newConversationError: document.getElementById('new-conversation-error'),
+      newConversationSubmit: document.getElementById('new-conversation-submit'),
+      newConversationCancel: document.getElementById('new-conversation-cancel'),
+
+      // Broadcast campaigns
+      campaignButton: document.getElementById('campaigns'),
+      campaignModal: document.getElementById('campaign-modal'),
+      campaignCloseButton: document.getElementById('campaign-close'),
+      campaignComposer: document.getElementById('campaign-composer'),
+      campaignName: document.getElementById('campaign-name'),
+      campaignSource: document.getElementById('campaign-source'),
+      campaignTextTemplate: document.getElementById('campaign-text-template'),
+      campaignQuickReply: document.getElementById('campaign-quick-reply'),
+      campaignText: document.getElementById('campaign-text'),
+      campaignVoice: document.getElementById('campaign-voice'),
+      campaignRecipientCount: document.getElementById('campaign-recipient-count'),
+      campaignToggleAll: document.getElementById('campaign-toggle-all'),
+      campaignPreview: document.getElementById('campaign-preview'),
+      campaignProgress: document.getElementById('campaign-progress'),
+      campaignHistory: document.getElementById('campaign-history'),
       
       // Toast
       toast: document.getElementById('toast'),
@@ -64,7 +180,21 @@ class UIManager {
       recordingOverlay: document.getElementById('recording-overlay'),
       recordingTime: document.getElementById('recording-time'),
       cancelRecordingButton: document.getElementById('cancel-recording'),
-      stopRecordingButton: document.getElementById('stop-recording')
+      stopRecordingButton: document.getElementById('stop-recording'),
+      
+      // Voice review elements
+      voiceReviewOverlay: document.getElementById('voice-review-overlay'),
+      voiceReviewPlayer: document.getElementById('voice-review-player'),
+      voiceReviewWaveform: document.getElementById('voice-review-waveform'),
+      voiceTrimStart: document.getElementById('voice-trim-start'),
+      voiceTrimEnd: document.getElementById('voice-trim-end'),
+      voiceTrimStartTime: document.getElementById('voice-trim-start-time'),
+      voiceTrimEndTime: document.getElementById('voice-trim-end-time'),
+      voiceReviewStatus: document.getElementById('voice-review-status'),
+      voiceReviewDiscardButton: document.getElementById('voice-review-discard'),
+      voiceReviewRerecordButton: document.getElementById('voice-review-rerecord'),
+      voiceReviewSaveButton: document.getElementById('voice-review-save'),
+      voiceReviewSendButton: document.getElementById('voice-review-send')
     };
   }
 
@@ -76,6 +206,93 @@ class UIManager {
     if (this.elements.searchInput) {
       this.elements.searchInput.addEventListener('input', (e) => {
         this.stateManager.setSearchQuery(e.target.value);
+        this.updateSearchSuggestions();
+      });
+
+      this.elements.searchInput.addEventListener('keydown', (e) => {
+        this.handleSearchKeydown(e);
+      });
+
+      this.elements.searchInput.addEventListener('blur', () => {
+        this.hideSearchSuggestions();
+      });
+    }
+
+    // Keep focus in the search field while picking a suggestion
+    if (this.elements.searchSuggestions) {
+      this.elements.searchSuggestions.addEventListener('mousedown', (e) => {
+        const item = e.target.closest('[data-index]');
+        if (!item) return;
+        e.preventDefault();
+        this.acceptSearchSuggestion(Number(item.dataset.index));
+      });
+    }
+
+    // View tabs
+    if (this.elements.viewTabs) {
+      this.elements.viewTabs.addEventListener('click', (e) => {
+        const tab = e.target.closest('.tab[data-view]');
+
+        if (e.target.closest('.tab-save')) {
+          this.handleSaveView();
+        } else if (e.target.closest('.tab-remove') && tab) {
+          const view = this.stateManager.getState().views.find(existing => existing.id === tab.dataset.view);
+          if (view && window.confirm(`Delete the view ${view.name}?`)) {
+            this.emit('deleteView', view.id);
+          }
+        } else if (tab) {
+          this.stateManager.setFilter(tab.dataset.view);
+        }
+      });
+
+      this.elements.viewTabs.addEventListener('dblclick', (e) => {
+        const tab = e.target.closest('.tab[data-view]');
+        const view = tab && this.stateManager.getState().views.find(existing => existing.id === tab.dataset.view);
+        if (!view || view.builtIn) return;
+
+        const name = prompt('Rename view', view.name);
+        if (name && name.trim()) {
+          this.emit('renameView', { id: view.id, name });
+        }
+      });
+
+      // Drag tabs to reorder them
+      this.elements.viewTabs.addEventListener('dragstart', (e) => {
+        const tab = e.target.closest('.tab[data-view]');
+        if (!tab) return;
+
+        this.draggedViewId = tab.dataset.view;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', this.draggedViewId);
+        tab.classList.add('dragging');
+      });
+
+      this.elements.viewTabs.addEventListener('dragover', (e) => {
+        if (!this.draggedViewId) return;
+        e.preventDefault();
+
+        const target = e.target.closest('.tab[data-view]');
+        this.elements.viewTabs.querySelectorAll('.drop-before').forEach(tab => tab.classList.remove('drop-before'));
+        if (target && target.dataset.view !== this.draggedViewId) {
+          target.classList.add('drop-before');
+        }
+      });
+
+      this.elements.viewTabs.addEventListener('drop', (e) => {
+        if (!this.draggedViewId) return;
+        e.preventDefault();
+
+        const target = e.target.closest('.tab[data-view]');
+        const id = this.draggedViewId;
+        this.draggedViewId = null;
+        this.emit('moveView', { id, beforeId: target ? target.dataset.view : null });
+        this.renderViewTabs();
+      });
+
+      this.elements.viewTabs.addEventListener('dragend', () => {
+        if (!this.draggedViewId) return;
+        this.draggedViewId = null;
+        this.renderViewTabs();
       });
     }
 
@@ -86,6 +303,34 @@ class UIManager {
       });
     }
 
+    // Sign in
+    if (this.elements.loginForm) {
+      this.elements.loginForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.elements.loginSubmit.disabled = true;
+        this.setLoginMessage('Signing in...');
+        this.emit('login', {
+          username: this.elements.loginUsername.value.trim(),
+          password: this.elements.loginPassword.value
+        });
+      });
+    }
+
+    // Sign out
+    if (this.elements.logoutButton) {
+      this.elements.logoutButton.addEventListener('click', () => {
+        this.emit('logout');
+      });
+    }
+
+    // Reconnect immediately instead of waiting for the backoff
+    if (this.elements.connectionRetryButton) {
+      this.elements.connectionRetryButton.addEventListener('click', () => {
+        this.emit('retryConnection');
+        this.showReconnectCountdown(null);
+      });
+    }
+
     // Help button
     if (this.elements.helpButton) {
       this.elements.helpButton.addEventListener('click', () => {
@@ -93,6 +338,22 @@ class UIManager {
       });
     }
 
+    // Contact time zone and quiet hours
+    this.setupTimeZoneHandlers();
+
+    // Send later and the scheduled messages list
+    this.setupScheduledHandlers();
+
+    // New conversation
+    if (this.elements.newConversationModal) {
+      this.setupNewConversationHandlers();
+    }
+
+    // Broadcast campaigns
+    if (this.elements.campaignModal) {
+      this.setupCampaignHandlers();
+    }
+
     // Send message
     if (this.elements.sendButton) {
       this.elements.sendButton.addEventListener('click', () => {
@@ -111,10 +372,108 @@ class UIManager {
     // Quick replies
     if (this.elements.quickButton) {
       this.elements.quickButton.addEventListener('click', () => {
-        this.showQuickReplies();
+        if (this.quickReplyPicker.open) {
+          this.closeQuickReplies();
+        } else {
+          this.showQuickReplies();
+        }
+      });
+    }
+
+    if (this.elements.quickSearch) {
+      this.elements.quickSearch.addEventListener('input', () => {
+        this.quickReplyPicker.index = 0;
+        this.renderQuickReplyPicker();
+      });
+
+      this.elements.quickSearch.addEventListener('keydown', (e) => {
+        this.handleQuickReplyKeydown(e);
+      });
+    }
+
+    if (this.elements.quickCategories) {
+      this.elements.quickCategories.addEventListener('click', (e) => {
+        const chip = e.target.closest('[data-category]');
+        if (!chip) return;
+
+        this.quickReplyPicker.category = chip.dataset.category || null;
+        this.quickReplyPicker.index = 0;
+        this.renderQuickReplyPicker();
+      });
+    }
+
+    if (this.elements.quickList) {
+      // Keep focus in the composer while picking a /shortcut match
+      this.elements.quickList.addEventListener('mousedown', (e) => {
+        if (this.quickReplyPicker.slash) e.preventDefault();
+      });
+
+      this.elements.quickList.addEventListener('click', (e) => {
+        const item = e.target.closest('.quick-item');
+        if (!item) return;
+
+        if (e.target.closest('.quick-edit')) {
+          this.openQuickReplyEditor(item.dataset.id);
+        } else {
+          this.insertQuickReply(item.dataset.id);
+        }
+      });
+    }
+
+    if (this.elements.quickNewButton) {
+      this.elements.quickNewButton.addEventListener('click', () => {
+        this.openQuickReplyEditor(null);
+      });
+    }
+
+    if (this.elements.quickEditor) {
+      this.elements.quickEditor.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.emit('saveQuickReply', {
+          id: this.quickReplyPicker.editingId,
+          title: this.elements.quickTitle.value,
+          category: this.elements.quickCategory.value,
+          shortcut: this.elements.quickShortcut.value,
+          text: this.elements.quickBody.value
+        });
+      });
+
+      this.elements.quickEditor.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+          e.stopPropagation();
+          this.closeQuickReplyEditor();
+        }
+      });
+    }
+
+    if (this.elements.quickDeleteButton) {
+      this.elements.quickDeleteButton.addEventListener('click', () => {
+        const id = this.quickReplyPicker.editingId;
+        const reply = this.stateManager.getState().quickReplies.find(existing => existing.id === id);
+        if (reply && window.confirm(`Delete the quick reply ${reply.title}?`)) {
+          this.emit('deleteQuickReply', id);
+          this.closeQuickReplyEditor();
+        }
+      });
+    }
+
+    if (this.elements.quickCancelButton) {
+      this.elements.quickCancelButton.addEventListener('click', () => {
+        this.closeQuickReplyEditor();
       });
     }
 
+    // Close the quick reply picker when clicking elsewhere
+    document.addEventListener('mousedown', (e) => {
+      if (!this.quickReplyPicker.open || !this.elements.quickPicker) return;
+
+      const inside = [this.elements.quickPicker, this.elements.quickButton, this.elements.messageInput]
+        .some(element => element && element.contains(e.target));
+      if (!inside) {
+        this.closeQuickReplies();
+      }
+    });
+
     // Toggle manual mode
     if (this.elements.toggleButton) {
       this.elements.toggleButton.addEventListener('click', () => {
@@ -122,10 +481,40 @@ class UIManager {
       });
     }
 
+    // Tag editing in the thread header
+    if (this.elements.threadChips) {
+      this.elements.threadChips.addEventListener('click', (e) => {
+        const tagChip = e.target.closest('.tag-chip');
+
+        if (e.target.closest('.tag-remove') && tagChip) {
+          this.emit('removeTag', tagChip.dataset.tag);
+        } else if (e.target.closest('.tag-color') && tagChip) {
+          this.emit('cycleTagColor', tagChip.dataset.tag);
+        } else if (e.target.closest('.tag-add')) {
+          this.showTagInput(e.target.closest('.tag-add'), '', (value) => this.emit('addTag', value));
+        }
+      });
+
+      this.elements.threadChips.addEventListener('dblclick', (e) => {
+        const tagChip = e.target.closest('.tag-chip');
+        if (!tagChip) return;
+
+        const from = tagChip.dataset.tag;
+        this.showTagInput(tagChip, from, (value) => this.emit('renameTag', { from, to: value }));
+      });
+    }
+
+    // Claim or release the conversation
+    if (this.elements.assignButton) {
+      this.elements.assignButton.addEventListener('click', () => {
+        this.handleToggleAssignment();
+      });
+    }
+
     // Save note
     if (this.elements.saveNoteButton) {
       this.elements.saveNoteButton.addEventListener('click', () => {
-        this.emit('saveNote');
+        this.emit('saveNote', this.elements.noteTextarea ? this.elements.noteTextarea.value : '');
       });
     }
 
@@ -146,6 +535,18 @@ class UIManager {
           this.handleSendMessage();
         }
       });
+
+      this.elements.messageInput.addEventListener('input', () => {
+        this.emit('composerTyping');
+        this.updateQuickReplyShortcut();
+      });
+
+      // The picker opened by a /shortcut is driven from the composer
+      this.elements.messageInput.addEventListener('keydown', (e) => {
+        if (this.quickReplyPicker.open && this.quickReplyPicker.slash) {
+          this.handleQuickReplyKeydown(e);
+        }
+      });
     }
 
     // Global keyboard shortcuts
@@ -173,6 +574,20 @@ class UIManager {
       });
     }
 
+    // Retry / delete actions on failed messages, send now / cancel on scheduled ones
+    document.addEventListener('click', (e) => {
+      const retryButton = e.target.closest('.message-retry');
+      if (retryButton) {
+        this.emit('retryMessage', retryButton.getAttribute('data-message-id'));
+        return;
+      }
+
+      const deleteButton = e.target.closest('.message-delete');
+      if (deleteButton) {
+        this.emit('deleteMessage', deleteButton.getAttribute('data-message-id'));
+      }
+    });
+
     // Setup audio message handlers
     this.setupAudioMessageHandlers();
 
@@ -186,11 +601,117 @@ class UIManager {
     this.setupMobileNavigation();
   }
 
+  /**
+   * Refresh the autocomplete list and the syntax error hint for the search field
+   */
+  updateSearchSuggestions() {
+    const input = this.elements.searchInput;
+    if (!input) return;
+
+    const { errors } = this.stateManager.queryParser.parse(input.value);
+    input.classList.toggle('invalid', errors.length > 0);
+    input.title = errors.map(error => error.message).join('\n');
+
+    // Only complete when the caret is at the end, where the suggestions apply
+    const atEnd = input.selectionStart === input.value.length;
+    this.searchSuggestions = atEnd
+      ? this.stateManager.queryParser.getSuggestions(input.value, { tags: this.stateManager.getKnownTags() })
+      : [];
+    this.searchSuggestionIndex = this.searchSuggestions.length > 0 ? 0 : -1;
+    this.renderSearchSuggestions();
+  }
+
+  /**
+   * Render the autocomplete dropdown under the search field
+   */
+  renderSearchSuggestions() {
+    const list = this.elements.searchSuggestions;
+    if (!list) return;
+
+    list.innerHTML = '';
+    list.hidden = this.searchSuggestions.length === 0;
+
+    this.searchSuggestions.forEach((suggestion, index) => {
+      const item = document.createElement('div');
+      item.className = `search-suggestion${index === this.searchSuggestionIndex ? ' active' : ''}`;
+      item.dataset.index = index;
+
+      const label = document.createElement('span');
+      label.textContent = suggestion.label;
+      const description = document.createElement('span');
+      description.className = 'meta';
+      description.textContent = suggestion.description;
+
+      item.append(label, description);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Hide the autocomplete dropdown
+   */
+  hideSearchSuggestions() {
+    this.searchSuggestions = [];
+    this.searchSuggestionIndex = -1;
+    this.renderSearchSuggestions();
+  }
+
+  /**
+   * Put a suggestion into the search field
+   * @param {number} index - Index of the suggestion
+   */
+  acceptSearchSuggestion(index) {
+    const suggestion = this.searchSuggestions[index];
+    if (!suggestion || !this.elements.searchInput) return;
+
+    this.elements.searchInput.value = suggestion.query;
+    this.stateManager.setSearchQuery(suggestion.query);
+    this.updateSearchSuggestions();
+  }
+
+  /**
+   * Navigate the autocomplete dropdown from the keyboard
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleSearchKeydown(e) {
+    if (this.searchSuggestions.length === 0) return;
+
+    const count = this.searchSuggestions.length;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        this.searchSuggestionIndex = (this.searchSuggestionIndex + 1) % count;
+        this.renderSearchSuggestions();
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        this.searchSuggestionIndex = (this.searchSuggestionIndex - 1 + count) % count;
+        this.renderSearchSuggestions();
+        break;
+      case 'Enter':
+      case 'Tab':
+        e.preventDefault();
+        this.acceptSearchSuggestion(this.searchSuggestionIndex);
+        break;
+      case 'Escape':
+        // Close the dropdown without clearing the search
+        e.stopPropagation();
+        this.hideSearchSuggestions();
+        break;
+      default:
+        break;
+    }
+  }
+
   /**
    * Handle keyboard shortcuts
    * @param {KeyboardEvent} e - Keyboard event
    */
   handleKeyboardShortcuts(e) {
+    // Nothing but the login form is usable while signed out
+    if (this.isLoginModalVisible()) return;
+
     // Ctrl/Cmd + R: Refresh conversations
     if ((e.ctrlKey || e.metaKey) && e.key === 'r') {
       e.preventDefault();
@@ -215,9 +736,17 @@ class UIManager {
       return;
     }
 
-    // Escape: Clear search or focus message input
+    // Escape: Close the open dialog, clear search or focus message input
     if (e.key === 'Escape') {
-      if (this.elements.searchInput && this.elements.searchInput.value) {
+      if (this.quietHoursPrompt) {
+        this.quietHoursPrompt('cancel');
+      } else if (this.elements.sendLaterPicker && !this.elements.sendLaterPicker.hidden) {
+        this.hideSendLaterPicker();
+      } else if (this.newConversationOpen) {
+        this.hideNewConversationModal();
+      } else if (this.campaignComposer.open) {
+        this.hideCampaignModal();
+      } else if (this.elements.searchInput && this.elements.searchInput.value) {
         this.elements.searchInput.value = '';
         this.stateManager.setSearchQuery('');
       } else if (this.elements.messageInput) {
@@ -244,151 +773,758 @@ class UIManager {
     }
   }
 
+  /**
+   * Claim or release the active conversation, confirming before taking it from someone else
+   */
+  handleToggleAssignment() {
+    const conversation = this.stateManager.getActiveConversation();
+    if (!conversation) return;
+
+    if (this.stateManager.isAssignedToOther(conversation.id)) {
+      const assignee = this.stateManager.getAssignment(conversation.id);
+      if (!window.confirm(`${conversation.name} is assigned to ${assignee.name}. Take it over?`)) {
+        return;
+      }
+    }
+
+    this.emit('toggleAssignment');
+  }
+
   /**
    * Handle send message
    */
-  handleSendMessage() {
+  async handleSendMessage() {
     const message = this.elements.messageInput.value.trim();
     if (!message) return;
 
-    if (!this.stateManager.getState().isManualMode) {
+    const conversation = this.stateManager.getActiveConversation();
+    if (!conversation || !this.stateManager.isManualMode(conversation.id)) {
       this.showToast('Activate "Take control" to intervene.');
       return;
     }
 
-    this.emit('sendMessage', message);
+    if (this.stateManager.isAssignedToOther(conversation.id)) {
+      const assignee = this.stateManager.getAssignment(conversation.id);
+      if (!window.confirm(`${conversation.name} is assigned to ${assignee.name}. Send anyway?`)) {
+        return;
+      }
+    }
+
+    const timing = await this.confirmSendTime();
+    if (!timing) return;
+
+    this.emit('sendMessage', { text: message, dueAt: timing.dueAt });
     this.elements.messageInput.value = '';
     this.hideTypingIndicator();
   }
 
   /**
-   * Show quick replies dialog
+   * Get the current composer text
+   * @returns {string} Composer text
    */
-  showQuickReplies() {
-    const options = this.config.QUICK_REPLIES;
-    const pick = prompt(`Choose 0-${options.length - 1} to paste:\n${options.map((opt, i) => `${i}) ${opt.substring(0, 50)}...`).join('\n')}`, '0');
-    const n = Number(pick);
-    
-    if (!isNaN(n) && options[n]) {
-      this.elements.messageInput.value = options[n];
-      this.elements.messageInput.focus();
-    }
+  getComposerText() {
+    return this.elements.messageInput ? this.elements.messageInput.value : '';
   }
 
   /**
-   * Render conversation list
+   * Restore the unsent composer text of a conversation
+   * @param {Object} conversation - Conversation being opened
    */
-  renderConversationList() {
-    if (!this.elements.chatList) {
-      console.error('Chat list element not found');
-      return;
+  restoreDraft(conversation) {
+    if (this.elements.messageInput) {
+      this.elements.messageInput.value = conversation.draft || '';
     }
+  }
 
-    const state = this.stateManager.getState();
+  /**
+   * Open the quick reply picker
+   * @param {Object|null} slash - Composer range and text of a /shortcut, or null to search from the picker
+   */
+  showQuickReplies(slash = null) {
+    if (!this.elements.quickPicker) return;
 
-    
-    if (state.isLoading) {
-      this.elements.chatList.innerHTML = '<div style="padding: 20px; text-align: center; color: var(--muted);">Loading conversations...</div>';
-      return;
+    const picker = this.quickReplyPicker;
+    const reopening = picker.open && Boolean(picker.slash) === Boolean(slash);
+    if (!reopening || picker.slash?.query !== slash?.query) {
+      picker.index = 0;
     }
-
-    if (state.conversations.length === 0) {
-      console.log('No conversations found');
-      this.elements.chatList.innerHTML = '<div style="padding: 20px; text-align: center; color: var(--muted);">No conversations found</div>';
-      return;
+    picker.open = true;
+    picker.slash = slash;
+
+    if (!reopening) {
+      picker.category = null;
+      picker.editing = false;
+      picker.editingId = null;
+      if (this.elements.quickSearch) this.elements.quickSearch.value = '';
     }
 
-    const filteredConversations = this.stateManager.getFilteredConversations();
-    console.log('Filtered conversations:', filteredConversations);
-    this.elements.chatList.innerHTML = '';
+    this.elements.quickPicker.hidden = false;
+    if (this.elements.quickBrowse) this.elements.quickBrowse.hidden = false;
+    if (this.elements.quickEditor) this.elements.quickEditor.hidden = true;
+    if (this.elements.quickSearch) {
+      this.elements.quickSearch.hidden = Boolean(slash);
+      if (!slash) this.elements.quickSearch.focus();
+    }
 
-    filteredConversations.forEach(conversation => {
-      const row = this.createConversationRow(conversation, state.activeConversationId);
-      this.elements.chatList.appendChild(row);
-    });
+    this.renderQuickReplyPicker();
   }
 
   /**
-   * Create conversation row element
-   * @param {Object} conversation - Conversation data
-   * @param {string} activeId - Currently active conversation ID
-   * @returns {HTMLElement} Row element
+   * Close the quick reply picker
    */
-  createConversationRow(conversation, activeId) {
-    const row = document.createElement('div');
-    row.className = 'item';
-    row.dataset.id = conversation.id;
-    
-    if (conversation.id === activeId) {
-      row.style.background = '#0f1f26';
+  closeQuickReplies() {
+    const picker = this.quickReplyPicker;
+    picker.open = false;
+    picker.editing = false;
+    picker.editingId = null;
+    picker.slash = null;
+
+    if (this.elements.quickPicker) {
+      this.elements.quickPicker.hidden = true;
     }
-
-    const badge = this.createConversationBadge(conversation);
-    
-    row.innerHTML = `
-      <div class="avatar">${conversation.initials}</div>
-      <div>
-        <div class="title">${conversation.name}</div>
-        <div class="meta">${conversation.src} • ${conversation.messages.length} messages • ${conversation.tags.join(', ')}</div>
-      </div>
-      <div>${badge}</div>
-    `;
-
-    row.addEventListener('click', () => {
-      this.emit('selectConversation', conversation.id);
-    });
-
-    return row;
   }
 
   /**
-   * Create conversation badge
-   * @param {Object} conversation - Conversation data
-   * @returns {string} Badge HTML
+   * Open or update the picker while a /shortcut is typed at the composer caret
    */
-  createConversationBadge(conversation) {
-    if (conversation.unread > 0) {
-      return `<span class="badge unread">${conversation.unread}</span>`;
-    } else if (conversation.needsAttention) {
-      return '<span class="badge">⚑</span>';
-    } else if (conversation.messages.length === 0) {
-      return '<span class="badge" style="background:#666">New</span>';
+  updateQuickReplyShortcut() {
+    const input = this.elements.messageInput;
+    if (!input) return;
+
+    const before = input.value.slice(0, input.selectionStart);
+    const match = /(^|\s)\/([\w-]*)$/.exec(before);
+
+    if (match) {
+      this.showQuickReplies({
+        start: before.length - match[2].length - 1,
+        end: before.length,
+        query: match[2]
+      });
+    } else if (this.quickReplyPicker.open && this.quickReplyPicker.slash) {
+      this.closeQuickReplies();
     }
-    return '';
   }
 
   /**
-   * Render conversation thread
+   * Render the categories and matching replies of the open picker
    */
-  renderConversationThread() {
-    if (!this.elements.threadArea) return;
+  renderQuickReplyPicker() {
+    const picker = this.quickReplyPicker;
+    if (!picker.open || picker.editing || !this.elements.quickList) return;
 
-    const conversation = this.stateManager.getActiveConversation();
-    if (!conversation) return;
+    const categories = this.stateManager.getQuickReplyCategories();
+    if (picker.category && !categories.includes(picker.category)) {
+      picker.category = null;
+    }
 
-    // Store current scroll position to maintain scroll position when appropriate
-    const wasAtBottom = this.isScrolledToBottom();
-    const previousScrollHeight = this.elements.threadArea.scrollHeight;
+    if (this.elements.quickCategories) {
+      this.elements.quickCategories.innerHTML = '';
+      ['', ...categories].forEach(category => {
+        const chip = document.createElement('button');
+        chip.className = `chip${(picker.category || '') === category ? ' active' : ''}`;
+        chip.dataset.category = category;
+        chip.textContent = category || 'All';
+        this.elements.quickCategories.appendChild(chip);
+      });
+    }
 
-    this.elements.threadArea.innerHTML = '';
+    const query = picker.slash ? picker.slash.query : (this.elements.quickSearch?.value || '');
+    picker.results = this.stateManager.searchQuickReplies(query, picker.category);
+    picker.index = Math.min(picker.index, Math.max(0, picker.results.length - 1));
 
-    if (conversation.messages.length === 0) {
-      this.renderEmptyConversation(conversation);
+    this.elements.quickList.innerHTML = '';
+
+    if (picker.results.length === 0) {
+      this.elements.quickList.innerHTML = '<div class="quick-empty">No quick replies match</div>';
       return;
     }
 
-    const sortedMessages = [...conversation.messages].sort((a, b) => a.id - b.id);
-    
-    // Create message container for better scroll management
-    const messageContainer = document.createElement('div');
-    messageContainer.className = 'message-container';
-    
-    // Enable virtual scrolling for large message lists
-    if (sortedMessages.length > 100) {
-      this.renderVirtualScrollMessages(messageContainer, sortedMessages);
-    } else {
-      // Standard rendering for smaller lists
-      sortedMessages.forEach((message, index) => {
+    const conversation = this.stateManager.getActiveConversation();
+
+    picker.results.forEach((reply, index) => {
+      const item = document.createElement('div');
+      item.className = `quick-item${index === picker.index ? ' active' : ''}`;
+      item.dataset.id = reply.id;
+
+      const head = document.createElement('div');
+      head.className = 'quick-item-head';
+
+      const title = document.createElement('span');
+      title.className = 'quick-title';
+      title.textContent = reply.title;
+      head.appendChild(title);
+
+      if (reply.shortcut) {
+        const shortcut = document.createElement('span');
+        shortcut.className = 'quick-shortcut';
+        shortcut.textContent = `/${reply.shortcut}`;
+        head.appendChild(shortcut);
+      }
+
+      const edit = document.createElement('button');
+      edit.className = 'quick-edit';
+      edit.textContent = '✎';
+      edit.title = 'Edit';
+      head.appendChild(edit);
+
+      const preview = document.createElement('div');
+      preview.className = 'quick-preview';
+      preview.textContent = this.stateManager.fillTemplate(reply.text, conversation);
+
+      item.append(head, preview);
+      this.elements.quickList.appendChild(item);
+    });
+
+    this.elements.quickList.querySelector('.quick-item.active')?.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Navigate the quick reply picker from the keyboard
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleQuickReplyKeydown(e) {
+    const picker = this.quickReplyPicker;
+    const count = picker.results.length;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        if (count === 0) return;
+        e.preventDefault();
+        picker.index = (picker.index + 1) % count;
+        this.renderQuickReplyPicker();
+        break;
+      case 'ArrowUp':
+        if (count === 0) return;
+        e.preventDefault();
+        picker.index = (picker.index - 1 + count) % count;
+        this.renderQuickReplyPicker();
+        break;
+      case 'Enter':
+      case 'Tab':
+        if (count === 0) {
+          // Nothing to insert, so a /word is just text and Enter sends it
+          if (picker.slash) this.closeQuickReplies();
+          return;
+        }
+        e.preventDefault();
+        this.insertQuickReply(picker.results[picker.index].id);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        e.stopPropagation();
+        this.closeQuickReplies();
+        this.elements.messageInput?.focus();
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Insert a quick reply into the composer with its variables filled in
+   * Replaces the /shortcut being typed, otherwise the composer selection
+   * @param {string} id - Quick reply ID
+   */
+  insertQuickReply(id) {
+    const input = this.elements.messageInput;
+    const reply = this.stateManager.getState().quickReplies.find(existing => existing.id === id);
+    if (!input || !reply) return;
+
+    const text = this.stateManager.fillTemplate(reply.text, this.stateManager.getActiveConversation());
+    const { slash } = this.quickReplyPicker;
+    const start = slash ? slash.start : input.selectionStart;
+    const end = slash ? slash.end : input.selectionEnd;
+
+    input.value = input.value.slice(0, start) + text + input.value.slice(end);
+    this.closeQuickReplies();
+    input.focus();
+
+    // Select the first variable that could not be filled so it can be typed over
+    const unfilled = /\{\{\s*\w+\s*\}\}/.exec(text);
+    if (unfilled) {
+      input.setSelectionRange(start + unfilled.index, start + unfilled.index + unfilled[0].length);
+    } else {
+      input.setSelectionRange(start + text.length, start + text.length);
+    }
+
+    this.emit('composerTyping');
+  }
+
+  /**
+   * Show the editor for a quick reply
+   * @param {string|null} id - Quick reply ID, or null for a new one
+   */
+  openQuickReplyEditor(id) {
+    if (!this.elements.quickEditor) return;
+
+    const picker = this.quickReplyPicker;
+    const reply = this.stateManager.getState().quickReplies.find(existing => existing.id === id) || null;
+    picker.editing = true;
+    picker.editingId = reply ? reply.id : null;
+    picker.slash = null;
+
+    this.elements.quickTitle.value = reply?.title || '';
+    this.elements.quickCategory.value = reply?.category || picker.category || '';
+    this.elements.quickShortcut.value = reply?.shortcut || '';
+    this.elements.quickBody.value = reply?.text || '';
+    this.elements.quickDeleteButton.hidden = !reply;
+
+    if (this.elements.quickCategoryOptions) {
+      this.elements.quickCategoryOptions.innerHTML = '';
+      this.stateManager.getQuickReplyCategories().forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        this.elements.quickCategoryOptions.appendChild(option);
+      });
+    }
+
+    this.elements.quickBrowse.hidden = true;
+    this.elements.quickEditor.hidden = false;
+    this.elements.quickTitle.focus();
+  }
+
+  /**
+   * Leave the editor and go back to the list of replies
+   */
+  closeQuickReplyEditor() {
+    const picker = this.quickReplyPicker;
+    picker.editing = false;
+    picker.editingId = null;
+    if (!picker.open) return;
+
+    if (this.elements.quickEditor) this.elements.quickEditor.hidden = true;
+    if (this.elements.quickBrowse) this.elements.quickBrowse.hidden = false;
+    if (this.elements.quickSearch) {
+      this.elements.quickSearch.hidden = false;
+      this.elements.quickSearch.focus();
+    }
+
+    this.renderQuickReplyPicker();
+  }
+
+  /**
+   * Render the view tabs with the number of conversations in each
+   */
+  renderViewTabs() {
+    // Re-rendering mid-drag would drop the tab being dragged
+    if (!this.elements.viewTabs || this.draggedViewId) return;
+
+    const state = this.stateManager.getState();
+    const counts = this.stateManager.getViewCounts();
+    this.elements.viewTabs.innerHTML = '';
+
+    state.views.forEach(view => {
+      const tab = document.createElement('div');
+      tab.className = `tab${view.id === state.selectedFilter ? ' active' : ''}`;
+      tab.dataset.view = view.id;
+      tab.draggable = true;
+      tab.title = view.query ? `${view.query}${view.builtIn ? '' : ' • double-click to rename'}` : 'All conversations';
+
+      const name = document.createElement('span');
+      name.textContent = view.name;
+
+      const count = document.createElement('span');
+      count.className = 'tab-count';
+      count.textContent = counts[view.id] ?? 0;
+
+      tab.append(name, count);
+
+      if (!view.builtIn) {
+        const remove = document.createElement('button');
+        remove.className = 'tab-remove';
+        remove.textContent = '×';
+        remove.title = 'Delete view';
+        tab.appendChild(remove);
+      }
+
+      this.elements.viewTabs.appendChild(tab);
+    });
+
+    const save = document.createElement('div');
+    save.className = 'tab tab-save';
+    save.textContent = '+ View';
+    save.title = 'Save the current tab and search as a view';
+    this.elements.viewTabs.appendChild(save);
+  }
+
+  /**
+   * Ask for a name and save the current tab and search as a view
+   */
+  handleSaveView() {
+    const view = this.stateManager.getSelectedView();
+    const query = [view?.query, this.stateManager.getState().searchQuery.trim()].filter(Boolean).join(' ');
+
+    if (!query) {
+      this.showToast('Type a search first, then save it as a view');
+      return;
+    }
+
+    const name = prompt(`Name for the view "${query}"`, '');
+    if (!name || !name.trim()) return;
+
+    // The view now holds the search, so clear the field to show the view's results
+    if (this.elements.searchInput) {
+      this.elements.searchInput.value = '';
+    }
+    this.hideSearchSuggestions();
+    this.stateManager.setSearchQuery('');
+    this.emit('saveView', { name, query });
+  }
+
+  /**
+   * Render conversation list
+   */
+  renderConversationList() {
+    if (!this.elements.chatList) {
+      console.error('Chat list element not found');
+      return;
+    }
+
+    const state = this.stateManager.getState();
+
+    
+    if (state.isLoading) {
+      this.elements.chatList.innerHTML = '<div style="padding: 20px; text-align: center; color: var(--muted);">Loading conversations...</div>';
+      return;
+    }
+
+    if (state.conversations.length === 0) {
+      console.log('No conversations found');
+      this.elements.chatList.innerHTML = '<div style="padding: 20px; text-align: center; color: var(--muted);">No conversations found</div>';
+      return;
+    }
+
+    const filteredConversations = this.stateManager.getFilteredConversations();
+    console.log('Filtered conversations:', filteredConversations);
+    this.elements.chatList.innerHTML = '';
+
+    filteredConversations.forEach(conversation => {
+      const row = this.createConversationRow(conversation, state.activeConversationId);
+      this.elements.chatList.appendChild(row);
+    });
+
+    const messageResults = this.stateManager.searchMessages();
+    if (messageResults.length > 0) {
+      this.elements.chatList.appendChild(this.createMessageResults(messageResults));
+    } else if (filteredConversations.length === 0) {
+      this.elements.chatList.innerHTML = '<div style="padding: 20px; text-align: center; color: var(--muted);">No matches</div>';
+    }
+  }
+
+  /**
+   * Create the list of messages matching the search, grouped by contact
+   * @param {Array} groups - Results from StateManager.searchMessages
+   * @returns {HTMLElement} Results element
+   */
+  createMessageResults(groups) {
+    const { terms } = this.stateManager.queryParser.parse(this.stateManager.getState().searchQuery);
+    const words = terms
+      .filter(term => term.field === 'text' && !term.negated)
+      .flatMap(term => this.stateManager.searchIndex.tokenize(term.value));
+
+    const total = groups.reduce((sum, group) => sum + group.messages.length, 0);
+    const container = document.createElement('div');
+    container.className = 'search-results';
+
+    const head = document.createElement('div');
+    head.className = 'search-results-head';
+    head.textContent = `Messages (${total})`;
+    container.appendChild(head);
+
+    groups.forEach(({ conversation, messages }) => {
+      const title = document.createElement('div');
+      title.className = 'search-group-title';
+      title.textContent = conversation.name;
+      container.appendChild(title);
+
+      messages.forEach(message => {
+        const hit = document.createElement('div');
+        hit.className = 'search-hit';
+
+        const meta = document.createElement('div');
+        meta.className = 'meta';
+        meta.textContent = `${message.label}${message.timestamp ? ` • ${this.formatTimestamp(message.timestamp)}` : ''}`;
+
+        hit.append(meta, this.createSnippet(message.text, words));
+        hit.addEventListener('click', () => {
+          this.emit('openMessage', { conversationId: conversation.id, messageId: message.id });
+        });
+        container.appendChild(hit);
+      });
+    });
+
+    return container;
+  }
+
+  /**
+   * Cut a message down to the text around the first matching word and mark the matches
+   * @param {string} text - Message text
+   * @param {Array} words - Normalized search words
+   * @returns {HTMLElement} Snippet element
+   */
+  createSnippet(text, words) {
+    const snippet = document.createElement('div');
+    snippet.className = 'search-snippet';
+
+    // Accent folding can change string length, so map folded positions back to characters
+    const chars = [...text];
+    const folded = chars.map(char => this.stateManager.searchIndex.normalize(char));
+    const foldedText = folded.join('');
+    const offsets = [];
+    folded.reduce((position, part, index) => {
+      for (let i = 0; i < part.length; i++) offsets[position + i] = index;
+      return position + part.length;
+    }, 0);
+
+    const ranges = [];
+    words.forEach(word => {
+      let from = foldedText.indexOf(word);
+      while (from !== -1) {
+        ranges.push([offsets[from], offsets[from + word.length - 1] + 1]);
+        from = foldedText.indexOf(word, from + word.length);
+      }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    const radius = 40;
+    const start = ranges.length > 0 ? Math.max(0, ranges[0][0] - radius) : 0;
+    const end = Math.min(chars.length, (ranges.length > 0 ? ranges[0][1] : 0) + radius * 2);
+
+    if (start > 0) snippet.append('…');
+    let cursor = start;
+    ranges.forEach(([from, to]) => {
+      if (from < cursor || from >= end) return;
+      snippet.append(chars.slice(cursor, from).join(''));
+      const mark = document.createElement('mark');
+      mark.textContent = chars.slice(from, Math.min(to, end)).join('');
+      snippet.appendChild(mark);
+      cursor = Math.min(to, end);
+    });
+    snippet.append(chars.slice(cursor, end).join(''));
+    if (end < chars.length) snippet.append('…');
+
+    return snippet;
+  }
+
+  /**
+   * Scroll the thread to a message and highlight it briefly
+   * @param {string} messageId - ID of the message
+   */
+  scrollToMessage(messageId) {
+    const area = this.elements.threadArea;
+    const conversation = this.stateManager.getActiveConversation();
+    if (!area || !conversation) return;
+
+    this.highlightedMessageId = String(messageId);
+    clearTimeout(this.highlightTimer);
+    this.highlightTimer = setTimeout(() => {
+      this.highlightedMessageId = null;
+      area.querySelectorAll('.msg.highlight').forEach(element => element.classList.remove('highlight'));
+    }, 2500);
+
+    this.revealMessage(messageId, 'smooth');
+  }
+
+  /**
+   * Scroll a message of the active thread to the middle of the view and highlight it
+   * @param {string} messageId - ID of the message
+   * @param {string} behavior - Scroll behavior, 'smooth' or 'auto'
+   */
+  revealMessage(messageId, behavior = 'auto') {
+    const area = this.elements.threadArea;
+    const conversation = this.stateManager.getActiveConversation();
+    if (!area || !conversation) return;
+
+    const findElement = () => area.querySelector(`[data-message-id="${CSS.escape(String(messageId))}"]`);
+    const reveal = (element) => {
+      element.classList.add('highlight');
+      element.scrollIntoView({ behavior, block: 'center' });
+    };
+
+    const element = findElement();
+    if (element) {
+      reveal(element);
+      return;
+    }
+
+    // Virtual scrolling only renders messages near the viewport, so scroll there first
+    const index = this.stateManager.sortMessages(conversation.messages)
+      .findIndex(message => String(message.id) === String(messageId));
+    if (index === -1) return;
+
+    area.scrollTop = Math.max(0, index * this.virtualScrolling.itemHeight - area.clientHeight / 2);
+    requestAnimationFrame(() => {
+      const rendered = findElement();
+      if (rendered) reveal(rendered);
+    });
+  }
+
+  /**
+   * Show the active contact's local time in the thread header and the contact card
+   * Runs on every render and once a minute so the time stays current
+   */
+  renderContactTime() {
+    const conversation = this.stateManager.getActiveConversation();
+    const timeZone = this.stateManager.getTimeZone(conversation);
+    const localTime = timeZone ? this.formatLocalTime(timeZone) : null;
+    const isChosen = Boolean(conversation && this.stateManager.getState().timeZones[conversation.id]);
+    const isGuessed = this.stateManager.isTimeZoneGuessed(conversation);
+    const isQuiet = Boolean(conversation && this.stateManager.getQuietHoursEnd(conversation, this.config.QUIET_HOURS));
+    const shownTime = localTime && isGuessed ? `≈ ${localTime}` : localTime;
+
+    if (this.elements.timezoneInfo) {
+      this.elements.timezoneInfo.textContent = shownTime || '—';
+      if (!timeZone) {
+        this.elements.timezoneInfo.title = 'Unknown, choose one with ✎';
+      } else if (isGuessed) {
+        const country = this.phone.findCountry(conversation.number);
+        this.elements.timezoneInfo.title =
+          `${timeZone.replace(/_/g, ' ')}, a guess: ${country.name} has several time zones, confirm it with ✎`;
+      } else {
+        this.elements.timezoneInfo.title = `${timeZone.replace(/_/g, ' ')}${isChosen ? '' : ' (from the phone number)'}`;
+      }
+    }
+
+    if (this.elements.timezoneEdit) {
+      this.elements.timezoneEdit.classList.toggle('guessed', isGuessed);
+    }
+
+    if (this.elements.localTime) {
+      this.elements.localTime.hidden = !localTime;
+      this.elements.localTime.textContent = shownTime ? `🕐 ${shownTime}` : '';
+      this.elements.localTime.title = isQuiet ? 'Quiet hours for this contact' : 'Local time of the contact';
+      this.elements.localTime.classList.toggle('quiet', isQuiet);
+    }
+  }
+
+  /**
+   * Describe the current time in a time zone, e.g. "14:05 (UTC−6)"
+   * @param {string} timeZone - IANA time zone
+   * @returns {string} Local time and UTC offset
+   */
+  formatLocalTime(timeZone) {
+    const now = new Date();
+
+    try {
+      const time = now.toLocaleTimeString([], { timeZone, hour: '2-digit', minute: '2-digit' });
+      const offset = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'shortOffset' })
+        .formatToParts(now)
+        .find(part => part.type === 'timeZoneName')?.value;
+
+      return offset ? `${time} (${offset.replace('GMT', 'UTC').replace('-', '−')})` : time;
+    } catch (error) {
+      // Older browsers without this time zone or shortOffset support
+      return timeZone.replace(/_/g, ' ');
+    }
+  }
+
+  /**
+   * Create conversation row element
+   * @param {Object} conversation - Conversation data
+   * @param {string} activeId - Currently active conversation ID
+   * @returns {HTMLElement} Row element
+   */
+  createConversationRow(conversation, activeId) {
+    const row = document.createElement('div');
+    row.className = 'item';
+    row.dataset.id = conversation.id;
+    
+    if (conversation.id === activeId) {
+      row.style.background = '#0f1f26';
+    }
+
+    const badge = this.createConversationBadge(conversation);
+    const lastActivity = this.stateManager.getLastActivity(conversation);
+    const lastActivityText = lastActivity ? ` • ${this.formatTimestamp(lastActivity)}` : '';
+    const operatorBadge = this.stateManager.isManualMode(conversation.id)
+      ? '<span class="badge operator" title="Operator has control">👨‍💼</span>'
+      : '';
+
+    const viewers = this.stateManager.getOperatorsViewing(conversation.id);
+    const viewersBadge = viewers.length > 0
+      ? `<span class="badge presence" title="Open by ${viewers.map(operator => operator.name).join(', ').replace(/"/g, '&quot;')}">👀</span>`
+      : '';
+    
+    row.innerHTML = `
+      <div class="avatar"></div>
+      <div>
+        <div class="title"></div>
+        <div class="meta"></div>
+      </div>
+      <div>${viewersBadge}${operatorBadge}${badge}</div>
+    `;
+
+    // Names and tags are typed by operators, so they are set as text
+    row.querySelector('.avatar').textContent = conversation.initials;
+    row.querySelector('.title').textContent = conversation.name;
+    row.querySelector('.meta').textContent =
+      `${conversation.src} • ${conversation.messages.length} messages${lastActivityText} • ${conversation.tags.join(', ')}`;
+
+    row.addEventListener('click', () => {
+      this.emit('selectConversation', conversation.id);
+    });
+
+    return row;
+  }
+
+  /**
+   * Create conversation badge
+   * @param {Object} conversation - Conversation data
+   * @returns {string} Badge HTML
+   */
+  createConversationBadge(conversation) {
+    if (conversation.unread > 0) {
+      return `<span class="badge unread">${conversation.unread}</span>`;
+    } else if (conversation.needsAttention) {
+      return '<span class="badge">⚑</span>';
+    } else if (conversation.messages.length === 0) {
+      return '<span class="badge" style="background:#666">New</span>';
+    }
+    return '';
+  }
+
+  /**
+   * Render conversation thread
+   */
+  renderConversationThread() {
+    if (!this.elements.threadArea) return;
+
+    const conversation = this.stateManager.getActiveConversation();
+    if (!conversation) return;
+
+    // Store current scroll position to maintain scroll position when appropriate
+    const wasAtBottom = this.isScrolledToBottom();
+    const previousScrollHeight = this.elements.threadArea.scrollHeight;
+
+    this.elements.threadArea.innerHTML = '';
+
+    if (conversation.messages.length === 0) {
+      this.renderEmptyConversation(conversation);
+      return;
+    }
+
+    const sortedMessages = this.stateManager.sortMessages(conversation.messages);
+    
+    // Create message container for better scroll management
+    const messageContainer = document.createElement('div');
+    messageContainer.className = 'message-container';
+    
+    // Enable virtual scrolling for large message lists
+    if (sortedMessages.length > 100) {
+      this.renderVirtualScrollMessages(messageContainer, sortedMessages);
+    } else {
+      // Standard rendering for smaller lists
+      let currentDay = null;
+      sortedMessages.forEach((message, index) => {
+        // Day separator whenever the calendar day changes
+        if (message.timestamp) {
+          const day = new Date(message.timestamp).toDateString();
+          if (day !== currentDay) {
+            currentDay = day;
+            messageContainer.appendChild(this.createDaySeparator(message.timestamp));
+          }
+        }
+
         const messageElement = this.createMessageElement(message);
         
         // Add staggered animation for initial load (only for reasonable amounts)
@@ -409,15 +1545,49 @@ class UIManager {
     this.elements.threadArea.appendChild(messageContainer);
 
     // Force scroll to bottom after rendering - multiple attempts for reliability
+    // A message opened from search stays in view instead, checked when each attempt runs
+    const settleScroll = () => {
+      if (this.highlightedMessageId !== null) {
+        this.revealMessage(this.highlightedMessageId);
+      } else {
+        this.scrollToBottom(false);
+      }
+    };
+
     requestAnimationFrame(() => {
-      this.scrollToBottom(false);
+      settleScroll();
       
       // Additional attempts to ensure scroll works
-      setTimeout(() => this.scrollToBottom(false), 100);
-      setTimeout(() => this.scrollToBottom(false), 300);
+      setTimeout(settleScroll, 100);
+      setTimeout(settleScroll, 300);
     });
   }
 
+  /**
+   * Create a day separator for the thread
+   * @param {Date} timestamp - Any time on the day to label
+   * @returns {HTMLElement} Separator element
+   */
+  createDaySeparator(timestamp) {
+    const date = new Date(timestamp);
+    const today = new Date();
+    const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+
+    let label;
+    if (date.toDateString() === today.toDateString()) {
+      label = 'Today';
+    } else if (date.toDateString() === yesterday.toDateString()) {
+      label = 'Yesterday';
+    } else {
+      label = date.toLocaleDateString(undefined, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    const separator = document.createElement('div');
+    separator.className = 'day-separator';
+    separator.innerHTML = `<span>${label}</span>`;
+    return separator;
+  }
+
   /**
    * Render empty conversation state
    * @param {Object} conversation - Conversation data
@@ -428,9 +1598,10 @@ class UIManager {
     emptyDiv.innerHTML = `
       <div style="font-size: 48px; margin-bottom: 16px;">💬</div>
       <div style="font-size: 16px; font-weight: 600; margin-bottom: 8px;">No messages yet</div>
-      <div style="font-size: 14px;">Start a conversation with ${conversation.name}</div>
+      <div style="font-size: 14px;" class="empty-conversation-name"></div>
       <div style="font-size: 12px; margin-top: 8px; opacity: 0.7;">Click "Take control" and send a message</div>
     `;
+    emptyDiv.querySelector('.empty-conversation-name').textContent = `Start a conversation with ${conversation.name}`;
     this.elements.threadArea.appendChild(emptyDiv);
   }
 
@@ -444,6 +1615,9 @@ class UIManager {
     div.className = `msg ${message.color}`;
     div.setAttribute('data-type', message.type);
     div.setAttribute('data-message-id', message.id);
+    if (this.highlightedMessageId !== null && String(message.id) === this.highlightedMessageId) {
+      div.classList.add('highlight');
+    }
     
     const timestamp = this.formatTimestamp(message.timestamp);
     
@@ -453,6 +1627,7 @@ class UIManager {
     if (message.isAudio && message.audioUrl) {
       console.log('Creating audio player for message:', message.id, 'Audio URL:', message.audioUrl);
       messageContent = this.createAudioPlayer(message);
+      this.loadAudioWaveform(message);
     } else {
       // Regular text message
       const messageText = message.text?.replace(/</g, '&lt;').replace(/\n/g, '<br>') || '';
@@ -461,9 +1636,22 @@ class UIManager {
     
     div.innerHTML = `
       ${messageContent}
-      <div class="stamp">${message.label} • ${timestamp}</div>
+      <div class="stamp">${timestamp ? ` • <span title="${new Date(message.timestamp).toLocaleString()}">${timestamp}</span>` : ''}${this.createMessageStatus(message)}</div>
+      ${['failed', 'scheduled'].includes(message.status) ? `
+        <div class="message-actions">
+          <button class="message-retry" data-message-id="${message.id}">${message.status === 'scheduled' ? 'Send now' : 'Retry'}</button>
+          <button class="message-delete" data-message-id="${message.id}">${message.status === 'scheduled' ? 'Cancel' : 'Delete'}</button>
+        </div>
+      ` : ''}
     `;
-    
+
+    // Voice note names come from operators, so the label is set as text
+    div.querySelector('.stamp').prepend(message.label);
+
+    if (message.status) {
+      div.classList.add(`status-${message.status}`);
+    }
+    
     // Add hover effects for better UX
     div.addEventListener('mouseenter', () => {
       div.style.transform = 'scale(1.01)';
@@ -477,6 +1665,28 @@ class UIManager {
     return div;
   }
 
+  /**
+   * Create the delivery status marker for outgoing messages
+   * @param {Object} message - Message data
+   * @returns {string} Status HTML
+   */
+  createMessageStatus(message) {
+    switch (message.status) {
+      case 'pending':
+        return ' <span class="message-status" title="Sending...">🕓</span>';
+      case 'queued':
+        return ' <span class="message-status queued" title="Waiting for connection">⏳ Queued</span>';
+      case 'scheduled':
+        return ` <span class="message-status queued" title="Scheduled for ${new Date(message.dueAt).toLocaleString()}">🗓 ${new Date(message.dueAt).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}</span>`;
+      case 'sent':
+        return ' <span class="message-status" title="Sent">✓</span>';
+      case 'failed':
+        return ` <span class="message-status failed" title="${(message.error || 'Failed to send').replace(/"/g, '&quot;')}">⚠ Not sent</span>`;
+      default:
+        return '';
+    }
+  }
+
   /**
    * Create audio player for audio messages
    * @param {Object} message - Message data with audio
@@ -485,8 +1695,9 @@ class UIManager {
   createAudioPlayer(message) {
     const audioId = `audio-${message.id}`;
     const playButtonId = `play-${message.id}`;
-    const progressId = `progress-${message.id}`;
+    const waveformId = `waveform-${message.id}`;
     const timeId = `time-${message.id}`;
+    const peaks = this.waveformCache.get(String(message.id));
     
     return `
       <div class="audio-message">
@@ -496,21 +1707,12 @@ class UIManager {
             <span class="pause-icon" style="display:none">⏸</span>
           </button>
           <div class="audio-progress">
-            <div class="audio-waveform">
-              <div class="waveform-bar"></div>
-              <div class="waveform-bar"></div>
-              <div class="waveform-bar"></div>
-              <div class="waveform-bar"></div>
-              <div class="waveform-bar"></div>
-              <div class="waveform-bar"></div>
-              <div class="waveform-bar"></div>
-              <div class="waveform-bar"></div>
-            </div>
-            <div class="audio-progress-bar">
-              <div class="progress-fill" id="${progressId}"></div>
+            <div class="audio-waveform${peaks ? '' : ' pending'}" id="${waveformId}" title="Click or drag to seek">
+              ${this.createWaveformBars(peaks)}
             </div>
           </div>
           <div class="audio-time" id="${timeId}">0:00</div>
+          <button class="audio-speed-btn" title="Playback speed">${this.audioPlaybackRate}x</button>
           <button class="audio-download-btn" title="Download audio">⬇</button>
         </div>
         <audio id="${audioId}" src="${message.audioUrl}" preload="metadata"></audio>
@@ -518,6 +1720,77 @@ class UIManager {
     `;
   }
 
+  /**
+   * Create the bars of a waveform
+   * @param {Array|null} peaks - Peaks between 0 and 1, or null while the audio is not decoded
+   * @returns {string} HTML string for the bars
+   */
+  createWaveformBars(peaks) {
+    const values = peaks || new Array(this.config.UI.WAVEFORM_BARS).fill(0.3);
+    return values
+      .map(peak => `<div class="waveform-bar" style="height:${Math.max(10, Math.round(peak * 100))}%"></div>`)
+      .join('');
+  }
+
+  /**
+   * Decode an audio message and cache its waveform, once per message
+   * @param {Object} message - Message data with id and audioUrl
+   */
+  loadAudioWaveform(message) {
+    const id = String(message.id);
+    if (this.waveformCache.has(id) || this.waveformRequests.has(id)) return;
+
+    // Decode one message at a time so opening a long thread does not stall the page
+    const request = this.waveformQueue.then(async () => {
+      try {
+        const response = await fetch(message.audioUrl);
+        const buffer = await this.getWaveformContext().decodeAudioData(await response.arrayBuffer());
+        this.waveformCache.set(id, this.getWaveformPeaks(buffer, this.config.UI.WAVEFORM_BARS));
+      } catch (error) {
+        console.warn('Could not decode audio message for its waveform:', id, error);
+        this.waveformCache.set(id, null);
+      } finally {
+        this.waveformRequests.delete(id);
+      }
+
+      this.updateWaveformBars(id);
+    });
+
+    this.waveformRequests.set(id, request);
+    this.waveformQueue = request;
+  }
+
+  /**
+   * Get the audio context used to decode waveforms
+   * An offline context is used because it does not need a user gesture to start
+   * @returns {BaseAudioContext} Audio context
+   */
+  getWaveformContext() {
+    if (!this.waveformContext) {
+      const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+      this.waveformContext = new OfflineContextClass(1, 1, 44100);
+    }
+    return this.waveformContext;
+  }
+
+  /**
+   * Replace the placeholder bars of a player with its cached waveform
+   * @param {string} id - Message ID
+   */
+  updateWaveformBars(id) {
+    const waveform = document.getElementById(`waveform-${id}`);
+    const peaks = this.waveformCache.get(id);
+    if (!waveform || !peaks) return;
+
+    waveform.innerHTML = this.createWaveformBars(peaks);
+    waveform.classList.remove('pending');
+
+    const audioElement = document.getElementById(`audio-${id}`);
+    if (audioElement) {
+      this.renderAudioProgress(audioElement);
+    }
+  }
+
   /**
    * Render conversation header
    */
@@ -525,8 +1798,6 @@ class UIManager {
     const conversation = this.stateManager.getActiveConversation();
     if (!conversation) return;
 
-    const state = this.stateManager.getState();
-
     if (this.elements.threadName) {
       this.elements.threadName.textContent = conversation.name;
     }
@@ -539,47 +1810,350 @@ class UIManager {
       this.elements.sourceInfo.textContent = conversation.src;
     }
 
+    const country = this.phone.findCountry(conversation.number);
+
     if (this.elements.phoneInfo) {
-      this.elements.phoneInfo.textContent = conversation.number || '—';
+      const number = conversation.number ? this.phone.format(conversation.number) : '—';
+      this.elements.phoneInfo.textContent = country ? `${this.phone.getFlag(country.iso)} ${number}` : number;
+      this.elements.phoneInfo.title = country ? country.name : '';
     }
 
+    this.renderContactTime();
+
     if (this.elements.interviewInfo) {
       this.elements.interviewInfo.textContent = conversation.interview ? 'Completed' : 'Pending';
     }
 
+    const isManual = this.stateManager.isManualMode(conversation.id);
+
     if (this.elements.statusInfo) {
-      this.elements.statusInfo.textContent = state.isManualMode ? 'Operator active' : 'Bot active';
+      this.elements.statusInfo.textContent = isManual ? 'Operator active' : 'Bot active';
+    }
+
+    if (this.elements.toggleButton) {
+      this.elements.toggleButton.textContent = isManual ? 'Return to bot' : 'Take control';
+      this.elements.toggleButton.classList.toggle('takeover', isManual);
     }
 
     if (this.elements.lastMessageInfo) {
-      this.elements.lastMessageInfo.textContent = conversation.messages.length > 0 ? new Date().toLocaleString() : 'No messages';
+      const lastActivity = this.stateManager.getLastActivity(conversation);
+      if (conversation.messages.length === 0) {
+        this.elements.lastMessageInfo.textContent = 'No messages';
+      } else {
+        this.elements.lastMessageInfo.textContent = lastActivity ? new Date(lastActivity).toLocaleString() : '—';
+      }
     }
 
-    if (this.elements.threadChips) {
-      this.elements.threadChips.innerHTML = '';
+    const assignee = this.stateManager.getAssignment(conversation.id);
+    const assignedToOther = this.stateManager.isAssignedToOther(conversation.id);
+
+    if (this.elements.assigneeInfo) {
+      this.elements.assigneeInfo.textContent = assignee ? (assignedToOther ? assignee.name : 'You') : 'Unassigned';
+    }
+
+    if (this.elements.assignButton) {
+      this.elements.assignButton.textContent = assignee && !assignedToOther ? 'Release' : 'Claim';
+    }
+
+    if (this.elements.contactTags) {
+      this.elements.contactTags.innerHTML = '';
       conversation.tags.forEach(tag => {
+        const span = document.createElement('span');
+        span.className = 'tag';
+        span.textContent = tag;
+        span.style.color = this.getTagColor(tag);
+        this.elements.contactTags.appendChild(span);
+      });
+    }
+
+    // Leave the chips alone while a tag is being typed, so incoming updates do not discard it
+    const editingTag = this.elements.threadChips && this.elements.threadChips.contains(document.activeElement) &&
+      document.activeElement.classList.contains('tag-input');
+
+    if (this.elements.threadChips && !editingTag) {
+      this.elements.threadChips.innerHTML = '';
+
+      if (assignee) {
+        const chip = document.createElement('span');
+        chip.className = `chip assignment${assignedToOther ? ' other' : ''}`;
+        chip.textContent = assignedToOther ? `👤 ${assignee.name}` : '👤 You';
+        chip.title = 'Assigned operator';
+        this.elements.threadChips.appendChild(chip);
+      }
+
+      this.stateManager.getOperatorsViewing(conversation.id).forEach(operator => {
         const chip = document.createElement('span');
-        chip.className = 'chip';
-        chip.textContent = tag;
+        chip.className = `chip presence${operator.typing ? ' typing' : ''}`;
+        chip.textContent = operator.typing ? `✍️ ${operator.name} typing` : `👀 ${operator.name}`;
         this.elements.threadChips.appendChild(chip);
       });
+
+      conversation.tags.forEach(tag => {
+        this.elements.threadChips.appendChild(this.createTagChip(tag));
+      });
+
+      const addButton = document.createElement('button');
+      addButton.className = 'chip tag-add';
+      addButton.textContent = '+ Tag';
+      this.elements.threadChips.appendChild(addButton);
+    }
+  }
+
+  /**
+   * Create an editable tag chip
+   * @param {string} tag - Tag name
+   * @returns {HTMLElement} Chip element
+   */
+  createTagChip(tag) {
+    const color = this.getTagColor(tag);
+    const chip = document.createElement('span');
+    chip.className = 'chip tag-chip';
+    chip.dataset.tag = tag;
+    chip.style.borderColor = color;
+    chip.style.color = color;
+    chip.title = 'Double-click to rename';
+
+    const dot = document.createElement('span');
+    dot.className = 'tag-color';
+    dot.style.background = color;
+    dot.title = 'Change color';
+
+    const name = document.createElement('span');
+    name.textContent = tag;
+
+    const remove = document.createElement('button');
+    remove.className = 'tag-remove';
+    remove.textContent = '×';
+    remove.title = 'Remove tag';
+
+    chip.append(dot, name, remove);
+    return chip;
+  }
+
+  /**
+   * Replace an element with an inline tag input
+   * Enter commits, Escape or leaving the field cancels
+   * @param {HTMLElement} anchor - Element to replace while editing
+   * @param {string} value - Initial value
+   * @param {Function} onCommit - Called with the typed value
+   */
+  showTagInput(anchor, value, onCommit) {
+    let datalist = document.getElementById('tag-suggestions');
+    if (!datalist) {
+      datalist = document.createElement('datalist');
+      datalist.id = 'tag-suggestions';
+      document.body.appendChild(datalist);
+    }
+    datalist.innerHTML = '';
+    this.stateManager.getKnownTags().forEach(tag => {
+      const option = document.createElement('option');
+      option.value = tag;
+      datalist.appendChild(option);
+    });
+
+    const input = document.createElement('input');
+    input.className = 'chip tag-input';
+    input.value = value;
+    input.placeholder = 'tag';
+    input.setAttribute('list', 'tag-suggestions');
+    anchor.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (commit) => {
+      if (done) return;
+      done = true;
+      const typed = input.value.trim();
+      input.blur();
+      if (commit && typed) {
+        onCommit(typed);
+      }
+      this.renderConversationHeader();
+    };
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        finish(true);
+      } else if (e.key === 'Escape') {
+        e.stopPropagation();
+        finish(false);
+      }
+    });
+    input.addEventListener('blur', () => finish(false));
+  }
+
+  /**
+   * Get the color of a tag from the palette, or a stable default for its name
+   * @param {string} tag - Tag name
+   * @returns {string} CSS color
+   */
+  getTagColor(tag) {
+    const palette = this.stateManager.getState().tagPalette;
+    if (palette[tag]) return palette[tag];
+
+    const colors = this.config.TAG_COLORS;
+    const hash = [...tag].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0);
+    return colors[hash % colors.length];
+  }
+
+  /**
+   * Render internal notes history for the active conversation
+   */
+  renderNotes() {
+    if (!this.elements.noteHistory) return;
+
+    const conversation = this.stateManager.getActiveConversation();
+    this.elements.noteHistory.innerHTML = '';
+
+    if (!conversation) return;
+
+    const notes = this.stateManager.getNotes(conversation.id);
+
+    if (notes.length === 0) {
+      this.elements.noteHistory.innerHTML = '<div class="note-empty">No notes yet</div>';
+      return;
+    }
+
+    // Newest first
+    [...notes].reverse().forEach(note => {
+      const item = document.createElement('div');
+      item.className = 'note-item';
+
+      const text = document.createElement('div');
+      text.className = 'note-text';
+      text.textContent = note.text;
+
+      const meta = document.createElement('div');
+      meta.className = 'note-meta';
+      meta.textContent = `${note.author} • ${new Date(note.createdAt).toLocaleString()}${note.isLocal ? ' • this browser' : ''}`;
+
+      item.appendChild(text);
+      item.appendChild(meta);
+      this.elements.noteHistory.appendChild(item);
+    });
+  }
+
+  /**
+   * Clear the note input after saving
+   */
+  clearNoteInput() {
+    if (this.elements.noteTextarea) {
+      this.elements.noteTextarea.value = '';
+    }
+  }
+
+  /**
+   * Show the total unread count in the document title and favicon
+   * @param {number} total - Total unread messages
+   */
+  updateUnreadIndicators(total) {
+    if (total === this.lastUnreadTotal) return;
+    this.lastUnreadTotal = total;
+
+    if (!this.baseTitle) {
+      this.baseTitle = document.title;
+    }
+    document.title = total > 0 ? `(${total}) ${this.baseTitle}` : this.baseTitle;
+
+    this.updateFaviconBadge(total);
+  }
+
+  /**
+   * Draw the favicon with an unread badge
+   * @param {number} total - Total unread messages
+   */
+  updateFaviconBadge(total) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 32;
+    canvas.height = 32;
+    const context = canvas.getContext('2d');
+    if (!context) return;
+
+    // Base icon: chat bubble in the panel accent colour
+    context.fillStyle = '#00a884';
+    context.beginPath();
+    context.arc(16, 16, 14, 0, Math.PI * 2);
+    context.fill();
+
+    if (total > 0) {
+      const label = total > 99 ? '99+' : String(total);
+      context.fillStyle = '#ff6b6b';
+      context.beginPath();
+      context.arc(22, 10, 10, 0, Math.PI * 2);
+      context.fill();
+      context.fillStyle = '#ffffff';
+      context.font = `bold ${label.length > 2 ? 9 : 13}px system-ui, sans-serif`;
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.fillText(label, 22, 11);
+    }
+
+    let link = document.querySelector('link[rel="icon"]');
+    if (!link) {
+      link = document.createElement('link');
+      link.rel = 'icon';
+      document.head.appendChild(link);
     }
+    link.href = canvas.toDataURL('image/png');
   }
 
   /**
    * Update connection status indicator
    * @param {boolean} connected - Connection status
+   * @param {Object|null} reconnect - Next reconnection attempt while disconnected
    */
-  updateConnectionStatus(connected) {
+  updateConnectionStatus(connected, reconnect = null) {
     if (!this.elements.connectionStatus) return;
 
     if (connected) {
       this.elements.connectionStatus.style.background = '#00a884';
       this.elements.connectionStatus.title = 'Connected to real-time updates';
     } else {
-      this.elements.connectionStatus.style.background = '#ff6b6b';
+      this.elements.connectionStatus.style.background = reconnect ? '#f0b429' : '#ff6b6b';
       this.elements.connectionStatus.title = 'Disconnected from real-time updates';
     }
+
+    if (!this.elements.connectionBanner) return;
+
+    this.elements.connectionBanner.hidden = connected;
+    if (connected) {
+      this.showReconnectCountdown(null);
+    } else {
+      this.showReconnectCountdown(reconnect);
+    }
+  }
+
+  /**
+   * Show the time left until the next reconnection attempt
+   * @param {Object|null} reconnect - Attempt info with retryAt, or null while an attempt is running
+   */
+  showReconnectCountdown(reconnect) {
+    clearInterval(this.reconnectCountdownTimer);
+    this.reconnectCountdownTimer = null;
+
+    if (!this.elements.connectionCountdown) return;
+
+    if (!reconnect) {
+      this.elements.connectionCountdown.textContent = 'Reconnecting...';
+      return;
+    }
+
+    const update = () => {
+      const seconds = Math.max(0, Math.ceil((reconnect.retryAt - Date.now()) / 1000));
+      this.elements.connectionCountdown.textContent = seconds > 0
+        ? `Reconnecting in ${seconds}s (attempt ${reconnect.attempt})`
+        : 'Reconnecting...';
+
+      if (seconds === 0) {
+        clearInterval(this.reconnectCountdownTimer);
+        this.reconnectCountdownTimer = null;
+      }
+    };
+
+    update();
+    this.reconnectCountdownTimer = setInterval(update, 1000);
   }
 
   /**
@@ -638,14 +2212,19 @@ class UIManager {
     }
     
     const wasAtBottom = this.isScrolledToBottom();
-    const messageElement = this.createMessageElement(message);
+
+    // The state update may already have re-rendered the thread with this message
+    const existingElement = messageContainer.querySelector(`[data-message-id="${message.id}"]`);
+    const messageElement = existingElement || this.createMessageElement(message);
     
     // Add entrance animation
     messageElement.style.opacity = '0';
     messageElement.style.transform = 'translateY(20px) scale(0.95)';
     messageElement.style.transition = 'all 0.3s cubic-bezier(0.4, 0, 0.2, 1)';
     
-    messageContainer.appendChild(messageElement);
+    if (!existingElement) {
+      messageContainer.appendChild(messageElement);
+    }
     
     // Trigger animation
     requestAnimationFrame(() => {
@@ -699,10 +2278,10 @@ class UIManager {
   /**
    * Format timestamp for display
    * @param {Date} timestamp - Message timestamp
-   * @returns {string} Formatted timestamp
+   * @returns {string} Formatted timestamp, empty when unknown
    */
   formatTimestamp(timestamp) {
-    if (!timestamp) return 'now';
+    if (!timestamp) return '';
     
     const now = new Date();
     const msgTime = new Date(timestamp);
@@ -773,11 +2352,38 @@ class UIManager {
     for (let i = Math.max(0, startIndex - 5); i < endIndex; i++) {
       const message = messages[i];
       const messageElement = this.createMessageElement(message);
-      messageElement.style.position = 'absolute';
-      messageElement.style.top = `${i * this.virtualScrolling.itemHeight}px`;
-      messageElement.style.width = '100%';
-      viewport.appendChild(messageElement);
+
+      // The first message of a day shares its slot with the day separator
+      let slot = messageElement;
+      if (this.isFirstOfDay(messages, i)) {
+        slot = document.createElement('div');
+        slot.appendChild(this.createDaySeparator(message.timestamp));
+        slot.appendChild(messageElement);
+      }
+
+      slot.style.position = 'absolute';
+      slot.style.top = `${i * this.virtualScrolling.itemHeight}px`;
+      slot.style.width = '100%';
+      viewport.appendChild(slot);
+    }
+  }
+
+  /**
+   * Check whether a message is the first of its calendar day, skipping messages without a time
+   * @param {Array} messages - Sorted messages
+   * @param {number} index - Index of the message
+   * @returns {boolean} Whether a day separator goes before it
+   */
+  isFirstOfDay(messages, index) {
+    const message = messages[index];
+    if (!message.timestamp) return false;
+
+    for (let i = index - 1; i >= 0; i--) {
+      if (messages[i].timestamp) {
+        return new Date(messages[i].timestamp).toDateString() !== new Date(message.timestamp).toDateString();
+      }
     }
+    return true;
   }
 
   /**
@@ -1040,633 +2646,2232 @@ class UIManager {
   }
 
   /**
-   * Toggle mobile sidebar
+   * Toggle mobile sidebar
+   */
+  toggleMobileSidebar() {
+    const sidebar = document.querySelector('.sidebar');
+    if (sidebar) {
+      sidebar.classList.toggle('open');
+    }
+  }
+
+  /**
+   * Close mobile sidebar
+   */
+  closeMobileSidebar() {
+    const sidebar = document.querySelector('.sidebar');
+    if (sidebar) {
+      sidebar.classList.remove('open');
+    }
+  }
+
+  /**
+   * Setup audio message event handlers
+   */
+  setupAudioMessageHandlers() {
+    // Use event delegation for audio controls
+    document.addEventListener('click', (e) => {
+      // Handle play/pause button clicks
+      if (e.target.closest('.audio-play-btn')) {
+        const button = e.target.closest('.audio-play-btn');
+        const audioId = button.getAttribute('data-audio-id');
+        this.toggleAudioPlayback(audioId, button);
+      }
+
+      // Handle playback speed clicks
+      if (e.target.closest('.audio-speed-btn')) {
+        this.cycleAudioPlaybackRate();
+      }
+      
+      // Handle download button clicks
+      if (e.target.closest('.audio-download-btn')) {
+        const audioMessage = e.target.closest('.audio-message');
+        const audioElement = audioMessage.querySelector('audio');
+        this.downloadAudio(audioElement);
+      }
+    });
+
+    // Click or drag on a waveform to seek
+    document.addEventListener('pointerdown', (e) => {
+      const waveform = e.target.closest('.audio-waveform');
+      if (!waveform || e.button !== 0) return;
+
+      const audioElement = waveform.closest('.audio-message').querySelector('audio');
+      this.audioSeek = { waveform, audioElement };
+      this.seekAudio(e, waveform, audioElement);
+      e.preventDefault();
+    });
+
+    document.addEventListener('pointermove', (e) => {
+      if (this.audioSeek) {
+        this.seekAudio(e, this.audioSeek.waveform, this.audioSeek.audioElement);
+      }
+    });
+
+    ['pointerup', 'pointercancel'].forEach(type => {
+      document.addEventListener(type, () => {
+        this.audioSeek = null;
+      });
+    });
+
+    // Media events do not bubble, so listen in the capture phase
+    document.addEventListener('ended', (e) => {
+      if (e.target.closest && e.target.closest('.audio-message')) {
+        this.handleAudioEnded(e.target);
+      }
+    }, true);
+  }
+
+  /**
+   * Toggle audio playback
+   * @param {string} audioId - Audio element ID
+   * @param {HTMLElement} button - Play button element
+   */
+  toggleAudioPlayback(audioId, button) {
+    const audioElement = document.getElementById(audioId);
+    if (!audioElement) return;
+
+    const playIcon = button.querySelector('.play-icon');
+    const pauseIcon = button.querySelector('.pause-icon');
+    const audioMessage = button.closest('.audio-message');
+
+    if (audioElement.paused) {
+      // Stop all other audio elements, this one resumes where it was paused or seeked to
+      this.stopAllAudio(audioElement);
+      audioElement.playbackRate = this.audioPlaybackRate;
+      
+      // Play this audio
+      audioElement.play().then(() => {
+        playIcon.style.display = 'none';
+        pauseIcon.style.display = 'inline';
+        audioMessage.classList.add('playing');
+        this.startAudioProgressTracking(audioElement);
+      }).catch(error => {
+        console.error('Error playing audio:', error);
+        this.showToast('Error playing audio');
+      });
+    } else {
+      // Pause audio
+      audioElement.pause();
+      playIcon.style.display = 'inline';
+      pauseIcon.style.display = 'none';
+      audioMessage.classList.remove('playing');
+    }
+  }
+
+  /**
+   * Stop all audio playback
+   * @param {HTMLAudioElement} except - Audio element to leave untouched
+   */
+  stopAllAudio(except = null) {
+    const allAudioElements = document.querySelectorAll('audio');
+    const allPlayButtons = document.querySelectorAll('.audio-play-btn');
+
+    allAudioElements.forEach(audio => {
+      if (audio === except) return;
+
+      const started = audio.currentTime > 0;
+      audio.pause();
+      audio.currentTime = 0;
+      if (started && audio.closest('.audio-message')) {
+        this.renderAudioProgress(audio);
+      }
+    });
+
+    allPlayButtons.forEach(button => {
+      const playIcon = button.querySelector('.play-icon');
+      const pauseIcon = button.querySelector('.pause-icon');
+      if (playIcon && pauseIcon) {
+        playIcon.style.display = 'inline';
+        pauseIcon.style.display = 'none';
+      }
+    });
+
+    document.querySelectorAll('.audio-message.playing').forEach(audioMessage => {
+      audioMessage.classList.remove('playing');
+    });
+  }
+
+  /**
+   * Start tracking audio progress
+   * @param {HTMLAudioElement} audioElement - Audio element
+   */
+  startAudioProgressTracking(audioElement) {
+    const updateProgress = () => {
+      this.renderAudioProgress(audioElement);
+
+      if (!audioElement.paused) {
+        requestAnimationFrame(updateProgress);
+      }
+    };
+
+    updateProgress();
+  }
+
+  /**
+   * Show the playback position on the waveform and time display
+   * @param {HTMLAudioElement} audioElement - Audio element
+   */
+  renderAudioProgress(audioElement) {
+    const messageId = audioElement.id.replace('audio-', '');
+    const waveform = document.getElementById(`waveform-${messageId}`);
+    const timeDisplay = document.getElementById(`time-${messageId}`);
+    const progress = Number.isFinite(audioElement.duration) && audioElement.duration > 0
+      ? audioElement.currentTime / audioElement.duration
+      : 0;
+
+    if (waveform) {
+      const bars = [...waveform.children];
+      const played = Math.round(progress * bars.length);
+      bars.forEach((bar, index) => bar.classList.toggle('played', index < played));
+    }
+
+    if (timeDisplay) {
+      timeDisplay.textContent = this.formatAudioTime(audioElement.currentTime);
+    }
+  }
+
+  /**
+   * Reset a finished player and continue with the next voice note from the same sender
+   * @param {HTMLAudioElement} audioElement - Audio element that ended
+   */
+  handleAudioEnded(audioElement) {
+    const audioMessage = audioElement.closest('.audio-message');
+    const button = audioMessage.querySelector('.audio-play-btn');
+    const playIcon = button.querySelector('.play-icon');
+    const pauseIcon = button.querySelector('.pause-icon');
+
+    playIcon.style.display = 'inline';
+    pauseIcon.style.display = 'none';
+    audioMessage.classList.remove('playing');
+    audioElement.currentTime = 0;
+    this.renderAudioProgress(audioElement);
+
+    const next = this.getNextAudioMessage(audioElement);
+    if (next) {
+      const nextButton = next.querySelector('.audio-play-btn');
+      this.toggleAudioPlayback(nextButton.getAttribute('data-audio-id'), nextButton);
+    }
+  }
+
+  /**
+   * Find the audio message directly after this one if it has the same sender
+   * @param {HTMLAudioElement} audioElement - Audio element
+   * @returns {HTMLElement|null} Next audio player or null
+   */
+  getNextAudioMessage(audioElement) {
+    const messageElement = audioElement.closest('.msg');
+    const next = messageElement?.nextElementSibling;
+
+    if (!next || !next.classList.contains('msg') ||
+        next.getAttribute('data-type') !== messageElement.getAttribute('data-type')) {
+      return null;
+    }
+
+    return next.querySelector('.audio-message');
+  }
+
+  /**
+   * Switch every audio player to the next playback speed
+   */
+  cycleAudioPlaybackRate() {
+    const rates = this.config.UI.PLAYBACK_RATES;
+    this.audioPlaybackRate = rates[(rates.indexOf(this.audioPlaybackRate) + 1) % rates.length];
+
+    document.querySelectorAll('.audio-message audio').forEach(audio => {
+      audio.playbackRate = this.audioPlaybackRate;
+    });
+
+    document.querySelectorAll('.audio-speed-btn').forEach(button => {
+      button.textContent = `${this.audioPlaybackRate}x`;
+    });
+  }
+
+  /**
+   * Seek audio to specific position
+   * @param {Event} e - Pointer event
+   * @param {HTMLElement} waveform - Waveform element
+   * @param {HTMLAudioElement} audioElement - Audio element
+   */
+  seekAudio(e, waveform, audioElement) {
+    if (!Number.isFinite(audioElement.duration)) return;
+
+    const rect = waveform.getBoundingClientRect();
+    const percentage = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    
+    audioElement.currentTime = percentage * audioElement.duration;
+    this.renderAudioProgress(audioElement);
+  }
+
+  /**
+   * Download audio file
+   * @param {HTMLAudioElement} audioElement - Audio element
+   */
+  downloadAudio(audioElement) {
+    const link = document.createElement('a');
+    link.href = audioElement.src;
+    link.download = `audio-message-${Date.now()}.mp4`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    this.showToast('Audio download started');
+  }
+
+  /**
+   * Format audio time in MM:SS format
+   * @param {number} seconds - Time in seconds
+   * @returns {string} Formatted time
+   */
+  formatAudioTime(seconds) {
+    if (isNaN(seconds)) return '0:00';
+    
+    const minutes = Math.floor(seconds / 60);
+    const remainingSeconds = Math.floor(seconds % 60);
+    return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * Populate voice dropdown with the notes of the voice library
+   */
+  populateVoiceDropdown() {
+    // Rebuilding mid-drag would drop the option being dragged
+    if (!this.elements.voiceDropdown || this.draggedVoiceId) return;
+
+    const voiceNotes = this.stateManager.getState().voiceNotes;
+    this.elements.voiceDropdown.innerHTML = '';
+
+    // Create record option
+    const recordOption = document.createElement('div');
+    recordOption.className = 'voice-option record-option';
+    recordOption.setAttribute('data-action', 'record');
+    recordOption.innerHTML = `
+      <span class="voice-icon">🎙️</span>
+      <div class="voice-details">
+        <div class="voice-name">Record New</div>
+        <div class="voice-desc">Record a new voice note</div>
+      </div>
+    `;
+
+    // Create separator
+    const separator = document.createElement('div');
+    separator.className = 'voice-separator';
+
+    // Add to dropdown
+    this.elements.voiceDropdown.appendChild(recordOption);
+    this.elements.voiceDropdown.appendChild(separator);
+
+    if (voiceNotes.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'voice-empty';
+      empty.textContent = 'No saved voice notes. Record one and choose Save to Library when reviewing it.';
+      this.elements.voiceDropdown.appendChild(empty);
+    }
+
+    // Create predefined options
+    voiceNotes.forEach(voiceNote => {
+      const option = document.createElement('div');
+      option.className = 'voice-option';
+      option.setAttribute('data-action', 'predefined');
+      option.setAttribute('data-voice-id', voiceNote.id);
+      option.draggable = true;
+      
+      // Extract emoji from name (first character if it's an emoji)
+      const emoji = voiceNote.name.match(/^[\u{1F600}-\u{1F64F}]|^[\u{1F300}-\u{1F5FF}]|^[\u{1F680}-\u{1F6FF}]|^[\u{1F1E0}-\u{1F1FF}]|^[\u{2600}-\u{26FF}]|^[\u{2700}-\u{27BF}]/u);
+      const icon = emoji ? emoji[0] : '🎵';
+      const name = voiceNote.name.replace(/^[\u{1F600}-\u{1F64F}]|^[\u{1F300}-\u{1F5FF}]|^[\u{1F680}-\u{1F6FF}]|^[\u{1F1E0}-\u{1F1FF}]|^[\u{2600}-\u{26FF}]|^[\u{2700}-\u{27BF}]/u, '').trim();
+      
+      // Names come from operators, so they are set as text
+      option.innerHTML = `
+        <span class="voice-icon"></span>
+        <div class="voice-details">
+          <div class="voice-name"></div>
+          <div class="voice-desc"></div>
+        </div>
+        <div class="voice-actions">
+          <button class="voice-action" data-voice-action="preview" title="Preview">${this.voicePreview?.id === voiceNote.id ? '⏹' : '▶'}</button>
+          <button class="voice-action" data-voice-action="rename" title="Rename">✎</button>
+          <button class="voice-action" data-voice-action="delete" title="Delete">×</button>
+        </div>
+      `;
+      option.querySelector('.voice-icon').textContent = icon;
+      option.querySelector('.voice-name').textContent = name || voiceNote.name;
+      option.querySelector('.voice-desc').textContent = voiceNote.description || 'Drag to reorder';
+
+      this.elements.voiceDropdown.appendChild(option);
+    });
+  }
+
+  /**
+   * Preview, rename or delete a voice note from the dropdown
+   * @param {string} action - 'preview', 'rename' or 'delete'
+   * @param {string} voiceId - ID of the voice note
+   */
+  handleVoiceNoteAction(action, voiceId) {
+    const voiceNote = this.stateManager.getState().voiceNotes.find(note => note.id === voiceId);
+    if (!voiceNote) return;
+
+    if (action === 'preview') {
+      this.toggleVoicePreview(voiceNote);
+    } else if (action === 'rename') {
+      const name = prompt('Rename voice note', voiceNote.name);
+      if (name && name.trim() && name.trim() !== voiceNote.name) {
+        this.emit('renameVoiceNote', { id: voiceId, name });
+      }
+    } else if (action === 'delete') {
+      if (window.confirm(`Delete the voice note ${voiceNote.name}?`)) {
+        this.stopVoicePreview();
+        this.emit('deleteVoiceNote', voiceId);
+      }
+    }
+  }
+
+  /**
+   * Play a voice note locally, or stop it if it is already playing
+   * @param {Object} voiceNote - Voice note with id, base64 and mimeType
+   */
+  toggleVoicePreview(voiceNote) {
+    const playing = this.voicePreview?.id === voiceNote.id;
+    this.stopVoicePreview();
+    if (playing) return;
+
+    const audio = new Audio(`data:${voiceNote.mimeType || 'audio/mp4'};base64,${voiceNote.base64}`);
+    audio.addEventListener('ended', () => this.stopVoicePreview());
+    audio.play().catch(error => {
+      console.error('Error playing voice note preview:', error);
+      this.showToast('Could not play this voice note');
+      this.stopVoicePreview();
+    });
+
+    this.voicePreview = { id: voiceNote.id, audio };
+    this.populateVoiceDropdown();
+  }
+
+  /**
+   * Stop the voice note preview, if any
+   */
+  stopVoicePreview() {
+    if (!this.voicePreview) return;
+
+    this.voicePreview.audio.pause();
+    this.voicePreview = null;
+    this.populateVoiceDropdown();
+  }
+
+  /**
+   * Setup voice recording event handlers
+   */
+  setupVoiceRecordingHandlers() {
+    // Initialize voice recording state
+    this.voiceRecording = {
+      isRecording: false,
+      mediaRecorder: null,
+      audioChunks: [],
+      startTime: null,
+      timerInterval: null,
+      mimeType: null
+    };
+
+    // Recording overlay event listeners
+    if (this.elements.cancelRecordingButton) {
+      this.elements.cancelRecordingButton.addEventListener('click', () => {
+        this.cancelVoiceRecording();
+      });
+    }
+
+    if (this.elements.stopRecordingButton) {
+      this.elements.stopRecordingButton.addEventListener('click', () => {
+        this.stopVoiceRecording();
+      });
+    }
+
+    // Review step between recording and sending
+    if (this.elements.voiceTrimStart && this.elements.voiceTrimEnd) {
+      this.elements.voiceTrimStart.addEventListener('input', (e) => {
+        this.updateVoiceTrim('start', Number(e.target.value));
+      });
+
+      this.elements.voiceTrimEnd.addEventListener('input', (e) => {
+        this.updateVoiceTrim('end', Number(e.target.value));
+      });
+    }
+
+    if (this.elements.voiceReviewDiscardButton) {
+      this.elements.voiceReviewDiscardButton.addEventListener('click', () => {
+        this.closeVoiceReview();
+        this.showToast('Voice recording discarded');
+      });
+    }
+
+    if (this.elements.voiceReviewRerecordButton) {
+      this.elements.voiceReviewRerecordButton.addEventListener('click', () => {
+        this.closeVoiceReview();
+        this.startVoiceRecording();
+      });
+    }
+
+    if (this.elements.voiceReviewSaveButton) {
+      this.elements.voiceReviewSaveButton.addEventListener('click', () => {
+        this.finishVoiceReview('save');
+      });
+    }
+
+    if (this.elements.voiceReviewSendButton) {
+      this.elements.voiceReviewSendButton.addEventListener('click', () => {
+        this.finishVoiceReview('send');
+      });
+    }
+
+    // Voice dropdown option handlers
+    document.addEventListener('click', (e) => {
+      const voiceAction = e.target.closest('[data-voice-action]');
+      if (voiceAction) {
+        const voiceOption = voiceAction.closest('.voice-option');
+        this.handleVoiceNoteAction(voiceAction.dataset.voiceAction, voiceOption.getAttribute('data-voice-id'));
+        return;
+      }
+
+      const voiceOption = e.target.closest('.voice-option');
+      if (voiceOption) {
+        this.handleVoiceOptionClick(voiceOption);
+        return;
+      }
+      
+      // Close dropdown when clicking outside
+      if (!e.target.closest('.voice-menu-container')) {
+        this.hideVoiceDropdown();
+      }
+    });
+
+    // Drag saved voice notes to reorder them
+    if (this.elements.voiceDropdown) {
+      this.elements.voiceDropdown.addEventListener('dragstart', (e) => {
+        const option = e.target.closest('.voice-option[data-voice-id]');
+        if (!option) return;
+
+        this.draggedVoiceId = option.getAttribute('data-voice-id');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', this.draggedVoiceId);
+        option.classList.add('dragging');
+      });
+
+      this.elements.voiceDropdown.addEventListener('dragover', (e) => {
+        if (!this.draggedVoiceId) return;
+        e.preventDefault();
+
+        const target = e.target.closest('.voice-option[data-voice-id]');
+        this.elements.voiceDropdown.querySelectorAll('.drop-before').forEach(option => option.classList.remove('drop-before'));
+        if (target && target.getAttribute('data-voice-id') !== this.draggedVoiceId) {
+          target.classList.add('drop-before');
+        }
+      });
+
+      this.elements.voiceDropdown.addEventListener('drop', (e) => {
+        if (!this.draggedVoiceId) return;
+        e.preventDefault();
+
+        const target = e.target.closest('.voice-option[data-voice-id]');
+        const id = this.draggedVoiceId;
+        this.draggedVoiceId = null;
+        this.emit('moveVoiceNote', { id, beforeId: target ? target.getAttribute('data-voice-id') : null });
+        this.populateVoiceDropdown();
+      });
+
+      this.elements.voiceDropdown.addEventListener('dragend', () => {
+        if (!this.draggedVoiceId) return;
+        this.draggedVoiceId = null;
+        this.populateVoiceDropdown();
+      });
+    }
+
+    // Close recording on escape key
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        if (this.voiceRecording.isRecording) {
+          this.cancelVoiceRecording();
+        } else {
+          this.hideVoiceDropdown();
+        }
+      }
+    });
+  }
+
+  /**
+   * Toggle voice dropdown menu
+   */
+  toggleVoiceDropdown() {
+    console.log('Toggle voice dropdown clicked');
+    
+    const conversation = this.stateManager.getActiveConversation();
+    if (!conversation || !this.stateManager.isManualMode(conversation.id)) {
+      this.showToast('Activate "Take control" to send voice notes.');
+      return;
+    }
+
+    if (this.elements.voiceDropdown) {
+      const isVisible = this.elements.voiceDropdown.classList.contains('show');
+      console.log('Dropdown currently visible:', isVisible);
+      console.log('Dropdown element:', this.elements.voiceDropdown);
+      console.log('Dropdown children count:', this.elements.voiceDropdown.children.length);
+      
+      if (isVisible) {
+        this.hideVoiceDropdown();
+      } else {
+        this.showVoiceDropdown();
+      }
+    } else {
+      console.error('Voice dropdown element not found!');
+    }
+  }
+
+  /**
+   * Show voice dropdown menu
+   */
+  showVoiceDropdown() {
+    console.log('Showing voice dropdown');
+    if (this.elements.voiceDropdown) {
+      this.elements.voiceDropdown.classList.add('show');
+      console.log('Added show class, dropdown should be visible');
+      console.log('Dropdown display style:', window.getComputedStyle(this.elements.voiceDropdown).display);
+    }
+  }
+
+  /**
+   * Hide voice dropdown menu
+   */
+  hideVoiceDropdown() {
+    if (this.elements.voiceDropdown) {
+      this.elements.voiceDropdown.classList.remove('show');
+    }
+    this.stopVoicePreview();
+  }
+
+  /**
+   * Handle voice option click
+   * @param {HTMLElement} optionElement - Clicked option element
+   */
+  async handleVoiceOptionClick(optionElement) {
+    const action = optionElement.getAttribute('data-action');
+    const voiceId = optionElement.getAttribute('data-voice-id');
+
+    this.hideVoiceDropdown();
+
+    if (action === 'record') {
+      await this.startVoiceRecording();
+    } else if (action === 'predefined' && voiceId) {
+      this.sendPredefinedVoiceNote(voiceId);
+    }
+  }
+
+  /**
+   * Send predefined voice note
+   * @param {string} voiceId - ID of the predefined voice note
+   */
+  async sendPredefinedVoiceNote(voiceId) {
+    const predefinedVoice = this.stateManager.getState().voiceNotes.find(voice => voice.id === voiceId);
+    if (!predefinedVoice) {
+      this.showToast('Voice note not found');
+      return;
+    }
+
+    console.log('Sending predefined voice note:', predefinedVoice.name);
+
+    // The app queues it in the outbox so it is sent even after a connection drop
+    const timing = await this.confirmSendTime();
+    if (!timing) return;
+
+    this.emit('sendVoiceMessage', {
+      base64Audio: predefinedVoice.base64,
+      mimeType: predefinedVoice.mimeType || 'audio/mp4',
+      label: `👨‍💼 Admin - ${predefinedVoice.name}`,
+      text: `🎵 ${predefinedVoice.name}`,
+      dueAt: timing.dueAt
+    });
+  }
+
+  /**
+   * Start voice recording
+   */
+  async startVoiceRecording() {
+    try {
+      // Request microphone permission
+      const stream = await navigator.mediaDevices.getUserMedia({ 
+        audio: {
+          echoCancellation: true,
+          noiseSuppression: true,
+          autoGainControl: true
+        }
+      });
+
+      // Initialize MediaRecorder with the best format this browser can record
+      const mimeType = this.voiceEncoder.getRecordingMimeType();
+      this.voiceRecording.mediaRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      this.voiceRecording.mimeType = this.voiceRecording.mediaRecorder.mimeType || mimeType;
+
+      this.voiceRecording.audioChunks = [];
+      this.voiceRecording.isRecording = true;
+      this.voiceRecording.startTime = Date.now();
+
+      // Setup MediaRecorder events
+      this.voiceRecording.mediaRecorder.ondataavailable = (event) => {
+        if (event.data.size > 0) {
+          this.voiceRecording.audioChunks.push(event.data);
+        }
+      };
+
+      this.voiceRecording.mediaRecorder.onstop = () => {
+        this.processRecordedAudio();
+        stream.getTracks().forEach(track => track.stop()); // Stop microphone
+      };
+
+      // Start recording
+      this.voiceRecording.mediaRecorder.start();
+
+      // Update UI
+      this.elements.voiceRecordButton.classList.add('recording');
+      this.elements.recordingOverlay.style.display = 'flex';
+      
+      // Start timer
+      this.startRecordingTimer();
+
+      console.log('Voice recording started');
+
+    } catch (error) {
+      console.error('Error starting voice recording:', error);
+      
+      if (error.name === 'NotAllowedError') {
+        this.showToast('Microphone permission denied. Please allow access to record voice notes.');
+      } else if (error.name === 'NotFoundError') {
+        this.showToast('No microphone found. Please connect a microphone.');
+      } else {
+        this.showToast('Error starting voice recording. Please try again.');
+      }
+    }
+  }
+
+  /**
+   * Stop voice recording and open the review step
+   */
+  stopVoiceRecording() {
+    if (!this.voiceRecording.isRecording) return;
+
+    console.log('Stopping voice recording...');
+    this.voiceRecording.mediaRecorder.stop();
+    this.resetRecordingUI();
+  }
+
+  /**
+   * Cancel voice recording without sending
+   */
+  cancelVoiceRecording() {
+    if (!this.voiceRecording.isRecording) return;
+
+    console.log('Cancelling voice recording...');
+    this.voiceRecording.mediaRecorder.stop();
+    this.voiceRecording.audioChunks = []; // Clear audio data
+    this.resetRecordingUI();
+    this.showToast('Voice recording cancelled');
+  }
+
+  /**
+   * Process recorded audio and open it for review
+   */
+  async processRecordedAudio() {
+    if (this.voiceRecording.audioChunks.length === 0) return;
+
+    try {
+      // Create audio blob
+      const audioBlob = new Blob(this.voiceRecording.audioChunks, { 
+        type: this.voiceRecording.mimeType || this.voiceRecording.audioChunks[0].type
+      });
+
+      console.log('Processing recorded audio, size:', audioBlob.size, 'bytes');
+
+      await this.showVoiceReview(audioBlob);
+
+    } catch (error) {
+      console.error('Error processing recorded audio:', error);
+      this.showToast('Error processing voice recording');
+    }
+  }
+
+  /**
+   * Show a recording with playback, waveform and trim controls before it is sent
+   * @param {Blob} audioBlob - Recorded audio
+   */
+  async showVoiceReview(audioBlob) {
+    if (!this.elements.voiceReviewOverlay) {
+      // Pages without the review step send right away, as before
+      const timing = await this.confirmSendTime();
+      if (!timing) return;
+
+      const encoded = await this.voiceEncoder.encode(audioBlob);
+      this.sendVoiceMessage(await this.readBlobAsBase64(encoded.blob), encoded.mimeType, timing.dueAt);
+      return;
+    }
+
+    this.closeVoiceReview();
+
+    const url = URL.createObjectURL(audioBlob);
+    this.voiceReview = { blob: audioBlob, url, buffer: null, peaks: [], duration: 0, trimStart: 0, trimEnd: 0 };
+
+    this.elements.voiceReviewPlayer.innerHTML = this.createAudioPlayer({ id: 'review', audioUrl: url });
+    this.elements.voiceReviewOverlay.style.display = 'flex';
+    this.setVoiceReviewStatus('');
+    this.setVoiceReviewBusy(false);
+
+    // Keep playback inside the trimmed range
+    const audioElement = document.getElementById('audio-review');
+    audioElement.addEventListener('play', () => {
+      const review = this.voiceReview;
+      if (review?.buffer && (audioElement.currentTime < review.trimStart || audioElement.currentTime >= review.trimEnd - 0.05)) {
+        audioElement.currentTime = review.trimStart;
+      }
+    });
+    audioElement.addEventListener('timeupdate', () => {
+      const review = this.voiceReview;
+      if (review?.buffer && !audioElement.paused && audioElement.currentTime >= review.trimEnd) {
+        this.stopAllAudio();
+      }
+    });
+
+    // The waveform and trimming need decoded audio; without it the clip can still be played and sent
+    try {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      const context = new AudioContextClass();
+      const buffer = await context.decodeAudioData(await audioBlob.arrayBuffer());
+      context.close();
+
+      if (this.voiceReview?.url !== url) return;
+
+      Object.assign(this.voiceReview, {
+        buffer,
+        duration: buffer.duration,
+        trimStart: 0,
+        trimEnd: buffer.duration,
+        peaks: this.getWaveformPeaks(buffer, 120)
+      });
+      this.waveformCache.set('review', this.getWaveformPeaks(buffer, this.config.UI.WAVEFORM_BARS));
+      this.updateWaveformBars('review');
+
+      [this.elements.voiceTrimStart, this.elements.voiceTrimEnd].forEach(input => {
+        input.max = buffer.duration;
+        input.step = 0.01;
+        input.disabled = false;
+      });
+      this.elements.voiceTrimStart.value = 0;
+      this.elements.voiceTrimEnd.value = buffer.duration;
+      this.updateVoiceTrim('start', 0);
+    } catch (error) {
+      console.error('Error decoding recorded audio:', error);
+      [this.elements.voiceTrimStart, this.elements.voiceTrimEnd].forEach(input => {
+        input.disabled = true;
+      });
+      this.setVoiceReviewStatus('Trimming is not available for this recording');
+      this.drawVoiceReviewWaveform();
+    }
+  }
+
+  /**
+   * Move one end of the trimmed range, keeping at least a tenth of a second between them
+   * @param {string} edge - 'start' or 'end'
+   * @param {number} seconds - New position in seconds
+   */
+  updateVoiceTrim(edge, seconds) {
+    const review = this.voiceReview;
+    if (!review?.buffer) return;
+
+    const minimumLength = 0.1;
+    if (edge === 'start') {
+      review.trimStart = Math.max(0, Math.min(seconds, review.trimEnd - minimumLength));
+      this.elements.voiceTrimStart.value = review.trimStart;
+    } else {
+      review.trimEnd = Math.min(review.duration, Math.max(seconds, review.trimStart + minimumLength));
+      this.elements.voiceTrimEnd.value = review.trimEnd;
+    }
+
+    if (this.elements.voiceTrimStartTime) {
+      this.elements.voiceTrimStartTime.textContent = this.formatAudioTime(review.trimStart);
+    }
+    if (this.elements.voiceTrimEndTime) {
+      this.elements.voiceTrimEndTime.textContent = this.formatAudioTime(review.trimEnd);
+    }
+    this.setVoiceReviewStatus(`Length ${this.formatAudioTime(review.trimEnd - review.trimStart)}`);
+
+    this.drawVoiceReviewWaveform();
+  }
+
+  /**
+   * Reduce audio to one peak value per bar
+   * @param {AudioBuffer} buffer - Decoded audio
+   * @param {number} count - Number of bars
+   * @returns {Array} Peaks between 0 and 1
+   */
+  getWaveformPeaks(buffer, count) {
+    const samples = buffer.getChannelData(0);
+    const size = Math.max(1, Math.floor(samples.length / count));
+    const peaks = [];
+
+    for (let bar = 0; bar < count; bar++) {
+      let peak = 0;
+      const end = Math.min(samples.length, (bar + 1) * size);
+      for (let i = bar * size; i < end; i++) {
+        const value = Math.abs(samples[i]);
+        if (value > peak) peak = value;
+      }
+      peaks.push(peak);
+    }
+
+    const loudest = Math.max(...peaks, 0.01);
+    return peaks.map(peak => peak / loudest);
+  }
+
+  /**
+   * Draw the waveform of the recording under review, dimming the trimmed parts
+   */
+  drawVoiceReviewWaveform() {
+    const canvas = this.elements.voiceReviewWaveform;
+    const review = this.voiceReview;
+    if (!canvas || !review) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = canvas.clientWidth * ratio;
+    canvas.height = canvas.clientHeight * ratio;
+
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    if (review.peaks.length === 0) return;
+
+    const styles = getComputedStyle(document.documentElement);
+    const active = styles.getPropertyValue('--accent').trim() || '#53bdeb';
+    const muted = styles.getPropertyValue('--muted').trim() || '#8696a0';
+    const barWidth = canvas.width / review.peaks.length;
+
+    review.peaks.forEach((peak, index) => {
+      const time = ((index + 0.5) / review.peaks.length) * review.duration;
+      const height = Math.max(2 * ratio, peak * canvas.height * 0.9);
+      context.fillStyle = time >= review.trimStart && time <= review.trimEnd ? active : muted;
+      context.globalAlpha = time >= review.trimStart && time <= review.trimEnd ? 1 : 0.35;
+      context.fillRect(index * barWidth + barWidth * 0.2, (canvas.height - height) / 2, barWidth * 0.6, height);
+    });
+    context.globalAlpha = 1;
+  }
+
+  /**
+   * Send the reviewed recording or save it to the voice library
+   * @param {string} action - 'send' or 'save'
+   */
+  async finishVoiceReview(action) {
+    if (!this.voiceReview) return;
+
+    let name = null;
+    let dueAt = null;
+    if (action === 'save') {
+      name = prompt('Name for this voice note', '');
+      if (!name || !name.trim()) return;
+    } else {
+      const timing = await this.confirmSendTime();
+      if (!timing) return;
+      dueAt = timing.dueAt;
+    }
+
+    this.setVoiceReviewBusy(true);
+    this.setVoiceReviewStatus('Preparing audio...');
+
+    try {
+      const { base64Audio, mimeType } = await this.getReviewedAudio();
+
+      if (action === 'save') {
+        this.emit('saveVoiceNote', { name, base64Audio, mimeType });
+      } else {
+        this.sendVoiceMessage(base64Audio, mimeType, dueAt);
+      }
+
+      this.closeVoiceReview();
+    } catch (error) {
+      console.error('Error preparing reviewed audio:', error);
+      this.setVoiceReviewBusy(false);
+      this.setVoiceReviewStatus('Could not prepare the audio, please try again');
+    }
+  }
+
+  /**
+   * Get the recording as it should be sent, converted to OGG Opus where possible
+   * @returns {Promise<Object>} base64Audio and mimeType
+   */
+  async getReviewedAudio() {
+    const review = this.voiceReview;
+    const trimmed = review.buffer && (review.trimStart > 0.01 || review.trimEnd < review.duration - 0.01);
+
+    const encoded = await this.voiceEncoder.encode(
+      review.blob,
+      trimmed ? { start: review.trimStart, end: review.trimEnd } : null
+    );
+
+    return { base64Audio: await this.readBlobAsBase64(encoded.blob), mimeType: encoded.mimeType };
+  }
+
+  /**
+   * Show a line of status text in the review step
+   * @param {string} message - Status text
+   */
+  setVoiceReviewStatus(message) {
+    if (this.elements.voiceReviewStatus) {
+      this.elements.voiceReviewStatus.textContent = message;
+    }
+  }
+
+  /**
+   * Disable the review actions while the audio is being prepared
+   * @param {boolean} busy - Whether work is in progress
+   */
+  setVoiceReviewBusy(busy) {
+    [
+      this.elements.voiceReviewDiscardButton,
+      this.elements.voiceReviewRerecordButton,
+      this.elements.voiceReviewSaveButton,
+      this.elements.voiceReviewSendButton
+    ].forEach(button => {
+      if (button) button.disabled = busy;
+    });
+  }
+
+  /**
+   * Close the review step and release the recording
+   */
+  closeVoiceReview() {
+    if (!this.voiceReview) return;
+
+    this.stopAllAudio();
+    URL.revokeObjectURL(this.voiceReview.url);
+    this.voiceReview = null;
+    this.waveformCache.delete('review');
+
+    if (this.elements.voiceReviewPlayer) {
+      this.elements.voiceReviewPlayer.innerHTML = '';
+    }
+    if (this.elements.voiceReviewOverlay) {
+      this.elements.voiceReviewOverlay.style.display = 'none';
+    }
+  }
+
+  /**
+   * Read a blob as base64 without the data URL prefix
+   * @param {Blob} blob - Data to read
+   * @returns {Promise<string>} Base64 encoded data
+   */
+  readBlobAsBase64(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onloadend = () => resolve(reader.result.split(',')[1]); // Remove "data:audio/ogg;base64,"
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * Hand a recorded voice message to the app for sending
+   * @param {string} base64Audio - Base64 encoded audio data
+   * @param {string} mimeType - MIME type of the audio
+   * @param {string|null} dueAt - When to send it, null for now
+   */
+  sendVoiceMessage(base64Audio, mimeType, dueAt = null) {
+    this.emit('sendVoiceMessage', {
+      base64Audio,
+      mimeType,
+      label: '👨‍💼 Admin Voice',
+      text: '🎵 Voice Message',
+      dueAt
+    });
+  }
+
+  /**
+   * Start recording timer
+   */
+  startRecordingTimer() {
+    this.voiceRecording.timerInterval = setInterval(() => {
+      const elapsed = Math.floor((Date.now() - this.voiceRecording.startTime) / 1000);
+      const minutes = Math.floor(elapsed / 60);
+      const seconds = elapsed % 60;
+      
+      if (this.elements.recordingTime) {
+        this.elements.recordingTime.textContent = 
+          `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+      }
+
+      // Auto-stop after 5 minutes
+      if (elapsed >= 300) {
+        this.stopVoiceRecording();
+        this.showToast('Recording stopped: 5 minute limit reached');
+      }
+    }, 1000);
+  }
+
+  /**
+   * Reset recording UI to initial state
+   */
+  resetRecordingUI() {
+    this.voiceRecording.isRecording = false;
+    
+    // Clear timer
+    if (this.voiceRecording.timerInterval) {
+      clearInterval(this.voiceRecording.timerInterval);
+      this.voiceRecording.timerInterval = null;
+    }
+
+    // Reset UI elements
+    this.elements.voiceRecordButton.classList.remove('recording');
+    this.elements.recordingOverlay.style.display = 'none';
+    
+    if (this.elements.recordingTime) {
+      this.elements.recordingTime.textContent = '00:00';
+    }
+  }
+
+  /**
+   * Setup the time zone picker, the quiet hours question and the local time clock
+   */
+  setupTimeZoneHandlers() {
+    if (this.elements.timezoneEdit && this.elements.timezoneSelect) {
+      this.elements.timezoneEdit.addEventListener('click', () => {
+        this.showTimeZoneSelect();
+      });
+
+      this.elements.timezoneSelect.addEventListener('change', (e) => {
+        this.emit('setTimeZone', e.target.value);
+        this.elements.timezoneSelect.hidden = true;
+      });
+
+      this.elements.timezoneSelect.addEventListener('blur', () => {
+        this.elements.timezoneSelect.hidden = true;
+      });
+    }
+
+    if (this.elements.quietHoursModal) {
+      this.elements.quietHoursSend.addEventListener('click', () => this.quietHoursPrompt?.('send'));
+      this.elements.quietHoursSchedule.addEventListener('click', () => this.quietHoursPrompt?.('schedule'));
+      this.elements.quietHoursCancel.addEventListener('click', () => this.quietHoursPrompt?.('cancel'));
+
+      this.elements.quietHoursModal.addEventListener('click', (e) => {
+        if (e.target === this.elements.quietHoursModal) {
+          this.quietHoursPrompt?.('cancel');
+        }
+      });
+    }
+
+    clearInterval(this.localTimeTimer);
+    this.localTimeTimer = setInterval(() => this.renderContactTime(), 60000);
+  }
+
+  /**
+   * Open the time zone picker of the contact card
+   */
+  showTimeZoneSelect() {
+    const conversation = this.stateManager.getActiveConversation();
+    if (!conversation) return;
+
+    const chosen = this.stateManager.getState().timeZones[conversation.id] || '';
+    const country = this.phone.findCountry(conversation.number);
+    const timeZones = typeof Intl.supportedValuesOf === 'function'
+      ? Intl.supportedValuesOf('timeZone')
+      : [...new Set(this.phone.countries.map(entry => entry.timeZone))].sort();
+
+    const createOption = (value, label) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      return option;
+    };
+
+    this.elements.timezoneSelect.replaceChildren(
+      createOption('', country ? `Automatic (${country.name})` : 'Automatic (unknown)'),
+      ...[...new Set([...timeZones, chosen].filter(Boolean))].map(timeZone => createOption(timeZone, timeZone.replace(/_/g, ' ')))
+    );
+    this.elements.timezoneSelect.value = chosen;
+    this.elements.timezoneSelect.hidden = false;
+    this.elements.timezoneSelect.focus();
+  }
+
+  /**
+   * Use the time picked with 🕓, or ask before sending during the active contact's quiet hours
+   * @returns {Promise<Object|null>} dueAt (null to send now, or when to schedule), or null when the operator cancels
+   *   or the picked time has passed
+   */
+  confirmSendTime() {
+    // A picked time applies to one message, and was chosen knowing the contact's local time
+    const picked = this.sendLater;
+    if (picked) {
+      this.setSendLater(null);
+
+      // Sending now instead would surprise the operator, so nothing is sent until a new time is picked
+      if (new Date(picked).getTime() <= Date.now()) {
+        this.showToast(`The time picked for this message (${new Date(picked).toLocaleString()}) has passed, pick a new one`);
+        this.showSendLaterPicker();
+        return Promise.resolve(null);
+      }
+      return Promise.resolve({ dueAt: picked });
+    }
+
+    const conversation = this.stateManager.getActiveConversation();
+    const quietEnd = conversation ? this.stateManager.getQuietHoursEnd(conversation, this.config.QUIET_HOURS) : null;
+    if (!quietEnd || !this.elements.quietHoursModal) return Promise.resolve({ dueAt: null });
+
+    this.quietHoursPrompt?.('cancel');
+
+    const timeZone = this.stateManager.getTimeZone(conversation);
+    const theirTime = quietEnd.toLocaleTimeString([], { timeZone, hour: '2-digit', minute: '2-digit' });
+    const yourTime = quietEnd.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+
+    const guess = this.stateManager.isTimeZoneGuessed(conversation) ? ' (a guess from the country code)' : '';
+    this.elements.quietHoursText.textContent =
+      `It is ${this.formatLocalTime(timeZone)}${guess} for ${conversation.name}, outside the hours messages are usually sent.`;
+    this.elements.quietHoursSchedule.textContent = `Schedule for ${theirTime} their time (${yourTime} yours)`;
+    this.elements.quietHoursModal.style.display = 'flex';
+    this.elements.quietHoursSchedule.focus();
+
+    return new Promise(resolve => {
+      this.quietHoursPrompt = (choice) => {
+        this.quietHoursPrompt = null;
+        this.elements.quietHoursModal.style.display = 'none';
+
+        if (choice === 'send') {
+          resolve({ dueAt: null });
+        } else if (choice === 'schedule') {
+          resolve({ dueAt: quietEnd.toISOString() });
+        } else {
+          resolve(null);
+        }
+      };
+    });
+  }
+
+  /**
+   * Setup the send later picker of the composer and the scheduled list of the contact panel
+   */
+  setupScheduledHandlers() {
+    if (this.elements.sendLaterButton && this.elements.sendLaterPicker) {
+      this.elements.sendLaterButton.addEventListener('click', () => {
+        if (this.elements.sendLaterPicker.hidden) {
+          this.showSendLaterPicker();
+        } else {
+          this.hideSendLaterPicker();
+        }
+      });
+
+      this.elements.sendLaterTime.addEventListener('input', () => {
+        this.renderSendLaterHint();
+      });
+
+      this.elements.sendLaterPicker.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const dueAt = this.parseDueAt(this.elements.sendLaterTime.value);
+        if (!dueAt) {
+          this.renderSendLaterHint();
+          return;
+        }
+
+        this.setSendLater(dueAt);
+        this.hideSendLaterPicker();
+        this.elements.messageInput?.focus();
+      });
+
+      this.elements.sendLaterClear.addEventListener('click', () => {
+        this.setSendLater(null);
+        this.hideSendLaterPicker();
+      });
+
+      // Close the picker when clicking elsewhere
+      document.addEventListener('mousedown', (e) => {
+        if (this.elements.sendLaterPicker.hidden) return;
+        if (!this.elements.sendLaterPicker.parentElement.contains(e.target)) {
+          this.hideSendLaterPicker();
+        }
+      });
+    }
+
+    if (this.elements.scheduledList) {
+      this.elements.scheduledList.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const item = button.closest('.scheduled-item');
+        this.handleScheduledAction(button.getAttribute('data-action'), item.getAttribute('data-message-id'));
+      });
+
+      this.elements.scheduledList.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.saveScheduledEdit(e.target);
+      });
+    }
+  }
+
+  /**
+   * Open the send later picker, starting from the picked time or the next full hour at least 30 minutes away
+   */
+  showSendLaterPicker() {
+    if (!this.stateManager.getActiveConversation()) {
+      this.showToast('No conversation selected');
+      return;
+    }
+
+    const hour = 60 * 60 * 1000;
+    const initial = this.sendLater
+      ? new Date(this.sendLater)
+      : new Date(Math.ceil((Date.now() + hour / 2) / hour) * hour);
+
+    this.elements.sendLaterTime.min = this.toDateTimeLocalValue(new Date());
+    this.elements.sendLaterTime.value = this.toDateTimeLocalValue(initial);
+    this.elements.sendLaterClear.hidden = !this.sendLater;
+    this.elements.sendLaterPicker.hidden = false;
+    this.renderSendLaterHint();
+    this.elements.sendLaterTime.focus();
+  }
+
+  /**
+   * Close the send later picker, keeping the picked time
+   */
+  hideSendLaterPicker() {
+    if (this.elements.sendLaterPicker) {
+      this.elements.sendLaterPicker.hidden = true;
+    }
+  }
+
+  /**
+   * Show the time in the picker as the contact's local time, or why it cannot be used
+   */
+  renderSendLaterHint() {
+    const hint = this.elements.sendLaterHint;
+    if (!hint) return;
+
+    const value = this.elements.sendLaterTime.value;
+    const dueAt = this.parseDueAt(value);
+    hint.classList.toggle('send-later-error', Boolean(value) && !dueAt);
+
+    if (!dueAt) {
+      hint.textContent = value ? 'Choose a time in the future' : '';
+      return;
+    }
+
+    const conversation = this.stateManager.getActiveConversation();
+    const timeZone = conversation ? this.stateManager.getTimeZone(conversation) : null;
+    hint.textContent = timeZone
+      ? `${new Date(dueAt).toLocaleString([], { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit' })} for ${conversation.name}`
+      : '';
+  }
+
+  /**
+   * Pick, or drop, the time the next message is sent at
+   * @param {string|null} dueAt - ISO date, or null to send right away
+   */
+  setSendLater(dueAt) {
+    this.sendLater = dueAt;
+
+    if (this.elements.sendLaterButton) {
+      this.elements.sendLaterButton.classList.toggle('active', Boolean(dueAt));
+      this.elements.sendLaterButton.title = dueAt ? `Sends at ${new Date(dueAt).toLocaleString()}` : 'Send later';
+    }
+    if (this.elements.sendButton) {
+      this.elements.sendButton.textContent = dueAt ? 'Schedule' : 'Send';
+    }
+  }
+
+  /**
+   * Drop the picked time and close the picker, e.g. when another conversation is opened
+   */
+  clearSendLater() {
+    this.setSendLater(null);
+    this.hideSendLaterPicker();
+  }
+
+  /**
+   * Read the value of a datetime-local input as a send time
+   * @param {string} value - Date and time in the operator's time zone, e.g. "2024-05-02T09:30"
+   * @returns {string|null} ISO date, or null when empty, invalid or not in the future
    */
-  toggleMobileSidebar() {
-    const sidebar = document.querySelector('.sidebar');
-    if (sidebar) {
-      sidebar.classList.toggle('open');
-    }
+  parseDueAt(value) {
+    const date = value ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime()) || date.getTime() <= Date.now()) return null;
+    return date.toISOString();
   }
 
   /**
-   * Close mobile sidebar
+   * Format a date as the value of a datetime-local input
+   * @param {Date} date - Date
+   * @returns {string} Date and time in the operator's time zone, e.g. "2024-05-02T09:30"
    */
-  closeMobileSidebar() {
-    const sidebar = document.querySelector('.sidebar');
-    if (sidebar) {
-      sidebar.classList.remove('open');
-    }
+  toDateTimeLocalValue(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
   }
 
   /**
-   * Setup audio message event handlers
+   * Render the scheduled messages of the active conversation in the contact panel, soonest first
    */
-  setupAudioMessageHandlers() {
-    // Use event delegation for audio controls
-    document.addEventListener('click', (e) => {
-      // Handle play/pause button clicks
-      if (e.target.closest('.audio-play-btn')) {
-        const button = e.target.closest('.audio-play-btn');
-        const audioId = button.getAttribute('data-audio-id');
-        this.toggleAudioPlayback(audioId, button);
+  renderScheduledMessages() {
+    const list = this.elements.scheduledList;
+    if (!list) return;
+
+    const conversation = this.stateManager.getActiveConversation();
+    const scheduled = conversation
+      ? conversation.messages
+        .filter(message => message.status === 'scheduled')
+        .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt))
+      : [];
+
+    // Leave the open edit form alone while the operator is changing it
+    if (this.scheduledEditingId !== null) {
+      const stillScheduled = scheduled.some(message => String(message.id) === this.scheduledEditingId);
+      if (!stillScheduled) {
+        this.scheduledEditingId = null;
+      } else if (list.querySelector('.scheduled-edit')?.getAttribute('data-message-id') === this.scheduledEditingId) {
+        return;
       }
-      
-      // Handle download button clicks
-      if (e.target.closest('.audio-download-btn')) {
-        const audioMessage = e.target.closest('.audio-message');
-        const audioElement = audioMessage.querySelector('audio');
-        this.downloadAudio(audioElement);
+    }
+
+    list.innerHTML = '';
+
+    if (scheduled.length === 0) {
+      list.innerHTML = '<div class="note-empty">Nothing scheduled</div>';
+      return;
+    }
+
+    const timeZone = this.stateManager.getTimeZone(conversation);
+
+    scheduled.forEach(message => {
+      const item = document.createElement('div');
+      item.className = 'scheduled-item';
+      item.setAttribute('data-message-id', message.id);
+
+      const dueAt = new Date(message.dueAt);
+      const time = document.createElement('div');
+      time.className = 'scheduled-time';
+      time.textContent = `🗓 ${dueAt.toLocaleString([], { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}`;
+      if (timeZone) {
+        time.title = `${dueAt.toLocaleString([], { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit' })} for ${conversation.name}`;
       }
-    });
+      item.appendChild(time);
 
-    // Handle progress bar clicks for seeking
-    document.addEventListener('click', (e) => {
-      if (e.target.closest('.audio-progress-bar')) {
-        const progressBar = e.target.closest('.audio-progress-bar');
-        const audioMessage = progressBar.closest('.audio-message');
-        const audioElement = audioMessage.querySelector('audio');
-        this.seekAudio(e, progressBar, audioElement);
+      if (String(message.id) === this.scheduledEditingId) {
+        item.appendChild(this.createScheduledEditForm(message));
+      } else {
+        const text = document.createElement('div');
+        text.className = 'scheduled-text';
+        text.textContent = message.text;
+
+        const actions = document.createElement('div');
+        actions.className = 'scheduled-actions';
+        [['edit', 'Edit'], ['send', 'Send now'], ['cancel', 'Cancel']].forEach(([action, label]) => {
+          const button = document.createElement('button');
+          button.className = 'ghost';
+          button.setAttribute('data-action', action);
+          button.textContent = label;
+          actions.appendChild(button);
+        });
+
+        item.appendChild(text);
+        item.appendChild(actions);
       }
+
+      list.appendChild(item);
     });
   }
 
   /**
-   * Toggle audio playback
-   * @param {string} audioId - Audio element ID
-   * @param {HTMLElement} button - Play button element
+   * Build the form that changes the time of a scheduled message, and the text of a text message
+   * @param {Object} message - Scheduled message
+   * @returns {HTMLFormElement} Edit form
    */
-  toggleAudioPlayback(audioId, button) {
-    const audioElement = document.getElementById(audioId);
-    if (!audioElement) return;
+  createScheduledEditForm(message) {
+    const form = document.createElement('form');
+    form.className = 'scheduled-edit';
+    form.setAttribute('data-message-id', message.id);
+
+    const time = document.createElement('input');
+    time.type = 'datetime-local';
+    time.name = 'dueAt';
+    time.required = true;
+    time.min = this.toDateTimeLocalValue(new Date());
+    time.value = this.toDateTimeLocalValue(new Date(message.dueAt));
+    form.appendChild(time);
+
+    // Voice notes can only be moved to another time
+    if (!message.isAudio) {
+      const text = document.createElement('textarea');
+      text.name = 'text';
+      text.rows = 3;
+      text.required = true;
+      text.value = message.text;
+      form.appendChild(text);
+    }
 
-    const playIcon = button.querySelector('.play-icon');
-    const pauseIcon = button.querySelector('.pause-icon');
-    const waveformBars = button.closest('.audio-message').querySelectorAll('.waveform-bar');
+    const actions = document.createElement('div');
+    actions.className = 'scheduled-actions';
 
-    if (audioElement.paused) {
-      // Stop all other audio elements
-      this.stopAllAudio();
-      
-      // Play this audio
-      audioElement.play().then(() => {
-        playIcon.style.display = 'none';
-        pauseIcon.style.display = 'inline';
-        waveformBars.forEach(bar => bar.classList.add('playing'));
-        this.startAudioProgressTracking(audioElement);
-      }).catch(error => {
-        console.error('Error playing audio:', error);
-        this.showToast('Error playing audio');
-      });
-    } else {
-      // Pause audio
-      audioElement.pause();
-      playIcon.style.display = 'inline';
-      pauseIcon.style.display = 'none';
-      waveformBars.forEach(bar => bar.classList.remove('playing'));
+    const back = document.createElement('button');
+    back.type = 'button';
+    back.className = 'ghost';
+    back.setAttribute('data-action', 'back');
+    back.textContent = 'Back';
+
+    const save = document.createElement('button');
+    save.type = 'submit';
+    save.className = 'send';
+    save.textContent = 'Save';
+
+    actions.appendChild(back);
+    actions.appendChild(save);
+    form.appendChild(actions);
+    return form;
+  }
+
+  /**
+   * Handle a button of the scheduled messages list
+   * @param {string} action - edit, back, send or cancel
+   * @param {string} messageId - ID of the scheduled message
+   */
+  handleScheduledAction(action, messageId) {
+    switch (action) {
+      case 'edit':
+        this.scheduledEditingId = messageId;
+        this.renderScheduledMessages();
+        this.elements.scheduledList.querySelector('.scheduled-edit input')?.focus();
+        break;
+      case 'back':
+        this.scheduledEditingId = null;
+        this.renderScheduledMessages();
+        break;
+      case 'send':
+        this.emit('retryMessage', messageId);
+        break;
+      case 'cancel':
+        if (window.confirm('Cancel this scheduled message?')) {
+          this.emit('deleteMessage', messageId);
+        }
+        break;
     }
   }
 
   /**
-   * Stop all audio playback
+   * Save the changes made in a scheduled message's edit form
+   * @param {HTMLFormElement} form - Edit form
    */
-  stopAllAudio() {
-    const allAudioElements = document.querySelectorAll('audio');
-    const allPlayButtons = document.querySelectorAll('.audio-play-btn');
-    const allWaveformBars = document.querySelectorAll('.waveform-bar');
+  saveScheduledEdit(form) {
+    const dueAt = this.parseDueAt(form.elements.dueAt.value);
+    if (!dueAt) {
+      this.showToast('Choose a time in the future');
+      return;
+    }
 
-    allAudioElements.forEach(audio => {
-      audio.pause();
-      audio.currentTime = 0;
+    const text = form.elements.text ? form.elements.text.value.trim() : undefined;
+    if (text === '') {
+      this.showToast('The message cannot be empty');
+      return;
+    }
+
+    this.scheduledEditingId = null;
+    this.emit('updateScheduledMessage', { id: form.getAttribute('data-message-id'), dueAt, text });
+    this.renderScheduledMessages();
+  }
+
+  /**
+   * Setup new conversation dialog event handlers
+   */
+  setupNewConversationHandlers() {
+    this.elements.newConversationButton?.addEventListener('click', () => {
+      this.showNewConversationModal();
     });
 
-    allPlayButtons.forEach(button => {
-      const playIcon = button.querySelector('.play-icon');
-      const pauseIcon = button.querySelector('.pause-icon');
-      if (playIcon && pauseIcon) {
-        playIcon.style.display = 'inline';
-        pauseIcon.style.display = 'none';
+    this.elements.newConversationCancel.addEventListener('click', () => {
+      this.hideNewConversationModal();
+    });
+
+    this.elements.newConversationModal.addEventListener('click', (e) => {
+      if (e.target === this.elements.newConversationModal) {
+        this.hideNewConversationModal();
+      }
+    });
+
+    this.elements.newConversationQuickReply.addEventListener('change', (e) => {
+      const reply = this.stateManager.getState().quickReplies.find(existing => existing.id === e.target.value);
+      if (reply) {
+        this.elements.newConversationMessage.value = reply.text;
+        this.elements.newConversationMessage.focus();
       }
+      e.target.value = '';
     });
 
-    allWaveformBars.forEach(bar => {
-      bar.classList.remove('playing');
+    this.elements.newConversationForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleStartConversation();
     });
   }
 
   /**
-   * Start tracking audio progress
-   * @param {HTMLAudioElement} audioElement - Audio element
+   * Open the new conversation dialog with empty fields
    */
-  startAudioProgressTracking(audioElement) {
-    const messageId = audioElement.id.replace('audio-', '');
-    const progressFill = document.getElementById(`progress-${messageId}`);
-    const timeDisplay = document.getElementById(`time-${messageId}`);
-
-    const updateProgress = () => {
-      if (!audioElement.paused) {
-        const progress = (audioElement.currentTime / audioElement.duration) * 100;
-        if (progressFill) {
-          progressFill.style.width = `${progress}%`;
-        }
-        
-        if (timeDisplay) {
-          timeDisplay.textContent = this.formatAudioTime(audioElement.currentTime);
-        }
-        
-        requestAnimationFrame(updateProgress);
-      }
+  showNewConversationModal() {
+    if (!this.elements.newConversationModal) return;
+
+    const createOption = (value, label) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      return option;
     };
 
-    // Handle audio end
-    audioElement.addEventListener('ended', () => {
-      const button = document.getElementById(`play-${messageId}`);
-      if (button) {
-        const playIcon = button.querySelector('.play-icon');
-        const pauseIcon = button.querySelector('.pause-icon');
-        const waveformBars = button.closest('.audio-message').querySelectorAll('.waveform-bar');
-        
-        playIcon.style.display = 'inline';
-        pauseIcon.style.display = 'none';
-        waveformBars.forEach(bar => bar.classList.remove('playing'));
-        
-        if (progressFill) progressFill.style.width = '0%';
-        if (timeDisplay) timeDisplay.textContent = '0:00';
-      }
-    });
+    this.elements.newConversationQuickReply.replaceChildren(
+      createOption('', 'Start from a quick reply...'),
+      ...this.stateManager.getState().quickReplies.map(reply => createOption(reply.id, reply.title))
+    );
 
-    updateProgress();
+    this.elements.newConversationForm.reset();
+    this.elements.newConversationSubmit.disabled = false;
+    this.showNewConversationError('');
+    this.newConversationOpen = true;
+    this.elements.newConversationModal.style.display = 'flex';
+    this.elements.newConversationNumber.focus();
   }
 
   /**
-   * Seek audio to specific position
-   * @param {Event} e - Click event
-   * @param {HTMLElement} progressBar - Progress bar element
-   * @param {HTMLAudioElement} audioElement - Audio element
+   * Close the new conversation dialog
    */
-  seekAudio(e, progressBar, audioElement) {
-    const rect = progressBar.getBoundingClientRect();
-    const clickX = e.clientX - rect.left;
-    const percentage = clickX / rect.width;
-    const newTime = percentage * audioElement.duration;
-    
-    if (!isNaN(newTime)) {
-      audioElement.currentTime = newTime;
-    }
+  hideNewConversationModal() {
+    if (!this.elements.newConversationModal) return;
+
+    this.newConversationOpen = false;
+    this.elements.newConversationModal.style.display = 'none';
   }
 
   /**
-   * Download audio file
-   * @param {HTMLAudioElement} audioElement - Audio element
+   * Show why the conversation could not be started and allow another attempt
+   * @param {string} error - Error message, empty to clear it
    */
-  downloadAudio(audioElement) {
-    const link = document.createElement('a');
-    link.href = audioElement.src;
-    link.download = `audio-message-${Date.now()}.mp4`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    
-    this.showToast('Audio download started');
+  showNewConversationError(error) {
+    if (!this.elements.newConversationError) return;
+
+    this.elements.newConversationError.textContent = error;
+    this.elements.newConversationSubmit.disabled = false;
+    if (error) {
+      this.elements.newConversationNumber.focus();
+    }
   }
 
   /**
-   * Format audio time in MM:SS format
-   * @param {number} seconds - Time in seconds
-   * @returns {string} Formatted time
+   * Check the dialog and ask the app to start the conversation
    */
-  formatAudioTime(seconds) {
-    if (isNaN(seconds)) return '0:00';
-    
-    const minutes = Math.floor(seconds / 60);
-    const remainingSeconds = Math.floor(seconds % 60);
-    return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+  handleStartConversation() {
+    const number = this.elements.newConversationNumber.value.trim();
+    const name = this.elements.newConversationName.value.trim();
+    const text = this.elements.newConversationMessage.value;
+
+    if (!number) {
+      this.showNewConversationError('Enter the phone number');
+      return;
+    }
+
+    if (!text.trim()) {
+      this.showNewConversationError('Write the first message');
+      this.elements.newConversationMessage.focus();
+      return;
+    }
+
+    const tags = [...new Set(this.elements.newConversationTags.value
+      .split(',')
+      .map(tag => this.stateManager.normalizeTag(tag))
+      .filter(Boolean))];
+
+    this.elements.newConversationSubmit.disabled = true;
+    this.emit('startConversation', {
+      number,
+      name,
+      tags,
+      message: this.stateManager.fillTemplate(text, { name: name || number, number })
+    });
   }
 
   /**
-   * Populate voice dropdown with options from config
+   * Setup broadcast campaign event handlers
    */
-  populateVoiceDropdown() {
-    if (!this.elements.voiceDropdown) return;
+  setupCampaignHandlers() {
+    this.elements.campaignButton?.addEventListener('click', () => {
+      this.showCampaignModal();
+    });
 
-    console.log('Populating voice dropdown with predefined notes:', this.config.PREDEFINED_VOICE_NOTES);
+    this.elements.campaignCloseButton.addEventListener('click', () => {
+      this.hideCampaignModal();
+    });
 
-    // Create record option
-    const recordOption = document.createElement('div');
-    recordOption.className = 'voice-option record-option';
-    recordOption.setAttribute('data-action', 'record');
-    recordOption.innerHTML = `
-      <span class="voice-icon">🎙️</span>
-      <div class="voice-details">
-        <div class="voice-name">Record New</div>
-        <div class="voice-desc">Record a new voice note</div>
-      </div>
-    `;
+    this.elements.campaignModal.addEventListener('click', (e) => {
+      if (e.target === this.elements.campaignModal) {
+        this.hideCampaignModal();
+      }
+    });
 
-    // Create separator
-    const separator = document.createElement('div');
-    separator.className = 'voice-separator';
+    // Any change to the recipients or message refreshes the preview
+    this.elements.campaignComposer.addEventListener('input', (e) => {
+      if (e.target === this.elements.campaignSource) {
+        this.campaignComposer.excluded.clear();
+      }
+      if (e.target === this.elements.campaignQuickReply && e.target.value) {
+        const reply = this.stateManager.getState().quickReplies.find(existing => existing.id === e.target.value);
+        if (reply) this.elements.campaignText.value = reply.text;
+        e.target.value = '';
+      }
+      this.renderCampaignPreview();
+    });
 
-    // Add to dropdown
-    this.elements.voiceDropdown.appendChild(recordOption);
-    this.elements.voiceDropdown.appendChild(separator);
+    this.elements.campaignPreview.addEventListener('change', (e) => {
+      const checkbox = e.target.closest('input[data-conversation-id]');
+      if (!checkbox) return;
 
-    // Create predefined options
-    this.config.PREDEFINED_VOICE_NOTES.forEach(voiceNote => {
-      const option = document.createElement('div');
-      option.className = 'voice-option';
-      option.setAttribute('data-action', 'predefined');
-      option.setAttribute('data-voice-id', voiceNote.id);
-      
-      // Extract emoji from name (first character if it's an emoji)
-      const emoji = voiceNote.name.match(/^[\u{1F600}-\u{1F64F}]|^[\u{1F300}-\u{1F5FF}]|^[\u{1F680}-\u{1F6FF}]|^[\u{1F1E0}-\u{1F1FF}]|^[\u{2600}-\u{26FF}]|^[\u{2700}-\u{27BF}]/u);
-      const icon = emoji ? emoji[0] : '🎵';
-      const name = voiceNote.name.replace(/^[\u{1F600}-\u{1F64F}]|^[\u{1F300}-\u{1F5FF}]|^[\u{1F680}-\u{1F6FF}]|^[\u{1F1E0}-\u{1F1FF}]|^[\u{2600}-\u{26FF}]|^[\u{2700}-\u{27BF}]/u, '').trim();
-      
-      option.innerHTML = `
-        <span class="voice-icon">${icon}</span>
-        <div class="voice-details">
-          <div class="voice-name">${name}</div>
-          <div class="voice-desc">${voiceNote.description}</div>
-        </div>
-      `;
+      const conversationId = checkbox.getAttribute('data-conversation-id');
+      if (checkbox.checked) {
+        this.campaignComposer.excluded.delete(conversationId);
+      } else {
+        this.campaignComposer.excluded.add(conversationId);
+      }
+      this.renderCampaignPreview();
+    });
 
-      this.elements.voiceDropdown.appendChild(option);
+    this.elements.campaignToggleAll.addEventListener('click', () => {
+      const recipients = this.stateManager.getCampaignRecipients(this.getCampaignSource());
+      if (this.campaignComposer.excluded.size > 0) {
+        this.campaignComposer.excluded.clear();
+      } else {
+        recipients.forEach(conversation => this.campaignComposer.excluded.add(String(conversation.id)));
+      }
+      this.renderCampaignPreview();
+    });
+
+    this.elements.campaignComposer.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleStartCampaign();
+    });
+
+    this.elements.campaignProgress.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-campaign-action]');
+      if (!button) return;
+      this.handleCampaignAction(button.getAttribute('data-campaign-action'), this.campaignComposer.campaignId);
     });
 
-    console.log('Voice dropdown populated with', this.elements.voiceDropdown.children.length, 'options');
+    this.elements.campaignHistory.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-campaign-id]');
+      if (item) {
+        this.showCampaign(item.getAttribute('data-campaign-id'));
+      }
+    });
   }
 
   /**
-   * Setup voice recording event handlers
+   * Open the campaign dialog, on the campaign still in progress if there is one
    */
-  setupVoiceRecordingHandlers() {
-    // Initialize voice recording state
-    this.voiceRecording = {
-      isRecording: false,
-      mediaRecorder: null,
-      audioChunks: [],
-      startTime: null,
-      timerInterval: null
-    };
+  showCampaignModal() {
+    if (!this.elements.campaignModal) return;
 
-    // Recording overlay event listeners
-    if (this.elements.cancelRecordingButton) {
-      this.elements.cancelRecordingButton.addEventListener('click', () => {
-        this.cancelVoiceRecording();
-      });
-    }
+    const { campaigns } = this.stateManager.getState();
+    const current = campaigns.find(campaign => ['running', 'paused'].includes(campaign.status));
 
-    if (this.elements.stopRecordingButton) {
-      this.elements.stopRecordingButton.addEventListener('click', () => {
-        this.stopVoiceRecording();
-      });
+    this.campaignComposer.open = true;
+    this.elements.campaignModal.style.display = 'flex';
+    this.populateCampaignOptions();
+
+    if (current) {
+      this.showCampaign(current.id);
+    } else {
+      this.showCampaignComposer();
     }
+  }
 
-    // Voice dropdown option handlers
-    document.addEventListener('click', (e) => {
-      const voiceOption = e.target.closest('.voice-option');
-      if (voiceOption) {
-        this.handleVoiceOptionClick(voiceOption);
-        return;
-      }
-      
-      // Close dropdown when clicking outside
-      if (!e.target.closest('.voice-menu-container')) {
-        this.hideVoiceDropdown();
-      }
-    });
+  /**
+   * Close the campaign dialog; a running campaign keeps sending
+   */
+  hideCampaignModal() {
+    if (!this.elements.campaignModal) return;
+
+    this.campaignComposer.open = false;
+    this.elements.campaignModal.style.display = 'none';
+  }
 
-    // Close recording on escape key
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        if (this.voiceRecording.isRecording) {
-          this.cancelVoiceRecording();
-        } else {
-          this.hideVoiceDropdown();
-        }
-      }
-    });
+  /**
+   * Switch the campaign dialog to composing a new campaign
+   */
+  showCampaignComposer() {
+    this.campaignComposer.campaignId = null;
+    this.campaignComposer.excluded.clear();
+    this.elements.campaignComposer.hidden = false;
+    this.elements.campaignProgress.hidden = true;
+    this.renderCampaignPreview();
+    this.renderCampaigns();
+    this.elements.campaignName.focus();
   }
 
   /**
-   * Toggle voice dropdown menu
+   * Switch the campaign dialog to the progress and results of a campaign
+   * @param {string} id - Campaign ID
    */
-  toggleVoiceDropdown() {
-    console.log('Toggle voice dropdown clicked');
-    
-    if (!this.stateManager.getState().isManualMode) {
-      this.showToast('Activate "Take control" to send voice notes.');
-      return;
-    }
+  showCampaign(id) {
+    if (!this.elements.campaignModal) return;
 
-    if (this.elements.voiceDropdown) {
-      const isVisible = this.elements.voiceDropdown.classList.contains('show');
-      console.log('Dropdown currently visible:', isVisible);
-      console.log('Dropdown element:', this.elements.voiceDropdown);
-      console.log('Dropdown children count:', this.elements.voiceDropdown.children.length);
-      
-      if (isVisible) {
-        this.hideVoiceDropdown();
-      } else {
-        this.showVoiceDropdown();
-      }
-    } else {
-      console.error('Voice dropdown element not found!');
+    if (!this.campaignComposer.open) {
+      this.campaignComposer.open = true;
+      this.elements.campaignModal.style.display = 'flex';
+      this.populateCampaignOptions();
     }
+
+    this.campaignComposer.campaignId = id;
+    this.elements.campaignComposer.hidden = true;
+    this.elements.campaignProgress.hidden = false;
+    this.renderCampaigns();
   }
 
   /**
-   * Show voice dropdown menu
+   * Fill the recipient, quick reply and voice note pickers from the current state
    */
-  showVoiceDropdown() {
-    console.log('Showing voice dropdown');
-    if (this.elements.voiceDropdown) {
-      this.elements.voiceDropdown.classList.add('show');
-      console.log('Added show class, dropdown should be visible');
-      console.log('Dropdown display style:', window.getComputedStyle(this.elements.voiceDropdown).display);
+  populateCampaignOptions() {
+    const state = this.stateManager.getState();
+    const source = this.elements.campaignSource.value;
+
+    const createOption = (value, label) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      return option;
+    };
+
+    const viewGroup = document.createElement('optgroup');
+    viewGroup.label = 'Views';
+    state.views.forEach(view => viewGroup.appendChild(createOption(`view:${view.id}`, view.name)));
+
+    const tagGroup = document.createElement('optgroup');
+    tagGroup.label = 'Tags';
+    this.stateManager.getKnownTags().forEach(tag => tagGroup.appendChild(createOption(`tag:${tag}`, `#${tag}`)));
+
+    this.elements.campaignSource.replaceChildren(viewGroup, tagGroup);
+    if ([...this.elements.campaignSource.options].some(option => option.value === source)) {
+      this.elements.campaignSource.value = source;
+    }
+
+    this.elements.campaignQuickReply.replaceChildren(
+      createOption('', 'Start from a quick reply...'),
+      ...state.quickReplies.map(reply => createOption(reply.id, reply.title))
+    );
+
+    const voiceNote = this.elements.campaignVoice.value;
+    this.elements.campaignVoice.replaceChildren(
+      ...state.voiceNotes.map(note => createOption(note.id, note.name))
+    );
+    if (state.voiceNotes.some(note => note.id === voiceNote)) {
+      this.elements.campaignVoice.value = voiceNote;
     }
   }
 
   /**
-   * Hide voice dropdown menu
+   * Get the recipient source chosen in the composer
+   * @returns {Object|null} Source with type, value and label
    */
-  hideVoiceDropdown() {
-    if (this.elements.voiceDropdown) {
-      this.elements.voiceDropdown.classList.remove('show');
-    }
+  getCampaignSource() {
+    const select = this.elements.campaignSource;
+    const value = select.value;
+    if (!value) return null;
+
+    const separator = value.indexOf(':');
+    return {
+      type: value.slice(0, separator),
+      value: value.slice(separator + 1),
+      label: select.options[select.selectedIndex]?.textContent || value
+    };
   }
 
   /**
-   * Handle voice option click
-   * @param {HTMLElement} optionElement - Clicked option element
+   * Get the message kind chosen in the composer
+   * @returns {string} 'text' or 'voice'
    */
-  async handleVoiceOptionClick(optionElement) {
-    const action = optionElement.getAttribute('data-action');
-    const voiceId = optionElement.getAttribute('data-voice-id');
+  getCampaignKind() {
+    const checked = this.elements.campaignComposer.querySelector('input[name="campaign-kind"]:checked');
+    return checked ? checked.value : 'text';
+  }
 
-    this.hideVoiceDropdown();
+  /**
+   * Build the campaign described by the composer
+   * @returns {Object} Draft with name, source, template and the ticked recipients
+   */
+  getCampaignDraft() {
+    const source = this.getCampaignSource();
+    const kind = this.getCampaignKind();
+    const text = this.elements.campaignText.value;
+    const voiceNote = this.stateManager.getState().voiceNotes.find(note => note.id === this.elements.campaignVoice.value);
+
+    const template = kind === 'voice'
+      ? { kind, voiceNoteId: voiceNote?.id || null, name: voiceNote?.name || '' }
+      : { kind, text };
+
+    const recipients = this.stateManager.getCampaignRecipients(source)
+      .filter(conversation => !this.campaignComposer.excluded.has(String(conversation.id)))
+      .map(conversation => ({
+        conversationId: conversation.id,
+        number: conversation.number,
+        name: conversation.name,
+        text: kind === 'text' ? this.stateManager.fillTemplate(text, conversation) : null
+      }));
+
+    return {
+      name: this.elements.campaignName.value.trim() || `${source?.label || 'Campaign'} – ${new Date().toLocaleDateString()}`,
+      source,
+      template,
+      recipients
+    };
+  }
 
-    if (action === 'record') {
-      await this.startVoiceRecording();
-    } else if (action === 'predefined' && voiceId) {
-      this.sendPredefinedVoiceNote(voiceId);
+  /**
+   * Show each recipient with the message they would receive
+   */
+  renderCampaignPreview() {
+    if (!this.elements.campaignPreview) return;
+
+    const kind = this.getCampaignKind();
+    this.elements.campaignTextTemplate.hidden = kind !== 'text';
+    this.elements.campaignVoice.hidden = kind !== 'voice';
+
+    const recipients = this.stateManager.getCampaignRecipients(this.getCampaignSource());
+    const text = this.elements.campaignText.value;
+    const voiceNote = this.stateManager.getState().voiceNotes.find(note => note.id === this.elements.campaignVoice.value);
+    const selected = recipients.filter(conversation => !this.campaignComposer.excluded.has(String(conversation.id))).length;
+
+    this.elements.campaignRecipientCount.textContent = `${selected} of ${recipients.length} recipient${recipients.length === 1 ? '' : 's'} selected`;
+    this.elements.campaignToggleAll.textContent = this.campaignComposer.excluded.size > 0 ? 'Select all' : 'Select none';
+    this.elements.campaignPreview.innerHTML = '';
+
+    if (recipients.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'campaign-empty';
+      empty.textContent = 'No conversations with a phone number in this view or tag';
+      this.elements.campaignPreview.appendChild(empty);
+      return;
     }
+
+    recipients.forEach(conversation => {
+      const id = String(conversation.id);
+      const row = document.createElement('label');
+      row.className = 'campaign-recipient';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !this.campaignComposer.excluded.has(id);
+      checkbox.setAttribute('data-conversation-id', id);
+
+      const details = document.createElement('div');
+      details.className = 'campaign-recipient-details';
+
+      const name = document.createElement('div');
+      name.className = 'campaign-recipient-name';
+      name.textContent = `${conversation.name} · ${conversation.number}`;
+
+      const message = document.createElement('div');
+      message.className = 'campaign-recipient-message';
+      if (kind === 'voice') {
+        message.textContent = voiceNote ? `🎵 ${voiceNote.name}` : 'Choose a voice note';
+      } else {
+        const rendered = this.stateManager.fillTemplate(text, conversation);
+        message.textContent = rendered || 'Write a message';
+        // Variables that could not be filled are sent as typed, so they are flagged here
+        message.classList.toggle('warning', /\{\{\s*\w+\s*\}\}/.test(rendered));
+      }
+
+      details.appendChild(name);
+      details.appendChild(message);
+      row.appendChild(checkbox);
+      row.appendChild(details);
+      this.elements.campaignPreview.appendChild(row);
+    });
   }
 
   /**
-   * Send predefined voice note
-   * @param {string} voiceId - ID of the predefined voice note
+   * Confirm and start the campaign described by the composer
    */
-  async sendPredefinedVoiceNote(voiceId) {
-    const predefinedVoice = this.config.PREDEFINED_VOICE_NOTES.find(voice => voice.id === voiceId);
-    if (!predefinedVoice) {
-      this.showToast('Voice note not found');
+  handleStartCampaign() {
+    const draft = this.getCampaignDraft();
+
+    if (!draft.source) {
+      this.showToast('Choose who to send the campaign to');
       return;
     }
 
-    const conversation = this.stateManager.getActiveConversation();
-    if (!conversation) {
-      this.showToast('No conversation selected');
+    if (draft.template.kind === 'text' && !draft.template.text.trim()) {
+      this.showToast('Write the campaign message first');
       return;
     }
 
-    try {
-      console.log('Sending predefined voice note:', predefinedVoice.name);
-      
-      // Use the existing API service to send voice message
-      const result = await window.app.apiService.sendVoiceMessage(conversation.number, predefinedVoice.base64);
-      
-      if (result.success) {
-        this.showToast(`${predefinedVoice.name} sent successfully`);
-        
-        // Add message to local state for immediate feedback
-        const messageData = {
-          id: Date.now(),
-          from: 'admin',
-          type: 4, // Admin intervention
-          label: `👨‍💼 Admin - ${predefinedVoice.name}`,
-          color: 'out',
-          text: `🎵 ${predefinedVoice.name}`,
-          isAudio: true,
-          audioData: predefinedVoice.base64,
-          audioUrl: window.app.apiService.convertBase64ToAudioUrl(`data:audio/mp4;base64,${predefinedVoice.base64}`),
-          timestamp: new Date()
-        };
-        
-        this.stateManager.addMessage(conversation.id, messageData);
-        this.addMessageWithAnimation(messageData);
-        
-      } else {
-        this.showToast(result.error || 'Failed to send voice note');
-      }
-    } catch (error) {
-      console.error('Error sending predefined voice note:', error);
-      this.showToast('Failed to send voice note');
+    if (draft.template.kind === 'voice' && !draft.template.voiceNoteId) {
+      this.showToast('Choose a voice note from the library');
+      return;
+    }
+
+    if (draft.recipients.length === 0) {
+      this.showToast('Select at least one recipient');
+      return;
     }
+
+    const count = `${draft.recipients.length} recipient${draft.recipients.length === 1 ? '' : 's'}`;
+    if (!confirm(`Send "${draft.name}" to ${count}?`)) return;
+
+    this.emit('startCampaign', draft);
   }
 
   /**
-   * Start voice recording
+   * Run an action from the campaign progress pane
+   * @param {string} action - pause, resume, cancel, report, remove or new
+   * @param {string} id - Campaign ID
    */
-  async startVoiceRecording() {
-    try {
-      // Request microphone permission
-      const stream = await navigator.mediaDevices.getUserMedia({ 
-        audio: {
-          echoCancellation: true,
-          noiseSuppression: true,
-          autoGainControl: true
+  handleCampaignAction(action, id) {
+    switch (action) {
+      case 'pause':
+        this.emit('pauseCampaign', id);
+        break;
+      case 'resume':
+        this.emit('resumeCampaign', id);
+        break;
+      case 'cancel':
+        if (confirm('Cancel this campaign? Recipients not reached yet will be skipped.')) {
+          this.emit('cancelCampaign', id);
         }
-      });
+        break;
+      case 'report':
+        this.emit('downloadCampaignReport', id);
+        break;
+      case 'remove':
+        this.emit('deleteCampaign', id);
+        this.showCampaignComposer();
+        break;
+      case 'new':
+        this.showCampaignComposer();
+        break;
+      default:
+        break;
+    }
+  }
 
-      // Initialize MediaRecorder
-      this.voiceRecording.mediaRecorder = new MediaRecorder(stream, {
-        mimeType: 'audio/webm;codecs=opus'
-      });
+  /**
+   * Render the campaign progress pane and history
+   */
+  renderCampaigns() {
+    if (!this.elements.campaignModal || !this.campaignComposer.open) return;
 
-      this.voiceRecording.audioChunks = [];
-      this.voiceRecording.isRecording = true;
-      this.voiceRecording.startTime = Date.now();
+    const { campaigns } = this.stateManager.getState();
+    const campaign = campaigns.find(existing => existing.id === this.campaignComposer.campaignId);
 
-      // Setup MediaRecorder events
-      this.voiceRecording.mediaRecorder.ondataavailable = (event) => {
-        if (event.data.size > 0) {
-          this.voiceRecording.audioChunks.push(event.data);
-        }
-      };
+    if (this.campaignComposer.campaignId && !campaign) {
+      this.showCampaignComposer();
+      return;
+    }
 
-      this.voiceRecording.mediaRecorder.onstop = () => {
-        this.processRecordedAudio();
-        stream.getTracks().forEach(track => track.stop()); // Stop microphone
-      };
+    if (campaign) {
+      this.renderCampaignProgress(campaign);
+    }
 
-      // Start recording
-      this.voiceRecording.mediaRecorder.start();
+    this.elements.campaignHistory.innerHTML = '';
+    campaigns.forEach(existing => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = `campaign-history-item${existing.id === this.campaignComposer.campaignId ? ' active' : ''}`;
+      item.setAttribute('data-campaign-id', existing.id);
 
-      // Update UI
-      this.elements.voiceRecordButton.classList.add('recording');
-      this.elements.recordingOverlay.style.display = 'flex';
-      
-      // Start timer
-      this.startRecordingTimer();
+      const summary = this.stateManager.getCampaignSummary(existing);
+      item.textContent = `${existing.name} · ${this.getCampaignStatusLabel(existing.status)} · ${summary.sent}/${summary.total} sent`;
+      this.elements.campaignHistory.appendChild(item);
+    });
+  }
 
-      console.log('Voice recording started');
+  /**
+   * Render the progress, controls and per-recipient status of a campaign
+   * @param {Object} campaign - Campaign
+   */
+  renderCampaignProgress(campaign) {
+    const summary = this.stateManager.getCampaignSummary(campaign);
+    const done = summary.total - summary.pending;
+    const container = this.elements.campaignProgress;
+    // The pane is rebuilt on every update, so keep the recipient list where the operator scrolled it
+    const scrollTop = container.querySelector('.campaign-preview')?.scrollTop || 0;
+    container.innerHTML = '';
+
+    const title = document.createElement('div');
+    title.className = 'campaign-progress-title';
+    title.textContent = campaign.name;
+
+    const status = document.createElement('div');
+    status.className = `campaign-progress-status ${campaign.status}`;
+    status.textContent = [
+      this.getCampaignStatusLabel(campaign.status),
+      campaign.source?.label,
+      campaign.template.kind === 'voice' ? `🎵 ${campaign.template.name}` : null,
+      campaign.pauseReason
+    ].filter(Boolean).join(' · ');
+
+    const bar = document.createElement('div');
+    bar.className = 'campaign-bar';
+    const fill = document.createElement('div');
+    fill.className = 'campaign-bar-fill';
+    fill.style.width = `${summary.total ? (done / summary.total) * 100 : 0}%`;
+    bar.appendChild(fill);
+
+    const counts = document.createElement('div');
+    counts.className = 'campaign-counts';
+    counts.textContent = [
+      `${summary.sent} sent`,
+      summary.failed ? `${summary.failed} failed` : null,
+      summary.queued ? `${summary.queued} queued` : null,
+      summary.skipped ? `${summary.skipped} skipped` : null,
+      summary.pending ? `${summary.pending} to go` : null
+    ].filter(Boolean).join(' · ');
+
+    const actions = document.createElement('div');
+    actions.className = 'campaign-actions';
+    const addAction = (action, label, className = 'ghost') => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = className;
+      button.setAttribute('data-campaign-action', action);
+      button.textContent = label;
+      actions.appendChild(button);
+    };
 
-    } catch (error) {
-      console.error('Error starting voice recording:', error);
-      
-      if (error.name === 'NotAllowedError') {
-        this.showToast('Microphone permission denied. Please allow access to record voice notes.');
-      } else if (error.name === 'NotFoundError') {
-        this.showToast('No microphone found. Please connect a microphone.');
-      } else {
-        this.showToast('Error starting voice recording. Please try again.');
-      }
+    if (campaign.status === 'running') addAction('pause', 'Pause');
+    if (campaign.status === 'paused') addAction('resume', 'Resume', '');
+    if (['running', 'paused'].includes(campaign.status)) addAction('cancel', 'Cancel', 'ghost danger');
+    addAction('report', 'Download report');
+    if (!['running', 'paused'].includes(campaign.status)) {
+      addAction('remove', 'Remove', 'ghost danger');
+      addAction('new', 'New campaign', '');
     }
+
+    const list = document.createElement('div');
+    list.className = 'campaign-preview';
+    campaign.recipients.forEach(recipient => {
+      const row = document.createElement('div');
+      row.className = `campaign-recipient ${recipient.status}`;
+
+      const state = document.createElement('span');
+      state.className = 'campaign-recipient-status';
+      state.textContent = this.getCampaignStatusLabel(recipient.status);
+
+      const details = document.createElement('div');
+      details.className = 'campaign-recipient-details';
+      const name = document.createElement('div');
+      name.className = 'campaign-recipient-name';
+      name.textContent = `${recipient.name} · ${recipient.number}`;
+      details.appendChild(name);
+
+      if (recipient.error) {
+        const error = document.createElement('div');
+        error.className = 'campaign-recipient-message warning';
+        error.textContent = recipient.error;
+        details.appendChild(error);
+      }
+
+      row.appendChild(state);
+      row.appendChild(details);
+      list.appendChild(row);
+    });
+
+    container.append(title, status, bar, counts, actions, list);
+    list.scrollTop = scrollTop;
   }
 
   /**
-   * Stop voice recording and send
+   * Get the label for a campaign or recipient status
+   * @param {string} status - Status
+   * @returns {string} Label
    */
-  stopVoiceRecording() {
-    if (!this.voiceRecording.isRecording) return;
-
-    console.log('Stopping voice recording...');
-    this.voiceRecording.mediaRecorder.stop();
-    this.resetRecordingUI();
+  getCampaignStatusLabel(status) {
+    const labels = {
+      running: '📤 Sending',
+      paused: '⏸ Paused',
+      completed: '✓ Completed',
+      cancelled: '✕ Cancelled',
+      pending: '⏳ Waiting',
+      sending: '📤 Sending',
+      sent: '✓ Sent',
+      failed: '⚠ Failed',
+      queued: '🕓 Queued',
+      skipped: '– Skipped'
+    };
+    return labels[status] || status;
   }
 
   /**
-   * Cancel voice recording without sending
+   * Offer text as a file download
+   * @param {string} filename - Suggested file name
+   * @param {string} content - File content
+   * @param {string} type - MIME type
    */
-  cancelVoiceRecording() {
-    if (!this.voiceRecording.isRecording) return;
-
-    console.log('Cancelling voice recording...');
-    this.voiceRecording.mediaRecorder.stop();
-    this.voiceRecording.audioChunks = []; // Clear audio data
-    this.resetRecordingUI();
-    this.showToast('Voice recording cancelled');
+  downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
   }
 
   /**
-   * Process recorded audio and send
+   * Show the login form
+   * @param {string} message - Optional reason, e.g. an expired session
    */
-  async processRecordedAudio() {
-    if (this.voiceRecording.audioChunks.length === 0) return;
-
-    try {
-      // Create audio blob
-      const audioBlob = new Blob(this.voiceRecording.audioChunks, { 
-        type: 'audio/webm;codecs=opus' 
-      });
-
-      console.log('Processing recorded audio, size:', audioBlob.size, 'bytes');
+  showLoginModal(message = '') {
+    if (!this.elements.loginModal) {
+      console.error('Login form is missing from this page');
+      return;
+    }
 
-      // Convert to base64
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        const base64Audio = reader.result.split(',')[1]; // Remove "data:audio/webm;base64,"
-        console.log('Audio converted to base64, length:', base64Audio.length);
-        
-        // Send via API
-        this.sendVoiceMessage(base64Audio);
-      };
-      
-      reader.readAsDataURL(audioBlob);
+    this.elements.loginModal.style.display = 'flex';
+    this.elements.loginSubmit.disabled = false;
+    this.elements.loginPassword.value = '';
+    this.setLoginMessage(message);
+    this.elements.loginUsername.focus();
+  }
 
-    } catch (error) {
-      console.error('Error processing recorded audio:', error);
-      this.showToast('Error processing voice recording');
-    }
+  /**
+   * Check whether the login form is showing
+   * @returns {boolean} Whether the operator still has to sign in
+   */
+  isLoginModalVisible() {
+    return Boolean(this.elements.loginModal && this.elements.loginModal.style.display === 'flex');
   }
 
   /**
-   * Send voice message via API
-   * @param {string} base64Audio - Base64 encoded audio data
+   * Hide the login form after a successful sign in
    */
-  async sendVoiceMessage(base64Audio) {
-    const conversation = this.stateManager.getActiveConversation();
-    if (!conversation) {
-      this.showToast('No conversation selected');
-      return;
-    }
+  hideLoginModal() {
+    if (!this.elements.loginModal) return;
 
-    try {
-      // Use the existing API service to send voice message
-      const result = await window.app.apiService.sendVoiceMessage(conversation.number, base64Audio);
-      
-      if (result.success) {
-        this.showToast('Voice message sent successfully');
-        
-        // Add message to local state for immediate feedback
-        const messageData = {
-          id: Date.now(),
-          from: 'admin',
-          type: 4, // Admin intervention
-          label: '👨‍💼 Admin Voice',
-          color: 'out',
-          text: '🎵 Voice Message',
-          isAudio: true,
-          audioData: base64Audio,
-          audioUrl: window.app.apiService.convertBase64ToAudioUrl(`data:audio/webm;base64,${base64Audio}`),
-          timestamp: new Date()
-        };
-        
-        this.stateManager.addMessage(conversation.id, messageData);
-        this.addMessageWithAnimation(messageData);
-        
-      } else {
-        this.showToast(result.error || 'Failed to send voice message');
-      }
-    } catch (error) {
-      console.error('Error sending voice message:', error);
-      this.showToast('Failed to send voice message');
-    }
+    this.elements.loginModal.style.display = 'none';
+    this.elements.loginPassword.value = '';
+    this.setLoginMessage('');
   }
 
   /**
-   * Start recording timer
+   * Show why signing in failed and allow another attempt
+   * @param {string} error - Error message
    */
-  startRecordingTimer() {
-    this.voiceRecording.timerInterval = setInterval(() => {
-      const elapsed = Math.floor((Date.now() - this.voiceRecording.startTime) / 1000);
-      const minutes = Math.floor(elapsed / 60);
-      const seconds = elapsed % 60;
-      
-      if (this.elements.recordingTime) {
-        this.elements.recordingTime.textContent = 
-          `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-      }
+  showLoginError(error) {
+    if (!this.elements.loginModal) return;
 
-      // Auto-stop after 5 minutes
-      if (elapsed >= 300) {
-        this.stopVoiceRecording();
-        this.showToast('Recording stopped: 5 minute limit reached');
-      }
-    }, 1000);
+    this.elements.loginSubmit.disabled = false;
+    this.setLoginMessage(error || 'Failed to sign in', true);
+    this.elements.loginPassword.focus();
   }
 
   /**
-   * Reset recording UI to initial state
+   * Set the text above the login fields
+   * @param {string} message - Message text
+   * @param {boolean} isError - Whether to style it as an error
    */
-  resetRecordingUI() {
-    this.voiceRecording.isRecording = false;
-    
-    // Clear timer
-    if (this.voiceRecording.timerInterval) {
-      clearInterval(this.voiceRecording.timerInterval);
-      this.voiceRecording.timerInterval = null;
-    }
+  setLoginMessage(message, isError = false) {
+    if (!this.elements.loginMessage) return;
 
-    // Reset UI elements
-    this.elements.voiceRecordButton.classList.remove('recording');
-    this.elements.recordingOverlay.style.display = 'none';
-    
-    if (this.elements.recordingTime) {
-      this.elements.recordingTime.textContent = '00:00';
-    }
+    this.elements.loginMessage.textContent = message;
+    this.elements.loginMessage.classList.toggle('error', isError);
   }
 
   /**
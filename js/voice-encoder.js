@@ -0,0 +1,422 @@
+/**
+ * Voice encoder module for WhatsApp Admin Panel
+ * Picks a recording format the browser supports and converts recordings to OGG Opus,
+ * the container WhatsApp uses for voice notes, falling back to WAV
+ */
+
+class VoiceEncoder {
+  constructor() {
+    // Recording formats in order of preference
+    this.recordingTypes = [
+      'audio/ogg;codecs=opus',
+      'audio/webm;codecs=opus',
+      'audio/mp4;codecs=mp4a.40.2',
+      'audio/mp4',
+      'audio/webm'
+    ];
+    this.oggMimeType = 'audio/ogg; codecs=opus';
+    this.wavSampleRate = 16000;
+    this.crcTable = null;
+  }
+
+  /**
+   * Pick the first recording format MediaRecorder supports
+   * @returns {string} MIME type, or an empty string to let the browser choose
+   */
+  getRecordingMimeType() {
+    if (typeof MediaRecorder === 'undefined' || typeof MediaRecorder.isTypeSupported !== 'function') return '';
+    return this.recordingTypes.find(type => MediaRecorder.isTypeSupported(type)) || '';
+  }
+
+  /**
+   * Convert a recording for sending
+   * OGG recordings are kept as they are, WebM Opus is remuxed to OGG without re-encoding,
+   * and anything else is decoded and written as WAV
+   * @param {Blob} blob - Recorded audio
+   * @param {Object} range - Optional start and end in seconds to keep
+   * @returns {Promise<Object>} Converted blob, mimeType and format ('ogg' or 'wav')
+   */
+  async encode(blob, range = null) {
+    const type = (blob.type || '').toLowerCase();
+
+    if (type.startsWith('audio/ogg') && !range) {
+      return { blob, mimeType: this.oggMimeType, format: 'ogg' };
+    }
+
+    if (type.startsWith('audio/webm') || type.startsWith('video/webm')) {
+      try {
+        const ogg = this.remuxWebmToOgg(new Uint8Array(await blob.arrayBuffer()), range);
+        return { blob: ogg, mimeType: this.oggMimeType, format: 'ogg' };
+      } catch (error) {
+        console.warn('Could not remux WebM recording, falling back to WAV:', error);
+      }
+    }
+
+    return { blob: await this.transcodeToWav(blob, range), mimeType: 'audio/wav', format: 'wav' };
+  }
+
+  /**
+   * Copy the Opus packets of a WebM file into an OGG file
+   * @param {Uint8Array} bytes - WebM file
+   * @param {Object} range - Optional start and end in seconds to keep
+   * @returns {Blob} OGG Opus file
+   */
+  remuxWebmToOgg(bytes, range = null) {
+    const track = this.readWebmOpus(bytes);
+    const packets = range
+      ? track.packets.filter(packet => packet.time >= range.start - 0.001 && packet.time < range.end)
+      : track.packets;
+
+    if (packets.length === 0) throw new Error('No Opus audio in recording');
+
+    return this.writeOgg(this.createOpusHead(track), packets.map(packet => packet.data));
+  }
+
+  /**
+   * Read the Opus track of a WebM file
+   * Handles the unknown-size segments and clusters MediaRecorder writes while recording
+   * @param {Uint8Array} bytes - WebM file
+   * @returns {Object} Track with number, channels, sampleRate, codecPrivate and packets (time in seconds, data)
+   */
+  readWebmOpus(bytes) {
+    const ids = {
+      SEGMENT: 0x18538067, TRACKS: 0x1654AE6B, TRACK_ENTRY: 0xAE, TRACK_NUMBER: 0xD7,
+      CODEC_ID: 0x86, CODEC_PRIVATE: 0x63A2, AUDIO: 0xE1, SAMPLING_FREQUENCY: 0xB5, CHANNELS: 0x9F,
+      INFO: 0x1549A966, TIMECODE_SCALE: 0x2AD7B1, CLUSTER: 0x1F43B675, TIMECODE: 0xE7,
+      BLOCK_GROUP: 0xA0, BLOCK: 0xA1, SIMPLE_BLOCK: 0xA3
+    };
+    // Containers are entered rather than skipped, so their size is never needed
+    const containers = new Set([ids.SEGMENT, ids.TRACKS, ids.TRACK_ENTRY, ids.AUDIO, ids.INFO, ids.CLUSTER, ids.BLOCK_GROUP]);
+
+    const tracks = [];
+    const blocks = [];
+    let timecodeScale = 1000000;
+    let clusterTime = 0;
+    let offset = 0;
+
+    while (offset < bytes.length) {
+      const id = this.readVint(bytes, offset, false);
+      if (!id) break;
+      const size = this.readVint(bytes, offset + id.length, true);
+      if (!size) break;
+
+      const start = offset + id.length + size.length;
+      if (containers.has(id.value)) {
+        if (id.value === ids.TRACK_ENTRY) tracks.push({});
+        offset = start;
+        continue;
+      }
+
+      if (size.value === null) throw new Error('Unknown-size element in WebM file');
+      const end = Math.min(bytes.length, start + size.value);
+      const data = bytes.subarray(start, end);
+      const track = tracks[tracks.length - 1];
+
+      switch (id.value) {
+        case ids.TIMECODE_SCALE: timecodeScale = this.readUint(data); break;
+        case ids.TRACK_NUMBER: if (track) track.number = this.readUint(data); break;
+        case ids.CODEC_ID: if (track) track.codecId = String.fromCharCode(...data); break;
+        case ids.CODEC_PRIVATE: if (track) track.codecPrivate = data; break;
+        case ids.CHANNELS: if (track) track.channels = this.readUint(data); break;
+        case ids.SAMPLING_FREQUENCY: if (track) track.sampleRate = this.readFloat(data); break;
+        case ids.TIMECODE: clusterTime = this.readUint(data); break;
+        case ids.SIMPLE_BLOCK:
+        case ids.BLOCK:
+          blocks.push({ clusterTime, data });
+          break;
+        default:
+          break;
+      }
+
+      offset = end;
+    }
+
+    const track = tracks.find(entry => entry.codecId === 'A_OPUS');
+    if (!track) throw new Error('Recording has no Opus track');
+
+    const packets = [];
+    blocks.forEach(({ clusterTime: time, data }) => {
+      const number = this.readVint(data, 0, true);
+      if (!number || number.value !== track.number) return;
+
+      const flags = data[number.length + 2];
+      if ((flags & 0x06) !== 0) throw new Error('Laced WebM blocks are not supported');
+
+      const relative = (data[number.length] << 8 | data[number.length + 1]) << 16 >> 16; // Signed 16-bit
+      packets.push({
+        time: (time + relative) * timecodeScale / 1e9,
+        data: data.subarray(number.length + 3)
+      });
+    });
+
+    return { ...track, channels: track.channels || 1, sampleRate: track.sampleRate || 48000, packets };
+  }
+
+  /**
+   * Read an EBML variable-length integer
+   * @param {Uint8Array} bytes - Data
+   * @param {number} offset - Position of the first byte
+   * @param {boolean} stripMarker - Remove the length marker (sizes and track numbers) or keep it (element IDs)
+   * @returns {Object|null} value and length in bytes, value is null for an unknown size
+   */
+  readVint(bytes, offset, stripMarker) {
+    const first = bytes[offset];
+    if (first === undefined || first === 0) return null;
+
+    let length = 1;
+    while (!(first & (0x80 >> (length - 1)))) length++;
+    if (offset + length > bytes.length) return null;
+
+    let value = stripMarker ? first & (0xFF >> length) : first;
+    let allOnes = value === (0xFF >> length);
+    for (let i = 1; i < length; i++) {
+      value = value * 256 + bytes[offset + i];
+      allOnes = allOnes && bytes[offset + i] === 0xFF;
+    }
+
+    return { value: stripMarker && allOnes ? null : value, length };
+  }
+
+  /**
+   * Read a big-endian unsigned integer
+   * @param {Uint8Array} data - Bytes
+   * @returns {number} Value
+   */
+  readUint(data) {
+    return data.reduce((value, byte) => value * 256 + byte, 0);
+  }
+
+  /**
+   * Read a big-endian float of 4 or 8 bytes
+   * @param {Uint8Array} data - Bytes
+   * @returns {number} Value
+   */
+  readFloat(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    return data.length === 4 ? view.getFloat32(0) : view.getFloat64(0);
+  }
+
+  /**
+   * Get the OpusHead identification header for a track
+   * @param {Object} track - Track from readWebmOpus
+   * @returns {Uint8Array} OpusHead packet
+   */
+  createOpusHead(track) {
+    const magic = 'OpusHead';
+    if (track.codecPrivate && String.fromCharCode(...track.codecPrivate.subarray(0, 8)) === magic) {
+      return track.codecPrivate;
+    }
+
+    const head = new Uint8Array(19);
+    const view = new DataView(head.buffer);
+    [...magic].forEach((char, index) => { head[index] = char.charCodeAt(0); });
+    head[8] = 1; // Version
+    head[9] = track.channels;
+    view.setUint16(10, 312, true); // Pre-skip used by common encoders
+    view.setUint32(12, Math.round(track.sampleRate), true);
+    return head;
+  }
+
+  /**
+   * Build an OGG Opus file from an identification header and audio packets
+   * @param {Uint8Array} head - OpusHead packet
+   * @param {Array} packets - Opus packets
+   * @returns {Blob} OGG file
+   */
+  writeOgg(head, packets) {
+    const serial = Math.floor(Math.random() * 0xFFFFFFFF);
+    const vendor = 'WhatsApp Admin Panel';
+    const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+    const tagsView = new DataView(tags.buffer);
+    [...`OpusTags${vendor}`].forEach((char, index) => {
+      tags[index < 8 ? index : index + 4] = char.charCodeAt(0);
+    });
+    tagsView.setUint32(8, vendor.length, true);
+    tagsView.setUint32(12 + vendor.length, 0, true); // No user comments
+
+    const pages = [
+      this.createOggPage([head], 0, serial, 0, 0x02),
+      this.createOggPage([tags], 0, serial, 1, 0)
+    ];
+
+    let granule = 0;
+    let pending = [];
+    let segments = 0;
+
+    packets.forEach((packet, index) => {
+      const packetSegments = Math.floor(packet.length / 255) + 1;
+      if (pending.length > 0 && segments + packetSegments > 255) {
+        pages.push(this.createOggPage(pending, granule, serial, pages.length, 0));
+        pending = [];
+        segments = 0;
+      }
+
+      pending.push(packet);
+      segments += packetSegments;
+      granule += this.getOpusPacketSamples(packet);
+
+      if (index === packets.length - 1) {
+        pages.push(this.createOggPage(pending, granule, serial, pages.length, 0x04));
+      }
+    });
+
+    return new Blob(pages, { type: this.oggMimeType });
+  }
+
+  /**
+   * Build one OGG page
+   * @param {Array} packets - Packets that end on this page
+   * @param {number} granule - Granule position after the last packet
+   * @param {number} serial - Stream serial number
+   * @param {number} sequence - Page sequence number
+   * @param {number} flags - Header type flags (0x02 first page, 0x04 last page)
+   * @returns {Uint8Array} Page bytes
+   */
+  createOggPage(packets, granule, serial, sequence, flags) {
+    const lacing = [];
+    packets.forEach(packet => {
+      for (let remaining = packet.length; ; remaining -= 255) {
+        lacing.push(Math.min(remaining, 255));
+        if (remaining < 255) break;
+      }
+    });
+
+    const bodyLength = packets.reduce((total, packet) => total + packet.length, 0);
+    const page = new Uint8Array(27 + lacing.length + bodyLength);
+    const view = new DataView(page.buffer);
+
+    page.set([0x4F, 0x67, 0x67, 0x53]); // "OggS"
+    page[4] = 0; // Version
+    page[5] = flags;
+    view.setUint32(6, granule % 0x100000000, true);
+    view.setUint32(10, Math.floor(granule / 0x100000000), true);
+    view.setUint32(14, serial, true);
+    view.setUint32(18, sequence, true);
+    page[26] = lacing.length;
+    page.set(lacing, 27);
+
+    let offset = 27 + lacing.length;
+    packets.forEach(packet => {
+      page.set(packet, offset);
+      offset += packet.length;
+    });
+
+    view.setUint32(22, this.crc32(page), true);
+    return page;
+  }
+
+  /**
+   * Count the 48 kHz samples in an Opus packet from its TOC byte
+   * @param {Uint8Array} packet - Opus packet
+   * @returns {number} Samples per channel
+   */
+  getOpusPacketSamples(packet) {
+    if (packet.length === 0) return 0;
+
+    const config = packet[0] >> 3;
+    let frameSamples;
+    if (config < 12) {
+      frameSamples = [480, 960, 1920, 2880][config & 3]; // SILK: 10, 20, 40, 60 ms
+    } else if (config < 16) {
+      frameSamples = [480, 960][config & 1]; // Hybrid: 10, 20 ms
+    } else {
+      frameSamples = [120, 240, 480, 960][config & 3]; // CELT: 2.5, 5, 10, 20 ms
+    }
+
+    const code = packet[0] & 3;
+    const frames = code === 0 ? 1 : code === 3 ? (packet[1] & 0x3F) : 2;
+    return frames * frameSamples;
+  }
+
+  /**
+   * CRC-32 as used by OGG (polynomial 0x04C11DB7, no reflection)
+   * @param {Uint8Array} bytes - Data
+   * @returns {number} Checksum
+   */
+  crc32(bytes) {
+    if (!this.crcTable) {
+      this.crcTable = new Uint32Array(256);
+      for (let i = 0; i < 256; i++) {
+        let value = i << 24;
+        for (let bit = 0; bit < 8; bit++) {
+          value = value & 0x80000000 ? (value << 1) ^ 0x04C11DB7 : value << 1;
+        }
+        this.crcTable[i] = value >>> 0;
+      }
+    }
+
+    let crc = 0;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = ((crc << 8) ^ this.crcTable[((crc >>> 24) ^ bytes[i]) & 0xFF]) >>> 0;
+    }
+    return crc;
+  }
+
+  /**
+   * Decode a recording and write it as 16 kHz mono WAV
+   * @param {Blob} blob - Recorded audio
+   * @param {Object} range - Optional start and end in seconds to keep
+   * @returns {Promise<Blob>} WAV file
+   */
+  async transcodeToWav(blob, range = null) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContextClass();
+    let buffer;
+    try {
+      buffer = await context.decodeAudioData(await blob.arrayBuffer());
+    } finally {
+      context.close();
+    }
+
+    const start = range ? range.start : 0;
+    const length = (range ? range.end : buffer.duration) - start;
+    const offline = new OfflineAudioContext(1, Math.max(1, Math.ceil(length * this.wavSampleRate)), this.wavSampleRate);
+    const source = offline.createBufferSource();
+    source.buffer = buffer;
+    source.connect(offline.destination);
+    source.start(0, start, length);
+
+    return this.writeWav(await offline.startRendering());
+  }
+
+  /**
+   * Encode the first channel of an audio buffer as 16-bit PCM WAV
+   * @param {AudioBuffer} buffer - Audio to encode
+   * @returns {Blob} WAV file
+   */
+  writeWav(buffer) {
+    const samples = buffer.getChannelData(0);
+    const view = new DataView(new ArrayBuffer(44 + samples.length * 2));
+    const writeText = (offset, text) => {
+      for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    writeText(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeText(8, 'WAVE');
+    writeText(12, 'fmt ');
+    view.setUint32(16, 16, true); // Format chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, 1, true); // Mono
+    view.setUint32(24, buffer.sampleRate, true);
+    view.setUint32(28, buffer.sampleRate * 2, true); // Byte rate
+    view.setUint16(32, 2, true); // Block align
+    view.setUint16(34, 16, true); // Bits per sample
+    writeText(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+
+    samples.forEach((sample, index) => {
+      const clamped = Math.max(-1, Math.min(1, sample));
+      view.setInt16(44 + index * 2, clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff, true);
+    });
+
+    return new Blob([view], { type: 'audio/wav' });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VoiceEncoder;
+} else {
+  window.VoiceEncoder = VoiceEncoder;
+}
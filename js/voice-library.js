@@ -0,0 +1,196 @@
+/**
+ * Voice library module for WhatsApp Admin Panel
+ * Keeps predefined voice notes in IndexedDB so operators can save, rename, reorder and delete them
+ */
+
+class VoiceLibraryService {
+  constructor(database, storage) {
+    this.database = database;
+    this.storage = storage;
+    this.storeName = database.config.DATABASE.STORES.VOICE_NOTES;
+    this.memoryNotes = null; // Used only when IndexedDB is unavailable
+  }
+
+  /**
+   * Fall back to an in-memory library when IndexedDB cannot be used
+   * @param {Error} error - Database error
+   */
+  useMemoryFallback(error) {
+    if (!this.memoryNotes) {
+      console.error('Voice library database unavailable, saved notes will not survive a reload:', error);
+      this.memoryNotes = new Map();
+    }
+  }
+
+  /**
+   * Get all voice notes in menu order
+   * @returns {Promise<Array>} Voice notes
+   */
+  async getAll() {
+    let notes;
+    if (this.memoryNotes) {
+      notes = [...this.memoryNotes.values()];
+    } else {
+      try {
+        notes = await this.database.getAll(this.storeName);
+      } catch (error) {
+        this.useMemoryFallback(error);
+        notes = [];
+      }
+    }
+
+    return notes.sort((a, b) => a.order - b.order || new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Get one voice note
+   * @param {string} id - Voice note ID
+   * @returns {Promise<Object|null>} Voice note or null
+   */
+  async get(id) {
+    if (this.memoryNotes) {
+      return this.memoryNotes.get(id) || null;
+    }
+
+    try {
+      return (await this.database.get(this.storeName, id)) || null;
+    } catch (error) {
+      this.useMemoryFallback(error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a voice note
+   * @param {Object} note - Voice note
+   */
+  async save(note) {
+    if (!this.memoryNotes) {
+      try {
+        await this.database.put(this.storeName, note);
+        return;
+      } catch (error) {
+        this.useMemoryFallback(error);
+      }
+    }
+
+    this.memoryNotes.set(note.id, note);
+  }
+
+  /**
+   * Add a voice note at the end of the menu
+   * @param {Object} note - Note with name, base64 and mimeType, and optionally id and description
+   * @returns {Promise<Object>} Stored note
+   */
+  async add(note) {
+    const notes = await this.getAll();
+    const stored = {
+      id: `voice-${Date.now().toString(36)}`,
+      description: '',
+      order: notes.reduce((max, existing) => Math.max(max, existing.order), -1) + 1,
+      createdAt: new Date().toISOString(),
+      ...note
+    };
+
+    await this.save(stored);
+    return stored;
+  }
+
+  /**
+   * Update a voice note
+   * @param {string} id - Voice note ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object|null>} Updated note or null if not in the library
+   */
+  async update(id, updates) {
+    const note = await this.get(id);
+    if (!note) return null;
+
+    const updated = { ...note, ...updates };
+    await this.save(updated);
+    return updated;
+  }
+
+  /**
+   * Remove a voice note
+   * @param {string} id - Voice note ID
+   */
+  async remove(id) {
+    if (this.memoryNotes) {
+      this.memoryNotes.delete(id);
+      return;
+    }
+
+    try {
+      await this.database.delete(this.storeName, id);
+    } catch (error) {
+      this.useMemoryFallback(error);
+    }
+  }
+
+  /**
+   * Store a new menu order
+   * @param {Array} ids - Voice note IDs in the new order
+   */
+  async reorder(ids) {
+    for (const [order, id] of ids.entries()) {
+      await this.update(id, { order });
+    }
+  }
+
+  /**
+   * Add the bundled voice notes the first time the library is used
+   * Runs again on the next load if a file could not be fetched
+   * @param {Array} defaults - Notes with id, name, description, url and mimeType
+   */
+  async importDefaults(defaults) {
+    if (this.storage.get('voiceLibrarySeeded', false)) return;
+
+    let complete = true;
+
+    for (const note of defaults) {
+      try {
+        if (await this.get(note.id)) continue;
+
+        const response = await fetch(note.url);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+        await this.add({
+          id: note.id,
+          name: note.name,
+          description: note.description,
+          mimeType: note.mimeType,
+          base64: await this.readAsBase64(await response.blob())
+        });
+      } catch (error) {
+        console.error('Error importing voice note:', note.id, error);
+        complete = false;
+      }
+    }
+
+    if (complete) {
+      this.storage.set('voiceLibrarySeeded', true);
+    }
+  }
+
+  /**
+   * Read a blob as base64 without the data URL prefix
+   * @param {Blob} blob - Audio data
+   * @returns {Promise<string>} Base64 encoded data
+   */
+  readAsBase64(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onloadend = () => resolve(reader.result.split(',')[1]);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VoiceLibraryService;
+} else {
+  window.VoiceLibraryService = VoiceLibraryService;
+}